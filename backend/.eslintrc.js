@@ -81,6 +81,14 @@ module.exports = {
     'rest-spread-spacing': 'error',
     'template-curly-spacing': 'error'
   },
+  overrides: [
+    {
+      files: ['**/__tests__/**/*.js'],
+      env: {
+        jest: true
+      }
+    }
+  ],
   ignorePatterns: [
     'node_modules/',
     'dist/',
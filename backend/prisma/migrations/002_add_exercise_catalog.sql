@@ -0,0 +1,37 @@
+-- Add the versioned exercise catalog
+
+CREATE TYPE exercise_status AS ENUM ('DRAFT', 'REVIEW', 'PUBLISHED');
+
+-- One row per version of an exercise; published versions are never modified
+CREATE TABLE exercise_versions (
+    id VARCHAR(30) PRIMARY KEY,
+    exercise_id VARCHAR(50) NOT NULL,
+    version VARCHAR(20) NOT NULL CHECK (version ~ '^\d+\.\d+\.\d+$'),
+    status exercise_status NOT NULL DEFAULT 'DRAFT',
+    document JSONB NOT NULL,
+    change_note TEXT,
+    review_note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    submitted_at TIMESTAMP,
+    published_at TIMESTAMP,
+
+    UNIQUE(exercise_id, version)
+);
+
+CREATE INDEX idx_exercise_versions_status ON exercise_versions (exercise_id, status);
+
+-- At most one draft or in-review version per exercise
+CREATE UNIQUE INDEX idx_exercise_versions_working ON exercise_versions (exercise_id)
+    WHERE status IN ('DRAFT', 'REVIEW');
+
+-- Pin learner progress and submissions to the exercise version attempted
+ALTER TABLE exercise_progress ADD COLUMN exercise_version VARCHAR(20);
+ALTER TABLE exercise_submissions ADD COLUMN exercise_version VARCHAR(20);
+
+CREATE TRIGGER update_exercise_versions_updated_at
+    BEFORE UPDATE ON exercise_versions
+    FOR EACH ROW EXECUTE FUNCTION update_modified_column();
+
+-- Grant permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON exercise_versions TO cql_api_user;
@@ -0,0 +1,7 @@
+-- Store the rubric breakdown of exercise scores
+
+-- Per-criterion breakdown of the best score: { score, passed, passingScore, criteria, hintPenalty }
+ALTER TABLE exercise_progress ADD COLUMN best_score_breakdown JSONB;
+
+-- Per-criterion breakdown of each submission's score
+ALTER TABLE exercise_submissions ADD COLUMN score_breakdown JSONB;
@@ -0,0 +1,31 @@
+-- Add graded attempts at assessment exercises
+
+-- One row per timed attempt; practice progress and submissions are not affected by assessments
+CREATE TABLE assessment_attempts (
+    id VARCHAR(30) PRIMARY KEY,
+    exercise_id VARCHAR(50) NOT NULL,
+    exercise_version VARCHAR(20) NOT NULL CHECK (exercise_version ~ '^\d+\.\d+\.\d+$'),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'submitted', 'expired')),
+    time_limit INTEGER NOT NULL CHECK (time_limit > 0),
+    max_submissions INTEGER NOT NULL CHECK (max_submissions > 0),
+    -- Graded submissions: [{ submittedAt, code, score, passed, breakdown }]
+    submissions JSONB NOT NULL DEFAULT '[]',
+    score INTEGER CHECK (score BETWEEN 0 AND 100),
+    passed BOOLEAN,
+    score_breakdown JSONB,
+    started_at TIMESTAMP NOT NULL,
+    deadline TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_assessment_attempts_user ON assessment_attempts (user_id, exercise_id);
+
+CREATE TRIGGER update_assessment_attempts_updated_at
+    BEFORE UPDATE ON assessment_attempts
+    FOR EACH ROW EXECUTE FUNCTION update_modified_column();
+
+-- Grant permissions
+GRANT SELECT, INSERT, UPDATE ON assessment_attempts TO cql_api_user;
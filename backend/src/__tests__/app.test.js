@@ -0,0 +1,42 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+
+// An access token as the auth service signs it
+function bearer(role) {
+  const token = jwt.sign({ userId: `${role}-1`, email: `${role}@example.com`, role }, 'your-super-secret-jwt-key-change-this-in-production');
+  return `Bearer ${token}`;
+}
+
+describe('API routes', () => {
+  it('mounts every route module', async () => {
+    const response = await request(app).get('/api');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.endpoints).toMatchObject({ exercises: '/api/exercises', libraries: '/api/libraries' });
+  });
+
+  it('serves the published catalog to anyone and drafts to instructors', async () => {
+    expect((await request(app).get('/api/exercises')).status).toBe(200);
+    expect((await request(app).get('/api/exercises?status=draft').set('Authorization', bearer('learner'))).status).toBe(403);
+    expect((await request(app).get('/api/exercises?status=draft').set('Authorization', bearer('instructor'))).status).toBe(200);
+  });
+
+  it('requires a signed-in instructor to author exercises', async () => {
+    const unsigned = await request(app).post('/api/exercises').send({ exercise: {} });
+    const learner = await request(app).post('/api/exercises').set('Authorization', bearer('learner')).send({ exercise: {} });
+    const forged = await request(app).post('/api/exercises').set('Authorization', `Bearer ${jwt.sign({ userId: 'x', role: 'instructor' }, 'guess')}`);
+
+    expect(unsigned.status).toBe(401);
+    expect(learner.body).toMatchObject({ error: 'FORBIDDEN', message: 'Requires the instructor or admin role' });
+    expect(forged.status).toBe(401);
+  });
+
+  it('requires a signed-in learner to start an assessment', async () => {
+    const unsigned = await request(app).post('/api/assessments').send({ exerciseId: 'missing' });
+    const learner = await request(app).post('/api/assessments').set('Authorization', bearer('learner')).send({ exerciseId: 'missing' });
+
+    expect(unsigned.status).toBe(401);
+    expect(learner.status).toBe(404);
+  });
+});
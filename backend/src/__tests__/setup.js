@@ -0,0 +1,21 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Environment for src/config/env.js, which validates process.env when it is first imported
+process.env.NODE_ENV = 'test';
+process.env.PORT = '3001';
+process.env.CORS_ORIGIN = 'http://localhost:5173';
+process.env.RATE_LIMIT_WINDOW_MS = '900000';
+process.env.RATE_LIMIT_MAX_REQUESTS = '100';
+process.env.CQL_REQUEST_TIMEOUT = '30000';
+process.env.LOG_LEVEL = 'error';
+process.env.HELMET_ENABLED = 'true';
+process.env.COMPRESSION_ENABLED = 'true';
+process.env.ENABLE_REQUEST_LOGGING = 'false';
+process.env.ENABLE_ERROR_LOGGING = 'true';
+
+// Each test file gets its own exercise catalog and assessment attempts
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cql-clinic-test-'));
+process.env.EXERCISE_STORE_FILE = path.join(storeDir, 'exercises.json');
+process.env.ASSESSMENT_STORE_FILE = path.join(storeDir, 'assessments.json');
@@ -27,7 +27,35 @@ const envSchema = z.object({
   // CQL Service Configuration
   CQL_EXECUTION_SERVICE_URL: z.string().url().default('http://localhost:8080'),
   CQL_REQUEST_TIMEOUT: z.string().transform(Number).pipe(z.number().int().positive()).default(30000),
+  CQL_EXECUTION_BACKENDS: z.string()
+    .transform(str => str.split(',').map(s => s.trim()).filter(Boolean))
+    .pipe(z.array(z.enum(['remote', 'local', 'mock'])).min(1))
+    .optional(),
+  CQL_CIRCUIT_BREAKER_THRESHOLD: z.string().transform(Number).pipe(z.number().int().positive()).default('3'),
+  CQL_CIRCUIT_BREAKER_RESET_MS: z.string().transform(Number).pipe(z.number().int().positive()).default('30000'),
+  CQL_HEALTH_CHECK_INTERVAL: z.string().transform(Number).pipe(z.number().int().positive()).default('15000'),
+  CQL_ENGINE_TIMEOUT_MS: z.string().transform(Number).pipe(z.number().int().positive()).default('5000'),
+  CQL_ENGINE_MEMORY_MB: z.string().transform(Number).pipe(z.number().int().positive()).default('128'),
+  CQL_CACHE_ENABLED: z.string().transform(val => val.toLowerCase() === 'true').default('true'),
+  CQL_CACHE_TTL: z.string().transform(Number).pipe(z.number().int().positive()).default('1800'),
+  CQL_CACHE_ERROR_TTL: z.string().transform(Number).pipe(z.number().int().positive()).default('60'),
   
+  // Synthetic patient bundles (defaults to the repository's data/patients)
+  PATIENT_DATA_DIR: z.string().optional(),
+
+  // CQL library catalog (defaults to the repository's data/libraries)
+  LIBRARY_DATA_DIR: z.string().optional(),
+
+  // Exercise catalog file, used when no database is configured (defaults to backend/data/exercises.json)
+  EXERCISE_STORE_FILE: z.string().optional(),
+
+  // Assessment attempts file, used when no database is configured (defaults to backend/data/assessments.json)
+  ASSESSMENT_STORE_FILE: z.string().optional(),
+
+  // Custom validator sandbox limits
+  VALIDATOR_TIMEOUT_MS: z.string().transform(Number).pipe(z.number().int().positive()).default('1000'),
+  VALIDATOR_MEMORY_MB: z.string().transform(Number).pipe(z.number().int().positive()).default('32'),
+
   // Optional Database Configuration
   DATABASE_URL: z.string().optional(),
   
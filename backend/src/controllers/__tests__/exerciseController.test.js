@@ -0,0 +1,85 @@
+import { exerciseController } from '../exerciseController.js';
+import { exerciseCatalogService } from '../../services/exerciseCatalogService.js';
+import { assessmentService } from '../../services/assessmentService.js';
+import { exampleExercises } from '../../../../shared/examples/example-exercises.js';
+
+const assessment = exampleExercises.find(exercise => exercise.type === 'assessment');
+const practice = exampleExercises.find(exercise => exercise.type !== 'assessment');
+
+// Call a controller action and resolve to the response it sent
+async function request(action, req) {
+  const res = {
+    locals: {},
+    status(statusCode) {
+      this.statusCode = statusCode;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let unhandled = null;
+  await exerciseController[action]({ params: {}, query: {}, ...req }, res, error => { unhandled = error; });
+  if (unhandled) throw unhandled;
+  return res;
+}
+
+describe('ExerciseController answers', () => {
+  it('serves learners hints and solutions only on request', async () => {
+    const { body } = await request('getExercise', { params: { id: practice.id } });
+    const withAnswers = await request('getExercise', { params: { id: practice.id }, query: { include: ['hints', 'solution'] } });
+
+    expect(body.data.exercise.content.hints).toBeUndefined();
+    expect(body.data.exercise.files[0].solution).toBeUndefined();
+    expect(withAnswers.body.data.exercise.content.hints).toEqual(practice.content.hints);
+    expect(withAnswers.body.data.exercise.files[0].solution).toBe(practice.files[0].solution);
+  });
+
+  it('serves instructors the whole exercise', async () => {
+    const { body } = await request('getExercise', { params: { id: practice.id }, user: { role: 'instructor' } });
+
+    expect(body.data.exercise).toEqual(practice);
+  });
+
+  it('locks an assessment\'s answers until the learner\'s attempt has ended', async () => {
+    const req = { params: { id: assessment.id }, query: { include: ['solution'] }, userId: 'learner-answers' };
+
+    const locked = await request('getExercise', req);
+    expect(locked.statusCode).toBe(403);
+    expect(locked.body).toMatchObject({
+      error: 'ANSWERS_LOCKED',
+      message: `Assessment ${assessment.id} shows its solution once your attempt has ended`
+    });
+
+    const { id } = await assessmentService.startAttempt(assessment.id, { userId: 'learner-answers' });
+    expect((await request('getExercise', req)).statusCode).toBe(403);
+
+    await assessmentService.finish(id, { userId: 'learner-answers' });
+    const unlocked = await request('getExercise', req);
+    expect(unlocked.statusCode).toBe(200);
+    expect(unlocked.body.data.exercise.files[0].solution).toBe(assessment.files[0].solution);
+  });
+
+  it('lists assessments without their answers, whatever is requested', async () => {
+    const { body } = await request('listExercises', { query: { include: ['hints', 'solution'] } });
+    const listed = Object.fromEntries(body.data.map(record => [record.id, record.exercise]));
+
+    expect(listed[assessment.id].files[0].solution).toBeUndefined();
+    expect(listed[practice.id].files[0].solution).toBe(practice.files[0].solution);
+  });
+
+  it('shows drafts only to instructors', async () => {
+    await exerciseCatalogService.createVersion(practice.id);
+
+    const learner = await request('getExercise', { params: { id: practice.id }, query: { version: 'working' } });
+    const instructor = await request('getExercise', {
+      params: { id: practice.id },
+      query: { version: 'working' },
+      user: { role: ['learner', 'instructor'] }
+    });
+
+    expect(learner).toMatchObject({ statusCode: 403, body: { error: 'FORBIDDEN' } });
+    expect(instructor.body.data).toMatchObject({ status: 'draft', version: '1.1.0' });
+  });
+});
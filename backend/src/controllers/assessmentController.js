@@ -0,0 +1,77 @@
+import { assessmentService, AssessmentError } from '../services/assessmentService.js';
+import { ExerciseCatalogError } from '../services/exerciseCatalogService.js';
+import { sendSuccess, sendError, HttpStatusCode } from '../utils/response.js';
+import logger from '../config/logger.js';
+
+export class AssessmentController {
+  /**
+   * Start an attempt at an assessment
+   * POST /api/assessments
+   */
+  async startAttempt(req, res, next) {
+    try {
+      const attempt = await assessmentService.startAttempt(req.body.exerciseId, { userId: req.userId });
+      sendSuccess(res, attempt, 'Assessment attempt started', HttpStatusCode.CREATED);
+    } catch (error) {
+      this.handleError(error, res, next);
+    }
+  }
+
+  /**
+   * Get an attempt, with its result once it is finished
+   * GET /api/assessments/:attemptId
+   */
+  async getAttempt(req, res, next) {
+    try {
+      const attempt = await assessmentService.getAttempt(req.params.attemptId, { userId: req.userId });
+      sendSuccess(res, attempt, 'Assessment attempt retrieved');
+    } catch (error) {
+      this.handleError(error, res, next);
+    }
+  }
+
+  /**
+   * Submit code for grading
+   * POST /api/assessments/:attemptId/submissions
+   */
+  async submit(req, res, next) {
+    try {
+      const attempt = await assessmentService.submit(req.params.attemptId, req.body, { userId: req.userId });
+      const remaining = attempt.maxSubmissions - attempt.submissionsUsed;
+      sendSuccess(res, attempt, attempt.result
+        ? 'Submission recorded; the assessment is finished'
+        : `Submission recorded; ${remaining} submission${remaining !== 1 ? 's' : ''} left`);
+    } catch (error) {
+      this.handleError(error, res, next);
+    }
+  }
+
+  /**
+   * Finish an attempt and reveal its result
+   * POST /api/assessments/:attemptId/finish
+   */
+  async finish(req, res, next) {
+    try {
+      const attempt = await assessmentService.finish(req.params.attemptId, { userId: req.userId });
+      sendSuccess(res, attempt, 'Assessment finished');
+    } catch (error) {
+      this.handleError(error, res, next);
+    }
+  }
+
+  handleError(error, res, next) {
+    if (!(error instanceof AssessmentError) && !(error instanceof ExerciseCatalogError)) {
+      next(error);
+      return;
+    }
+
+    logger.warn('Assessment request rejected', {
+      requestId: res.locals.requestId,
+      code: error.code,
+      error: error.message
+    });
+    sendError(res, error.code, error.message, error.statusCode);
+  }
+}
+
+export const assessmentController = new AssessmentController();
@@ -1,4 +1,7 @@
 import { cqlService } from '../services/cqlService.js';
+import { exerciseValidationService } from '../services/exerciseValidationService.js';
+import { ExerciseCatalogError } from '../services/exerciseCatalogService.js';
+import { ExecutionError } from '../services/sandbox/engineSandbox.js';
 import { sendSuccess, sendError, HttpStatusCode, ErrorType } from '../utils/response.js';
 import logger from '../config/logger.js';
 
@@ -19,8 +22,10 @@ export class CQLController {
         patientId: requestData.patientId
       });
 
-      // Execute CQL through service
-      const result = await cqlService.executeCQL(requestData);
+      // Execute CQL through the first available backend
+      const { results: result, backend, failover, cache } = await cqlService.executeCQL(requestData, { requestId });
+      res.set('X-CQL-Backend', backend);
+      res.set('X-CQL-Cache', cache.toUpperCase());
 
       // Check if there are any execution errors in the result
       const hasErrors = result.some(item => item.error || item['translator-error']);
@@ -28,6 +33,7 @@ export class CQLController {
       if (hasErrors) {
         logger.warn('CQL execution completed with errors', {
           requestId,
+          backend,
           resultsCount: result.length,
           errors: result
             .filter(item => item.error || item['translator-error'])
@@ -36,6 +42,9 @@ export class CQLController {
       } else {
         logger.info('CQL execution completed successfully', {
           requestId,
+          backend,
+          cache,
+          failover: failover.length > 0 ? failover : null,
           resultsCount: result.length
         });
       }
@@ -49,7 +58,18 @@ export class CQLController {
       });
 
       // Determine appropriate error response based on error type
-      if (error instanceof Error) {
+      if (error instanceof ExecutionError) {
+        const type = {
+          [HttpStatusCode.BAD_REQUEST]: ErrorType.VALIDATION_ERROR,
+          [HttpStatusCode.SERVICE_UNAVAILABLE]: ErrorType.CQL_SERVICE_UNAVAILABLE
+        }[error.statusCode] || ErrorType.CQL_EXECUTION_ERROR;
+        sendError(
+          res,
+          type,
+          error.message,
+          error.statusCode
+        );
+      } else if (error instanceof Error) {
         if (error.message.includes('not available')) {
           sendError(
             res,
@@ -85,6 +105,75 @@ export class CQLController {
     }
   }
 
+  /**
+   * Run exercise test cases against CQL code
+   * POST /api/cql/test
+   */
+  async validateTestCases(req, res, next) {
+    try {
+      const { code, testCases, libraries = [] } = req.body;
+      const { requestId } = res.locals;
+
+      logger.info('CQL test case validation request received', {
+        requestId,
+        codeLength: code.length,
+        testCases: testCases.length,
+        libraries: libraries.length
+      });
+
+      const result = await exerciseValidationService.validateTestCases(code, testCases, libraries);
+
+      logger.info('CQL test case validation completed', {
+        requestId,
+        passed: result.passedCount,
+        total: result.total
+      });
+
+      sendSuccess(res, result, 'CQL test case validation completed');
+    } catch (error) {
+      logger.error('CQL test case validation failed', {
+        requestId: res.locals.requestId,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        codePreview: req.body?.code?.substring(0, 100)
+      });
+
+      next(error);
+    }
+  }
+
+  /**
+   * Run an exercise's custom validator against CQL code
+   * POST /api/cql/custom-validate
+   */
+  async runCustomValidator(req, res, next) {
+    try {
+      const { requestId } = res.locals;
+
+      logger.info('CQL custom validator request received', {
+        requestId,
+        codeLength: req.body.code.length,
+        exerciseId: req.body.exerciseId,
+        version: req.body.version
+      });
+
+      const result = await exerciseValidationService.runExerciseValidator(req.body);
+
+      sendSuccess(res, result, 'Custom validation completed');
+    } catch (error) {
+      logger.error('CQL custom validation failed', {
+        requestId: res.locals.requestId,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        codePreview: req.body?.code?.substring(0, 100)
+      });
+
+      if (error instanceof ExerciseCatalogError) {
+        sendError(res, error.code, error.message, error.statusCode);
+        return;
+      }
+      next(error);
+    }
+  }
+
   /**
    * Format CQL code
    * POST /api/cql/format
@@ -129,6 +218,39 @@ export class CQLController {
     }
   }
 
+  /**
+   * Translate CQL code to ELM
+   * POST /api/cql/elm
+   */
+  async translateToELM(req, res, next) {
+    try {
+      const requestData = req.body;
+      const { requestId } = res.locals;
+
+      logger.info('CQL translation request received', {
+        requestId,
+        codeLength: requestData.code.length,
+        libraryCount: requestData.libraries?.length || 0
+      });
+
+      const result = cqlService.translateToELM(requestData);
+
+      logger.info('CQL translation completed', {
+        requestId,
+        errorCount: result.errors.length
+      });
+
+      sendSuccess(res, result, 'CQL translation completed');
+    } catch (error) {
+      logger.error('CQL translation failed', {
+        requestId: res.locals.requestId,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        codePreview: req.body?.code?.substring(0, 100)
+      });
+      next(error);
+    }
+  }
+
   /**
    * Get CQL service status
    * GET /api/cql/status
@@ -141,6 +263,7 @@ export class CQLController {
 
       const healthCheck = await cqlService.healthCheck();
       const serviceInfo = cqlService.getServiceInfo();
+      const backendStatus = await cqlService.getBackendStatus();
 
       const statusData = {
         service: 'CQL Execution Service',
@@ -148,6 +271,11 @@ export class CQLController {
         url: serviceInfo.baseURL,
         responseTime: healthCheck.responseTime,
         timeout: serviceInfo.timeout,
+        backendChain: backendStatus.chain,
+        backends: backendStatus.backends,
+        lastExecution: backendStatus.lastExecution,
+        recentExecutions: backendStatus.recentExecutions,
+        cache: cqlService.getCacheStats(),
         timestamp: new Date().toISOString()
       };
 
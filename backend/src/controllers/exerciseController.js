@@ -0,0 +1,205 @@
+import { exerciseCatalogService, ExerciseCatalogError } from '../services/exerciseCatalogService.js';
+import { assessmentService } from '../services/assessmentService.js';
+import { sendSuccess, sendError, sendValidationError, HttpStatusCode } from '../utils/response.js';
+import logger from '../config/logger.js';
+
+export class ExerciseController {
+  /**
+   * List exercises
+   * GET /api/exercises
+   */
+  async listExercises(req, res, next) {
+    try {
+      if ((req.query.status || 'published') !== 'published') {
+        requireAuthor(req);
+      }
+      const records = await exerciseCatalogService.listExercises(req.query);
+      // Assessments are listed without their answers; they are fetched one at a time once an attempt ends
+      const exercises = isAuthor(req.user)
+        ? records
+        : records.map(record => withoutAnswers(record, record.exercise.type === 'assessment' ? [] : req.query.include));
+
+      logger.debug('Exercises listed', {
+        requestId: res.locals.requestId,
+        status: req.query.status || 'published',
+        count: exercises.length
+      });
+
+      sendSuccess(res, exercises, 'Exercises retrieved');
+    } catch (error) {
+      this.handleError(error, res, next);
+    }
+  }
+
+  /**
+   * Get a version of an exercise
+   * GET /api/exercises/:id
+   */
+  async getExercise(req, res, next) {
+    try {
+      const record = await exerciseCatalogService.getExercise(req.params.id, req.query.version);
+      if (record.status !== 'published') {
+        requireAuthor(req);
+      }
+      if (isAuthor(req.user)) {
+        sendSuccess(res, record, 'Exercise retrieved');
+        return;
+      }
+
+      const include = req.query.include || [];
+      if (include.length > 0 && record.exercise.type === 'assessment'
+        && !(await assessmentService.hasFinishedAttempt(record.id, req.userId))) {
+        throw new ExerciseCatalogError(
+          `Assessment ${record.id} shows its ${include.join(' and ')} once your attempt has ended`,
+          'ANSWERS_LOCKED',
+          HttpStatusCode.FORBIDDEN
+        );
+      }
+      sendSuccess(res, withoutAnswers(record, include), 'Exercise retrieved');
+    } catch (error) {
+      this.handleError(error, res, next);
+    }
+  }
+
+  /**
+   * Get the version history of an exercise
+   * GET /api/exercises/:id/versions
+   */
+  async listVersions(req, res, next) {
+    try {
+      const versions = await exerciseCatalogService.listVersions(req.params.id);
+      sendSuccess(res, versions, 'Exercise versions retrieved');
+    } catch (error) {
+      this.handleError(error, res, next);
+    }
+  }
+
+  /**
+   * Create an exercise as a draft
+   * POST /api/exercises
+   */
+  async createExercise(req, res, next) {
+    try {
+      const { exercise, changeNote } = req.body;
+      const record = await exerciseCatalogService.createExercise(exercise, { changeNote });
+      sendSuccess(res, record, 'Exercise draft created', HttpStatusCode.CREATED);
+    } catch (error) {
+      this.handleError(error, res, next);
+    }
+  }
+
+  /**
+   * Update an exercise's draft
+   * PUT /api/exercises/:id
+   */
+  async updateDraft(req, res, next) {
+    try {
+      const { exercise, changeNote } = req.body;
+      const record = await exerciseCatalogService.updateDraft(req.params.id, exercise, { changeNote });
+      sendSuccess(res, record, 'Exercise draft updated');
+    } catch (error) {
+      this.handleError(error, res, next);
+    }
+  }
+
+  /**
+   * Start a new version of an exercise
+   * POST /api/exercises/:id/versions
+   */
+  async createVersion(req, res, next) {
+    try {
+      const record = await exerciseCatalogService.createVersion(req.params.id, req.body);
+      sendSuccess(res, record, `Exercise version ${record.version} started`, HttpStatusCode.CREATED);
+    } catch (error) {
+      this.handleError(error, res, next);
+    }
+  }
+
+  /**
+   * Submit, publish or reject an exercise's working version
+   * POST /api/exercises/:id/review, /publish and /reject
+   */
+  transition(action) {
+    return async (req, res, next) => {
+      try {
+        const record = await exerciseCatalogService.transition(req.params.id, action, req.body || {});
+        sendSuccess(res, record, `Exercise version ${record.version} is now ${record.status}`);
+      } catch (error) {
+        this.handleError(error, res, next);
+      }
+    };
+  }
+
+  /**
+   * Discard an exercise's draft or in-review version
+   * DELETE /api/exercises/:id
+   */
+  async discardWorkingVersion(req, res, next) {
+    try {
+      const record = await exerciseCatalogService.discardWorkingVersion(req.params.id);
+      sendSuccess(res, record, `Exercise version ${record.version} discarded`);
+    } catch (error) {
+      this.handleError(error, res, next);
+    }
+  }
+
+  handleError(error, res, next) {
+    if (!(error instanceof ExerciseCatalogError)) {
+      next(error);
+      return;
+    }
+
+    logger.warn('Exercise catalog request rejected', {
+      requestId: res.locals.requestId,
+      code: error.code,
+      error: error.message
+    });
+
+    if (error.details) {
+      sendValidationError(res, error.message, { errors: error.details });
+      return;
+    }
+    sendError(res, error.code, error.message, error.statusCode);
+  }
+}
+
+/**
+ * Drafts and versions in review are only shown to instructors
+ */
+function isAuthor(user) {
+  const roles = Array.isArray(user?.role) ? user.role : [user?.role];
+  return roles.includes('instructor') || roles.includes('admin');
+}
+
+/**
+ * A record for learners: hints and solutions only when asked for
+ * @param {object} record - Exercise version record
+ * @param {Array<string>} include - 'hints' and/or 'solution'
+ */
+function withoutAnswers({ exercise, ...record }, include = []) {
+  const visible = { ...exercise };
+  if (exercise.content && !include.includes('hints')) {
+    visible.content = { ...exercise.content };
+    delete visible.content.hints;
+  }
+  if (exercise.files && !include.includes('solution')) {
+    visible.files = exercise.files.map(file => {
+      const learnerFile = { ...file };
+      delete learnerFile.solution;
+      return learnerFile;
+    });
+  }
+  return { ...record, exercise: visible };
+}
+
+function requireAuthor(req) {
+  if (!isAuthor(req.user)) {
+    throw new ExerciseCatalogError(
+      'Only instructors can see exercise drafts and versions in review',
+      'FORBIDDEN',
+      HttpStatusCode.FORBIDDEN
+    );
+  }
+}
+
+export const exerciseController = new ExerciseController();
@@ -0,0 +1,46 @@
+import { libraryService } from '../services/libraryService.js';
+import { sendSuccess, sendNotFound } from '../utils/response.js';
+import logger from '../config/logger.js';
+
+export class LibraryController {
+  /**
+   * List catalog libraries
+   * GET /api/libraries
+   */
+  async listLibraries(req, res, next) {
+    try {
+      const libraries = libraryService.listLibraries({ includeSource: req.query.include === 'source' });
+
+      logger.debug('CQL libraries listed', {
+        requestId: res.locals.requestId,
+        count: libraries.length
+      });
+
+      sendSuccess(res, libraries, 'CQL libraries retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a catalog library with its code
+   * GET /api/libraries/:name and /api/libraries/:name/:version
+   */
+  async getLibrary(req, res, next) {
+    try {
+      const { name, version = null } = req.params;
+      const library = libraryService.getLibrary(name, version);
+
+      if (!library) {
+        sendNotFound(res, `Library ${name}${version ? ` version '${version}'` : ''} not found`);
+        return;
+      }
+
+      sendSuccess(res, library, 'CQL library retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export const libraryController = new LibraryController();
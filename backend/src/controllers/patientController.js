@@ -0,0 +1,45 @@
+import { patientService } from '../services/patientService.js';
+import { sendSuccess, sendNotFound } from '../utils/response.js';
+import logger from '../config/logger.js';
+
+export class PatientController {
+  /**
+   * List synthetic patients
+   * GET /api/patients
+   */
+  async listPatients(req, res, next) {
+    try {
+      const patients = patientService.listPatients();
+
+      logger.debug('Synthetic patients listed', {
+        requestId: res.locals.requestId,
+        count: patients.length
+      });
+
+      sendSuccess(res, patients, 'Synthetic patients retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a synthetic patient with its FHIR bundle
+   * GET /api/patients/:id
+   */
+  async getPatient(req, res, next) {
+    try {
+      const patient = patientService.getPatient(req.params.id);
+
+      if (!patient) {
+        sendNotFound(res, `Patient ${req.params.id} not found`);
+        return;
+      }
+
+      sendSuccess(res, patient, 'Synthetic patient retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export const patientController = new PatientController();
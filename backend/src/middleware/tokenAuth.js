@@ -0,0 +1,71 @@
+import jwt from 'jsonwebtoken';
+import env, { isProduction } from '../config/env.js';
+import { sendError, HttpStatusCode } from '../utils/response.js';
+
+/**
+ * Token authentication for the exercise catalog and assessment routes
+ * Verifies the access tokens the auth service signs ({ userId, email, role })
+ * from their claims alone, so these routes run without the user database
+ */
+
+// The auth service signs with the same development secret when JWT_SECRET is not set
+const DEVELOPMENT_SECRET = 'your-super-secret-jwt-key-change-this-in-production';
+
+/**
+ * The signed-in user of a request's bearer token
+ * @returns {object|null} { id, email, role }, or null without a valid token
+ */
+export function verifyBearerToken(req) {
+  const header = req.headers.authorization;
+  const secret = env.JWT_SECRET || (isProduction ? null : DEVELOPMENT_SECRET);
+  if (!header || !header.startsWith('Bearer ') || !secret) return null;
+
+  try {
+    const claims = jwt.verify(header.substring(7), secret);
+    return claims.userId ? { id: claims.userId, email: claims.email, role: claims.role } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Require a signed-in user, attached as req.user and req.userId
+ */
+export function authenticate(req, res, next) {
+  const user = verifyBearerToken(req);
+  if (!user) {
+    sendError(res, 'UNAUTHORIZED', 'Sign in to continue', HttpStatusCode.UNAUTHORIZED);
+    return;
+  }
+  req.user = user;
+  req.userId = user.id;
+  next();
+}
+
+/**
+ * Attach the signed-in user when the request has a valid token
+ */
+export function optionalAuth(req, res, next) {
+  const user = verifyBearerToken(req);
+  if (user) {
+    req.user = user;
+    req.userId = user.id;
+  }
+  next();
+}
+
+/**
+ * Require one of the given roles; use after authenticate
+ */
+export function requireRole(roles) {
+  return (req, res, next) => {
+    const userRoles = Array.isArray(req.user?.role) ? req.user.role : [req.user?.role];
+    if (!roles.some(role => userRoles.includes(role))) {
+      sendError(res, 'FORBIDDEN', `Requires the ${roles.join(' or ')} role`, HttpStatusCode.FORBIDDEN);
+      return;
+    }
+    next();
+  };
+}
+
+export const requireInstructor = requireRole(['instructor', 'admin']);
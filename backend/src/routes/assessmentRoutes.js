@@ -0,0 +1,56 @@
+import { Router } from 'express';
+import { assessmentController } from '../controllers/assessmentController.js';
+import { validateBody } from '../middleware/validation.js';
+import { authenticate } from '../middleware/tokenAuth.js';
+import { AssessmentStartSchema, AssessmentSubmissionSchema } from '../utils/validation.js';
+
+const router = Router();
+
+/**
+ * @route   POST /api/assessments
+ * @desc    Start a timed attempt at the latest published version of an assessment exercise, or
+ *          return the learner's attempt at it
+ * @access  Private
+ */
+router.post(
+  '/',
+  authenticate,
+  validateBody(AssessmentStartSchema),
+  assessmentController.startAttempt.bind(assessmentController)
+);
+
+/**
+ * @route   GET /api/assessments/:attemptId
+ * @desc    Get an attempt's deadline and submissions used, and its result once it is finished
+ * @access  Private
+ */
+router.get(
+  '/:attemptId',
+  authenticate,
+  assessmentController.getAttempt.bind(assessmentController)
+);
+
+/**
+ * @route   POST /api/assessments/:attemptId/submissions
+ * @desc    Grade a submission; its score is withheld until the attempt is finished
+ * @access  Private
+ */
+router.post(
+  '/:attemptId/submissions',
+  authenticate,
+  validateBody(AssessmentSubmissionSchema),
+  assessmentController.submit.bind(assessmentController)
+);
+
+/**
+ * @route   POST /api/assessments/:attemptId/finish
+ * @desc    Finish an attempt before its time runs out, graded by its last submission
+ * @access  Private
+ */
+router.post(
+  '/:attemptId/finish',
+  authenticate,
+  assessmentController.finish.bind(assessmentController)
+);
+
+export default router;
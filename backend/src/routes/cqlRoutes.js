@@ -1,7 +1,13 @@
 import { Router } from 'express';
 import { cqlController } from '../controllers/cqlController.js';
 import { validateBody } from '../middleware/validation.js';
-import { CQLExecutionRequestSchema, CQLFormatRequestSchema } from '../utils/validation.js';
+import {
+  CQLExecutionRequestSchema,
+  CQLTestRequestSchema,
+  CQLCustomValidatorRequestSchema,
+  CQLFormatRequestSchema,
+  CQLElmRequestSchema
+} from '../utils/validation.js';
 
 const router = Router();
 
@@ -16,6 +22,28 @@ router.post(
   cqlController.executeCQL.bind(cqlController)
 );
 
+/**
+ * @route   POST /api/cql/test
+ * @desc    Run exercise test cases against CQL code
+ * @access  Public
+ */
+router.post(
+  '/test',
+  validateBody(CQLTestRequestSchema),
+  cqlController.validateTestCases.bind(cqlController)
+);
+
+/**
+ * @route   POST /api/cql/custom-validate
+ * @desc    Run the custom validator of a published exercise version against CQL code
+ * @access  Public
+ */
+router.post(
+  '/custom-validate',
+  validateBody(CQLCustomValidatorRequestSchema),
+  cqlController.runCustomValidator.bind(cqlController)
+);
+
 /**
  * @route   POST /api/cql/format
  * @desc    Format CQL code
@@ -27,6 +55,17 @@ router.post(
   cqlController.formatCQL.bind(cqlController)
 );
 
+/**
+ * @route   POST /api/cql/elm
+ * @desc    Translate CQL code to ELM JSON and XML
+ * @access  Public
+ */
+router.post(
+  '/elm',
+  validateBody(CQLElmRequestSchema),
+  cqlController.translateToELM.bind(cqlController)
+);
+
 /**
  * @route   GET /api/cql/status
  * @desc    Get CQL service status
@@ -0,0 +1,140 @@
+import { Router } from 'express';
+import { exerciseController } from '../controllers/exerciseController.js';
+import { validateBody, validateQuery } from '../middleware/validation.js';
+import { authenticate, optionalAuth, requireInstructor } from '../middleware/tokenAuth.js';
+import {
+  ExerciseListQuerySchema,
+  ExerciseGetQuerySchema,
+  ExerciseCreateSchema,
+  ExerciseUpdateSchema,
+  ExerciseVersionCreateSchema,
+  ExerciseReviewSchema
+} from '../utils/validation.js';
+
+const router = Router();
+
+/**
+ * @route   GET /api/exercises
+ * @desc    List the latest published version of each exercise; ?status=draft|review|all lists
+ *          working versions (instructors only), filtered by ?difficulty=, ?type= and ?tag=
+ * @access  Public
+ */
+router.get(
+  '/',
+  optionalAuth,
+  validateQuery(ExerciseListQuerySchema),
+  exerciseController.listExercises.bind(exerciseController)
+);
+
+/**
+ * @route   POST /api/exercises
+ * @desc    Create an exercise as a draft, validated against the exercise schema
+ * @access  Private (instructor)
+ */
+router.post(
+  '/',
+  authenticate,
+  requireInstructor,
+  validateBody(ExerciseCreateSchema),
+  exerciseController.createExercise.bind(exerciseController)
+);
+
+/**
+ * @route   GET /api/exercises/:id
+ * @desc    Get the latest published version of an exercise; ?version= gets a semantic
+ *          version, or 'working' the draft or in-review version (instructors only)
+ * @access  Public
+ */
+router.get(
+  '/:id',
+  optionalAuth,
+  validateQuery(ExerciseGetQuerySchema),
+  exerciseController.getExercise.bind(exerciseController)
+);
+
+/**
+ * @route   PUT /api/exercises/:id
+ * @desc    Replace the exercise document of an exercise's draft
+ * @access  Private (instructor)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  requireInstructor,
+  validateBody(ExerciseUpdateSchema),
+  exerciseController.updateDraft.bind(exerciseController)
+);
+
+/**
+ * @route   DELETE /api/exercises/:id
+ * @desc    Discard an exercise's draft or in-review version
+ * @access  Private (instructor)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  requireInstructor,
+  exerciseController.discardWorkingVersion.bind(exerciseController)
+);
+
+/**
+ * @route   GET /api/exercises/:id/versions
+ * @desc    Get the version history of an exercise, newest first
+ * @access  Public
+ */
+router.get(
+  '/:id/versions',
+  exerciseController.listVersions.bind(exerciseController)
+);
+
+/**
+ * @route   POST /api/exercises/:id/versions
+ * @desc    Start a draft of the next version (bump major, minor or patch) from the latest published version
+ * @access  Private (instructor)
+ */
+router.post(
+  '/:id/versions',
+  authenticate,
+  requireInstructor,
+  validateBody(ExerciseVersionCreateSchema),
+  exerciseController.createVersion.bind(exerciseController)
+);
+
+/**
+ * @route   POST /api/exercises/:id/review
+ * @desc    Submit an exercise's draft for review
+ * @access  Private (instructor)
+ */
+router.post(
+  '/:id/review',
+  authenticate,
+  requireInstructor,
+  exerciseController.transition('submit')
+);
+
+/**
+ * @route   POST /api/exercises/:id/publish
+ * @desc    Publish an exercise's in-review version
+ * @access  Private (instructor)
+ */
+router.post(
+  '/:id/publish',
+  authenticate,
+  requireInstructor,
+  exerciseController.transition('publish')
+);
+
+/**
+ * @route   POST /api/exercises/:id/reject
+ * @desc    Return an exercise's in-review version to draft, with a note for the author
+ * @access  Private (instructor)
+ */
+router.post(
+  '/:id/reject',
+  authenticate,
+  requireInstructor,
+  validateBody(ExerciseReviewSchema),
+  exerciseController.transition('reject')
+);
+
+export default router;
@@ -1,6 +1,10 @@
 import { Router } from 'express';
 import cqlRoutes from './cqlRoutes.js';
 import healthRoutes from './healthRoutes.js';
+import patientRoutes from './patientRoutes.js';
+import libraryRoutes from './libraryRoutes.js';
+import exerciseRoutes from './exerciseRoutes.js';
+import assessmentRoutes from './assessmentRoutes.js';
 import { sendSuccess } from '../utils/response.js';
 
 const router = Router();
@@ -16,6 +20,10 @@ router.get('/', (req, res) => {
     endpoints: {
       health: '/api/health',
       cql: '/api/cql',
+      patients: '/api/patients',
+      libraries: '/api/libraries',
+      exercises: '/api/exercises',
+      assessments: '/api/assessments',
       documentation: '/api/docs'
     }
   }, 'CQL Code Clinic API is running');
@@ -24,5 +32,9 @@ router.get('/', (req, res) => {
 // Mount route modules
 router.use('/health', healthRoutes);
 router.use('/cql', cqlRoutes);
+router.use('/patients', patientRoutes);
+router.use('/libraries', libraryRoutes);
+router.use('/exercises', exerciseRoutes);
+router.use('/assessments', assessmentRoutes);
 
 export default router;
\ No newline at end of file
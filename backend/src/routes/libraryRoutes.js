@@ -0,0 +1,39 @@
+import { Router } from 'express';
+import { libraryController } from '../controllers/libraryController.js';
+import { validateQuery } from '../middleware/validation.js';
+import { LibraryListQuerySchema } from '../utils/validation.js';
+
+const router = Router();
+
+/**
+ * @route   GET /api/libraries
+ * @desc    List the CQL libraries that can be included; ?include=source adds their code
+ * @access  Public
+ */
+router.get(
+  '/',
+  validateQuery(LibraryListQuerySchema),
+  libraryController.listLibraries.bind(libraryController)
+);
+
+/**
+ * @route   GET /api/libraries/:name
+ * @desc    Get the latest version of a CQL library with its code
+ * @access  Public
+ */
+router.get(
+  '/:name',
+  libraryController.getLibrary.bind(libraryController)
+);
+
+/**
+ * @route   GET /api/libraries/:name/:version
+ * @desc    Get a version of a CQL library with its code
+ * @access  Public
+ */
+router.get(
+  '/:name/:version',
+  libraryController.getLibrary.bind(libraryController)
+);
+
+export default router;
@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import { patientController } from '../controllers/patientController.js';
+
+const router = Router();
+
+/**
+ * @route   GET /api/patients
+ * @desc    List synthetic patients available as execution contexts
+ * @access  Public
+ */
+router.get(
+  '/',
+  patientController.listPatients.bind(patientController)
+);
+
+/**
+ * @route   GET /api/patients/:id
+ * @desc    Get a synthetic patient and its FHIR bundle
+ * @access  Public
+ */
+router.get(
+  '/:id',
+  patientController.getPatient.bind(patientController)
+);
+
+export default router;
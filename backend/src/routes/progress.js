@@ -25,7 +25,26 @@ const trackSubmissionSchema = z.object({
     attempts: z.number().int().min(1).optional(),
     score: z.number().min(0).max(100).optional(),
     errors: z.array(z.string()).optional(),
-    testResults: z.record(z.string(), z.any()).optional()
+    testResults: z.record(z.string(), z.any()).optional(),
+    exerciseVersion: z.string().regex(/^\d+\.\d+\.\d+$/).optional(),
+    scoreBreakdown: z.object({
+      score: z.number().min(0).max(100),
+      passed: z.boolean(),
+      passingScore: z.number().min(0).max(100),
+      criteria: z.array(z.object({
+        id: z.string(),
+        label: z.string(),
+        weight: z.number(),
+        score: z.number().min(0).max(100),
+        points: z.number(),
+        passed: z.boolean(),
+        details: z.array(z.record(z.string(), z.any()))
+      })),
+      hintPenalty: z.object({
+        hintsUsed: z.number().int().min(0),
+        points: z.number().min(0)
+      })
+    }).optional()
   })
 });
 
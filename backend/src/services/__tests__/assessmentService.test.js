@@ -0,0 +1,134 @@
+import { AssessmentService } from '../assessmentService.js';
+import { exerciseCatalogService } from '../exerciseCatalogService.js';
+import { exampleExercises } from '../../../../shared/examples/example-exercises.js';
+
+const assessment = exampleExercises.find(exercise => exercise.type === 'assessment');
+const practice = exampleExercises.find(exercise => exercise.type !== 'assessment');
+
+const PASSING_CODE = "// Checks\nlibrary Answer version '1.0.0'\ndefine \"Check\": 2 > 1";
+const FAILING_CODE = '// Nothing yet';
+
+describe('AssessmentService', () => {
+  const service = new AssessmentService();
+  const exerciseId = 'timed-assessment';
+
+  beforeAll(async () => {
+    await exerciseCatalogService.createExercise({
+      ...assessment,
+      id: exerciseId,
+      validation: { ...assessment.validation, timeLimit: 10, maxSubmissions: 2 }
+    });
+    await exerciseCatalogService.transition(exerciseId, 'submit');
+    await exerciseCatalogService.transition(exerciseId, 'publish');
+  });
+
+  // Move an attempt's deadline into the past, beyond the grace period for late submissions
+  async function expire(attemptId) {
+    const store = await service.ready;
+    await store.update(attemptId, { deadline: new Date(Date.now() - 60 * 1000).toISOString() });
+  }
+
+  it('starts one timed attempt per learner at the latest published version', async () => {
+    const attempt = await service.startAttempt(exerciseId, { userId: 'learner-start' });
+
+    expect(attempt).toMatchObject({
+      exerciseId,
+      exerciseVersion: '1.0.0',
+      status: 'in_progress',
+      timeLimit: 10,
+      maxSubmissions: 2,
+      submissionsUsed: 0,
+      result: null
+    });
+    expect(Date.parse(attempt.deadline) - Date.parse(attempt.startedAt)).toBe(10 * 60 * 1000);
+    expect((await service.startAttempt(exerciseId, { userId: 'learner-start' })).id).toBe(attempt.id);
+    expect((await service.startAttempt(exerciseId, { userId: 'learner-other' })).id).not.toBe(attempt.id);
+  });
+
+  it('refuses exercises that are not assessments', async () => {
+    await expect(service.startAttempt(practice.id, { userId: 'learner-practice' }))
+      .rejects.toMatchObject({ code: 'NOT_AN_ASSESSMENT', statusCode: 400 });
+  });
+
+  it('withholds scores until the last submission, which is the attempt\'s grade', async () => {
+    const { id } = await service.startAttempt(exerciseId, { userId: 'learner-submit' });
+
+    const first = await service.submit(id, { code: FAILING_CODE }, { userId: 'learner-submit' });
+    expect(first).toMatchObject({ status: 'in_progress', submissionsUsed: 1, result: null });
+
+    const last = await service.submit(id, { code: PASSING_CODE }, { userId: 'learner-submit' });
+    expect(last).toMatchObject({ status: 'submitted', submissionsUsed: 2, finishedAt: expect.any(String) });
+    expect(last.result).toMatchObject({ score: 100, passed: true });
+    expect(last.result.submissions.map(({ score, passed }) => [score < 70, passed])).toEqual([[true, false], [false, true]]);
+    expect(last.result.submissions[0].code).toBeUndefined();
+    expect(last.result.breakdown.criteria.map(criterion => criterion.id)).toEqual(['patterns', 'execution']);
+
+    await expect(service.submit(id, { code: PASSING_CODE }, { userId: 'learner-submit' }))
+      .rejects.toMatchObject({ code: 'ATTEMPT_FINISHED', statusCode: 409, message: 'This assessment attempt is already finished' });
+  });
+
+  it('finishes an attempt early, scoring 0 without submissions', async () => {
+    const { id } = await service.startAttempt(exerciseId, { userId: 'learner-finish' });
+
+    expect(await service.hasFinishedAttempt(exerciseId, 'learner-finish')).toBe(false);
+    const finished = await service.finish(id, { userId: 'learner-finish' });
+
+    expect(finished).toMatchObject({ status: 'submitted', result: { score: 0, passed: false, breakdown: null, submissions: [] } });
+    expect(await service.hasFinishedAttempt(exerciseId, 'learner-finish')).toBe(true);
+    expect(await service.hasFinishedAttempt(exerciseId, null)).toBe(false);
+    await expect(service.finish(id, { userId: 'learner-finish' })).rejects.toMatchObject({ code: 'ATTEMPT_FINISHED' });
+  });
+
+  it('expires attempts past their deadline, graded by their last submission', async () => {
+    const { id } = await service.startAttempt(exerciseId, { userId: 'learner-late' });
+    await service.submit(id, { code: PASSING_CODE }, { userId: 'learner-late' });
+    await expire(id);
+
+    const expired = await service.getAttempt(id, { userId: 'learner-late' });
+    expect(expired).toMatchObject({ status: 'expired', result: { score: 100, passed: true } });
+    await expect(service.submit(id, { code: PASSING_CODE }, { userId: 'learner-late' }))
+      .rejects.toMatchObject({ code: 'ATTEMPT_FINISHED', message: 'The time for this assessment has run out' });
+    expect((await service.startAttempt(exerciseId, { userId: 'learner-late' })).status).toBe('expired');
+  });
+
+  it('reports other learners\' attempts as missing', async () => {
+    const { id } = await service.startAttempt(exerciseId, { userId: 'learner-owner' });
+
+    await expect(service.getAttempt(id, { userId: 'learner-intruder' }))
+      .rejects.toMatchObject({ code: 'NOT_FOUND', statusCode: 404 });
+    await expect(service.submit(id, { code: PASSING_CODE }, { userId: 'learner-intruder' }))
+      .rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  it('runs a learner\'s parallel requests one at a time', async () => {
+    const [first, second] = await Promise.all([
+      service.startAttempt(exerciseId, { userId: 'learner-parallel' }),
+      service.startAttempt(exerciseId, { userId: 'learner-parallel' })
+    ]);
+    expect(second.id).toBe(first.id);
+
+    const submissions = await Promise.allSettled([1, 2, 3].map(() => (
+      service.submit(first.id, { code: PASSING_CODE }, { userId: 'learner-parallel' })
+    )));
+    expect(submissions.map(outcome => outcome.status)).toEqual(['fulfilled', 'fulfilled', 'rejected']);
+    expect(submissions[2].reason.code).toBe('ATTEMPT_FINISHED');
+  });
+
+  it('grades exact-match exercises against the normalized solution', async () => {
+    const exercise = {
+      validation: { strategy: 'exact-match', exactMatch: { ignoreWhitespace: true } },
+      files: [{ solution: "library A version '1'\ndefine X: 1" }]
+    };
+
+    const matched = await service.grade(exercise, "library A  version '1'\n\ndefine X:\n  1");
+    const differs = await service.grade(exercise, "library A version '1'\ndefine X: 2");
+
+    expect(matched).toMatchObject({ score: 100, passed: true });
+    expect(differs.passed).toBe(false);
+    expect(differs.criteria[0].details).toEqual([{
+      label: 'Matches the expected solution',
+      passed: false,
+      message: 'The code differs from the expected solution'
+    }]);
+  });
+});
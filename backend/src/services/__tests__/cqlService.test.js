@@ -0,0 +1,31 @@
+import { CQLService } from '../cqlService.js';
+
+describe('CQLService.backendFor', () => {
+  const service = new CQLService();
+
+  afterEach(() => {
+    service.registry.chain = ['mock'];
+  });
+
+  it('leaves requests without traces or libraries to the chain', () => {
+    service.registry.chain = ['remote'];
+
+    expect(service.backendFor({ code: 'define A: 1' })).toBeUndefined();
+  });
+
+  it('runs traces on the first backend in the chain that supports them', () => {
+    service.registry.chain = ['remote', 'local'];
+
+    expect(service.backendFor({ trace: true })).toBe('local');
+    expect(service.backendFor({ libraries: [{ name: 'Common' }], backend: 'local' })).toBe('local');
+  });
+
+  it('rejects requests no backend in the chain supports', () => {
+    service.registry.chain = ['remote'];
+
+    expect(() => service.backendFor({ trace: true }))
+      .toThrow(expect.objectContaining({ code: 'UNSUPPORTED_REQUEST', statusCode: 400 }));
+    expect(() => service.backendFor({ libraries: [{ name: 'Common' }], backend: 'mock' }))
+      .toThrow('Invalid request: the mock backend does not support included libraries');
+  });
+});
@@ -0,0 +1,156 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ExerciseCatalogService, compareVersions, bumpVersion } from '../exerciseCatalogService.js';
+import { FileExerciseStore, createExerciseStore } from '../exercises/stores.js';
+import { openStore } from '../../utils/jsonFileStore.js';
+import { exampleExercises } from '../../../../shared/examples/example-exercises.js';
+
+const [tutorial] = exampleExercises;
+
+function createCatalog(file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-')), 'exercises.json')) {
+  const catalog = new ExerciseCatalogService(async () => {
+    const store = new FileExerciseStore(file);
+    await store.init();
+    return store;
+  });
+  return { catalog, file };
+}
+
+// An example exercise under another id, without a version so it starts at 1.0.0
+const newExercise = (id, changes = {}) => {
+  const exercise = { ...tutorial, id, ...changes };
+  delete exercise.version;
+  return exercise;
+};
+
+describe('ExerciseCatalogService', () => {
+  it('seeds an empty catalog with the example exercises as published versions', async () => {
+    const { catalog, file } = createCatalog();
+
+    const published = await catalog.listExercises();
+    expect(published.map(record => [record.id, record.version, record.status])).toEqual(
+      exampleExercises.map(exercise => [exercise.id, exercise.version, 'published'])
+    );
+    expect(published[0].publishedVersion).toBe(tutorial.version);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).versions).toHaveLength(exampleExercises.length);
+
+    expect((await catalog.listExercises({ difficulty: 'advanced' })).map(record => record.id)).toEqual(['clinical-logic-challenge']);
+    expect((await catalog.listExercises({ tag: 'debugging' })).map(record => record.id)).toEqual(['cql-operators-practice']);
+  });
+
+  it('moves a new exercise from draft through review to published', async () => {
+    const { catalog } = createCatalog();
+
+    const draft = await catalog.createExercise(newExercise('lifecycle'), { changeNote: 'First draft' });
+    expect(draft).toMatchObject({ id: 'lifecycle', version: '1.0.0', status: 'draft', changeNote: 'First draft' });
+    await expect(catalog.getExercise('lifecycle')).rejects.toMatchObject({ code: 'NOT_FOUND', statusCode: 404 });
+    expect((await catalog.listExercises({ status: 'draft' })).map(record => record.id)).toEqual(['lifecycle']);
+
+    const submitted = await catalog.transition('lifecycle', 'submit');
+    expect(submitted.status).toBe('review');
+    expect(submitted.submittedAt).toEqual(expect.any(String));
+    await expect(catalog.updateDraft('lifecycle', newExercise('lifecycle')))
+      .rejects.toMatchObject({ code: 'INVALID_TRANSITION', statusCode: 409 });
+
+    const rejected = await catalog.transition('lifecycle', 'reject', { reviewNote: 'Add a hint' });
+    expect(rejected).toMatchObject({ status: 'draft', reviewNote: 'Add a hint' });
+
+    const updated = await catalog.updateDraft('lifecycle', newExercise('lifecycle', { title: 'Revised' }));
+    expect(updated.exercise).toMatchObject({ id: 'lifecycle', version: '1.0.0', title: 'Revised' });
+    expect((await catalog.transition('lifecycle', 'submit')).reviewNote).toBeNull();
+
+    const published = await catalog.transition('lifecycle', 'publish');
+    expect(published).toMatchObject({ status: 'published', publishedAt: expect.any(String) });
+    expect((await catalog.getExercise('lifecycle')).exercise.title).toBe('Revised');
+    await expect(catalog.transition('lifecycle', 'publish')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  it('refuses duplicate ids, invalid documents and id changes', async () => {
+    const { catalog } = createCatalog();
+
+    await expect(catalog.createExercise(newExercise(tutorial.id)))
+      .rejects.toMatchObject({ code: 'CONFLICT', statusCode: 409 });
+
+    await expect(catalog.createExercise(newExercise('invalid', { difficulty: 'impossible' }))).rejects.toMatchObject({
+      code: 'INVALID_EXERCISE',
+      statusCode: 400,
+      details: [expect.objectContaining({ path: '/difficulty' })]
+    });
+
+    await catalog.createExercise(newExercise('renamed'));
+    await expect(catalog.updateDraft('renamed', newExercise('other')))
+      .rejects.toMatchObject({ code: 'INVALID_EXERCISE', statusCode: 400 });
+  });
+
+  it('starts new versions from the latest one, one working version at a time', async () => {
+    const { catalog } = createCatalog();
+
+    const minor = await catalog.createVersion(tutorial.id, { changeNote: 'More hints' });
+    expect(minor).toMatchObject({ version: '1.1.0', status: 'draft', exercise: { version: '1.1.0', title: tutorial.title } });
+    await expect(catalog.createVersion(tutorial.id)).rejects.toMatchObject({ code: 'CONFLICT', statusCode: 409 });
+
+    expect((await catalog.getExercise(tutorial.id, 'working')).version).toBe('1.1.0');
+    expect((await catalog.getExercise(tutorial.id)).version).toBe('1.0.0');
+    expect((await catalog.listExercises({ status: 'all' })).find(record => record.id === tutorial.id))
+      .toMatchObject({ version: '1.1.0', publishedVersion: '1.0.0' });
+
+    const discarded = await catalog.discardWorkingVersion(tutorial.id);
+    expect(discarded.version).toBe('1.1.0');
+    await expect(catalog.createVersion(tutorial.id, { version: '0.9.0' }))
+      .rejects.toMatchObject({ code: 'CONFLICT', message: 'Version 0.9.0 must be greater than 1.0.0' });
+
+    await catalog.createVersion(tutorial.id, { bump: 'major' });
+    await catalog.transition(tutorial.id, 'submit');
+    await catalog.transition(tutorial.id, 'publish');
+    expect((await catalog.getExercise(tutorial.id)).version).toBe('2.0.0');
+    expect((await catalog.getExercise(tutorial.id, '1.0.0')).status).toBe('published');
+    expect((await catalog.listVersions(tutorial.id)).map(record => [record.version, record.title, 'exercise' in record]))
+      .toEqual([['2.0.0', tutorial.title, false], ['1.0.0', tutorial.title, false]]);
+  });
+
+  it('keeps the versions in its file across restarts', async () => {
+    const { catalog, file } = createCatalog();
+    await catalog.createExercise(newExercise('persisted'));
+
+    const { catalog: reopened } = createCatalog(file);
+
+    expect((await reopened.getExercise('persisted', 'working')).status).toBe('draft');
+    expect(await reopened.listExercises()).toHaveLength(exampleExercises.length);
+  });
+});
+
+describe('exercise versions', () => {
+  it('compares versions numerically and bumps them', () => {
+    expect(compareVersions('1.10.0', '1.9.0')).toBeGreaterThan(0);
+    expect(compareVersions('1.0.0', '1.0.0')).toBe(0);
+    expect(compareVersions('1.0.1', '2.0.0')).toBeLessThan(0);
+
+    expect(bumpVersion('1.2.3', 'major')).toBe('2.0.0');
+    expect(bumpVersion('1.2.3', 'minor')).toBe('1.3.0');
+    expect(bumpVersion('1.2.3', 'patch')).toBe('1.2.4');
+  });
+});
+
+describe('openStore', () => {
+  it('falls back to the file store when the database cannot be opened', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'store-')), 'exercises.json');
+    const store = await openStore({
+      databaseUrl: 'postgresql://localhost/none',
+      openDatabase: async () => { throw new Error('connection refused'); },
+      createFileStore: () => new FileExerciseStore(file),
+      file,
+      description: 'Exercise'
+    });
+
+    expect(store.name).toBe('file');
+    expect(await store.list()).toEqual([]);
+  });
+
+  it('uses the file store when a database URL is set without the Prisma client installed', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'store-')), 'exercises.json');
+    const store = await createExerciseStore({ databaseUrl: 'postgresql://localhost/none', file });
+
+    expect(store.name).toBe('file');
+  });
+});
@@ -0,0 +1,127 @@
+import { exerciseValidationService } from '../exerciseValidationService.js';
+import { exerciseCatalogService } from '../exerciseCatalogService.js';
+import { exampleExercises } from '../../../../shared/examples/example-exercises.js';
+
+const LIBRARY = [
+  "library Test version '1.0.0'",
+  "using FHIR version '4.0.1'",
+  'parameter Threshold Integer default 1',
+  'context Patient',
+  'define ConditionCount: Count([Condition])',
+  'define AboveThreshold: Count([Condition]) > Threshold',
+  'define Ratio: 2.0 / 3.0',
+  'define Pair: { 1, 2 }'
+].join('\n');
+
+const PATIENT_RESOURCES = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { resource: { resourceType: 'Patient', id: 'fixture-patient', gender: 'female' } },
+    {
+      resource: {
+        resourceType: 'Condition',
+        id: 'fixture-condition',
+        subject: { reference: 'Patient/fixture-patient' },
+        code: { coding: [{ system: 'http://snomed.info/sct', code: '38341003' }] }
+      }
+    }
+  ]
+};
+
+describe('ExerciseValidationService.validateTestCases', () => {
+  it('runs each test case against its own fixture data', async () => {
+    const outcome = await exerciseValidationService.validateTestCases(LIBRARY, [
+      {
+        description: 'Synthetic diabetes patient',
+        input: { patientId: 'patient-diabetes' },
+        expectedOutput: { ConditionCount: 2, AboveThreshold: true }
+      },
+      {
+        description: 'Resources given with the test case',
+        input: { patientId: 'fixture-patient', resources: PATIENT_RESOURCES },
+        expectedOutput: { ConditionCount: 1, AboveThreshold: false }
+      }
+    ]);
+
+    expect(outcome).toMatchObject({ passed: true, score: 100, passedCount: 2, total: 2 });
+  });
+
+  it('binds parameters given as CQL literals', async () => {
+    const outcome = await exerciseValidationService.validateTestCases(LIBRARY, [{
+      description: 'Higher threshold',
+      input: { patientId: 'patient-diabetes', parameters: { Threshold: '5' } },
+      expectedOutput: { AboveThreshold: false }
+    }]);
+
+    expect(outcome.passed).toBe(true);
+  });
+
+  it('reports the path of each difference and allows numbers within the tolerance', async () => {
+    const outcome = await exerciseValidationService.validateTestCases(LIBRARY, [
+      { description: 'Within tolerance', expectedOutput: { Ratio: 0.67 }, tolerance: 0.01 },
+      { description: 'Wrong item', expectedOutput: { Pair: [1, 3], Missing: 1 } }
+    ]);
+    const [withinTolerance, wrongItem] = outcome.testResults;
+
+    expect(outcome).toMatchObject({ passed: false, score: 50, passedCount: 1, total: 2 });
+    expect(withinTolerance.passed).toBe(true);
+    expect(wrongItem.diffs).toEqual([
+      { define: 'Pair', path: '[1]', expected: 3, actual: 2, message: 'Expected 3, got 2' },
+      { define: 'Missing', path: '', expected: 1, actual: null, message: 'Definition "Missing" not found' }
+    ]);
+  });
+
+  it('fails a test case on translator errors and unknown fixture patients', async () => {
+    const outcome = await exerciseValidationService.validateTestCases(
+      "library Test version '1.0.0'\ndefine A: Foo",
+      [
+        { description: 'Broken library', expectedOutput: { A: 1 } },
+        { description: 'Unknown patient', input: { patientId: 'nobody' }, expectedOutput: { A: 1 } }
+      ]
+    );
+
+    expect(outcome.testResults.map(result => result.error)).toEqual([
+      'Could not resolve identifier Foo in the current library.',
+      'Unknown fixture patient: nobody'
+    ]);
+    expect(outcome.score).toBe(0);
+  });
+});
+
+describe('ExerciseValidationService.runExerciseValidator', () => {
+  const [tutorial] = exampleExercises;
+  const exercise = {
+    ...tutorial,
+    id: 'validated-comments',
+    validation: {
+      ...tutorial.validation,
+      passingScore: 50,
+      customValidator: 'function validate(code) { return { score: code.includes("//") ? 60 : 0 }; }'
+    }
+  };
+
+  beforeAll(async () => {
+    await exerciseCatalogService.createExercise(exercise);
+    await exerciseCatalogService.transition(exercise.id, 'submit');
+    await exerciseCatalogService.transition(exercise.id, 'publish');
+  });
+
+  it('runs the published version\'s validator with its passing score', async () => {
+    const outcome = await exerciseValidationService.runExerciseValidator({
+      code: "// Commented\nlibrary Test version '1.0.0'\ndefine A: 1",
+      exerciseId: exercise.id
+    });
+
+    expect(outcome).toMatchObject({ score: 60, passed: true, errors: [] });
+  });
+
+  it('refuses exercises without a validator and unpublished versions', async () => {
+    await expect(exerciseValidationService.runExerciseValidator({ code: '', exerciseId: tutorial.id }))
+      .rejects.toMatchObject({ code: 'NO_CUSTOM_VALIDATOR', statusCode: 400 });
+
+    await exerciseCatalogService.createVersion(exercise.id, { bump: 'patch' });
+    await expect(exerciseValidationService.runExerciseValidator({ code: '', exerciseId: exercise.id, version: '1.0.1' }))
+      .rejects.toMatchObject({ code: 'NOT_FOUND', statusCode: 404 });
+  });
+});
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LibraryService } from '../libraryService.js';
+import { LocalCQLEngine } from '../engine/index.js';
+
+function writeCatalog(libraries, sources) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'libraries-'));
+  fs.writeFileSync(path.join(dataDir, 'index.json'), JSON.stringify({ libraries }));
+  Object.entries(sources).forEach(([file, code]) => fs.writeFileSync(path.join(dataDir, file), code));
+  return dataDir;
+}
+
+describe('LibraryService', () => {
+  const service = new LibraryService();
+
+  it('loads the published libraries listed in data/libraries', () => {
+    const [helpers, common] = service.listLibraries();
+
+    expect(helpers).toMatchObject({ name: 'FHIRHelpers', version: '4.0.1+embedded', url: null, includes: [] });
+    expect(common).toMatchObject({ name: 'FHIRCommon', version: '4.0.1', includes: [{ name: 'FHIRHelpers', version: '4.0.1' }] });
+    expect(common.members).toContainEqual({ name: 'LOINC', kind: 'codesystem' });
+    expect(common.members).toContainEqual({
+      name: 'ToInterval',
+      kind: 'function',
+      signature: 'ToInterval(choice Choice<FHIR.dateTime, FHIR.Period, FHIR.instant>)'
+    });
+    expect(common.code).toBeUndefined();
+    expect(service.listLibraries({ includeSource: true })[1].code).toMatch(/^library FHIRCommon version '4.0.1'$/m);
+  });
+
+  it('gets the latest version of a library unless a version is given', () => {
+    const dataDir = writeCatalog([
+      { name: 'A', version: '1.0.9', file: 'a-1.0.9.cql' },
+      { name: 'A', version: '1.0.10', file: 'a-1.0.10.cql' }
+    ], {
+      'a-1.0.9.cql': "library A version '1.0.9'\ndefine X: 1",
+      'a-1.0.10.cql': "library A version '1.0.10'\ndefine private Y: 2\ndefine function F(x Integer) returns Integer: x"
+    });
+    const catalog = new LibraryService(dataDir);
+
+    expect(catalog.getLibrary('A')).toMatchObject({
+      version: '1.0.10',
+      members: [{ name: 'F', kind: 'function', signature: 'F(x Integer) returns Integer' }]
+    });
+    expect(catalog.getLibrary('A', '1.0.9').members).toEqual([{ name: 'X', kind: 'expression' }]);
+    expect(catalog.getLibrary('A', '2.0.0')).toBeNull();
+    expect(catalog.getLibrary('B')).toBeNull();
+    expect(catalog.getSources().map(source => source.name)).toEqual(['a-1.0.10.cql', 'a-1.0.9.cql']);
+  });
+
+  it('skips libraries that are missing or do not declare the listed name and version', () => {
+    const dataDir = writeCatalog([
+      { name: 'B', version: '1', file: 'b.cql' },
+      { name: 'C', version: '1', file: 'missing.cql' }
+    ], { 'b.cql': "library Other version '1'" });
+
+    expect(new LibraryService(dataDir).listLibraries()).toEqual([]);
+    expect(new LibraryService(path.join(dataDir, 'none')).listLibraries()).toEqual([]);
+  });
+
+  it('lets the engine include catalog libraries without sending them', () => {
+    const engine = new LocalCQLEngine({ catalog: service.getSources() });
+    const results = engine.execute({
+      code: [
+        "library Test version '1.0.0'",
+        "using FHIR version '4.0.1'",
+        "include FHIRHelpers version '4.0.1' called FHIRHelpers",
+        "include FHIRCommon version '4.0.1' called FC",
+        'context Patient',
+        'define ActiveCode: FC."active".code'
+      ].join('\n')
+    });
+
+    expect(results).toEqual([{ name: 'ActiveCode', location: '[6:1]', resultType: 'String', result: 'active' }]);
+  });
+});
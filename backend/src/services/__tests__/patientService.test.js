@@ -0,0 +1,49 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PatientService } from '../patientService.js';
+
+describe('PatientService', () => {
+  const service = new PatientService();
+
+  it('loads every synthetic patient listed in data/patients', () => {
+    const patients = service.listPatients();
+
+    expect(patients.map(patient => patient.id)).toEqual([
+      'patient-diabetes',
+      'patient-hypertension',
+      'patient-pediatric',
+      'patient-prenatal',
+      'patient-healthy'
+    ]);
+    patients.forEach(patient => expect(patient.birthDate).toMatch(/^\d{4}-\d{2}-\d{2}$/));
+  });
+
+  it('summarizes a patient\'s demographics and resources', () => {
+    const patient = service.getPatient('patient-diabetes');
+
+    expect(patient).toMatchObject({
+      id: 'patient-diabetes',
+      gender: 'male',
+      birthDate: '1966-03-14',
+      resourceCounts: { Condition: 2, Encounter: 3, Observation: 7, MedicationRequest: 2 }
+    });
+    expect(patient.bundle.resourceType).toBe('Bundle');
+    expect(service.getPatient('unknown')).toBeNull();
+  });
+
+  it('skips bundles that cannot be read', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'patients-'));
+    fs.writeFileSync(path.join(dataDir, 'index.json'), JSON.stringify({
+      patients: [{ id: 'missing', file: 'missing.json' }]
+    }));
+
+    try {
+      const empty = new PatientService(dataDir);
+      expect(empty.listPatients()).toEqual([]);
+      expect(empty.getDefaultPatientId()).toBeNull();
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+});
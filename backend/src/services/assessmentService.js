@@ -0,0 +1,323 @@
+import logger from '../config/logger.js';
+import { HttpStatusCode } from '../utils/response.js';
+import { createAssessmentStore } from './assessments/stores.js';
+import { exerciseCatalogService } from './exerciseCatalogService.js';
+import { exerciseValidationService } from './exerciseValidationService.js';
+import { cqlService } from './cqlService.js';
+import { checkLintRules } from '../../../shared/cql/index.js';
+import { checkPatterns, checkExecution, normalizeCode, scoreSolution } from '../../../shared/utils/exercise-scoring.js';
+import { checkExerciseBugs } from '../../../shared/utils/bug-diff.js';
+
+const DEFAULT_TIME_LIMIT = 30; // minutes
+const DEFAULT_MAX_SUBMISSIONS = 3;
+
+// Submissions sent as the countdown ends still count, allowing for network latency
+const SUBMISSION_GRACE_MS = 5000;
+
+/**
+ * Assessment error, carrying the HTTP status it is reported with
+ */
+export class AssessmentError extends Error {
+  constructor(message, code, statusCode) {
+    super(message);
+    this.name = 'AssessmentError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Assessment Service
+ * Runs timed, graded attempts at exercises of type 'assessment'. An attempt
+ * has `validation.timeLimit` minutes from the moment the server starts it and
+ * `validation.maxSubmissions` graded submissions. Submissions are graded here
+ * with the exercise's rubric, and their scores are withheld until the attempt
+ * is finished: by the learner, by using its last submission, or by running out
+ * of time. The last submission is the attempt's grade.
+ *
+ * Attempts are stored apart from practice progress, see assessments/stores.js.
+ */
+export class AssessmentService {
+  /**
+   * @param {Function} openStore - Resolves to the store, see assessments/stores.js
+   */
+  constructor(openStore = createAssessmentStore) {
+    this.ready = openStore();
+    // Failures are reported by the first request that awaits the store
+    this.ready.catch(() => {});
+    this.queues = new Map();
+  }
+
+  /**
+   * Start an attempt at the latest published version of an assessment. A
+   * learner gets one attempt per assessment: starting again returns their
+   * attempt, resumed while it is in progress and with its result once it has ended
+   * @param {string} exerciseId - Exercise id
+   * @param {object} options - { userId } of the signed-in learner
+   * @returns {Promise<object>} Attempt, see view()
+   */
+  async startAttempt(exerciseId, { userId }) {
+    return this.exclusive(userId, async () => {
+      const store = await this.ready;
+      const { version, exercise } = await exerciseCatalogService.getExercise(exerciseId);
+      if (exercise.type !== 'assessment') {
+        throw new AssessmentError(`Exercise ${exerciseId} is not an assessment`, 'NOT_AN_ASSESSMENT', HttpStatusCode.BAD_REQUEST);
+      }
+
+      const [previous] = await store.list({ userId, exerciseId });
+      if (previous) {
+        return view(await this.expireIfOverdue(previous));
+      }
+
+      const timeLimit = exercise.validation?.timeLimit || DEFAULT_TIME_LIMIT;
+      const startedAt = new Date();
+      const attempt = await store.create({
+        exerciseId,
+        exerciseVersion: version,
+        userId,
+        timeLimit,
+        maxSubmissions: exercise.validation?.maxSubmissions || DEFAULT_MAX_SUBMISSIONS,
+        startedAt: startedAt.toISOString(),
+        deadline: new Date(startedAt.getTime() + timeLimit * 60 * 1000).toISOString()
+      });
+
+      logger.info('Assessment attempt started', {
+        attemptId: attempt.id,
+        exerciseId,
+        version,
+        deadline: attempt.deadline
+      });
+      return view(attempt);
+    });
+  }
+
+  /**
+   * @param {string} attemptId - Attempt id
+   * @param {object} options - { userId } of the learner asking
+   * @returns {Promise<object>} Attempt, see view()
+   */
+  async getAttempt(attemptId, { userId }) {
+    return this.exclusive(userId, async () => {
+      const attempt = await this.expireIfOverdue(await this.findAttempt(attemptId, userId));
+      return view(attempt);
+    });
+  }
+
+  /**
+   * Grade a submission of an unfinished attempt; the attempt finishes with its last submission
+   * @param {string} attemptId - Attempt id
+   * @param {object} submission - { code, libraries: [{ name, code }] }
+   * @param {object} options - { userId } of the learner submitting
+   * @returns {Promise<object>} Attempt, see view()
+   */
+  async submit(attemptId, { code, libraries = [] }, { userId }) {
+    return this.exclusive(userId, async () => {
+      const store = await this.ready;
+      const attempt = await this.expireIfOverdue(await this.findAttempt(attemptId, userId));
+      if (attempt.status !== 'in_progress') {
+        throw finished(attempt);
+      }
+
+      const { exercise } = await exerciseCatalogService.getExercise(attempt.exerciseId, attempt.exerciseVersion);
+      const breakdown = await this.grade(exercise, code, libraries);
+      const submissions = [
+        ...attempt.submissions,
+        { submittedAt: new Date().toISOString(), code, score: breakdown.score, passed: breakdown.passed, breakdown }
+      ];
+
+      const updated = await store.update(attempt.id, submissions.length >= attempt.maxSubmissions
+        ? finishChanges('submitted', submissions)
+        : { submissions });
+
+      logger.info('Assessment submission graded', {
+        attemptId: attempt.id,
+        exerciseId: attempt.exerciseId,
+        submission: submissions.length,
+        status: updated.status
+      });
+      return view(updated);
+    });
+  }
+
+  /**
+   * Finish an attempt before its time runs out
+   * @param {string} attemptId - Attempt id
+   * @param {object} options - { userId } of the learner finishing
+   * @returns {Promise<object>} Attempt, see view()
+   */
+  async finish(attemptId, { userId }) {
+    return this.exclusive(userId, async () => {
+      const store = await this.ready;
+      const attempt = await this.expireIfOverdue(await this.findAttempt(attemptId, userId));
+      if (attempt.status !== 'in_progress') {
+        throw finished(attempt);
+      }
+
+      const updated = await store.update(attempt.id, finishChanges('submitted', attempt.submissions));
+      logger.info('Assessment attempt finished', { attemptId: attempt.id, score: updated.score, passed: updated.passed });
+      return view(updated);
+    });
+  }
+
+  /**
+   * Whether a learner's attempt at an assessment has ended, so its hints and
+   * solution can be shown to them
+   * @param {string} exerciseId - Exercise id
+   * @param {string} userId - Learner, or null when not signed in
+   * @returns {Promise<boolean>}
+   */
+  async hasFinishedAttempt(exerciseId, userId) {
+    if (!userId) return false;
+    return this.exclusive(userId, async () => {
+      const store = await this.ready;
+      const [attempt] = await store.list({ userId, exerciseId });
+      return Boolean(attempt) && (await this.expireIfOverdue(attempt)).status !== 'in_progress';
+    });
+  }
+
+  /**
+   * Score code against an exercise's rubric. Hints are locked during an
+   * assessment, so no hint penalty applies.
+   * @param {object} exercise - Exercise document
+   * @param {string} code - Learner's CQL library
+   * @param {Array} libraries - [{ name, code }] other files of the exercise
+   * @returns {Promise<object>} scoreSolution breakdown
+   */
+  async grade(exercise, code, libraries = []) {
+    const validation = exercise.validation || {};
+    const evidence = {};
+
+    if (validation.strategy === 'exact-match') {
+      const solution = exercise.files?.[0]?.solution || '';
+      const matches = normalizeCode(code, validation.exactMatch) === normalizeCode(solution, validation.exactMatch);
+      evidence.solution = {
+        score: matches ? 100 : 0,
+        passed: matches,
+        details: [{
+          label: 'Matches the expected solution',
+          passed: matches,
+          message: matches ? null : 'The code differs from the expected solution'
+        }]
+      };
+    } else if (validation.strategy === 'custom-function' && validation.customValidator) {
+      const custom = await exerciseValidationService.runCustomValidator({
+        code,
+        libraries,
+        validator: validation.customValidator,
+        exercise,
+        passingScore: validation.passingScore || 70
+      });
+      evidence.solution = {
+        score: custom.score,
+        passed: custom.passed,
+        details: custom.errors.map(error => ({ label: error, passed: false, message: null }))
+      };
+    }
+
+    if (validation.patterns?.length) {
+      evidence.patterns = checkPatterns(code, validation.patterns);
+    }
+    evidence.bugs = checkExerciseBugs(exercise, code);
+
+    if (validation.testCases?.length) {
+      const { testResults } = await exerciseValidationService.validateTestCases(code, validation.testCases, libraries);
+      evidence.tests = testResults;
+      evidence.execution = checkExecution(testResults);
+    } else if (code.trim()) {
+      const { results } = await cqlService.executeCQL({ code, libraries });
+      evidence.execution = checkExecution(results);
+    }
+
+    evidence.lint = checkLintRules(code, validation.lint?.rules);
+    return scoreSolution(validation, evidence);
+  }
+
+  // A learner's requests run one at a time, so parallel requests cannot start
+  // a second attempt or use more submissions than allowed
+  async exclusive(userId, task) {
+    const previous = this.queues.get(userId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    this.queues.set(userId, current);
+    try {
+      return await current;
+    } finally {
+      if (this.queues.get(userId) === current) this.queues.delete(userId);
+    }
+  }
+
+  async findAttempt(attemptId, userId) {
+    const store = await this.ready;
+    const attempt = await store.get(attemptId);
+    // Another learner's attempt is reported as missing
+    if (!attempt || attempt.userId !== userId) {
+      throw new AssessmentError(`Assessment attempt ${attemptId} not found`, 'NOT_FOUND', HttpStatusCode.NOT_FOUND);
+    }
+    return attempt;
+  }
+
+  // Attempts are expired when they are next read, so no timer has to outlive a request
+  async expireIfOverdue(attempt) {
+    if (attempt.status !== 'in_progress' || Date.now() <= Date.parse(attempt.deadline) + SUBMISSION_GRACE_MS) {
+      return attempt;
+    }
+
+    const store = await this.ready;
+    const expired = await store.update(attempt.id, finishChanges('expired', attempt.submissions));
+    logger.info('Assessment attempt expired', { attemptId: attempt.id, submissions: attempt.submissions.length });
+    return expired;
+  }
+}
+
+// The last submission is the attempt's grade; an attempt without submissions scores 0
+function finishChanges(status, submissions) {
+  const last = submissions[submissions.length - 1];
+  return {
+    status,
+    submissions,
+    finishedAt: new Date().toISOString(),
+    score: last?.score ?? 0,
+    passed: last?.passed ?? false,
+    scoreBreakdown: last?.breakdown ?? null
+  };
+}
+
+function finished(attempt) {
+  return new AssessmentError(
+    attempt.status === 'expired' ? 'The time for this assessment has run out' : 'This assessment attempt is already finished',
+    'ATTEMPT_FINISHED',
+    HttpStatusCode.CONFLICT
+  );
+}
+
+/**
+ * The attempt as shown to its learner; scores and submitted code are withheld
+ * until the attempt is finished. `serverTime` lets clients count down to the
+ * deadline whatever their own clock says.
+ */
+function view(attempt) {
+  const isFinished = attempt.status !== 'in_progress';
+  return {
+    id: attempt.id,
+    exerciseId: attempt.exerciseId,
+    exerciseVersion: attempt.exerciseVersion,
+    status: attempt.status,
+    timeLimit: attempt.timeLimit,
+    maxSubmissions: attempt.maxSubmissions,
+    submissionsUsed: attempt.submissions.length,
+    startedAt: attempt.startedAt,
+    deadline: attempt.deadline,
+    finishedAt: attempt.finishedAt,
+    serverTime: new Date().toISOString(),
+    result: isFinished
+      ? {
+        score: attempt.score,
+        passed: attempt.passed,
+        breakdown: attempt.scoreBreakdown,
+        submissions: attempt.submissions.map(({ submittedAt, score, passed }) => ({ submittedAt, score, passed }))
+      }
+      : null
+  };
+}
+
+// Create singleton instance
+export const assessmentService = new AssessmentService();
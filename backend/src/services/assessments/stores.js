@@ -0,0 +1,153 @@
+/**
+ * Assessment Stores
+ * Persistence for graded assessment attempts. Every record is one attempt:
+ * { id, exerciseId, exerciseVersion, userId, status, timeLimit,
+ * maxSubmissions, submissions, score, passed, scoreBreakdown, startedAt,
+ * deadline, finishedAt }. The database store keeps them with learner progress
+ * through progressService; the file store keeps them in a JSON file for
+ * development without a database.
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import env from '../../config/env.js';
+import { JsonFileStore, clone, openStore } from '../../utils/jsonFileStore.js';
+
+// Field order of a record, with the values of fields that are not set yet
+const EMPTY_RECORD = {
+  id: null,
+  exerciseId: null,
+  exerciseVersion: null,
+  userId: null,
+  status: 'in_progress',
+  timeLimit: null,
+  maxSubmissions: null,
+  submissions: [],
+  score: null,
+  passed: null,
+  scoreBreakdown: null,
+  startedAt: null,
+  deadline: null,
+  finishedAt: null
+};
+
+const DATE_FIELDS = ['startedAt', 'deadline', 'finishedAt'];
+
+const DEFAULT_STORE_FILE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../../data/assessments.json');
+
+/**
+ * Database store, for the AssessmentAttempt model in prisma/schema-exercises.prisma
+ */
+export class ProgressAssessmentStore {
+  /**
+   * @param {object} progressService - The progress service, see services/progressService.js
+   */
+  constructor(progressService) {
+    this.name = 'database';
+    this.progress = progressService;
+  }
+
+  /**
+   * @param {object} filter - { userId, exerciseId, status }
+   * @returns {Promise<Array>} Records, newest first
+   */
+  async list(filter = {}) {
+    const rows = await this.progress.getAssessmentAttempts(filter);
+    return rows.map(fromRow);
+  }
+
+  async get(id) {
+    const [row] = await this.progress.getAssessmentAttempts({ attemptId: id });
+    return row ? fromRow(row) : null;
+  }
+
+  async create(record) {
+    return fromRow(await this.progress.createAssessmentAttempt(toRow(record)));
+  }
+
+  async update(id, changes) {
+    return fromRow(await this.progress.updateAssessmentAttempt(id, toRow(changes)));
+  }
+}
+
+function toRow(record) {
+  const row = { ...record };
+  DATE_FIELDS.forEach(field => {
+    if (row[field]) row[field] = new Date(row[field]);
+  });
+  return row;
+}
+
+function fromRow(row) {
+  const record = {};
+  Object.keys(EMPTY_RECORD).forEach(field => {
+    record[field] = DATE_FIELDS.includes(field) && row[field] ? row[field].toISOString() : row[field];
+  });
+  return record;
+}
+
+/**
+ * File store, keeping the attempts in a JSON file
+ */
+export class FileAssessmentStore extends JsonFileStore {
+  /**
+   * @param {string} file - Path of the JSON file, created on the first change
+   */
+  constructor(file) {
+    super(file, 'attempts');
+  }
+
+  async list({ userId, exerciseId, status } = {}) {
+    return this.records
+      .filter(record => (!userId || record.userId === userId)
+        && (!exerciseId || record.exerciseId === exerciseId)
+        && (!status || record.status === status))
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .map(clone);
+  }
+
+  async get(id) {
+    const record = this.records.find(candidate => candidate.id === id);
+    return record ? clone(record) : null;
+  }
+
+  async create(record) {
+    const created = { ...EMPTY_RECORD, ...record, id: crypto.randomUUID() };
+    this.records.push(created);
+    this.save();
+    return clone(created);
+  }
+
+  async update(id, changes) {
+    const record = this.records.find(candidate => candidate.id === id);
+    if (!record) throw new Error(`Assessment attempt ${id} does not exist`);
+
+    Object.assign(record, changes);
+    this.save();
+    return clone(record);
+  }
+}
+
+/**
+ * Open the database store when DATABASE_URL is set and the Prisma client is
+ * installed, otherwise the file store
+ * @returns {Promise<object>} Initialized store
+ */
+export async function createAssessmentStore({
+  databaseUrl = env.DATABASE_URL,
+  file = env.ASSESSMENT_STORE_FILE || DEFAULT_STORE_FILE
+} = {}) {
+  return openStore({
+    databaseUrl,
+    file,
+    description: 'Assessment',
+    async openDatabase() {
+      // The progress service needs the optional Prisma client, so it is loaded on demand
+      const { default: progressService } = await import('../progressService.js');
+      await progressService.getAssessmentAttempts({ status: 'in_progress' });
+      return new ProgressAssessmentStore(progressService);
+    },
+    createFileStore: () => new FileAssessmentStore(file)
+  });
+}
@@ -1,4 +1,3 @@
-import Redis from 'redis';
 import winston from 'winston';
 import crypto from 'crypto';
 
@@ -43,11 +42,13 @@ export class CacheService {
   }
 
   /**
-   * Initialize Redis connection with fallback to memory cache
+   * Initialize Redis connection with fallback to memory cache.
+   * The redis client is an optional dependency, so it is loaded on demand.
    */
   async initializeRedis() {
     try {
-      this.redisClient = Redis.createClient({
+      const { createClient } = await import('redis');
+      this.redisClient = createClient({
         socket: {
           host: this.config.redis.host,
           port: this.config.redis.port,
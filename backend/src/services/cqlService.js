@@ -1,269 +1,115 @@
 import axios from 'axios';
 import env from '../config/env.js';
 import logger from '../config/logger.js';
+import { formatCQL, translateCQL, elmToXML } from '../../../shared/cql/index.js';
+import { attachDiagnostics } from '../utils/cqlDiagnostics.js';
+import cacheService from './cacheService.js';
+import { patientService } from './patientService.js';
+import { libraryService } from './libraryService.js';
+import { ExecutionBackendRegistry } from './execution/registry.js';
+import { ExecutionResultCache } from './execution/resultCache.js';
+import { ExecutionError } from './sandbox/engineSandbox.js';
+import { HttpStatusCode } from '../utils/response.js';
+import {
+  RemoteExecutionBackend,
+  LocalExecutionBackend,
+  MockExecutionBackend
+} from './execution/backends.js';
 
 export class CQLService {
   constructor() {
     this.baseURL = env.CQL_EXECUTION_SERVICE_URL;
-    this.client = axios.create({
+
+    const backendOptions = {
+      failureThreshold: env.CQL_CIRCUIT_BREAKER_THRESHOLD,
+      resetTimeout: env.CQL_CIRCUIT_BREAKER_RESET_MS,
+      healthCheckInterval: env.CQL_HEALTH_CHECK_INTERVAL
+    };
+
+    this.registry = new ExecutionBackendRegistry({ chain: getBackendChain() });
+    this.remote = this.registry.register(new RemoteExecutionBackend({
+      ...backendOptions,
       baseURL: this.baseURL,
-      timeout: env.CQL_REQUEST_TIMEOUT,
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'CQL-Code-Clinic-Backend/1.0.0'
+      timeout: env.CQL_REQUEST_TIMEOUT
+    }));
+    this.registry.register(new LocalExecutionBackend({
+      ...backendOptions,
+      engine: {
+        bundles: patientService.getBundles(),
+        catalog: libraryService.getSources(),
+        timeout: env.CQL_ENGINE_TIMEOUT_MS,
+        memoryLimit: env.CQL_ENGINE_MEMORY_MB
       }
-    });
+    }));
+    this.registry.register(new MockExecutionBackend(backendOptions));
 
-    // Request interceptor for logging
-    this.client.interceptors.request.use(
-      (config) => {
-        logger.debug('CQL Service Request', {
-          method: config.method?.toUpperCase(),
-          url: config.url,
-          baseURL: config.baseURL,
-          timeout: config.timeout
-        });
-        return config;
-      },
-      (error) => {
-        logger.error('CQL Service Request Error', { error: error.message });
-        return Promise.reject(error);
-      }
-    );
-
-    // Response interceptor for logging and error handling
-    this.client.interceptors.response.use(
-      (response) => {
-        logger.debug('CQL Service Response', {
-          status: response.status,
-          statusText: response.statusText,
-          url: response.config.url,
-          responseTime: response.headers['x-response-time']
-        });
-        return response;
-      },
-      (error) => {
-        logger.error('CQL Service Response Error', {
-          status: error.response?.status,
-          statusText: error.response?.statusText,
-          url: error.config?.url,
-          message: error.message,
-          code: error.code
-        });
-        return Promise.reject(error);
-      }
-    );
+    this.resultCache = new ExecutionResultCache({
+      cache: cacheService,
+      enabled: env.CQL_CACHE_ENABLED,
+      ttl: env.CQL_CACHE_TTL,
+      errorTtl: env.CQL_CACHE_ERROR_TTL
+    });
   }
 
   /**
-   * Execute CQL code
+   * Execute CQL code on the first available backend, or serve it from the result cache
+   * @param {object} request - CQL execution request; `backend` selects a single backend,
+   *   `cache: false` skips the result cache, `trace: true` returns evaluation traces and
+   *   `libraries` are the sources of libraries the code may include
+   * @param {object} context - { requestId }
+   * @returns {Promise<object>} { results, backend, failover, cache: 'hit' | 'miss' | 'bypass' }
    */
-  async executeCQL(request) {
+  async executeCQL(request, context = {}) {
     try {
       logger.info('Executing CQL code', {
         codeLength: request.code.length,
         hasParameters: Boolean(request.parameters?.length),
-        patientId: request.patientId
+        patientId: request.patientId,
+        backend: request.backend || this.registry.chain.join(',')
       });
 
-      // For development: return mock response if CQL service is not available
-      if (env.NODE_ENV === 'development') {
-        try {
-          // Try to connect to the actual service first
-          const response = await this.client.post('/cql/evaluate', {
-            code: request.code,
-            terminologyServiceUri: request.terminologyServiceUri || `${this.baseURL}/baseR4`,
-            dataServiceUri: request.dataServiceUri || `${this.baseURL}/baseR4`,
-            patientId: request.patientId || 'example-patient-id',
-            parameters: request.parameters || []
-          });
-
-          logger.info('CQL execution completed successfully', {
-            resultsCount: response.data.length,
-            hasErrors: response.data.some(result => result.error || result['translator-error'])
-          });
-
-          return response.data;
-        } catch (connectionError) {
-          logger.warn('CQL service unavailable, using mock response', {
-            error: connectionError.message,
-            code: connectionError.code
-          });
-
-          // Return mock successful response for development
-          // Create realistic mock results based on common CQL patterns
-          const mockResults = [];
-          const codeSnippet = request.code.toLowerCase();
-          
-          if (codeSnippet.includes('define')) {
-            // Extract full define statements with their expressions
-            const defineRegex = /define\s+"([^"]+)"\s*:\s*([^\r\n]+)/gi;
-            const defineMatches = [...request.code.matchAll(defineRegex)];
-            
-            if (defineMatches && defineMatches.length > 0) {
-              defineMatches.forEach((match, index) => {
-                const name = match[1]; // Expression name
-                const expression = match[2].trim(); // Expression content
-                
-                // Generate appropriate mock result based on the specific expression
-                let result, resultType;
-                
-                // String concatenation (check before mathematical expressions)
-                if ((/['"][^'"]*['"]\s*\+\s*['"][^'"]*['"]/.test(expression))) {
-                  // Handle string concatenation like 'hello' + 'world', "a" + "b", or 'strip' + 'club'
-                  const singleQuoteMatch = expression.match(/'([^']+)'\s*\+\s*'([^']+)'/);
-                  const doubleQuoteMatch = expression.match(/"([^"]+)"\s*\+\s*"([^"]+)"/);
-                  
-                  if (singleQuoteMatch) {
-                    result = singleQuoteMatch[1] + singleQuoteMatch[2];
-                    resultType = 'String';
-                  } else if (doubleQuoteMatch) {
-                    result = doubleQuoteMatch[1] + doubleQuoteMatch[2];
-                    resultType = 'String';
-                  } else {
-                    // Fallback for complex string concatenation
-                    result = "concatenated string";
-                    resultType = 'String';
-                  }
-                }
-                // Mathematical expressions (after string concatenation check)
-                else if (expression.includes('+') || expression.includes('-') || expression.includes('*') || expression.includes('/') || expression.includes('^')) {
-                  // Simple arithmetic like "1 + 1", "5 - 2", "3 * 4", "10 / 2"
-                  if (/^\d+\s*[+\-*/]\s*\d+$/.test(expression)) {
-                    try {
-                      const evalResult = eval(expression); // Safe for simple arithmetic in mock service
-                      result = Number.isInteger(evalResult) ? evalResult : parseFloat(evalResult.toFixed(2));
-                      resultType = Number.isInteger(evalResult) ? 'Integer' : 'Decimal';
-                    } catch (e) {
-                      result = 42;
-                      resultType = 'Integer';
-                    }
-                  }
-                  // For BMI calculation or similar
-                  else if (expression.toLowerCase().includes('weight') && expression.toLowerCase().includes('height')) {
-                    result = 24.49; // Mock BMI result
-                    resultType = 'Quantity';
-                  }
-                  // More complex expressions - provide reasonable mock results
-                  else if (expression.includes('+')) {
-                    result = 42; // Generic addition result
-                    resultType = 'Integer';
-                  } else if (expression.includes('-')) {
-                    result = 8; // Generic subtraction result
-                    resultType = 'Integer';
-                  } else if (expression.includes('*')) {
-                    result = 15; // Generic multiplication result
-                    resultType = 'Integer';
-                  } else if (expression.includes('/')) {
-                    result = 2.5; // Generic division result
-                    resultType = 'Decimal';
-                  } else {
-                    result = 42.0; // Generic calculation result
-                    resultType = 'Decimal';
-                  }
-                }
-                // Boolean values
-                else if (expression === 'true') {
-                  result = true;
-                  resultType = 'Boolean';
-                } else if (expression === 'false') {
-                  result = false;
-                  resultType = 'Boolean';
-                }
-                // Numbers (integers and decimals)
-                else if (/^\d+$/.test(expression)) {
-                  result = parseInt(expression);
-                  resultType = 'Integer';
-                } else if (/^\d+\.\d+$/.test(expression)) {
-                  result = parseFloat(expression);
-                  resultType = 'Decimal';
-                }
-                // String literals
-                else if (/^'.*'$/.test(expression)) {
-                  result = expression.slice(1, -1); // Remove quotes
-                  resultType = 'String';
-                } else if (/^".*"$/.test(expression)) {
-                  result = expression.slice(1, -1); // Remove quotes
-                  resultType = 'String';
-                }
-                // Functions like Today()
-                else if (expression === 'Today()') {
-                  result = new Date().toISOString().split('T')[0];
-                  resultType = 'Date';
-                }
-                // Date literals
-                else if (/^@\d{4}-\d{2}-\d{2}/.test(expression)) {
-                  result = expression.substring(1, 11); // Remove @ and keep date part
-                  resultType = 'DateTime';
-                }
-                // Quantities with units
-                else if (/\d+\s*'[^']+'/g.test(expression)) {
-                  const match = expression.match(/(\d+(?:\.\d+)?)\s*'([^']+)'/);
-                  if (match) {
-                    result = `${match[1]} ${match[2]}`;
-                    resultType = 'Quantity';
-                  } else {
-                    result = expression;
-                    resultType = 'Quantity';
-                  }
-                }
-                // Default fallback
-                else {
-                  result = `✓ ${name} evaluated`;
-                  resultType = 'String';
-                }
-                
-                mockResults.push({
-                  name: name,
-                  location: `TestLibrary.cql:${index + 1}:1`,
-                  resultType: resultType,
-                  result: result
-                });
-              });
-            } else {
-              // Fallback for malformed define statements
-              mockResults.push({
-                name: 'CQLExpression',
-                location: 'TestLibrary.cql:1:1',
-                resultType: 'String',
-                result: '✓ CQL code executed successfully'
-              });
-            }
-          } else {
-            // No define statements, simple expression
-            mockResults.push({
-              name: 'SimpleExpression',
-              location: 'TestLibrary.cql:1:1', 
-              resultType: 'String',
-              result: '✓ Expression evaluated successfully'
-            });
-          }
-
-          logger.info('Mock CQL execution completed', {
-            codeLength: request.code.length,
-            mockResponse: true,
-            resultsCount: mockResults.length
-          });
-
-          return mockResults;
+      const backend = this.backendFor(request);
+      const bypassReason = this.resultCache.bypassReason(request);
+      if (bypassReason) {
+        this.resultCache.recordBypass();
+        logger.debug('Skipping CQL result cache', { reason: bypassReason });
+      } else {
+        const cached = await this.resultCache.get(request);
+        if (cached) {
+          logger.info('CQL execution served from cache', { backend: cached.backend });
+          return {
+            results: attachDiagnostics(cached.results, request.code),
+            backend: cached.backend,
+            failover: [],
+            cache: 'hit'
+          };
         }
       }
 
-      // Production: always try to use real service
-      const response = await this.client.post('/cql/evaluate', {
-        code: request.code,
-        terminologyServiceUri: request.terminologyServiceUri || `${this.baseURL}/baseR4`,
-        dataServiceUri: request.dataServiceUri || `${this.baseURL}/baseR4`,
-        patientId: request.patientId || 'example-patient-id',
-        parameters: request.parameters || []
+      const execution = await this.registry.execute(request, {
+        backend,
+        requestId: context.requestId
       });
+      if (!bypassReason) {
+        await this.resultCache.set(request, execution);
+      }
+      execution.results = attachDiagnostics(execution.results, request.code);
+      execution.cache = bypassReason ? 'bypass' : 'miss';
+
+      if (execution.failover.length > 0) {
+        logger.warn('CQL execution failed over', {
+          backend: execution.backend,
+          failover: execution.failover
+        });
+      }
 
       logger.info('CQL execution completed successfully', {
-        resultsCount: response.data.length,
-        hasErrors: response.data.some(result => result.error || result['translator-error'])
+        backend: execution.backend,
+        resultsCount: execution.results.length,
+        hasErrors: execution.results.some(result => result.error || result['translator-error'])
       });
 
-      return response.data;
+      return execution;
     } catch (error) {
       logger.error('CQL execution failed', {
         error: error instanceof Error ? error.message : 'Unknown error',
@@ -284,69 +130,151 @@ export class CQLService {
         }
       }
 
+      if (error instanceof ExecutionError) {
+        throw error;
+      }
+
       throw new Error('CQL execution failed due to an unexpected error');
     }
   }
 
+  /**
+   * Backend for a request. Traces and included libraries need a backend that supports
+   * them: the requested one if it does, else the first in the chain that does.
+   */
+  backendFor(request) {
+    const required = [
+      request.trace && { capability: 'supportsTrace', description: 'tracing' },
+      request.libraries?.length > 0 && { capability: 'supportsLibraries', description: 'included libraries' }
+    ].filter(Boolean);
+    if (required.length === 0) return request.backend;
+
+    const candidates = (request.backend ? [request.backend] : this.registry.chain).map(name => this.registry.get(name));
+    const backend = candidates.find(candidate => required.every(({ capability }) => candidate[capability]));
+    if (!backend) {
+      const missing = required.find(({ capability }) => candidates.some(candidate => !candidate[capability]));
+      throw new ExecutionError(
+        request.backend
+          ? `Invalid request: the ${request.backend} backend does not support ${missing.description}`
+          : `Invalid request: no backend in the chain (${this.registry.chain.join(', ')}) supports ${missing.description}`,
+        'UNSUPPORTED_REQUEST',
+        HttpStatusCode.BAD_REQUEST
+      );
+    }
+    return backend.name;
+  }
+
   /**
    * Format CQL code
+   *
+   * The remote service formats by default. The shared formatter is used when
+   * formatting options are given (the service does not take any) and when the
+   * service fails or returns nothing; code it cannot parse comes back
+   * unchanged along with the syntax errors.
    */
   async formatCQL(request) {
-    try {
-      logger.info('Formatting CQL code', {
-        codeLength: request.code.length
-      });
-
-      const response = await this.client.post('/cql/format', {
-        code: request.code
-      });
+    logger.info('Formatting CQL code', {
+      codeLength: request.code.length
+    });
 
-      logger.info('CQL formatting completed successfully');
+    if (!request.options) {
+      try {
+        const data = await this.remote.format(request);
 
-      // The service returns an array, but we expect the first element
-      return response.data[0] || { 'formatted-cql': request.code };
-    } catch (error) {
-      logger.error('CQL formatting failed', {
-        error: error instanceof Error ? error.message : 'Unknown error',
-        code: error?.code,
-        status: error?.response?.status
-      });
+        // The service returns an array, but we expect the first element
+        if (data?.[0]?.['formatted-cql']) {
+          logger.info('CQL formatting completed successfully');
+          return { ...data[0], formatter: 'remote' };
+        }
+        logger.warn('CQL formatting service returned no result; using the built-in formatter');
+      } catch (error) {
+        logger.warn('CQL formatting service failed; using the built-in formatter', {
+          error: error instanceof Error ? error.message : 'Unknown error',
+          code: error?.code,
+          status: error?.response?.status
+        });
+      }
+    }
 
-      // For formatting, we can fall back to returning the original code
-      logger.warn('Falling back to original CQL code due to formatting error');
-      return { 'formatted-cql': request.code };
+    const { formatted, errors } = formatCQL(request.code, request.options);
+    if (errors.length > 0) {
+      logger.warn('CQL code was not formatted', { errorCount: errors.length });
     }
+
+    return {
+      'formatted-cql': formatted,
+      formatter: 'local',
+      errors: errors.map(error => ({
+        message: error.message,
+        location: error.location || null
+      }))
+    };
   }
 
   /**
-   * Check if CQL service is healthy
+   * Translate CQL code to ELM with the built-in translator
+   * @param {object} request - { code, libraries, options: { annotations, locators, resultTypes } }
+   * @returns {object} { elm, xml, errors, options } where `elm` is the ELM JSON and `xml` its
+   *   ELM XML serialization; translation errors are also annotations on the library
    */
-  async healthCheck() {
-    const startTime = Date.now();
+  translateToELM(request) {
+    const options = {
+      annotations: request.options?.annotations ?? true,
+      locators: request.options?.locators ?? true,
+      resultTypes: request.options?.resultTypes ?? true
+    };
 
-    try {
-      await this.client.get('/health');
-      const responseTime = Date.now() - startTime;
+    const { elm, errors } = translateCQL(request.code, {
+      ...options,
+      // Libraries sent with the request take precedence over catalog libraries of the same version
+      libraries: [...(request.libraries || []), ...libraryService.getSources()].map(library => library.code)
+    });
 
-      logger.debug('CQL Service health check passed', { responseTime });
+    if (errors.length > 0) {
+      logger.debug('CQL translated with errors', { errorCount: errors.length });
+    }
 
-      return {
-        status: 'ok',
-        responseTime
-      };
-    } catch (error) {
-      const responseTime = Date.now() - startTime;
+    return {
+      elm,
+      xml: elmToXML(elm),
+      errors: errors.map(error => ({
+        message: error.message,
+        severity: error.severity,
+        errorType: error.errorType,
+        location: error.location || null
+      })),
+      options
+    };
+  }
 
-      logger.warn('CQL Service health check failed', {
-        error: error instanceof Error ? error.message : 'Unknown error',
-        responseTime
-      });
+  /**
+   * Check if the remote CQL Execution Service is healthy
+   */
+  async healthCheck() {
+    const health = await this.remote.checkHealth(true);
 
-      return {
-        status: 'error',
-        responseTime
-      };
+    if (health.status === 'ok') {
+      logger.debug('CQL Service health check passed', { responseTime: health.responseTime });
     }
+
+    return {
+      status: health.status,
+      responseTime: health.responseTime
+    };
+  }
+
+  /**
+   * Health and circuit state of every execution backend plus recent executions
+   */
+  async getBackendStatus() {
+    return this.registry.getStatus();
+  }
+
+  /**
+   * Hit, miss and bypass counts of the execution result cache
+   */
+  getCacheStats() {
+    return this.resultCache.getStats();
   }
 
   /**
@@ -355,10 +283,29 @@ export class CQLService {
   getServiceInfo() {
     return {
       baseURL: this.baseURL,
-      timeout: env.CQL_REQUEST_TIMEOUT
+      timeout: env.CQL_REQUEST_TIMEOUT,
+      backends: this.registry.chain
     };
   }
 }
 
+/**
+ * Default backend order: CQL_EXECUTION_BACKENDS, or per environment
+ */
+function getBackendChain() {
+  if (env.CQL_EXECUTION_BACKENDS) {
+    return env.CQL_EXECUTION_BACKENDS;
+  }
+
+  switch (env.NODE_ENV) {
+    case 'test':
+      return ['mock'];
+    case 'production':
+      return ['remote'];
+    default:
+      return ['remote', 'local'];
+  }
+}
+
 // Create singleton instance
 export const cqlService = new CQLService();
\ No newline at end of file
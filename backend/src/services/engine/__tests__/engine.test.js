@@ -0,0 +1,194 @@
+import { LocalCQLEngine } from '../index.js';
+
+const diabetesBundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { resource: { resourceType: 'Patient', id: 'patient-diabetes', gender: 'male', birthDate: '1965-03-12' } },
+    { resource: { resourceType: 'Condition', id: 'condition-1', subject: { reference: 'Patient/patient-diabetes' } } },
+    { resource: { resourceType: 'Condition', id: 'condition-2', subject: { reference: 'Patient/patient-diabetes' } } }
+  ]
+};
+
+function run(defines, options = {}) {
+  const engine = new LocalCQLEngine(options);
+  const code = `library Test version '1.0.0'\n${defines}`;
+  return Object.fromEntries(engine.execute({ code }).map(result => [result.name, result]));
+}
+
+describe('LocalCQLEngine', () => {
+  it('evaluates arithmetic, strings and aggregates', () => {
+    const results = run([
+      'define Sum: 1 + 2',
+      "define Joined: 'a' + 'b'",
+      'define Total: Sum({ 1, 2, 3 })',
+      'define Rounded: Round(3.14159, 2)'
+    ].join('\n'));
+
+    expect(results.Sum).toMatchObject({ resultType: 'Integer', result: 3, location: '[2:1]' });
+    expect(results.Joined.result).toBe('ab');
+    expect(results.Total.result).toBe(6);
+    expect(results.Rounded).toMatchObject({ resultType: 'Decimal', result: 3.14 });
+  });
+
+  it('returns null for Integer overflow and division by zero', () => {
+    const results = run('define Overflow: 2147483647 + 1\ndefine Divided: 1 / 0');
+
+    expect(results.Overflow.result).toBeNull();
+    expect(results.Divided.result).toBeNull();
+  });
+
+  it('propagates null through operators', () => {
+    const results = run('define Length: Length(null as String)');
+
+    expect(results.Length).toMatchObject({ resultType: 'Integer', result: null });
+  });
+
+  it('removes an interval from the end of another, and returns null when the rest would be split', () => {
+    const results = run([
+      'define Trimmed: Interval[1, 10] except Interval[5, 10]',
+      'define Split: Interval[1, 10] except Interval[3, 5]'
+    ].join('\n'));
+
+    expect(results.Trimmed.result).toEqual({ low: 1, high: 4, lowClosed: true, highClosed: true });
+    expect(results.Split.result).toBeNull();
+  });
+
+  it('expands a list of intervals into unit intervals', () => {
+    const results = run('define Expanded: expand { Interval[1, 3] }');
+
+    expect(results.Expanded.resultType).toBe('List<Interval<Integer>>');
+    expect(results.Expanded.result.map(interval => [interval.low, interval.high])).toEqual([[1, 1], [2, 2], [3, 3]]);
+  });
+
+  it('evaluates quantities, dates and tuples', () => {
+    const results = run([
+      "define Dose: 5 'mg' + 3 'mg'",
+      'define NextMonth: @2024-01-15 + 1 month',
+      "define Pair: Tuple { a: 1, b: 'x' }"
+    ].join('\n'));
+
+    expect(results.Dose).toMatchObject({ resultType: 'Quantity', result: { value: 8, unit: 'mg' } });
+    expect(results.NextMonth).toMatchObject({ resultType: 'Date', result: '2024-02-15' });
+    expect(results.Pair.result).toEqual({ a: 1, b: 'x' });
+  });
+
+  it('retrieves the patient\'s resources from the bundles', () => {
+    const engine = new LocalCQLEngine({ bundles: [diabetesBundle] });
+    const results = engine.execute({
+      code: [
+        "library Test version '1.0.0'",
+        "using FHIR version '4.0.1'",
+        'context Patient',
+        'define Conditions: [Condition]',
+        'define ConditionCount: Count([Condition])',
+        'define Gender: Patient.gender'
+      ].join('\n')
+    });
+    const byName = Object.fromEntries(results.map(result => [result.name, result]));
+
+    expect(byName.ConditionCount.result).toBe(2);
+    expect(byName.Conditions.result).toHaveLength(2);
+    expect(byName.Gender.result).toBe('male');
+  });
+
+  it('binds parameter values given as CQL literals, falling back to the defaults', () => {
+    const engine = new LocalCQLEngine();
+    const code = [
+      "library Test version '1.0.0'",
+      'parameter Threshold Integer default 5',
+      'parameter Period Interval<Date>',
+      'define Above: 7 > Threshold',
+      'define InPeriod: @2024-06-01 in Period'
+    ].join('\n');
+    const resultsOf = parameters => engine.execute({ code, parameters }).map(result => result.result);
+
+    expect(resultsOf([])[0]).toBe(true);
+    expect(resultsOf([
+      { name: 'Threshold', type: 'Integer', value: '10' },
+      { name: 'Period', type: 'Interval<Date>', value: 'Interval[@2024-01-01, @2024-12-31]' }
+    ])).toEqual([false, true]);
+    expect(engine.execute({ code, parameters: [{ name: 'Threshold', type: 'Integer', value: 'Interval[' }] })).toEqual([{
+      name: 'Threshold',
+      error: 'Invalid value for parameter Threshold: Unexpected end of input; expected an expression'
+    }]);
+  });
+
+  it('reports translator errors with their location instead of results', () => {
+    const results = new LocalCQLEngine().execute({
+      code: "library Test version '1.0.0'\ndefine Missing: Foo"
+    });
+
+    expect(results).toEqual([{
+      'translator-error': 'Could not resolve identifier Foo in the current library.',
+      location: '[2:17]',
+      errorType: 'semantic'
+    }]);
+  });
+});
+
+describe('LocalCQLEngine with included libraries', () => {
+  const COMMON = [
+    "library Common version '1.0.0'",
+    "codesystem \"LOINC\": 'http://loinc.org'",
+    "code \"Weight\": '29463-7' from \"LOINC\"",
+    'parameter Threshold Integer default 10',
+    'define "Ten": 10',
+    'define function Double(x Integer): x * 2',
+    "define Failing: Message(1, true, 'E1', 'Error', 'bad')"
+  ].join('\n');
+  const UTIL = [
+    "library Util version '1.0.0'",
+    "include Common version '1.0.0' called C",
+    'define Twenty: C.Double(C."Ten")'
+  ].join('\n');
+  const MAIN = [
+    "library Main version '1.0.0'",
+    "include Common version '1.0.0' called C",
+    "include Util version '1.0.0' called U",
+    'define Six: C.Double(3)',
+    'define Twenty: U.Twenty',
+    'define Threshold: C.Threshold',
+    'define WeightCode: C."Weight".code',
+    'define Failing: C.Failing'
+  ].join('\n');
+
+  it('evaluates definitions, functions, parameters and codes of included libraries', () => {
+    const results = new LocalCQLEngine().execute({
+      code: MAIN,
+      libraries: [{ name: 'Common.cql', code: COMMON }, { name: 'Util.cql', code: UTIL }]
+    });
+
+    expect(results.slice(0, 4).map(result => [result.name, result.result])).toEqual([
+      ['Six', 6],
+      ['Twenty', 20],
+      ['Threshold', 10],
+      ['WeightCode', '29463-7']
+    ]);
+    expect(results[4]).toMatchObject({ location: '[8:17]', error: 'E1: bad (in library Common)' });
+  });
+
+  it('reports references to libraries that are not available', () => {
+    const results = new LocalCQLEngine().execute({ code: MAIN, libraries: [{ name: 'Common.cql', code: COMMON }] });
+
+    expect(results).toEqual([{
+      'translator-error': 'Could not resolve U."Twenty": library Util is not available',
+      location: '[5:16]',
+      errorType: 'include'
+    }]);
+  });
+
+  it('reports unavailable versions and circular includes', () => {
+    const engine = new LocalCQLEngine();
+    const A = "library A version '1'\ninclude B version '1' called B\ndefine X: B.Y";
+
+    expect(engine.execute({
+      code: A.replace("B version '1'", "B version '2'"),
+      libraries: [{ name: 'B', code: "library B version '1'\ndefine Y: 1" }]
+    })[0]['translator-error']).toBe("Library B version '2' is not available; available versions: '1'");
+    expect(engine.execute({
+      code: A,
+      libraries: [{ name: 'B', code: "library B version '1'\ninclude A version '1' called A\ndefine Y: 1" }, { name: 'A', code: A }]
+    })[0]['translator-error']).toBe('Library B has 1 error: Circular library reference A -> B -> A [2:1]');
+  });
+});
@@ -0,0 +1,60 @@
+import { LocalCQLEngine } from '../index.js';
+
+function trace(defines) {
+  const code = `library Test version '1.0.0'\n${defines}`;
+  return Object.fromEntries(new LocalCQLEngine().execute({ code, trace: true })
+    .map(result => [result.name, result]));
+}
+
+// Depth-first search of a trace tree
+function findNode(node, predicate) {
+  if (predicate(node)) return node;
+  for (const child of node.children) {
+    const found = findNode(child, predicate);
+    if (found) return found;
+  }
+  return null;
+}
+
+describe('EvaluationTracer', () => {
+  it('records the value and source text of each sub-expression', () => {
+    const { B } = trace('define A: 1 + 2\ndefine B: A * 2');
+
+    expect(B.trace).toMatchObject({
+      label: 'define B',
+      expression: 'define B: A * 2',
+      evaluations: 1,
+      values: [6],
+      children: [{
+        label: 'Multiply',
+        expression: 'A * 2',
+        location: { start: { line: 3, column: 11 }, end: { line: 3, column: 15 } },
+        values: [6],
+        children: [{ label: 'ExpressionRef A', values: [3] }]
+      }]
+    });
+  });
+
+  it('merges repeated evaluations into one node with a sample of values', () => {
+    const { Large } = trace('define Large: { 1, 2, 3, 4, 5, 6, 7 } X where X > 2');
+    const comparison = findNode(Large.trace, node => node.type === 'Greater');
+
+    expect(comparison.evaluations).toBe(7);
+    expect(comparison.values).toHaveLength(5);
+    expect(Large.result).toEqual([3, 4, 5, 6, 7]);
+  });
+
+  it('marks the node that raised an error', () => {
+    const { Failing } = trace("define Failing: Message(1, true, 'E1', 'Error', 'boom')");
+
+    expect(Failing.error).toBe('E1: boom');
+    expect(Failing.trace.error).toBe('E1: boom');
+    expect(Failing.trace.children[0]).toMatchObject({ label: 'Message', evaluations: 0, error: 'E1: boom' });
+  });
+
+  it('is only included when requested', () => {
+    const [result] = new LocalCQLEngine().execute({ code: "library Test version '1.0.0'\ndefine A: 1" });
+
+    expect(result.trace).toBeUndefined();
+  });
+});
@@ -0,0 +1,523 @@
+/**
+ * CQL Runtime Datatypes
+ * Value classes for the CQL system types that have no direct JavaScript
+ * equivalent. Lists are arrays, tuples are plain objects and Integer/Decimal
+ * values are numbers.
+ */
+
+export const PRECISIONS = ['year', 'month', 'day', 'hour', 'minute', 'second', 'millisecond'];
+
+const MS_PER_UNIT = {
+  week: 604800000,
+  day: 86400000,
+  hour: 3600000,
+  minute: 60000,
+  second: 1000,
+  millisecond: 1
+};
+
+// Calendar and UCUM spellings of temporal units
+const TEMPORAL_UNITS = {
+  year: 'year', years: 'year', a: 'year',
+  month: 'month', months: 'month', mo: 'month',
+  week: 'week', weeks: 'week', wk: 'week',
+  day: 'day', days: 'day', d: 'day',
+  hour: 'hour', hours: 'hour', h: 'hour',
+  minute: 'minute', minutes: 'minute', min: 'minute',
+  second: 'second', seconds: 'second', s: 'second',
+  millisecond: 'millisecond', milliseconds: 'millisecond', ms: 'millisecond'
+};
+
+/**
+ * Normalize a temporal unit ('days', 'd', 'Day') to a precision name
+ * @param {string} unit - Unit text
+ * @returns {string|null} Precision such as 'day', or null for non-temporal units
+ */
+export function temporalUnit(unit) {
+  if (!unit) return null;
+  return TEMPORAL_UNITS[unit] || TEMPORAL_UNITS[unit.toLowerCase()] || null;
+}
+
+export class Code {
+  constructor(code, system = null, version = null, display = null) {
+    this.code = code;
+    this.system = system;
+    this.version = version;
+    this.display = display;
+  }
+
+  toJSON() {
+    const json = { code: this.code, system: this.system };
+    if (this.version) json.version = this.version;
+    if (this.display) json.display = this.display;
+    return json;
+  }
+}
+
+export class Concept {
+  constructor(codes = [], display = null) {
+    this.codes = codes;
+    this.display = display;
+  }
+
+  toJSON() {
+    const json = { codes: this.codes.map(code => code.toJSON()) };
+    if (this.display) json.display = this.display;
+    return json;
+  }
+}
+
+export class Quantity {
+  constructor(value, unit = '1') {
+    this.value = value;
+    this.unit = unit || '1';
+  }
+
+  toString() {
+    return `${this.value} '${this.unit}'`;
+  }
+
+  toJSON() {
+    return { value: this.value, unit: this.unit };
+  }
+}
+
+export class Ratio {
+  constructor(numerator, denominator) {
+    this.numerator = numerator;
+    this.denominator = denominator;
+  }
+
+  toString() {
+    return `${this.numerator}:${this.denominator}`;
+  }
+
+  toJSON() {
+    return { numerator: this.numerator.toJSON(), denominator: this.denominator.toJSON() };
+  }
+}
+
+export class Interval {
+  constructor(low, high, lowClosed = true, highClosed = true) {
+    this.low = low;
+    this.high = high;
+    this.lowClosed = lowClosed;
+    this.highClosed = highClosed;
+  }
+
+  toString() {
+    return `Interval${this.lowClosed ? '[' : '('}${this.low}, ${this.high}${this.highClosed ? ']' : ')'}`;
+  }
+
+  toJSON() {
+    return {
+      low: serializable(this.low),
+      high: serializable(this.high),
+      lowClosed: this.lowClosed,
+      highClosed: this.highClosed
+    };
+  }
+}
+
+function serializable(value) {
+  return value && typeof value.toJSON === 'function' ? value.toJSON() : value;
+}
+
+/**
+ * Shared behaviour for Date, DateTime and Time values. Components beyond the
+ * value's precision are null.
+ */
+class TemporalValue {
+  constructor(fields) {
+    for (const field of this.constructor.FIELDS) {
+      this[field] = fields[field] ?? null;
+    }
+  }
+
+  get precision() {
+    let precision = null;
+    for (const field of this.constructor.FIELDS) {
+      if (this[field] === null) break;
+      precision = field;
+    }
+    return precision;
+  }
+
+  hasPrecision(precision) {
+    const fields = this.constructor.FIELDS;
+    const index = fields.indexOf(precision);
+    return index !== -1 && fields.indexOf(this.precision) >= index;
+  }
+
+  /**
+   * Compare component by component, optionally only up to a precision.
+   * Returns null when the values differ in precision and are equal as far
+   * as both are known.
+   */
+  compare(other, precision = null) {
+    const [left, right] = [this.normalized(), other.normalized()];
+    const fields = this.constructor.FIELDS;
+    const limit = precision ? fields.indexOf(precision.toLowerCase()) : fields.length - 1;
+
+    for (let index = 0; index <= limit && index < fields.length; index++) {
+      const field = fields[index];
+      const a = left[field];
+      const b = right[field];
+      if (a === null || b === null) {
+        return a === null && b === null ? 0 : null;
+      }
+      if (a !== b) return a < b ? -1 : 1;
+    }
+    return 0;
+  }
+
+  normalized() {
+    return this;
+  }
+
+  getComponent(precision) {
+    return this[precision.toLowerCase()] ?? null;
+  }
+}
+
+/**
+ * DateTime value with optional timezone offset (in hours)
+ */
+export class CQLDateTime extends TemporalValue {
+  constructor(fields) {
+    super(fields);
+    this.timezoneOffset = fields.timezoneOffset ?? null;
+  }
+
+  static fromJSDate(date, timezoneOffset = 0) {
+    const shifted = new Date(date.getTime() + timezoneOffset * 3600000);
+    return new CQLDateTime({
+      year: shifted.getUTCFullYear(),
+      month: shifted.getUTCMonth() + 1,
+      day: shifted.getUTCDate(),
+      hour: shifted.getUTCHours(),
+      minute: shifted.getUTCMinutes(),
+      second: shifted.getUTCSeconds(),
+      millisecond: shifted.getUTCMilliseconds(),
+      timezoneOffset
+    });
+  }
+
+  /**
+   * Parse an ISO 8601 / FHIR dateTime string
+   * @returns {CQLDateTime|null}
+   */
+  static parse(text) {
+    const match = String(text).match(/^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2})(?::(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?(Z|[+-]\d{2}:\d{2})?)?)?)?$/);
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second, fraction, timezone] = match;
+    const number = value => (value ? Number(value) : null);
+    let timezoneOffset = null;
+    if (timezone) {
+      timezoneOffset = timezone === 'Z'
+        ? 0
+        : (timezone.startsWith('-') ? -1 : 1) * (Number(timezone.slice(1, 3)) + Number(timezone.slice(4, 6)) / 60);
+    }
+    return new CQLDateTime({
+      year: number(year),
+      month: number(month),
+      day: number(day),
+      hour: number(hour),
+      minute: number(minute),
+      second: number(second),
+      millisecond: fraction ? Number(fraction.padEnd(3, '0').slice(0, 3)) : null,
+      timezoneOffset
+    });
+  }
+
+  /**
+   * Convert to UTC so values in different offsets compare correctly
+   */
+  normalized() {
+    if (this.hour === null || !this.timezoneOffset) return this;
+    const utc = new Date(toEpoch(this) - this.timezoneOffset * 3600000);
+    return withPrecision(CQLDateTime.fromJSDate(utc, 0), this.precision);
+  }
+
+  add(quantity, sign = 1) {
+    return withPrecision(addTemporal(this, quantity, sign, CQLDateTime), this.precision, this.timezoneOffset);
+  }
+
+  toDate() {
+    return createDate({ year: this.year, month: this.month, day: this.day });
+  }
+
+  toString() {
+    let text = formatDate(this);
+    if (this.hour !== null) {
+      text += `T${pad(this.hour)}`;
+      if (this.minute !== null) text += `:${pad(this.minute)}`;
+      if (this.second !== null) text += `:${pad(this.second)}`;
+      if (this.millisecond !== null) text += `.${pad(this.millisecond, 3)}`;
+      if (this.timezoneOffset !== null) text += formatOffset(this.timezoneOffset);
+    }
+    return text;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+export class CQLDate extends TemporalValue {
+  static fromJSDate(date) {
+    return CQLDateTime.fromJSDate(date).toDate();
+  }
+
+  static parse(text) {
+    const match = String(text).match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+    if (!match) return null;
+    const [, year, month, day] = match;
+    return new CQLDate({
+      year: Number(year),
+      month: month ? Number(month) : null,
+      day: day ? Number(day) : null
+    });
+  }
+
+  add(quantity, sign = 1) {
+    return withPrecision(addTemporal(this, quantity, sign, CQLDate), this.precision);
+  }
+
+  toDateTime() {
+    return new CQLDateTime({ year: this.year, month: this.month, day: this.day });
+  }
+
+  toString() {
+    return formatDate(this);
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+// CQLDateTime and CQLDate convert into each other
+function createDate(fields) {
+  return new CQLDate(fields);
+}
+
+export class CQLTime extends TemporalValue {
+  static parse(text) {
+    const match = String(text).match(/^T?(\d{2})(?::(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/);
+    if (!match) return null;
+    const [, hour, minute, second, fraction] = match;
+    return new CQLTime({
+      hour: Number(hour),
+      minute: minute ? Number(minute) : null,
+      second: second ? Number(second) : null,
+      millisecond: fraction ? Number(fraction.padEnd(3, '0').slice(0, 3)) : null
+    });
+  }
+
+  add(quantity, sign = 1) {
+    const unit = temporalUnit(quantity.unit);
+    if (!MS_PER_UNIT[unit] || unit === 'week' || unit === 'day') {
+      throw new Error(`Cannot add a quantity in '${quantity.unit}' to a Time`);
+    }
+    const total = ((this.hour * 3600000) + ((this.minute ?? 0) * 60000) + ((this.second ?? 0) * 1000) + (this.millisecond ?? 0) +
+      sign * Math.trunc(quantity.value) * MS_PER_UNIT[unit]) % 86400000;
+    const wrapped = total < 0 ? total + 86400000 : total;
+    const time = new CQLTime({
+      hour: Math.floor(wrapped / 3600000),
+      minute: Math.floor(wrapped / 60000) % 60,
+      second: Math.floor(wrapped / 1000) % 60,
+      millisecond: wrapped % 1000
+    });
+    return withPrecision(time, this.precision);
+  }
+
+  toString() {
+    let text = `T${pad(this.hour)}`;
+    if (this.minute !== null) text += `:${pad(this.minute)}`;
+    if (this.second !== null) text += `:${pad(this.second)}`;
+    if (this.millisecond !== null) text += `.${pad(this.millisecond, 3)}`;
+    return text;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+CQLDateTime.FIELDS = PRECISIONS;
+CQLDate.FIELDS = ['year', 'month', 'day'];
+CQLTime.FIELDS = ['hour', 'minute', 'second', 'millisecond'];
+
+/**
+ * Whole calendar periods between two dates or datetimes (CQL `duration in`)
+ * @returns {number|null}
+ */
+export function durationBetween(start, end, precision) {
+  const unit = precision.toLowerCase();
+  const [a, b] = [start.normalized(), end.normalized()];
+
+  if (compareFilled(a, b) > 0) {
+    return -durationBetween(end, start, precision);
+  }
+
+  switch (unit) {
+    case 'year':
+      return b.year - a.year - (tailBefore(b, a, 'month') ? 1 : 0);
+    case 'month':
+      return (b.year - a.year) * 12 + ((b.month ?? 1) - (a.month ?? 1)) - (tailBefore(b, a, 'day') ? 1 : 0);
+    default:
+      return Math.floor((toEpoch(b) - toEpoch(a)) / MS_PER_UNIT[unit]);
+  }
+}
+
+/**
+ * Number of precision boundaries crossed between two values (CQL `difference in`)
+ * @returns {number|null}
+ */
+export function differenceBetween(start, end, precision) {
+  const unit = precision.toLowerCase();
+  const [a, b] = [start.normalized(), end.normalized()];
+
+  switch (unit) {
+    case 'year':
+      return b.year - a.year;
+    case 'month':
+      return (b.year - a.year) * 12 + ((b.month ?? 1) - (a.month ?? 1));
+    case 'week':
+      return Math.floor((toEpoch(truncate(b, 'day')) - toEpoch(truncate(a, 'day'))) / MS_PER_UNIT.week);
+    default:
+      return Math.round((toEpoch(truncate(b, unit)) - toEpoch(truncate(a, unit))) / MS_PER_UNIT[unit]);
+  }
+}
+
+/**
+ * The next value at the precision of the given temporal value
+ */
+export function temporalSuccessor(value, sign = 1) {
+  const { precision } = value;
+  return value.add(new Quantity(1, precision), sign);
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function addTemporal(value, quantity, sign, Type) {
+  let unit = temporalUnit(quantity.unit);
+  if (!unit) {
+    throw new Error(`Cannot add a quantity in '${quantity.unit}' to a ${Type === CQLDate ? 'Date' : 'DateTime'}`);
+  }
+
+  let amount = Math.trunc(quantity.value) * sign;
+
+  // Quantities finer than the value's precision are converted to its precision
+  const { precision } = value;
+  if (precision === 'year' && unit !== 'year') {
+    amount = unit === 'month' ? Math.trunc(amount / 12) : Math.trunc(amount * (MS_PER_UNIT[unit] || 0) / (365 * MS_PER_UNIT.day));
+    unit = 'year';
+  } else if (precision === 'month' && !['year', 'month'].includes(unit)) {
+    amount = Math.trunc(amount * MS_PER_UNIT[unit] / (30 * MS_PER_UNIT.day));
+    unit = 'month';
+  } else if (Type === CQLDate && MS_PER_UNIT[unit] && MS_PER_UNIT[unit] < MS_PER_UNIT.day) {
+    amount = Math.trunc(amount * MS_PER_UNIT[unit] / MS_PER_UNIT.day);
+    unit = 'day';
+  }
+
+  const fields = {};
+  for (const field of PRECISIONS) {
+    fields[field] = value[field] ?? null;
+  }
+
+  if (unit === 'year' || unit === 'month') {
+    const months = (fields.year * 12) + ((fields.month ?? 1) - 1) + (unit === 'year' ? amount * 12 : amount);
+    fields.year = Math.floor(months / 12);
+    if (fields.month !== null) {
+      fields.month = (months % 12 + 12) % 12 + 1;
+    }
+    if (fields.day !== null) {
+      fields.day = Math.min(fields.day, daysInMonth(fields.year, fields.month));
+    }
+    return new Type(fields);
+  }
+
+  const epoch = toEpoch(fields) + amount * MS_PER_UNIT[unit];
+  const shifted = CQLDateTime.fromJSDate(new Date(epoch), 0);
+  return new Type(shifted);
+}
+
+function withPrecision(value, precision, timezoneOffset) {
+  const fields = value.constructor.FIELDS;
+  const index = fields.indexOf(precision);
+  const copy = {};
+  fields.forEach((field, fieldIndex) => {
+    copy[field] = fieldIndex <= index ? value[field] : null;
+  });
+  if (value instanceof CQLDateTime) {
+    copy.timezoneOffset = arguments.length > 2 ? timezoneOffset : value.timezoneOffset;
+  }
+  return new value.constructor(copy);
+}
+
+function truncate(value, precision) {
+  const copy = {};
+  let keep = true;
+  for (const field of PRECISIONS) {
+    copy[field] = keep ? value[field] ?? null : null;
+    if (field === precision) keep = false;
+  }
+  return copy;
+}
+
+function toEpoch(fields) {
+  return Date.UTC(
+    fields.year,
+    (fields.month ?? 1) - 1,
+    fields.day ?? 1,
+    fields.hour ?? 0,
+    fields.minute ?? 0,
+    fields.second ?? 0,
+    fields.millisecond ?? 0
+  );
+}
+
+function compareFilled(a, b) {
+  const difference = toEpoch(a) - toEpoch(b);
+  return difference === 0 ? 0 : difference < 0 ? -1 : 1;
+}
+
+// Whether `later` falls before `earlier` once the components from `from` on are compared
+function tailBefore(later, earlier, from) {
+  const fields = PRECISIONS.slice(PRECISIONS.indexOf(from));
+  const defaults = { month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0 };
+  for (const field of fields) {
+    const a = later[field] ?? defaults[field];
+    const b = earlier[field] ?? defaults[field];
+    if (a !== b) return a < b;
+  }
+  return false;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function formatDate(value) {
+  let text = pad(value.year, 4);
+  if (value.month !== null) text += `-${pad(value.month)}`;
+  if (value.day !== null) text += `-${pad(value.day)}`;
+  return text;
+}
+
+function formatOffset(offset) {
+  if (offset === 0) return 'Z';
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+  const hours = Math.floor(absolute);
+  const minutes = Math.round((absolute - hours) * 60);
+  return `${sign}${pad(hours)}:${pad(minutes)}`;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
@@ -0,0 +1,1955 @@
+/**
+ * ELM Evaluator
+ * Tree-walking interpreter for ELM JSON produced by the shared CQL
+ * translator. Definitions are evaluated lazily and cached for the duration
+ * of one run; failures carry the locator of the expression that raised them.
+ */
+
+import {
+  Code,
+  Concept,
+  Quantity,
+  Ratio,
+  Interval,
+  CQLDate,
+  CQLDateTime,
+  CQLTime,
+  durationBetween,
+  differenceBetween,
+  temporalUnit
+} from './datatypes.js';
+import {
+  compare,
+  equal,
+  equivalent,
+  and,
+  or,
+  not,
+  successor,
+  predecessor,
+  intervalStart,
+  intervalEnd,
+  intervalContains,
+  convertQuantity,
+  normalizeDecimal,
+  isTemporal,
+  isTuple,
+  typeName
+} from './values.js';
+import { getProperty, fromFHIR, isFHIRType } from './fhir.js';
+import { BundleDataProvider, InMemoryTerminologyProvider } from './providers.js';
+
+const SYSTEM_NAMESPACE = '{urn:hl7-org:elm-types:r1}';
+const FHIR_NAMESPACE = '{http://hl7.org/fhir}';
+const MAX_CALL_DEPTH = 200;
+const MAX_EXPANDED_POINTS = 10000;
+
+// Integers are 32-bit; Long uses the range JavaScript numbers hold exactly
+const INTEGER_RANGES = {
+  Integer: [-2147483648, 2147483647],
+  Long: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER]
+};
+
+/**
+ * Runtime failure while evaluating an expression
+ */
+export class EvaluationError extends Error {
+  constructor(message, locator = null) {
+    super(message);
+    this.name = 'EvaluationError';
+    this.locator = locator;
+  }
+}
+
+/**
+ * Reference to a value set declared in the library
+ */
+export class ValueSetReference {
+  constructor(name, id, version = null) {
+    this.name = name;
+    this.id = id;
+    this.version = version;
+  }
+
+  toJSON() {
+    return { name: this.name, id: this.id, version: this.version };
+  }
+}
+
+/**
+ * Lexical scope for query aliases, let clauses and function operands
+ */
+class Scope {
+  constructor(values = {}, parent = null) {
+    this.values = values;
+    this.parent = parent;
+  }
+
+  get(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (Object.prototype.hasOwnProperty.call(scope.values, name)) {
+        return scope.values[name];
+      }
+    }
+    throw new Error(`Identifier ${name} is not in scope`);
+  }
+
+  child(values) {
+    return new Scope(values, this);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Expression handlers (called with the evaluator as `this`)
+// -----------------------------------------------------------------------------
+
+const HANDLERS = {
+  // Literals and selectors --------------------------------------------------
+
+  Literal(node) {
+    switch (node.valueType.replace(SYSTEM_NAMESPACE, '')) {
+      case 'Boolean':
+        return node.value === 'true';
+      case 'Integer':
+      case 'Long':
+        return parseInt(node.value, 10);
+      case 'Decimal':
+        return parseFloat(node.value);
+      default:
+        return node.value;
+    }
+  },
+
+  Null() {
+    return null;
+  },
+
+  Quantity(node) {
+    return new Quantity(node.value, node.unit);
+  },
+
+  Ratio(node) {
+    return new Ratio(
+      new Quantity(node.numerator.value, node.numerator.unit),
+      new Quantity(node.denominator.value, node.denominator.unit)
+    );
+  },
+
+  Date(node, scope) {
+    const fields = {
+      year: this.optional(node.year, scope),
+      month: this.optional(node.month, scope),
+      day: this.optional(node.day, scope)
+    };
+    return fields.year === null ? null : new CQLDate(fields);
+  },
+
+  DateTime(node, scope) {
+    const fields = {};
+    for (const field of ['year', 'month', 'day', 'hour', 'minute', 'second', 'millisecond']) {
+      fields[field] = this.optional(node[field], scope);
+    }
+    if (fields.year === null) return null;
+    fields.timezoneOffset = node.timezoneOffset ? this.evaluate(node.timezoneOffset, scope) : this.now.timezoneOffset;
+    return new CQLDateTime(fields);
+  },
+
+  Time(node, scope) {
+    const fields = {};
+    for (const field of ['hour', 'minute', 'second', 'millisecond']) {
+      fields[field] = this.optional(node[field], scope);
+    }
+    return fields.hour === null ? null : new CQLTime(fields);
+  },
+
+  List(node, scope) {
+    return (node.element || []).map(element => this.evaluate(element, scope));
+  },
+
+  Tuple(node, scope) {
+    const tuple = {};
+    for (const element of node.element || []) {
+      tuple[element.name] = this.evaluate(element.value, scope);
+    }
+    return tuple;
+  },
+
+  Instance(node, scope) {
+    const values = {};
+    for (const element of node.element || []) {
+      values[element.name] = this.evaluate(element.value, scope);
+    }
+    const name = node.classType.replace(SYSTEM_NAMESPACE, '').replace(FHIR_NAMESPACE, '');
+    switch (name) {
+      case 'Quantity':
+        return new Quantity(values.value ?? null, values.unit ?? values.code ?? '1');
+      case 'Code':
+      case 'Coding':
+        return new Code(values.code ?? null, values.system ?? null, values.version ?? null, values.display ?? null);
+      case 'Concept':
+      case 'CodeableConcept':
+        return new Concept(values.codes ?? values.coding ?? [], values.display ?? values.text ?? null);
+      default:
+        return node.classType.startsWith(FHIR_NAMESPACE) && /^[A-Z]/.test(name) && !isFHIRDatatype(name)
+          ? { resourceType: name, ...values }
+          : values;
+    }
+  },
+
+  Interval(node, scope) {
+    const low = this.evaluate(node.low, scope);
+    const high = this.evaluate(node.high, scope);
+    if (low !== null && high !== null && compare(low, high) > 0) {
+      throw new Error(`Invalid interval: the low boundary ${low} is greater than the high boundary ${high}`);
+    }
+    return new Interval(low, high, node.lowClosed !== false, node.highClosed !== false);
+  },
+
+  Code(node) {
+    const codeSystem = this.codeSystemUrl(node.system);
+    return new Code(node.code, codeSystem.id, codeSystem.version || null, node.display || null);
+  },
+
+  Concept(node, scope) {
+    return new Concept(node.code.map(code => this.evaluate(code, scope)), node.display || null);
+  },
+
+  // References --------------------------------------------------------------
+
+  ExpressionRef(node) {
+    if (node.libraryName) {
+      return this.inLibrary(node.libraryName, library => library.evaluateDefinition(node.name));
+    }
+    // A referenced definition is traced under its own define, not inside this one
+    return this.tracer
+      ? this.tracer.isolate(() => this.evaluateDefinition(node.name))
+      : this.evaluateDefinition(node.name);
+  },
+
+  ParameterRef(node) {
+    if (node.libraryName) {
+      return this.inLibrary(node.libraryName, library => library.parameterValue(node.name));
+    }
+    return this.parameterValue(node.name);
+  },
+
+  ValueSetRef(node) {
+    if (node.libraryName) {
+      return this.inLibrary(node.libraryName, library => HANDLERS.ValueSetRef.call(library, { name: node.name }));
+    }
+    const def = this.valueSetDefs.get(node.name);
+    if (!def) {
+      throw new Error(`Could not resolve value set "${node.name}"`);
+    }
+    return new ValueSetReference(def.name, def.id, def.version || null);
+  },
+
+  CodeRef(node) {
+    if (node.libraryName) {
+      return this.inLibrary(node.libraryName, library => library.codeFromDef(node.name));
+    }
+    return this.codeFromDef(node.name);
+  },
+
+  CodeSystemRef(node) {
+    const def = this.codeSystemUrl(node);
+    return { name: def.name, id: def.id, version: def.version || null };
+  },
+
+  ConceptRef(node) {
+    if (node.libraryName) {
+      return this.inLibrary(node.libraryName, library => HANDLERS.ConceptRef.call(library, { name: node.name }));
+    }
+    const def = this.conceptDefs.get(node.name);
+    if (!def) {
+      throw new Error(`Could not resolve concept "${node.name}"`);
+    }
+    return new Concept(def.code.map(code => this.codeFromDef(code.name)), def.display || null);
+  },
+
+  AliasRef(node, scope) {
+    return scope.get(node.name);
+  },
+
+  QueryLetRef(node, scope) {
+    return scope.get(node.name);
+  },
+
+  OperandRef(node, scope) {
+    return scope.get(node.name);
+  },
+
+  IdentifierRef(node, scope) {
+    const current = scope.get('$this');
+    return node.name === '$this' ? current : getProperty(current, node.name);
+  },
+
+  FunctionRef(node, scope) {
+    const args = this.operands(node, scope);
+    if (node.libraryName) {
+      return this.inLibrary(node.libraryName, library => library.callFunction(node.name, args));
+    }
+    return this.callFunction(node.name, args);
+  },
+
+  Property(node, scope) {
+    const source = node.scope ? scope.get(node.scope) : this.evaluate(node.source, scope);
+    return getProperty(source, node.path);
+  },
+
+  Indexer(node, scope) {
+    const [source, index] = this.operands(node, scope);
+    if (source === null || index === null) return null;
+    if (index < 0 || index >= source.length) return null;
+    return source[index];
+  },
+
+  // Clinical data -----------------------------------------------------------
+
+  Retrieve(node, scope) {
+    const resourceType = node.dataType.replace(FHIR_NAMESPACE, '');
+    const patientId = this.currentPatientId();
+    if (this.context === 'Patient' && !patientId) {
+      return [];
+    }
+
+    const resources = this.dataProvider.retrieve(resourceType, patientId);
+    if (!node.codes || resources.length === 0) {
+      return resources;
+    }
+
+    const codes = this.expandCodes(this.evaluate(node.codes, scope));
+    return resources.filter(resource => {
+      const value = getProperty(resource, node.codeProperty);
+      return resourceCodes(value).some(code => codes.some(candidate => equivalent(code, candidate)));
+    });
+  },
+
+  Query(node, scope) {
+    return evaluateQuery.call(this, node, scope);
+  },
+
+  // Conditionals ------------------------------------------------------------
+
+  If(node, scope) {
+    return this.evaluate(node.condition, scope) === true
+      ? this.evaluate(node.then, scope)
+      : this.evaluate(node.else, scope);
+  },
+
+  Case(node, scope) {
+    const comparand = node.comparand ? this.evaluate(node.comparand, scope) : null;
+    for (const item of node.caseItem) {
+      const when = this.evaluate(item.when, scope);
+      const matched = node.comparand ? equal(comparand, when) === true : when === true;
+      if (matched) {
+        return this.evaluate(item.then, scope);
+      }
+    }
+    return this.evaluate(node.else, scope);
+  },
+
+  // Logic -------------------------------------------------------------------
+
+  And(node, scope) {
+    const [left, right] = node.operand;
+    const a = this.evaluate(left, scope);
+    if (a === false) return false;
+    return and(a, this.evaluate(right, scope));
+  },
+
+  Or(node, scope) {
+    const [left, right] = node.operand;
+    const a = this.evaluate(left, scope);
+    if (a === true) return true;
+    return or(a, this.evaluate(right, scope));
+  },
+
+  Xor(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    return a === null || b === null ? null : a !== b;
+  },
+
+  Implies(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    return or(not(a), b);
+  },
+
+  Not(node, scope) {
+    return not(this.evaluate(node.operand, scope));
+  },
+
+  // Comparison --------------------------------------------------------------
+
+  Equal(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    return equal(a, b);
+  },
+
+  Equivalent(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    return equivalent(a, b);
+  },
+
+  Less(node, scope) {
+    return comparison.call(this, node, scope, result => result < 0);
+  },
+
+  LessOrEqual(node, scope) {
+    return comparison.call(this, node, scope, result => result <= 0);
+  },
+
+  Greater(node, scope) {
+    return comparison.call(this, node, scope, result => result > 0);
+  },
+
+  GreaterOrEqual(node, scope) {
+    return comparison.call(this, node, scope, result => result >= 0);
+  },
+
+  // Arithmetic --------------------------------------------------------------
+
+  Add(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    return inRange(node, add(a, b, 1));
+  },
+
+  Subtract(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    return inRange(node, add(a, b, -1));
+  },
+
+  Multiply(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    if (a === null || b === null) return null;
+    if (typeof a === 'number' && typeof b === 'number') return inRange(node, normalizeDecimal(a * b));
+    if (a instanceof Quantity && typeof b === 'number') return new Quantity(normalizeDecimal(a.value * b), a.unit);
+    if (typeof a === 'number' && b instanceof Quantity) return new Quantity(normalizeDecimal(a * b.value), b.unit);
+    if (a instanceof Quantity && b instanceof Quantity) {
+      return new Quantity(normalizeDecimal(a.value * b.value), combineUnits(a.unit, b.unit, '.'));
+    }
+    throw new Error(`Cannot multiply ${typeName(a)} by ${typeName(b)}`);
+  },
+
+  Divide(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    if (a === null || b === null) return null;
+    if (typeof a === 'number' && typeof b === 'number') return b === 0 ? null : normalizeDecimal(a / b);
+    if (a instanceof Quantity && typeof b === 'number') {
+      return b === 0 ? null : new Quantity(normalizeDecimal(a.value / b), a.unit);
+    }
+    if (a instanceof Quantity && b instanceof Quantity) {
+      const converted = convertQuantity(b, a.unit);
+      if (converted) {
+        return converted.value === 0 ? null : new Quantity(normalizeDecimal(a.value / converted.value), '1');
+      }
+      return b.value === 0 ? null : new Quantity(normalizeDecimal(a.value / b.value), combineUnits(a.unit, b.unit, '/'));
+    }
+    throw new Error(`Cannot divide ${typeName(a)} by ${typeName(b)}`);
+  },
+
+  TruncatedDivide(node, scope) {
+    const [a, b] = this.operands(node, scope).map(quantityValue);
+    if (a === null || b === null || b === 0) return null;
+    return inRange(node, Math.trunc(a / b));
+  },
+
+  Modulo(node, scope) {
+    const [a, b] = this.operands(node, scope).map(quantityValue);
+    if (a === null || b === null || b === 0) return null;
+    return normalizeDecimal(a % b);
+  },
+
+  Power(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    if (a === null || b === null) return null;
+    return inRange(node, normalizeDecimal(a ** b));
+  },
+
+  Negate(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    if (value === null) return null;
+    if (value instanceof Quantity) return new Quantity(-value.value, value.unit);
+    return inRange(node, -value);
+  },
+
+  Abs(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    if (value === null) return null;
+    if (value instanceof Quantity) return new Quantity(Math.abs(value.value), value.unit);
+    return inRange(node, Math.abs(value));
+  },
+
+  Ceiling(node, scope) {
+    return mapNumber(this.evaluate(node.operand, scope), Math.ceil);
+  },
+
+  Floor(node, scope) {
+    return mapNumber(this.evaluate(node.operand, scope), Math.floor);
+  },
+
+  Truncate(node, scope) {
+    return mapNumber(this.evaluate(node.operand, scope), Math.trunc);
+  },
+
+  Round(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    const precision = node.precision ? this.evaluate(node.precision, scope) : 0;
+    if (value === null || precision === null) return null;
+    const factor = 10 ** precision;
+    return normalizeDecimal(Math.sign(value) * Math.round(Math.abs(value) * factor) / factor);
+  },
+
+  Ln(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    if (value === null || value <= 0) return null;
+    return normalizeDecimal(Math.log(value));
+  },
+
+  Exp(node, scope) {
+    return mapNumber(this.evaluate(node.operand, scope), value => normalizeDecimal(Math.exp(value)));
+  },
+
+  Log(node, scope) {
+    const [value, base] = this.operands(node, scope);
+    if (value === null || base === null || value <= 0 || base <= 0 || base === 1) return null;
+    return normalizeDecimal(Math.log(value) / Math.log(base));
+  },
+
+  Successor(node, scope) {
+    return successor(this.evaluate(node.operand, scope));
+  },
+
+  Predecessor(node, scope) {
+    return predecessor(this.evaluate(node.operand, scope));
+  },
+
+  MinValue(node) {
+    return boundaryValue(node.valueType, 'min');
+  },
+
+  MaxValue(node) {
+    return boundaryValue(node.valueType, 'max');
+  },
+
+  // Strings -----------------------------------------------------------------
+
+  Concatenate(node, scope) {
+    const values = this.operands(node, scope);
+    if (values.some(value => value === null)) return null;
+    return values.join('');
+  },
+
+  Combine(node, scope) {
+    const source = this.evaluate(node.source, scope);
+    const separator = node.separator ? this.evaluate(node.separator, scope) : '';
+    if (source === null || separator === null) return null;
+    return source.filter(item => item !== null).join(separator);
+  },
+
+  Split(node, scope) {
+    const text = this.evaluate(node.stringToSplit, scope);
+    const separator = this.evaluate(node.separator, scope);
+    if (text === null) return null;
+    return separator === null ? [text] : text.split(separator);
+  },
+
+  SplitOnMatches(node, scope) {
+    const text = this.evaluate(node.stringToSplit, scope);
+    const pattern = this.evaluate(node.separatorPattern, scope);
+    if (text === null || pattern === null) return null;
+    return text.split(new RegExp(pattern));
+  },
+
+  Substring(node, scope) {
+    const text = this.evaluate(node.stringToSub, scope);
+    const start = this.evaluate(node.startIndex, scope);
+    const length = node.length ? this.evaluate(node.length, scope) : null;
+    if (text === null || start === null || start < 0 || start >= text.length) return null;
+    return length === null ? text.substring(start) : text.substring(start, start + length);
+  },
+
+  PositionOf(node, scope) {
+    const pattern = this.evaluate(node.pattern, scope);
+    const text = this.evaluate(node.string, scope);
+    return pattern === null || text === null ? null : text.indexOf(pattern);
+  },
+
+  LastPositionOf(node, scope) {
+    const pattern = this.evaluate(node.pattern, scope);
+    const text = this.evaluate(node.string, scope);
+    return pattern === null || text === null ? null : text.lastIndexOf(pattern);
+  },
+
+  Upper(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    return value === null ? null : value.toUpperCase();
+  },
+
+  Lower(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    return value === null ? null : value.toLowerCase();
+  },
+
+  StartsWith(node, scope) {
+    const [text, prefix] = this.operands(node, scope);
+    return text === null || prefix === null ? null : text.startsWith(prefix);
+  },
+
+  EndsWith(node, scope) {
+    const [text, suffix] = this.operands(node, scope);
+    return text === null || suffix === null ? null : text.endsWith(suffix);
+  },
+
+  Matches(node, scope) {
+    const [text, pattern] = this.operands(node, scope);
+    return text === null || pattern === null ? null : new RegExp(`^(?:${pattern})$`, 's').test(text);
+  },
+
+  ReplaceMatches(node, scope) {
+    const [text, pattern, substitution] = this.operands(node, scope);
+    if (text === null || pattern === null || substitution === null) return null;
+    return text.replace(new RegExp(pattern, 'g'), substitution);
+  },
+
+  Length(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    return value === null ? null : value.length;
+  },
+
+  // Nullological ------------------------------------------------------------
+
+  Coalesce(node, scope) {
+    const operands = Array.isArray(node.operand) ? node.operand : [node.operand];
+    if (operands.length === 1) {
+      const value = this.evaluate(operands[0], scope);
+      return Array.isArray(value) ? value.find(item => item !== null) ?? null : value;
+    }
+    for (const operand of operands) {
+      const value = this.evaluate(operand, scope);
+      if (value !== null) return value;
+    }
+    return null;
+  },
+
+  IsNull(node, scope) {
+    return this.evaluate(node.operand, scope) === null;
+  },
+
+  IsTrue(node, scope) {
+    return this.evaluate(node.operand, scope) === true;
+  },
+
+  IsFalse(node, scope) {
+    return this.evaluate(node.operand, scope) === false;
+  },
+
+  // Types -------------------------------------------------------------------
+
+  Is(node, scope) {
+    return isType(this.evaluate(node.operand, scope), node.isTypeSpecifier);
+  },
+
+  As(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    if (value === null) return null;
+    if (isType(value, node.asTypeSpecifier)) return value;
+    if (node.strict) {
+      throw new Error(`Cannot cast a value of type ${typeName(value)} as ${describeType(node.asTypeSpecifier)}`);
+    }
+    return null;
+  },
+
+  ToBoolean(node, scope) {
+    return toBoolean(this.evaluate(node.operand, scope));
+  },
+
+  ToInteger(node, scope) {
+    return toInteger(this.evaluate(node.operand, scope));
+  },
+
+  ToLong(node, scope) {
+    return toInteger(this.evaluate(node.operand, scope));
+  },
+
+  ToDecimal(node, scope) {
+    return toDecimal(this.evaluate(node.operand, scope));
+  },
+
+  ToString(node, scope) {
+    return toCQLString(this.evaluate(node.operand, scope));
+  },
+
+  ToQuantity(node, scope) {
+    return toQuantity(this.evaluate(node.operand, scope));
+  },
+
+  ToDate(node, scope) {
+    return toDate(this.evaluate(node.operand, scope));
+  },
+
+  ToDateTime(node, scope) {
+    return toDateTime(this.evaluate(node.operand, scope), this.now.timezoneOffset);
+  },
+
+  ToTime(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    if (value === null || value instanceof CQLTime) return value;
+    return typeof value === 'string' ? CQLTime.parse(value) : null;
+  },
+
+  ToConcept(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    if (value === null || value instanceof Concept) return value;
+    if (value instanceof Code) return new Concept([value]);
+    if (Array.isArray(value)) return new Concept(value.filter(item => item instanceof Code));
+    return null;
+  },
+
+  ToList(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    return value === null ? [] : [value];
+  },
+
+  ConvertsToBoolean(node, scope) {
+    return convertsTo(this.evaluate(node.operand, scope), toBoolean);
+  },
+
+  ConvertsToInteger(node, scope) {
+    return convertsTo(this.evaluate(node.operand, scope), toInteger);
+  },
+
+  ConvertsToLong(node, scope) {
+    return convertsTo(this.evaluate(node.operand, scope), toInteger);
+  },
+
+  ConvertsToDecimal(node, scope) {
+    return convertsTo(this.evaluate(node.operand, scope), toDecimal);
+  },
+
+  ConvertsToString(node, scope) {
+    return convertsTo(this.evaluate(node.operand, scope), toCQLString);
+  },
+
+  ConvertsToQuantity(node, scope) {
+    return convertsTo(this.evaluate(node.operand, scope), toQuantity);
+  },
+
+  ConvertsToDate(node, scope) {
+    return convertsTo(this.evaluate(node.operand, scope), toDate);
+  },
+
+  ConvertsToDateTime(node, scope) {
+    return convertsTo(this.evaluate(node.operand, scope), value => toDateTime(value, 0));
+  },
+
+  ConvertsToTime(node, scope) {
+    return convertsTo(this.evaluate(node.operand, scope), value => (typeof value === 'string' ? CQLTime.parse(value) : value));
+  },
+
+  ConvertsToConcept(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    return value === null ? null : value instanceof Code || value instanceof Concept;
+  },
+
+  ConvertQuantity(node, scope) {
+    const [quantity, unit] = this.operands(node, scope);
+    if (quantity === null || unit === null) return null;
+    return convertQuantity(quantity, unit);
+  },
+
+  // Dates and times ---------------------------------------------------------
+
+  Today() {
+    return this.now.toDate();
+  },
+
+  Now() {
+    return this.now;
+  },
+
+  TimeOfDay() {
+    const { hour, minute, second, millisecond } = this.now;
+    return new CQLTime({ hour, minute, second, millisecond });
+  },
+
+  DurationBetween(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    if (a === null || b === null) return null;
+    const [start, end] = alignTemporal(a, b);
+    return durationBetween(start, end, node.precision);
+  },
+
+  DifferenceBetween(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    if (a === null || b === null) return null;
+    const [start, end] = alignTemporal(a, b);
+    return differenceBetween(start, end, node.precision);
+  },
+
+  DateTimeComponentFrom(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    return value === null ? null : value.getComponent(node.precision);
+  },
+
+  DateFrom(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    if (value === null) return null;
+    return value instanceof CQLDateTime ? value.toDate() : value;
+  },
+
+  TimeFrom(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    if (value === null || value.hour === null) return null;
+    const { hour, minute, second, millisecond } = value;
+    return new CQLTime({ hour, minute, second, millisecond });
+  },
+
+  TimezoneOffsetFrom(node, scope) {
+    const value = this.evaluate(node.operand, scope);
+    return value === null ? null : value.timezoneOffset;
+  },
+
+  CalculateAge(node, scope) {
+    const birthDate = toTemporal(this.evaluate(node.operand, scope));
+    if (birthDate === null) return null;
+    const asOf = ['Year', 'Month', 'Week', 'Day'].includes(node.precision) && birthDate instanceof CQLDate
+      ? this.now.toDate()
+      : this.now;
+    const [start, end] = alignTemporal(birthDate, asOf);
+    return durationBetween(start, end, node.precision);
+  },
+
+  CalculateAgeAt(node, scope) {
+    const [birth, asOf] = this.operands(node, scope).map(toTemporal);
+    if (birth === null || asOf === null) return null;
+    const [start, end] = alignTemporal(birth, asOf);
+    return durationBetween(start, end, node.precision);
+  },
+
+  // Lists and intervals -----------------------------------------------------
+
+  In(node, scope) {
+    const [element, container] = this.operands(node, scope);
+    return membership(element, container, node.precision);
+  },
+
+  Contains(node, scope) {
+    const [container, element] = this.operands(node, scope);
+    return membership(element, container, node.precision);
+  },
+
+  InValueSet(node, scope) {
+    const code = this.evaluate(node.code, scope);
+    if (code === null) return false;
+    const valueSet = this.evaluate(node.valueset, scope);
+    const codes = this.expandCodes(valueSet);
+    return resourceCodes(code).some(candidate => codes.some(member => equivalent(candidate, member)));
+  },
+
+  InCodeSystem(node, scope) {
+    const code = this.evaluate(node.code, scope);
+    if (code === null) return false;
+    const codeSystem = this.evaluate(node.codesystem, scope);
+    return resourceCodes(code).some(candidate => candidate.system === codeSystem.id);
+  },
+
+  Includes(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    return includes(a, b, node.precision);
+  },
+
+  IncludedIn(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    return includes(b, a, node.precision);
+  },
+
+  ProperIncludes(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    return and(includes(a, b, node.precision), not(sameBounds(a, b)));
+  },
+
+  ProperIncludedIn(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    return and(includes(b, a, node.precision), not(sameBounds(a, b)));
+  },
+
+  Before(node, scope) {
+    return boundaryComparison.call(this, node, scope, (a, b) => [a.end, b.start], result => result < 0);
+  },
+
+  After(node, scope) {
+    return boundaryComparison.call(this, node, scope, (a, b) => [a.start, b.end], result => result > 0);
+  },
+
+  SameOrBefore(node, scope) {
+    return boundaryComparison.call(this, node, scope, (a, b) => [a.end, b.start], result => result <= 0);
+  },
+
+  SameOrAfter(node, scope) {
+    return boundaryComparison.call(this, node, scope, (a, b) => [a.start, b.end], result => result >= 0);
+  },
+
+  SameAs(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    if (a === null || b === null) return null;
+    const left = bounds(a);
+    const right = bounds(b);
+    const compareAt = (x, y) => {
+      const result = compare(x, y, node.precision || null);
+      return result === null ? null : result === 0;
+    };
+    return and(compareAt(left.start, right.start), compareAt(left.end, right.end));
+  },
+
+  Meets(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    return or(meetsBefore(a, b), meetsBefore(b, a));
+  },
+
+  MeetsBefore(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    return meetsBefore(a, b);
+  },
+
+  MeetsAfter(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    return meetsBefore(b, a);
+  },
+
+  Overlaps(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    return overlaps(a, b, node.precision);
+  },
+
+  OverlapsBefore(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    if (a === null || b === null) return null;
+    return and(overlaps(a, b, node.precision), lessThan(bounds(a).start, bounds(b).start, node.precision));
+  },
+
+  OverlapsAfter(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    if (a === null || b === null) return null;
+    return and(overlaps(a, b, node.precision), lessThan(bounds(b).end, bounds(a).end, node.precision));
+  },
+
+  Starts(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    if (a === null || b === null) return null;
+    const [left, right] = [bounds(a), bounds(b)];
+    return and(equalAt(left.start, right.start, node.precision), notAfter(left.end, right.end, node.precision));
+  },
+
+  Ends(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    if (a === null || b === null) return null;
+    const [left, right] = [bounds(a), bounds(b)];
+    return and(equalAt(left.end, right.end, node.precision), notAfter(right.start, left.start, node.precision));
+  },
+
+  Start(node, scope) {
+    const interval = this.evaluate(node.operand, scope);
+    return interval === null ? null : intervalStart(interval);
+  },
+
+  End(node, scope) {
+    const interval = this.evaluate(node.operand, scope);
+    return interval === null ? null : intervalEnd(interval);
+  },
+
+  Width(node, scope) {
+    const interval = this.evaluate(node.operand, scope);
+    if (interval === null) return null;
+    const start = intervalStart(interval);
+    const end = intervalEnd(interval);
+    if (start === null || end === null) return null;
+    if (isTemporal(start)) {
+      throw new Error('Width is not defined for Date or DateTime intervals; use duration in days of');
+    }
+    return add(end, start, -1);
+  },
+
+  Size(node, scope) {
+    const interval = this.evaluate(node.operand, scope);
+    if (interval === null) return null;
+    const width = add(intervalEnd(interval), intervalStart(interval), -1);
+    if (width === null) return null;
+    return add(width, Number.isInteger(width) ? 1 : 0.00000001, 1);
+  },
+
+  PointFrom(node, scope) {
+    const interval = this.evaluate(node.operand, scope);
+    if (interval === null) return null;
+    const start = intervalStart(interval);
+    if (equal(start, intervalEnd(interval)) !== true) {
+      throw new Error('Cannot extract a single point from an interval with more than one point');
+    }
+    return start;
+  },
+
+  SingletonFrom(node, scope) {
+    const list = this.evaluate(node.operand, scope);
+    if (list === null) return null;
+    if (list.length > 1) {
+      throw new Error(`Expected a list with at most one element, but found ${list.length} elements`);
+    }
+    return list.length === 1 ? list[0] : null;
+  },
+
+  Exists(node, scope) {
+    const list = this.evaluate(node.operand, scope);
+    if (list === null) return false;
+    return list.some(item => item !== null);
+  },
+
+  Distinct(node, scope) {
+    const list = this.evaluate(node.operand, scope);
+    return list === null ? null : distinct(list);
+  },
+
+  Flatten(node, scope) {
+    const list = this.evaluate(node.operand, scope);
+    if (list === null) return null;
+    return list.flatMap(item => (Array.isArray(item) ? item : [item]));
+  },
+
+  First(node, scope) {
+    const list = this.evaluate(node.source, scope);
+    return list === null || list.length === 0 ? null : list[0];
+  },
+
+  Last(node, scope) {
+    const list = this.evaluate(node.source, scope);
+    return list === null || list.length === 0 ? null : list[list.length - 1];
+  },
+
+  IndexOf(node, scope) {
+    const list = this.evaluate(node.source, scope);
+    const element = this.evaluate(node.element, scope);
+    if (list === null || element === null) return null;
+    return list.findIndex(item => equal(item, element) === true);
+  },
+
+  Slice(node, scope) {
+    const list = this.evaluate(node.source, scope);
+    if (list === null) return null;
+    const start = this.optional(node.startIndex, scope) ?? 0;
+    const end = this.optional(node.endIndex, scope);
+    return end === null ? list.slice(start) : list.slice(start, end);
+  },
+
+  Union(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    if (a instanceof Interval || b instanceof Interval) {
+      if (a === null || b === null) return null;
+      if (overlaps(a, b) !== true && or(meetsBefore(a, b), meetsBefore(b, a)) !== true) return null;
+      const low = minBoundary(a, b, 'low');
+      const high = minBoundary(a, b, 'high');
+      return new Interval(low.value, high.value, low.closed, high.closed);
+    }
+    return distinct([...(a || []), ...(b || [])]);
+  },
+
+  Intersect(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    if (a === null || b === null) return null;
+    if (a instanceof Interval) {
+      if (overlaps(a, b) !== true) return null;
+      const low = minBoundary(a, b, 'low', true);
+      const high = minBoundary(a, b, 'high', true);
+      return new Interval(low.value, high.value, low.closed, high.closed);
+    }
+    return distinct(a.filter(item => b.some(other => equal(item, other) === true)));
+  },
+
+  Except(node, scope) {
+    const [a, b] = this.operands(node, scope);
+    if (a instanceof Interval || b instanceof Interval) {
+      return a === null || b === null ? null : intervalExcept(a, b);
+    }
+    if (a === null) return null;
+    if (b === null) return a;
+    return distinct(a.filter(item => !b.some(other => equal(item, other) === true)));
+  },
+
+  Collapse(node, scope) {
+    const [list] = this.operands(node, scope);
+    if (list === null) return null;
+    const sorted = list.filter(item => item !== null).sort((x, y) => compare(intervalStart(x), intervalStart(y)) ?? 0);
+    const collapsed = [];
+    for (const interval of sorted) {
+      const last = collapsed[collapsed.length - 1];
+      if (last && (overlaps(last, interval) === true || meetsBefore(last, interval) === true)) {
+        const high = compare(intervalEnd(interval), intervalEnd(last)) > 0 ? interval : last;
+        collapsed[collapsed.length - 1] = new Interval(last.low, high.high, last.lowClosed, high.highClosed);
+      } else {
+        collapsed.push(interval);
+      }
+    }
+    return collapsed;
+  },
+
+  // An interval expands to its points; a list of intervals to unit intervals
+  Expand(node, scope) {
+    const [source, per] = this.operands(node, scope);
+    if (source === null) return null;
+    if (source instanceof Interval) {
+      return expandInterval(source, per, []);
+    }
+    const points = source.reduce((expanded, interval) => (interval === null ? expanded : expandInterval(interval, per, expanded)), []);
+    return points.map(point => new Interval(point, point, true, true));
+  },
+
+  // Aggregates --------------------------------------------------------------
+
+  Count(node, scope) {
+    const list = this.evaluate(node.source, scope);
+    return list === null ? 0 : list.filter(item => item !== null).length;
+  },
+
+  Sum(node, scope) {
+    return inRange(node, aggregateValues(this.evaluate(node.source, scope), values => values.reduce((total, value) => add(total, value, 1))));
+  },
+
+  Min(node, scope) {
+    return aggregateValues(this.evaluate(node.source, scope), values => values.reduce((min, value) => (compare(value, min) < 0 ? value : min)));
+  },
+
+  Max(node, scope) {
+    return aggregateValues(this.evaluate(node.source, scope), values => values.reduce((max, value) => (compare(value, max) > 0 ? value : max)));
+  },
+
+  Avg(node, scope) {
+    return aggregateValues(this.evaluate(node.source, scope), values => {
+      const total = values.reduce((sum, value) => add(sum, value, 1));
+      return total instanceof Quantity
+        ? new Quantity(normalizeDecimal(total.value / values.length), total.unit)
+        : normalizeDecimal(total / values.length);
+    });
+  },
+
+  Median(node, scope) {
+    return aggregateValues(this.evaluate(node.source, scope), values => {
+      const sorted = [...values].sort((x, y) => compare(x, y));
+      const middle = Math.floor(sorted.length / 2);
+      if (sorted.length % 2 === 1) return sorted[middle];
+      return normalizeDecimal((quantityValue(sorted[middle - 1]) + quantityValue(sorted[middle])) / 2);
+    });
+  },
+
+  Mode(node, scope) {
+    return aggregateValues(this.evaluate(node.source, scope), values => {
+      let best = null;
+      let bestCount = 0;
+      for (const value of values) {
+        const count = values.filter(other => equal(other, value) === true).length;
+        if (count > bestCount) {
+          best = value;
+          bestCount = count;
+        }
+      }
+      return best;
+    });
+  },
+
+  Variance(node, scope) {
+    return aggregateValues(this.evaluate(node.source, scope), values => variance(values, true));
+  },
+
+  PopulationVariance(node, scope) {
+    return aggregateValues(this.evaluate(node.source, scope), values => variance(values, false));
+  },
+
+  StdDev(node, scope) {
+    return aggregateValues(this.evaluate(node.source, scope), values => {
+      const result = variance(values, true);
+      return result === null ? null : normalizeDecimal(Math.sqrt(result));
+    });
+  },
+
+  PopulationStdDev(node, scope) {
+    return aggregateValues(this.evaluate(node.source, scope), values => normalizeDecimal(Math.sqrt(variance(values, false))));
+  },
+
+  Product(node, scope) {
+    return aggregateValues(this.evaluate(node.source, scope), values => normalizeDecimal(values.reduce((total, value) => total * value, 1)));
+  },
+
+  GeometricMean(node, scope) {
+    return aggregateValues(this.evaluate(node.source, scope), values =>
+      normalizeDecimal(values.reduce((total, value) => total * value, 1) ** (1 / values.length)));
+  },
+
+  AllTrue(node, scope) {
+    const list = this.evaluate(node.source, scope);
+    return list === null ? true : list.filter(item => item !== null).every(item => item === true);
+  },
+
+  AnyTrue(node, scope) {
+    const list = this.evaluate(node.source, scope);
+    return list === null ? false : list.some(item => item === true);
+  },
+
+  // Messaging ---------------------------------------------------------------
+
+  Message(node, scope) {
+    const source = this.evaluate(node.source, scope);
+    const condition = this.evaluate(node.condition, scope);
+    if (condition === true) {
+      const severity = this.evaluate(node.severity, scope);
+      if (severity === 'Error') {
+        const code = this.evaluate(node.code, scope);
+        const message = this.evaluate(node.message, scope);
+        throw new Error(`${code ? `${code}: ` : ''}${message}`);
+      }
+    }
+    return source;
+  }
+};
+
+export class ElmEvaluator {
+  /**
+   * @param {object} elm - ELM JSON ({ library })
+   * @param {object} options - { dataProvider, terminologyProvider, parameters, patientId, now, tracer,
+   *   libraries } where libraries is the ELM of the libraries this one may include
+   */
+  constructor(elm, options = {}) {
+    this.library = elm.library;
+    this.dataProvider = options.dataProvider || new BundleDataProvider();
+    this.terminologyProvider = options.terminologyProvider || new InMemoryTerminologyProvider();
+    this.parameterValues = options.parameters || {};
+    this.patientId = options.patientId || null;
+    this.nowDate = options.now || new Date();
+    this.now = CQLDateTime.fromJSDate(this.nowDate, 0);
+    this.tracer = options.tracer || null;
+    this.libraryElms = options.libraries || [];
+    this.includedLibraries = new Map();
+
+    this.statements = new Map();
+    this.functions = new Map();
+    for (const def of this.library.statements?.def || []) {
+      if (def.type === 'FunctionDef') {
+        const overloads = this.functions.get(def.name) || [];
+        overloads.push(def);
+        this.functions.set(def.name, overloads);
+      } else {
+        this.statements.set(def.name, def);
+      }
+    }
+
+    const byName = section => new Map((this.library[section]?.def || []).map(def => [def.name, def]));
+    this.parameterDefs = byName('parameters');
+    this.codeSystemDefs = byName('codeSystems');
+    this.valueSetDefs = byName('valueSets');
+    this.codeDefs = byName('codes');
+    this.conceptDefs = byName('concepts');
+
+    this.results = new Map();
+    this.parameterCache = new Map();
+    this.pending = new Set();
+    this.context = 'Unfiltered';
+    this.callDepth = 0;
+    this.rootScope = new Scope();
+  }
+
+  /**
+   * Evaluate (and cache) a named expression definition
+   */
+  evaluateDefinition(name) {
+    if (this.results.has(name)) {
+      return this.results.get(name);
+    }
+
+    const def = this.statements.get(name);
+    if (!def) {
+      throw new EvaluationError(`Could not find definition "${name}"`);
+    }
+    if (this.pending.has(name)) {
+      throw new EvaluationError(`Definition "${name}" refers to itself`, def.locator);
+    }
+
+    const previousContext = this.context;
+    this.pending.add(name);
+    this.context = def.context || 'Unfiltered';
+    try {
+      const value = this.evaluate(def.expression, this.rootScope);
+      this.results.set(name, value);
+      return value;
+    } finally {
+      this.pending.delete(name);
+      this.context = previousContext;
+    }
+  }
+
+  /**
+   * Evaluate an ELM expression node
+   */
+  evaluate(node, scope) {
+    const handler = HANDLERS[node.type];
+    if (!handler) {
+      throw new EvaluationError(`Unsupported expression type ${node.type}`, node.locator);
+    }
+    try {
+      return this.tracer
+        ? this.tracer.record(node, () => handler.call(this, node, scope))
+        : handler.call(this, node, scope);
+    } catch (error) {
+      if (error instanceof EvaluationError) {
+        if (!error.locator && node.locator) error.locator = node.locator;
+        throw error;
+      }
+      throw new EvaluationError(error.message, node.locator || null);
+    }
+  }
+
+  operands(node, scope) {
+    const operand = Array.isArray(node.operand) ? node.operand : [node.operand];
+    return operand.map(item => this.evaluate(item, scope));
+  }
+
+  optional(node, scope) {
+    return node ? this.evaluate(node, scope) : null;
+  }
+
+  parameterValue(name) {
+    if (this.parameterCache.has(name)) {
+      return this.parameterCache.get(name);
+    }
+    const def = this.parameterDefs.get(name);
+    let value = null;
+    if (Object.prototype.hasOwnProperty.call(this.parameterValues, name)) {
+      value = this.parameterValues[name];
+    } else if (def?.default) {
+      value = this.evaluate(def.default, this.rootScope);
+    }
+    this.parameterCache.set(name, value);
+    return value;
+  }
+
+  codeSystemUrl(reference) {
+    if (reference.libraryName) {
+      return this.inLibrary(reference.libraryName, library => library.codeSystemUrl({ name: reference.name }));
+    }
+    const def = this.codeSystemDefs.get(reference.name);
+    if (!def) {
+      throw new Error(`Could not resolve code system "${reference.name}"`);
+    }
+    return def;
+  }
+
+  codeFromDef(name) {
+    const def = this.codeDefs.get(name);
+    if (!def) {
+      throw new Error(`Could not resolve code "${name}"`);
+    }
+    const codeSystem = this.codeSystemUrl(def.codeSystem);
+    return new Code(def.id, codeSystem.id, codeSystem.version || null, def.display || null);
+  }
+
+  /**
+   * Codes matched by a retrieve or membership test
+   */
+  expandCodes(value) {
+    if (value === null) return [];
+    if (value instanceof ValueSetReference) return this.terminologyProvider.expand(value.id, value.version);
+    if (value instanceof Code) return [value];
+    if (value instanceof Concept) return value.codes;
+    if (Array.isArray(value)) return value.flatMap(item => this.expandCodes(item));
+    throw new Error(`Expected a value set, code or concept but found ${typeName(value)}`);
+  }
+
+  currentPatientId() {
+    return this.context === 'Patient' ? this.patientId : null;
+  }
+
+  /**
+   * Evaluator for a library included under an alias, created on first use. It
+   * shares this evaluator's data, terminology, patient and clock.
+   */
+  includedLibrary(alias) {
+    if (this.includedLibraries.has(alias)) {
+      return this.includedLibraries.get(alias);
+    }
+
+    const include = (this.library.includes?.def || []).find(def => def.localIdentifier === alias);
+    const elm = include && this.libraryElms.find(candidate => candidate.library.identifier.id === include.path &&
+      (!include.version || !candidate.library.identifier.version || candidate.library.identifier.version === include.version));
+    if (!elm) {
+      throw new Error(`Library ${include?.path || alias} is not available`);
+    }
+
+    const library = new ElmEvaluator(elm, {
+      dataProvider: this.dataProvider,
+      terminologyProvider: this.terminologyProvider,
+      patientId: this.patientId,
+      now: this.nowDate,
+      libraries: this.libraryElms
+    });
+    this.includedLibraries.set(alias, library);
+    return library;
+  }
+
+  /**
+   * Evaluate within an included library. Its errors are reported at the
+   * reference, since their locators point into the other library's source.
+   */
+  inLibrary(alias, evaluate) {
+    const library = this.includedLibrary(alias);
+    try {
+      return evaluate(library);
+    } catch (error) {
+      throw new Error(`${error.message} (in library ${library.library.identifier.id})`);
+    }
+  }
+
+  callFunction(name, args) {
+    const overloads = this.functions.get(name) || [];
+    const def = overloads.find(overload => overload.operand.length === args.length);
+    if (!def) {
+      throw new Error(`Could not find function ${name} with ${args.length} argument(s)`);
+    }
+    if (def.external && this.library.identifier.id === 'FHIRHelpers') {
+      // FHIR values are already converted to System values when their properties are read
+      return args[0];
+    }
+    if (def.external) {
+      throw new Error(`External function ${name} cannot be evaluated`);
+    }
+    if (this.callDepth >= MAX_CALL_DEPTH) {
+      throw new Error(`Maximum function call depth exceeded while calling ${name}`);
+    }
+
+    const values = {};
+    def.operand.forEach((operand, index) => {
+      values[operand.name] = args[index];
+    });
+
+    this.callDepth++;
+    try {
+      return this.evaluate(def.expression, new Scope(values));
+    } finally {
+      this.callDepth--;
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Queries
+// -----------------------------------------------------------------------------
+
+function evaluateQuery(node, scope) {
+  const sources = node.source.map(source => ({
+    alias: source.alias,
+    value: this.evaluate(source.expression, scope)
+  }));
+
+  const singleton = sources.length === 1 && !Array.isArray(sources[0].value);
+  if (singleton && sources[0].value === null) {
+    return null;
+  }
+
+  // Cartesian product of all sources
+  let rows = [{}];
+  for (const source of sources) {
+    const items = Array.isArray(source.value) ? source.value : [source.value];
+    rows = rows.flatMap(row => items.map(item => ({ ...row, [source.alias]: item })));
+  }
+
+  const kept = [];
+  for (const row of rows) {
+    const rowScope = scope.child({ ...row });
+
+    for (const letClause of node.let || []) {
+      rowScope.values[letClause.identifier] = this.evaluate(letClause.expression, rowScope);
+    }
+
+    let include = true;
+    for (const relationship of node.relationship || []) {
+      const related = this.evaluate(relationship.expression, rowScope);
+      const items = Array.isArray(related) ? related : related === null ? [] : [related];
+      const matched = items.some(item =>
+        this.evaluate(relationship.suchThat, rowScope.child({ [relationship.alias]: item })) === true);
+      if (relationship.type === 'With' ? !matched : matched) {
+        include = false;
+        break;
+      }
+    }
+
+    if (include && node.where && this.evaluate(node.where, rowScope) !== true) {
+      include = false;
+    }
+
+    if (include) {
+      kept.push({ row, rowScope });
+    }
+  }
+
+  if (node.aggregate) {
+    const { aggregate } = node;
+    let accumulator = aggregate.starting ? this.evaluate(aggregate.starting, scope) : null;
+    const candidates = aggregate.distinct ? distinctRows(kept, sources) : kept;
+    for (const { rowScope } of candidates) {
+      accumulator = this.evaluate(aggregate.expression, rowScope.child({ [aggregate.identifier]: accumulator }));
+    }
+    return accumulator;
+  }
+
+  let results;
+  if (node.return) {
+    results = kept.map(({ rowScope }) => this.evaluate(node.return.expression, rowScope));
+    if (node.return.distinct !== false && !singleton) {
+      results = distinct(results);
+    }
+  } else if (sources.length === 1) {
+    results = kept.map(({ row }) => row[sources[0].alias]);
+  } else {
+    results = kept.map(({ row }) => ({ ...row }));
+  }
+
+  if (singleton) {
+    return results.length > 0 ? results[0] : null;
+  }
+
+  if (node.sort) {
+    results = sortResults.call(this, results, node, scope, sources);
+  }
+
+  return results;
+}
+
+function distinctRows(rows, sources) {
+  const unique = [];
+  for (const entry of rows) {
+    const values = sources.map(source => entry.row[source.alias]);
+    if (!unique.some(other => equal(sources.map(source => other.row[source.alias]), values) === true)) {
+      unique.push(entry);
+    }
+  }
+  return unique;
+}
+
+function sortResults(results, node, scope, sources) {
+  const keyed = results.map(value => {
+    const itemScope = scope.child({ $this: value });
+    if (!node.return && sources.length === 1) {
+      itemScope.values[sources[0].alias] = value;
+    }
+    const keys = node.sort.by.map(item =>
+      (item.type === 'ByExpression' ? this.evaluate(item.expression, itemScope) : value));
+    return { value, keys };
+  });
+
+  keyed.sort((x, y) => {
+    for (let index = 0; index < node.sort.by.length; index++) {
+      const direction = node.sort.by[index].direction?.startsWith('desc') ? -1 : 1;
+      const a = x.keys[index];
+      const b = y.keys[index];
+      if (a === null && b === null) continue;
+      if (a === null) return -direction;
+      if (b === null) return direction;
+      const result = compare(a, b) ?? 0;
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+
+  return keyed.map(entry => entry.value);
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function comparison(node, scope, test) {
+  const [a, b] = this.operands(node, scope);
+  const result = compare(a, b, node.precision || null);
+  return result === null ? null : test(result);
+}
+
+function add(a, b, sign) {
+  if (a === null || b === null) return null;
+
+  if (typeof a === 'number' && typeof b === 'number') {
+    return normalizeDecimal(a + sign * b);
+  }
+  if (typeof a === 'string' && typeof b === 'string' && sign > 0) {
+    return a + b;
+  }
+  if (a instanceof Quantity && b instanceof Quantity) {
+    if (isTemporalQuantity(a) && isTemporalQuantity(b) && a.unit !== b.unit && !convertQuantity(b, a.unit)) {
+      throw new Error(`Cannot combine quantities in '${a.unit}' and '${b.unit}'`);
+    }
+    const converted = convertQuantity(b, a.unit);
+    if (!converted) {
+      throw new Error(`Cannot ${sign > 0 ? 'add' : 'subtract'} quantities with units '${a.unit}' and '${b.unit}'`);
+    }
+    return new Quantity(normalizeDecimal(a.value + sign * converted.value), a.unit);
+  }
+  if (isTemporal(a) && b instanceof Quantity) {
+    return a.add(b, sign);
+  }
+  if (isTemporal(a) && isTemporal(b)) {
+    throw new Error('Cannot subtract dates directly; use duration in days between A and B');
+  }
+  if (typeof a === 'number' && b instanceof Quantity && b.unit === '1') {
+    return normalizeDecimal(a + sign * b.value);
+  }
+
+  const verb = sign > 0 ? 'add' : 'subtract';
+  throw new Error(`Cannot ${verb} ${typeName(b)} ${sign > 0 ? 'to' : 'from'} ${typeName(a)}`);
+}
+
+/**
+ * Integer and Long arithmetic that leaves its type's range results in null
+ */
+function inRange(node, value) {
+  const range = INTEGER_RANGES[node.resultTypeName?.replace(SYSTEM_NAMESPACE, '')];
+  if (!range || typeof value !== 'number') return value;
+  return value < range[0] || value > range[1] ? null : value;
+}
+
+function isTemporalQuantity(quantity) {
+  return temporalUnit(quantity.unit) !== null;
+}
+
+function combineUnits(a, b, separator) {
+  if (a === '1') return separator === '.' ? b : `1/${b}`;
+  if (b === '1') return a;
+  return `${a}${separator}${b}`;
+}
+
+function quantityValue(value) {
+  return value instanceof Quantity ? value.value : value;
+}
+
+function mapNumber(value, fn) {
+  if (value === null) return null;
+  if (value instanceof Quantity) return new Quantity(fn(value.value), value.unit);
+  return fn(value);
+}
+
+function aggregateValues(list, fn) {
+  if (list === null) return null;
+  const values = list.filter(item => item !== null);
+  return values.length === 0 ? null : fn(values);
+}
+
+function variance(values, sample) {
+  const numbers = values.map(quantityValue);
+  if (sample && numbers.length < 2) return null;
+  const mean = numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+  const squares = numbers.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+  return normalizeDecimal(squares / (numbers.length - (sample ? 1 : 0)));
+}
+
+function distinct(list) {
+  const unique = [];
+  for (const item of list) {
+    const duplicate = unique.some(existing => (existing === null && item === null) || equal(existing, item) === true);
+    if (!duplicate) unique.push(item);
+  }
+  return unique;
+}
+
+function membership(element, container, precision) {
+  if (container === null) return container instanceof Interval ? null : false;
+  if (container instanceof Interval) {
+    return intervalContains(container, element, precision || null);
+  }
+  if (!Array.isArray(container)) {
+    throw new Error(`Expected a list or interval but found ${typeName(container)}`);
+  }
+  if (element === null) {
+    return container.some(item => item === null) ? true : null;
+  }
+  let result = false;
+  for (const item of container) {
+    const matched = equal(element, item);
+    if (matched === true) return true;
+    if (matched === null) result = null;
+  }
+  return result === null ? false : result;
+}
+
+function includes(container, contained, precision) {
+  if (container === null || contained === null) return null;
+
+  if (Array.isArray(container)) {
+    const items = Array.isArray(contained) ? contained : [contained];
+    return items.every(item => container.some(other => equal(item, other) === true));
+  }
+
+  if (!(contained instanceof Interval)) {
+    return intervalContains(container, contained, precision || null);
+  }
+
+  const outer = bounds(container);
+  const inner = bounds(contained);
+  return and(notAfter(outer.start, inner.start, precision), notAfter(inner.end, outer.end, precision));
+}
+
+// The part of interval a outside b, or null when that is not a single interval
+function intervalExcept(a, b) {
+  if (overlaps(a, b) !== true) {
+    return overlaps(a, b) === false ? a : null;
+  }
+  const outer = bounds(a);
+  const inner = bounds(b);
+  if ([outer.start, outer.end, inner.start, inner.end].includes(null)) return null;
+
+  const coversStart = compare(inner.start, outer.start) <= 0;
+  const coversEnd = compare(inner.end, outer.end) >= 0;
+  if (coversStart === coversEnd) return null;
+  return coversStart
+    ? new Interval(successor(inner.end), outer.end, true, true)
+    : new Interval(outer.start, predecessor(inner.start), true, true);
+}
+
+/**
+ * Append an interval's points, per the given quantity (by default its
+ * precision's unit), to a list of expanded points
+ */
+function expandInterval(interval, per, expanded) {
+  let point = intervalStart(interval);
+  const end = intervalEnd(interval);
+  if (point === null || end === null) return expanded;
+
+  const step = per || (isTemporal(point) ? new Quantity(1, point.precision) : 1);
+  while (compare(point, end) <= 0) {
+    if (expanded.length >= MAX_EXPANDED_POINTS) {
+      throw new EvaluationError(`Expand would produce more than ${MAX_EXPANDED_POINTS} points; expand a shorter interval or use a larger per quantity`);
+    }
+    expanded.push(point);
+    point = add(point, step, 1);
+  }
+  return expanded;
+}
+
+function sameBounds(a, b) {
+  if (a === null || b === null) return null;
+  if (Array.isArray(a)) return equal(a, b);
+  const left = bounds(a);
+  const right = bounds(b);
+  return and(equal(left.start, right.start), equal(left.end, right.end));
+}
+
+/**
+ * Treat points as unit intervals so timing operators accept both
+ */
+function bounds(value) {
+  if (value instanceof Interval) {
+    return { start: intervalStart(value), end: intervalEnd(value) };
+  }
+  return { start: value, end: value };
+}
+
+function boundaryComparison(node, scope, select, test) {
+  const [a, b] = this.operands(node, scope);
+  if (a === null || b === null) return null;
+  const [left, right] = select(bounds(a), bounds(b));
+  const result = compare(left, right, node.precision || null);
+  return result === null ? null : test(result);
+}
+
+function meetsBefore(a, b) {
+  if (a === null || b === null) return null;
+  const { end } = bounds(a);
+  const { start } = bounds(b);
+  if (end === null || start === null) return null;
+  return equal(successor(end), start);
+}
+
+function overlaps(a, b, precision = null) {
+  if (a === null || b === null) return null;
+  const left = bounds(a);
+  const right = bounds(b);
+  return and(notAfter(left.start, right.end, precision), notAfter(right.start, left.end, precision));
+}
+
+function notAfter(a, b, precision = null) {
+  if (a === null || b === null) return null;
+  const result = compare(a, b, precision || null);
+  return result === null ? null : result <= 0;
+}
+
+function lessThan(a, b, precision = null) {
+  if (a === null || b === null) return null;
+  const result = compare(a, b, precision || null);
+  return result === null ? null : result < 0;
+}
+
+function equalAt(a, b, precision = null) {
+  if (a === null || b === null) return null;
+  const result = compare(a, b, precision || null);
+  return result === null ? null : result === 0;
+}
+
+// Lower (or upper) boundary of two intervals; `inner` picks the tighter one
+function minBoundary(a, b, side, inner = false) {
+  const candidates = [
+    { value: a[side], closed: side === 'low' ? a.lowClosed : a.highClosed },
+    { value: b[side], closed: side === 'low' ? b.lowClosed : b.highClosed }
+  ];
+  const pickFirst = (side === 'low') !== inner;
+  const result = compare(candidates[0].value, candidates[1].value);
+  if (result === 0) return { value: candidates[0].value, closed: candidates[0].closed || candidates[1].closed };
+  return (result < 0) === pickFirst ? candidates[0] : candidates[1];
+}
+
+function alignTemporal(a, b) {
+  if (a instanceof CQLDate && b instanceof CQLDateTime) return [a.toDateTime(), b];
+  if (a instanceof CQLDateTime && b instanceof CQLDate) return [a, b.toDateTime()];
+  return [a, b];
+}
+
+function toTemporal(value) {
+  if (value === null || typeof value !== 'string') return value;
+  return CQLDate.parse(value) || CQLDateTime.parse(value);
+}
+
+/**
+ * Codes carried by a resource element (Code, Concept or lists of either)
+ */
+function resourceCodes(value) {
+  if (value === null) return [];
+  if (value instanceof Code) return [value];
+  if (value instanceof Concept) return value.codes;
+  if (Array.isArray(value)) return value.flatMap(resourceCodes);
+  if (isTuple(value)) return resourceCodes(fromFHIR(value));
+  if (typeof value === 'string') return [new Code(value)];
+  return [];
+}
+
+function isType(value, specifier) {
+  if (value === null) return false;
+  switch (specifier.type) {
+    case 'ListTypeSpecifier':
+      return Array.isArray(value) && value.every(item => item === null || isType(item, specifier.elementType));
+    case 'IntervalTypeSpecifier':
+      return value instanceof Interval;
+    case 'ChoiceTypeSpecifier':
+      return specifier.choice.some(choice => isType(value, choice));
+    case 'TupleTypeSpecifier':
+      return isTuple(value);
+    default:
+      break;
+  }
+
+  const { name } = specifier;
+  if (name.startsWith(FHIR_NAMESPACE)) {
+    return isFHIRType(value, name.replace(FHIR_NAMESPACE, ''));
+  }
+
+  switch (name.replace(SYSTEM_NAMESPACE, '')) {
+    case 'Any': return true;
+    case 'Boolean': return typeof value === 'boolean';
+    case 'Integer':
+    case 'Long': return Number.isInteger(value);
+    case 'Decimal': return typeof value === 'number';
+    case 'String': return typeof value === 'string';
+    case 'Date': return value instanceof CQLDate;
+    case 'DateTime': return value instanceof CQLDateTime;
+    case 'Time': return value instanceof CQLTime;
+    case 'Quantity': return value instanceof Quantity;
+    case 'Ratio': return value instanceof Ratio;
+    case 'Code': return value instanceof Code;
+    case 'Concept': return value instanceof Concept;
+    case 'ValueSet': return value instanceof ValueSetReference;
+    default: return false;
+  }
+}
+
+function describeType(specifier) {
+  if (specifier.type === 'NamedTypeSpecifier') {
+    return specifier.name.replace(SYSTEM_NAMESPACE, '').replace(FHIR_NAMESPACE, 'FHIR.');
+  }
+  return specifier.type.replace('TypeSpecifier', '');
+}
+
+function isFHIRDatatype(name) {
+  return ['Quantity', 'Coding', 'CodeableConcept', 'Period', 'Range', 'Ratio', 'Reference', 'Identifier',
+    'HumanName', 'Address', 'ContactPoint', 'Annotation', 'Attachment', 'Extension', 'Meta', 'Narrative'].includes(name);
+}
+
+function boundaryValue(valueType, which) {
+  const max = which === 'max';
+  switch (valueType.replace(SYSTEM_NAMESPACE, '')) {
+    case 'Integer': return max ? 2147483647 : -2147483648;
+    case 'Long': return max ? Number.MAX_SAFE_INTEGER : Number.MIN_SAFE_INTEGER;
+    case 'Decimal': return max ? 1e20 : -1e20;
+    case 'Date': return max ? CQLDate.parse('9999-12-31') : CQLDate.parse('0001-01-01');
+    case 'DateTime': return max ? CQLDateTime.parse('9999-12-31T23:59:59.999Z') : CQLDateTime.parse('0001-01-01T00:00:00.000Z');
+    case 'Time': return max ? CQLTime.parse('23:59:59.999') : CQLTime.parse('00:00:00.000');
+    default: throw new Error(`${valueType} has no ${which}imum value`);
+  }
+}
+
+function toBoolean(value) {
+  if (value === null || typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value === 1 ? true : value === 0 ? false : null;
+  if (typeof value === 'string') {
+    const normalized = value.toLowerCase();
+    if (['true', 't', 'yes', 'y', '1'].includes(normalized)) return true;
+    if (['false', 'f', 'no', 'n', '0'].includes(normalized)) return false;
+  }
+  return null;
+}
+
+function toInteger(value) {
+  if (value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'number') return Number.isInteger(value) ? value : null;
+  if (typeof value === 'string' && /^[+-]?\d+$/.test(value.trim())) return parseInt(value, 10);
+  return null;
+}
+
+function toDecimal(value) {
+  if (value === null) return null;
+  if (typeof value === 'boolean') return value ? 1.0 : 0.0;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^[+-]?\d+(\.\d+)?$/.test(value.trim())) return parseFloat(value);
+  return null;
+}
+
+function toCQLString(value) {
+  if (value === null) return null;
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (isTemporal(value) || value instanceof Quantity || value instanceof Ratio) return value.toString();
+  if (value instanceof Code) return value.code;
+  return null;
+}
+
+function toQuantity(value) {
+  if (value === null || value instanceof Quantity) return value;
+  if (typeof value === 'number') return new Quantity(value, '1');
+  if (typeof value === 'string') {
+    const match = value.trim().match(/^([+-]?\d+(?:\.\d+)?)\s*(?:'([^']+)'|([A-Za-z]+))?$/);
+    if (match) return new Quantity(parseFloat(match[1]), match[2] || match[3] || '1');
+  }
+  return null;
+}
+
+function toDate(value) {
+  if (value === null || value instanceof CQLDate) return value;
+  if (value instanceof CQLDateTime) return value.toDate();
+  if (typeof value === 'string') return CQLDate.parse(value) || CQLDateTime.parse(value)?.toDate() || null;
+  return null;
+}
+
+function toDateTime(value, timezoneOffset) {
+  if (value === null || value instanceof CQLDateTime) return value;
+  if (value instanceof CQLDate) return value.toDateTime();
+  if (typeof value === 'string') {
+    const parsed = CQLDateTime.parse(value);
+    if (parsed && parsed.hour !== null && parsed.timezoneOffset === null) parsed.timezoneOffset = timezoneOffset;
+    return parsed;
+  }
+  return null;
+}
+
+function convertsTo(value, convert) {
+  if (value === null) return null;
+  return convert(value) !== null;
+}
@@ -0,0 +1,231 @@
+/**
+ * FHIR R4 Value Mapping
+ * Navigates FHIR JSON resources the way CQL property access does and
+ * converts FHIR datatypes (Quantity, CodeableConcept, Coding, Period, date
+ * strings, choice elements such as value[x]) into CQL runtime values.
+ */
+
+import { Code, Concept, Quantity, Ratio, Interval, CQLDate, CQLDateTime, CQLTime } from './datatypes.js';
+import { isTuple, isMissing } from './values.js';
+
+// Element names whose string values are FHIR date, dateTime or instant values
+const DATE_ELEMENT = /(^date$|Date$|DateTime$|^start$|^end$|^issued$|^authoredOn$|^recorded$|^lastUpdated$|^instant$|^birthDate$)/;
+
+/**
+ * Read a (possibly dotted) property path from a value
+ * @param {*} value - Resource, tuple, list or CQL value
+ * @param {string} path - Property path such as 'code.coding'
+ * @returns {*} CQL value, a list when navigating through lists, or null
+ */
+export function getProperty(value, path) {
+  return path.split('.').reduce((current, name) => propertyStep(current, name), value);
+}
+
+function propertyStep(value, name) {
+  if (isMissing(value)) return null;
+
+  if (Array.isArray(value)) {
+    const results = [];
+    for (const item of value) {
+      const result = propertyStep(item, name);
+      if (Array.isArray(result)) {
+        results.push(...result.filter(element => element !== null));
+      } else if (result !== null) {
+        results.push(result);
+      }
+    }
+    return results;
+  }
+
+  if (value instanceof Code) {
+    return value[name] ?? null;
+  }
+  if (value instanceof Concept) {
+    if (name === 'coding' || name === 'codes') return value.codes;
+    if (name === 'text' || name === 'display') return value.display;
+    return null;
+  }
+  if (value instanceof Quantity) {
+    if (name === 'code') return value.unit;
+    return name === 'value' || name === 'unit' ? value[name] : null;
+  }
+  if (value instanceof Interval) {
+    if (name === 'start' || name === 'low') return value.low;
+    if (name === 'end' || name === 'high') return value.high;
+    if (name === 'lowClosed' || name === 'highClosed') return value[name];
+    return null;
+  }
+  if (value instanceof CQLDate || value instanceof CQLDateTime || value instanceof CQLTime) {
+    return name === 'value' ? value : value.getComponent(name);
+  }
+  if (typeof value !== 'object') {
+    // FHIR primitives are exposed directly; `.value` yields the primitive itself
+    return name === 'value' ? value : null;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(value, name)) {
+    return fromFHIR(value[name], name);
+  }
+
+  // Choice elements: value -> valueQuantity, onset -> onsetDateTime, ...
+  const choiceKey = Object.keys(value).find(key =>
+    key.length > name.length && key.startsWith(name) && /^[A-Z]/.test(key.charAt(name.length)));
+  if (choiceKey) {
+    return fromFHIR(value[choiceKey], choiceKey, choiceKey.slice(name.length));
+  }
+
+  return null;
+}
+
+/**
+ * Convert a FHIR JSON element into a CQL value
+ * @param {*} raw - JSON value
+ * @param {string} elementName - Element name, used to recognise date strings
+ * @param {string} choiceType - Datatype suffix of a choice element, e.g. 'Quantity'
+ */
+export function fromFHIR(raw, elementName = '', choiceType = null) {
+  if (isMissing(raw)) return null;
+
+  if (Array.isArray(raw)) {
+    return raw.map(item => fromFHIR(item, elementName, choiceType));
+  }
+
+  if (choiceType) {
+    switch (choiceType) {
+      case 'Quantity':
+      case 'Age':
+      case 'Duration':
+      case 'Distance':
+      case 'Count':
+      case 'SimpleQuantity':
+        return toQuantity(raw);
+      case 'CodeableConcept':
+        return toConcept(raw);
+      case 'Coding':
+        return toCode(raw);
+      case 'Period':
+        return toInterval(raw);
+      case 'Range':
+        return new Interval(raw.low ? toQuantity(raw.low) : null, raw.high ? toQuantity(raw.high) : null);
+      case 'Ratio':
+        return new Ratio(toQuantity(raw.numerator), toQuantity(raw.denominator));
+      case 'DateTime':
+      case 'Instant':
+        return CQLDateTime.parse(raw) || raw;
+      case 'Date':
+        return CQLDate.parse(raw) || CQLDateTime.parse(raw) || raw;
+      case 'Time':
+        return CQLTime.parse(raw) || raw;
+      default:
+        break;
+    }
+  }
+
+  if (typeof raw === 'string') {
+    return DATE_ELEMENT.test(elementName) ? parseDateString(raw) : raw;
+  }
+
+  if (typeof raw !== 'object' || raw.resourceType) {
+    return raw;
+  }
+
+  if (Array.isArray(raw.coding)) {
+    return toConcept(raw);
+  }
+  if (typeof raw.code === 'string' && typeof raw.system === 'string' && !('value' in raw)) {
+    return toCode(raw);
+  }
+  if (typeof raw.value === 'number' && ('unit' in raw || 'code' in raw || 'system' in raw)) {
+    return toQuantity(raw);
+  }
+  if (isPeriod(raw)) {
+    return toInterval(raw);
+  }
+
+  return raw;
+}
+
+function parseDateString(text) {
+  if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(text)) {
+    return CQLDate.parse(text);
+  }
+  return CQLDateTime.parse(text) || text;
+}
+
+function isPeriod(raw) {
+  const keys = Object.keys(raw).filter(key => key !== 'id' && key !== 'extension');
+  return keys.length > 0 && keys.every(key => key === 'start' || key === 'end');
+}
+
+export function toQuantity(raw) {
+  if (!raw || typeof raw.value !== 'number') return null;
+  return new Quantity(raw.value, raw.code || raw.unit || '1');
+}
+
+export function toCode(raw) {
+  if (!raw) return null;
+  return new Code(raw.code ?? null, raw.system ?? null, raw.version ?? null, raw.display ?? null);
+}
+
+export function toConcept(raw) {
+  if (!raw) return null;
+  return new Concept((raw.coding || []).map(toCode), raw.text ?? null);
+}
+
+export function toInterval(raw) {
+  if (!raw) return null;
+  const parse = value => (value ? CQLDateTime.parse(value) : null);
+  return new Interval(parse(raw.start), parse(raw.end), true, true);
+}
+
+/**
+ * Whether a value is an instance of a FHIR type, e.g. 'Condition' or 'Quantity'
+ */
+export function isFHIRType(value, name) {
+  if (isMissing(value)) return false;
+  if (typeof value === 'object' && typeof value.resourceType === 'string') {
+    return value.resourceType === name || name === 'Resource' || name === 'DomainResource';
+  }
+
+  switch (name) {
+    case 'Quantity':
+    case 'Age':
+    case 'Duration':
+    case 'SimpleQuantity':
+      return value instanceof Quantity;
+    case 'CodeableConcept':
+      return value instanceof Concept;
+    case 'Coding':
+      return value instanceof Code;
+    case 'Period':
+    case 'Range':
+      return value instanceof Interval;
+    case 'Ratio':
+      return value instanceof Ratio;
+    case 'dateTime':
+    case 'instant':
+      return value instanceof CQLDateTime;
+    case 'date':
+      return value instanceof CQLDate;
+    case 'time':
+      return value instanceof CQLTime;
+    case 'string':
+    case 'code':
+    case 'uri':
+    case 'id':
+    case 'markdown':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'integer':
+    case 'positiveInt':
+    case 'unsignedInt':
+      return Number.isInteger(value);
+    case 'decimal':
+      return typeof value === 'number';
+    case 'Reference':
+      return isTuple(value) && 'reference' in value;
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Embedded CQL Engine
+ * Translates CQL with the shared translator and evaluates the resulting ELM
+ * in-process, so code can be executed without the CQL Execution Service.
+ * Results use the same shape as the service: one entry per definition with
+ * name, location, resultType and result (or error / translator-error).
+ * Libraries sent with the request, and those of the library catalog, can be
+ * included by the executed library; only the executed library's definitions
+ * are reported.
+ */
+
+import { translateCQL, elmTypeName } from '../../../../shared/cql/index.js';
+import { ElmEvaluator, EvaluationError } from './evaluator.js';
+import { BundleDataProvider, InMemoryTerminologyProvider } from './providers.js';
+import { EvaluationTracer } from './tracer.js';
+import { fromFHIR } from './fhir.js';
+import { typeName } from './values.js';
+
+export class LocalCQLEngine {
+  /**
+   * @param {object} options - { bundles: FHIR bundles to serve, valueSets: { url: codes[] },
+   *   catalog: [{ name, code }] libraries that can be included without being sent }
+   */
+  constructor({ bundles = [], valueSets = {}, catalog = [] } = {}) {
+    this.catalog = catalog;
+    this.dataProvider = new BundleDataProvider(bundles);
+    this.terminologyProvider = new InMemoryTerminologyProvider(valueSets);
+    bundles.forEach(bundle => this.terminologyProvider.addFromBundle(bundle));
+  }
+
+  /**
+   * Execute a CQL library
+   * @param {object} request - { code, libraries: [{ name, code }], patientId, parameters: [{ name, type, value }], trace }
+   * @returns {Array} Execution results in CQL Execution Service format; with `trace`
+   *   each result also has the trace tree of its definition
+   */
+  execute({ code, libraries = [], patientId, parameters = [], trace = false }) {
+    const { elm, errors, libraries: includedLibraries } = translateCQL(code, {
+      // Libraries sent with the request take precedence over catalog libraries of the same version
+      libraries: [...libraries, ...this.catalog].map(library => library.code)
+    });
+
+    const translatorErrors = errors.filter(error => error.severity === 'error');
+    if (translatorErrors.length > 0) {
+      return translatorErrors.map(error => ({
+        'translator-error': error.message,
+        location: formatLocation(error.location.start),
+        errorType: error.errorType
+      }));
+    }
+
+    const parameterValues = {};
+    const parameterErrors = [];
+    for (const parameter of parameters) {
+      try {
+        parameterValues[parameter.name] = parseParameterValue(parameter);
+      } catch (error) {
+        parameterErrors.push({ name: parameter.name, error: error.message });
+      }
+    }
+    if (parameterErrors.length > 0) {
+      return parameterErrors;
+    }
+
+    const tracer = trace ? new EvaluationTracer({ code }) : null;
+    const evaluator = new ElmEvaluator(elm, {
+      dataProvider: this.dataProvider,
+      terminologyProvider: this.terminologyProvider,
+      parameters: parameterValues,
+      patientId: patientId || this.defaultPatientId(),
+      tracer,
+      libraries: includedLibraries
+    });
+
+    const results = [];
+    for (const def of elm.library.statements?.def || []) {
+      if (def.implicit || def.type === 'FunctionDef') continue;
+
+      const evaluate = () => evaluator.evaluateDefinition(def.name);
+      let outcome;
+      if (tracer) {
+        // Re-evaluate definitions already computed for a reference so the trace is complete
+        evaluator.results.delete(def.name);
+        outcome = tracer.trace(def, evaluate);
+      } else {
+        outcome = settle(evaluate);
+      }
+
+      const { value, error } = outcome;
+      const location = locatorToLocation(def.locator);
+      const result = error
+        ? {
+          name: def.name,
+          location: error instanceof EvaluationError && error.locator ? locatorToLocation(error.locator) : location,
+          error: error.message
+        }
+        : {
+          name: def.name,
+          location,
+          resultType: resultTypeOf(def, value),
+          result: toJSONValue(value)
+        };
+
+      if (outcome.trace) {
+        result.trace = outcome.trace;
+      }
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  defaultPatientId() {
+    const [patient] = this.dataProvider.retrieve('Patient', null);
+    return patient?.id || null;
+  }
+}
+
+/**
+ * Convert a request parameter into a CQL value. String values of non-String
+ * parameters are read as CQL literals, e.g. "Interval[@2024-01-01, @2025-01-01)".
+ */
+function parseParameterValue({ name, type, value }) {
+  if (value === null || typeof value !== 'string') {
+    return value === null ? null : fromFHIR(value);
+  }
+  if (type === 'String' || type === 'System.String') {
+    return value;
+  }
+
+  const { elm, errors } = translateCQL(`library Parameter\ndefine Value: ${value}`);
+  const error = errors.find(item => item.severity === 'error');
+  if (error) {
+    throw new Error(`Invalid value for parameter ${name}: ${error.message}`);
+  }
+  return new ElmEvaluator(elm).evaluateDefinition('Value');
+}
+
+function settle(evaluate) {
+  try {
+    return { value: evaluate(), error: null };
+  } catch (error) {
+    return { value: null, error };
+  }
+}
+
+function resultTypeOf(def, value) {
+  const staticType = elmTypeName(def);
+  // A choice is only known at run time
+  if (!staticType || staticType.includes('Any') || staticType.includes('Choice<')) {
+    return typeName(value);
+  }
+  return staticType;
+}
+
+function toJSONValue(value) {
+  return value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+function formatLocation(position) {
+  return `[${position.line}:${position.column}]`;
+}
+
+function locatorToLocation(locator) {
+  const [line, column] = (locator || '1:1').split('-')[0].split(':');
+  return `[${line}:${column}]`;
+}
+
+export { ElmEvaluator, EvaluationError } from './evaluator.js';
+export { BundleDataProvider, InMemoryTerminologyProvider } from './providers.js';
+export { EvaluationTracer } from './tracer.js';
@@ -0,0 +1,99 @@
+/**
+ * Data and Terminology Providers
+ * Sources of FHIR resources and value set expansions for the embedded
+ * engine. Both are in-memory; they can be seeded from FHIR bundles.
+ */
+
+import { Code } from './datatypes.js';
+
+/**
+ * Serves resources from one or more FHIR bundles (or plain resource arrays)
+ */
+export class BundleDataProvider {
+  constructor(sources = []) {
+    this.resources = [];
+    for (const source of sources) {
+      this.add(source);
+    }
+  }
+
+  add(source) {
+    if (Array.isArray(source)) {
+      source.forEach(item => this.add(item));
+    } else if (source?.resourceType === 'Bundle') {
+      (source.entry || []).forEach(entry => entry.resource && this.resources.push(entry.resource));
+    } else if (source?.resourceType) {
+      this.resources.push(source);
+    }
+  }
+
+  /**
+   * Find the patient to evaluate against
+   * @param {string} patientId - Requested patient id
+   * @returns {object|null} Patient resource
+   */
+  getPatient(patientId) {
+    const patients = this.resources.filter(resource => resource.resourceType === 'Patient');
+    return patients.find(patient => patient.id === patientId) || null;
+  }
+
+  /**
+   * Resources of a type belonging to a patient (all of them when patientId is null)
+   * @param {string} resourceType - FHIR resource type, e.g. 'Condition'
+   * @param {string|null} patientId - Patient the resources must reference
+   */
+  retrieve(resourceType, patientId) {
+    return this.resources.filter(resource => {
+      if (resource.resourceType !== resourceType) return false;
+      if (!patientId) return true;
+      if (resourceType === 'Patient') return resource.id === patientId;
+      return referencesPatient(resource, patientId);
+    });
+  }
+}
+
+function referencesPatient(resource, patientId) {
+  const target = `Patient/${patientId}`;
+  return [resource.subject, resource.patient, resource.beneficiary]
+    .some(reference => reference?.reference === target || reference?.reference?.endsWith(`/${target}`));
+}
+
+/**
+ * Value set expansions keyed by canonical URL
+ */
+export class InMemoryTerminologyProvider {
+  constructor(valueSets = {}) {
+    this.valueSets = new Map();
+    for (const [url, codes] of Object.entries(valueSets)) {
+      this.addValueSet(url, codes);
+    }
+  }
+
+  addValueSet(url, codes) {
+    this.valueSets.set(url, codes.map(code => (code instanceof Code ? code : new Code(code.code, code.system, code.version, code.display))));
+  }
+
+  /**
+   * Add expansions from FHIR ValueSet resources found in a bundle
+   */
+  addFromBundle(bundle) {
+    for (const entry of bundle?.entry || []) {
+      const { resource } = entry;
+      if (resource?.resourceType === 'ValueSet' && resource.url) {
+        this.addValueSet(resource.url, resource.expansion?.contains || []);
+      }
+    }
+  }
+
+  /**
+   * Expand a value set
+   * @throws {Error} When the value set is unknown
+   */
+  expand(url) {
+    const codes = this.valueSets.get(url);
+    if (!codes) {
+      throw new Error(`Value set '${url}' is not available to the embedded engine`);
+    }
+    return codes;
+  }
+}
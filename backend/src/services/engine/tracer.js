@@ -0,0 +1,223 @@
+/**
+ * Evaluation Tracer
+ * Records the values produced by the sub-expressions of a definition as a tree
+ * that mirrors the ELM. Nodes evaluated more than once (a where clause runs
+ * once per row) are merged and keep a sample of their values, so the tree
+ * stays the size of the code rather than the size of the data.
+ */
+
+// Node types that add nothing to a trace beyond the code itself
+const UNTRACED_TYPES = new Set(['Literal', 'Null']);
+
+// Types whose label includes the referenced name, e.g. "ExpressionRef Adults"
+const NAMED_TYPES = new Set([
+  'ExpressionRef', 'FunctionRef', 'ParameterRef', 'AliasRef', 'QueryLetRef',
+  'OperandRef', 'IdentifierRef', 'ValueSetRef', 'CodeRef', 'ConceptRef'
+]);
+
+export class EvaluationTracer {
+  /**
+   * @param {object} options - { code: source used for expression text, maxNodes, maxSamples, maxListItems }
+   */
+  constructor({ code = '', maxNodes = 500, maxSamples = 5, maxListItems = 20 } = {}) {
+    this.lines = code.split(/\r?\n/);
+    this.maxNodes = maxNodes;
+    this.maxSamples = maxSamples;
+    this.maxListItems = maxListItems;
+    this.stack = [];
+    this.nextId = 1;
+    this.nodeCount = 0;
+    this.truncated = false;
+  }
+
+  /**
+   * Trace the evaluation of one definition
+   * @param {object} def - ELM ExpressionDef
+   * @param {Function} evaluate - evaluates the definition and returns its value
+   * @returns {object} { value, error, trace: root trace node }
+   */
+  trace(def, evaluate) {
+    this.nodeCount = 0;
+    this.truncated = false;
+
+    const root = this.createNode(def, `define ${def.name}`);
+    const outcome = { value: null, error: null };
+    this.stack.push(root);
+    try {
+      outcome.value = evaluate();
+      this.sample(root, outcome.value);
+    } catch (error) {
+      outcome.error = error;
+      root.error = error.message;
+    } finally {
+      this.stack.pop();
+    }
+
+    outcome.trace = this.serialize(root);
+    if (this.truncated) {
+      outcome.trace.truncated = true;
+    }
+    return outcome;
+  }
+
+  /**
+   * Record one evaluation of an ELM node under the node being evaluated
+   */
+  record(node, evaluate) {
+    const parent = this.stack[this.stack.length - 1];
+    if (!parent || UNTRACED_TYPES.has(node.type)) {
+      return evaluate();
+    }
+
+    let entry = parent.children.get(node);
+    if (!entry) {
+      if (this.nodeCount >= this.maxNodes) {
+        this.truncated = true;
+        return this.isolate(evaluate);
+      }
+      entry = this.createNode(node, parent.roles.get(node));
+      parent.children.set(node, entry);
+    }
+
+    this.stack.push(entry);
+    try {
+      const value = evaluate();
+      this.sample(entry, value);
+      return value;
+    } catch (error) {
+      entry.error = entry.error || error.message;
+      throw error;
+    } finally {
+      this.stack.pop();
+    }
+  }
+
+  /**
+   * Evaluate without recording, e.g. a referenced definition that has its own trace
+   */
+  isolate(evaluate) {
+    this.stack.push(null);
+    try {
+      return evaluate();
+    } finally {
+      this.stack.pop();
+    }
+  }
+
+  createNode(node, role) {
+    this.nodeCount++;
+    return {
+      id: `t${this.nextId++}`,
+      label: role || labelFor(node),
+      type: node.type || 'ExpressionDef',
+      locator: node.locator || null,
+      evaluations: 0,
+      values: [],
+      children: new Map(),
+      roles: node.type === 'Query' ? clauseRoles(node) : new Map()
+    };
+  }
+
+  sample(entry, value) {
+    entry.evaluations++;
+    if (entry.values.length < this.maxSamples) {
+      entry.values.push(this.toJSONValue(value));
+    }
+  }
+
+  toJSONValue(value) {
+    if (value === null) return null;
+    const json = JSON.parse(JSON.stringify(value));
+    if (Array.isArray(json) && json.length > this.maxListItems) {
+      return {
+        items: json.slice(0, this.maxListItems),
+        total: json.length
+      };
+    }
+    return json;
+  }
+
+  serialize(entry) {
+    const node = {
+      id: entry.id,
+      label: entry.label,
+      type: entry.type,
+      location: parseLocator(entry.locator),
+      evaluations: entry.evaluations,
+      values: entry.values,
+      children: Array.from(entry.children.values()).map(child => this.serialize(child))
+    };
+    if (node.location) {
+      node.expression = this.textAt(node.location);
+    }
+    if (entry.error) {
+      node.error = entry.error;
+    }
+    return node;
+  }
+
+  /**
+   * Source text of a location, collapsed onto one line
+   */
+  textAt({ start, end }) {
+    const lines = this.lines.slice(start.line - 1, end.line);
+    if (lines.length === 0) return '';
+    lines[lines.length - 1] = lines[lines.length - 1].slice(0, end.column);
+    lines[0] = lines[0].slice(start.column - 1);
+    return lines.map(line => line.trim()).join(' ');
+  }
+}
+
+/**
+ * Labels for the clauses of a query, keyed by the ELM node evaluated for each
+ */
+function clauseRoles(query) {
+  const roles = new Map();
+  for (const source of query.source || []) {
+    roles.set(source.expression, `source ${source.alias}`);
+  }
+  for (const letClause of query.let || []) {
+    roles.set(letClause.expression, `let ${letClause.identifier}`);
+  }
+  for (const relationship of query.relationship || []) {
+    const keyword = relationship.type === 'With' ? 'with' : 'without';
+    roles.set(relationship.expression, `${keyword} ${relationship.alias}`);
+    roles.set(relationship.suchThat, 'such that');
+  }
+  if (query.where) roles.set(query.where, 'where');
+  if (query.return) roles.set(query.return.expression, 'return');
+  if (query.aggregate) {
+    roles.set(query.aggregate.expression, `aggregate ${query.aggregate.identifier}`);
+    if (query.aggregate.starting) roles.set(query.aggregate.starting, 'starting');
+  }
+  for (const item of query.sort?.by || []) {
+    if (item.expression) roles.set(item.expression, 'sort by');
+  }
+  return roles;
+}
+
+function labelFor(node) {
+  if (NAMED_TYPES.has(node.type) && node.name) {
+    return `${node.type} ${node.name}`;
+  }
+  if (node.type === 'Retrieve' && node.dataType) {
+    return `Retrieve ${node.dataType.replace(/^\{[^}]*\}/, '')}`;
+  }
+  if (node.type === 'Property' && node.path) {
+    return `Property ${node.path}`;
+  }
+  return node.type;
+}
+
+/**
+ * "3:5-3:12" to { start: { line, column }, end: { line, column } } (end inclusive)
+ */
+function parseLocator(locator) {
+  const match = locator?.match(/^(\d+):(\d+)-(\d+):(\d+)$/);
+  if (!match) return null;
+  const [line, column, endLine, endColumn] = match.slice(1).map(Number);
+  return {
+    start: { line, column },
+    end: { line: endLine, column: endColumn }
+  };
+}
@@ -0,0 +1,345 @@
+/**
+ * CQL Value Semantics
+ * Comparison, equality, equivalence and unit conversion for runtime values,
+ * following the three-valued logic of the CQL specification: operations on
+ * unknown (null) values produce null rather than false.
+ */
+
+import {
+  Code,
+  Concept,
+  Quantity,
+  Ratio,
+  Interval,
+  CQLDate,
+  CQLDateTime,
+  CQLTime,
+  temporalUnit,
+  temporalSuccessor
+} from './datatypes.js';
+
+// UCUM units the engine can convert between, expressed in a base unit per dimension
+const UNIT_FACTORS = {
+  mass: { kg: 1000, g: 1, mg: 0.001, ug: 0.000001, mcg: 0.000001, ng: 0.000000001 },
+  volume: { L: 1, l: 1, dL: 0.1, dl: 0.1, mL: 0.001, ml: 0.001, uL: 0.000001 },
+  length: { km: 1000, m: 1, cm: 0.01, mm: 0.001, '[in_i]': 0.0254, '[ft_i]': 0.3048 },
+  time: { a: 31557600, mo: 2629800, wk: 604800, d: 86400, h: 3600, min: 60, s: 1, ms: 0.001 }
+};
+
+const TEMPORAL_UCUM = {
+  year: 'a', month: 'mo', week: 'wk', day: 'd', hour: 'h', minute: 'min', second: 's', millisecond: 'ms'
+};
+
+/**
+ * Round a decimal result to the 8 digits of precision CQL guarantees
+ */
+export function normalizeDecimal(value) {
+  if (typeof value !== 'number' || Number.isInteger(value) || !Number.isFinite(value)) return value;
+  return Number(value.toFixed(8));
+}
+
+/**
+ * Null, or an element absent from a FHIR resource or tuple
+ */
+export function isMissing(value) {
+  return value === null || typeof value === 'undefined';
+}
+
+export function isTemporal(value) {
+  return value instanceof CQLDate || value instanceof CQLDateTime || value instanceof CQLTime;
+}
+
+/**
+ * Convert a quantity to another unit
+ * @returns {Quantity|null} Converted quantity, or null when the units are incompatible
+ */
+export function convertQuantity(quantity, unit) {
+  if (quantity.unit === unit) return quantity;
+  const from = canonicalUnit(quantity.unit);
+  const to = canonicalUnit(unit);
+  if (from === to) return new Quantity(quantity.value, unit);
+
+  for (const factors of Object.values(UNIT_FACTORS)) {
+    if (from in factors && to in factors) {
+      return new Quantity(normalizeDecimal(quantity.value * factors[from] / factors[to]), unit);
+    }
+  }
+  return null;
+}
+
+function canonicalUnit(unit) {
+  const temporal = temporalUnit(unit);
+  return temporal ? TEMPORAL_UCUM[temporal] : unit;
+}
+
+/**
+ * Compare two values of the same ordered type
+ * @returns {number|null} -1, 0, 1, or null when the comparison is unknown
+ */
+export function compare(a, b, precision = null) {
+  if (isMissing(a) || isMissing(b)) return null;
+
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a === b ? 0 : a < b ? -1 : 1;
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a === b ? 0 : a < b ? -1 : 1;
+  }
+  if (typeof a === 'boolean' && typeof b === 'boolean') {
+    return a === b ? 0 : a ? 1 : -1;
+  }
+
+  if (isTemporal(a) && isTemporal(b)) {
+    const [left, right] = alignTemporal(a, b);
+    return left.compare(right, precision);
+  }
+
+  if (a instanceof Quantity && b instanceof Quantity) {
+    const converted = convertQuantity(b, a.unit);
+    if (!converted) {
+      throw new Error(`Cannot compare quantities with units '${a.unit}' and '${b.unit}'`);
+    }
+    return compare(a.value, converted.value);
+  }
+
+  // Integers and Decimals compare against Quantities with unit '1'
+  if (typeof a === 'number' && b instanceof Quantity) return compare(new Quantity(a), b);
+  if (a instanceof Quantity && typeof b === 'number') return compare(a, new Quantity(b));
+
+  throw new Error(`Cannot compare ${typeName(a)} with ${typeName(b)}`);
+}
+
+// Dates compare with DateTimes by treating the Date as a DateTime
+function alignTemporal(a, b) {
+  if (a instanceof CQLDate && b instanceof CQLDateTime) return [a.toDateTime(), b];
+  if (a instanceof CQLDateTime && b instanceof CQLDate) return [a, b.toDateTime()];
+  if (a.constructor !== b.constructor) {
+    throw new Error(`Cannot compare ${typeName(a)} with ${typeName(b)}`);
+  }
+  return [a, b];
+}
+
+/**
+ * CQL equality (=): null if either operand is null
+ * @returns {boolean|null}
+ */
+export function equal(a, b) {
+  if (isMissing(a) || isMissing(b)) return null;
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    if (!Array.isArray(a) || !Array.isArray(b)) return false;
+    if (a.length !== b.length) return false;
+    let result = true;
+    for (let index = 0; index < a.length; index++) {
+      const itemResult = equal(a[index], b[index]);
+      if (itemResult === false) return false;
+      if (itemResult === null) result = null;
+    }
+    return result;
+  }
+
+  if (isTemporal(a) && isTemporal(b)) {
+    const comparison = compare(a, b);
+    return comparison === null ? null : comparison === 0;
+  }
+
+  if (a instanceof Quantity && b instanceof Quantity) {
+    const converted = convertQuantity(b, a.unit);
+    return converted ? a.value === converted.value : false;
+  }
+
+  if (a instanceof Ratio && b instanceof Ratio) {
+    return and(equal(a.numerator, b.numerator), equal(a.denominator, b.denominator));
+  }
+
+  if (a instanceof Interval && b instanceof Interval) {
+    return and(equal(intervalStart(a), intervalStart(b)), equal(intervalEnd(a), intervalEnd(b)));
+  }
+
+  if (a instanceof Code && b instanceof Code) {
+    return a.code === b.code && a.system === b.system && (a.version ?? null) === (b.version ?? null);
+  }
+
+  if (a instanceof Concept && b instanceof Concept) {
+    return equal(a.codes, b.codes);
+  }
+
+  if (isTuple(a) && isTuple(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    let result = true;
+    for (const key of keys) {
+      const elementResult = a[key] === null && b[key] === null ? true : equal(a[key] ?? null, b[key] ?? null);
+      if (elementResult === false) return false;
+      if (elementResult === null) result = null;
+    }
+    return result;
+  }
+
+  return a === b;
+}
+
+/**
+ * CQL equivalence (~): never null; strings compare ignoring case and
+ * whitespace, codes ignore version and display, nulls are equivalent
+ * @returns {boolean}
+ */
+export function equivalent(a, b) {
+  const aNull = isMissing(a);
+  const bNull = isMissing(b);
+  if (aNull || bNull) return aNull && bNull;
+
+  if (typeof a === 'string' && typeof b === 'string') {
+    const normalize = value => value.trim().replace(/\s+/g, ' ').toLowerCase();
+    return normalize(a) === normalize(b);
+  }
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+    return a.every((item, index) => equivalent(item, b[index]));
+  }
+
+  if (a instanceof Code && b instanceof Code) {
+    return a.code === b.code && a.system === b.system;
+  }
+
+  // A Code is implicitly converted to a Concept when compared with one
+  if (a instanceof Concept || b instanceof Concept) {
+    const codesOf = value => {
+      if (value instanceof Concept) return value.codes;
+      if (value instanceof Code) return [value];
+      return null;
+    };
+    const left = codesOf(a);
+    const right = codesOf(b);
+    if (!left || !right) return false;
+    return left.some(code => right.some(other => equivalent(code, other)));
+  }
+
+  if (typeof a === 'number' && typeof b === 'number') {
+    return normalizeDecimal(a) === normalizeDecimal(b);
+  }
+
+  if (isTuple(a) && isTuple(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => equivalent(a[key] ?? null, b[key] ?? null));
+  }
+
+  if (isTemporal(a) && isTemporal(b)) {
+    try {
+      return compare(a, b) === 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  const result = equal(a, b);
+  return result === true;
+}
+
+export function isTuple(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+export function and(a, b) {
+  if (a === false || b === false) return false;
+  if (a === null || b === null) return null;
+  return true;
+}
+
+export function or(a, b) {
+  if (a === true || b === true) return true;
+  if (a === null || b === null) return null;
+  return false;
+}
+
+export function not(value) {
+  return value === null ? null : !value;
+}
+
+/**
+ * Successor of a point value at its precision
+ */
+export function successor(value, sign = 1) {
+  if (value === null) return null;
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value + sign : normalizeDecimal(value + sign * 0.00000001);
+  }
+  if (value instanceof Quantity) {
+    return new Quantity(successor(value.value, sign), value.unit);
+  }
+  if (isTemporal(value)) {
+    return temporalSuccessor(value, sign);
+  }
+  throw new Error(`${typeName(value)} has no ${sign > 0 ? 'successor' : 'predecessor'}`);
+}
+
+export function predecessor(value) {
+  return successor(value, -1);
+}
+
+/**
+ * Closed start of an interval (null when unknown)
+ */
+export function intervalStart(interval) {
+  if (interval.low === null) return null;
+  return interval.lowClosed ? interval.low : successor(interval.low);
+}
+
+/**
+ * Closed end of an interval (null when unknown)
+ */
+export function intervalEnd(interval) {
+  if (interval.high === null) return null;
+  return interval.highClosed ? interval.high : predecessor(interval.high);
+}
+
+/**
+ * Whether an interval contains a point: true, false or null
+ */
+export function intervalContains(interval, point, precision = null) {
+  if (point === null) return null;
+
+  const lowResult = interval.low === null
+    ? (interval.lowClosed ? true : null)
+    : compareResult(compare(interval.low, point, precision), interval.lowClosed ? [-1, 0] : [-1]);
+  const highResult = interval.high === null
+    ? (interval.highClosed ? true : null)
+    : compareResult(compare(point, interval.high, precision), interval.highClosed ? [-1, 0] : [-1]);
+
+  return and(lowResult, highResult);
+}
+
+function compareResult(comparison, accepted) {
+  if (comparison === null) return null;
+  return accepted.includes(comparison);
+}
+
+/**
+ * Runtime type name of a value, as reported in execution results
+ */
+export function typeName(value) {
+  if (isMissing(value)) return 'Null';
+  if (typeof value === 'boolean') return 'Boolean';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'Integer' : 'Decimal';
+  if (typeof value === 'string') return 'String';
+  if (value instanceof CQLDateTime) return 'DateTime';
+  if (value instanceof CQLDate) return 'Date';
+  if (value instanceof CQLTime) return 'Time';
+  if (value instanceof Quantity) return 'Quantity';
+  if (value instanceof Ratio) return 'Ratio';
+  if (value instanceof Code) return 'Code';
+  if (value instanceof Concept) return 'Concept';
+  if (value instanceof Interval) {
+    const point = value.low ?? value.high;
+    return `Interval<${point === null ? 'Any' : typeName(point)}>`;
+  }
+  if (Array.isArray(value)) {
+    const types = [...new Set(value.filter(item => item !== null).map(typeName))];
+    if (types.length === 0) return 'List<Any>';
+    if (types.length === 2 && types.includes('Integer') && types.includes('Decimal')) return 'List<Decimal>';
+    return `List<${types.length === 1 ? types[0] : 'Any'}>`;
+  }
+  if (typeof value === 'object' && typeof value.resourceType === 'string') return `FHIR.${value.resourceType}`;
+  if (isTuple(value)) return 'Tuple';
+  return 'Any';
+}
@@ -0,0 +1,115 @@
+import axios from 'axios';
+import { ExecutionBackend, MockExecutionBackend, isBackendFailure } from '../backends.js';
+import { ExecutionBackendRegistry } from '../registry.js';
+import { CircuitState } from '../circuitBreaker.js';
+import { ExecutionError } from '../../sandbox/engineSandbox.js';
+
+const CODE = "library Test version '1.0.0'\ndefine A: 1";
+
+// A backend that fails every request with the given error
+class FailingBackend extends ExecutionBackend {
+  constructor(name, error, options = {}) {
+    super(name, options);
+    this.error = error;
+    this.calls = 0;
+  }
+
+  async execute() {
+    this.calls++;
+    throw this.error;
+  }
+}
+
+function connectionRefused() {
+  return new axios.AxiosError('connect ECONNREFUSED', 'ECONNREFUSED', { url: '/cql/evaluate' });
+}
+
+function registryWith(...backends) {
+  const registry = new ExecutionBackendRegistry({ chain: backends.map(backend => backend.name) });
+  backends.forEach(backend => registry.register(backend));
+  return registry;
+}
+
+describe('isBackendFailure', () => {
+  it('counts transport errors and server errors', () => {
+    expect(isBackendFailure(connectionRefused())).toBe(true);
+    expect(isBackendFailure(new axios.AxiosError('Server error', 'ERR_BAD_RESPONSE', {}, null, { status: 502 })))
+      .toBe(true);
+  });
+
+  it('does not count errors the request causes', () => {
+    expect(isBackendFailure(new axios.AxiosError('Bad request', 'ERR_BAD_REQUEST', {}, null, { status: 400 })))
+      .toBe(false);
+    expect(isBackendFailure(new ExecutionError('Too slow', 'EXECUTION_LIMIT', 422))).toBe(false);
+    expect(isBackendFailure(new ExecutionError('Failed', 'EVALUATION_FAILED', 422))).toBe(false);
+    expect(isBackendFailure(new Error('Unexpected'))).toBe(false);
+  });
+
+  it('counts an embedded engine that cannot run', () => {
+    expect(isBackendFailure(new ExecutionError('Stopped', 'BACKEND_UNAVAILABLE', 503))).toBe(true);
+  });
+});
+
+describe('ExecutionBackendRegistry', () => {
+  it('fails over to the next backend when one is unavailable', async () => {
+    const remote = new FailingBackend('remote', connectionRefused());
+    const registry = registryWith(remote, new MockExecutionBackend());
+
+    const { results, backend, failover } = await registry.execute({ code: CODE });
+
+    expect(backend).toBe('mock');
+    expect(results).toEqual([{ name: 'A', location: '[2:1]', resultType: 'String', result: 'Mock result for A' }]);
+    expect(failover).toEqual([{ backend: 'remote', reason: 'ECONNREFUSED: connect ECONNREFUSED' }]);
+    expect(remote.breaker.failures).toBe(1);
+  });
+
+  it('opens the circuit after repeated failures and then skips the backend', async () => {
+    const remote = new FailingBackend('remote', connectionRefused(), { failureThreshold: 2 });
+    const registry = registryWith(remote, new MockExecutionBackend());
+
+    await registry.execute({ code: CODE });
+    await registry.execute({ code: CODE });
+    const { failover } = await registry.execute({ code: CODE });
+
+    expect(remote.breaker.state).toBe(CircuitState.OPEN);
+    expect(remote.calls).toBe(2);
+    expect(failover).toEqual([{ backend: 'remote', reason: 'circuit open' }]);
+  });
+
+  it('lets a trial request through once the reset timeout has passed', async () => {
+    const remote = new FailingBackend('remote', connectionRefused(), { failureThreshold: 1, resetTimeout: 0 });
+    const registry = registryWith(remote, new MockExecutionBackend());
+
+    await registry.execute({ code: CODE });
+    expect(remote.breaker.canRequest()).toBe(true);
+    expect(remote.breaker.state).toBe(CircuitState.HALF_OPEN);
+  });
+
+  it('reports errors the request causes without failing over or opening the circuit', async () => {
+    const limit = new ExecutionError('CQL execution exceeded the 5000 ms time limit', 'EXECUTION_LIMIT', 422);
+    const local = new FailingBackend('local', limit, { failureThreshold: 1 });
+    const mock = new MockExecutionBackend();
+    const registry = registryWith(local, mock);
+
+    await expect(registry.execute({ code: CODE })).rejects.toBe(limit);
+    expect(local.breaker.state).toBe(CircuitState.CLOSED);
+    expect(registry.history[0]).toMatchObject({ backend: 'local', status: 'error' });
+  });
+
+  it('uses only the requested backend', async () => {
+    const registry = registryWith(new FailingBackend('remote', connectionRefused()), new MockExecutionBackend());
+
+    await expect(registry.execute({ code: CODE }, { backend: 'remote' })).rejects.toThrow('connect ECONNREFUSED');
+    expect(() => registry.resolveChain('unknown')).toThrow("Unknown CQL execution backend 'unknown'");
+  });
+
+  it('reports unknown and unavailable backends as execution errors', async () => {
+    const registry = registryWith(new FailingBackend('remote', connectionRefused(), { failureThreshold: 1 }));
+    await expect(registry.execute({ code: CODE })).rejects.toThrow('connect ECONNREFUSED');
+
+    expect(() => registry.get('unknown')).toThrow(expect.objectContaining({ code: 'UNKNOWN_BACKEND', statusCode: 400 }));
+    const unavailable = registry.execute({ code: CODE });
+    await expect(unavailable).rejects.toBeInstanceOf(ExecutionError);
+    await expect(unavailable).rejects.toMatchObject({ code: 'BACKEND_UNAVAILABLE', statusCode: 503 });
+  });
+});
@@ -0,0 +1,85 @@
+import { ExecutionResultCache } from '../resultCache.js';
+
+// The two cacheService methods the result cache uses, over a Map
+function memoryCache() {
+  const entries = new Map();
+  return {
+    entries,
+    async getCachedCQLResult(code, context) {
+      return entries.get(JSON.stringify([code, context]))?.value || null;
+    },
+    async cacheCQLResult(code, context, value, ttl) {
+      entries.set(JSON.stringify([code, context]), { value, ttl });
+      return true;
+    }
+  };
+}
+
+const CODE = "library Test version '1.0.0'\ndefine A: 1 + 2";
+const EXECUTION = {
+  results: [{ name: 'A', location: '[2:1]', resultType: 'Integer', result: 3 }],
+  backend: 'local',
+  failover: []
+};
+
+describe('ExecutionResultCache', () => {
+  it('serves a repeated execution, ignoring layout and comments, at the current locations', async () => {
+    const resultCache = new ExecutionResultCache({ cache: memoryCache() });
+    await resultCache.set({ code: CODE }, EXECUTION);
+
+    const cached = await resultCache.get({
+      code: "// Sums\nlibrary Test version '1.0.0'\n\n  define A:\n    1 + 2"
+    });
+
+    expect(cached).toEqual({
+      results: [{ name: 'A', location: '[4:3]', resultType: 'Integer', result: 3 }],
+      backend: 'local'
+    });
+    expect(resultCache.getStats()).toMatchObject({ hits: 1, misses: 0, stored: 1, hitRate: 100 });
+  });
+
+  it('keys entries on parameters, patient and libraries as well as the code', async () => {
+    const resultCache = new ExecutionResultCache({ cache: memoryCache() });
+    const parameters = [{ name: 'Threshold', type: 'Integer', value: '5' }];
+    await resultCache.set({ code: CODE, patientId: 'patient-1', parameters }, EXECUTION);
+
+    expect(await resultCache.get({ code: CODE, patientId: 'patient-1', parameters })).not.toBeNull();
+    expect(await resultCache.get({ code: CODE, patientId: 'patient-2', parameters })).toBeNull();
+    expect(await resultCache.get({ code: CODE, patientId: 'patient-1' })).toBeNull();
+    expect(await resultCache.get({
+      code: CODE,
+      patientId: 'patient-1',
+      parameters,
+      libraries: [{ name: 'Lib', code: "library Lib version '1'" }]
+    })).toBeNull();
+  });
+
+  it('keeps errors and failover results for the shorter TTL', async () => {
+    const cache = memoryCache();
+    const resultCache = new ExecutionResultCache({ cache, ttl: 1800, errorTtl: 60 });
+
+    await resultCache.set({ code: CODE }, EXECUTION);
+    await resultCache.set({ code: `${CODE}\ndefine B: 1` }, { ...EXECUTION, failover: [{ backend: 'remote' }] });
+    await resultCache.set({ code: `${CODE}\ndefine C: Foo` }, {
+      ...EXECUTION,
+      results: [{ 'translator-error': 'Could not resolve identifier Foo', location: '[3:11]' }]
+    });
+
+    expect([...cache.entries.values()].map(entry => entry.ttl)).toEqual([1800, 60, 60]);
+  });
+
+  it('bypasses the cache for traces, explicit requests and clock-dependent code', () => {
+    const resultCache = new ExecutionResultCache({ cache: memoryCache() });
+
+    expect(resultCache.bypassReason({ code: CODE })).toBeNull();
+    expect(resultCache.bypassReason({ code: CODE, trace: true })).toBe('trace');
+    expect(resultCache.bypassReason({ code: CODE, cache: false })).toBe('requested');
+    expect(resultCache.bypassReason({ code: `${CODE}\ndefine T: Today()` })).toBe('uses Today()');
+    expect(resultCache.bypassReason({
+      code: CODE,
+      libraries: [{ name: 'Lib', code: 'library Lib\ndefine Age: AgeInYears()' }]
+    })).toBe('uses AgeInYears()');
+    expect(new ExecutionResultCache({ cache: memoryCache(), enabled: false }).bypassReason({ code: CODE }))
+      .toBe('disabled');
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * CQL Execution Backends
+ * Interchangeable ways of executing CQL: the remote CQL Execution Service
+ * (DBCG), the embedded in-process engine and a deterministic mock. Every
+ * backend returns results in the CQL Execution Service format and keeps its
+ * own health status and circuit breaker.
+ */
+
+import axios from 'axios';
+import logger from '../../config/logger.js';
+import { parseCQL } from '../../../../shared/cql/index.js';
+import { EngineSandbox, ExecutionError } from '../sandbox/engineSandbox.js';
+import { CircuitBreaker } from './circuitBreaker.js';
+
+/**
+ * Base class for execution backends
+ */
+export class ExecutionBackend {
+  /**
+   * @param {string} name - Registry name, e.g. 'remote'
+   * @param {object} options - { description, supportsTrace, supportsLibraries, failureThreshold, resetTimeout,
+   *   healthCheckInterval }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.description = options.description || name;
+    this.supportsTrace = Boolean(options.supportsTrace);
+    this.supportsLibraries = Boolean(options.supportsLibraries);
+    this.breaker = new CircuitBreaker(options);
+    this.healthCheckInterval = options.healthCheckInterval || 15000;
+    this.health = { status: 'unknown', checkedAt: null, responseTime: null, error: null };
+  }
+
+  /**
+   * Execute CQL code
+   * @returns {Promise<Array>} Results in CQL Execution Service format
+   */
+  async execute() {
+    throw new Error(`Backend ${this.name} does not implement execute()`);
+  }
+
+  /**
+   * Verify the backend can accept requests; throws when it cannot
+   */
+  async probe() {}
+
+  /**
+   * Probe the backend, reusing the last result within the health check interval
+   * @param {boolean} force - Probe even if the cached result is still fresh
+   */
+  async checkHealth(force = false) {
+    const checkedAt = this.health.checkedAt ? Date.parse(this.health.checkedAt) : 0;
+    if (!force && Date.now() - checkedAt < this.healthCheckInterval) {
+      return this.health;
+    }
+
+    const startTime = Date.now();
+    try {
+      await this.probe();
+      this.health = {
+        status: 'ok',
+        checkedAt: new Date().toISOString(),
+        responseTime: Date.now() - startTime,
+        error: null
+      };
+    } catch (error) {
+      logger.warn('CQL backend health check failed', {
+        backend: this.name,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+
+      this.health = {
+        status: 'error',
+        checkedAt: new Date().toISOString(),
+        responseTime: Date.now() - startTime,
+        error: describeFailure(error)
+      };
+    }
+
+    return this.health;
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      description: this.description,
+      supportsTrace: this.supportsTrace,
+      supportsLibraries: this.supportsLibraries,
+      health: this.health,
+      circuit: this.breaker.getStatus()
+    };
+  }
+}
+
+/**
+ * Remote CQL Execution Service (DBCG cql-translation/execution service)
+ */
+export class RemoteExecutionBackend extends ExecutionBackend {
+  constructor(options = {}) {
+    super('remote', { description: 'CQL Execution Service', ...options });
+    this.baseURL = options.baseURL;
+    this.timeout = options.timeout;
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'CQL-Code-Clinic-Backend/1.0.0'
+      }
+    });
+
+    // Request interceptor for logging
+    this.client.interceptors.request.use(
+      (config) => {
+        logger.debug('CQL Service Request', {
+          method: config.method?.toUpperCase(),
+          url: config.url,
+          baseURL: config.baseURL,
+          timeout: config.timeout
+        });
+        return config;
+      },
+      (error) => {
+        logger.error('CQL Service Request Error', { error: error.message });
+        return Promise.reject(error);
+      }
+    );
+
+    // Response interceptor for logging and error handling
+    this.client.interceptors.response.use(
+      (response) => {
+        logger.debug('CQL Service Response', {
+          status: response.status,
+          statusText: response.statusText,
+          url: response.config.url,
+          responseTime: response.headers['x-response-time']
+        });
+        return response;
+      },
+      (error) => {
+        logger.error('CQL Service Response Error', {
+          status: error.response?.status,
+          statusText: error.response?.statusText,
+          url: error.config?.url,
+          message: error.message,
+          code: error.code
+        });
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  async execute(request) {
+    const response = await this.client.post('/cql/evaluate', {
+      code: request.code,
+      terminologyServiceUri: request.terminologyServiceUri || `${this.baseURL}/baseR4`,
+      dataServiceUri: request.dataServiceUri || `${this.baseURL}/baseR4`,
+      patientId: request.patientId || 'example-patient-id',
+      parameters: request.parameters || []
+    });
+    return response.data;
+  }
+
+  async format(request) {
+    const response = await this.client.post('/cql/format', {
+      code: request.code
+    });
+    return response.data;
+  }
+
+  async probe() {
+    await this.client.get('/health');
+  }
+}
+
+/**
+ * Embedded engine, run in a worker thread with time and memory limits
+ */
+export class LocalExecutionBackend extends ExecutionBackend {
+  /**
+   * @param {object} options - ExecutionBackend options and { engine: EngineSandbox options }
+   */
+  constructor(options = {}) {
+    super('local', { description: 'Embedded CQL engine', supportsTrace: true, supportsLibraries: true, ...options });
+    this.engine = new EngineSandbox(options.engine);
+  }
+
+  async execute(request) {
+    return this.engine.execute(request);
+  }
+
+  async probe() {
+    const [result] = await this.engine.execute({ code: 'library Probe\ndefine Result: 1 + 1' });
+    if (result?.result !== 2) {
+      throw new Error('Embedded CQL engine returned an unexpected result');
+    }
+  }
+}
+
+/**
+ * Deterministic mock for tests and offline demos: reports syntax errors and
+ * otherwise returns a fixed placeholder result for every definition
+ */
+export class MockExecutionBackend extends ExecutionBackend {
+  constructor(options = {}) {
+    super('mock', { description: 'Deterministic mock', ...options });
+  }
+
+  async execute(request) {
+    const { library, errors } = parseCQL(request.code);
+
+    if (errors.length > 0) {
+      return errors.map(error => ({
+        'translator-error': error.message,
+        location: `[${error.location.start.line}:${error.location.start.column}]`
+      }));
+    }
+
+    return library.declarations
+      .filter(declaration => declaration.kind === 'ExpressionDefinition')
+      .map(declaration => ({
+        name: declaration.name,
+        location: `[${declaration.loc.start.line}:${declaration.loc.start.column}]`,
+        resultType: 'String',
+        result: `Mock result for ${declaration.name}`
+      }));
+  }
+}
+
+/**
+ * Whether an error means the backend itself is unavailable or broken (and
+ * another backend should be tried) rather than the request being invalid.
+ * Only transport errors, server errors and engines that cannot run count;
+ * errors the request causes, such as exceeding the embedded engine's limits,
+ * do not open the circuit.
+ */
+export function isBackendFailure(error) {
+  if (axios.isAxiosError(error)) {
+    return !error.response || error.response.status >= 500;
+  }
+  if (error instanceof ExecutionError) {
+    return error.code === 'BACKEND_UNAVAILABLE';
+  }
+  return false;
+}
+
+/**
+ * Short, loggable reason for a backend failure
+ */
+export function describeFailure(error) {
+  if (axios.isAxiosError(error)) {
+    if (error.response) {
+      return `HTTP ${error.response.status} from ${error.config?.url || 'service'}`;
+    }
+    return error.code ? `${error.code}: ${error.message}` : error.message;
+  }
+  return error instanceof Error ? error.message : 'Unknown error';
+}
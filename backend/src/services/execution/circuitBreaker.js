@@ -0,0 +1,62 @@
+/**
+ * Circuit Breaker
+ * Stops sending requests to a failing execution backend. After
+ * `failureThreshold` consecutive failures the circuit opens; once
+ * `resetTimeout` ms have passed a trial request is let through (half-open)
+ * and its outcome closes or re-opens the circuit.
+ */
+
+export const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+export class CircuitBreaker {
+  constructor({ failureThreshold = 3, resetTimeout = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether a request may be sent to the backend
+   */
+  canRequest() {
+    if (this.state === CircuitState.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = CircuitState.HALF_OPEN;
+    }
+    return this.state !== CircuitState.OPEN;
+  }
+
+  recordSuccess() {
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error instanceof Error ? error.message : String(error);
+
+    if (this.state === CircuitState.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CircuitState.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === CircuitState.OPEN
+        ? new Date(this.openedAt + this.resetTimeout).toISOString()
+        : null,
+      lastError: this.lastError
+    };
+  }
+}
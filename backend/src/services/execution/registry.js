@@ -0,0 +1,132 @@
+/**
+ * Execution Backend Registry
+ * Runs a request against an ordered chain of backends, skipping those whose
+ * circuit is open and failing over when a backend is unavailable. Recent
+ * executions are kept so /api/cql/status can report which backend served
+ * each request and why failover happened.
+ */
+
+import logger from '../../config/logger.js';
+import { HttpStatusCode } from '../../utils/response.js';
+import { isBackendFailure, describeFailure } from './backends.js';
+import { ExecutionError } from '../sandbox/engineSandbox.js';
+
+export class ExecutionBackendRegistry {
+  /**
+   * @param {object} options - { chain: default backend order, historySize }
+   */
+  constructor({ chain = [], historySize = 20 } = {}) {
+    this.backends = new Map();
+    this.chain = chain;
+    this.historySize = historySize;
+    this.history = [];
+  }
+
+  register(backend) {
+    this.backends.set(backend.name, backend);
+    return backend;
+  }
+
+  get(name) {
+    const backend = this.backends.get(name);
+    if (!backend) {
+      throw new ExecutionError(`Unknown CQL execution backend '${name}'`, 'UNKNOWN_BACKEND', HttpStatusCode.BAD_REQUEST);
+    }
+    return backend;
+  }
+
+  /**
+   * Backends to try for a request: the requested one only, or the default chain
+   */
+  resolveChain(preferred) {
+    const names = preferred ? [preferred] : this.chain;
+    return names.map(name => this.get(name));
+  }
+
+  /**
+   * Execute a request with failover
+   * @param {object} request - CQL execution request
+   * @param {object} options - { backend: name to use exclusively, requestId }
+   * @returns {Promise<object>} { results, backend, failover: [{ backend, reason }] }
+   */
+  async execute(request, { backend: preferred, requestId } = {}) {
+    const startTime = Date.now();
+    const failover = [];
+    let lastError = null;
+
+    for (const backend of this.resolveChain(preferred)) {
+      if (!backend.breaker.canRequest()) {
+        failover.push({ backend: backend.name, reason: 'circuit open' });
+        continue;
+      }
+
+      try {
+        const results = await backend.execute(request);
+        backend.breaker.recordSuccess();
+
+        this.recordExecution({ requestId, backend: backend.name, failover, status: 'success', startTime });
+        return { results, backend: backend.name, failover };
+      } catch (error) {
+        if (!isBackendFailure(error)) {
+          this.recordExecution({ requestId, backend: backend.name, failover, status: 'error', startTime });
+          throw error;
+        }
+
+        const reason = describeFailure(error);
+        backend.breaker.recordFailure(error);
+        failover.push({ backend: backend.name, reason });
+        lastError = error;
+
+        logger.warn('CQL backend failed, trying next backend', {
+          requestId,
+          backend: backend.name,
+          reason,
+          circuit: backend.breaker.state
+        });
+      }
+    }
+
+    this.recordExecution({ requestId, backend: null, failover, status: 'error', startTime });
+
+    if (lastError) {
+      throw lastError;
+    }
+    throw new ExecutionError(
+      `CQL execution backend is not available (${failover.map(item => `${item.backend}: ${item.reason}`).join(', ')})`,
+      'BACKEND_UNAVAILABLE',
+      HttpStatusCode.SERVICE_UNAVAILABLE
+    );
+  }
+
+  recordExecution({ requestId, backend, failover, status, startTime }) {
+    this.history.unshift({
+      requestId: requestId || null,
+      backend,
+      status,
+      failover: [...failover],
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+    this.history.length = Math.min(this.history.length, this.historySize);
+  }
+
+  /**
+   * Health, circuit state and recent executions for every registered backend
+   */
+  async getStatus() {
+    const backends = await Promise.all([...this.backends.values()].map(async (backend) => {
+      await backend.checkHealth();
+      return {
+        ...backend.getStatus(),
+        inDefaultChain: this.chain.includes(backend.name)
+      };
+    }));
+
+    return {
+      chain: this.chain,
+      backends,
+      lastExecution: this.history[0] || null,
+      recentExecutions: this.history
+    };
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Execution Result Cache
+ * Sits in front of the backend registry so repeated runs of the same library
+ * (e.g. many learners running an exercise's starter code) are served without
+ * another round trip to the execution service. Keys are built from the code's
+ * tokens, so whitespace and comment edits still hit the cache; result locations
+ * are mapped onto the current layout through the token positions stored with
+ * each entry.
+ */
+
+import { tokenize } from '../../../../shared/cql/index.js';
+
+// Functions whose value depends on when the library is evaluated
+const CLOCK_FUNCTIONS = new Set([
+  'Now', 'Today', 'TimeOfDay',
+  'AgeInYears', 'AgeInMonths', 'AgeInWeeks', 'AgeInDays',
+  'AgeInHours', 'AgeInMinutes', 'AgeInSeconds'
+]);
+
+export class ExecutionResultCache {
+  /**
+   * @param {object} options - { cache: cacheService, enabled, ttl, errorTtl } (TTLs in seconds)
+   */
+  constructor({ cache, enabled = true, ttl = 1800, errorTtl = 60 }) {
+    this.cache = cache;
+    this.enabled = enabled;
+    this.ttl = ttl;
+    this.errorTtl = errorTtl;
+    this.stats = { hits: 0, misses: 0, bypassed: 0, stored: 0 };
+  }
+
+  /**
+   * Why a request must not be served from the cache, or null when it can be
+   */
+  bypassReason(request) {
+    if (!this.enabled) return 'disabled';
+    if (request.cache === false) return 'requested';
+    if (request.trace) return 'trace';
+
+    for (const code of [request.code, ...(request.libraries || []).map(library => library.code)]) {
+      const { tokens } = tokenize(code);
+      const clockCall = tokens.find((token, index) =>
+        token.type === 'identifier' &&
+        CLOCK_FUNCTIONS.has(token.value) &&
+        tokens[index + 1]?.value === '(');
+      if (clockCall) return `uses ${clockCall.value}()`;
+    }
+    return null;
+  }
+
+  /**
+   * Cache context for a request: everything besides the code that affects results
+   */
+  contextFor(request) {
+    const parameters = [...(request.parameters || [])]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(({ name, type, value }) => ({ name, type, value }));
+
+    return {
+      parameters,
+      libraries: (request.libraries || []).map(library => fingerprint(library.code).key),
+      patientId: request.patientId || null,
+      dataServiceUri: request.dataServiceUri || null,
+      terminologyServiceUri: request.terminologyServiceUri || null,
+      backend: request.backend || null
+    };
+  }
+
+  /**
+   * @returns {Promise<object|null>} Cached { results, backend } or null on a miss
+   */
+  async get(request) {
+    const { key, positions } = fingerprint(request.code);
+    const cached = await this.cache.getCachedCQLResult(key, this.contextFor(request));
+    if (!cached) {
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    return {
+      results: remapLocations(cached.results, cached.positions, positions),
+      backend: cached.backend
+    };
+  }
+
+  /**
+   * Store an execution. Results with errors, or served after failover, expire
+   * after errorTtl so a fix to the code or the preferred backend shows up quickly.
+   */
+  async set(request, execution) {
+    const hasErrors = execution.results.some(result => result.error || result['translator-error']);
+    const ttl = hasErrors || execution.failover.length > 0 ? this.errorTtl : this.ttl;
+    const { key, positions } = fingerprint(request.code);
+
+    const stored = await this.cache.cacheCQLResult(
+      key,
+      this.contextFor(request),
+      { results: execution.results, backend: execution.backend, positions },
+      ttl
+    );
+    if (stored) {
+      this.stats.stored++;
+    }
+    return stored;
+  }
+
+  recordBypass() {
+    this.stats.bypassed++;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 10000) / 100 : 0,
+      ttl: this.ttl,
+      errorTtl: this.errorTtl
+    };
+  }
+}
+
+/**
+ * Cache key text (token text joined by single spaces, so layout and comments
+ * do not matter) and the "line:column" of each token in this layout
+ */
+function fingerprint(code) {
+  const tokens = tokenize(code).tokens.filter(token => token.type !== 'EOF');
+  return {
+    key: tokens.map(token => token.text).join(' '),
+    positions: tokens.map(token => `${token.start.line}:${token.start.column}`)
+  };
+}
+
+/**
+ * Rewrite "[line:column]" locations from the cached layout to the current one
+ */
+function remapLocations(results, from = [], to = []) {
+  const indexes = new Map(from.map((position, index) => [position, index]));
+  const remap = location => location.replace(/\d+:\d+/g, (position) => {
+    const index = indexes.get(position);
+    return index >= 0 && to[index] ? to[index] : position;
+  });
+
+  return results.map(result => (typeof result.location === 'string'
+    ? { ...result, location: remap(result.location) }
+    : result));
+}
@@ -0,0 +1,336 @@
+import logger from '../config/logger.js';
+import { HttpStatusCode } from '../utils/response.js';
+import { createExerciseStore } from './exercises/stores.js';
+import { validateExerciseData } from '../../../shared/utils/exercise-validator.js';
+import { exampleExercises } from '../../../shared/examples/example-exercises.js';
+
+const SEMANTIC_VERSION = /^(\d+)\.(\d+)\.(\d+)$/;
+
+// Lifecycle actions on an exercise's working version
+const TRANSITIONS = {
+  submit: { from: 'draft', to: 'review', timestamp: 'submittedAt' },
+  publish: { from: 'review', to: 'published', timestamp: 'publishedAt' },
+  reject: { from: 'review', to: 'draft' }
+};
+
+const isWorking = record => record.status === 'draft' || record.status === 'review';
+
+/**
+ * Exercise catalog error, carrying the HTTP status it is reported with
+ */
+export class ExerciseCatalogError extends Error {
+  constructor(message, code, statusCode, details = null) {
+    super(message);
+    this.name = 'ExerciseCatalogError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Exercise Catalog Service
+ * Stores exercises as semantically versioned documents validated against
+ * shared/schemas/exercise-schema.json. Each version moves through
+ * draft → review → published; published versions are immutable, and an
+ * exercise has at most one draft or in-review ("working") version at a time.
+ * Learners are served the latest published version unless they ask for the
+ * version their progress is pinned to.
+ *
+ * An empty catalog is seeded with shared/examples as published exercises.
+ */
+export class ExerciseCatalogService {
+  /**
+   * @param {Function} openStore - Resolves to the store, see exercises/stores.js
+   */
+  constructor(openStore = createExerciseStore) {
+    this.ready = this.initialize(openStore);
+    // Failures are reported by the first request that awaits the store
+    this.ready.catch(() => {});
+  }
+
+  async initialize(openStore) {
+    const store = await openStore();
+    const records = await store.list();
+
+    if (records.length === 0) {
+      const publishedAt = new Date().toISOString();
+      for (const exercise of exampleExercises) {
+        await store.create({
+          id: exercise.id,
+          version: exercise.version,
+          status: 'published',
+          exercise,
+          changeNote: 'Initial version',
+          publishedAt
+        });
+      }
+    }
+
+    logger.info('Exercise catalog loaded', {
+      store: store.name,
+      versions: records.length || exampleExercises.length,
+      seeded: records.length === 0
+    });
+    return store;
+  }
+
+  /**
+   * One version of each exercise
+   * @param {object} filters - { status, difficulty, type, tag }; status 'published' (the default)
+   *   lists the latest published versions, 'draft' or 'review' the working versions in that status,
+   *   and 'all' the newest version of every exercise
+   * @returns {Promise<Array>} Records, each with `publishedVersion`, the latest published version
+   */
+  async listExercises({ status = 'published', difficulty, type, tag } = {}) {
+    const store = await this.ready;
+    const byExercise = groupByExercise(await store.list());
+
+    return [...byExercise.values()]
+      .map(versions => {
+        const published = latest(versions.filter(record => record.status === 'published'));
+        const selected = status === 'published'
+          ? published
+          : latest(versions.filter(record => status === 'all' || record.status === status));
+        return selected && { ...selected, publishedVersion: published?.version || null };
+      })
+      .filter(record => record
+        && (!difficulty || record.exercise.difficulty === difficulty)
+        && (!type || record.exercise.type === type)
+        && (!tag || (record.exercise.tags || []).includes(tag)));
+  }
+
+  /**
+   * @param {string} id - Exercise id
+   * @param {string} version - A semantic version, 'latest' for the latest published version,
+   *   or 'working' for the draft or in-review version
+   * @returns {Promise<object>} Record
+   */
+  async getExercise(id, version = 'latest') {
+    const versions = await this.getVersionRecords(id);
+    let record;
+    if (version === 'latest') {
+      record = latest(versions.filter(candidate => candidate.status === 'published'));
+    } else if (version === 'working') {
+      record = versions.find(isWorking);
+    } else {
+      record = versions.find(candidate => candidate.version === version);
+    }
+
+    if (!record) {
+      const description = { latest: 'a published version', working: 'a draft or in-review version' }[version];
+      throw notFound(`Exercise ${id} has no ${description || `version ${version}`}`);
+    }
+    return record;
+  }
+
+  /**
+   * Version history of an exercise, newest first, without the exercise documents
+   * @param {string} id - Exercise id
+   * @returns {Promise<Array>} Records
+   */
+  async listVersions(id) {
+    const versions = await this.getVersionRecords(id);
+    return versions
+      .sort((a, b) => compareVersions(b.version, a.version))
+      .map(({ exercise, ...record }) => ({ ...record, title: exercise.title }));
+  }
+
+  /**
+   * Create an exercise as a draft
+   * @param {object} exercise - Exercise document; its version defaults to 1.0.0
+   * @param {object} options - { changeNote }
+   * @returns {Promise<object>} Draft record
+   */
+  async createExercise(exercise, { changeNote = null } = {}) {
+    const store = await this.ready;
+    if ((await store.list({ id: exercise.id })).length > 0) {
+      throw new ExerciseCatalogError(`Exercise ${exercise.id} already exists`, 'CONFLICT', HttpStatusCode.CONFLICT);
+    }
+
+    const document = { ...exercise, version: exercise.version || '1.0.0' };
+    validate(document);
+
+    const record = await store.create({
+      id: document.id,
+      version: document.version,
+      status: 'draft',
+      exercise: document,
+      changeNote
+    });
+    logger.info('Exercise created', { exerciseId: record.id, version: record.version });
+    return record;
+  }
+
+  /**
+   * Replace the document of an exercise's draft; its id and version are kept
+   * @param {string} id - Exercise id
+   * @param {object} exercise - Exercise document
+   * @param {object} options - { changeNote }
+   * @returns {Promise<object>} Draft record
+   */
+  async updateDraft(id, exercise, { changeNote } = {}) {
+    const store = await this.ready;
+    const working = await this.getWorkingVersion(id);
+    if (working.status !== 'draft') {
+      throw invalidTransition(`Exercise ${id} version ${working.version} is in review; reject it to edit it`);
+    }
+    if (exercise.id && exercise.id !== id) {
+      throw new ExerciseCatalogError('An exercise id cannot be changed', 'INVALID_EXERCISE', HttpStatusCode.BAD_REQUEST);
+    }
+
+    const document = { ...exercise, id, version: working.version };
+    validate(document);
+
+    return store.update(id, working.version, {
+      exercise: document,
+      ...(typeof changeNote === 'string' && { changeNote })
+    });
+  }
+
+  /**
+   * Start a draft of the next version from the latest published version
+   * @param {string} id - Exercise id
+   * @param {object} options - { bump: 'major' | 'minor' | 'patch', version, changeNote }; an explicit
+   *   version must be greater than every existing version
+   * @returns {Promise<object>} Draft record
+   */
+  async createVersion(id, { bump = 'minor', version = null, changeNote = null } = {}) {
+    const store = await this.ready;
+    const versions = await this.getVersionRecords(id);
+    const working = versions.find(isWorking);
+    if (working) {
+      throw new ExerciseCatalogError(
+        `Exercise ${id} already has a ${working.status} version ${working.version}`,
+        'CONFLICT',
+        HttpStatusCode.CONFLICT
+      );
+    }
+
+    const base = latest(versions);
+    const nextVersion = version || bumpVersion(base.version, bump);
+    if (compareVersions(nextVersion, base.version) <= 0) {
+      throw new ExerciseCatalogError(
+        `Version ${nextVersion} must be greater than ${base.version}`,
+        'CONFLICT',
+        HttpStatusCode.CONFLICT
+      );
+    }
+
+    const record = await store.create({
+      id,
+      version: nextVersion,
+      status: 'draft',
+      exercise: { ...base.exercise, version: nextVersion },
+      changeNote
+    });
+    logger.info('Exercise version started', { exerciseId: id, version: nextVersion, from: base.version });
+    return record;
+  }
+
+  /**
+   * Move an exercise's working version through the lifecycle
+   * @param {string} id - Exercise id
+   * @param {string} action - 'submit' (draft → review), 'publish' (review → published)
+   *   or 'reject' (review → draft)
+   * @param {object} options - { reviewNote } for the author, when rejecting
+   * @returns {Promise<object>} Updated record
+   */
+  async transition(id, action, { reviewNote = null } = {}) {
+    const store = await this.ready;
+    const { from, to, timestamp } = TRANSITIONS[action];
+    const working = await this.getWorkingVersion(id);
+    if (working.status !== from) {
+      throw invalidTransition(`Exercise ${id} version ${working.version} is a ${working.status}, not a ${from}`);
+    }
+
+    const changes = { status: to };
+    if (timestamp) changes[timestamp] = new Date().toISOString();
+    if (action === 'reject') changes.reviewNote = reviewNote;
+    if (action === 'submit') changes.reviewNote = null;
+
+    const record = await store.update(id, working.version, changes);
+    logger.info('Exercise status changed', { exerciseId: id, version: record.version, action, status: to });
+    return record;
+  }
+
+  /**
+   * Delete an exercise's draft or in-review version; an exercise that was never
+   * published is deleted entirely
+   * @param {string} id - Exercise id
+   * @returns {Promise<object>} The deleted record
+   */
+  async discardWorkingVersion(id) {
+    const store = await this.ready;
+    const working = await this.getWorkingVersion(id);
+    await store.remove(id, working.version);
+    logger.info('Exercise version discarded', { exerciseId: id, version: working.version });
+    return working;
+  }
+
+  async getVersionRecords(id) {
+    const store = await this.ready;
+    const versions = await store.list({ id });
+    if (versions.length === 0) throw notFound(`Exercise ${id} not found`);
+    return versions;
+  }
+
+  async getWorkingVersion(id) {
+    const working = (await this.getVersionRecords(id)).find(isWorking);
+    if (!working) {
+      throw notFound(`Exercise ${id} has no draft or in-review version; start a new version to change it`);
+    }
+    return working;
+  }
+}
+
+function validate(exercise) {
+  const { success, errors } = validateExerciseData(exercise);
+  if (!success) {
+    throw new ExerciseCatalogError(
+      'Exercise does not match the exercise schema',
+      'INVALID_EXERCISE',
+      HttpStatusCode.BAD_REQUEST,
+      errors.map(({ path, message, allowedValues }) => ({ path, message, allowedValues }))
+    );
+  }
+}
+
+function notFound(message) {
+  return new ExerciseCatalogError(message, 'NOT_FOUND', HttpStatusCode.NOT_FOUND);
+}
+
+function invalidTransition(message) {
+  return new ExerciseCatalogError(message, 'INVALID_TRANSITION', HttpStatusCode.CONFLICT);
+}
+
+function groupByExercise(records) {
+  const byExercise = new Map();
+  records.forEach(record => {
+    if (!byExercise.has(record.id)) byExercise.set(record.id, []);
+    byExercise.get(record.id).push(record);
+  });
+  return byExercise;
+}
+
+function latest(records) {
+  return [...records].sort((a, b) => compareVersions(b.version, a.version))[0] || null;
+}
+
+// Compare semantic versions numerically, e.g. '1.10.0' > '1.9.0'
+export function compareVersions(a, b) {
+  const partsA = SEMANTIC_VERSION.exec(a).slice(1).map(Number);
+  const partsB = SEMANTIC_VERSION.exec(b).slice(1).map(Number);
+  const index = partsA.findIndex((part, position) => part !== partsB[position]);
+  return index === -1 ? 0 : partsA[index] - partsB[index];
+}
+
+export function bumpVersion(version, bump) {
+  const [major, minor, patch] = SEMANTIC_VERSION.exec(version).slice(1).map(Number);
+  if (bump === 'major') return `${major + 1}.0.0`;
+  if (bump === 'minor') return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+// Create singleton instance
+export const exerciseCatalogService = new ExerciseCatalogService();
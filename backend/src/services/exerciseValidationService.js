@@ -0,0 +1,234 @@
+import env from '../config/env.js';
+import logger from '../config/logger.js';
+import { cqlService } from './cqlService.js';
+import { patientService } from './patientService.js';
+import { libraryService } from './libraryService.js';
+import { exerciseCatalogService, ExerciseCatalogError } from './exerciseCatalogService.js';
+import { EngineSandbox } from './sandbox/engineSandbox.js';
+import { ValidatorSandbox } from './sandbox/validatorSandbox.js';
+import { HttpStatusCode } from '../utils/response.js';
+
+/**
+ * Exercise Validation Service
+ * Runs an exercise's `validation.testCases` against a learner's library. Each
+ * test case executes the library once in the engine sandbox against its own
+ * fixture data, then compares the named definitions in `expectedOutput` with
+ * the results, allowing numbers to differ by the test case's tolerance.
+ *
+ * A test case `input` may contain:
+ *   patientId  - a synthetic patient from data/patients, or the patient to use from the fixture resources
+ *   resources  - FHIR resources (or a Bundle) to execute against instead of the synthetic patients
+ *   parameters - { name: value } or [{ name, type, value }]; string values are read as CQL literals
+ *
+ * It also runs `validation.customValidator` source in the validator sandbox:
+ * for exercises, the validator of the published version in the catalog.
+ */
+export class ExerciseValidationService {
+  constructor() {
+    this.sandbox = new ValidatorSandbox({
+      timeout: env.VALIDATOR_TIMEOUT_MS,
+      memoryLimit: env.VALIDATOR_MEMORY_MB
+    });
+  }
+
+  /**
+   * Run the custom validator of a published exercise version against the learner's code
+   * @param {object} request - { code, libraries, exerciseId, version: latest when not given, patientId }
+   * @returns {Promise<object>} { score, passed, errors, feedback, duration }
+   */
+  async runExerciseValidator({ code, libraries = [], exerciseId, version = 'latest', patientId }) {
+    const record = await exerciseCatalogService.getExercise(exerciseId, version);
+    if (record.status !== 'published') {
+      throw new ExerciseCatalogError(`Exercise ${exerciseId} version ${version} is not published`, 'NOT_FOUND', HttpStatusCode.NOT_FOUND);
+    }
+
+    const { exercise } = record;
+    const validation = exercise.validation || {};
+    if (!validation.customValidator) {
+      throw new ExerciseCatalogError(
+        `Exercise ${exerciseId} has no custom validator`,
+        'NO_CUSTOM_VALIDATOR',
+        HttpStatusCode.BAD_REQUEST
+      );
+    }
+
+    return this.runCustomValidator({
+      code,
+      libraries,
+      validator: validation.customValidator,
+      exercise,
+      patientId,
+      passingScore: validation.passingScore || 70
+    });
+  }
+
+  /**
+   * Execute the learner's code, then pass the code, its results and the exercise to a custom validator
+   * @param {object} request - { code, libraries, validator: source, exercise, patientId, passingScore }
+   * @returns {Promise<object>} { score, passed, errors, feedback, duration }
+   */
+  async runCustomValidator({ code, libraries = [], validator, exercise = null, patientId, passingScore = 70 }) {
+    const started = Date.now();
+    const { results } = code.trim()
+      ? await cqlService.executeCQL({ code, libraries, patientId })
+      : { results: [] };
+
+    const outcome = await this.sandbox.run(validator, { code, results, exercise }, { passingScore });
+    outcome.duration = Date.now() - started;
+
+    logger.info('Custom validator completed', {
+      exerciseId: exercise?.id,
+      score: outcome.score,
+      passed: outcome.passed,
+      errors: outcome.errors.length
+    });
+
+    return outcome;
+  }
+
+  /**
+   * Run every test case against the library
+   * @param {string} code - Learner's CQL library
+   * @param {Array} testCases - [{ description, input, expectedOutput, tolerance }]
+   * @param {Array} libraries - [{ name, code }] libraries the learner's library may include
+   * @returns {Promise<object>} { passed, score, passedCount, total, testResults: [{ description, passed, diffs, error, duration }] }
+   */
+  async validateTestCases(code, testCases, libraries = []) {
+    // One test case at a time, so a request holds at most one engine worker
+    const testResults = [];
+    for (const testCase of testCases) {
+      testResults.push(await this.runTestCase(code, testCase, libraries));
+    }
+    const passedCount = testResults.filter(result => result.passed).length;
+    const total = testResults.length;
+
+    logger.info('Exercise test cases validated', { total, passed: passedCount });
+
+    return {
+      passed: total > 0 && passedCount === total,
+      score: total > 0 ? Math.round((passedCount / total) * 100) : 0,
+      passedCount,
+      total,
+      testResults
+    };
+  }
+
+  async runTestCase(code, { description, input = {}, expectedOutput, tolerance = 0 }, libraries = []) {
+    const started = Date.now();
+    const testResult = { description, passed: false, diffs: [], error: null };
+
+    try {
+      const { engine, patientId } = this.fixtureFor(input);
+      const parameters = toParameterList(input.parameters);
+      const results = await engine.execute({ code, libraries, patientId, parameters });
+
+      // Translator and parameter errors stop the whole library, not one definition
+      const parameterNames = new Set(parameters.map(parameter => parameter.name));
+      const failure = results.find(result => result['translator-error'] || parameterNames.has(result.name));
+      if (failure) {
+        testResult.error = failure['translator-error'] || failure.error;
+      } else {
+        for (const [define, expected] of Object.entries(expectedOutput)) {
+          const result = results.find(item => item.name === define);
+          if (!result) {
+            testResult.diffs.push({ define, path: '', expected, actual: null, message: `Definition "${define}" not found` });
+          } else if (result.error) {
+            testResult.diffs.push({ define, path: '', expected, actual: null, message: result.error });
+          } else {
+            compareValues(expected, result.result, tolerance, '', (path, expectedValue, actual, message) => {
+              testResult.diffs.push({ define, path, expected: expectedValue, actual, message });
+            });
+          }
+        }
+        testResult.passed = testResult.diffs.length === 0;
+      }
+    } catch (error) {
+      testResult.error = error.message;
+    }
+
+    testResult.duration = Date.now() - started;
+    return testResult;
+  }
+
+  /**
+   * Engine and patient for a test case's fixture data
+   */
+  fixtureFor({ patientId = null, resources = null }) {
+    if (resources) {
+      return { engine: this.engineFor([resources]), patientId };
+    }
+
+    if (patientId) {
+      const patient = patientService.getPatient(patientId);
+      if (!patient) {
+        throw new Error(`Unknown fixture patient: ${patientId}`);
+      }
+      return { engine: this.engineFor([patient.bundle]), patientId };
+    }
+
+    return { engine: this.engineFor([]), patientId: null };
+  }
+
+  engineFor(bundles) {
+    return new EngineSandbox({
+      bundles,
+      catalog: libraryService.getSources(),
+      timeout: env.CQL_ENGINE_TIMEOUT_MS,
+      memoryLimit: env.CQL_ENGINE_MEMORY_MB
+    });
+  }
+}
+
+function toParameterList(parameters) {
+  if (!parameters) return [];
+  if (Array.isArray(parameters)) return parameters;
+  return Object.entries(parameters).map(([name, value]) => ({ name, type: 'Any', value }));
+}
+
+/**
+ * Compare an expected value with an actual result, reporting each difference
+ * with its path, e.g. "[2].value" for the value of the third list item
+ */
+function compareValues(expected, actual, tolerance, path, report) {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    if (Math.abs(expected - actual) > tolerance) {
+      report(path, expected, actual, tolerance > 0 ? `Expected ${expected} ± ${tolerance}, got ${actual}` : `Expected ${expected}, got ${actual}`);
+    }
+    return;
+  }
+
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    if (expected.length !== actual.length) {
+      report(path, expected, actual, `Expected ${expected.length} item${expected.length !== 1 ? 's' : ''}, got ${actual.length}`);
+      return;
+    }
+    expected.forEach((item, index) => compareValues(item, actual[index], tolerance, `${path}[${index}]`, report));
+    return;
+  }
+
+  if (isObject(expected) && isObject(actual)) {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const key of keys) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (!(key in actual)) {
+        report(childPath, expected[key], null, `Missing element ${key}`);
+      } else if (!(key in expected)) {
+        report(childPath, null, actual[key], `Unexpected element ${key}`);
+      } else {
+        compareValues(expected[key], actual[key], tolerance, childPath, report);
+      }
+    }
+    return;
+  }
+
+  if (expected !== actual) {
+    report(path, expected, actual, `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Create singleton instance
+export const exerciseValidationService = new ExerciseValidationService();
@@ -0,0 +1,168 @@
+/**
+ * Exercise Stores
+ * Persistence for the exercise catalog. Every record is one version of an
+ * exercise: { id, version, status, exercise, changeNote, reviewNote,
+ * createdAt, updatedAt, submittedAt, publishedAt }. The database store keeps
+ * them in the exercise_versions table through Prisma; the file store keeps
+ * them in a JSON file for development without a database.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import env from '../../config/env.js';
+import { JsonFileStore, clone, openStore } from '../../utils/jsonFileStore.js';
+
+// Field order of a record, with the values of fields that are not set yet
+const EMPTY_RECORD = {
+  id: null,
+  version: null,
+  status: null,
+  exercise: null,
+  changeNote: null,
+  reviewNote: null,
+  createdAt: null,
+  updatedAt: null,
+  submittedAt: null,
+  publishedAt: null
+};
+
+const DEFAULT_STORE_FILE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../../data/exercises.json');
+
+/**
+ * Database store, for the ExerciseVersion model in prisma/schema-exercises.prisma
+ */
+export class PrismaExerciseStore {
+  constructor(client) {
+    this.name = 'database';
+    this.client = client;
+  }
+
+  async init() {
+    await this.client.$connect();
+  }
+
+  /**
+   * @param {object} filter - { id } limits the records to one exercise
+   * @returns {Promise<Array>} Records, oldest first
+   */
+  async list({ id } = {}) {
+    const rows = await this.client.exerciseVersion.findMany({
+      where: id ? { exerciseId: id } : {},
+      orderBy: { createdAt: 'asc' }
+    });
+    return rows.map(fromRow);
+  }
+
+  async create(record) {
+    const row = await this.client.exerciseVersion.create({ data: toRow(record) });
+    return fromRow(row);
+  }
+
+  async update(id, version, changes) {
+    const row = await this.client.exerciseVersion.update({
+      where: { exerciseId_version: { exerciseId: id, version } },
+      data: toRow(changes)
+    });
+    return fromRow(row);
+  }
+
+  async remove(id, version) {
+    await this.client.exerciseVersion.delete({
+      where: { exerciseId_version: { exerciseId: id, version } }
+    });
+  }
+}
+
+function toRow(record) {
+  const row = {};
+  Object.entries(record).forEach(([key, value]) => {
+    if (key === 'id') row.exerciseId = value;
+    else if (key === 'exercise') row.document = value;
+    else if (key === 'status') row.status = value.toUpperCase();
+    else if (key.endsWith('At') && value) row[key] = new Date(value);
+    else row[key] = value;
+  });
+  return row;
+}
+
+function fromRow(row) {
+  const date = value => (value ? value.toISOString() : null);
+  return {
+    id: row.exerciseId,
+    version: row.version,
+    status: row.status.toLowerCase(),
+    exercise: row.document,
+    changeNote: row.changeNote,
+    reviewNote: row.reviewNote,
+    createdAt: date(row.createdAt),
+    updatedAt: date(row.updatedAt),
+    submittedAt: date(row.submittedAt),
+    publishedAt: date(row.publishedAt)
+  };
+}
+
+/**
+ * File store, keeping the versions in a JSON file
+ */
+export class FileExerciseStore extends JsonFileStore {
+  /**
+   * @param {string} file - Path of the JSON file, created on the first change
+   */
+  constructor(file) {
+    super(file, 'versions');
+  }
+
+  async list({ id } = {}) {
+    return this.records.filter(record => !id || record.id === id).map(clone);
+  }
+
+  async create(record) {
+    const now = new Date().toISOString();
+    const created = { ...EMPTY_RECORD, ...record, createdAt: now, updatedAt: now };
+    this.records.push(created);
+    this.save();
+    return clone(created);
+  }
+
+  async update(id, version, changes) {
+    const record = this.find(id, version);
+    if (!record) throw new Error(`Exercise ${id} version ${version} does not exist`);
+
+    Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+    return clone(record);
+  }
+
+  async remove(id, version) {
+    this.records = this.records.filter(record => record.id !== id || record.version !== version);
+    this.save();
+  }
+
+  find(id, version) {
+    return this.records.find(record => record.id === id && record.version === version);
+  }
+}
+
+/**
+ * Open the database store when DATABASE_URL is set and the Prisma client is
+ * installed, otherwise the file store
+ * @returns {Promise<object>} Initialized store
+ */
+export async function createExerciseStore({
+  databaseUrl = env.DATABASE_URL,
+  file = env.EXERCISE_STORE_FILE || DEFAULT_STORE_FILE
+} = {}) {
+  return openStore({
+    databaseUrl,
+    file,
+    description: 'Exercise',
+    async openDatabase() {
+      // The Prisma client is an optional dependency, so it is loaded on demand
+      const { PrismaClient } = await import('@prisma/client');
+      const store = new PrismaExerciseStore(new PrismaClient());
+      await store.init();
+      return store;
+    },
+    createFileStore: () => new FileExerciseStore(file)
+  });
+}
@@ -0,0 +1,127 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import env from '../config/env.js';
+import logger from '../config/logger.js';
+import { parseCQL } from '../../../shared/cql/index.js';
+
+const DEFAULT_DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../../data/libraries');
+
+// Declaration kinds a library exposes to the libraries that include it
+const MEMBER_KINDS = {
+  ExpressionDefinition: 'expression',
+  FunctionDefinition: 'function',
+  ParameterDefinition: 'parameter',
+  CodeSystemDefinition: 'codesystem',
+  ValueSetDefinition: 'valueset',
+  CodeDefinition: 'code',
+  ConceptDefinition: 'concept'
+};
+
+/**
+ * CQL Library Catalog Service
+ * Loads the published CQL libraries listed in data/libraries/index.json,
+ * such as FHIRHelpers and FHIRCommon. The embedded engine resolves `include`
+ * statements against them, and the editor loads them for completion and hover.
+ */
+export class LibraryService {
+  /**
+   * @param {string} dataDir - Directory containing index.json and the library sources
+   */
+  constructor(dataDir = env.LIBRARY_DATA_DIR || DEFAULT_DATA_DIR) {
+    this.dataDir = dataDir;
+    this.libraries = [];
+    this.load();
+  }
+
+  load() {
+    const manifestPath = path.join(this.dataDir, 'index.json');
+    if (!fs.existsSync(manifestPath)) {
+      logger.warn('No CQL library catalog found', { dataDir: this.dataDir });
+      return;
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    for (const entry of manifest.libraries || []) {
+      try {
+        const code = fs.readFileSync(path.join(this.dataDir, entry.file), 'utf8');
+        const { library, errors } = parseCQL(code);
+        const declaration = library.declarations.find(candidate => candidate.kind === 'LibraryDeclaration');
+        if (errors.length > 0 || declaration?.name !== entry.name || declaration?.version !== entry.version) {
+          throw new Error(errors[0]?.message || `Source does not declare library ${entry.name} version '${entry.version}'`);
+        }
+        this.libraries.push({ ...entry, code, ast: library });
+      } catch (error) {
+        logger.error('Failed to load CQL library', {
+          library: entry.name,
+          file: entry.file,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('CQL library catalog loaded', { count: this.libraries.length, dataDir: this.dataDir });
+  }
+
+  /**
+   * Summaries of all libraries
+   * @param {object} options - { includeSource } adds each library's `code`
+   * @returns {Array} [{ name, version, description, url, includes, members }]
+   */
+  listLibraries({ includeSource = false } = {}) {
+    return this.libraries.map(library => (includeSource
+      ? { ...summarize(library), code: library.code }
+      : summarize(library)));
+  }
+
+  /**
+   * @param {string} name - Library name
+   * @param {string|null} version - Version; the latest version when not given
+   * @returns {object|null} Summary plus the library's `code`, or null when unknown
+   */
+  getLibrary(name, version = null) {
+    const library = this.libraries
+      .filter(candidate => candidate.name === name && (!version || candidate.version === version))
+      .sort((a, b) => compareVersions(b.version, a.version))[0];
+    return library ? { ...summarize(library), code: library.code } : null;
+  }
+
+  /**
+   * Sources of every library, newest version first, for the engine to resolve includes against
+   * @returns {Array} [{ name, code }]
+   */
+  getSources() {
+    return [...this.libraries]
+      .sort((a, b) => compareVersions(b.version, a.version))
+      .map(library => ({ name: library.file, code: library.code }));
+  }
+}
+
+function summarize({ name, version, description = null, url = null, code, ast }) {
+  const text = node => code.slice(node.loc.start.offset, node.loc.end.offset);
+  const includes = ast.declarations
+    .filter(declaration => declaration.kind === 'IncludeDefinition')
+    .map(declaration => ({ name: declaration.libraryName, version: declaration.version }));
+
+  const members = ast.declarations
+    .filter(declaration => MEMBER_KINDS[declaration.kind] && declaration.accessLevel !== 'Private')
+    .map(declaration => {
+      const member = { name: declaration.name, kind: MEMBER_KINDS[declaration.kind] };
+      if (declaration.kind === 'FunctionDefinition') {
+        const operands = declaration.operands.map(operand => `${operand.name} ${text(operand.typeSpecifier)}`);
+        const returnType = declaration.returnType ? ` returns ${text(declaration.returnType)}` : '';
+        member.signature = `${declaration.name}(${operands.join(', ')})${returnType}`;
+      }
+      return member;
+    });
+
+  return { name, version, description, url, includes, members };
+}
+
+// Compare dotted versions numerically, e.g. '4.0.10' > '4.0.9'
+function compareVersions(a, b) {
+  return (a || '').localeCompare(b || '', 'en', { numeric: true });
+}
+
+// Create singleton instance
+export const libraryService = new LibraryService();
@@ -0,0 +1,99 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import env from '../config/env.js';
+import logger from '../config/logger.js';
+
+const DEFAULT_DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../../data/patients');
+
+/**
+ * Synthetic Patient Service
+ * Loads the synthetic FHIR R4 patient bundles listed in data/patients/index.json.
+ * The same bundles are served by the mock CQL service's /baseR4 routes and
+ * loaded into the embedded engine, so every backend sees the same patients.
+ */
+export class PatientService {
+  /**
+   * @param {string} dataDir - Directory containing index.json and the bundle files
+   */
+  constructor(dataDir = env.PATIENT_DATA_DIR || DEFAULT_DATA_DIR) {
+    this.dataDir = dataDir;
+    this.patients = new Map();
+    this.load();
+  }
+
+  load() {
+    const manifestPath = path.join(this.dataDir, 'index.json');
+    if (!fs.existsSync(manifestPath)) {
+      logger.warn('No synthetic patient data found', { dataDir: this.dataDir });
+      return;
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    for (const entry of manifest.patients || []) {
+      try {
+        const bundle = JSON.parse(fs.readFileSync(path.join(this.dataDir, entry.file), 'utf8'));
+        this.patients.set(entry.id, { ...entry, bundle });
+      } catch (error) {
+        logger.error('Failed to load synthetic patient bundle', {
+          patientId: entry.id,
+          file: entry.file,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Synthetic patients loaded', { count: this.patients.size, dataDir: this.dataDir });
+  }
+
+  /**
+   * Summaries of all patients for pickers
+   * @returns {Array} [{ id, name, gender, birthDate, description, topics, resourceCounts }]
+   */
+  listPatients() {
+    return Array.from(this.patients.values()).map(patient => summarize(patient));
+  }
+
+  /**
+   * @returns {object|null} Summary plus the full bundle, or null when unknown
+   */
+  getPatient(id) {
+    const patient = this.patients.get(id);
+    return patient ? { ...summarize(patient), bundle: patient.bundle } : null;
+  }
+
+  getBundles() {
+    return Array.from(this.patients.values()).map(patient => patient.bundle);
+  }
+
+  getDefaultPatientId() {
+    const [first] = this.patients.keys();
+    return first || null;
+  }
+}
+
+function summarize({ id, description, topics = [], bundle }) {
+  const resources = (bundle.entry || []).map(entry => entry.resource);
+  const patient = resources.find(resource => resource.resourceType === 'Patient' && resource.id === id) || {};
+  const [name] = patient.name || [];
+
+  const resourceCounts = {};
+  for (const resource of resources) {
+    if (resource.resourceType !== 'Patient') {
+      resourceCounts[resource.resourceType] = (resourceCounts[resource.resourceType] || 0) + 1;
+    }
+  }
+
+  return {
+    id,
+    name: name ? name.text || [...(name.given || []), name.family].filter(Boolean).join(' ') : id,
+    gender: patient.gender || null,
+    birthDate: patient.birthDate || null,
+    description,
+    topics,
+    resourceCounts
+  };
+}
+
+// Create singleton instance
+export const patientService = new PatientService();
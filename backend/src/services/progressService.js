@@ -22,7 +22,8 @@ export class ProgressService {
    * Track exercise submission and update progress
    * @param {string} userId - User ID
    * @param {string} exerciseId - Exercise ID
-   * @param {Object} submissionData - Submission details
+   * @param {Object} submissionData - Submission details, including the `exerciseVersion` attempted
+   *   and the rubric `scoreBreakdown` of its score
    * @returns {Promise<Object>} Updated progress
    */
   async trackExerciseSubmission(userId, exerciseId, submissionData) {
@@ -35,7 +36,9 @@ export class ProgressService {
         attempts,
         score,
         errors,
-        testResults
+        testResults,
+        exerciseVersion,
+        scoreBreakdown
       } = submissionData;
 
       // Get or create exercise progress
@@ -56,12 +59,15 @@ export class ProgressService {
           data: {
             userId,
             exerciseId,
+            // Progress stays pinned to the version first attempted
+            exerciseVersion: exerciseVersion || null,
             status: isCorrect ? 'completed' : 'in_progress',
             isCompleted: isCorrect,
             attempts: 1,
             hintsUsed: hintsUsed || 0,
             timeSpent: timeSpent || 0,
             bestScore: score || 0,
+            bestScoreBreakdown: scoreBreakdown || null,
             firstAttemptAt: new Date(),
             lastAttemptAt: new Date(),
             completedAt: isCorrect ? new Date() : null
@@ -82,8 +88,10 @@ export class ProgressService {
           updates.completedAt = new Date();
         }
 
+        // The breakdown is kept with the best score it explains
         if (score && score > progress.bestScore) {
           updates.bestScore = score;
+          updates.bestScoreBreakdown = scoreBreakdown || null;
         }
 
         progress = await prisma.exerciseProgress.update({
@@ -102,6 +110,7 @@ export class ProgressService {
         data: {
           userId,
           exerciseId,
+          exerciseVersion: exerciseVersion || progress.exerciseVersion || null,
           code,
           isCorrect,
           score: score || 0,
@@ -109,6 +118,7 @@ export class ProgressService {
           hintsUsed: hintsUsed || 0,
           errors: errors || [],
           testResults: testResults || {},
+          scoreBreakdown: scoreBreakdown || null,
           submittedAt: new Date()
         }
       });
@@ -162,6 +172,89 @@ export class ProgressService {
     }
   }
 
+  /**
+   * Start a graded attempt at an assessment exercise. Assessment attempts are
+   * kept in their own table, apart from the practice progress and submissions
+   * above, so an assessment never changes practice scores or completion
+   * @param {Object} attemptData - { exerciseId, exerciseVersion, userId, timeLimit, maxSubmissions, startedAt, deadline }
+   * @returns {Promise<Object>} Created attempt
+   */
+  async createAssessmentAttempt(attemptData) {
+    try {
+      return await prisma.assessmentAttempt.create({
+        data: {
+          ...attemptData,
+          status: 'in_progress',
+          submissions: []
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to create assessment attempt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a graded assessment attempt; finishing it records a learning event for its learner
+   * @param {string} attemptId - Attempt ID
+   * @param {Object} changes - { status, submissions, finishedAt, score, passed, scoreBreakdown }
+   * @returns {Promise<Object>} Updated attempt
+   */
+  async updateAssessmentAttempt(attemptId, changes) {
+    try {
+      const attempt = await prisma.assessmentAttempt.update({
+        where: { id: attemptId },
+        data: changes
+      });
+
+      if (changes.finishedAt) {
+        await this.trackLearningEvent(attempt.userId, {
+          type: 'assessment_completed',
+          exerciseId: attempt.exerciseId,
+          data: {
+            attemptId: attempt.id,
+            exerciseVersion: attempt.exerciseVersion,
+            status: attempt.status,
+            score: attempt.score,
+            passed: attempt.passed,
+            submissions: attempt.submissions.length
+          }
+        });
+        this.clearUserCache(attempt.userId);
+      }
+
+      return attempt;
+
+    } catch (error) {
+      logger.error('Failed to update assessment attempt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get graded assessment attempts, newest first
+   * @param {Object} filter - { attemptId, userId, exerciseId, status }
+   * @returns {Promise<Array>} Attempts
+   */
+  async getAssessmentAttempts({ attemptId, userId, exerciseId, status } = {}) {
+    try {
+      return await prisma.assessmentAttempt.findMany({
+        where: {
+          ...(attemptId && { id: attemptId }),
+          ...(userId && { userId }),
+          ...(exerciseId && { exerciseId }),
+          ...(status && { status })
+        },
+        orderBy: { startedAt: 'desc' }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get assessment attempts:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get comprehensive user progress overview
    * @param {string} userId - User ID
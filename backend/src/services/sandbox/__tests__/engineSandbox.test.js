@@ -0,0 +1,50 @@
+import { EngineSandbox, ExecutionError } from '../engineSandbox.js';
+
+const LIBRARY = "library Test version '1.0.0'";
+
+// Four million tuples: too slow and too large for the limits below
+const CROSS_JOIN = `${LIBRARY}
+define N: expand { Interval[1, 2000] }
+define Pairs: from N A, N B return Tuple { a: A, b: B }`;
+
+describe('EngineSandbox', () => {
+  it('executes a library in a worker', async () => {
+    const sandbox = new EngineSandbox();
+
+    await expect(sandbox.execute({ code: `${LIBRARY}\ndefine A: 1 + 2` })).resolves.toEqual([
+      { name: 'A', location: '[2:1]', resultType: 'Integer', result: 3 }
+    ]);
+  });
+
+  it('returns translator and evaluation errors as results', async () => {
+    const sandbox = new EngineSandbox();
+
+    const [translated] = await sandbox.execute({ code: `${LIBRARY}\ndefine A: Foo` });
+    const [evaluated] = await sandbox.execute({ code: `${LIBRARY}\ndefine A: Message(1, true, 'E1', 'Error', 'boom')` });
+
+    expect(translated['translator-error']).toBe('Could not resolve identifier Foo in the current library.');
+    expect(evaluated).toEqual({ name: 'A', location: '[2:11]', error: 'E1: boom' });
+  });
+
+  it('stops an execution that exceeds the time limit', async () => {
+    const sandbox = new EngineSandbox({ timeout: 200, memoryLimit: 512 });
+
+    const error = await sandbox.execute({ code: CROSS_JOIN }).catch(rejection => rejection);
+
+    expect(error).toBeInstanceOf(ExecutionError);
+    expect(error).toMatchObject({ code: 'EXECUTION_LIMIT', statusCode: 422 });
+    expect(error.message).toBe('CQL execution exceeded the 200 ms time limit');
+  });
+
+  it('stops an execution that exceeds the memory limit', async () => {
+    const sandbox = new EngineSandbox({ timeout: 20000, memoryLimit: 16 });
+
+    const error = await sandbox.execute({ code: CROSS_JOIN }).catch(rejection => rejection);
+
+    expect(error).toMatchObject({
+      code: 'EXECUTION_LIMIT',
+      statusCode: 422,
+      message: 'CQL execution exceeded the 16 MB memory limit'
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import { ValidatorSandbox, normalizeResult } from '../validatorSandbox.js';
+
+const RESULTS = [{ name: 'Adults', resultType: 'Boolean', result: true }];
+
+describe('ValidatorSandbox', () => {
+  const sandbox = new ValidatorSandbox({ timeout: 500, memoryLimit: 32 });
+
+  it('passes the code, results and exercise to validate()', async () => {
+    const source = `function validate(code, results, exercise) {
+      const adults = results.find(result => result.name === 'Adults');
+      return {
+        score: adults && adults.result ? 90 : 10,
+        feedback: ['Checked ' + exercise.id + ' (' + code.length + ' characters)']
+      };
+    }`;
+
+    await expect(sandbox.run(source, { code: 'define Adults: true', results: RESULTS, exercise: { id: 'adults' } }))
+      .resolves.toEqual({ score: 90, passed: true, errors: [], feedback: ['Checked adults (19 characters)'] });
+  });
+
+  it('accepts a function expression', async () => {
+    await expect(sandbox.run('(code) => code.includes("define")', { code: 'define A: 1' }))
+      .resolves.toMatchObject({ score: 100, passed: true });
+  });
+
+  it('gives validators no access to the host', async () => {
+    const probes = ['process', 'require', 'setTimeout', 'fetch', 'globalThis.constructor.constructor("return process")()'];
+    const outcomes = await Promise.all(probes.map(probe => sandbox.run(
+      `function validate() { return { passed: false, errors: [String(${probe})] }; }`,
+      { code: '' }
+    )));
+
+    outcomes.forEach(outcome => {
+      expect(outcome.passed).toBe(false);
+      expect(outcome.errors[0]).toMatch(/^Custom validator failed: /);
+    });
+  });
+
+  it('stops a validator that runs too long', async () => {
+    await expect(sandbox.run('function validate() { while (true) {} }', { code: '' })).resolves.toEqual({
+      score: 0,
+      passed: false,
+      errors: ['Custom validator timed out after 500 ms'],
+      feedback: []
+    });
+  });
+
+  it('reports a validator without a validate function', async () => {
+    const outcome = await sandbox.run('const answer = 42;', { code: '' });
+
+    expect(outcome.errors).toEqual([
+      'Custom validator failed: Custom validator must define a validate(code, results, exercise) function'
+    ]);
+  });
+});
+
+describe('normalizeResult', () => {
+  it('accepts booleans, scores and result objects', () => {
+    expect(normalizeResult(true)).toEqual({ score: 100, passed: true, errors: [], feedback: [] });
+    expect(normalizeResult(65, 60)).toMatchObject({ score: 65, passed: true });
+    expect(normalizeResult(150)).toMatchObject({ score: 100, passed: true });
+    expect(normalizeResult({ score: 80, passed: false, errors: 'Missing where clause' })).toEqual({
+      score: 80,
+      passed: false,
+      errors: ['Missing where clause'],
+      feedback: []
+    });
+  });
+
+  it('rejects other values', () => {
+    expect(normalizeResult('yes').errors).toEqual(['Custom validator must return an object, a boolean or a score']);
+    expect(normalizeResult(null).passed).toBe(false);
+  });
+});
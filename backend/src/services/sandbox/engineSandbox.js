@@ -0,0 +1,100 @@
+import { Worker } from 'worker_threads';
+import { HttpStatusCode } from '../../utils/response.js';
+
+const WORKER_URL = new URL('./engineWorker.js', import.meta.url);
+
+/**
+ * Execution error, carrying the HTTP status it is reported with. Code is
+ * 'EVALUATION_FAILED' or 'EXECUTION_LIMIT' when the request caused it,
+ * 'UNSUPPORTED_REQUEST' or 'UNKNOWN_BACKEND' when no backend can take the
+ * request, and 'BACKEND_UNAVAILABLE' when the engine or every backend could
+ * not run.
+ */
+export class ExecutionError extends Error {
+  constructor(message, code, statusCode) {
+    super(message);
+    this.name = 'ExecutionError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Engine Sandbox
+ * Runs the embedded CQL engine in a worker thread with its own heap limit,
+ * and terminates the worker if it does not report back in time, so an
+ * expensive library (say, a cross join of two long lists) cannot block the
+ * event loop or exhaust the server. Each execution gets a fresh worker.
+ */
+export class EngineSandbox {
+  /**
+   * @param {object} options - { bundles, valueSets, catalog: LocalCQLEngine options,
+   *   timeout: ms per execution, memoryLimit: heap MB per execution }
+   */
+  constructor({ bundles = [], valueSets = {}, catalog = [], timeout = 5000, memoryLimit = 128 } = {}) {
+    this.engineOptions = { bundles, valueSets, catalog };
+    this.timeout = timeout;
+    this.memoryLimit = memoryLimit;
+  }
+
+  /**
+   * Execute a CQL library
+   * @param {object} request - LocalCQLEngine.execute request
+   * @returns {Promise<Array>} Execution results in CQL Execution Service format
+   */
+  execute(request) {
+    return new Promise((resolve, reject) => {
+      let worker;
+      try {
+        worker = new Worker(WORKER_URL, {
+          workerData: { engineOptions: this.engineOptions, request },
+          env: {},
+          stdout: true,
+          stderr: true,
+          resourceLimits: {
+            maxOldGenerationSizeMb: this.memoryLimit,
+            maxYoungGenerationSizeMb: Math.max(1, Math.floor(this.memoryLimit / 4))
+          }
+        });
+      } catch (error) {
+        reject(unavailable(`Embedded CQL engine could not start: ${error.message}`));
+        return;
+      }
+
+      let settled = false;
+      let timer = null;
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        worker.terminate();
+        callback(value);
+      };
+
+      timer = setTimeout(
+        () => settle(reject, limitExceeded(`CQL execution exceeded the ${this.timeout} ms time limit`)),
+        this.timeout
+      );
+
+      worker.on('message', message => (message.ok
+        ? settle(resolve, JSON.parse(message.output))
+        : settle(reject, new ExecutionError(
+          `CQL execution failed: ${message.error}`,
+          'EVALUATION_FAILED',
+          HttpStatusCode.UNPROCESSABLE_ENTITY
+        ))));
+      worker.on('error', error => settle(reject, error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? limitExceeded(`CQL execution exceeded the ${this.memoryLimit} MB memory limit`)
+        : unavailable(`Embedded CQL engine failed: ${error.message}`)));
+      worker.on('exit', () => settle(reject, unavailable('Embedded CQL engine stopped without a result')));
+    });
+  }
+}
+
+function limitExceeded(message) {
+  return new ExecutionError(message, 'EXECUTION_LIMIT', HttpStatusCode.UNPROCESSABLE_ENTITY);
+}
+
+function unavailable(message) {
+  return new ExecutionError(message, 'BACKEND_UNAVAILABLE', HttpStatusCode.SERVICE_UNAVAILABLE);
+}
@@ -0,0 +1,17 @@
+/**
+ * Engine Worker
+ * Executes one CQL library on the embedded engine and reports the results
+ * as JSON. The parent thread enforces the time and memory limits.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { LocalCQLEngine } from '../engine/index.js';
+
+const { engineOptions, request } = workerData;
+
+try {
+  const results = new LocalCQLEngine(engineOptions).execute(request);
+  parentPort.postMessage({ ok: true, output: JSON.stringify(results) });
+} catch (error) {
+  parentPort.postMessage({ ok: false, error: typeof error?.message === 'string' ? error.message : String(error) });
+}
@@ -0,0 +1,123 @@
+import { Worker } from 'worker_threads';
+
+const WORKER_URL = new URL('./validatorWorker.js', import.meta.url);
+
+// Time allowed for a worker to start and report, on top of the validator's own timeout
+const STARTUP_ALLOWANCE_MS = 2000;
+
+/**
+ * Validator Sandbox
+ * Runs custom validator source in a worker thread with its own heap limit.
+ * Inside the worker the validator gets a bare V8 context, and the worker is
+ * terminated if it does not report back in time, so a runaway validator
+ * cannot block or exhaust the server.
+ *
+ * Validator API: the source defines `validate(code, results, exercise)` (or
+ * `validateExercise`, or is a function expression) and returns
+ * `{ score, passed, errors, feedback }`, or a boolean or a score.
+ */
+export class ValidatorSandbox {
+  /**
+   * @param {object} options - { timeout: ms per validator, memoryLimit: heap MB per validator }
+   */
+  constructor({ timeout = 1000, memoryLimit = 32 } = {}) {
+    this.timeout = timeout;
+    this.memoryLimit = memoryLimit;
+  }
+
+  /**
+   * Run a custom validator
+   * @param {string} source - Validator source code
+   * @param {object} args - { code, results, exercise } passed to the validator as JSON
+   * @param {object} options - { passingScore } used when the validator returns no `passed`
+   * @returns {Promise<object>} { score, passed, errors, feedback }
+   */
+  async run(source, { code, results = [], exercise = null }, { passingScore = 70 } = {}) {
+    const input = JSON.stringify([code, results, exercise]);
+
+    try {
+      const output = await this.runWorker(source, input);
+      return normalizeResult(JSON.parse(output), passingScore);
+    } catch (error) {
+      return { score: 0, passed: false, errors: [error.message], feedback: [] };
+    }
+  }
+
+  runWorker(source, input) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_URL, {
+        workerData: { source, input, timeout: this.timeout },
+        env: {},
+        stdout: true,
+        stderr: true,
+        resourceLimits: {
+          maxOldGenerationSizeMb: this.memoryLimit,
+          maxYoungGenerationSizeMb: Math.max(1, Math.floor(this.memoryLimit / 4)),
+          stackSizeMb: 1
+        }
+      });
+
+      let settled = false;
+      let timer = null;
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        worker.terminate();
+        callback(value);
+      };
+
+      timer = setTimeout(
+        () => settle(reject, new Error(`Custom validator timed out after ${this.timeout} ms`)),
+        this.timeout + STARTUP_ALLOWANCE_MS
+      );
+
+      worker.on('message', message => (message.ok
+        ? settle(resolve, message.output)
+        : settle(reject, new Error(message.error))));
+      worker.on('error', error => settle(reject, error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? new Error(`Custom validator exceeded its ${this.memoryLimit} MB memory limit`)
+        : new Error(`Custom validator failed: ${error.message}`)));
+      worker.on('exit', () => settle(reject, new Error('Custom validator stopped without a result')));
+    });
+  }
+}
+
+/**
+ * Accept the shapes validators return and produce { score, passed, errors, feedback }
+ */
+export function normalizeResult(value, passingScore = 70) {
+  if (typeof value === 'boolean') {
+    return { score: value ? 100 : 0, passed: value, errors: [], feedback: [] };
+  }
+  if (typeof value === 'number') {
+    const score = clampScore(value);
+    return { score, passed: score >= passingScore, errors: [], feedback: [] };
+  }
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return {
+      score: 0,
+      passed: false,
+      errors: ['Custom validator must return an object, a boolean or a score'],
+      feedback: []
+    };
+  }
+
+  const hasScore = typeof value.score === 'number';
+  const score = hasScore ? clampScore(value.score) : (value.passed ? 100 : 0);
+  return {
+    score,
+    passed: typeof value.passed === 'boolean' ? value.passed : score >= passingScore,
+    errors: toMessages(value.errors),
+    feedback: toMessages(value.feedback)
+  };
+}
+
+function clampScore(score) {
+  return Number.isFinite(score) ? Math.round(Math.min(100, Math.max(0, score))) : 0;
+}
+
+function toMessages(messages) {
+  if (messages === null || typeof messages === 'undefined') return [];
+  return (Array.isArray(messages) ? messages : [messages]).map(String);
+}
@@ -0,0 +1,49 @@
+/**
+ * Custom Validator Worker
+ * Runs one custom validator inside a fresh V8 context with no globals beyond
+ * the language built-ins: no require, process, timers or network. Inputs enter
+ * the context as a JSON string and the result leaves it as one, so no object
+ * from this thread is reachable from validator code.
+ */
+
+import vm from 'vm';
+import { parentPort, workerData } from 'worker_threads';
+
+const INVOKE = `(() => {
+  const validator = typeof __validator === 'function' ? __validator
+    : typeof validate === 'function' ? validate
+      : typeof validateExercise === 'function' ? validateExercise : null;
+  if (!validator) {
+    throw new Error('Custom validator must define a validate(code, results, exercise) function');
+  }
+  const [code, results, exercise] = JSON.parse(__input);
+  const result = validator(code, results, exercise);
+  if (result && typeof result.then === 'function') {
+    throw new Error('Custom validator must return its result synchronously');
+  }
+  return JSON.stringify(result === undefined ? null : result);
+})()`;
+
+const { source, input, timeout } = workerData;
+
+try {
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+  context.__input = input;
+  context.__validator = vm.runInContext(source, context, { timeout, filename: 'customValidator.js' });
+
+  const output = vm.runInContext(INVOKE, context, { timeout });
+  parentPort.postMessage({ ok: true, output });
+} catch (error) {
+  parentPort.postMessage({ ok: false, error: describeError(error) });
+}
+
+function describeError(error) {
+  if (error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+    return `Custom validator timed out after ${timeout} ms`;
+  }
+  const message = typeof error?.message === 'string' ? error.message : String(error);
+  return `Custom validator failed: ${message}`;
+}
@@ -1,5 +1,6 @@
 import { PrismaClient } from '@prisma/client';
 import winston from 'winston';
+import { exerciseValidationService } from './exerciseValidationService.js';
 
 const prisma = new PrismaClient();
 const logger = winston.createLogger({
@@ -495,18 +496,19 @@ export class TutorialService {
         }
       }
 
-      // Custom validation function
+      // Custom validator source runs in the validator sandbox, never in this process
       if (validation.customValidator) {
-        try {
-          const customResult = validation.customValidator(data);
-          if (!customResult.isValid) {
-            isValid = false;
-            errors.push(...customResult.errors);
-          }
-          feedback.push(...(customResult.feedback || []));
-        } catch (error) {
-          logger.warn('Custom validator failed:', error);
+        const customResult = await exerciseValidationService.runCustomValidator({
+          code: data.code || '',
+          validator: validation.customValidator,
+          exercise: { id: tutorialId, stepIndex, type: validation.type },
+          patientId: data.patientId
+        });
+        if (!customResult.passed) {
+          isValid = false;
+          errors.push(...customResult.errors);
         }
+        feedback.push(...customResult.feedback);
       }
 
       return {
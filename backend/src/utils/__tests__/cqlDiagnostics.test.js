@@ -0,0 +1,45 @@
+import { attachDiagnostics } from '../cqlDiagnostics.js';
+
+const CODE = [
+  "library Test version '1.0.0'",
+  'define Adult: true',
+  'define A: adult',
+  'define B: 1'
+].join('\n');
+
+describe('attachDiagnostics', () => {
+  it('leaves successful results unchanged', () => {
+    const result = { name: 'B', location: '[4:1]', resultType: 'Integer', result: 1 };
+
+    expect(attachDiagnostics([result], CODE)).toEqual([result]);
+  });
+
+  it('locates a translator error at its token and suggests a close definition name', () => {
+    const [result] = attachDiagnostics([{
+      'translator-error': 'Could not resolve identifier adult in the current library.',
+      location: '[3:11]',
+      errorType: 'semantic'
+    }], CODE);
+
+    expect(result.diagnostic).toEqual({
+      id: 'semantic-1',
+      category: 'semantic',
+      message: 'Could not resolve identifier adult in the current library.',
+      severity: 'error',
+      location: { line: 3, column: 11, length: 5 },
+      suggestion: 'Did you mean "Adult"? Identifiers are case-sensitive.'
+    });
+  });
+
+  it('categorizes syntax, runtime and system errors', () => {
+    const results = attachDiagnostics([
+      { 'translator-error': "Syntax error at 'x'", location: '[2:8]' },
+      { name: 'A', location: '[3:11]', error: 'E1: boom' },
+      { error: 'Service down' }
+    ], CODE);
+
+    expect(results.map(result => result.diagnostic.id)).toEqual(['syntax-1', 'runtime-2', 'system-3']);
+    expect(results[1].diagnostic).toMatchObject({ definition: 'A', location: { line: 3, column: 11, length: 5 } });
+    expect(results[2].diagnostic.location).toBeUndefined();
+  });
+});
@@ -0,0 +1,181 @@
+import { tokenize, parseCQL } from '../../../shared/cql/index.js';
+
+// Messages produced by the CQL-to-ELM translator for grammar violations
+const SYNTAX_PATTERNS = [
+  /syntax error/i,
+  /mismatched input/i,
+  /extraneous input/i,
+  /no viable alternative/i,
+  /missing .+ at/i,
+  /^Expected /,
+  /^Unexpected /,
+  /Unterminated/i,
+  /case-sensitive/i,
+  /uses '=' for equality/
+];
+
+// Suggestions keyed on message patterns; `build` receives the match and context
+const SUGGESTIONS = [
+  {
+    pattern: /Could not resolve identifier "?([^\s"]+)"?/,
+    build: (match, context) => {
+      const candidate = closestName(match[1], context.definitions);
+      return candidate
+        ? `Did you mean "${candidate}"? Identifiers are case-sensitive.`
+        : `Define "${match[1]}" with a define statement, or check its spelling (identifiers are case-sensitive).`;
+    }
+  },
+  {
+    pattern: /Could not resolve call to operator (\w+)/,
+    build: match => `Check the name of ${match[1]} and the number and types of its arguments.`
+  },
+  {
+    pattern: /CQL uses '=' for equality/,
+    build: () => "Replace '==' with '='."
+  },
+  {
+    pattern: /use 'define'|keywords are case-sensitive/i,
+    build: () => 'Write CQL keywords in lower case, e.g. define, library, using, context.'
+  },
+  {
+    pattern: /at most one element|singleton/i,
+    build: () => 'Use First() or Last(), or refine the query so it returns a single item.'
+  },
+  {
+    pattern: /Cannot (compare|add|subtract|multiply|divide)/,
+    build: () => 'Convert the operands to compatible types, e.g. with ToDecimal() or ToQuantity().'
+  },
+  {
+    pattern: /Library (\S+) .*not available|library (\S+) is not available/i,
+    build: () => 'Only libraries available to the execution service can be included.'
+  },
+  {
+    pattern: /Value set '([^']+)' is not available/,
+    build: () => 'Provide an expansion for the value set or use a direct code reference.'
+  },
+  {
+    pattern: /mismatched input|extraneous input|no viable alternative|^Expected /i,
+    build: () => "Check for a missing ':' after a definition name, a missing quote, or unbalanced parentheses."
+  }
+];
+
+/**
+ * Attach a `diagnostic` (CQLError) to every failed result, keeping the raw fields
+ * @param {Array} results - Results in CQL Execution Service format
+ * @param {string} code - Executed CQL source, used to measure error ranges
+ * @returns {Array} Results with diagnostics ({ id, category, message, location, suggestion, severity })
+ */
+export function attachDiagnostics(results, code) {
+  const context = createContext(code);
+  let index = 0;
+
+  return results.map((result) => {
+    if (!result.error && !result['translator-error']) {
+      return result;
+    }
+    return { ...result, diagnostic: toDiagnostic(result, index++, context) };
+  });
+}
+
+function createContext(code) {
+  const { tokens } = tokenize(code || '');
+  const { library } = parseCQL(code || '');
+  const definitions = library.declarations
+    .map(declaration => declaration.name)
+    .filter(name => typeof name === 'string');
+
+  return { tokens, definitions };
+}
+
+function toDiagnostic(result, index, context) {
+  const translatorError = result['translator-error'];
+  const message = String(translatorError || result.error);
+  const position = parseLocation(result.location);
+
+  let category = 'runtime';
+  if (translatorError) {
+    category = result.errorType === 'syntax' || SYNTAX_PATTERNS.some(pattern => pattern.test(message))
+      ? 'syntax'
+      : 'semantic';
+  } else if (!position) {
+    category = 'system';
+  }
+
+  const diagnostic = {
+    id: `${category}-${index + 1}`,
+    category,
+    message,
+    severity: result.severity || 'error'
+  };
+
+  if (position) {
+    diagnostic.location = { ...position, length: tokenLength(position, context.tokens) };
+  }
+  if (result.name) {
+    diagnostic.definition = result.name;
+  }
+
+  const suggestion = suggestFor(message, context);
+  if (suggestion) {
+    diagnostic.suggestion = suggestion;
+  }
+
+  return diagnostic;
+}
+
+/**
+ * Parse the service's location formats: "[3:5]", "[3:5, 3:12]" or "Library.cql:3:5"
+ * @returns {object|null} { line, column }
+ */
+export function parseLocation(location) {
+  if (!location || typeof location !== 'string') return null;
+  const match = location.match(/(\d+):(\d+)/);
+  if (!match) return null;
+  return { line: parseInt(match[1], 10), column: parseInt(match[2], 10) };
+}
+
+function tokenLength(position, tokens) {
+  const token = tokens.find(item =>
+    item.start.line === position.line &&
+    item.start.column <= position.column &&
+    item.end.line === position.line &&
+    item.end.column > position.column);
+
+  if (!token || token.type === 'EOF') return 1;
+  return token.end.column - token.start.column;
+}
+
+function suggestFor(message, context) {
+  for (const { pattern, build } of SUGGESTIONS) {
+    const match = message.match(pattern);
+    if (match) return build(match, context);
+  }
+  return null;
+}
+
+function closestName(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(name.length / 3)) ? best : null;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
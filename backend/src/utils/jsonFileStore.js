@@ -0,0 +1,71 @@
+/**
+ * JSON File Store
+ * Base for the file stores used for development without a database: the
+ * records are held in memory and the whole file, { [key]: records }, is
+ * rewritten on every change.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from '../config/logger.js';
+
+export class JsonFileStore {
+  /**
+   * @param {string} file - Path of the JSON file, created on the first change
+   * @param {string} key - Property of the file that holds the records, e.g. 'versions'
+   */
+  constructor(file, key) {
+    this.name = 'file';
+    this.file = file;
+    this.key = key;
+    this.records = [];
+  }
+
+  async init() {
+    if (fs.existsSync(this.file)) {
+      this.records = JSON.parse(fs.readFileSync(this.file, 'utf8'))[this.key] || [];
+    }
+  }
+
+  // Write to a temporary file first so a failed write cannot truncate the store
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temporaryFile = `${this.file}.tmp`;
+    fs.writeFileSync(temporaryFile, JSON.stringify({ [this.key]: this.records }, null, 2));
+    fs.renameSync(temporaryFile, this.file);
+  }
+}
+
+/**
+ * Copy of a record that callers can change without changing the store
+ */
+export function clone(record) {
+  return JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Open the database store when a database URL is set and it can be reached,
+ * otherwise the file store. The Prisma client is not a dependency of the
+ * backend, so without it installed and generated the file store is used even
+ * when a database URL is set.
+ * @param {object} options - { databaseUrl, openDatabase: async () => store, createFileStore: () => store,
+ *   file, description: e.g. 'Exercise' }
+ * @returns {Promise<object>} Initialized store
+ */
+export async function openStore({ databaseUrl, openDatabase, createFileStore, file, description }) {
+  if (databaseUrl) {
+    try {
+      return await openDatabase();
+    } catch (error) {
+      const reason = error.code === 'ERR_MODULE_NOT_FOUND'
+        ? '@prisma/client is not installed'
+        : error.message;
+      logger.warn(`${description} database unavailable (${reason}), falling back to the file store`, { file });
+    }
+  }
+
+  const store = createFileStore();
+  await store.init();
+  logger.info(`${description} store: ${file}`);
+  return store;
+}
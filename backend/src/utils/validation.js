@@ -1,8 +1,17 @@
 import { z } from 'zod';
 
+// Other libraries of a workspace, which the executed library may include
+const CQLLibrariesSchema = z.array(z.object({
+  name: z.string().max(100),
+  code: z.string().min(1, 'Library code is required')
+})).max(20).optional();
+
+const SemanticVersionSchema = z.string().regex(/^\d+\.\d+\.\d+$/, 'Version must be a semantic version, e.g. 1.2.0');
+
 // CQL Execution Request Schema
 export const CQLExecutionRequestSchema = z.object({
   code: z.string().min(1, 'CQL code is required'),
+  libraries: CQLLibrariesSchema,
   terminologyServiceUri: z.string().url().optional(),
   dataServiceUri: z.string().url().optional(),
   patientId: z.string().optional(),
@@ -10,12 +19,125 @@ export const CQLExecutionRequestSchema = z.object({
     name: z.string(),
     type: z.string(),
     value: z.any()
-  })).optional()
+  })).optional(),
+  backend: z.enum(['remote', 'local', 'mock']).optional(),
+  cache: z.boolean().optional(),
+  trace: z.boolean().optional()
+});
+
+// Exercise Test Case Validation Request Schema
+export const CQLTestRequestSchema = z.object({
+  code: z.string().min(1, 'CQL code is required'),
+  libraries: CQLLibrariesSchema,
+  testCases: z.array(z.object({
+    description: z.string().max(200),
+    input: z.object({
+      patientId: z.string().optional(),
+      resources: z.any().optional(),
+      parameters: z.union([
+        z.record(z.any()),
+        z.array(z.object({
+          name: z.string(),
+          type: z.string(),
+          value: z.any()
+        }))
+      ]).optional()
+    }).optional(),
+    expectedOutput: z.record(z.any()),
+    tolerance: z.number().min(0).optional()
+  })).min(1, 'At least one test case is required').max(50)
+});
+
+// Custom Validator Request Schema
+// The validator is the stored exercise's, never one sent by the client
+export const CQLCustomValidatorRequestSchema = z.object({
+  code: z.string().min(1, 'CQL code is required'),
+  libraries: CQLLibrariesSchema,
+  exerciseId: z.string().min(1, 'Exercise id is required'),
+  version: SemanticVersionSchema.optional(),
+  patientId: z.string().optional()
 });
 
 // CQL Format Request Schema
 export const CQLFormatRequestSchema = z.object({
-  code: z.string().min(1, 'CQL code is required')
+  code: z.string().min(1, 'CQL code is required'),
+  // Formatting options; when given, the built-in formatter is used
+  options: z.object({
+    indentSize: z.number().int().min(1).max(8).optional(),
+    insertSpaces: z.boolean().optional(),
+    keywordCase: z.enum(['lower', 'preserve']).optional(),
+    maxLineWidth: z.number().int().min(40).max(240).optional()
+  }).optional()
+});
+
+// CQL-to-ELM Translation Request Schema
+export const CQLElmRequestSchema = z.object({
+  code: z.string().min(1, 'CQL code is required'),
+  libraries: CQLLibrariesSchema,
+  // Translator options; each defaults to true
+  options: z.object({
+    annotations: z.boolean().optional(),
+    locators: z.boolean().optional(),
+    resultTypes: z.boolean().optional()
+  }).optional()
+});
+
+// Library Catalog Query Schema
+export const LibraryListQuerySchema = z.object({
+  include: z.enum(['source']).optional()
+});
+
+// Exercise Catalog Schemas
+
+// Comma-separated parts of an exercise that learners only get on request
+const ExerciseIncludeSchema = z.string()
+  .transform(value => value.split(',').filter(Boolean))
+  .pipe(z.array(z.enum(['hints', 'solution'])));
+
+export const ExerciseListQuerySchema = z.object({
+  status: z.enum(['published', 'draft', 'review', 'all']).optional(),
+  difficulty: z.enum(['beginner', 'intermediate', 'advanced']).optional(),
+  type: z.string().optional(),
+  tag: z.string().optional(),
+  include: ExerciseIncludeSchema.optional()
+});
+
+export const ExerciseGetQuerySchema = z.object({
+  version: z.union([z.enum(['latest', 'working']), SemanticVersionSchema]).optional(),
+  include: ExerciseIncludeSchema.optional()
+});
+
+export const ExerciseCreateSchema = z.object({
+  exercise: z.object({
+    id: z.string().min(1, 'Exercise id is required'),
+    version: SemanticVersionSchema.optional()
+  }).passthrough(),
+  changeNote: z.string().max(500).optional()
+});
+
+export const ExerciseUpdateSchema = z.object({
+  exercise: z.record(z.any()),
+  changeNote: z.string().max(500).optional()
+});
+
+export const ExerciseVersionCreateSchema = z.object({
+  bump: z.enum(['major', 'minor', 'patch']).optional(),
+  version: SemanticVersionSchema.optional(),
+  changeNote: z.string().max(500).optional()
+});
+
+export const ExerciseReviewSchema = z.object({
+  reviewNote: z.string().max(2000).optional()
+});
+
+// Assessment Schemas
+export const AssessmentStartSchema = z.object({
+  exerciseId: z.string().min(1, 'Exercise id is required')
+});
+
+export const AssessmentSubmissionSchema = z.object({
+  code: z.string().max(50000),
+  libraries: CQLLibrariesSchema
 });
 
 // Health Check Query Schema
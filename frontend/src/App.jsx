@@ -12,6 +12,9 @@ import { CQLTestPage } from './pages/CQLTestPage';
 import { LearnPage } from './pages/LearnPage';
 import { SettingsPage } from './pages/SettingsPage';
 
+// The studio bundles the authoring editor and schema validator, so it loads on demand
+const ExerciseStudioPage = React.lazy(() => import('./pages/ExerciseStudioPage').then(module => ({ default: module.ExerciseStudioPage })));
+
 // Custom error handler for React Query
 const queryErrorHandler = (error) => {
   console.error('Query Error:', error);
@@ -105,6 +108,14 @@ function App() {
                       </Suspense>
                     } 
                   />
+                  <Route 
+                    path="/studio" 
+                    element={
+                      <Suspense fallback={<PageLoading message="Loading exercise studio..." />}>
+                        <ExerciseStudioPage />
+                      </Suspense>
+                    } 
+                  />
                   <Route 
                     path="/settings" 
                     element={
@@ -0,0 +1,1219 @@
+import React, { useState, useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import {
+  Card, Form, Button, Row, Col, Alert, Badge, Tab, Tabs,
+  ListGroup, ProgressBar, Spinner, InputGroup, Modal
+} from 'react-bootstrap';
+import {
+  Plus, Trash, Save, Upload, Download, ArrowUp, ArrowDown,
+  Play, CheckCircle, XCircle, ExclamationTriangle
+} from 'react-bootstrap-icons';
+import MonacoEditor from '@monaco-editor/react';
+import exerciseSchema from '../../../shared/schemas/exercise-schema.json';
+import { validateExerciseData, performQualityChecks } from '../../../shared/utils/exercise-validator.js';
+import exerciseService from '../services/exerciseService.js';
+import { runTestCases, getPatients } from '../services/api.js';
+import { createWorkspace, getWorkspaceLibraries } from '../utils/cql-workspace.js';
+import { renderMarkdown } from '../utils/markdown.js';
+import { checkPatterns, checkExecution, scoreSolution } from '../../../shared/utils/exercise-scoring.js';
+import { checkExerciseBugs } from '../../../shared/utils/bug-diff.js';
+import { checkLintRules } from '../../../shared/cql/index.js';
+
+const { properties } = exerciseSchema;
+const CONCEPTS = properties.concepts.items.enum;
+const DIFFICULTIES = properties.difficulty.enum;
+const EXERCISE_TYPES = properties.type.enum;
+const STRATEGIES = properties.validation.properties.strategy.enum;
+const FILE_LANGUAGES = properties.files.items.properties.language.enum;
+
+const NEW_EXERCISE = {
+  id: '',
+  version: '1.0.0',
+  title: '',
+  description: '',
+  difficulty: 'beginner',
+  estimatedTime: 15,
+  prerequisites: [],
+  concepts: [],
+  tags: [],
+  type: 'practice',
+  content: {
+    instructions: '',
+    hints: []
+  },
+  files: [{
+    name: 'main.cql',
+    template: "library Exercise version '1.0.0'\n\nusing FHIR version '4.0.1'\n\ncontext Patient\n",
+    solution: '',
+    language: 'cql'
+  }],
+  validation: {
+    strategy: 'execution-result',
+    patterns: [],
+    testCases: [],
+    passingScore: 70
+  }
+};
+
+const EDITOR_OPTIONS = {
+  minimap: { enabled: false },
+  scrollBeyondLastLine: false,
+  wordWrap: 'on'
+};
+
+/**
+ * Exercise Authoring Component
+ * Visual editor for exercises in the exercise schema format: metadata,
+ * concepts, Markdown instructions, hints, template and solution files, and
+ * validation. The exercise is checked against the schema and scored for
+ * quality as it is edited, and its solution can be scored against its test
+ * cases and patterns before it is saved to the exercise catalog as a draft.
+ */
+export function ExerciseAuthoring({ exercise: existingExercise, onSave, onCancel }) {
+  const isNew = !existingExercise;
+  const [exercise, setExercise] = useState(existingExercise || NEW_EXERCISE);
+  const [changeNote, setChangeNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [solutionCheck, setSolutionCheck] = useState(null);
+  const [checkingSolution, setCheckingSolution] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [importError, setImportError] = useState(null);
+  // Bumped when list items are added or removed, so their JSON fields are re-created
+  const [listRevision, setListRevision] = useState(0);
+
+  const schemaResult = useMemo(() => validateExerciseData(exercise), [exercise]);
+  const quality = useMemo(() => performQualityChecks(exercise), [exercise]);
+
+  // The solution check is stale once the files or validation change
+  const checkKey = JSON.stringify([exercise.files, exercise.validation]);
+  const checkIsStale = solutionCheck && solutionCheck.key !== checkKey;
+
+  const updateField = (path, value) => {
+    setExercise(prev => setPath(prev, path, value));
+  };
+
+  const updateListItem = (path, index, field, value) => {
+    setExercise(prev => {
+      const list = [...getPath(prev, path)];
+      list[index] = { ...list[index], [field]: value };
+      return setPath(prev, path, list);
+    });
+  };
+
+  const addListItem = (path, item) => {
+    setExercise(prev => setPath(prev, path, [...(getPath(prev, path) || []), item]));
+    setListRevision(revision => revision + 1);
+  };
+
+  const removeListItem = (path, index) => {
+    setExercise(prev => setPath(prev, path, getPath(prev, path).filter((_, itemIndex) => itemIndex !== index)));
+    setListRevision(revision => revision + 1);
+  };
+
+  const moveListItem = (path, index, direction) => {
+    setExercise(prev => {
+      const list = [...getPath(prev, path)];
+      const target = direction === 'up' ? index - 1 : index + 1;
+      if (target < 0 || target >= list.length) return prev;
+      [list[index], list[target]] = [list[target], list[index]];
+      return setPath(prev, path, list);
+    });
+    setListRevision(revision => revision + 1);
+  };
+
+  // Score the solution of the first file against the patterns, bugs, test cases and lint rules
+  const handleCheckSolution = async () => {
+    const { validation } = exercise;
+    const files = createWorkspace(exercise).map(file => ({ ...file, code: file.solution || file.template }));
+    const solution = files[0]?.code || '';
+
+    setCheckingSolution(true);
+    const check = { key: checkKey, breakdown: null, error: null };
+    try {
+      const evidence = {
+        patterns: checkPatterns(solution, validation.patterns),
+        bugs: checkExerciseBugs(exercise, solution),
+        lint: checkLintRules(solution, validation.lint?.rules)
+      };
+      if (validation.testCases?.length) {
+        const execution = await runTestCases(solution, validation.testCases, {
+          libraries: getWorkspaceLibraries(files, 0)
+        });
+        evidence.tests = execution.testResults;
+        evidence.execution = checkExecution(execution.testResults);
+      }
+      check.breakdown = scoreSolution(validation, evidence);
+    } catch (error) {
+      check.error = error.message;
+    } finally {
+      setSolutionCheck(check);
+      setCheckingSolution(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setSaveError(null);
+    try {
+      const record = isNew
+        ? await exerciseService.createExercise(exercise, changeNote || undefined)
+        : await exerciseService.updateExerciseDraft(exercise.id, exercise, changeNote || undefined);
+      setExercise(record.exercise);
+      onSave?.(record);
+    } catch (error) {
+      setSaveError(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Import/Export
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const imported = JSON.parse(e.target.result);
+        // An existing exercise keeps its id and version
+        setExercise(isNew ? imported : { ...imported, id: exercise.id, version: exercise.version });
+        setListRevision(revision => revision + 1);
+        setImportError(null);
+        setShowImportModal(false);
+      } catch (error) {
+        setImportError(`The file is not valid exercise JSON: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleExport = () => {
+    const dataBlob = new Blob([JSON.stringify(exercise, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${exercise.id || 'exercise'}-${exercise.version}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const { content, validation } = exercise;
+
+  return (
+    <div className="exercise-authoring">
+      <Card className="mb-4">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h4 className="mb-0">
+            {isNew ? 'Create New Exercise' : `Edit ${exercise.id}`}
+            <Badge bg="secondary" className="ms-2 fs-6">v{exercise.version}</Badge>
+          </h4>
+          <div className="d-flex gap-2">
+            <Button variant="outline-secondary" size="sm" onClick={handleExport}>
+              <Download className="me-1" />
+              Export
+            </Button>
+            <Button variant="outline-secondary" size="sm" onClick={() => { setImportError(null); setShowImportModal(true); }}>
+              <Upload className="me-1" />
+              Import
+            </Button>
+            <Button
+              variant="success"
+              onClick={handleSave}
+              disabled={saving || !schemaResult.success}
+              title={schemaResult.success ? undefined : 'Fix the schema errors before saving'}
+            >
+              <Save className="me-1" />
+              {saving ? 'Saving...' : 'Save Draft'}
+            </Button>
+            <Button variant="outline-secondary" onClick={onCancel}>
+              Cancel
+            </Button>
+          </div>
+        </Card.Header>
+
+        <Card.Body>
+          {saveError && (
+            <Alert variant="danger" dismissible onClose={() => setSaveError(null)}>
+              <div className="fw-semibold">{saveError.message}</div>
+              {saveError.details && (
+                <ul className="mb-0 small">
+                  {saveError.details.map((detail, index) => (
+                    <li key={index}><code>{detail.path || '/'}</code> {detail.message}</li>
+                  ))}
+                </ul>
+              )}
+            </Alert>
+          )}
+
+          <Row>
+            <Col lg={8}>
+              <Tabs defaultActiveKey="general" className="mb-4">
+                {/* General Tab */}
+                <Tab eventKey="general" title="General">
+                  <Row>
+                    <Col md={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Exercise ID *</Form.Label>
+                        <Form.Control
+                          type="text"
+                          value={exercise.id}
+                          onChange={(e) => updateField(['id'], e.target.value)}
+                          placeholder="e.g. filtering-conditions"
+                          readOnly={!isNew}
+                          className="font-monospace"
+                        />
+                        <Form.Text>Lowercase letters, digits and hyphens; it cannot change once saved.</Form.Text>
+                      </Form.Group>
+                    </Col>
+                    <Col md={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Title *</Form.Label>
+                        <Form.Control
+                          type="text"
+                          value={exercise.title}
+                          onChange={(e) => updateField(['title'], e.target.value)}
+                          placeholder="Enter exercise title"
+                        />
+                      </Form.Group>
+                    </Col>
+                  </Row>
+
+                  <Form.Group className="mb-3">
+                    <Form.Label>Description *</Form.Label>
+                    <Form.Control
+                      as="textarea"
+                      rows={2}
+                      value={exercise.description}
+                      onChange={(e) => updateField(['description'], e.target.value)}
+                      placeholder="One or two sentences shown in the exercise library"
+                    />
+                  </Form.Group>
+
+                  <Row>
+                    <Col md={4}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Difficulty</Form.Label>
+                        <Form.Select
+                          value={exercise.difficulty}
+                          onChange={(e) => updateField(['difficulty'], e.target.value)}
+                        >
+                          {DIFFICULTIES.map(difficulty => (
+                            <option key={difficulty} value={difficulty}>{capitalize(difficulty)}</option>
+                          ))}
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                    <Col md={4}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Exercise Type</Form.Label>
+                        <Form.Select
+                          value={exercise.type}
+                          onChange={(e) => updateField(['type'], e.target.value)}
+                        >
+                          {EXERCISE_TYPES.map(type => (
+                            <option key={type} value={type}>{capitalize(type)}</option>
+                          ))}
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                    <Col md={4}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Estimated Time (minutes)</Form.Label>
+                        <Form.Control
+                          type="number"
+                          min="1"
+                          max="180"
+                          value={exercise.estimatedTime ?? ''}
+                          onChange={(e) => updateField(['estimatedTime'], parseInt(e.target.value, 10) || undefined)}
+                        />
+                      </Form.Group>
+                    </Col>
+                  </Row>
+
+                  <Row>
+                    <Col md={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Tags</Form.Label>
+                        <Form.Control
+                          type="text"
+                          value={exercise.tags?.join(', ') || ''}
+                          onChange={(e) => updateField(['tags'], splitList(e.target.value))}
+                          placeholder="Enter tags separated by commas"
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Prerequisites</Form.Label>
+                        <Form.Control
+                          type="text"
+                          value={exercise.prerequisites?.join(', ') || ''}
+                          onChange={(e) => updateField(['prerequisites'], splitList(e.target.value))}
+                          placeholder="Exercise IDs separated by commas"
+                        />
+                      </Form.Group>
+                    </Col>
+                  </Row>
+
+                  <Row>
+                    <Col md={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Author</Form.Label>
+                        <Form.Control
+                          type="text"
+                          value={exercise.metadata?.author || ''}
+                          onChange={(e) => updateField(['metadata', 'author'], e.target.value || undefined)}
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Change Note</Form.Label>
+                        <Form.Control
+                          type="text"
+                          value={changeNote}
+                          onChange={(e) => setChangeNote(e.target.value)}
+                          placeholder="What changed in this version"
+                          maxLength={500}
+                        />
+                      </Form.Group>
+                    </Col>
+                  </Row>
+
+                  <Form.Group className="mb-3">
+                    <Form.Label>Concepts * <small className="text-muted">(up to 10)</small></Form.Label>
+                    <div className="border rounded p-2 overflow-auto" style={{ maxHeight: 180 }}>
+                      <Row xs={2} md={3} lg={4} className="g-1">
+                        {CONCEPTS.map(concept => (
+                          <Col key={concept}>
+                            <Form.Check
+                              type="checkbox"
+                              id={`concept-${concept}`}
+                              label={concept}
+                              checked={exercise.concepts.includes(concept)}
+                              onChange={(e) => updateField(['concepts'], e.target.checked
+                                ? [...exercise.concepts, concept]
+                                : exercise.concepts.filter(selected => selected !== concept))}
+                            />
+                          </Col>
+                        ))}
+                      </Row>
+                    </div>
+                  </Form.Group>
+                </Tab>
+
+                {/* Instructions Tab */}
+                <Tab eventKey="instructions" title="Instructions">
+                  <Row>
+                    <Col md={6}>
+                      <Form.Label>Instructions * <small className="text-muted">(Markdown)</small></Form.Label>
+                      <div className="border rounded">
+                        <MonacoEditor
+                          height="400px"
+                          language="markdown"
+                          value={content.instructions}
+                          onChange={(value) => updateField(['content', 'instructions'], value || '')}
+                          options={EDITOR_OPTIONS}
+                        />
+                      </div>
+                    </Col>
+                    <Col md={6}>
+                      <Form.Label>Preview</Form.Label>
+                      <div
+                        className="exercise-content border rounded p-3 overflow-auto"
+                        style={{ height: 400 }}
+                        dangerouslySetInnerHTML={{ __html: renderMarkdown(content.instructions) }}
+                      />
+                    </Col>
+                  </Row>
+
+                  <Form.Group className="mt-3">
+                    <Form.Label>Background</Form.Label>
+                    <Form.Control
+                      as="textarea"
+                      rows={3}
+                      value={content.background || ''}
+                      onChange={(e) => updateField(['content', 'background'], e.target.value || undefined)}
+                      placeholder="Optional clinical or technical context"
+                    />
+                  </Form.Group>
+                </Tab>
+
+                {/* Hints Tab */}
+                <Tab eventKey="hints" title={`Hints (${content.hints?.length || 0})`}>
+                  {(content.hints || []).map((hint, index) => (
+                    <Card key={index} className="mb-3">
+                      <Card.Body>
+                        <Row className="align-items-start">
+                          <Col md={2}>
+                            <Form.Group>
+                              <Form.Label>Level</Form.Label>
+                              <Form.Select
+                                value={hint.level}
+                                onChange={(e) => updateListItem(['content', 'hints'], index, 'level', Number(e.target.value))}
+                              >
+                                {[1, 2, 3, 4, 5].map(level => <option key={level} value={level}>{level}</option>)}
+                              </Form.Select>
+                            </Form.Group>
+                          </Col>
+                          <Col md={9}>
+                            <Form.Group className="mb-2">
+                              <Form.Label>Hint</Form.Label>
+                              <Form.Control
+                                as="textarea"
+                                rows={2}
+                                value={hint.text}
+                                onChange={(e) => updateListItem(['content', 'hints'], index, 'text', e.target.value)}
+                              />
+                            </Form.Group>
+                            <Form.Control
+                              size="sm"
+                              type="text"
+                              value={hint.condition || ''}
+                              onChange={(e) => updateListItem(['content', 'hints'], index, 'condition', e.target.value || undefined)}
+                              placeholder="Condition (optional), e.g. when the code has no retrieve"
+                            />
+                          </Col>
+                          <Col md={1} className="text-end">
+                            <Button variant="outline-danger" size="sm" onClick={() => removeListItem(['content', 'hints'], index)}>
+                              <Trash />
+                            </Button>
+                          </Col>
+                        </Row>
+                      </Card.Body>
+                    </Card>
+                  ))}
+                  <Button
+                    variant="outline-primary"
+                    size="sm"
+                    onClick={() => addListItem(['content', 'hints'], {
+                      level: Math.min((content.hints?.length || 0) + 1, 5),
+                      text: ''
+                    })}
+                  >
+                    <Plus className="me-1" />
+                    Add Hint
+                  </Button>
+                </Tab>
+
+                {/* Files Tab */}
+                <Tab eventKey="files" title={`Files (${exercise.files.length})`}>
+                  <FilesEditor
+                    files={exercise.files}
+                    isDebug={exercise.type === 'debug'}
+                    onUpdate={(index, field, value) => updateListItem(['files'], index, field, value)}
+                    onAdd={() => addListItem(['files'], {
+                      name: `Library${exercise.files.length + 1}.cql`,
+                      template: '',
+                      language: 'cql'
+                    })}
+                    onRemove={(index) => removeListItem(['files'], index)}
+                    onMove={(index, direction) => moveListItem(['files'], index, direction)}
+                  />
+                </Tab>
+
+                {/* Validation Tab */}
+                <Tab eventKey="validation" title="Validation">
+                  <Row>
+                    <Col md={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Strategy</Form.Label>
+                        <Form.Select
+                          value={validation.strategy}
+                          onChange={(e) => updateField(['validation', 'strategy'], e.target.value)}
+                        >
+                          {STRATEGIES.map(strategy => <option key={strategy} value={strategy}>{strategy}</option>)}
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                    <Col md={3}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Passing Score</Form.Label>
+                        <Form.Control
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={validation.passingScore ?? ''}
+                          onChange={(e) => updateField(['validation', 'passingScore'], parseInt(e.target.value, 10) || 0)}
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={3}>
+                      <Form.Group className="mb-3">
+                        {/* Assessments are timed in minutes, other exercises' executions in seconds */}
+                        <Form.Label>Time Limit ({exercise.type === 'assessment' ? 'min' : 's'})</Form.Label>
+                        <Form.Control
+                          type="number"
+                          min="1"
+                          max="30"
+                          value={validation.timeLimit ?? ''}
+                          onChange={(e) => updateField(['validation', 'timeLimit'], parseInt(e.target.value, 10) || undefined)}
+                        />
+                      </Form.Group>
+                    </Col>
+                  </Row>
+
+                  {exercise.type === 'assessment' && (
+                    <Row>
+                      <Col md={3}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Max Submissions</Form.Label>
+                          <Form.Control
+                            type="number"
+                            min="1"
+                            max="20"
+                            value={validation.maxSubmissions ?? ''}
+                            onChange={(e) => updateField(['validation', 'maxSubmissions'], parseInt(e.target.value, 10) || undefined)}
+                          />
+                          <Form.Text muted>Graded submissions per attempt</Form.Text>
+                        </Form.Group>
+                      </Col>
+                    </Row>
+                  )}
+
+                  {validation.strategy === 'exact-match' && (
+                    <div className="d-flex gap-4 mb-3">
+                      {[
+                        ['ignoreWhitespace', 'Ignore whitespace', true],
+                        ['ignoreCase', 'Ignore case', false],
+                        ['ignoreComments', 'Ignore comments', true]
+                      ].map(([option, label, defaultValue]) => (
+                        <Form.Check
+                          key={option}
+                          type="switch"
+                          id={`exact-match-${option}`}
+                          label={label}
+                          checked={validation.exactMatch?.[option] ?? defaultValue}
+                          onChange={(e) => updateField(['validation', 'exactMatch', option], e.target.checked)}
+                        />
+                      ))}
+                    </div>
+                  )}
+
+                  {validation.strategy === 'custom-function' && (
+                    <Form.Group className="mb-3">
+                      <Form.Label>Custom Validator</Form.Label>
+                      <div className="border rounded">
+                        <MonacoEditor
+                          height="200px"
+                          language="javascript"
+                          value={validation.customValidator || ''}
+                          onChange={(value) => updateField(['validation', 'customValidator'], value || undefined)}
+                          options={EDITOR_OPTIONS}
+                        />
+                      </div>
+                    </Form.Group>
+                  )}
+
+                  <h6 className="mt-2">Patterns</h6>
+                  {(validation.patterns || []).map((pattern, index) => (
+                    <Row key={index} className="g-2 mb-2 align-items-center">
+                      <Col md={4}>
+                        <Form.Control
+                          size="sm"
+                          className="font-monospace"
+                          value={pattern.pattern}
+                          onChange={(e) => updateListItem(['validation', 'patterns'], index, 'pattern', e.target.value)}
+                          placeholder="Regular expression"
+                        />
+                      </Col>
+                      <Col md={4}>
+                        <Form.Control
+                          size="sm"
+                          value={pattern.description}
+                          onChange={(e) => updateListItem(['validation', 'patterns'], index, 'description', e.target.value)}
+                          placeholder="What the pattern checks"
+                        />
+                      </Col>
+                      <Col md={2}>
+                        <InputGroup size="sm">
+                          <Form.Control
+                            type="number"
+                            min="0"
+                            max="100"
+                            value={pattern.points ?? 10}
+                            onChange={(e) => updateListItem(['validation', 'patterns'], index, 'points', parseInt(e.target.value, 10) || 0)}
+                          />
+                          <InputGroup.Text>pts</InputGroup.Text>
+                        </InputGroup>
+                      </Col>
+                      <Col md={1}>
+                        <Form.Check
+                          type="checkbox"
+                          id={`pattern-required-${index}`}
+                          label="Req."
+                          checked={pattern.required ?? true}
+                          onChange={(e) => updateListItem(['validation', 'patterns'], index, 'required', e.target.checked)}
+                        />
+                      </Col>
+                      <Col md={1} className="text-end">
+                        <Button variant="outline-danger" size="sm" onClick={() => removeListItem(['validation', 'patterns'], index)}>
+                          <Trash />
+                        </Button>
+                      </Col>
+                    </Row>
+                  ))}
+                  <Button
+                    variant="outline-primary"
+                    size="sm"
+                    className="mb-4"
+                    onClick={() => addListItem(['validation', 'patterns'], {
+                      pattern: '',
+                      description: '',
+                      required: true,
+                      points: 10
+                    })}
+                  >
+                    <Plus className="me-1" />
+                    Add Pattern
+                  </Button>
+
+                  <h6>Test Cases</h6>
+                  <TestCasesEditor
+                    testCases={validation.testCases || []}
+                    revision={listRevision}
+                    onUpdate={(index, field, value) => updateListItem(['validation', 'testCases'], index, field, value)}
+                    onAdd={() => addListItem(['validation', 'testCases'], {
+                      description: '',
+                      input: {},
+                      expectedOutput: {}
+                    })}
+                    onRemove={(index) => removeListItem(['validation', 'testCases'], index)}
+                  />
+                </Tab>
+              </Tabs>
+            </Col>
+
+            <Col lg={4}>
+              <ChecksPanel
+                schemaResult={schemaResult}
+                quality={quality}
+                solutionCheck={solutionCheck}
+                checkIsStale={checkIsStale}
+                checkingSolution={checkingSolution}
+                onCheckSolution={handleCheckSolution}
+              />
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      {/* Import Modal */}
+      <Modal show={showImportModal} onHide={() => setShowImportModal(false)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Import Exercise</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>Select an exercise JSON file to import:</p>
+          <Form.Control type="file" accept=".json" onChange={handleImport} />
+          {importError && (
+            <Alert variant="danger" className="mt-3 mb-0">
+              <small>{importError}</small>
+            </Alert>
+          )}
+          <Alert variant="warning" className="mt-3 mb-0">
+            <small>
+              Importing will replace the current exercise. Make sure to export your current work first.
+            </small>
+          </Alert>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShowImportModal(false)}>
+            Cancel
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </div>
+  );
+}
+
+/**
+ * Files Editor Component
+ * The exercise's files with their template and solution code, and the bugs
+ * seeded in the first file of a debug exercise
+ */
+function FilesEditor({ files, isDebug, onUpdate, onAdd, onRemove, onMove }) {
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const file = files[Math.min(selectedIndex, files.length - 1)];
+  const index = files.indexOf(file);
+
+  return (
+    <Row>
+      <Col md={4}>
+        <Card>
+          <Card.Header className="d-flex justify-content-between align-items-center">
+            <h6 className="mb-0">Files</h6>
+            <Button variant="outline-primary" size="sm" onClick={onAdd} disabled={files.length >= 10}>
+              <Plus />
+            </Button>
+          </Card.Header>
+          <ListGroup variant="flush">
+            {files.map((candidate, candidateIndex) => (
+              <ListGroup.Item
+                key={candidateIndex}
+                action
+                active={candidateIndex === index}
+                onClick={() => setSelectedIndex(candidateIndex)}
+                className="d-flex justify-content-between align-items-center"
+              >
+                <div>
+                  <div className="font-monospace small">{candidate.name}</div>
+                  {candidateIndex === 0 && <div className="small opacity-75">Learner's library</div>}
+                </div>
+                <div className="d-flex gap-1">
+                  <Button
+                    variant="outline-secondary"
+                    size="sm"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onMove(candidateIndex, 'up');
+                      setSelectedIndex(Math.max(candidateIndex - 1, 0));
+                    }}
+                    disabled={candidateIndex === 0}
+                  >
+                    <ArrowUp />
+                  </Button>
+                  <Button
+                    variant="outline-secondary"
+                    size="sm"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onMove(candidateIndex, 'down');
+                      setSelectedIndex(Math.min(candidateIndex + 1, files.length - 1));
+                    }}
+                    disabled={candidateIndex === files.length - 1}
+                  >
+                    <ArrowDown />
+                  </Button>
+                  <Button
+                    variant="outline-danger"
+                    size="sm"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onRemove(candidateIndex);
+                    }}
+                    disabled={files.length === 1}
+                  >
+                    <Trash />
+                  </Button>
+                </div>
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        </Card>
+      </Col>
+
+      <Col md={8}>
+        {file && (
+          <>
+            <Row className="g-2 mb-2 align-items-end">
+              <Col md={5}>
+                <Form.Label className="small mb-1">File Name</Form.Label>
+                <Form.Control
+                  size="sm"
+                  className="font-monospace"
+                  value={file.name}
+                  onChange={(e) => onUpdate(index, 'name', e.target.value)}
+                />
+              </Col>
+              <Col md={3}>
+                <Form.Label className="small mb-1">Language</Form.Label>
+                <Form.Select
+                  size="sm"
+                  value={file.language || 'cql'}
+                  onChange={(e) => onUpdate(index, 'language', e.target.value)}
+                >
+                  {FILE_LANGUAGES.map(language => <option key={language} value={language}>{language}</option>)}
+                </Form.Select>
+              </Col>
+              <Col md={4} className="d-flex gap-3">
+                <Form.Check
+                  type="switch"
+                  id={`file-readonly-${index}`}
+                  label="Read-only"
+                  checked={Boolean(file.readonly)}
+                  onChange={(e) => onUpdate(index, 'readonly', e.target.checked || undefined)}
+                />
+                <Form.Check
+                  type="switch"
+                  id={`file-hidden-${index}`}
+                  label="Hidden"
+                  checked={Boolean(file.hidden)}
+                  onChange={(e) => onUpdate(index, 'hidden', e.target.checked || undefined)}
+                />
+              </Col>
+            </Row>
+
+            <Tabs defaultActiveKey="template" className="mb-2">
+              <Tab eventKey="template" title="Template">
+                <div className="border rounded">
+                  <MonacoEditor
+                    height="320px"
+                    language="cql"
+                    path={`template/${index}`}
+                    value={file.template || ''}
+                    onChange={(value) => onUpdate(index, 'template', value || '')}
+                    options={EDITOR_OPTIONS}
+                  />
+                </div>
+              </Tab>
+              <Tab eventKey="solution" title="Solution">
+                <div className="border rounded">
+                  <MonacoEditor
+                    height="320px"
+                    language="cql"
+                    path={`solution/${index}`}
+                    value={file.solution || ''}
+                    onChange={(value) => onUpdate(index, 'solution', value || undefined)}
+                    options={EDITOR_OPTIONS}
+                  />
+                </div>
+              </Tab>
+            </Tabs>
+
+            {isDebug && index === 0 && (
+              <BugsEditor bugs={file.bugs || []} onChange={(bugs) => onUpdate(index, 'bugs', bugs.length > 0 ? bugs : undefined)} />
+            )}
+          </>
+        )}
+      </Col>
+    </Row>
+  );
+}
+
+/**
+ * Bugs Editor Component
+ * The template lines a debug exercise's bugs are on. Learners' code is
+ * compared with the solution at these lines, and must match it elsewhere
+ */
+function BugsEditor({ bugs, onChange }) {
+  const updateBug = (index, field, value) => onChange(bugs.map((bug, bugIndex) => (
+    bugIndex === index ? { ...bug, [field]: value } : bug
+  )));
+
+  return (
+    <Card className="mt-3">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h6 className="mb-0">Seeded Bugs ({bugs.length})</h6>
+        <Button
+          variant="outline-primary"
+          size="sm"
+          onClick={() => onChange([...bugs, { line: 1, description: '' }])}
+          disabled={bugs.length >= 20}
+        >
+          <Plus className="me-1" />
+          Add Bug
+        </Button>
+      </Card.Header>
+      <Card.Body>
+        {bugs.length === 0 && (
+          <p className="small text-muted mb-0">
+            Mark the template lines the solution fixes. Separate bugs by at least one unchanged line to grade them separately.
+          </p>
+        )}
+        {bugs.map((bug, index) => (
+          <Row key={index} className="g-2 mb-2 align-items-center">
+            <Col md={2}>
+              <InputGroup size="sm">
+                <InputGroup.Text>Line</InputGroup.Text>
+                <Form.Control
+                  type="number"
+                  min={1}
+                  value={bug.line}
+                  onChange={(e) => updateBug(index, 'line', parseInt(e.target.value, 10) || 1)}
+                />
+              </InputGroup>
+            </Col>
+            <Col md={2}>
+              <InputGroup size="sm">
+                <InputGroup.Text>to</InputGroup.Text>
+                <Form.Control
+                  type="number"
+                  min={bug.line}
+                  value={bug.endLine || ''}
+                  onChange={(e) => updateBug(index, 'endLine', parseInt(e.target.value, 10) || undefined)}
+                  placeholder={String(bug.line)}
+                />
+              </InputGroup>
+            </Col>
+            <Col md={7}>
+              <Form.Control
+                size="sm"
+                value={bug.description}
+                onChange={(e) => updateBug(index, 'description', e.target.value)}
+                placeholder="What is wrong, e.g. Inequality uses <> instead of !="
+                maxLength={200}
+              />
+            </Col>
+            <Col md={1}>
+              <Button
+                variant="outline-danger"
+                size="sm"
+                onClick={() => onChange(bugs.filter((_, bugIndex) => bugIndex !== index))}
+              >
+                <Trash />
+              </Button>
+            </Col>
+          </Row>
+        ))}
+      </Card.Body>
+    </Card>
+  );
+}
+
+/**
+ * Test Cases Editor Component
+ * Test cases run on the embedded engine: a synthetic patient, parameters,
+ * and the expected result of each named definition
+ */
+function TestCasesEditor({ testCases, revision, onUpdate, onAdd, onRemove }) {
+  const { data: patients = [] } = useQuery({
+    queryKey: ['patients'],
+    queryFn: getPatients,
+    staleTime: Infinity,
+    retry: 1
+  });
+
+  return (
+    <>
+      {testCases.map((testCase, index) => (
+        <Card key={`${revision}-${index}`} className="mb-3">
+          <Card.Body>
+            <Row className="g-2 mb-2">
+              <Col md={7}>
+                <Form.Control
+                  size="sm"
+                  value={testCase.description}
+                  onChange={(e) => onUpdate(index, 'description', e.target.value)}
+                  placeholder="Description, e.g. Patient with diabetes is in the population"
+                  maxLength={200}
+                />
+              </Col>
+              <Col md={4}>
+                <Form.Select
+                  size="sm"
+                  value={testCase.input?.patientId || ''}
+                  onChange={(e) => onUpdate(index, 'input', withoutEmpty({ ...testCase.input, patientId: e.target.value }))}
+                >
+                  <option value="">Default patient</option>
+                  {patients.map(patient => (
+                    <option key={patient.id} value={patient.id}>{patient.name}</option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col md={1} className="text-end">
+                <Button variant="outline-danger" size="sm" onClick={() => onRemove(index)}>
+                  <Trash />
+                </Button>
+              </Col>
+            </Row>
+            <Row className="g-2">
+              <Col md={6}>
+                <Form.Label className="small mb-1">Expected output (JSON)</Form.Label>
+                <JsonField
+                  value={testCase.expectedOutput}
+                  onChange={(value) => onUpdate(index, 'expectedOutput', value)}
+                  placeholder={'{ "In Population": true }'}
+                />
+              </Col>
+              <Col md={6}>
+                <Form.Label className="small mb-1">Parameters (JSON)</Form.Label>
+                <JsonField
+                  value={testCase.input?.parameters || {}}
+                  onChange={(value) => onUpdate(index, 'input', withoutEmpty({ ...testCase.input, parameters: value }))}
+                  placeholder={'{ "Measurement Period": "Interval[@2024-01-01, @2025-01-01)" }'}
+                />
+              </Col>
+            </Row>
+          </Card.Body>
+        </Card>
+      ))}
+      <Button variant="outline-primary" size="sm" onClick={onAdd}>
+        <Plus className="me-1" />
+        Add Test Case
+      </Button>
+    </>
+  );
+}
+
+// JSON object text area; the value only changes while the text parses
+function JsonField({ value, onChange, placeholder }) {
+  const [text, setText] = useState(() => (isEmptyObject(value) ? '' : JSON.stringify(value, null, 2)));
+  const [invalid, setInvalid] = useState(false);
+
+  const handleChange = (newText) => {
+    setText(newText);
+    try {
+      const parsed = newText.trim() ? JSON.parse(newText) : {};
+      const isObject = parsed && typeof parsed === 'object' && !Array.isArray(parsed);
+      setInvalid(!isObject);
+      if (isObject) onChange(parsed);
+    } catch {
+      setInvalid(true);
+    }
+  };
+
+  return (
+    <Form.Control
+      as="textarea"
+      rows={3}
+      size="sm"
+      className="font-monospace"
+      value={text}
+      isInvalid={invalid}
+      onChange={(e) => handleChange(e.target.value)}
+      placeholder={placeholder}
+    />
+  );
+}
+
+/**
+ * Checks Panel Component
+ * Live schema validation, quality score and the solution check
+ */
+function ChecksPanel({
+  schemaResult,
+  quality,
+  solutionCheck,
+  checkIsStale,
+  checkingSolution,
+  onCheckSolution
+}) {
+  const breakdown = solutionCheck?.breakdown;
+
+  return (
+    <div className="position-sticky" style={{ top: 80 }}>
+      <Card className="mb-3">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h6 className="mb-0">Schema</h6>
+          {schemaResult.success
+            ? <Badge bg="success"><CheckCircle className="me-1" />Valid</Badge>
+            : <Badge bg="danger">{schemaResult.errors.length} error{schemaResult.errors.length !== 1 ? 's' : ''}</Badge>}
+        </Card.Header>
+        {!schemaResult.success && (
+          <ListGroup variant="flush" className="small overflow-auto" style={{ maxHeight: 220 }}>
+            {schemaResult.errors.map((error, index) => (
+              <ListGroup.Item key={index}>
+                <code>{error.path || '/'}</code> {error.message}
+                {error.allowedValues && (
+                  <div className="text-muted">Allowed: {error.allowedValues.join(', ')}</div>
+                )}
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        )}
+      </Card>
+
+      <Card className="mb-3">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h6 className="mb-0">Quality</h6>
+          <span className="fw-semibold">{quality.qualityScore}/100</span>
+        </Card.Header>
+        <Card.Body className="small">
+          <ProgressBar
+            now={quality.qualityScore}
+            variant={quality.qualityScore >= 85 ? 'success' : quality.qualityScore >= 70 ? 'warning' : 'danger'}
+            className="mb-2"
+            style={{ height: 6 }}
+          />
+          {quality.warnings.map((warning, index) => (
+            <div key={`warning-${index}`} className="text-warning-emphasis mb-1">
+              <ExclamationTriangle className="me-1" />
+              {warning}
+            </div>
+          ))}
+          {quality.suggestions.map((suggestion, index) => (
+            <div key={`suggestion-${index}`} className="text-muted mb-1">• {suggestion}</div>
+          ))}
+          {quality.warnings.length === 0 && quality.suggestions.length === 0 && (
+            <div className="text-muted">No suggestions.</div>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h6 className="mb-0">Solution Check</h6>
+          {solutionCheck && (checkIsStale
+            ? <Badge bg="secondary">Out of date</Badge>
+            : <Badge bg={breakdown?.passed ? 'success' : 'danger'}>
+                {breakdown ? `${breakdown.score}% · ${breakdown.passed ? 'Passes' : 'Fails'}` : 'Fails'}
+              </Badge>)}
+        </Card.Header>
+        <Card.Body className="small">
+          <p className="text-muted">
+            Scores the first file's solution against the patterns, test cases and lint rules.
+          </p>
+          <Button variant="primary" size="sm" onClick={onCheckSolution} disabled={checkingSolution} className="mb-2">
+            {checkingSolution
+              ? <Spinner animation="border" size="sm" className="me-1" />
+              : <Play className="me-1" />}
+            Run Solution Against Tests
+          </Button>
+
+          {solutionCheck?.error && <Alert variant="danger" className="small py-2 mb-2">{solutionCheck.error}</Alert>}
+
+          {breakdown?.criteria.map(criterion => (
+            <div key={criterion.id} className="mb-2">
+              <div className="fw-semibold d-flex justify-content-between">
+                <span>{criterion.label}</span>
+                <span>{criterion.score}%</span>
+              </div>
+              {criterion.details.map((detail, index) => (
+                <div key={index}>
+                  {detail.passed
+                    ? <CheckCircle className="text-success me-1" />
+                    : <XCircle className="text-danger me-1" />}
+                  {detail.label}
+                  {!detail.passed && detail.message && <div className="text-muted ms-3">{detail.message}</div>}
+                </div>
+              ))}
+            </div>
+          ))}
+
+          {breakdown?.criteria.length === 0 && (
+            <div className="text-muted">The exercise has no test cases, patterns or lint rules to check.</div>
+          )}
+        </Card.Body>
+      </Card>
+    </div>
+  );
+}
+
+// Helper functions
+
+function getPath(object, path) {
+  return path.reduce((value, key) => value?.[key], object);
+}
+
+// Copy of object with the value at path replaced; an undefined value removes the property
+function setPath(object, [key, ...rest], value) {
+  const next = { ...object };
+  const nextValue = rest.length > 0 ? setPath(object?.[key] || {}, rest, value) : value;
+  if (typeof nextValue === 'undefined') {
+    delete next[key];
+  } else {
+    next[key] = nextValue;
+  }
+  return next;
+}
+
+function splitList(text) {
+  return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function isEmptyObject(value) {
+  return !value || Object.keys(value).length === 0;
+}
+
+function withoutEmpty(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== '' && !isEmptyObject(value)));
+}
+
+export default ExerciseAuthoring;
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { Editor } from '@monaco-editor/react';
 import { registerCQLLanguage } from '../utils/monaco-cql-language';
 import { useSettings } from '../hooks/useSettings';
@@ -14,17 +14,38 @@ export function SimpleCodeEditor({
   height = '300px',
   theme = null, // null means use settings
   readOnly = false,
-  language = 'cql'
+  language = 'cql',
+  highlight = null, // { startLineNumber, startColumn, endLineNumber, endColumn } range to highlight
+  onCursorChange = () => {} // called with the cursor { lineNumber, column }
 }) {
   const [editorReady, setEditorReady] = useState(false);
+  const editorRef = useRef(null);
+  const decorationsRef = useRef(null);
+  const onCursorChangeRef = useRef(onCursorChange);
   const { settings } = useSettings();
+  onCursorChangeRef.current = onCursorChange;
 
   const handleEditorDidMount = (editor, monaco) => {
     // Register CQL language support
     registerCQLLanguage(monaco);
+    editorRef.current = editor;
+    decorationsRef.current = editor.createDecorationsCollection();
+    editor.onDidChangeCursorPosition(({ position }) => onCursorChangeRef.current(position));
     setEditorReady(true);
   };
 
+  // Highlight a range, e.g. the CQL an ELM node was translated from
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!editorReady || !editor) return;
+
+    decorationsRef.current.set(highlight ? [{
+      range: highlight,
+      options: { className: 'cql-source-highlight' }
+    }] : []);
+    if (highlight) editor.revealRangeInCenterIfOutsideViewport(highlight);
+  }, [highlight, editorReady]);
+
   const handleEditorChange = (value, event) => {
     onChange(value || '');
   };
@@ -0,0 +1,99 @@
+import React from 'react';
+import { Alert, Badge, Button, Spinner } from 'react-bootstrap';
+import { Stopwatch, PlayFill, Flag, Lock } from 'react-bootstrap-icons';
+
+/**
+ * Assessment Panel Component
+ * Starts a timed assessment attempt, counts down to its deadline and reports
+ * its result once it is finished. Takes the state of useAssessment.
+ */
+export function AssessmentPanel({
+  exercise,
+  assessment,
+  className = ''
+}) {
+  const { attempt, inProgress, isFinished, remainingMs, submissionsLeft, busy, error, start, finish } = assessment;
+  const timeLimit = exercise?.validation?.timeLimit || 30;
+  const maxSubmissions = exercise?.validation?.maxSubmissions || 3;
+  const feedback = isFinished && (attempt.result.passed ? exercise?.feedback?.success : exercise?.feedback?.failure);
+
+  return (
+    <div className={className}>
+      {error && (
+        <Alert variant="danger" className="py-2 mb-2 small">
+          {error}
+        </Alert>
+      )}
+
+      {!attempt && (
+        <Alert variant="info" className="py-2 mb-0 d-flex align-items-center justify-content-between">
+          <small>
+            <Lock className="me-1" />
+            Timed assessment: one attempt of {timeLimit} minutes and {maxSubmissions} graded submission{maxSubmissions !== 1 ? 's' : ''}.
+            Hints and the solution are locked, and scores are shown when the assessment ends.
+          </small>
+          <Button variant="primary" size="sm" className="ms-2 text-nowrap" onClick={start} disabled={busy}>
+            {busy ? <Spinner animation="border" size="sm" /> : <PlayFill className="me-1" />}
+            Start
+          </Button>
+        </Alert>
+      )}
+
+      {inProgress && (
+        <div className="d-flex align-items-center justify-content-between border rounded px-3 py-2">
+          <div className="d-flex align-items-center gap-3">
+            <Badge
+              bg={remainingMs < 60 * 1000 ? 'danger' : remainingMs < 5 * 60 * 1000 ? 'warning' : 'secondary'}
+              className="fs-6 font-monospace"
+              role="timer"
+              aria-label="Time remaining"
+            >
+              <Stopwatch className="me-1" />
+              {formatRemaining(remainingMs)}
+            </Badge>
+            <small className="text-muted">
+              {submissionsLeft} of {attempt.maxSubmissions} submission{attempt.maxSubmissions !== 1 ? 's' : ''} left
+            </small>
+          </div>
+          <Button
+            variant="outline-success"
+            size="sm"
+            onClick={() => {
+              if (window.confirm('Finish the assessment? Your last submission is graded.')) finish();
+            }}
+            disabled={busy || remainingMs === 0}
+          >
+            <Flag className="me-1" />
+            Finish
+          </Button>
+        </div>
+      )}
+
+      {isFinished && (
+        <Alert
+          variant={attempt.result.passed ? 'success' : 'warning'}
+          className="py-2 mb-0 d-flex align-items-center justify-content-between"
+        >
+          <small>
+            {attempt.status === 'expired' ? 'Time ran out. ' : 'Assessment submitted. '}
+            {attempt.result.submissions.length > 0
+              ? <>Score <strong>{attempt.result.score}%</strong>, {attempt.result.passed ? 'passed' : 'not passed'}.</>
+              : 'Nothing was submitted.'}
+            {feedback && ` ${feedback}`}
+          </small>
+        </Alert>
+      )}
+    </div>
+  );
+}
+
+// m:ss, or h:mm:ss for an hour or more
+function formatRemaining(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
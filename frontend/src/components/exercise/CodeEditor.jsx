@@ -1,22 +1,42 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Card, Button, ButtonGroup, Tab, Tabs, Spinner, Alert } from 'react-bootstrap';
+import { Card, Button, ButtonGroup, Nav, Spinner, Alert } from 'react-bootstrap';
 import { 
   PlayFill, 
   ArrowClockwise, 
   Key, 
   CheckCircle,
   CodeSlash,
-  Braces
+  Braces,
+  LockFill,
+  Keyboard
 } from 'react-bootstrap-icons';
 import { Editor } from '@monaco-editor/react';
 import { registerCQLLanguage } from '../../utils/monaco-cql-language';
 import { setupCQLValidation } from '../../utils/cql-validation';
+import { syncCQLWorkspaceFiles } from '../../utils/cql-navigation';
+import { createWorkspace, getWorkspaceLibraries, visibleFileIndexes } from '../../utils/cql-workspace';
+import {
+  EDITOR_COMMANDS,
+  getShortcuts,
+  toMonacoKeybinding,
+  attachKeymapMode
+} from '../../utils/editor-keymaps';
+import { ShortcutsCheatSheet } from './ShortcutsCheatSheet';
 import { useSettings } from '../../hooks/useSettings';
+import { useLibraryCatalog } from '../../hooks/useLibraryCatalog';
 
 /**
  * Code Editor Component
  * Monaco-based CQL code editor with run/submit functionality
  * Migrated from code-editor.vue (ACE editor)
+ *
+ * Multi-file exercises are edited in tabs. The first file is the library that
+ * is run and submitted; the others are libraries it can include, reported
+ * through onLibrariesChange. Readonly files cannot be edited and hidden files
+ * have no tab, but both can still be included.
+ *
+ * Run, Submit, Format and Next hint use the shortcuts from settings, and the
+ * editor follows the keymap mode (standard, Vim or Emacs) chosen there.
  */
 export function CodeEditor({
   exercise,
@@ -27,41 +47,172 @@ export function CodeEditor({
   onRun = () => {},
   onSubmit = () => {},
   onCodeChange = () => {},
+  onLibrariesChange = () => {}, // [{ name, code }] the exercise's other CQL files
+  onNextHint = null, // called by the Next hint shortcut; the shortcut does nothing without it
   className = '',
   showCheat = true,
   hideButtons = false,
-  theme = null // null means use settings
+  theme = null, // null means use settings
+  diagnostics = [], // CQLError objects from execution, shown as markers
+  jumpTo = null // { line, column, length } or { line, column, endLine, endColumn } to reveal and select
 }) {
-  const [code, setCode] = useState('');
+  const [files, setFiles] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const filesRef = useRef(files);
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
   const editorRef = useRef(null);
+  const monacoRef = useRef(null);
   const [editorReady, setEditorReady] = useState(false);
-  const validationCleanupRef = useRef(null);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const statusBarRef = useRef(null);
+  const commandsRef = useRef({});
+  const pendingJumpRef = useRef(null);
   const { settings } = useSettings();
+  useLibraryCatalog();
 
-  // Initialize code when exercise changes
+  const keymap = settings.keymap || 'default';
+  const shortcuts = getShortcuts(settings.keyBindings);
+  const shortcutsKey = JSON.stringify(shortcuts);
+  const shortcutHint = id => (shortcuts[id] ? ` (${shortcuts[id]})` : '');
+
+  // Learner's lint settings, with the rules the exercise grades taking precedence
+  const lintRulesKey = JSON.stringify({ ...settings.lintRules, ...exercise?.validation?.lint?.rules });
+
+  const code = files[0]?.code || '';
+  const activeFile = files[activeIndex] || null;
+
+  // Initialize the files when exercise changes
   useEffect(() => {
-    if (exercise && exercise.tabs && exercise.tabs[0]) {
-      const initialCode = exercise.tabs[0].template || '';
-      setCode(initialCode);
-      setHasUnsavedChanges(false);
-    }
+    const workspace = createWorkspace(exercise);
+    filesRef.current = workspace;
+    setFiles(workspace);
+    setActiveIndex(visibleFileIndexes(workspace)[0] || 0);
+    setHasUnsavedChanges(false);
+    onLibrariesChange(getWorkspaceLibraries(workspace));
   }, [exercise]);
-  
-  // Cleanup validation on unmount
+
+  // Keep the files not being edited available to include, and to go-to-definition, references and rename
+  useEffect(() => {
+    const monaco = monacoRef.current;
+    if (!editorReady || !monaco) return;
+
+    const otherFiles = files
+      .filter((file, index) => index !== activeIndex && file.language === 'cql')
+      .map(({ name, code, readonly }) => ({ name, code, readonly }));
+    syncCQLWorkspaceFiles(monaco, otherFiles, {
+      onChange: (name, code) => updateFile(filesRef.current.findIndex(file => file.name === name), code)
+    });
+  }, [files, activeIndex, editorReady]);
+
+  // Validate and lint the code as it changes
+  useEffect(() => {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    if (!editorReady || !editor || !monaco) return;
+
+    return setupCQLValidation(editor, monaco, { lintRules: JSON.parse(lintRulesKey) });
+  }, [editorReady, lintRulesKey]);
+
+  // Show execution diagnostics as Monaco markers; they belong to the main file,
+  // so they are shown while it is the file being edited
+  useEffect(() => {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    const model = editor?.getModel();
+    if (!editorReady || !monaco || !model) return;
+
+    const markers = activeIndex !== 0 ? [] : diagnostics
+      .filter(diagnostic => diagnostic.location)
+      .map(diagnostic => toMarker(diagnostic, monaco));
+
+    monaco.editor.setModelMarkers(model, 'cql-execution', markers);
+  }, [diagnostics, editorReady, activeIndex]);
+
+  // Bind the editor commands to their shortcuts, rebinding when they are remapped
+  useEffect(() => {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    if (!editorReady || !editor || !monaco) return;
+
+    const bound = JSON.parse(shortcutsKey);
+    const actions = EDITOR_COMMANDS
+      .filter(command => bound[command.id])
+      .map(command => editor.addAction({
+        id: `cql-clinic.${command.id}`,
+        label: command.label,
+        keybindings: [toMonacoKeybinding(monaco, bound[command.id])],
+        run: () => commandsRef.current[command.id]?.()
+      }));
+
+    return () => actions.forEach(action => action.dispose());
+  }, [editorReady, shortcutsKey]);
+
+  // Turn on the Vim or Emacs keymap mode
   useEffect(() => {
+    const editor = editorRef.current;
+    if (!editorReady || !editor || keymap === 'default') return;
+
+    let detach = null;
+    let cancelled = false;
+    attachKeymapMode(editor, keymap, statusBarRef.current)
+      .then(dispose => {
+        if (cancelled) dispose();
+        else detach = dispose;
+      })
+      .catch(error => console.error(`Failed to load the ${keymap} keymap:`, error));
+
     return () => {
-      if (validationCleanupRef.current) {
-        validationCleanupRef.current();
-      }
+      cancelled = true;
+      if (detach) detach();
     };
-  }, []);
+  }, [editorReady, keymap]);
+
+  // Reveal and select a location in the main file, e.g. when a diagnostic is
+  // clicked in the results, switching to the main file first
+  useEffect(() => {
+    pendingJumpRef.current = jumpTo;
+    if (jumpTo && activeIndex !== 0) setActiveIndex(0);
+  }, [jumpTo]);
+
+  useEffect(() => {
+    const editor = editorRef.current;
+    const target = pendingJumpRef.current;
+    if (!editorReady || !editor || !target || activeIndex !== 0) return;
+
+    pendingJumpRef.current = null;
+    const { line, column, length = 1, endLine = line, endColumn = column + length } = target;
+    editor.revealLineInCenter(line);
+    editor.setSelection({
+      startLineNumber: line,
+      startColumn: column,
+      endLineNumber: endLine,
+      endColumn
+    });
+    editor.focus();
+  }, [jumpTo, editorReady, activeIndex]);
+
+  // Replace the files, reporting the library that runs and the others to the page
+  const updateFiles = (next) => {
+    const [previous] = filesRef.current;
+    filesRef.current = next;
+    setFiles(next);
+
+    if (next[0]?.code !== previous?.code) onCodeChange(next[0]?.code || '');
+    onLibrariesChange(getWorkspaceLibraries(next));
+  };
+
+  const updateFile = (index, value) => {
+    const file = filesRef.current[index];
+    if (!file || file.readonly || file.code === value) return;
+
+    setHasUnsavedChanges(true);
+    updateFiles(filesRef.current.map((candidate, fileIndex) =>
+      fileIndex === index ? { ...candidate, code: value } : candidate));
+  };
 
   // Handle code changes
   const handleCodeChange = (value) => {
-    setCode(value || '');
-    setHasUnsavedChanges(true);
-    onCodeChange(value || '');
+    updateFile(activeIndex, value || '');
   };
 
   // Handle editor before mount (setup Monaco environment)
@@ -78,6 +229,7 @@ export function CodeEditor({
   // Handle editor mount
   const handleEditorDidMount = (editor, monaco) => {
     editorRef.current = editor;
+    monacoRef.current = monaco;
     setEditorReady(true);
     
     // Set CQL as the language
@@ -87,51 +239,28 @@ export function CodeEditor({
     } catch (error) {
       console.error('Failed to set CQL language on model:', error);
     }
-
-    // Add keyboard shortcuts
-    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter, () => {
-      handleRun();
-    });
-
-    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.Enter, () => {
-      handleSubmit();
-    });
-    
-    // Add format shortcut (Shift+Alt+F)
-    editor.addCommand(monaco.KeyMod.Shift | monaco.KeyMod.Alt | monaco.KeyCode.KeyF, () => {
-      handleFormat();
-    });
-    
-    // Setup CQL validation
-    if (validationCleanupRef.current) {
-      validationCleanupRef.current();
-    }
-    validationCleanupRef.current = setupCQLValidation(editor, monaco);
   };
 
   // Action handlers
   const handleReset = () => {
-    if (exercise && exercise.tabs && exercise.tabs[0]) {
-      const resetCode = exercise.tabs[0].template || '';
-      setCode(resetCode);
+    if (files.length > 0) {
+      const resetFiles = files.map(file => ({ ...file, code: file.template }));
+      filesRef.current = resetFiles;
+      setFiles(resetFiles);
       setHasUnsavedChanges(false);
       if (editorRef.current) {
-        editorRef.current.setValue(resetCode);
         editorRef.current.setSelection({ startLineNumber: 1, startColumn: 1, endLineNumber: 1, endColumn: 1 });
       }
-      onReset(resetCode);
+      onLibrariesChange(getWorkspaceLibraries(resetFiles));
+      onReset(resetFiles[0].code);
     }
   };
 
   const handleCheat = () => {
-    if (exercise && exercise.tabs && exercise.tabs[0] && exercise.tabs[0].key) {
-      const cheatCode = exercise.tabs[0].key;
-      setCode(cheatCode);
+    if (files[0]?.solution) {
+      setActiveIndex(0);
       setHasUnsavedChanges(true);
-      if (editorRef.current) {
-        editorRef.current.setValue(cheatCode);
-      }
-      onCodeChange(cheatCode);
+      updateFiles(files.map((file, index) => (index === 0 ? { ...file, code: file.solution } : file)));
     }
   };
 
@@ -155,6 +284,15 @@ export function CodeEditor({
     }
   };
 
+  // Handlers the command shortcuts run; kept current so they see the latest code
+  commandsRef.current = {
+    run: handleRun,
+    submit: handleSubmit,
+    format: handleFormat,
+    nextHint: onNextHint,
+    showShortcuts: () => setShowShortcuts(true)
+  };
+
   // Get button text based on status
   const getRunButtonText = () => {
     switch (status) {
@@ -175,7 +313,8 @@ export function CodeEditor({
   };
 
   const isLoading = status === 'running' || status === 'submitting';
-  const canShowCheat = showCheat && exercise?.tabs?.[0]?.key;
+  const canShowCheat = showCheat && files[0]?.solution;
+  const tabIndexes = visibleFileIndexes(files);
   
   // Determine theme from settings or prop
   const editorTheme = theme || (settings.theme === 'vs-dark' ? 'cql-dark' : 'cql-light');
@@ -196,6 +335,14 @@ export function CodeEditor({
           
           {!hideButtons && (
             <ButtonGroup size="sm">
+              <Button
+                variant="outline-secondary"
+                onClick={() => setShowShortcuts(true)}
+                title={`Keyboard shortcuts${shortcutHint('showShortcuts')}`}
+              >
+                <Keyboard size={14} />
+              </Button>
+
               <Button
                 variant="outline-secondary"
                 onClick={handleReset}
@@ -220,7 +367,7 @@ export function CodeEditor({
                 variant="outline-secondary"
                 onClick={handleFormat}
                 disabled={isLoading || !editorReady}
-                title="Format code (Shift+Alt+F)"
+                title={`Format code${shortcutHint('format')}`}
               >
                 <Braces size={14} />
               </Button>
@@ -229,7 +376,7 @@ export function CodeEditor({
                 variant="outline-primary"
                 onClick={handleRun}
                 disabled={isLoading || !code.trim()}
-                title="Run code (Ctrl+Enter)"
+                title={`Run code${shortcutHint('run')}`}
               >
                 {status === 'running' ? (
                   <Spinner size="sm" />
@@ -243,7 +390,7 @@ export function CodeEditor({
                 variant="primary"
                 onClick={handleSubmit}
                 disabled={isLoading || !code.trim()}
-                title="Submit answer (Ctrl+Shift+Enter)"
+                title={`Submit answer${shortcutHint('submit')}`}
               >
                 {status === 'submitting' ? (
                   <Spinner size="sm" />
@@ -258,77 +405,88 @@ export function CodeEditor({
       </Card.Header>
 
       <Card.Body className="p-0">
-        {exercise && exercise.tabs && exercise.tabs.length > 0 ? (
-          <Tabs defaultActiveKey="0" className="border-0">
-            {exercise.tabs.map((tab, index) => (
-              <Tab
-                eventKey={index.toString()}
-                title={tab.name || `Tab ${index + 1}`}
-                key={index}
-              >
-                <div style={{ height }}>
-                  <Editor
-                    height={height}
-                    width={width}
-                    language="cql"
-                    theme={editorTheme}
-                    value={code}
-                    onChange={handleCodeChange}
-                    beforeMount={handleEditorWillMount}
-                    onMount={handleEditorDidMount}
-                    loading={
-                      <div className="d-flex align-items-center justify-content-center" style={{ height }}>
-                        <div className="text-center">
-                          <Spinner animation="border" size="sm" className="mb-2" />
-                          <div>Loading Monaco Editor...</div>
-                        </div>
-                      </div>
-                    }
-                    options={{
-                      fontSize: settings.fontSize,
-                      fontFamily: settings.fontFamily,
-                      lineNumbers: 'on',
-                      roundedSelection: false,
-                      scrollBeyondLastLine: false,
-                      automaticLayout: true,
-                      wordWrap: settings.wordWrap,
-                      wrappingIndent: 'indent',
-                      minimap: { enabled: false },
-                      contextmenu: true,
-                      selectOnLineNumbers: true,
-                      lineHeight: 22,
-                      renderWhitespace: 'selection',
-                      showFoldingControls: 'always',
-                      foldingHighlight: true,
-                      smoothScrolling: true,
-                      cursorBlinking: 'blink',
-                      cursorSmoothCaretAnimation: true,
-                      // Enhanced CQL-specific options
-                      suggest: {
-                        showKeywords: settings.autoComplete,
-                        showSnippets: settings.autoComplete,
-                        showFunctions: settings.autoComplete,
-                        showConstants: settings.autoComplete,
-                        showOperators: settings.autoComplete
-                      },
-                      quickSuggestions: {
-                        other: settings.autoComplete,
-                        comments: false,
-                        strings: false
-                      },
-                      suggestOnTriggerCharacters: settings.autoComplete,
-                      acceptSuggestionOnEnter: settings.autoComplete ? 'on' : 'off',
-                      tabCompletion: settings.autoComplete ? 'on' : 'off',
-                      parameterHints: { enabled: settings.autoComplete },
-                      hover: { enabled: true },
-                      definitionLinkOpensInPeek: true,
-                      bracketPairColorization: { enabled: settings.bracketMatching }
-                    }}
-                  />
-                </div>
-              </Tab>
-            ))}
-          </Tabs>
+        {activeFile ? (
+          <>
+            <Nav
+              variant="tabs"
+              activeKey={activeIndex.toString()}
+              onSelect={(key) => setActiveIndex(Number(key))}
+              className="border-0"
+            >
+              {tabIndexes.map(index => (
+                <Nav.Item key={files[index].name}>
+                  <Nav.Link eventKey={index.toString()}>
+                    {files[index].name}
+                    {files[index].readonly && (
+                      <LockFill size={10} className="ms-1 text-muted" title="Read-only" />
+                    )}
+                  </Nav.Link>
+                </Nav.Item>
+              ))}
+            </Nav>
+            <div style={{ height }}>
+              <Editor
+                height={height}
+                width={width}
+                path={activeFile.name}
+                language={activeFile.language}
+                theme={editorTheme}
+                value={activeFile.code}
+                onChange={handleCodeChange}
+                beforeMount={handleEditorWillMount}
+                onMount={handleEditorDidMount}
+                loading={
+                  <div className="d-flex align-items-center justify-content-center" style={{ height }}>
+                    <div className="text-center">
+                      <Spinner animation="border" size="sm" className="mb-2" />
+                      <div>Loading Monaco Editor...</div>
+                    </div>
+                  </div>
+                }
+                options={{
+                  readOnly: activeFile.readonly,
+                  fontSize: settings.fontSize,
+                  fontFamily: settings.fontFamily,
+                  lineNumbers: 'on',
+                  roundedSelection: false,
+                  scrollBeyondLastLine: false,
+                  automaticLayout: true,
+                  wordWrap: settings.wordWrap,
+                  wrappingIndent: 'indent',
+                  minimap: { enabled: false },
+                  contextmenu: true,
+                  selectOnLineNumbers: true,
+                  lineHeight: 22,
+                  renderWhitespace: 'selection',
+                  showFoldingControls: 'always',
+                  foldingHighlight: true,
+                  smoothScrolling: true,
+                  cursorBlinking: 'blink',
+                  cursorSmoothCaretAnimation: true,
+                  // Enhanced CQL-specific options
+                  suggest: {
+                    showKeywords: settings.autoComplete,
+                    showSnippets: settings.autoComplete,
+                    showFunctions: settings.autoComplete,
+                    showConstants: settings.autoComplete,
+                    showOperators: settings.autoComplete
+                  },
+                  quickSuggestions: {
+                    other: settings.autoComplete,
+                    comments: false,
+                    strings: false
+                  },
+                  suggestOnTriggerCharacters: settings.autoComplete,
+                  acceptSuggestionOnEnter: settings.autoComplete ? 'on' : 'off',
+                  tabCompletion: settings.autoComplete ? 'on' : 'off',
+                  parameterHints: { enabled: settings.autoComplete },
+                  hover: { enabled: true },
+                  definitionLinkOpensInPeek: true,
+                  bracketPairColorization: { enabled: settings.bracketMatching }
+                }}
+              />
+            </div>
+          </>
         ) : (
           <Alert variant="info" className="m-3">
             <Alert.Heading>No Exercise Selected</Alert.Heading>
@@ -341,13 +499,53 @@ export function CodeEditor({
       <Card.Footer className="text-muted small">
         <div className="d-flex justify-content-between">
           <span>
-            <strong>Shortcuts:</strong> Ctrl+Enter (Run), Ctrl+Shift+Enter (Submit)
+            <strong>Shortcuts:</strong>{' '}
+            {[['run', 'Run'], ['submit', 'Submit'], ['showShortcuts', 'All shortcuts']]
+              .filter(([id]) => shortcuts[id])
+              .map(([id, label]) => `${shortcuts[id]} (${label})`)
+              .join(', ')}
           </span>
           <span>
+            {keymap !== 'default' && (
+              <span
+                ref={statusBarRef}
+                className="font-monospace me-3"
+                title={`${keymap === 'vim' ? 'Vim' : 'Emacs'} status`}
+              />
+            )}
             <strong>Language:</strong> CQL (Clinical Quality Language)
           </span>
         </div>
       </Card.Footer>
+
+      <ShortcutsCheatSheet
+        show={showShortcuts}
+        onHide={() => setShowShortcuts(false)}
+        shortcuts={shortcuts}
+        mode={keymap}
+      />
     </Card>
   );
-}
\ No newline at end of file
+}
+
+// Convert a CQLError into a Monaco marker
+function toMarker(diagnostic, monaco) {
+  const { line, column, length = 1 } = diagnostic.location;
+  const severities = {
+    error: monaco.MarkerSeverity.Error,
+    warning: monaco.MarkerSeverity.Warning,
+    info: monaco.MarkerSeverity.Info
+  };
+
+  return {
+    startLineNumber: line,
+    startColumn: column,
+    endLineNumber: line,
+    endColumn: column + length,
+    message: diagnostic.suggestion
+      ? `${diagnostic.message}\n${diagnostic.suggestion}`
+      : diagnostic.message,
+    severity: severities[diagnostic.severity] || monaco.MarkerSeverity.Error,
+    source: `CQL ${diagnostic.category}`
+  };
+}
@@ -0,0 +1,102 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ChevronRight, ChevronDown } from 'react-bootstrap-icons';
+
+const MAX_ATTRIBUTE_LENGTH = 60;
+
+/**
+ * ELM Tree Component
+ * Expandable view of translated ELM, built with buildElmTree. Hovering or
+ * selecting a node reports it so its CQL can be highlighted; the selected node
+ * is expanded to and scrolled into view, e.g. when it follows the editor cursor.
+ */
+export function ElmTree({
+  tree,
+  selectedId = null,
+  onSelect = () => {},
+  onHover = () => {}
+}) {
+  if (!tree) return null;
+
+  return (
+    <div
+      className="font-monospace small border rounded bg-light py-1 overflow-auto"
+      style={{ maxHeight: 480 }}
+      onMouseLeave={() => onHover(null)}
+    >
+      <ElmNode
+        node={tree}
+        depth={0}
+        selectedId={selectedId}
+        onSelect={onSelect}
+        onHover={onHover}
+      />
+    </div>
+  );
+}
+
+function ElmNode({ node, depth, selectedId, onSelect, onHover }) {
+  const [expanded, setExpanded] = useState(depth < 3);
+  const rowRef = useRef(null);
+  const hasChildren = node.children.length > 0;
+  const isSelected = node.id === selectedId;
+  const containsSelected = Boolean(selectedId?.startsWith(`${node.id}.`));
+
+  // Expand to show the selected node, and scroll it into view
+  useEffect(() => {
+    if (containsSelected) setExpanded(true);
+  }, [containsSelected, selectedId]);
+
+  useEffect(() => {
+    if (isSelected) rowRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [isSelected]);
+
+  return (
+    <div>
+      <div
+        ref={rowRef}
+        className={`d-flex align-items-start px-2 ${isSelected ? 'bg-primary bg-opacity-10' : ''}`}
+        style={{ paddingLeft: `${depth * 16 + 8}px`, cursor: 'pointer' }}
+        onClick={() => onSelect(node)}
+        onMouseEnter={() => onHover(node)}
+        title={node.locator ? `CQL ${node.locator}` : undefined}
+      >
+        <span
+          className="me-1 flex-shrink-0"
+          style={{ width: 14, visibility: hasChildren ? 'visible' : 'hidden' }}
+          onClick={(event) => {
+            event.stopPropagation();
+            setExpanded(!expanded);
+          }}
+        >
+          {expanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+        </span>
+        <div className="flex-grow-1 text-truncate">
+          <span className="fw-semibold me-1">{node.key}</span>
+          {node.type && <span className="text-primary me-2">{node.type}</span>}
+          {node.attributes.map(([name, value]) => (
+            <span key={name} className="me-2">
+              <span className="text-muted">{name}=</span>
+              {formatAttribute(value)}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {expanded && node.children.map(child => (
+        <ElmNode
+          key={child.id}
+          node={child}
+          depth={depth + 1}
+          selectedId={selectedId}
+          onSelect={onSelect}
+          onHover={onHover}
+        />
+      ))}
+    </div>
+  );
+}
+
+function formatAttribute(value) {
+  const text = `"${value}"`;
+  return text.length > MAX_ATTRIBUTE_LENGTH ? `${text.slice(0, MAX_ATTRIBUTE_LENGTH - 1)}…` : text;
+}
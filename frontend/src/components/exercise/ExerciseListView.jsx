@@ -184,6 +184,15 @@ const ExerciseListView = ({ onExerciseSelect, className = '' }) => {
                     </small>
                   </div>
                 )}
+
+                {/* Progress is pinned to the version attempted */}
+                {progress.exerciseVersion && progress.exerciseVersion !== exercise.version && (
+                  <div className="mb-2">
+                    <small className="text-muted">
+                      Your progress: v{progress.exerciseVersion} (latest v{exercise.version})
+                    </small>
+                  </div>
+                )}
                 
                 {/* Action Button */}
                 <Button
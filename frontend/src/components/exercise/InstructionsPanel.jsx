@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Card, Collapse, Button } from 'react-bootstrap';
-import { Book, ChevronDown, ChevronRight, Lightbulb } from 'react-bootstrap-icons';
+import { Book, ChevronDown, ChevronRight, Lightbulb, Lock } from 'react-bootstrap-icons';
+import { renderMarkdown } from '../../utils/markdown.js';
 
 /**
  * Instructions Panel Component
@@ -10,9 +11,25 @@ import { Book, ChevronDown, ChevronRight, Lightbulb } from 'react-bootstrap-icon
 export function InstructionsPanel({ 
   exercise,
   className = '',
-  showIcon = true 
+  showIcon = true,
+  nextHintRequest = 0, // incremented to expand the next collapsed hint, e.g. from a shortcut
+  onHintReveal = () => {}, // called with a hint's index when it is expanded
+  hintsLocked = false // hides the hints, e.g. during an assessment
 }) {
   const [expandedHints, setExpandedHints] = useState(new Set());
+  // Catalog exercises keep markdown instructions and leveled hints in their content
+  const catalogContent = exercise?.content && !Array.isArray(exercise.content) && typeof exercise.content === 'object'
+    ? exercise.content
+    : null;
+  const hints = exercise?.hints || catalogContent?.hints || [];
+
+  useEffect(() => {
+    if (!nextHintRequest || hints.length === 0 || hintsLocked) return;
+    const next = hints.findIndex((hint, index) => !expandedHints.has(index));
+    if (next === -1) return;
+    setExpandedHints(new Set(expandedHints).add(next));
+    onHintReveal(next);
+  }, [nextHintRequest]);
   
   const toggleHint = (hintIndex) => {
     const newExpanded = new Set(expandedHints);
@@ -20,6 +37,7 @@ export function InstructionsPanel({
       newExpanded.delete(hintIndex);
     } else {
       newExpanded.add(hintIndex);
+      onHintReveal(hintIndex);
     }
     setExpandedHints(newExpanded);
   };
@@ -69,8 +87,15 @@ export function InstructionsPanel({
         )}
       </Card.Header>
       <Card.Body>
+        {catalogContent?.instructions && (
+          <div
+            className="exercise-content mb-4"
+            dangerouslySetInnerHTML={{ __html: renderMarkdown(catalogContent.instructions) }}
+          />
+        )}
+
         {/* Legacy content support for old exercises */}
-        {exercise.content && exercise.content.length > 0 && (
+        {!catalogContent && exercise.content && exercise.content.length > 0 && (
           <div 
             className="exercise-content mb-4"
             dangerouslySetInnerHTML={{ 
@@ -113,14 +138,20 @@ export function InstructionsPanel({
         )}
         
         {/* Hints */}
-        {exercise.hints && exercise.hints.length > 0 && (
+        {hints.length > 0 && (
           <div className="mt-4">
             <div className="d-flex align-items-center mb-3">
               <Lightbulb className="text-warning me-2" size={20} />
               <h6 className="mb-0">Hints</h6>
             </div>
+            {hintsLocked && (
+              <small className="text-muted d-flex align-items-center">
+                <Lock className="me-2" />
+                Hints are locked until the assessment ends.
+              </small>
+            )}
             <div className="hints-container">
-              {exercise.hints.map((hint, index) => {
+              {!hintsLocked && hints.map((hint, index) => {
                 const isExpanded = expandedHints.has(index);
                 return (
                   <div key={index} className="hint-item mb-2">
@@ -140,14 +171,16 @@ export function InstructionsPanel({
                         <ChevronRight className="me-2" size={14} />
                       )}
                       <small>
-                        Hint for: <code className="text-primary">{hint.trigger}</code>
+                        {hint.trigger
+                          ? <>Hint for: <code className="text-primary">{hint.trigger}</code></>
+                          : `Hint ${hint.level || index + 1}`}
                       </small>
                     </Button>
                     <Collapse in={isExpanded}>
                       <div>
                         <div className="mt-2 p-3 bg-light border-start border-primary border-3">
                           <small className="text-muted d-block">
-                            {hint.message}
+                            {hint.message || hint.text}
                           </small>
                         </div>
                       </div>
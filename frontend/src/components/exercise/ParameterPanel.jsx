@@ -0,0 +1,272 @@
+import React, { useState } from 'react';
+import { Badge, Button, Form, InputGroup } from 'react-bootstrap';
+import { ChevronRight, ChevronDown, Sliders, XCircle } from 'react-bootstrap-icons';
+import { hasParameterValue } from '../../utils/cql-parameters';
+import { CODE_SYSTEMS } from '../../utils/cql-values';
+
+// HTML input types for interval bounds and single values
+const INPUT_TYPES = {
+  date: 'date',
+  datetime: 'datetime-local',
+  time: 'time',
+  integer: 'number',
+  decimal: 'number'
+};
+
+/**
+ * Parameter Panel Component
+ * Typed inputs for the `parameter` declarations found in the code. Parameters
+ * left empty use their declared default.
+ */
+export function ParameterPanel({
+  parameters = [],
+  values = {},
+  onChange = () => {},
+  onReset = null,
+  className = '',
+  disabled = false,
+  defaultExpanded = true
+}) {
+  const [expanded, setExpanded] = useState(defaultExpanded);
+
+  if (parameters.length === 0) return null;
+
+  const setCount = parameters.filter(parameter => hasParameterValue(values[parameter.name])).length;
+
+  return (
+    <div className={`border rounded bg-light ${className}`}>
+      <div className="d-flex align-items-center px-2 py-1">
+        <Button
+          variant="link"
+          size="sm"
+          className="p-0 text-decoration-none text-dark flex-grow-1 text-start"
+          onClick={() => setExpanded(!expanded)}
+        >
+          {expanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+          <Sliders size={12} className="ms-1 me-1" />
+          <span className="small fw-semibold">Parameters</span>
+          <Badge bg="secondary" className="ms-2">{setCount}/{parameters.length} set</Badge>
+        </Button>
+        {onReset && (
+          <Button variant="link" size="sm" className="p-0 small" onClick={onReset} disabled={disabled}>
+            Reset
+          </Button>
+        )}
+      </div>
+
+      {expanded && (
+        <div className="px-2 pb-2">
+          {parameters.map(parameter => (
+            <ParameterRow
+              key={parameter.name}
+              parameter={parameter}
+              value={values[parameter.name]}
+              onChange={value => onChange(parameter.name, value)}
+              disabled={disabled}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ParameterRow({ parameter, value, onChange, disabled }) {
+  const isSet = hasParameterValue(value);
+
+  return (
+    <Form.Group className="mb-2">
+      <div className="d-flex align-items-center mb-1 small">
+        <span className="font-monospace fw-semibold me-2">{parameter.name}</span>
+        {parameter.type && <Badge bg="info" className="me-2">{parameter.type}</Badge>}
+        {!isSet && (
+          <span className="text-muted text-truncate" title={parameter.defaultText || undefined}>
+            {parameter.defaultText ? `default ${parameter.defaultText}` : 'no default (null)'}
+          </span>
+        )}
+        {isSet && (
+          <Button
+            variant="link"
+            size="sm"
+            className="p-0 ms-auto text-muted"
+            title="Clear and use the default"
+            onClick={() => onChange(null)}
+            disabled={disabled}
+          >
+            <XCircle size={12} />
+          </Button>
+        )}
+      </div>
+      <ParameterInput parameter={parameter} value={value} onChange={onChange} disabled={disabled} />
+    </Form.Group>
+  );
+}
+
+function ParameterInput({ parameter, value, onChange, disabled }) {
+  // A preset given as CQL text is edited as an expression
+  const input = typeof value === 'string' && parameter.input !== 'string' && !INPUT_TYPES[parameter.input]
+    ? 'expression'
+    : parameter.input;
+
+  switch (input) {
+    case 'interval':
+      return (
+        <IntervalInput value={value || {}} pointInput={parameter.pointInput} onChange={onChange} disabled={disabled} />
+      );
+    case 'quantity':
+      return <QuantityInput value={value || {}} onChange={onChange} disabled={disabled} />;
+    case 'code':
+    case 'concept':
+      return <CodeInput value={value || {}} onChange={onChange} disabled={disabled} />;
+    case 'boolean':
+      return (
+        <Form.Select
+          size="sm"
+          value={typeof value === 'boolean' ? String(value) : ''}
+          onChange={(e) => onChange(e.target.value === '' ? null : e.target.value === 'true')}
+          disabled={disabled}
+        >
+          <option value="">(default)</option>
+          <option value="true">true</option>
+          <option value="false">false</option>
+        </Form.Select>
+      );
+    case 'expression':
+      return (
+        <Form.Control
+          size="sm"
+          className="font-monospace"
+          placeholder={parameter.type ? `CQL expression of type ${parameter.type}` : 'CQL expression'}
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value || null)}
+          disabled={disabled}
+        />
+      );
+    default:
+      return (
+        <Form.Control
+          size="sm"
+          type={INPUT_TYPES[input] || 'text'}
+          step={input === 'decimal' ? 'any' : undefined}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value === '' ? null : e.target.value)}
+          disabled={disabled}
+        />
+      );
+  }
+}
+
+function IntervalInput({ value, pointInput, onChange, disabled }) {
+  const { low = '', high = '', lowClosed = true, highClosed = false } = value;
+  const type = INPUT_TYPES[pointInput] || 'text';
+  const update = changes => onChange({ low, high, lowClosed, highClosed, ...changes });
+
+  return (
+    <InputGroup size="sm">
+      <Form.Select
+        aria-label="Low bound"
+        className="flex-grow-0 font-monospace"
+        style={{ width: '3.5rem' }}
+        value={lowClosed ? '[' : '('}
+        onChange={(e) => update({ lowClosed: e.target.value === '[' })}
+        disabled={disabled}
+      >
+        <option value="[">[</option>
+        <option value="(">(</option>
+      </Form.Select>
+      <Form.Control
+        type={type}
+        step={pointInput === 'decimal' ? 'any' : undefined}
+        aria-label="Start"
+        value={low}
+        onChange={(e) => update({ low: e.target.value })}
+        disabled={disabled}
+      />
+      <InputGroup.Text>,</InputGroup.Text>
+      <Form.Control
+        type={type}
+        step={pointInput === 'decimal' ? 'any' : undefined}
+        aria-label="End"
+        value={high}
+        onChange={(e) => update({ high: e.target.value })}
+        disabled={disabled}
+      />
+      <Form.Select
+        aria-label="High bound"
+        className="flex-grow-0 font-monospace"
+        style={{ width: '3.5rem' }}
+        value={highClosed ? ']' : ')'}
+        onChange={(e) => update({ highClosed: e.target.value === ']' })}
+        disabled={disabled}
+      >
+        <option value="]">]</option>
+        <option value=")">)</option>
+      </Form.Select>
+    </InputGroup>
+  );
+}
+
+function QuantityInput({ value, onChange, disabled }) {
+  const update = changes => onChange({ value: value.value ?? '', unit: value.unit ?? '', ...changes });
+
+  return (
+    <InputGroup size="sm">
+      <Form.Control
+        type="number"
+        step="any"
+        aria-label="Value"
+        value={value.value ?? ''}
+        onChange={(e) => update({ value: e.target.value === '' ? '' : Number(e.target.value) })}
+        disabled={disabled}
+      />
+      <Form.Control
+        className="font-monospace"
+        aria-label="UCUM unit"
+        placeholder="unit, e.g. mg"
+        value={value.unit ?? ''}
+        onChange={(e) => update({ unit: e.target.value })}
+        disabled={disabled}
+      />
+    </InputGroup>
+  );
+}
+
+function CodeInput({ value, onChange, disabled }) {
+  const update = changes => onChange({ system: '', code: '', display: '', ...value, ...changes });
+
+  return (
+    <InputGroup size="sm">
+      <Form.Select
+        aria-label="Code system"
+        className="flex-grow-0"
+        style={{ width: '8rem' }}
+        value={value.system || ''}
+        onChange={(e) => update({ system: e.target.value })}
+        disabled={disabled}
+      >
+        <option value="">System…</option>
+        {value.system && !CODE_SYSTEMS[value.system] && (
+          <option value={value.system}>{value.system}</option>
+        )}
+        {Object.entries(CODE_SYSTEMS).map(([url, name]) => (
+          <option key={url} value={url}>{name}</option>
+        ))}
+      </Form.Select>
+      <Form.Control
+        className="font-monospace"
+        aria-label="Code"
+        placeholder="code"
+        value={value.code || ''}
+        onChange={(e) => update({ code: e.target.value })}
+        disabled={disabled}
+      />
+      <Form.Control
+        aria-label="Display"
+        placeholder="display (optional)"
+        value={value.display || ''}
+        onChange={(e) => update({ display: e.target.value })}
+        disabled={disabled}
+      />
+    </InputGroup>
+  );
+}
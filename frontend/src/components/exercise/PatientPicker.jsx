@@ -0,0 +1,72 @@
+import React from 'react';
+import { Form, InputGroup } from 'react-bootstrap';
+import { PersonFill } from 'react-bootstrap-icons';
+import { usePatients } from '../../hooks/usePatients';
+
+/**
+ * Patient Picker Component
+ * Selects the synthetic patient CQL is executed against
+ */
+export function PatientPicker({
+  className = '',
+  showDescription = false,
+  disabled = false
+}) {
+  const { patients, selectedPatient, setSelectedPatientId, isLoading, error } = usePatients();
+
+  if (error) {
+    return null; // Execution falls back to the backend's default patient
+  }
+
+  return (
+    <div className={className}>
+      <InputGroup size="sm">
+        <InputGroup.Text title="Patient context for execution">
+          <PersonFill />
+        </InputGroup.Text>
+        <Form.Select
+          aria-label="Patient"
+          value={selectedPatient?.id || ''}
+          onChange={(e) => setSelectedPatientId(e.target.value)}
+          disabled={disabled || isLoading || patients.length === 0}
+        >
+          {isLoading && <option value="">Loading patients...</option>}
+          {patients.map(patient => (
+            <option key={patient.id} value={patient.id}>
+              {formatPatient(patient)}
+            </option>
+          ))}
+        </Form.Select>
+      </InputGroup>
+      {showDescription && selectedPatient && (
+        <Form.Text className="d-block">
+          {selectedPatient.description}
+          {' '}({formatResourceCounts(selectedPatient.resourceCounts)})
+        </Form.Text>
+      )}
+    </div>
+  );
+}
+
+// "James Robert Carter · male · 58 y"
+function formatPatient(patient) {
+  const parts = [patient.name];
+  if (patient.gender) parts.push(patient.gender);
+  if (patient.birthDate) parts.push(`${ageInYears(patient.birthDate)} y`);
+  return parts.join(' · ');
+}
+
+function ageInYears(birthDate) {
+  const birth = new Date(birthDate);
+  const today = new Date();
+  const age = today.getFullYear() - birth.getFullYear();
+  const beforeBirthday = today.getMonth() < birth.getMonth() ||
+    (today.getMonth() === birth.getMonth() && today.getDate() < birth.getDate());
+  return beforeBirthday ? age - 1 : age;
+}
+
+function formatResourceCounts(counts = {}) {
+  return Object.entries(counts)
+    .map(([type, count]) => `${count} ${type}`)
+    .join(', ');
+}
@@ -0,0 +1,298 @@
+import React, { useState } from 'react';
+import { Badge, Button, Table } from 'react-bootstrap';
+import { ChevronRight, ChevronDown, Braces } from 'react-bootstrap-icons';
+import {
+  getValueKind,
+  getElementType,
+  parseResultType,
+  formatCQLValue,
+  formatQuantity,
+  formatInterval,
+  CODE_SYSTEMS
+} from '../../utils/cql-values';
+
+const PAGE_SIZE = 10;
+
+/**
+ * Result Value Component
+ * Renders a CQL result value with a renderer chosen by its resultType
+ */
+export function ResultValue({ value, type = null, depth = 0 }) {
+  const parsedType = typeof type === 'string' ? parseResultType(type) : type;
+  const kind = getValueKind(value, parsedType);
+
+  switch (kind) {
+    case 'null':
+      return <span className="text-muted fst-italic">null</span>;
+    case 'boolean':
+      return <Badge bg={value ? 'success' : 'secondary'}>{String(value)}</Badge>;
+    case 'number':
+    case 'string':
+    case 'date':
+    case 'datetime':
+    case 'time':
+      return <span className="font-monospace">{formatCQLValue(value, parsedType)}</span>;
+    case 'quantity':
+      return <QuantityValue quantity={value} />;
+    case 'ratio':
+      return (
+        <span className="font-monospace">
+          <QuantityValue quantity={value.numerator} /> : <QuantityValue quantity={value.denominator} />
+        </span>
+      );
+    case 'interval':
+      return <span className="font-monospace">{formatInterval(value, getElementType(parsedType))}</span>;
+    case 'code':
+      return <CodeChip code={value} />;
+    case 'concept':
+      return <ConceptValue concept={value} />;
+    case 'resource':
+      return <ResourceValue resource={value} />;
+    case 'list':
+      return <ListValue items={value} elementType={getElementType(parsedType)} depth={depth} />;
+    default:
+      return <TupleValue tuple={value} depth={depth} />;
+  }
+}
+
+function QuantityValue({ quantity }) {
+  const hasUnit = quantity.unit && quantity.unit !== '1';
+  return (
+    <span className="font-monospace" title={hasUnit ? `UCUM unit: ${quantity.unit}` : undefined}>
+      {formatQuantity(quantity)}
+    </span>
+  );
+}
+
+function CodeChip({ code }) {
+  const system = CODE_SYSTEMS[code.system] || code.system;
+  return (
+    <span
+      className="d-inline-flex align-items-center border rounded-pill px-2 py-0 me-1 mb-1 bg-white small"
+      title={[code.system, code.version].filter(Boolean).join(' | ')}
+    >
+      {system && <Badge bg="info" className="me-1">{system}</Badge>}
+      <span className="font-monospace me-1">{code.code}</span>
+      {code.display && <span className="text-muted">{code.display}</span>}
+    </span>
+  );
+}
+
+function ConceptValue({ concept }) {
+  return (
+    <div>
+      {concept.display && <div className="mb-1">{concept.display}</div>}
+      {concept.codes.map((code, index) => (
+        <CodeChip key={`${code.system}|${code.code}|${index}`} code={code} />
+      ))}
+    </div>
+  );
+}
+
+function TupleValue({ tuple, depth }) {
+  const [expanded, setExpanded] = useState(depth < 1);
+  const entries = Object.entries(tuple);
+
+  return (
+    <div>
+      <Button
+        variant="link"
+        size="sm"
+        className="p-0 text-decoration-none"
+        onClick={() => setExpanded(!expanded)}
+      >
+        {expanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+        <span className="ms-1">Tuple ({entries.length} element{entries.length !== 1 ? 's' : ''})</span>
+      </Button>
+      {expanded && (
+        <Table size="sm" bordered className="mb-0 mt-1 small bg-white">
+          <tbody>
+            {entries.map(([name, element]) => (
+              <tr key={name}>
+                <th className="font-monospace text-nowrap" style={{ width: '1%' }}>{name}</th>
+                <td><ResultValue value={element} depth={depth + 1} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+    </div>
+  );
+}
+
+function ListValue({ items, elementType, depth }) {
+  const [page, setPage] = useState(0);
+
+  if (items.length === 0) {
+    return <span className="font-monospace text-muted">{'{ }'}</span>;
+  }
+
+  const isResourceList = items.every(item => getValueKind(item, elementType) === 'resource');
+  if (isResourceList) {
+    return <ResourceList resources={items} />;
+  }
+
+  // Short lists of simple values read best inline, in CQL list notation
+  const isSimple = items.every(item => ['null', 'boolean', 'number', 'string', 'date', 'datetime', 'time', 'quantity']
+    .includes(getValueKind(item, elementType)));
+  if (isSimple && items.length <= PAGE_SIZE) {
+    return (
+      <span className="font-monospace">
+        {`{ ${items.map(item => formatCQLValue(item, elementType)).join(', ')} }`}
+      </span>
+    );
+  }
+
+  const pageItems = items.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+  return (
+    <div>
+      <ol className="mb-1 ps-4" start={page * PAGE_SIZE + 1}>
+        {pageItems.map((item, index) => (
+          <li key={page * PAGE_SIZE + index} className="mb-1">
+            <ResultValue value={item} type={elementType} depth={depth + 1} />
+          </li>
+        ))}
+      </ol>
+      <Pager page={page} total={items.length} onPageChange={setPage} />
+    </div>
+  );
+}
+
+function ResourceList({ resources }) {
+  const [page, setPage] = useState(0);
+  const [showJson, setShowJson] = useState(false);
+  const pageItems = resources.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-1">
+        <small className="text-muted">
+          {resources.length} resource{resources.length !== 1 ? 's' : ''}
+        </small>
+        <JsonToggle showJson={showJson} onToggle={setShowJson} />
+      </div>
+      {showJson ? (
+        <JsonBlock value={pageItems} />
+      ) : (
+        <Table size="sm" bordered hover className="mb-1 small bg-white">
+          <thead>
+            <tr>
+              <th>Resource</th>
+              <th>Summary</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pageItems.map((resource, index) => (
+              <tr key={resource.id || index}>
+                <td className="font-monospace text-nowrap">{formatCQLValue(resource)}</td>
+                <td>{summarizeResource(resource)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+      <Pager page={page} total={resources.length} onPageChange={setPage} />
+    </div>
+  );
+}
+
+function ResourceValue({ resource }) {
+  const [showJson, setShowJson] = useState(false);
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center">
+        <span>
+          <span className="font-monospace me-2">{formatCQLValue(resource)}</span>
+          <span className="text-muted small">{summarizeResource(resource)}</span>
+        </span>
+        <JsonToggle showJson={showJson} onToggle={setShowJson} />
+      </div>
+      {showJson && <JsonBlock value={resource} />}
+    </div>
+  );
+}
+
+function JsonToggle({ showJson, onToggle }) {
+  return (
+    <Button
+      variant={showJson ? 'secondary' : 'outline-secondary'}
+      size="sm"
+      className="py-0"
+      onClick={() => onToggle(!showJson)}
+      title={showJson ? 'Show summary' : 'Show JSON'}
+    >
+      <Braces size={12} className="me-1" />
+      JSON
+    </Button>
+  );
+}
+
+function JsonBlock({ value }) {
+  return (
+    <pre className="bg-light p-2 rounded border small mb-1 mt-1" style={{ maxHeight: '300px', overflow: 'auto' }}>
+      {JSON.stringify(value, null, 2)}
+    </pre>
+  );
+}
+
+function Pager({ page, total, onPageChange }) {
+  const pageCount = Math.ceil(total / PAGE_SIZE);
+  if (pageCount <= 1) return null;
+
+  return (
+    <div className="d-flex align-items-center small">
+      <Button
+        variant="outline-secondary"
+        size="sm"
+        className="py-0"
+        disabled={page === 0}
+        onClick={() => onPageChange(page - 1)}
+      >
+        Previous
+      </Button>
+      <span className="mx-2 text-muted">
+        {page * PAGE_SIZE + 1}–{Math.min((page + 1) * PAGE_SIZE, total)} of {total}
+      </span>
+      <Button
+        variant="outline-secondary"
+        size="sm"
+        className="py-0"
+        disabled={page >= pageCount - 1}
+        onClick={() => onPageChange(page + 1)}
+      >
+        Next
+      </Button>
+    </div>
+  );
+}
+
+// One-line description of a FHIR resource from its most telling elements
+function summarizeResource(resource) {
+  const parts = [];
+
+  if (resource.resourceType === 'Patient') {
+    const [name] = resource.name || [];
+    if (name) parts.push(name.text || [...(name.given || []), name.family].filter(Boolean).join(' '));
+    if (resource.gender) parts.push(resource.gender);
+    if (resource.birthDate) parts.push(`born ${resource.birthDate}`);
+  }
+
+  const concept = resource.code || resource.vaccineCode || resource.medicationCodeableConcept || resource.type?.[0];
+  const coding = concept?.coding?.[0];
+  if (concept?.text || coding) {
+    parts.push(concept.text || coding.display || coding.code);
+  }
+
+  const status = resource.clinicalStatus?.coding?.[0]?.code || resource.status;
+  if (status) parts.push(status);
+
+  const when = resource.effectiveDateTime || resource.onsetDateTime || resource.performedDateTime ||
+    resource.authoredOn || resource.occurrenceDateTime || resource.effectivePeriod?.start ||
+    resource.period?.start || resource.performedPeriod?.start;
+  if (when) parts.push(when);
+
+  if (resource.valueQuantity) parts.push(formatQuantity(resource.valueQuantity));
+
+  return parts.join(' · ');
+}
@@ -1,14 +1,20 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Card, Button, Alert, Badge } from 'react-bootstrap';
+import { Card, Button, Alert, Badge, ListGroup, ProgressBar } from 'react-bootstrap';
 import { 
   Terminal, 
   XCircle, 
   CheckCircle, 
   InfoCircle,
   Trash,
-  ExclamationTriangleFill
+  ExclamationTriangleFill,
+  ExclamationCircleFill,
+  Lightbulb,
+  Diagram3,
+  Award
 } from 'react-bootstrap-icons';
 import { Editor } from '@monaco-editor/react';
+import { TraceTree } from './TraceTree';
+import { ResultValue } from './ResultValue';
 
 /**
  * Results Panel Component
@@ -24,11 +30,18 @@ export function ResultsPanel({
   onClear = () => {},
   className = '',
   showTimestamp = true,
-  maxLogLength = 10000
+  maxLogLength = 10000,
+  diagnostics = [], // CQLError objects for failed results
+  scoreBreakdown = null, // rubric score of the last submission (shared/utils/exercise-scoring.js)
+  onDiagnosticSelect = () => {}, // called with a diagnostic to jump to its location
+  traceEnabled = false, // request evaluation traces on the next run
+  onTraceToggle = null, // shows the Trace switch when provided
+  onTraceSelect = () => {} // called with a trace node to highlight its code range
 }) {
   const [displayLogs, setDisplayLogs] = useState('');
   const editorRef = useRef(null);
   const [autoScroll, setAutoScroll] = useState(true);
+  const [selectedTraceId, setSelectedTraceId] = useState(null);
 
   // Update display logs when logs change
   useEffect(() => {
@@ -117,6 +130,139 @@ export function ResultsPanel({
 
   const statusInfo = getStatusInfo();
 
+  // Render execution diagnostics as a clickable problems list
+  const renderDiagnostics = () => {
+    if (!diagnostics.length) return null;
+
+    return (
+      <div className="mb-3">
+        <h6 className="text-muted mb-2">
+          Problems
+          <Badge bg="danger" className="ms-2">{diagnostics.length}</Badge>
+        </h6>
+        <ListGroup>
+          {diagnostics.map((diagnostic) => (
+            <ListGroup.Item
+              key={diagnostic.id}
+              action={Boolean(diagnostic.location)}
+              onClick={() => diagnostic.location && onDiagnosticSelect(diagnostic)}
+              className="small"
+              title={diagnostic.location ? 'Go to location' : undefined}
+            >
+              <div className="d-flex align-items-start">
+                {diagnostic.severity === 'error' ? (
+                  <ExclamationCircleFill className="text-danger me-2 flex-shrink-0 mt-1" />
+                ) : (
+                  <ExclamationTriangleFill className="text-warning me-2 flex-shrink-0 mt-1" />
+                )}
+                <div className="flex-grow-1">
+                  <div>
+                    <Badge bg="secondary" className="me-2 text-capitalize">
+                      {diagnostic.category}
+                    </Badge>
+                    {diagnostic.location && (
+                      <span className="font-monospace text-muted me-2">
+                        Ln {diagnostic.location.line}, Col {diagnostic.location.column}
+                      </span>
+                    )}
+                    {diagnostic.definition && (
+                      <span className="text-muted">in {diagnostic.definition}</span>
+                    )}
+                  </div>
+                  <div className="font-monospace mt-1">{diagnostic.message}</div>
+                  {diagnostic.suggestion && (
+                    <div className="text-muted mt-1">
+                      <Lightbulb className="me-1" />
+                      {diagnostic.suggestion}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      </div>
+    );
+  };
+
+  // Render the rubric score of the last submission, one row per graded criterion
+  const renderScoreBreakdown = () => {
+    if (!scoreBreakdown) return null;
+    const { score, passed, passingScore, criteria, hintPenalty } = scoreBreakdown;
+
+    return (
+      <div className="mb-3">
+        <h6 className="text-muted mb-2 d-flex align-items-center">
+          <Award className="me-1" />
+          Score
+          <Badge bg={passed ? 'success' : 'warning'} className="ms-2">{score}%</Badge>
+          <small className="ms-2 fw-normal">
+            {passed ? 'Passed' : `${passingScore}% needed to pass`}
+          </small>
+        </h6>
+        <ListGroup>
+          {criteria.map((criterion) => (
+            <ListGroup.Item key={criterion.id} className="small">
+              <div className="d-flex justify-content-between align-items-center">
+                <span>
+                  {criterion.passed ? (
+                    <CheckCircle className="text-success me-2" />
+                  ) : (
+                    <XCircle className="text-danger me-2" />
+                  )}
+                  {criterion.label}
+                </span>
+                <span className="font-monospace text-muted" title={`${criterion.score}% of this criterion`}>
+                  {criterion.points} / {criterion.weight}
+                </span>
+              </div>
+              <ProgressBar
+                now={criterion.score}
+                variant={criterion.passed ? 'success' : criterion.score > 0 ? 'warning' : 'danger'}
+                className="mt-1"
+                style={{ height: 4 }}
+              />
+              {/* Every bug of a debug exercise is listed, so learners see which remain */}
+              {criterion.details.filter(detail => criterion.id === 'bugs' || !detail.passed).map((detail, index) => (
+                <div
+                  key={index}
+                  className="text-muted mt-1"
+                  role={detail.line ? 'button' : undefined}
+                  onClick={() => detail.line && onDiagnosticSelect({ location: { line: detail.line, column: 1 } })}
+                  title={detail.line ? 'Go to location' : undefined}
+                >
+                  {criterion.id === 'bugs' && (detail.passed
+                    ? <CheckCircle className="text-success me-1" />
+                    : <XCircle className="text-danger me-1" />)}
+                  {detail.line && <span className="font-monospace me-1">Ln {detail.line}</span>}
+                  {detail.label}
+                  {detail.message && <span className="font-monospace">: {detail.message}</span>}
+                </div>
+              ))}
+            </ListGroup.Item>
+          ))}
+          {hintPenalty.points > 0 && (
+            <ListGroup.Item className="small d-flex justify-content-between align-items-center">
+              <span>
+                <Lightbulb className="text-warning me-2" />
+                {hintPenalty.hintsUsed} hint{hintPenalty.hintsUsed !== 1 ? 's' : ''} used
+              </span>
+              <span className="font-monospace text-danger">−{hintPenalty.points}</span>
+            </ListGroup.Item>
+          )}
+        </ListGroup>
+      </div>
+    );
+  };
+
+  // Handle trace node selection
+  const handleTraceSelect = (node) => {
+    setSelectedTraceId(node.id);
+    if (node.location) {
+      onTraceSelect(node);
+    }
+  };
+
   // Format CQL results for display
   const formatCQLResults = (results) => {
     if (!results || !Array.isArray(results)) return null;
@@ -145,15 +291,26 @@ export function ResultsPanel({
           {result.result !== undefined && !hasError && (
             <div className="mb-2">
               <strong>Result:</strong>
-              <div className="bg-light p-2 rounded font-monospace small mt-1 border">
-                {typeof result.result === 'string' 
-                  ? `"${result.result}"` 
-                  : JSON.stringify(result.result, null, 2)
-                }
+              <div className="bg-light p-2 rounded small mt-1 border">
+                <ResultValue value={result.result} type={result.resultType} />
               </div>
             </div>
           )}
 
+          {result.trace && (
+            <div className="mb-2">
+              <strong className="d-flex align-items-center mb-1">
+                <Diagram3 className="me-1" />
+                Trace:
+              </strong>
+              <TraceTree
+                trace={result.trace}
+                selectedId={selectedTraceId}
+                onSelect={handleTraceSelect}
+              />
+            </div>
+          )}
+
           {hasError && (
             <Alert variant="danger" className="mb-2">
               <div className="d-flex align-items-start">
@@ -191,6 +348,17 @@ export function ResultsPanel({
           </div>
 
           <div className="d-flex align-items-center">
+            {onTraceToggle && (
+              <small className="text-muted me-3" title="Show the value of each sub-expression on the next run">
+                Trace:
+                <input
+                  type="checkbox"
+                  checked={traceEnabled}
+                  onChange={(e) => onTraceToggle(e.target.checked)}
+                  className="form-check-input ms-1"
+                />
+              </small>
+            )}
             <small className="text-muted me-2">
               Auto-scroll: 
               <input
@@ -213,11 +381,17 @@ export function ResultsPanel({
       </Card.Header>
 
       <Card.Body className="p-0">
-        {results && Array.isArray(results) && results.length > 0 ? (
-          // Show structured CQL results
+        {(results && Array.isArray(results) && results.length > 0) || scoreBreakdown ? (
+          // Show the score and structured CQL results
           <div className="p-3" style={{ maxHeight: height, overflowY: 'auto' }}>
-            <h6 className="text-muted mb-3">CQL Execution Results:</h6>
-            {formatCQLResults(results)}
+            {renderScoreBreakdown()}
+            {renderDiagnostics()}
+            {results?.length > 0 && (
+              <>
+                <h6 className="text-muted mb-3">CQL Execution Results:</h6>
+                {formatCQLResults(results)}
+              </>
+            )}
           </div>
         ) : displayLogs ? (
           // Show raw logs in editor
@@ -0,0 +1,80 @@
+import React from 'react';
+import { Modal, Table, Alert, Badge } from 'react-bootstrap';
+import { Keyboard } from 'react-bootstrap-icons';
+import {
+  EDITOR_COMMANDS,
+  KEYMAP_MODES,
+  findShortcutConflicts,
+  getModeEssentials
+} from '../../utils/editor-keymaps';
+
+/**
+ * Shortcuts Cheat Sheet Component
+ * Overlay listing the editor command shortcuts, the essential keys of the
+ * active keymap mode, and any shortcuts that conflict.
+ */
+export function ShortcutsCheatSheet({
+  show,
+  onHide,
+  shortcuts, // from getShortcuts
+  mode = 'default'
+}) {
+  const conflicts = findShortcutConflicts(shortcuts, mode);
+  const modeLabel = KEYMAP_MODES.find(candidate => candidate.id === mode)?.label || 'Standard';
+  const commandLabel = id => EDITOR_COMMANDS.find(command => command.id === id)?.label || id;
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title className="d-flex align-items-center">
+          <Keyboard className="me-2" />
+          Keyboard Shortcuts
+          <Badge bg="secondary" className="ms-2 fs-6">{modeLabel} mode</Badge>
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {conflicts.length > 0 && (
+          <Alert variant="warning" className="small">
+            {conflicts.map(conflict => (
+              <div key={conflict.shortcut}>
+                <kbd>{conflict.shortcut}</kbd> is bound to {conflict.commands.map(commandLabel).join(' and ')}
+                {conflict.reserved && `, overriding ${conflict.reserved}`}
+              </div>
+            ))}
+          </Alert>
+        )}
+
+        <h6>Commands</h6>
+        <Table size="sm" className="mb-4">
+          <tbody>
+            {EDITOR_COMMANDS.map(command => (
+              <tr key={command.id}>
+                <td className="w-50">{command.label}</td>
+                <td>
+                  {shortcuts[command.id]
+                    ? <kbd>{shortcuts[command.id]}</kbd>
+                    : <span className="text-muted">Not bound</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+
+        <h6>{mode === 'default' ? 'Editor' : modeLabel} essentials</h6>
+        <Table size="sm" className="mb-0">
+          <tbody>
+            {getModeEssentials(mode).map(item => (
+              <tr key={item.keys}>
+                <td className="w-50">{item.description}</td>
+                <td><kbd>{item.keys}</kbd></td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      </Modal.Body>
+      <Modal.Footer className="small text-muted">
+        Change the keymap mode and remap commands in Settings. Ctrl is Cmd on macOS.
+      </Modal.Footer>
+    </Modal>
+  );
+}
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { Badge } from 'react-bootstrap';
+import { ChevronRight, ChevronDown } from 'react-bootstrap-icons';
+
+const MAX_VALUE_LENGTH = 80;
+
+/**
+ * Trace Tree Component
+ * Expandable view of the values produced by each sub-expression of a define,
+ * as returned by trace mode execution. Selecting a node reports its code range.
+ */
+export function TraceTree({
+  trace,
+  selectedId = null,
+  onSelect = () => {}
+}) {
+  if (!trace) return null;
+
+  return (
+    <div className="font-monospace small border rounded bg-light py-1">
+      <TraceNode
+        node={trace}
+        depth={0}
+        selectedId={selectedId}
+        onSelect={onSelect}
+      />
+      {trace.truncated && (
+        <div className="text-muted px-2">Trace truncated: the expression is too large to trace fully.</div>
+      )}
+    </div>
+  );
+}
+
+function TraceNode({ node, depth, selectedId, onSelect }) {
+  const [expanded, setExpanded] = useState(depth < 2);
+  const hasChildren = node.children.length > 0;
+  const isSelected = node.id === selectedId;
+
+  return (
+    <div>
+      <div
+        className={`d-flex align-items-start px-2 ${isSelected ? 'bg-primary bg-opacity-10' : ''}`}
+        style={{ paddingLeft: `${depth * 16 + 8}px`, cursor: 'pointer' }}
+        onClick={() => onSelect(node)}
+        title={node.location ? `Ln ${node.location.start.line}, Col ${node.location.start.column}` : undefined}
+      >
+        <span
+          className="me-1 flex-shrink-0"
+          style={{ width: 14, visibility: hasChildren ? 'visible' : 'hidden' }}
+          onClick={(event) => {
+            event.stopPropagation();
+            setExpanded(!expanded);
+          }}
+        >
+          {expanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+        </span>
+        <div className="flex-grow-1 text-truncate">
+          <span className="fw-semibold me-2">{node.label}</span>
+          {node.expression && depth > 0 && (
+            <span className="text-muted me-2">{node.expression}</span>
+          )}
+          {node.error ? (
+            <span className="text-danger">{node.error}</span>
+          ) : (
+            <TraceValues node={node} />
+          )}
+        </div>
+      </div>
+
+      {expanded && node.children.map(child => (
+        <TraceNode
+          key={child.id}
+          node={child}
+          depth={depth + 1}
+          selectedId={selectedId}
+          onSelect={onSelect}
+        />
+      ))}
+    </div>
+  );
+}
+
+function TraceValues({ node }) {
+  if (node.evaluations === 0) {
+    return <span className="text-muted">not evaluated</span>;
+  }
+
+  if (node.evaluations === 1) {
+    return <span>= {formatValue(node.values[0])}</span>;
+  }
+
+  const more = node.evaluations - node.values.length;
+  return (
+    <span>
+      <Badge bg="secondary" className="me-1" title="Times this expression was evaluated">
+        ×{node.evaluations}
+      </Badge>
+      {node.values.map(formatValue).join(', ')}
+      {more > 0 && <span className="text-muted"> … {more} more</span>}
+    </span>
+  );
+}
+
+// Short single-line rendering of a traced value
+function formatValue(value) {
+  let text;
+  if (value === null || value === undefined) {
+    text = 'null';
+  } else if (typeof value === 'string') {
+    text = `"${value}"`;
+  } else if (value.items && typeof value.total === 'number') {
+    // Long lists are sent as their first items plus the total count
+    text = `${JSON.stringify(value.items)} (${value.total} items)`;
+  } else {
+    text = JSON.stringify(value);
+  }
+
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
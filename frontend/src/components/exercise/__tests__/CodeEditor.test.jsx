@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { CodeEditor } from '../CodeEditor';
+
+// A Monaco editor whose model is the file at the path it shows
+const monaco = {
+  MarkerSeverity: { Error: 8, Warning: 4, Info: 2 },
+  editor: { setModelMarkers: vi.fn(), setModelLanguage: vi.fn() }
+};
+const editor = {
+  path: null,
+  getModel: () => ({ path: editor.path }),
+  revealLineInCenter: vi.fn(),
+  setSelection: vi.fn(),
+  focus: vi.fn(),
+  addAction: () => ({ dispose: () => {} })
+};
+
+vi.mock('@monaco-editor/react', async () => {
+  const { useEffect } = await import('react');
+  return {
+    Editor: ({ path, onMount }) => {
+      editor.path = path;
+      useEffect(() => onMount(editor, monaco), []);
+      return <div data-testid="editor">{path}</div>;
+    }
+  };
+});
+vi.mock('../../../utils/monaco-cql-language', () => ({ registerCQLLanguage: () => {} }));
+vi.mock('../../../utils/cql-validation', () => ({ setupCQLValidation: () => () => {} }));
+vi.mock('../../../utils/cql-navigation', () => ({ syncCQLWorkspaceFiles: () => {} }));
+vi.mock('../../../hooks/useLibraryCatalog', () => ({ useLibraryCatalog: () => ({ libraries: [] }) }));
+vi.mock('../../../utils/editor-keymaps', async (importOriginal) => ({
+  ...(await importOriginal()),
+  toMonacoKeybinding: () => 0
+}));
+
+const EXERCISE = {
+  id: 'multi-file',
+  files: [
+    { name: 'Main.cql', language: 'cql', template: "library Main version '1'" },
+    { name: 'Common.cql', language: 'cql', template: "library Common version '1'" }
+  ]
+};
+
+const DIAGNOSTIC = { message: 'Could not resolve X', severity: 'error', category: 'execution', location: { line: 2, column: 5 } };
+
+// The markers last set on each file
+const executionMarkers = () => Object.fromEntries(monaco.editor.setModelMarkers.mock.calls
+  .filter(([, owner]) => owner === 'cql-execution')
+  .map(([model, , markers]) => [model.path, markers.length]));
+
+describe('CodeEditor', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('shows execution diagnostics on the main file only', () => {
+    const { rerender } = render(<CodeEditor exercise={EXERCISE} />);
+    fireEvent.click(screen.getByText('Common.cql'));
+    rerender(<CodeEditor exercise={EXERCISE} diagnostics={[DIAGNOSTIC]} />);
+
+    expect(executionMarkers()).toEqual({ 'Main.cql': 0, 'Common.cql': 0 });
+
+    fireEvent.click(screen.getByText('Main.cql'));
+
+    expect(executionMarkers()).toEqual({ 'Main.cql': 1, 'Common.cql': 0 });
+  });
+
+  it('switches to the main file before jumping to a location', () => {
+    const { rerender } = render(<CodeEditor exercise={EXERCISE} />);
+    fireEvent.click(screen.getByText('Common.cql'));
+    rerender(<CodeEditor exercise={EXERCISE} jumpTo={{ line: 2, column: 5 }} />);
+
+    expect(screen.getByTestId('editor')).toHaveTextContent('Main.cql');
+    expect(editor.setSelection).toHaveBeenCalledTimes(1);
+    expect(editor.setSelection).toHaveBeenCalledWith({ startLineNumber: 2, startColumn: 5, endLineNumber: 2, endColumn: 6 });
+  });
+});
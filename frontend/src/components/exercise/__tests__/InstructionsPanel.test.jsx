@@ -0,0 +1,32 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { InstructionsPanel } from '../InstructionsPanel';
+
+const CATALOG_EXERCISE = {
+  id: 'whitespace-comments',
+  title: 'Whitespace and Comments',
+  content: {
+    instructions: '# Comments\n\nUse `//` for **single-line** comments <img src="x" onerror="alert(1)">',
+    hints: [{ level: 1, text: 'Start the line with two slashes' }]
+  }
+};
+
+describe('InstructionsPanel', () => {
+  it('renders a catalog exercise\'s markdown instructions, sanitized', () => {
+    const { container } = render(<InstructionsPanel exercise={CATALOG_EXERCISE} />);
+
+    expect(screen.getByRole('heading', { name: 'Comments' })).toBeInTheDocument();
+    expect(screen.getByText('single-line')).toBeInTheDocument();
+    expect(container.innerHTML).not.toContain('onerror');
+  });
+
+  it('reveals a catalog exercise\'s leveled hints', () => {
+    const onHintReveal = vi.fn();
+    render(<InstructionsPanel exercise={CATALOG_EXERCISE} onHintReveal={onHintReveal} />);
+
+    fireEvent.click(screen.getByText('Hint 1'));
+
+    expect(onHintReveal).toHaveBeenCalledWith(0);
+    expect(screen.getByText('Start the line with two slashes')).toBeInTheDocument();
+  });
+});
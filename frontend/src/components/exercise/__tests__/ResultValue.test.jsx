@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { ResultValue } from '../ResultValue';
+
+describe('ResultValue', () => {
+  it('renders simple lists inline in CQL notation', () => {
+    render(<ResultValue value={[1, 2, 3]} type="List<Integer>" />);
+
+    expect(screen.getByText('{ 1, 2, 3 }')).toBeInTheDocument();
+  });
+
+  it('renders codes with the short name of their system', () => {
+    render(<ResultValue value={{ code: '44054006', system: 'http://snomed.info/sct', display: 'Diabetes' }} type="Code" />);
+
+    expect(screen.getByText('SNOMED')).toBeInTheDocument();
+    expect(screen.getByText('44054006')).toBeInTheDocument();
+    expect(screen.getByText('Diabetes')).toBeInTheDocument();
+  });
+
+  it('renders intervals and quantities as CQL literals', () => {
+    render(
+      <>
+        <ResultValue value={{ low: '2024-01-01', high: '2024-12-31', lowClosed: true, highClosed: true }} type="Interval<Date>" />
+        <ResultValue value={{ value: 7.2, unit: '%' }} type="Quantity" />
+      </>
+    );
+
+    expect(screen.getByText('Interval[@2024-01-01, @2024-12-31]')).toBeInTheDocument();
+    expect(screen.getByText('7.2 \'%\'')).toBeInTheDocument();
+  });
+
+  it('collapses nested tuples until expanded', () => {
+    render(<ResultValue value={{ outer: { inner: 'value' } }} type="Tuple" />);
+
+    expect(screen.getByText('outer')).toBeInTheDocument();
+    expect(screen.queryByText('inner')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getAllByRole('button', { name: /Tuple \(1 element\)/ })[1]);
+    expect(screen.getByText('inner')).toBeInTheDocument();
+  });
+});
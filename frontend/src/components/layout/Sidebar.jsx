@@ -8,6 +8,7 @@ import {
   BookFill,
   GearFill,
   CodeSquare,
+  PencilSquare,
   X 
 } from 'react-bootstrap-icons';
 
@@ -16,6 +17,7 @@ const navigation = [
   { name: 'Progress', href: '/progress', icon: BarChart },
   { name: 'Test CQL', href: '/test-cql', icon: CodeSquare },
   { name: 'Learn', href: '/learn', icon: BookFill },
+  { name: 'Studio', href: '/studio', icon: PencilSquare },
   { name: 'Settings', href: '/settings', icon: GearFill },
 ];
 
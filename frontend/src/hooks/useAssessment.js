@@ -0,0 +1,128 @@
+import { useState, useEffect, useCallback } from 'react';
+import { startAssessment, getAssessment, submitAssessment, finishAssessment } from '../services/api';
+
+// Attempt ids by exercise id, so an attempt survives a reload
+const STORAGE_KEY = 'assessment-attempts';
+
+// The server expires attempts a few seconds after their deadline
+const EXPIRY_CHECK_DELAY_MS = 6000;
+
+/**
+ * Assessment Hook
+ * Runs a timed, graded attempt at an exercise of type 'assessment'. The
+ * server starts the clock, grades submissions and withholds their scores
+ * until the attempt is finished; this hook counts down to the server's
+ * deadline, corrected for the difference between the server's and the
+ * browser's clocks, and fetches the result once time runs out.
+ */
+export function useAssessment(exercise) {
+  const isAssessment = exercise?.type === 'assessment';
+  const [attempt, setAttempt] = useState(null);
+  const [clockOffset, setClockOffset] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const track = useCallback((next) => {
+    setAttempt(next);
+    setClockOffset(Date.parse(next.serverTime) - Date.now());
+    rememberAttempt(next.exerciseId, next.id);
+  }, []);
+
+  // Resume this exercise's attempt, if there is one
+  useEffect(() => {
+    setAttempt(null);
+    setError(null);
+    if (!isAssessment) return undefined;
+
+    const attemptId = readAttempts()[exercise.id];
+    if (!attemptId) return undefined;
+
+    let cancelled = false;
+    getAssessment(attemptId)
+      .then(resumed => !cancelled && track(resumed))
+      .catch(() => rememberAttempt(exercise.id, null));
+    return () => {
+      cancelled = true;
+    };
+  }, [exercise?.id, isAssessment, track]);
+
+  const inProgress = attempt?.status === 'in_progress';
+
+  // Tick once a second while the countdown runs
+  useEffect(() => {
+    if (!inProgress) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [inProgress]);
+
+  const remainingMs = inProgress ? Math.max(0, Date.parse(attempt.deadline) - (now + clockOffset)) : 0;
+  const timeUp = inProgress && remainingMs === 0;
+
+  // Once time is up, fetch the attempt until the server has expired it
+  useEffect(() => {
+    if (!timeUp) return undefined;
+    const timer = setTimeout(() => {
+      getAssessment(attempt.id).then(track).catch(() => {});
+    }, EXPIRY_CHECK_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [timeUp, attempt, track]);
+
+  const run = useCallback(async (request) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const next = await request();
+      track(next);
+      return next;
+    } catch (requestError) {
+      setError(requestError.response?.data?.message || requestError.response?.data?.error || requestError.message);
+      // The attempt may have finished meanwhile, e.g. its time ran out
+      if (requestError.response?.status === 409 && attempt) {
+        getAssessment(attempt.id).then(track).catch(() => {});
+      }
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }, [attempt, track]);
+
+  const start = useCallback(() => run(() => startAssessment(exercise.id)), [run, exercise?.id]);
+  const submit = useCallback(
+    (code, libraries) => run(() => submitAssessment(attempt.id, code, { libraries })),
+    [run, attempt]
+  );
+  const finish = useCallback(() => run(() => finishAssessment(attempt.id)), [run, attempt]);
+
+  return {
+    isAssessment,
+    attempt,
+    inProgress,
+    isFinished: Boolean(attempt) && !inProgress,
+    remainingMs,
+    submissionsLeft: attempt ? attempt.maxSubmissions - attempt.submissionsUsed : 0,
+    busy,
+    error,
+    start,
+    submit,
+    finish
+  };
+}
+
+function readAttempts() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function rememberAttempt(exerciseId, attemptId) {
+  const attempts = readAttempts();
+  if (attemptId) {
+    attempts[exerciseId] = attemptId;
+  } else {
+    delete attempts[exerciseId];
+  }
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(attempts));
+}
@@ -1,6 +1,7 @@
 import { useState, useCallback, useRef } from 'react';
 import { useMutation, useQueryClient, useQuery } from '@tanstack/react-query';
 import { executeCQL } from '../services/api';
+import { formatCQLValue } from '../utils/cql-values';
 
 /**
  * Enhanced CQL Execution Hook
@@ -95,10 +96,19 @@ export function useCQLExecution(options = {}) {
       displayResult: typeof result.result === 'object' ? 
         JSON.stringify(result.result, null, 2) : 
         result.result,
-      formattedResult: formatCQLResult(result.result)
+      formattedResult: formatCQLValue(result.result, result.resultType)
     }));
   }, []);
 
+  // Get CQLError diagnostics attached to failed results by the backend
+  const getDiagnostics = useCallback((results) => {
+    if (!results || !Array.isArray(results)) return [];
+
+    return results
+      .filter(result => result.diagnostic)
+      .map(result => result.diagnostic);
+  }, []);
+
   // Clear execution history
   const clearHistory = useCallback(() => {
     setExecutionHistory([]);
@@ -127,6 +137,7 @@ export function useCQLExecution(options = {}) {
     
     // Utilities
     getFormattedResults,
+    getDiagnostics,
     
     // Raw mutation for advanced use
     mutation
@@ -172,33 +183,3 @@ export function useCQLServiceStatus() {
     retry: 1
   });
 }
-
-// Helper function to format CQL results for display
-function formatCQLResult(result) {
-  if (result === null || result === undefined) {
-    return 'null';
-  }
-  
-  if (typeof result === 'boolean') {
-    return result.toString();
-  }
-  
-  if (typeof result === 'string') {
-    return `"${result}"`;
-  }
-  
-  if (typeof result === 'number') {
-    return result.toString();
-  }
-  
-  if (Array.isArray(result)) {
-    return `[${result.length} item${result.length !== 1 ? 's' : ''}]`;
-  }
-  
-  if (typeof result === 'object') {
-    const keys = Object.keys(result);
-    return `{${keys.length} propert${keys.length !== 1 ? 'ies' : 'y'}}`;
-  }
-  
-  return String(result);
-}
\ No newline at end of file
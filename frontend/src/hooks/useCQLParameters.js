@@ -0,0 +1,67 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { detectParameters, mayDeclareParameters, toRequestParameters } from '../utils/cql-parameters';
+import { parseCQLDocument } from '../utils/cql-parser-client';
+
+/**
+ * CQL Parameters Hook
+ * Detects the `parameter` declarations in the code being edited and holds the
+ * values entered for them, starting from any preset values (e.g. an exercise's
+ * `parameters`). Unset parameters are left out of the request so their
+ * declared default applies.
+ */
+export function useCQLParameters(code, presets = null) {
+  const [values, setValues] = useState(presets || {});
+  const [parameters, setParameters] = useState([]);
+
+  // Start over from the presets when they change, e.g. on moving to another exercise
+  useEffect(() => {
+    setValues(presets || {});
+  }, [presets]);
+
+  // Declarations come from the parser worker, which shares the parse with editor validation
+  useEffect(() => {
+    if (!mayDeclareParameters(code)) {
+      setParameters([]);
+      return;
+    }
+
+    let current = true;
+    parseCQLDocument(code)
+      .then(({ ast }) => {
+        if (current) setParameters(detectParameters(code, ast));
+      })
+      .catch(() => {
+        if (current) setParameters([]);
+      });
+    return () => {
+      current = false;
+    };
+  }, [code]);
+
+  const setValue = useCallback((name, value) => {
+    setValues(prev => {
+      const next = { ...prev };
+      if (value === null) {
+        delete next[name];
+      } else {
+        next[name] = value;
+      }
+      return next;
+    });
+  }, []);
+
+  const resetValues = useCallback(() => setValues(presets || {}), [presets]);
+
+  const requestParameters = useMemo(
+    () => toRequestParameters(parameters, values),
+    [parameters, values]
+  );
+
+  return {
+    parameters,
+    values,
+    setValue,
+    resetValues,
+    requestParameters
+  };
+}
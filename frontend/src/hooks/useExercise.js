@@ -1,6 +1,6 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useExerciseStore } from '../stores/exerciseStore';
-import { validateExercise as validateCQFExercise } from '../services/exerciseImporter';
+import { gradeExercise } from '../services/exerciseImporter';
 
 /**
  * Enhanced Exercise Hook
@@ -67,7 +67,8 @@ export function useExercise() {
   }, [currentIndex, exercises.length, setExerciseProgress]);
 
   // Exercise validation
-  const validateExercise = useCallback(async (code, exerciseIndex = currentIndex) => {
+  // options: { libraries, execution, hintsUsed }, see exerciseImporter.gradeExercise
+  const validateExercise = useCallback(async (code, exerciseIndex = currentIndex, options = {}) => {
     const exercise = exercises[exerciseIndex];
     if (!exercise) {
       return { isValid: false, score: 0, message: 'Invalid exercise' };
@@ -77,9 +78,9 @@ export function useExercise() {
     setError(null);
 
     try {
-      // Use CQF exercise validation system if exercise has an ID (new format)
+      // Grade by the exercise's rubric if exercise has an ID (new format)
       if (exercise.id && exercise.validation) {
-        const result = await validateCQFExercise(exercise.id, code);
+        const result = await gradeExercise(exercise, code, options);
         return result;
       }
       
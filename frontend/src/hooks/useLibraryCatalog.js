@@ -0,0 +1,29 @@
+import { useEffect } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { getLibraries } from '../services/api';
+import { registerCQLCatalog } from '../utils/cql-libraries';
+
+/**
+ * CQL Library Catalog Hook
+ * Loads the libraries the server can resolve includes against (FHIRHelpers,
+ * FHIRCommon, ...) and registers them with the editor, so their members are
+ * offered in completion and described on hover
+ */
+export function useLibraryCatalog() {
+  const query = useQuery({
+    queryKey: ['libraries'],
+    queryFn: getLibraries,
+    staleTime: Infinity, // The catalog only changes with a deploy
+    retry: 1
+  });
+
+  useEffect(() => {
+    if (query.data) registerCQLCatalog(query.data);
+  }, [query.data]);
+
+  return {
+    libraries: query.data || [],
+    isLoading: query.isLoading,
+    error: query.error
+  };
+}
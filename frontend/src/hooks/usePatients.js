@@ -0,0 +1,40 @@
+import { useEffect } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { getPatients } from '../services/api';
+import { useUIStore } from '../stores/uiStore';
+
+/**
+ * Synthetic Patients Hook
+ * Lists the synthetic patients that CQL can be executed against and tracks
+ * the selected one, defaulting to the first patient
+ */
+export function usePatients() {
+  const selectedPatientId = useUIStore(state => state.selectedPatientId);
+  const setSelectedPatientId = useUIStore(state => state.setSelectedPatientId);
+
+  const query = useQuery({
+    queryKey: ['patients'],
+    queryFn: getPatients,
+    staleTime: Infinity, // Patient bundles only change with a deploy
+    retry: 1
+  });
+
+  const patients = query.data || [];
+  const selectedPatient = patients.find(patient => patient.id === selectedPatientId) || null;
+
+  // Select the first patient when nothing (or an unknown patient) is selected
+  useEffect(() => {
+    if (patients.length > 0 && !selectedPatient) {
+      setSelectedPatientId(patients[0].id);
+    }
+  }, [patients, selectedPatient, setSelectedPatientId]);
+
+  return {
+    patients,
+    selectedPatient,
+    selectedPatientId: selectedPatient?.id,
+    setSelectedPatientId,
+    isLoading: query.isLoading,
+    error: query.error
+  };
+}
@@ -13,6 +13,9 @@ export function useSettings() {
     wordWrap: 'on',
     autoComplete: true,
     bracketMatching: true,
+    lintRules: {}, // CQL lint rule ids mapped to severities
+    keymap: 'default', // 'default', 'vim' or 'emacs'
+    keyBindings: {}, // editor command ids mapped to shortcuts, e.g. { run: 'Ctrl+Enter' }
     
     // Learning Preferences
     difficultyFilter: 'all',
@@ -93,6 +96,9 @@ export function useSettings() {
       wordWrap: 'on',
       autoComplete: true,
       bracketMatching: true,
+      lintRules: {},
+      keymap: 'default',
+      keyBindings: {},
       difficultyFilter: 'all',
       hintFrequency: 'normal',
       autoAdvance: true,
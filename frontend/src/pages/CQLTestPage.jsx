@@ -1,12 +1,41 @@
-import { useState } from 'react';
-import { Container, Row, Col, Card, Button, Alert, Form, Badge } from 'react-bootstrap';
-import { executeCQL } from '../services/api';
+import { useMemo, useState } from 'react';
+import { Container, Row, Col, Card, Button, Alert, Form, Badge, Nav } from 'react-bootstrap';
+import { executeCQL, translateToELM } from '../services/api';
+import { SimpleCodeEditor } from '../components/SimpleCodeEditor';
+import { PatientPicker } from '../components/exercise/PatientPicker';
+import { ParameterPanel } from '../components/exercise/ParameterPanel';
+import { ResultValue } from '../components/exercise/ResultValue';
+import { ElmTree } from '../components/exercise/ElmTree';
+import { usePatients } from '../hooks/usePatients';
+import { useCQLParameters } from '../hooks/useCQLParameters';
+import { buildElmTree, findElmNodeAt } from '../utils/elm-source-map';
+
+const ELM_OPTIONS = [
+  { name: 'annotations', label: 'Annotations' },
+  { name: 'locators', label: 'Locators' },
+  { name: 'resultTypes', label: 'Result types' }
+];
 
 export function CQLTestPage() {
   const [cqlCode, setCqlCode] = useState('define "Test": 1 + 1');
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
+  const { selectedPatientId } = usePatients();
+  const { parameters, values, setValue, resetValues, requestParameters } = useCQLParameters(cqlCode);
+
+  // ELM viewer; nodes map to the CQL they came from while the code is unchanged
+  const [elmResult, setElmResult] = useState(null);
+  const [elmOptions, setElmOptions] = useState({ annotations: true, locators: true, resultTypes: true });
+  const [elmView, setElmView] = useState('tree');
+  const [elmError, setElmError] = useState(null);
+  const [translating, setTranslating] = useState(false);
+  const [translatedCode, setTranslatedCode] = useState(null);
+  const [selectedElmNode, setSelectedElmNode] = useState(null);
+  const [hoveredElmNode, setHoveredElmNode] = useState(null);
+  const elmTree = useMemo(() => buildElmTree(elmResult?.elm), [elmResult]);
+  const elmStale = Boolean(elmResult) && translatedCode !== cqlCode;
+  const highlightedRange = elmStale ? null : (hoveredElmNode || selectedElmNode)?.range || null;
 
   const handleExecute = async () => {
     if (!cqlCode.trim()) {
@@ -19,7 +48,10 @@ export function CQLTestPage() {
     setResult(null);
 
     try {
-      const response = await executeCQL(cqlCode);
+      const response = await executeCQL(cqlCode, {
+        patientId: selectedPatientId,
+        parameters: requestParameters
+      });
       // Extract the actual CQL results array from the API response
       setResult(response.data || []);
     } catch (err) {
@@ -29,6 +61,35 @@ export function CQLTestPage() {
     }
   };
 
+  const handleTranslate = async (options = elmOptions) => {
+    setTranslating(true);
+    setElmError(null);
+
+    try {
+      const result = await translateToELM(cqlCode, options);
+      setElmResult(result);
+      setTranslatedCode(cqlCode);
+      setSelectedElmNode(null);
+      setHoveredElmNode(null);
+    } catch (err) {
+      setElmError(err.message || 'CQL translation failed');
+    } finally {
+      setTranslating(false);
+    }
+  };
+
+  const handleElmOptionChange = (name, checked) => {
+    const next = { ...elmOptions, [name]: checked };
+    setElmOptions(next);
+    if (elmResult) handleTranslate(next);
+  };
+
+  // Follow the editor cursor to the innermost ELM node translated from that CQL
+  const handleCursorChange = (position) => {
+    if (!elmTree || elmStale) return;
+    setSelectedElmNode(findElmNodeAt(elmTree, position));
+  };
+
   const examples = [
     {
       name: 'Simple Arithmetic',
@@ -51,6 +112,40 @@ export function CQLTestPage() {
       code: `define "FirstName": 'John'
 define "LastName": 'Doe'
 define "FullName": FirstName + ' ' + LastName`
+    },
+    {
+      name: 'Patient Conditions',
+      code: `library PatientData
+using FHIR version '4.0.1'
+
+context Patient
+
+define "Gender": Patient.gender
+define "Conditions": [Condition]
+define "Active Medications": [MedicationRequest] M where M.status = 'active'`
+    },
+    {
+      name: 'Measurement Period',
+      code: `library MeasurementPeriod
+using FHIR version '4.0.1'
+
+parameter "Measurement Period" Interval<DateTime>
+  default Interval[@2024-01-01T00:00:00.0, @2025-01-01T00:00:00.0)
+parameter "Systolic Threshold" Quantity default 140 'mm[Hg]'
+
+context Patient
+
+define "Encounters During Period":
+  [Encounter] E where E.period.start during "Measurement Period"
+
+define "High Blood Pressure Readings":
+  [Observation] O
+    where O.effective as dateTime during "Measurement Period"
+      and exists (
+        O.component C
+          where C.code.coding.code contains '8480-6'
+            and C.value as Quantity >= "Systolic Threshold"
+      )`
     }
   ];
 
@@ -61,6 +156,7 @@ define "FullName": FirstName + ' ' + LastName`
           <h1 className="mb-4">CQL Execution Test</h1>
           <p className="text-muted mb-4">
             Test the CQL execution service integration. This page uses the mock CQL service running on port 8080.
+            Pick a synthetic patient to run the same code against different patient data.
           </p>
         </Col>
       </Row>
@@ -74,16 +170,33 @@ define "FullName": FirstName + ' ' + LastName`
             <Card.Body>
               <Form.Group className="mb-3">
                 <Form.Label>Enter CQL Code:</Form.Label>
-                <Form.Control
-                  as="textarea"
-                  rows={8}
+                <SimpleCodeEditor
                   value={cqlCode}
-                  onChange={(e) => setCqlCode(e.target.value)}
-                  placeholder="Enter your CQL code here..."
-                  className="font-monospace"
+                  onChange={setCqlCode}
+                  height="240px"
+                  highlight={highlightedRange}
+                  onCursorChange={handleCursorChange}
                 />
               </Form.Group>
               
+              <Form.Group className="mb-3">
+                <Form.Label>Patient:</Form.Label>
+                <PatientPicker showDescription disabled={loading} />
+              </Form.Group>
+
+              {parameters.length > 0 && (
+                <Form.Group className="mb-3">
+                  <Form.Label>Parameters:</Form.Label>
+                  <ParameterPanel
+                    parameters={parameters}
+                    values={values}
+                    onChange={setValue}
+                    onReset={resetValues}
+                    disabled={loading}
+                  />
+                </Form.Group>
+              )}
+
               <div className="d-grid gap-2">
                 <Button 
                   variant="primary" 
@@ -167,11 +280,8 @@ define "FullName": FirstName + ' ' + LastName`
                           {item.result !== undefined && (
                             <div className="mt-2">
                               <strong>Result:</strong>
-                              <div className="bg-light p-2 rounded font-monospace small mt-1">
-                                {typeof item.result === 'string' ? 
-                                  `"${item.result}"` : 
-                                  JSON.stringify(item.result)
-                                }
+                              <div className="bg-light p-2 rounded small mt-1">
+                                <ResultValue value={item.result} type={item.resultType} />
                               </div>
                             </div>
                           )}
@@ -210,6 +320,97 @@ define "FullName": FirstName + ' ' + LastName`
         </Col>
       </Row>
 
+      <Row className="mt-4">
+        <Col>
+          <Card>
+            <Card.Header className="d-flex flex-wrap align-items-center gap-3">
+              <h5 className="mb-0 me-auto">ELM Output</h5>
+              {ELM_OPTIONS.map(option => (
+                <Form.Check
+                  key={option.name}
+                  type="switch"
+                  id={`elm-option-${option.name}`}
+                  label={option.label}
+                  checked={elmOptions[option.name]}
+                  onChange={(e) => handleElmOptionChange(option.name, e.target.checked)}
+                  disabled={translating}
+                />
+              ))}
+              <Button
+                variant="outline-primary"
+                size="sm"
+                onClick={() => handleTranslate()}
+                disabled={translating || !cqlCode.trim()}
+              >
+                {translating ? 'Translating...' : 'Translate to ELM'}
+              </Button>
+            </Card.Header>
+            <Card.Body>
+              {elmError && (
+                <Alert variant="danger">
+                  <Alert.Heading>Translation Failed</Alert.Heading>
+                  <p className="mb-0 font-monospace small">{elmError}</p>
+                </Alert>
+              )}
+
+              {elmResult ? (
+                <>
+                  {elmResult.errors.length > 0 && (
+                    <Alert variant="warning" className="small">
+                      {elmResult.errors.map((item, index) => (
+                        <div key={index} className="font-monospace">
+                          {item.location && `Ln ${item.location.start.line}, Col ${item.location.start.column}: `}
+                          {item.message}
+                        </div>
+                      ))}
+                    </Alert>
+                  )}
+
+                  <div className="d-flex align-items-center mb-2">
+                    <Nav variant="tabs" activeKey={elmView} onSelect={setElmView} className="flex-grow-1">
+                      <Nav.Item><Nav.Link eventKey="tree">Tree</Nav.Link></Nav.Item>
+                      <Nav.Item><Nav.Link eventKey="json">JSON</Nav.Link></Nav.Item>
+                      <Nav.Item><Nav.Link eventKey="xml">XML</Nav.Link></Nav.Item>
+                    </Nav>
+                    {elmStale && (
+                      <Badge bg="warning" text="dark" className="ms-2">
+                        Code changed; translate again to update the ELM
+                      </Badge>
+                    )}
+                  </div>
+
+                  {elmView === 'tree' && (
+                    <>
+                      <ElmTree
+                        tree={elmTree}
+                        selectedId={selectedElmNode?.id}
+                        onSelect={setSelectedElmNode}
+                        onHover={setHoveredElmNode}
+                      />
+                      <small className="text-muted">
+                        Hover over or select a node to highlight its CQL; move the cursor in the editor to find the node for that CQL.
+                        {!elmOptions.locators && ' Turn on locators to map between the ELM and the CQL.'}
+                      </small>
+                    </>
+                  )}
+                  {elmView !== 'tree' && (
+                    <pre className="bg-light border rounded p-2 small mb-0 overflow-auto" style={{ maxHeight: 480 }}>
+                      {elmView === 'json' ? JSON.stringify(elmResult.elm, null, 2) : elmResult.xml}
+                    </pre>
+                  )}
+                </>
+              ) : (
+                !elmError && (
+                  <div className="text-muted text-center py-4">
+                    <p>Click "Translate to ELM" to see the ELM the CQL translates to.</p>
+                  </div>
+                )
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
       <Row className="mt-4">
         <Col>
           <Card>
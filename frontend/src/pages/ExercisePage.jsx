@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, Suspense } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, Suspense } from 'react';
 import { Container, Row, Col, Toast, ToastContainer } from 'react-bootstrap';
 import { ErrorBoundary, ExerciseErrorFallback, EditorErrorFallback } from '../components/ErrorBoundary';
 import { ExerciseLoadingSkeleton, CodeEditorLoading, ExerciseListLoading } from '../components/LoadingStates';
@@ -6,10 +6,16 @@ import { NetworkError, OfflineFallback, useApiErrorHandler } from '../components
 import { InstructionsPanel } from '../components/exercise/InstructionsPanel';
 import { CodeEditor } from '../components/exercise/CodeEditor';
 import { ResultsPanel } from '../components/exercise/ResultsPanel';
+import { PatientPicker } from '../components/exercise/PatientPicker';
+import { ParameterPanel } from '../components/exercise/ParameterPanel';
 import { ExerciseNavigation } from '../components/exercise/ExerciseNavigation';
+import { AssessmentPanel } from '../components/exercise/AssessmentPanel';
 import { useExerciseStore } from '../stores/exerciseStore';
 import { useExercise } from '../hooks/useExercise';
 import { useCQLExecution } from '../hooks/useCQLExecution';
+import { usePatients } from '../hooks/usePatients';
+import { useCQLParameters } from '../hooks/useCQLParameters';
+import { useAssessment } from '../hooks/useAssessment';
 
 export function ExercisePage() {
   const {
@@ -19,8 +25,11 @@ export function ExercisePage() {
     completedExercises,
     code,
     setCode,
+    libraries,
+    setLibraries,
     resetExercise,
-    setCurrentIndex
+    setCurrentIndex,
+    loadCatalogExercises
   } = useExerciseStore();
 
   const {
@@ -42,13 +51,39 @@ export function ExercisePage() {
     error: executionError,
     executionHistory,
     getFormattedResults,
+    getDiagnostics,
     resetState
   } = useCQLExecution();
 
+  const { selectedPatientId } = usePatients();
+  const {
+    parameters,
+    values: parameterValues,
+    setValue: setParameterValue,
+    resetValues: resetParameterValues,
+    requestParameters
+  } = useCQLParameters(code, currentExercise?.parameters || null);
   const { handleError } = useApiErrorHandler();
+  const assessment = useAssessment(currentExercise);
+  // Hints and the solution stay locked until an assessment ends
+  const referenceLocked = assessment.isAssessment && !assessment.isFinished;
   const [status, setStatus] = useState('idle');
   const [toast, setToast] = useState({ show: false, message: '', variant: 'info' });
   const [networkError, setNetworkError] = useState(null);
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [nextHintRequest, setNextHintRequest] = useState(0);
+  const [traceMode, setTraceMode] = useState(false);
+  const [revealedHints, setRevealedHints] = useState(new Set());
+  const [scoreBreakdown, setScoreBreakdown] = useState(null);
+
+  // The published catalog adds its exercises, e.g. assessments, after the CQF exercises
+  useEffect(() => {
+    loadCatalogExercises().catch(error => setToast({
+      show: true,
+      message: error.message,
+      variant: 'warning'
+    }));
+  }, [loadCatalogExercises]);
 
   // Handle code changes
   const handleCodeChange = useCallback((newCode) => {
@@ -85,7 +120,12 @@ export function ExercisePage() {
       
       console.log('=== ExercisePage Execute Debug ===');
       console.log('Code to execute:', code);
-      const result = await execute(code);
+      const result = await execute(code, {
+        libraries,
+        trace: traceMode,
+        patientId: selectedPatientId,
+        parameters: requestParameters
+      });
       console.log('Execute result:', result);
       setStatus('success');
       
@@ -116,7 +156,7 @@ export function ExercisePage() {
         });
       }
     }
-  }, [code, execute, handleError]);
+  }, [code, libraries, execute, handleError, traceMode, selectedPatientId, requestParameters]);
 
   // Handle submit
   const handleSubmit = useCallback(async () => {
@@ -129,6 +169,34 @@ export function ExercisePage() {
       return;
     }
 
+    // Assessment submissions are graded by the server, which withholds the score until the assessment ends
+    if (assessment.isAssessment) {
+      if (!assessment.inProgress) {
+        setToast({
+          show: true,
+          message: assessment.isFinished
+            ? 'This assessment has ended; start a new attempt to submit again'
+            : 'Start the assessment before submitting',
+          variant: 'warning'
+        });
+        return;
+      }
+
+      setStatus('submitting');
+      const attempt = await assessment.submit(code, libraries);
+      setStatus('idle');
+      if (attempt) {
+        setToast({
+          show: true,
+          message: attempt.result
+            ? 'Submission recorded. The assessment has ended; your score is shown below.'
+            : `Submission recorded. ${attempt.maxSubmissions - attempt.submissionsUsed} submission(s) left; scores are shown when the assessment ends.`,
+          variant: 'info'
+        });
+      }
+      return;
+    }
+
     try {
       setStatus('submitting');
       setNetworkError(null);
@@ -136,11 +204,20 @@ export function ExercisePage() {
       resetState();
       setToast({ show: false, message: '', variant: 'info' });
       
-      // First run the code
-      await execute(code);
+      // First run the code, against the same patient and parameters as a run
+      const executed = await execute(code, {
+        libraries,
+        patientId: selectedPatientId,
+        parameters: requestParameters
+      });
       
-      // Then validate the exercise
-      const validation = await validateExercise(code);
+      // Then validate the exercise; running without errors and hints revealed count toward the score
+      const validation = await validateExercise(code, currentIndex, {
+        libraries,
+        execution: executed.result?.data,
+        hintsUsed: revealedHints.size
+      });
+      setScoreBreakdown(validation.breakdown || null);
       
       if (validation.isValid) {
         completeExercise(currentIndex, validation.score);
@@ -183,17 +260,20 @@ export function ExercisePage() {
         });
       }
     }
-  }, [code, execute, validateExercise, completeExercise, currentIndex, canNavigate.next, nextExercise, handleError]);
+  }, [code, libraries, assessment, execute, validateExercise, revealedHints, completeExercise, currentIndex, canNavigate.next, nextExercise, handleError, selectedPatientId, requestParameters]);
 
   // Get execution results for display
   const displayResults = lastResult?.result?.data || null;
+  const diagnostics = useMemo(() => getDiagnostics(displayResults), [displayResults, getDiagnostics]);
   const displayLogs = status === 'error' 
     ? (lastResult?.error || executionError?.message || '') 
     : '';
 
-  // Reset status when exercise changes
+  // Reset status, hints revealed and the score when exercise changes
   useEffect(() => {
     setStatus('idle');
+    setRevealedHints(new Set());
+    setScoreBreakdown(null);
   }, [currentIndex]);
 
   return (
@@ -229,6 +309,9 @@ export function ExercisePage() {
                       <InstructionsPanel 
                         exercise={currentExercise}
                         className="border-0"
+                        nextHintRequest={nextHintRequest}
+                        hintsLocked={referenceLocked}
+                        onHintReveal={(hintIndex) => setRevealedHints(previous => new Set(previous).add(hintIndex))}
                       />
                     </ErrorBoundary>
                   </div>
@@ -254,6 +337,15 @@ export function ExercisePage() {
                   </div>
                 )}
                 
+                {/* Assessment countdown and result */}
+                {assessment.isAssessment && (
+                  <AssessmentPanel
+                    exercise={currentExercise}
+                    assessment={assessment}
+                    className="px-3 pt-3"
+                  />
+                )}
+
                 {/* Code Editor - Top Half */}
                 <div className="p-3" style={{ height: '50vh' }}>
                   <ErrorBoundary fallback={EditorErrorFallback}>
@@ -266,26 +358,54 @@ export function ExercisePage() {
                         onRun={handleRun}
                         onSubmit={handleSubmit}
                         onCodeChange={handleCodeChange}
-                        showCheat={true}
+                        onLibrariesChange={setLibraries}
+                        onNextHint={referenceLocked ? null : () => setNextHintRequest(count => count + 1)}
+                        showCheat={!referenceLocked}
+                        diagnostics={diagnostics}
+                        jumpTo={jumpTarget}
                       />
                     </Suspense>
                   </ErrorBoundary>
                 </div>
                 
                 {/* Results Panel - Bottom Half */}
-                <div className="p-3 border-top" style={{ height: '50vh' }}>
-                  <ErrorBoundary fallback={ExerciseErrorFallback}>
-                    <ResultsPanel
-                      results={displayResults}
-                      status={status}
-                      logs={displayLogs}
-                      height="100%"
-                      onClear={() => {
-                        setStatus('idle');
-                        setNetworkError(null);
-                      }}
+                <div className="p-3 border-top d-flex flex-column" style={{ height: '50vh' }}>
+                  <PatientPicker className="mb-2" disabled={status === 'running'} />
+                  <div className="mb-2" style={{ maxHeight: '40%', overflowY: 'auto' }}>
+                    <ParameterPanel
+                      parameters={parameters}
+                      values={parameterValues}
+                      onChange={setParameterValue}
+                      onReset={resetParameterValues}
+                      disabled={status === 'running'}
                     />
-                  </ErrorBoundary>
+                  </div>
+                  <div className="flex-grow-1" style={{ minHeight: 0 }}>
+                    <ErrorBoundary fallback={ExerciseErrorFallback}>
+                      <ResultsPanel
+                        results={displayResults}
+                        status={status}
+                        logs={displayLogs}
+                        height="100%"
+                        diagnostics={diagnostics}
+                        scoreBreakdown={assessment.isAssessment ? assessment.attempt?.result?.breakdown || null : scoreBreakdown}
+                        onDiagnosticSelect={(diagnostic) => setJumpTarget({ ...diagnostic.location })}
+                        traceEnabled={traceMode}
+                        onTraceToggle={setTraceMode}
+                        onTraceSelect={({ location: { start, end } }) => setJumpTarget({
+                          line: start.line,
+                          column: start.column,
+                          endLine: end.line,
+                          endColumn: end.column + 1
+                        })}
+                        onClear={() => {
+                          setStatus('idle');
+                          setNetworkError(null);
+                          setScoreBreakdown(null);
+                        }}
+                      />
+                    </ErrorBoundary>
+                  </div>
                 </div>
               </Col>
             </Row>
@@ -0,0 +1,327 @@
+import React, { useState } from 'react';
+import { Container, Row, Col, Card, Table, Button, Badge, Alert, Form, Modal, Spinner } from 'react-bootstrap';
+import { PencilSquare, Plus, Send, CheckCircle, XCircle, Trash, Layers } from 'react-bootstrap-icons';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { ExerciseAuthoring } from '../components/ExerciseAuthoring';
+import exerciseService from '../services/exerciseService.js';
+
+const STATUS_VARIANTS = {
+  draft: 'secondary',
+  review: 'warning',
+  published: 'success'
+};
+
+/**
+ * Exercise Studio Page Component
+ * Lists every exercise in the catalog with its working version, and takes
+ * exercises through authoring, review and publishing
+ */
+export function ExerciseStudioPage() {
+  const queryClient = useQueryClient();
+  // null while browsing, { exercise } while editing; a new exercise has no exercise
+  const [editing, setEditing] = useState(null);
+  const [versionDialog, setVersionDialog] = useState(null);
+  const [rejectDialog, setRejectDialog] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const { data: records = [], isLoading, error } = useQuery({
+    queryKey: ['exercise-catalog'],
+    queryFn: () => exerciseService.listCatalogExercises('all'),
+    staleTime: 0
+  });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['exercise-catalog'] });
+
+  // Run a catalog action for an exercise, reporting its outcome
+  const runAction = async (exerciseId, action, message) => {
+    setBusyId(exerciseId);
+    setActionError(null);
+    try {
+      const record = await action();
+      setNotice(message(record));
+      refresh();
+      return record;
+    } catch (actionFailure) {
+      setActionError(actionFailure.message);
+      return null;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const editDraft = async (exerciseId) => {
+    const record = await runAction(
+      exerciseId,
+      () => exerciseService.getExerciseRecord(exerciseId, 'working'),
+      () => null
+    );
+    if (record) setEditing({ exercise: record.exercise });
+  };
+
+  const startVersion = async () => {
+    const { id, bump, changeNote } = versionDialog;
+    setVersionDialog(null);
+    const record = await runAction(
+      id,
+      () => exerciseService.startExerciseVersion(id, { bump, changeNote: changeNote || undefined }),
+      started => `Started ${id} v${started.version}`
+    );
+    if (record) setEditing({ exercise: record.exercise });
+  };
+
+  const changeStatus = (exerciseId, action, reviewNote) => runAction(
+    exerciseId,
+    () => exerciseService.changeExerciseStatus(exerciseId, action, reviewNote),
+    record => `${exerciseId} v${record.version} is now ${record.status}`
+  );
+
+  const reject = () => {
+    const { id, reviewNote } = rejectDialog;
+    setRejectDialog(null);
+    changeStatus(id, 'reject', reviewNote || undefined);
+  };
+
+  const discard = (record) => {
+    if (window.confirm(`Discard ${record.id} v${record.version}? This cannot be undone.`)) {
+      runAction(
+        record.id,
+        () => exerciseService.discardExerciseDraft(record.id),
+        () => `Discarded ${record.id} v${record.version}`
+      );
+    }
+  };
+
+  const handleSaved = (record) => {
+    setNotice(`Saved ${record.id} v${record.version} as a draft`);
+    setEditing({ exercise: record.exercise });
+    refresh();
+  };
+
+  if (editing) {
+    return (
+      <Container fluid className="py-4">
+        {notice && (
+          <Alert variant="success" dismissible onClose={() => setNotice(null)}>
+            <CheckCircle className="me-2" />
+            {notice}
+          </Alert>
+        )}
+        <ExerciseAuthoring
+          key={editing.exercise?.id || 'new'}
+          exercise={editing.exercise}
+          onSave={handleSaved}
+          onCancel={() => {
+            setEditing(null);
+            setNotice(null);
+          }}
+        />
+      </Container>
+    );
+  }
+
+  return (
+    <Container fluid className="py-4">
+      <Row>
+        <Col xs={12}>
+          <div className="d-flex align-items-center justify-content-between mb-4">
+            <div className="d-flex align-items-center">
+              <PencilSquare className="me-2" size={24} />
+              <h2 className="mb-0">Exercise Studio</h2>
+            </div>
+            <Button variant="primary" onClick={() => setEditing({})}>
+              <Plus className="me-1" />
+              New Exercise
+            </Button>
+          </div>
+
+          {notice && (
+            <Alert variant="success" dismissible onClose={() => setNotice(null)}>
+              <CheckCircle className="me-2" />
+              {notice}
+            </Alert>
+          )}
+          {actionError && (
+            <Alert variant="danger" dismissible onClose={() => setActionError(null)}>
+              {actionError}
+            </Alert>
+          )}
+        </Col>
+      </Row>
+
+      <Card>
+        <Card.Body className="p-0">
+          {isLoading && (
+            <div className="text-center py-4">
+              <Spinner animation="border" role="status">
+                <span className="visually-hidden">Loading exercises...</span>
+              </Spinner>
+            </div>
+          )}
+
+          {error && (
+            <Alert variant="danger" className="m-3">
+              The exercise catalog could not be loaded: {error.message}
+            </Alert>
+          )}
+
+          {!isLoading && !error && (
+            <Table hover responsive className="mb-0 align-middle">
+              <thead>
+                <tr>
+                  <th>Exercise</th>
+                  <th>Version</th>
+                  <th>Status</th>
+                  <th>Published</th>
+                  <th className="text-end">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {records.map(record => (
+                  <tr key={record.id}>
+                    <td>
+                      <div className="fw-semibold">{record.exercise.title}</div>
+                      <small className="text-muted font-monospace">{record.id}</small>
+                      {record.reviewNote && record.status === 'draft' && (
+                        <div className="small text-danger">Review note: {record.reviewNote}</div>
+                      )}
+                    </td>
+                    <td>v{record.version}</td>
+                    <td>
+                      <Badge bg={STATUS_VARIANTS[record.status] || 'secondary'}>{record.status}</Badge>
+                    </td>
+                    <td>{record.publishedVersion ? `v${record.publishedVersion}` : '—'}</td>
+                    <td className="text-end">
+                      <StudioActions
+                        record={record}
+                        busy={busyId === record.id}
+                        onEdit={() => editDraft(record.id)}
+                        onNewVersion={() => setVersionDialog({ id: record.id, bump: 'minor', changeNote: '' })}
+                        onSubmit={() => changeStatus(record.id, 'review')}
+                        onPublish={() => changeStatus(record.id, 'publish')}
+                        onReject={() => setRejectDialog({ id: record.id, reviewNote: '' })}
+                        onDiscard={() => discard(record)}
+                      />
+                    </td>
+                  </tr>
+                ))}
+                {records.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="text-center text-muted py-4">
+                      The catalog has no exercises yet.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* New Version Modal */}
+      <Modal show={Boolean(versionDialog)} onHide={() => setVersionDialog(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>New Version of {versionDialog?.id}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Form.Group className="mb-3">
+            <Form.Label>Change</Form.Label>
+            <Form.Select
+              value={versionDialog?.bump || 'minor'}
+              onChange={(e) => setVersionDialog({ ...versionDialog, bump: e.target.value })}
+            >
+              <option value="patch">Patch: wording and fixes</option>
+              <option value="minor">Minor: new hints, tests or content</option>
+              <option value="major">Major: a different exercise for learners</option>
+            </Form.Select>
+          </Form.Group>
+          <Form.Group>
+            <Form.Label>Change Note</Form.Label>
+            <Form.Control
+              type="text"
+              value={versionDialog?.changeNote || ''}
+              onChange={(e) => setVersionDialog({ ...versionDialog, changeNote: e.target.value })}
+              maxLength={500}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setVersionDialog(null)}>Cancel</Button>
+          <Button variant="primary" onClick={startVersion}>Start Version</Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Reject Modal */}
+      <Modal show={Boolean(rejectDialog)} onHide={() => setRejectDialog(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Return {rejectDialog?.id} to Draft</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Form.Group>
+            <Form.Label>Note for the author</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              value={rejectDialog?.reviewNote || ''}
+              onChange={(e) => setRejectDialog({ ...rejectDialog, reviewNote: e.target.value })}
+              maxLength={1000}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setRejectDialog(null)}>Cancel</Button>
+          <Button variant="danger" onClick={reject}>Reject</Button>
+        </Modal.Footer>
+      </Modal>
+    </Container>
+  );
+}
+
+// The lifecycle actions available for a record's status
+function StudioActions({ record, busy, onEdit, onNewVersion, onSubmit, onPublish, onReject, onDiscard }) {
+  if (busy) {
+    return <Spinner animation="border" size="sm" />;
+  }
+
+  if (record.status === 'published') {
+    return (
+      <Button variant="outline-primary" size="sm" onClick={onNewVersion}>
+        <Layers className="me-1" />
+        New Version
+      </Button>
+    );
+  }
+
+  return (
+    <div className="d-inline-flex gap-1">
+      {record.status === 'draft' && (
+        <>
+          <Button variant="outline-primary" size="sm" onClick={onEdit}>
+            <PencilSquare className="me-1" />
+            Edit
+          </Button>
+          <Button variant="outline-warning" size="sm" onClick={onSubmit}>
+            <Send className="me-1" />
+            Submit for Review
+          </Button>
+        </>
+      )}
+      {record.status === 'review' && (
+        <>
+          <Button variant="outline-success" size="sm" onClick={onPublish}>
+            <CheckCircle className="me-1" />
+            Publish
+          </Button>
+          <Button variant="outline-danger" size="sm" onClick={onReject}>
+            <XCircle className="me-1" />
+            Reject
+          </Button>
+        </>
+      )}
+      <Button variant="outline-secondary" size="sm" onClick={onDiscard} title="Discard this version">
+        <Trash />
+      </Button>
+    </div>
+  );
+}
@@ -1,7 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Form, Button, Badge, Alert } from 'react-bootstrap';
-import { Gear, Palette, Book, Download, TrashFill, CheckCircle } from 'react-bootstrap-icons';
+import { Gear, Palette, Book, Download, TrashFill, CheckCircle, ListCheck, Keyboard } from 'react-bootstrap-icons';
 import { useSettings } from '../hooks/useSettings';
+import { LINT_RULES, LINT_SEVERITIES } from '../../../shared/cql/index.js';
+import {
+  KEYMAP_MODES,
+  EDITOR_COMMANDS,
+  getShortcuts,
+  shortcutFromEvent,
+  findShortcutConflicts
+} from '../utils/editor-keymaps';
 
 /**
  * Settings Page Component
@@ -61,6 +69,28 @@ export function SettingsPage() {
 
   // updateSetting is now provided by the hook
 
+  const shortcuts = getShortcuts(settings.keyBindings);
+  const shortcutConflicts = findShortcutConflicts(shortcuts, settings.keymap);
+  const conflictFor = commandId => shortcutConflicts.find(conflict => conflict.commands.includes(commandId));
+
+  // Record the shortcut typed into a command's field; Backspace alone unbinds it
+  const recordShortcut = (commandId, event) => {
+    if (event.key === 'Tab') return;
+    event.preventDefault();
+
+    const shortcut = event.key === 'Backspace' && !event.ctrlKey && !event.metaKey && !event.altKey
+      ? ''
+      : shortcutFromEvent(event);
+    if (shortcut === null) return;
+    updateSetting('keyBindings', { ...settings.keyBindings, [commandId]: shortcut });
+  };
+
+  const resetShortcut = (commandId) => {
+    updateSetting('keyBindings', Object.fromEntries(
+      Object.entries(settings.keyBindings || {}).filter(([id]) => id !== commandId)
+    ));
+  };
+
   return (
     <Container fluid className="py-4">
       <Row>
@@ -230,6 +260,124 @@ export function SettingsPage() {
         </Col>
       </Row>
 
+      <Row>
+        {/* CQL Lint Rules */}
+        <Col xs={12} className="mb-4">
+          <Card>
+            <Card.Header>
+              <div className="d-flex align-items-center">
+                <ListCheck className="me-2" size={20} />
+                <h5 className="mb-0">CQL Lint Rules</h5>
+              </div>
+            </Card.Header>
+            <Card.Body>
+              <p className="text-muted">
+                Best-practice checks shown in the editor. Exercises may enable rules as part of grading.
+              </p>
+              <Row>
+                {LINT_RULES.map(rule => (
+                  <Col md={6} key={rule.id}>
+                    <Form.Group className="mb-3" controlId={`lint-${rule.id}`}>
+                      <Form.Label>
+                        {rule.title}{' '}
+                        <a href={rule.docsUrl} target="_blank" rel="noopener noreferrer" className="small">
+                          {rule.id}
+                        </a>
+                      </Form.Label>
+                      <Form.Select
+                        value={settings.lintRules?.[rule.id] || rule.severity}
+                        onChange={(e) => updateSetting('lintRules', { ...settings.lintRules, [rule.id]: e.target.value })}
+                      >
+                        {LINT_SEVERITIES.map(severity => (
+                          <option key={severity} value={severity}>
+                            {severity === 'off' ? 'Off' : severity.charAt(0).toUpperCase() + severity.slice(1)}
+                          </option>
+                        ))}
+                      </Form.Select>
+                      <Form.Text className="text-muted">{rule.description}</Form.Text>
+                    </Form.Group>
+                  </Col>
+                ))}
+              </Row>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <Row>
+        {/* Keyboard */}
+        <Col xs={12} className="mb-4">
+          <Card>
+            <Card.Header>
+              <div className="d-flex align-items-center">
+                <Keyboard className="me-2" size={20} />
+                <h5 className="mb-0">Keyboard</h5>
+              </div>
+            </Card.Header>
+            <Card.Body>
+              <Form.Group className="mb-4" controlId="keymap">
+                <Form.Label>Keybinding Mode</Form.Label>
+                <Form.Select
+                  value={settings.keymap || 'default'}
+                  onChange={(e) => updateSetting('keymap', e.target.value)}
+                >
+                  {KEYMAP_MODES.map(mode => (
+                    <option key={mode.id} value={mode.id}>{mode.label}</option>
+                  ))}
+                </Form.Select>
+                <Form.Text className="text-muted">
+                  Vim and Emacs modes add modal editing and their own key bindings to the code editor.
+                </Form.Text>
+              </Form.Group>
+
+              <p className="text-muted">
+                Click a shortcut and press the keys to remap it. Backspace removes the shortcut. Ctrl is Cmd on macOS.
+              </p>
+              <Row>
+                {EDITOR_COMMANDS.map(command => {
+                  const conflict = conflictFor(command.id);
+                  return (
+                    <Col md={6} key={command.id}>
+                      <Form.Group className="mb-3" controlId={`shortcut-${command.id}`}>
+                        <Form.Label>{command.label}</Form.Label>
+                        <div className="d-flex gap-2">
+                          <Form.Control
+                            readOnly
+                            value={shortcuts[command.id] || ''}
+                            placeholder="Not bound"
+                            onKeyDown={(e) => recordShortcut(command.id, e)}
+                            isInvalid={Boolean(conflict)}
+                            className="font-monospace"
+                          />
+                          <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            onClick={() => resetShortcut(command.id)}
+                            disabled={!settings.keyBindings || !(command.id in settings.keyBindings)}
+                          >
+                            Default
+                          </Button>
+                        </div>
+                        {conflict && (
+                          <Form.Text className="text-danger">
+                            {conflict.commands.length > 1
+                              ? `Also bound to ${conflict.commands
+                                .filter(id => id !== command.id)
+                                .map(id => EDITOR_COMMANDS.find(other => other.id === id).label)
+                                .join(', ')}`
+                              : `Overrides ${conflict.reserved}`}
+                          </Form.Text>
+                        )}
+                      </Form.Group>
+                    </Col>
+                  );
+                })}
+              </Row>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
       <Row>
         {/* Data Management */}
         <Col xs={12}>
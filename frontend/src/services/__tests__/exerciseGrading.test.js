@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { gradeSolution } from '../exerciseGrading';
+import { executeCQL, runTestCases, runCustomValidator } from '../api.js';
+
+vi.mock('../api.js', () => ({
+  executeCQL: vi.fn(),
+  runTestCases: vi.fn(),
+  runCustomValidator: vi.fn()
+}));
+
+const CODE = "library Test version '1.0.0'\ndefine \"Adult\": AgeInYears() >= 18";
+
+const criteria = breakdown => breakdown.criteria.map(({ id, score, passed }) => [id, score, passed]);
+
+describe('gradeSolution', () => {
+  beforeEach(() => {
+    vi.mocked(executeCQL).mockReset().mockResolvedValue({ data: [{ name: 'Adult', result: true }] });
+    vi.mocked(runTestCases).mockReset();
+    vi.mocked(runCustomValidator).mockReset();
+  });
+
+  it('grades patterns, and runs the code once without test cases', async () => {
+    const exercise = {
+      validation: {
+        strategy: 'pattern-match',
+        patterns: [
+          { pattern: 'define\\s+"Adult"', description: 'Defines Adult', points: 20 },
+          { pattern: 'Count\\(', description: 'Counts', required: false }
+        ]
+      }
+    };
+
+    const { breakdown, testResults, notes } = await gradeSolution(exercise, CODE, { libraries: [{ name: 'Common', code: '' }], hintsUsed: 1 });
+
+    expect(criteria(breakdown)).toEqual([['patterns', 67, false], ['execution', 100, true]]);
+    expect(breakdown.hintPenalty).toEqual({ hintsUsed: 1, points: 5 });
+    expect(executeCQL).toHaveBeenCalledWith(CODE, { libraries: [{ name: 'Common', code: '' }] });
+    expect(testResults).toBeNull();
+    expect(notes).toEqual([]);
+  });
+
+  it('grades test cases, reusing the page\'s execution when it has one', async () => {
+    const testCases = [{ description: 'Adult patient' }, { description: 'Child patient' }];
+    vi.mocked(runTestCases).mockResolvedValue({
+      testResults: [{ description: 'Adult patient', passed: true }, { description: 'Child patient', passed: false, diffs: [] }]
+    });
+
+    const { breakdown } = await gradeSolution({ validation: { testCases } }, CODE, {
+      execution: [{ name: 'Adult', error: 'Overflow' }]
+    });
+
+    expect(criteria(breakdown)).toEqual([['tests', 50, false], ['execution', 0, false]]);
+    expect(executeCQL).not.toHaveBeenCalled();
+  });
+
+  it('checks exact-match and custom-function strategies as the solution criterion', async () => {
+    const exactMatch = {
+      validation: { strategy: 'exact-match', exactMatch: { ignoreWhitespace: true } },
+      files: [{ solution: CODE.replace(': ', ':  ') }]
+    };
+    vi.mocked(runCustomValidator).mockResolvedValue({ score: 40, passed: false, errors: ['Missing Adult'], feedback: ['Try again'] });
+
+    const matched = await gradeSolution(exactMatch, CODE);
+    const custom = await gradeSolution(
+      { id: 'custom', version: '1.2.0', validation: { strategy: 'custom-function', customValidator: 'return true;' } },
+      CODE
+    );
+
+    expect(criteria(matched.breakdown)[0]).toEqual(['solution', 100, true]);
+    expect(runCustomValidator).toHaveBeenCalledWith(CODE, 'custom', { version: '1.2.0', libraries: [] });
+    expect(custom.breakdown.criteria[0].details).toEqual([{ label: 'Missing Adult', passed: false, message: null }]);
+    expect(custom.notes).toEqual(['Try again']);
+  });
+
+  it('gives CQF exercises\' validators partial credit without blocking', async () => {
+    const validators = [
+      { name: 'Required Elements', validate: () => ({ isValid: true, message: 'All required elements present' }) },
+      { name: 'Syntax Check', validate: () => ({ isValid: false, message: 'Please complete all TODO items' }) }
+    ];
+
+    const { breakdown } = await gradeSolution({ validation: { customValidators: validators, passingScore: 0 } }, CODE);
+
+    expect(breakdown.criteria[0]).toMatchObject({ id: 'solution', score: 50, passed: false });
+    expect(breakdown.passed).toBe(true);
+    expect(breakdown.criteria[0].details[1]).toEqual({ label: 'Syntax Check', passed: false, message: 'Please complete all TODO items' });
+  });
+
+  it('grades a debug exercise\'s seeded bugs', async () => {
+    const exercise = {
+      type: 'debug',
+      validation: {},
+      files: [{
+        template: 'define A: 1\n\ndefine B: 2 > 3\n\ndefine C: 3',
+        solution: 'define A: 1\n\ndefine B: 2 < 3\n\ndefine C: 3',
+        bugs: [{ line: 3, description: 'B compares the wrong way' }]
+      }]
+    };
+
+    const unfixed = await gradeSolution(exercise, exercise.files[0].template);
+    const fixed = await gradeSolution(exercise, exercise.files[0].solution);
+
+    expect(criteria(unfixed.breakdown)[0]).toEqual(['bugs', 0, false]);
+    expect(unfixed.breakdown.passed).toBe(false);
+    expect(criteria(fixed.breakdown)[0]).toEqual(['bugs', 100, true]);
+  });
+
+  it('notes checks an exercise defines but cannot run', async () => {
+    const { notes } = await gradeSolution({ validation: { strategy: 'custom-function' } }, CODE);
+
+    expect(notes).toEqual(['No custom validator is defined for this exercise']);
+    expect(runCustomValidator).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ExerciseService } from '../exerciseService';
+
+// A service whose HTTP client resolves every request with a catalog record
+function createService(response = { data: { data: { id: 'x', status: 'draft' } } }) {
+  const service = new ExerciseService();
+  const request = vi.fn(() => (response instanceof Error ? Promise.reject(response) : Promise.resolve(response)));
+  service.axios = { get: request, post: request, put: request, delete: request };
+  service.clearCache = vi.fn();
+  return { service, request };
+}
+
+describe('ExerciseService catalog authoring', () => {
+  it('sends authoring requests to the catalog and returns the record', async () => {
+    const { service, request } = createService();
+
+    await expect(service.createExercise({ id: 'x' }, 'First draft')).resolves.toEqual({ id: 'x', status: 'draft' });
+    expect(request).toHaveBeenLastCalledWith('/exercises', { exercise: { id: 'x' }, changeNote: 'First draft' });
+
+    await service.changeExerciseStatus('a b', 'reject', 'Add a hint');
+    expect(request).toHaveBeenLastCalledWith('/exercises/a%20b/reject', { reviewNote: 'Add a hint' });
+
+    await service.changeExerciseStatus('x', 'publish', 'ignored');
+    expect(request).toHaveBeenLastCalledWith('/exercises/x/publish', {});
+
+    await service.startExerciseVersion('x', { bump: 'major' });
+    expect(request).toHaveBeenLastCalledWith('/exercises/x/versions', { bump: 'major' });
+  });
+
+  it('clears the exercise cache only when the catalog changes', async () => {
+    const { service } = createService();
+
+    await service.getExerciseRecord('x', 'working');
+    expect(service.clearCache).not.toHaveBeenCalled();
+
+    await service.updateExerciseDraft('x', { id: 'x' });
+    await service.discardExerciseDraft('x');
+    expect(service.clearCache).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects with the server\'s message and schema errors', async () => {
+    const failure = Object.assign(new Error('Request failed with status code 400'), {
+      response: {
+        data: {
+          message: 'Exercise does not match the exercise schema',
+          details: { errors: [{ path: '/difficulty', message: 'must be equal to one of the allowed values' }] }
+        }
+      }
+    });
+    const { service } = createService(failure);
+
+    await expect(service.createExercise({ id: 'x' })).rejects.toMatchObject({
+      message: 'Exercise does not match the exercise schema',
+      details: [{ path: '/difficulty', message: 'must be equal to one of the allowed values' }]
+    });
+    await expect(createService(new Error('Network Error')).service.listCatalogExercises())
+      .rejects.toMatchObject({ message: 'Network Error', details: null });
+  });
+});
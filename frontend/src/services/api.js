@@ -46,8 +46,12 @@ class ApiService {
         code: code,
         terminologyServiceUri: options.terminologyServiceUri,
         dataServiceUri: options.dataServiceUri, 
-        patientId: options.patientId || 'example-patient-id',
-        parameters: options.parameters || []
+        patientId: options.patientId,
+        parameters: options.parameters || [],
+        backend: options.backend,
+        cache: options.cache,
+        trace: options.trace,
+        libraries: options.libraries
       });
       
       return response.data;
@@ -57,6 +61,59 @@ class ApiService {
     }
   }
 
+  // Run exercise test cases against CQL code, one execution per test case
+  async runTestCases(code, testCases, options = {}) {
+    return this.post('/cql/test', { code, testCases, libraries: options.libraries });
+  }
+
+  // Run the custom validator of a published exercise version in the server's validator sandbox
+  async runCustomValidator(code, exerciseId, options = {}) {
+    return this.post('/cql/custom-validate', {
+      code,
+      exerciseId,
+      version: options.version,
+      patientId: options.patientId,
+      libraries: options.libraries
+    });
+  }
+
+  // Translate CQL code to ELM JSON and XML; options are the translator's
+  // annotations, locators and resultTypes flags, plus the libraries it may include
+  async translateToELM(code, options = {}) {
+    const { libraries, ...translatorOptions } = options;
+    return this.post('/cql/elm', { code, libraries, options: translatorOptions });
+  }
+
+  // Synthetic patients available as execution contexts
+  async getPatients() {
+    return this.get('/patients');
+  }
+
+  // CQL libraries that can be included, with their code
+  async getLibraries() {
+    return this.get('/libraries?include=source');
+  }
+
+  // Timed assessment attempts; scores are withheld until an attempt is finished
+  async startAssessment(exerciseId) {
+    return this.post('/assessments', { exerciseId });
+  }
+
+  async getAssessment(attemptId) {
+    return this.get(`/assessments/${encodeURIComponent(attemptId)}`);
+  }
+
+  async submitAssessment(attemptId, code, options = {}) {
+    return this.post(`/assessments/${encodeURIComponent(attemptId)}/submissions`, {
+      code,
+      libraries: options.libraries
+    });
+  }
+
+  async finishAssessment(attemptId) {
+    return this.post(`/assessments/${encodeURIComponent(attemptId)}/finish`);
+  }
+
   // Health check endpoint
   async healthCheck() {
     const response = await this.client.get('/health');
@@ -110,4 +167,13 @@ export const apiService = new ApiService();
 
 // Export individual methods for convenience (with proper binding)
 export const executeCQL = (...args) => apiService.executeCQL(...args);
-export const healthCheck = (...args) => apiService.healthCheck(...args);
\ No newline at end of file
+export const healthCheck = (...args) => apiService.healthCheck(...args);
+export const runTestCases = (...args) => apiService.runTestCases(...args);
+export const runCustomValidator = (...args) => apiService.runCustomValidator(...args);
+export const translateToELM = (...args) => apiService.translateToELM(...args);
+export const getPatients = (...args) => apiService.getPatients(...args);
+export const getLibraries = (...args) => apiService.getLibraries(...args);
+export const startAssessment = (...args) => apiService.startAssessment(...args);
+export const getAssessment = (...args) => apiService.getAssessment(...args);
+export const submitAssessment = (...args) => apiService.submitAssessment(...args);
+export const finishAssessment = (...args) => apiService.finishAssessment(...args);
\ No newline at end of file
@@ -0,0 +1,118 @@
+/**
+ * Exercise Grading
+ * Gathers the evidence for each rubric criterion of an exercise - its
+ * strategy's check of the solution, patterns, a debug exercise's seeded
+ * bugs, test cases, lint rules and whether the code runs - and scores it with
+ * the shared rubric. The exercise page and the exercise store both grade
+ * through here.
+ */
+
+import { executeCQL, runTestCases, runCustomValidator } from './api.js';
+import { checkLintRules } from '../../../shared/cql/index.js';
+import { checkPatterns, checkExecution, normalizeCode, scoreSolution } from '../../../shared/utils/exercise-scoring.js';
+import { checkExerciseBugs } from '../../../shared/utils/bug-diff.js';
+
+/**
+ * Grade code for an exercise
+ * @param {object} exercise - Exercise, in the exercise schema or as a CQF exercise
+ * @param {string} code - The learner's code for the exercise's first file
+ * @param {object} options - { libraries } the exercise's other files, [{ name, code }];
+ *   { execution } results of running the code, when it was run before grading;
+ *   { hintsUsed } hints revealed before submitting
+ * @returns {Promise<object>} { breakdown, testResults, notes } with the scoreSolution
+ *   breakdown and notes on checks the exercise defines but cannot run
+ */
+export async function gradeSolution(exercise, code, { libraries = [], execution = null, hintsUsed = 0 } = {}) {
+  const validation = exercise.validation || {};
+  const notes = [];
+  const evidence = {
+    hintsUsed,
+    solution: await checkSolution(exercise, code, libraries, notes)
+  };
+
+  if (validation.patterns?.length) {
+    evidence.patterns = checkPatterns(code, validation.patterns);
+  }
+
+  // Debug exercises seed their bugs in the first file
+  evidence.bugs = checkExerciseBugs(exercise, code);
+
+  // Test cases run server-side, one execution per test case against its fixtures;
+  // without test cases the code is executed once to check that it runs
+  let testResults = null;
+  if (validation.testCases?.length) {
+    testResults = (await runTestCases(code, validation.testCases, { libraries })).testResults;
+    evidence.tests = testResults;
+  }
+  const results = execution || testResults || (await executeCQL(code, { libraries })).data;
+  evidence.execution = checkExecution(results);
+
+  evidence.lint = checkLintRules(code, validation.lint?.rules);
+
+  return { breakdown: scoreSolution(validation, evidence), testResults, notes };
+}
+
+// The solution criterion: the validation strategy's check, or a CQF exercise's validators
+async function checkSolution(exercise, code, libraries, notes) {
+  const validation = exercise.validation || {};
+
+  switch (validation.strategy) {
+    case 'exact-match': {
+      const solution = exercise.files?.[0]?.solution || '';
+      const matches = normalizeCode(code, validation.exactMatch) === normalizeCode(solution, validation.exactMatch);
+      return {
+        score: matches ? 100 : 0,
+        passed: matches,
+        details: [{
+          label: 'Matches the expected solution',
+          passed: matches,
+          message: matches ? null : 'The code differs from the expected solution'
+        }]
+      };
+    }
+
+    case 'execution-result':
+      if (!validation.testCases?.length) {
+        notes.push('No test cases are defined for this exercise');
+      }
+      return null;
+
+    case 'semantic-match':
+      // TODO: Implement semantic analysis
+      return { score: 100, passed: true };
+
+    case 'custom-function': {
+      // The server runs this version's stored validator in its sandbox
+      if (!validation.customValidator) {
+        notes.push('No custom validator is defined for this exercise');
+        return null;
+      }
+      const custom = await runCustomValidator(code, exercise.id, { version: exercise.version, libraries });
+      notes.push(...custom.feedback);
+      return {
+        score: custom.score,
+        passed: custom.passed,
+        details: custom.errors.map(error => ({ label: error, passed: false, message: null }))
+      };
+    }
+
+    default:
+      break;
+  }
+
+  // CQF exercises' validators together grade the solution, with partial credit
+  const validators = validation.customValidators || [];
+  if (validators.length === 0) return null;
+
+  const details = validators.map(validator => {
+    const result = validator.validate(code);
+    return { label: validator.name, passed: result.isValid, message: result.isValid ? null : result.message };
+  });
+  const passedCount = details.filter(detail => detail.passed).length;
+  return {
+    score: (passedCount / validators.length) * 100,
+    passed: passedCount === validators.length,
+    blocking: false,
+    details
+  };
+}
@@ -4,6 +4,7 @@
  */
 
 import { CQF_EXERCISES, EXERCISE_MODULES } from '../data/cqf-exercises.js';
+import { gradeSolution } from './exerciseGrading.js';
 
 /**
  * Exercise Importer Service
@@ -246,49 +247,49 @@ export class ExerciseImporter {
 
   /**
    * Validate exercise solution
+   * @param {object} options - see gradeExercise
    */
-  async validateSolution(exerciseId, userCode) {
+  async validateSolution(exerciseId, userCode, options = {}) {
     const exercise = this.getExerciseById(exerciseId);
     if (!exercise) throw new Error('Exercise not found');
+    return this.gradeExercise(exercise, userCode, options);
+  }
 
-    const results = {
-      isValid: false,
-      score: 0,
-      message: '',
-      validationResults: [],
-      hints: []
-    };
-
-    // Run custom validators
-    const validators = exercise.validation.customValidators || [];
-    let passedCount = 0;
-
-    for (const validator of validators) {
-      const result = validator.validate(userCode);
-      results.validationResults.push({
-        name: validator.name,
-        ...result
-      });
-      
-      if (result.isValid) passedCount++;
-    }
-
-    // Calculate score
-    results.score = validators.length > 0 ? Math.round((passedCount / validators.length) * 100) : 0;
-    results.isValid = passedCount === validators.length;
+  /**
+   * Grade a solution to any exercise, scored by the exercise's rubric
+   * @param {object} options - { libraries } other files of the exercise, [{ name, code }];
+   *   { execution } results of running the code, when it was run before validating;
+   *   { hintsUsed } hints revealed before submitting
+   */
+  async gradeExercise(exercise, userCode, options = {}) {
+    const { breakdown, testResults, notes } = await gradeSolution(exercise, userCode, options);
+    const validationResults = breakdown.criteria.flatMap(criterion => criterion.details.map(detail => ({
+      name: detail.label,
+      isValid: detail.passed,
+      message: detail.message || (detail.passed ? 'Passed' : 'Failed')
+    })));
 
     // Generate message
-    if (results.isValid) {
-      results.message = `Excellent! You've completed all requirements. Score: ${results.score}%`;
+    let message;
+    if (breakdown.passed) {
+      message = `Excellent! You've completed all requirements. Score: ${breakdown.score}%`;
     } else {
-      const failedTests = results.validationResults.filter(r => !r.isValid);
-      results.message = `${failedTests.length} validation(s) failed. Keep working!`;
+      const failedCount = validationResults.filter(result => !result.isValid).length;
+      message = failedCount > 0
+        ? `${failedCount} validation(s) failed. Keep working!`
+        : `Score ${breakdown.score}% is below the ${breakdown.passingScore}% needed to pass. Keep working!`;
     }
 
-    // Add relevant hints
-    results.hints = this.getRelevantHints(exercise, userCode);
-
-    return results;
+    return {
+      isValid: breakdown.passed,
+      score: breakdown.score,
+      message: [message, ...notes].join(' '),
+      validationResults,
+      testResults,
+      breakdown,
+      // Add relevant hints
+      hints: this.getRelevantHints(exercise, userCode)
+    };
   }
 
   /**
@@ -311,6 +312,7 @@ export const getExercise = (id) => exerciseImporter.getExerciseById(id);
 export const getAllExercises = () => exerciseImporter.getAllExercises();
 export const getExercisesByModule = (moduleId) => exerciseImporter.getExercisesByModule(moduleId);
 export const searchExercises = (query) => exerciseImporter.searchExercises(query);
-export const validateExercise = (id, code) => exerciseImporter.validateSolution(id, code);
+export const validateExercise = (id, code, options) => exerciseImporter.validateSolution(id, code, options);
+export const gradeExercise = (exercise, code, options) => exerciseImporter.gradeExercise(exercise, code, options);
 
 export default exerciseImporter;
\ No newline at end of file
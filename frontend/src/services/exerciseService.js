@@ -11,6 +11,9 @@ const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 const exerciseCache = new Map();
 const searchCache = new Map();
 
+// Parts of an exercise learners get only on request
+const LEARNER_INCLUDE = 'hints,solution';
+
 /**
  * Exercise Service Class
  * Provides comprehensive exercise management capabilities
@@ -34,6 +37,11 @@ class ExerciseService {
     // Request interceptor
     this.axios.interceptors.request.use(
       config => {
+        // Authoring and drafts require an instructor's token
+        const token = localStorage.getItem('auth_token');
+        if (token) {
+          config.headers.Authorization = `Bearer ${token}`;
+        }
         console.log(`Exercise API Request: ${config.method?.toUpperCase()} ${config.url}`);
         return config;
       },
@@ -57,7 +65,9 @@ class ExerciseService {
   }
   
   /**
-   * Loads all exercises with caching
+   * Loads the latest published version of every exercise from the exercise
+   * catalog API, falling back to the local migrated exercises when the API
+   * cannot be reached
    * @returns {Promise<Array>} Array of exercises
    */
   async loadExercises() {
@@ -70,48 +80,69 @@ class ExerciseService {
     }
     
     try {
-      // For now, use local migrated exercises
-      // TODO: Replace with actual API call when backend is ready
-      const { createTestMigration } = await import('../utils/exercise-migration-demo.js');
-      const exercises = createTestMigration();
-      
-      // Validate exercises
-      const validExercises = exercises.filter(exercise => {
-        const validation = validateExerciseData(exercise);
-        if (!validation.success) {
-          console.warn(`Invalid exercise ${exercise.id}:`, validation.errors);
-          return false;
-        }
-        return true;
-      });
+      // Practice uses the hints and solutions; the catalog leaves them out of assessments
+      const response = await this.axios.get('/exercises', { params: { include: LEARNER_INCLUDE } });
+      const exercises = response.data.data.map(record => record.exercise);
       
-      // Cache valid exercises
-      this.setCache(cacheKey, validExercises);
-      console.log(`Loaded ${validExercises.length} valid exercises`);
+      this.setCache(cacheKey, exercises);
+      console.log(`Loaded ${exercises.length} published exercises`);
       
-      return validExercises;
+      return exercises;
     } catch (error) {
-      console.error('Failed to load exercises:', error);
-      throw new Error('Failed to load exercises: ' + error.message);
+      // Only an unreachable API falls back; error responses are real failures
+      if (error.response) {
+        throw new Error('Failed to load exercises: ' + (error.response.data?.message || error.message));
+      }
+      
+      console.warn('Exercise API unavailable, using local exercises:', error.message);
+      const exercises = await this.loadLocalExercises();
+      this.setCache(cacheKey, exercises);
+      return exercises;
     }
   }
   
+  /**
+   * Local migrated exercises, for working without the backend
+   * @returns {Promise<Array>} Schema-valid exercises
+   */
+  async loadLocalExercises() {
+    const { createTestMigration } = await import('../utils/exercise-migration-demo.js');
+    return createTestMigration().filter(exercise => {
+      const validation = validateExerciseData(exercise);
+      if (!validation.success) {
+        console.warn(`Invalid exercise ${exercise.id}:`, validation.errors);
+        return false;
+      }
+      return true;
+    });
+  }
+  
   /**
    * Loads a single exercise by ID
    * @param {string} exerciseId - Exercise ID
+   * @param {string} version - Semantic version, e.g. the version a learner's progress is
+   *   pinned to; the latest published version when not given
    * @returns {Promise<Object>} Exercise object
    */
-  async loadExercise(exerciseId) {
-    const cacheKey = `exercise-${exerciseId}`;
+  async loadExercise(exerciseId, version = null) {
+    const cacheKey = version ? `exercise-${exerciseId}@${version}` : `exercise-${exerciseId}`;
     const cached = this.getFromCache(cacheKey);
     
     if (cached) {
       return cached;
     }
     
-    // Load from all exercises
-    const exercises = await this.loadExercises();
-    const exercise = exercises.find(ex => ex.id === exerciseId);
+    let exercise;
+    if (version) {
+      const response = await this.axios.get(`/exercises/${encodeURIComponent(exerciseId)}`, {
+        params: { version, include: LEARNER_INCLUDE }
+      });
+      exercise = response.data.data.exercise;
+    } else {
+      // Load from all exercises
+      const exercises = await this.loadExercises();
+      exercise = exercises.find(ex => ex.id === exerciseId);
+    }
     
     if (!exercise) {
       throw new Error(`Exercise not found: ${exerciseId}`);
@@ -122,6 +153,63 @@ class ExerciseService {
     return exercise;
   }
   
+  // Exercise catalog authoring. Each method resolves to the catalog record
+  // ({ id, version, status, exercise, ... }); failures reject with the server's
+  // message and, for schema errors, its `details`.
+
+  async listCatalogExercises(status = 'all') {
+    return this.catalogRequest(this.axios.get('/exercises', { params: { status } }));
+  }
+
+  async getExerciseRecord(exerciseId, version = 'latest') {
+    return this.catalogRequest(this.axios.get(`/exercises/${encodeURIComponent(exerciseId)}`, {
+      params: { version }
+    }));
+  }
+
+  async createExercise(exercise, changeNote) {
+    return this.catalogRequest(this.axios.post('/exercises', { exercise, changeNote }), true);
+  }
+
+  async updateExerciseDraft(exerciseId, exercise, changeNote) {
+    return this.catalogRequest(
+      this.axios.put(`/exercises/${encodeURIComponent(exerciseId)}`, { exercise, changeNote }),
+      true
+    );
+  }
+
+  async startExerciseVersion(exerciseId, options = {}) {
+    return this.catalogRequest(
+      this.axios.post(`/exercises/${encodeURIComponent(exerciseId)}/versions`, options),
+      true
+    );
+  }
+
+  // action is 'review', 'publish' or 'reject'
+  async changeExerciseStatus(exerciseId, action, reviewNote) {
+    const body = action === 'reject' && reviewNote ? { reviewNote } : {};
+    return this.catalogRequest(
+      this.axios.post(`/exercises/${encodeURIComponent(exerciseId)}/${action}`, body),
+      true
+    );
+  }
+
+  async discardExerciseDraft(exerciseId) {
+    return this.catalogRequest(this.axios.delete(`/exercises/${encodeURIComponent(exerciseId)}`), true);
+  }
+
+  async catalogRequest(request, changesCatalog = false) {
+    try {
+      const response = await request;
+      if (changesCatalog) this.clearCache();
+      return response.data.data;
+    } catch (error) {
+      const failure = new Error(error.response?.data?.message || error.response?.data?.error || error.message);
+      failure.details = error.response?.data?.details?.errors || null;
+      throw failure;
+    }
+  }
+
   /**
    * Searches exercises based on criteria
    * @param {Object} criteria - Search criteria
@@ -0,0 +1,39 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { useExerciseStore, starterCode } from '../exerciseStore';
+import exerciseService from '../../services/exerciseService';
+
+const ASSESSMENT = {
+  id: 'cql-fundamentals-assessment',
+  type: 'assessment',
+  files: [{ name: 'main.cql', template: "library Assessment version '1.0.0'" }]
+};
+
+describe('exerciseStore', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('starts exercises from the template of their first file or tab', () => {
+    expect(starterCode(ASSESSMENT)).toBe("library Assessment version '1.0.0'");
+    expect(starterCode({ tabs: [{ template: 'define A: 1' }] })).toBe('define A: 1');
+    expect(starterCode(null)).toBe('');
+  });
+
+  it('appends catalog exercises it does not have after the CQF exercises', async () => {
+    const { exercises: cqfExercises } = useExerciseStore.getState();
+    vi.spyOn(exerciseService, 'loadExercises').mockResolvedValue([cqfExercises[0], ASSESSMENT]);
+
+    await useExerciseStore.getState().loadCatalogExercises();
+    await useExerciseStore.getState().loadCatalogExercises();
+
+    const { exercises, setCurrentIndex } = useExerciseStore.getState();
+    expect(exercises).toHaveLength(cqfExercises.length + 1);
+    expect(exercises.slice(0, cqfExercises.length)).toEqual(cqfExercises);
+
+    setCurrentIndex(cqfExercises.length);
+    expect(useExerciseStore.getState()).toMatchObject({
+      currentExercise: { id: 'cql-fundamentals-assessment', type: 'assessment' },
+      code: "library Assessment version '1.0.0'"
+    });
+  });
+});
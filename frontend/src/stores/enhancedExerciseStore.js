@@ -6,17 +6,29 @@
 import { create } from 'zustand';
 import { persist, devtools, subscribeWithSelector } from 'zustand/middleware';
 import { validateExerciseData, performQualityChecks } from '../../../shared/utils/exercise-validator.js';
-import { createTestMigration } from '../utils/exercise-migration-demo.js';
+import exerciseService from '../services/exerciseService.js';
+import { gradeSolution } from '../services/exerciseGrading.js';
+import { createWorkspace, getWorkspaceLibraries } from '../utils/cql-workspace.js';
+import { describeScore } from '../../../shared/utils/exercise-scoring.js';
 
-// Initialize with migrated exercises for development
-const initializeExercises = () => {
+// Load the published exercises, replacing each exercise the learner has started
+// with the version their progress is pinned to
+const loadExercises = async (exerciseProgress = {}) => {
   try {
-    // In development, use migrated exercises
-    const migratedExercises = createTestMigration();
-    console.log('Loaded', migratedExercises.length, 'migrated exercises');
-    return migratedExercises;
+    const exercises = await exerciseService.loadExercises();
+    return await Promise.all(exercises.map(async exercise => {
+      const pinnedVersion = exerciseProgress[exercise.id]?.exerciseVersion;
+      if (!pinnedVersion || pinnedVersion === exercise.version) return exercise;
+      
+      try {
+        return await exerciseService.loadExercise(exercise.id, pinnedVersion);
+      } catch (error) {
+        console.warn(`Version ${pinnedVersion} of ${exercise.id} is unavailable, using ${exercise.version}:`, error.message);
+        return exercise;
+      }
+    }));
   } catch (error) {
-    console.error('Failed to load migrated exercises:', error);
+    console.error('Failed to load exercises:', error);
     return [];
   }
 };
@@ -68,7 +80,7 @@ export const useEnhancedExerciseStore = create()(
         
         // Actions: Initialization
         initializeExercises: async () => {
-          const exercises = initializeExercises();
+          const exercises = await loadExercises(get().exerciseProgress);
           set(state => ({
             exercises,
             currentExercise: exercises[0] || null,
@@ -147,6 +159,17 @@ export const useEnhancedExerciseStore = create()(
           return userCode[currentExercise.id]?.[currentFileIndex] || '';
         },
         
+        // The exercise's other CQL files, as libraries the current file can include
+        getCurrentLibraries: () => {
+          const { currentExercise, currentFileIndex, userCode } = get();
+          if (!currentExercise) return [];
+          const files = createWorkspace(currentExercise).map((file, index) => ({
+            ...file,
+            code: userCode[currentExercise.id]?.[index] ?? file.template
+          }));
+          return getWorkspaceLibraries(files, currentFileIndex);
+        },
+
         resetCurrentExercise: () => {
           const { currentExercise } = get();
           if (currentExercise) {
@@ -185,84 +208,63 @@ export const useEnhancedExerciseStore = create()(
         },
         
         // Actions: Exercise Validation
-        validateCurrentExercise: () => {
-          const { currentExercise, getCurrentCode } = get();
+        validateCurrentExercise: async () => {
+          const { currentExercise, getCurrentCode, getCurrentLibraries, hints } = get();
           if (!currentExercise) return { passed: false, score: 0 };
           
           const userCode = getCurrentCode();
+          const libraries = getCurrentLibraries();
           const validation = currentExercise.validation;
           
           if (!validation) return { passed: true, score: 100 };
           
-          let score = 0;
-          let passed = false;
+          // Hints count once per level revealed
+          const hintsUsed = new Set((hints[currentExercise.id] || []).map(hint => hint.level)).size;
+          let graded = null;
           const feedback = [];
           
           try {
-            switch (validation.strategy) {
-              case 'exact-match':
-                const solution = currentExercise.files[get().currentFileIndex]?.solution || '';
-                const normalizedUser = normalizeCode(userCode, validation.exactMatch);
-                const normalizedSolution = normalizeCode(solution, validation.exactMatch);
-                passed = normalizedUser === normalizedSolution;
-                score = passed ? 100 : 0;
-                break;
-                
-              case 'pattern-match':
-                score = 0;
-                if (validation.patterns) {
-                  validation.patterns.forEach(pattern => {
-                    const regex = new RegExp(pattern.pattern, 'gim');
-                    if (regex.test(userCode)) {
-                      score += pattern.points || 10;
-                      feedback.push(`✓ ${pattern.description}`);
-                    } else if (pattern.required) {
-                      feedback.push(`✗ ${pattern.description}`);
-                    }
-                  });
-                }
-                passed = score >= (validation.passingScore || 70);
-                break;
-                
-              case 'semantic-match':
-                // TODO: Implement semantic analysis
-                passed = true;
-                score = 100;
-                break;
-                
-              case 'custom-function':
-                // TODO: Implement custom validation function execution
-                passed = true;
-                score = 100;
-                break;
-                
-              default:
-                passed = true;
-                score = 100;
-            }
+            graded = await gradeSolution(currentExercise, userCode, { libraries, hintsUsed });
+            feedback.push(...graded.notes);
           } catch (error) {
             console.error('Validation error:', error);
-            passed = false;
-            score = 0;
             feedback.push('Validation error occurred');
           }
           
+          const breakdown = graded?.breakdown || null;
+          const testResults = graded?.testResults || null;
           const result = {
-            passed,
-            score: Math.min(100, Math.max(0, score)),
-            feedback,
+            passed: breakdown?.passed || false,
+            score: breakdown?.score || 0,
+            breakdown,
+            feedback: breakdown ? [...describeScore(breakdown), ...feedback] : feedback,
+            testResults,
             timestamp: Date.now()
           };
           
+          get().recordScore(currentExercise.id, result);
+          
           // Update progress if passed
-          if (passed) {
-            get().markExerciseComplete(currentExercise.id, score);
+          if (result.passed) {
+            get().markExerciseComplete(currentExercise.id, result.score);
           }
           
           return result;
         },
         
         // Actions: Progress Tracking
+        // Keep the best score of any attempt with its per-criterion breakdown
+        recordScore: (exerciseId, result) => {
+          const existingProgress = get().exerciseProgress[exerciseId] || {};
+          if (!result.breakdown || result.score < (existingProgress.bestScore ?? -1)) return;
+
+          get().updateExerciseProgress(exerciseId, {
+            exerciseId,
+            bestScore: result.score,
+            bestScoreBreakdown: result.breakdown
+          });
+        },
+
         markExerciseComplete: (exerciseId, score = 100) => {
           set(state => {
             const newCompletedExercises = new Set(state.completedExercises);
@@ -272,6 +274,8 @@ export const useEnhancedExerciseStore = create()(
             const newProgress = {
               ...existingProgress,
               exerciseId,
+              exerciseVersion: existingProgress.exerciseVersion
+                || state.exercises.find(ex => ex.id === exerciseId)?.version,
               score: Math.max(existingProgress.score || 0, score),
               completed: true,
               completedAt: new Date().toISOString(),
@@ -346,6 +350,9 @@ export const useEnhancedExerciseStore = create()(
               [exerciseId]: {
                 ...state.exerciseProgress[exerciseId],
                 exerciseId,
+                // Progress stays with the version first attempted, even after a newer one is published
+                exerciseVersion: state.exerciseProgress[exerciseId]?.exerciseVersion
+                  || state.exercises.find(ex => ex.id === exerciseId)?.version,
                 startTime: Date.now(),
                 started: true
               }
@@ -532,30 +539,6 @@ export const useEnhancedExerciseStore = create()(
   )
 );
 
-/**
- * Helper function to normalize code for exact matching
- */
-function normalizeCode(code, options = {}) {
-  let normalized = code;
-  
-  if (options.ignoreWhitespace) {
-    normalized = normalized.replace(/\s+/g, ' ').trim();
-  }
-  
-  if (options.ignoreCase) {
-    normalized = normalized.toLowerCase();
-  }
-  
-  if (options.ignoreComments) {
-    // Remove single-line comments
-    normalized = normalized.replace(/\/\/.*$/gm, '');
-    // Remove multi-line comments
-    normalized = normalized.replace(/\/\*[\s\S]*?\*\//g, '');
-  }
-  
-  return normalized;
-}
-
 // Create selectors for common use cases
 export const useCurrentExercise = () => useEnhancedExerciseStore(state => state.currentExercise);
 export const useCurrentCode = () => useEnhancedExerciseStore(state => state.getCurrentCode());
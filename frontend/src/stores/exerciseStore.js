@@ -1,10 +1,14 @@
 import { create } from 'zustand';
 import { persist, devtools } from 'zustand/middleware';
 import { getAllExercises } from '../services/exerciseImporter.js';
+import exerciseService from '../services/exerciseService.js';
 
 // Get comprehensive CQF exercises
 const exerciseData = getAllExercises();
 
+// The template of an exercise's first file; catalog exercises have files, CQF exercises tabs
+export const starterCode = (exercise) => (exercise?.files || exercise?.tabs)?.[0]?.template || '';
+
 /**
  * Exercise Store
  * Manages exercise data, progress, and navigation state
@@ -18,6 +22,7 @@ export const useExerciseStore = create()(
         currentIndex: 0,
         currentExercise: exerciseData[0] || null,
         code: '',
+        libraries: [], // The exercise's other CQL files, [{ name, code }]
         isExecuting: false,
         lastResult: undefined,
         hasUnsavedChanges: false,
@@ -33,7 +38,7 @@ export const useExerciseStore = create()(
             return {
               currentIndex: index,
               currentExercise: exercise,
-              code: exercise?.tabs?.[0]?.template || '',
+              code: starterCode(exercise),
               lastResult: undefined,
               hasUnsavedChanges: false
             };
@@ -43,14 +48,14 @@ export const useExerciseStore = create()(
         
         setCurrentExercise: (exercise) => set({ 
           currentExercise: exercise,
-          code: exercise?.tabs?.[0]?.template || '',
+          code: starterCode(exercise),
           lastResult: undefined,
           hasUnsavedChanges: false
         }),
 
         setCode: (code) => {
           const { currentExercise } = get();
-          const hasChanges = currentExercise?.tabs?.[0]?.template !== code;
+          const hasChanges = starterCode(currentExercise) !== code;
           
           set({
             code,
@@ -58,6 +63,31 @@ export const useExerciseStore = create()(
           });
         },
 
+        // Append the published catalog's exercises (e.g. its assessments) after the CQF
+        // exercises, so the indexes progress is stored under stay the same
+        loadCatalogExercises: async () => {
+          const catalog = await exerciseService.loadExercises();
+          set((state) => {
+            const knownIds = new Set(state.exercises.map(exercise => exercise.id));
+            const added = catalog.filter(exercise => !knownIds.has(exercise.id));
+            if (added.length === 0) return state;
+
+            const exercises = [...state.exercises, ...added];
+            // A stored index may point at a catalog exercise that was not loaded yet;
+            // the stored code is that exercise's
+            const currentExercise = exercises[state.currentIndex] || state.currentExercise;
+            return {
+              exercises,
+              currentExercise,
+              code: state.code || starterCode(currentExercise)
+            };
+          });
+        },
+
+        setLibraries: (libraries) => {
+          set({ libraries });
+        },
+
         setExecuting: (isExecuting) => {
           set({ isExecuting });
         },
@@ -73,7 +103,7 @@ export const useExerciseStore = create()(
         resetExercise: () => {
           const { currentExercise } = get();
           set({
-            code: currentExercise?.tabs?.[0]?.template || '',
+            code: starterCode(currentExercise),
             lastResult: undefined,
             hasUnsavedChanges: false,
           });
@@ -118,7 +148,7 @@ export const useExerciseStore = create()(
             return {
               currentIndex: nextIndex,
               currentExercise: exercise,
-              code: exercise?.tabs?.[0]?.template || '',
+              code: starterCode(exercise),
               lastResult: undefined,
               hasUnsavedChanges: false
             };
@@ -133,7 +163,7 @@ export const useExerciseStore = create()(
             return {
               currentIndex: prevIndex,
               currentExercise: exercise,
-              code: exercise?.tabs?.[0]?.template || '',
+              code: starterCode(exercise),
               lastResult: undefined,
               hasUnsavedChanges: false
             };
@@ -147,7 +177,7 @@ export const useExerciseStore = create()(
           exerciseProgress: {},
           currentIndex: 0,
           currentExercise: exerciseData[0] || null,
-          code: exerciseData[0]?.tabs?.[0]?.template || '',
+          code: starterCode(exerciseData[0]),
           lastResult: undefined,
           hasUnsavedChanges: false
         }),
@@ -192,7 +222,7 @@ export const useExerciseStore = create()(
             state.currentExercise = state.exercises[state.currentIndex] || state.exercises[0];
             // Initialize code if not present
             if (!state.code && state.currentExercise) {
-              state.code = state.currentExercise.tabs?.[0]?.template || '';
+              state.code = starterCode(state.currentExercise);
             }
           }
         }
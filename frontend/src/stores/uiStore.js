@@ -10,6 +10,7 @@ const initialState = {
   bookmarksOpen: false,
   settingsOpen: false,
   currentView: 'exercise',
+  selectedPatientId: localStorage.getItem('cql-clinic-patient') || null,
 };
 
 export const useUIStore = create()(
@@ -88,6 +89,13 @@ export const useUIStore = create()(
       setCurrentView: (view) => {
         set({ currentView: view }, false, 'setCurrentView');
       },
+
+      // Execution context actions
+      setSelectedPatientId: (patientId) => {
+        set({ selectedPatientId: patientId }, false, 'setSelectedPatientId');
+        // Persist so the same patient is used across pages and reloads
+        localStorage.setItem('cql-clinic-patient', patientId);
+      },
     }),
     {
       name: 'ui-store',
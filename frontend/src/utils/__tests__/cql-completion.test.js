@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { createCQLCompletionProvider } from '../monaco-cql-language';
+import { registerCQLLibrary } from '../cql-libraries';
+import { prepareCompletionSource, COMPLETION_PLACEHOLDER } from '../cql-scope';
+
+// Monaco enums, with each kind named by itself
+const monaco = {
+  languages: {
+    CompletionItemKind: new Proxy({}, { get: (target, name) => name }),
+    CompletionItemInsertTextRule: { InsertAsSnippet: 4 }
+  }
+};
+
+// A text model with the cursor at '|'
+function modelAt(text) {
+  const code = text.replace('|', '');
+  const lines = code.split('\n');
+  const getPositionAt = (offset) => {
+    const before = code.slice(0, offset).split('\n');
+    return { lineNumber: before.length, column: before[before.length - 1].length + 1 };
+  };
+  return {
+    model: {
+      getValue: () => code,
+      getLineContent: lineNumber => lines[lineNumber - 1],
+      getPositionAt,
+      getOffsetAt: ({ lineNumber, column }) => lines.slice(0, lineNumber - 1)
+        .reduce((offset, line) => offset + line.length + 1, 0) + column - 1
+    },
+    position: getPositionAt(text.indexOf('|'))
+  };
+}
+
+async function complete(text) {
+  const { model, position } = modelAt(text);
+  const { suggestions } = await createCQLCompletionProvider(monaco).provideCompletionItems(model, position);
+  return [...suggestions].sort((a, b) => a.sortText.localeCompare(b.sortText));
+}
+
+const HEADER = "library Test version '1.0.0'\nusing FHIR version '4.0.1'\ncontext Patient\n";
+
+describe('prepareCompletionSource', () => {
+  it('replaces the word at the cursor, including an opening quote and an unclosed retrieve', () => {
+    const code = 'define A: [Condition: "Dia';
+
+    expect(prepareCompletionSource(code, code.length)).toEqual({
+      source: `define A: [Condition: ${COMPLETION_PLACEHOLDER}]`,
+      prefix: 'Dia',
+      start: 22,
+      end: 26,
+      quoted: true
+    });
+  });
+});
+
+describe('CQL completion provider', () => {
+  it('suggests the library\'s definitions and built-in functions in an expression', async () => {
+    const suggestions = await complete(`${HEADER}define "Adult": AgeInYears() >= 18\ndefine B: |`);
+    const adult = suggestions.find(item => item.label === 'Adult');
+
+    expect(adult).toMatchObject({ kind: 'Value', insertText: '"Adult"', detail: 'define' });
+    expect(suggestions.some(item => item.label === 'Count' && item.detail === 'CQL Built-in Function')).toBe(true);
+  });
+
+  it('ranks query aliases first and offers function operands', async () => {
+    const [alias] = await complete(`${HEADER}define B: [Condition] C where |`);
+    const [operand] = await complete(`${HEADER}define function Double(value Integer): |`);
+
+    expect(alias).toMatchObject({ label: 'C', insertText: 'C' });
+    expect(operand).toMatchObject({ label: 'value', insertText: 'value' });
+  });
+
+  it('suggests the members of an included library after its alias', async () => {
+    registerCQLLibrary('CompletionHelpers', '1.0.0', [
+      "library CompletionHelpers version '1.0.0'",
+      'define "Two": 2',
+      'define function Triple(x Integer): x * 3'
+    ].join('\n'));
+
+    const suggestions = await complete(`${HEADER}include CompletionHelpers version '1.0.0' called H\ndefine A: H.|`);
+
+    expect(suggestions.map(item => item.label).sort()).toEqual(['Triple', 'Two']);
+    expect(suggestions.find(item => item.label === 'Triple')).toMatchObject({
+      insertText: 'Triple(${1:x})',
+      detail: 'CompletionHelpers version \'1.0.0\': function Triple(x Integer)'
+    });
+  });
+
+  it('suggests resource types in a retrieve and nothing where a name is being declared', async () => {
+    const retrieve = await complete(`${HEADER}define A: [Cond|`);
+
+    expect(retrieve.some(item => item.label === 'Condition' && item.detail === 'FHIR Resource')).toBe(true);
+    expect(await complete(`${HEADER}define |`)).toEqual([]);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { registerCQLCatalog, getCQLLibrarySymbols, getCQLLibraryInfo } from '../cql-libraries';
+
+const COMMON = `library CatalogCommon version '2.0.0'
+/*
+@description: Whether the condition is active
+@comment: Uses the clinical status
+*/
+define function IsActive(value Integer): value > 0
+define private Hidden: 1
+define "Ten": 10`;
+
+describe('CQL library registry', () => {
+  it('registers the library catalog with the descriptions of its members', () => {
+    registerCQLCatalog([{
+      name: 'CatalogCommon',
+      version: '2.0.0',
+      description: 'Common functions',
+      url: 'http://example.org/Library/CatalogCommon',
+      code: COMMON
+    }]);
+
+    expect(getCQLLibraryInfo('CatalogCommon')).toEqual({
+      name: 'CatalogCommon',
+      version: '2.0.0',
+      description: 'Common functions',
+      url: 'http://example.org/Library/CatalogCommon'
+    });
+
+    const symbols = getCQLLibrarySymbols('CatalogCommon', '2.0.0');
+    expect(symbols.map(symbol => symbol.name)).toEqual(['IsActive', 'Ten']);
+    expect(symbols[0].description).toBe('Whether the condition is active');
+    expect(symbols[1].description).toBeNull();
+  });
+
+  it('returns nothing for libraries that are not registered', () => {
+    expect(getCQLLibraryInfo('Unknown')).toBeNull();
+    expect(getCQLLibrarySymbols('Unknown')).toBeNull();
+  });
+});
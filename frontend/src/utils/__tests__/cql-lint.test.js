@@ -0,0 +1,74 @@
+import { describe, it, expect, vi } from 'vitest';
+import { updateLintMarkers, clearLintMarkers, createCQLCodeActionProvider, LINT_MARKER_OWNER } from '../cql-lint';
+import { parseCQL } from '../../../../shared/cql/index.js';
+
+const CODE = 'library Test\ndefine "Missing": 1 = null';
+
+function fakeMonaco() {
+  return {
+    editor: { setModelMarkers: vi.fn() },
+    Uri: { parse: value => value },
+    Range: class {
+      constructor(startLineNumber, startColumn, endLineNumber, endColumn) {
+        Object.assign(this, { startLineNumber, startColumn, endLineNumber, endColumn });
+      }
+    }
+  };
+}
+
+function fakeModel(code) {
+  return {
+    uri: 'inmemory://model/1',
+    getValue: () => code,
+    getVersionId: () => 3,
+    getPositionAt: (offset) => {
+      const before = code.slice(0, offset).split('\n');
+      return { lineNumber: before.length, column: before[before.length - 1].length + 1 };
+    }
+  };
+}
+
+describe('CQL lint markers', () => {
+  it('sets a marker for each problem, linked to the rule\'s documentation', () => {
+    const monaco = fakeMonaco();
+    const model = fakeModel(CODE);
+
+    updateLintMarkers(monaco, model, parseCQL(CODE).library, {}, severity => severity.toUpperCase());
+
+    const [, owner, markers] = monaco.editor.setModelMarkers.mock.calls[0];
+    expect(owner).toBe(LINT_MARKER_OWNER);
+    expect(markers).toEqual([expect.objectContaining({
+      severity: 'WARNING',
+      message: "Comparing with null using '=' always results in null; use 'is null'",
+      source: 'cql-lint',
+      startLineNumber: 2,
+      startColumn: 19
+    })]);
+    expect(markers[0].code.value).toBe('null-comparison');
+    expect(markers[0].code.target).toMatch(/CQL_LINT_RULES\.md#null-comparison$/);
+  });
+
+  it('offers the fixes of a marked problem as quick-fixes', () => {
+    const monaco = fakeMonaco();
+    const model = fakeModel(CODE);
+    updateLintMarkers(monaco, model, parseCQL(CODE).library, {}, severity => severity);
+    const [marker] = monaco.editor.setModelMarkers.mock.calls[0][2];
+
+    const provider = createCQLCodeActionProvider(monaco);
+    const { actions } = provider.provideCodeActions(model, null, { markers: [{ ...marker, owner: LINT_MARKER_OWNER }] });
+
+    expect(actions).toHaveLength(1);
+    expect(actions[0]).toMatchObject({ title: "Replace with 'is null'", kind: 'quickfix', isPreferred: true });
+    expect(actions[0].edit.edits).toEqual([{
+      resource: 'inmemory://model/1',
+      versionId: 3,
+      textEdit: {
+        range: { startLineNumber: 2, startColumn: 19, endLineNumber: 2, endColumn: 27 },
+        text: '1 is null'
+      }
+    }]);
+
+    clearLintMarkers(monaco, model);
+    expect(provider.provideCodeActions(model, null, { markers: [{ ...marker, owner: LINT_MARKER_OWNER }] }).actions).toEqual([]);
+  });
+});
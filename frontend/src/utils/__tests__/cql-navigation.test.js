@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { parseCQL } from '../../../../shared/cql/index.js';
+import {
+  buildSymbolTable,
+  findOccurrenceAt,
+  resolveOccurrence,
+  findAllOccurrences,
+  findDeclarations,
+  renameText
+} from '../cql-symbols';
+import { createCQLRenameProvider } from '../cql-navigation';
+
+const MAIN = [
+  "library Main version '1'",
+  "include Lib version '1' called L",
+  'define "Adults": [Patient] P where P.gender = \'male\'',
+  'define Total: Count("Adults") + L.X',
+  'define function F(x Integer): x + 1',
+  'define G: F(2) + F(3)'
+].join('\n');
+
+const LIB = "library Lib version '1'\ndefine X: 5";
+const USER = "library User version '1'\ninclude Lib version '1' called Helpers\ndefine Y: Helpers.X * 2";
+
+function documentOf(name, code) {
+  return { name, code, table: buildSymbolTable(parseCQL(code).library) };
+}
+
+const main = documentOf('Main.cql', MAIN);
+const lib = documentOf('Lib.cql', LIB);
+const user = documentOf('User.cql', USER);
+const documents = [main, lib, user];
+
+// The symbol the name at `text` (its nth match) in a document refers to
+function targetAt(document, text, nth = 0) {
+  let offset = -1;
+  for (let count = 0; count <= nth; count++) offset = document.code.indexOf(text, offset + 1);
+  return resolveOccurrence(document, findOccurrenceAt(document.table, offset), documents);
+}
+
+const positions = results => results.map(({ document, occurrence }) =>
+  `${document.name}:${occurrence.loc.start.line}:${occurrence.loc.start.column}`);
+
+describe('CQL symbols', () => {
+  it('finds the declaration and references of a define', () => {
+    const target = targetAt(main, '"Adults"', 1);
+
+    expect(findDeclarations(target).map(symbol => symbol.loc.start)).toEqual([
+      expect.objectContaining({ line: 3, column: 8 })
+    ]);
+    expect(positions(findAllOccurrences(target, documents))).toEqual(['Main.cql:3:8', 'Main.cql:4:21']);
+  });
+
+  it('scopes query aliases and operands to their declaration', () => {
+    const alias = targetAt(main, 'P.gender');
+    const operand = targetAt(main, 'x + 1');
+
+    expect(positions(findAllOccurrences(alias, documents))).toEqual(['Main.cql:3:28', 'Main.cql:3:36']);
+    expect(positions(findAllOccurrences(operand, documents))).toEqual(['Main.cql:5:19', 'Main.cql:5:31']);
+  });
+
+  it('groups every call of a function with its declaration', () => {
+    expect(positions(findAllOccurrences(targetAt(main, 'F(2)'), documents)))
+      .toEqual(['Main.cql:5:17', 'Main.cql:6:11', 'Main.cql:6:18']);
+  });
+
+  it('resolves names in included libraries, and finds references from every library that includes them', () => {
+    const target = targetAt(main, 'X');
+
+    expect(target.document).toBe(lib);
+    expect(positions(findAllOccurrences(target, documents))).toEqual(['Lib.cql:2:8', 'Main.cql:4:35', 'User.cql:3:19']);
+  });
+});
+
+describe('renameText', () => {
+  it('keeps quoted occurrences quoted and quotes bare names only when needed', () => {
+    expect(renameText('"Adults"', 'Adult Patients')).toBe('"Adult Patients"');
+    expect(renameText('G', 'Total2')).toBe('Total2');
+    expect(renameText('G', 'Grand Total')).toBe('"Grand Total"');
+    expect(renameText('G', 'where')).toBe('"where"');
+  });
+});
+
+describe('CQL rename provider', () => {
+  // A text model of the document being edited; Monaco positions are 1-based
+  function modelOf(code) {
+    const lines = code.split('\n');
+    const offsetAt = ({ lineNumber, column }) => lines.slice(0, lineNumber - 1)
+      .reduce((offset, line) => offset + line.length + 1, 0) + column - 1;
+    return {
+      uri: { path: '/Main.cql' },
+      getValue: () => code,
+      getVersionId: () => 1,
+      getOffsetAt: offsetAt,
+      getValueInRange: range => code.slice(
+        offsetAt({ lineNumber: range.startLineNumber, column: range.startColumn }),
+        offsetAt({ lineNumber: range.endLineNumber, column: range.endColumn })
+      ),
+      getWordAtPosition: () => null
+    };
+  }
+
+  const model = modelOf(MAIN);
+  const provider = createCQLRenameProvider();
+
+  it('renames a define everywhere it is used', async () => {
+    const { edits } = await provider.provideRenameEdits(model, { lineNumber: 4, column: 23 }, 'Adult Patients');
+
+    expect(edits.map(edit => [edit.textEdit.range.startLineNumber, edit.textEdit.text])).toEqual([
+      [3, '"Adult Patients"'],
+      [4, '"Adult Patients"']
+    ]);
+  });
+
+  it('refuses a name another declaration already has', async () => {
+    const { edits, rejectReason } = await provider.provideRenameEdits(model, { lineNumber: 6, column: 8 }, 'Total');
+
+    expect(edits).toEqual([]);
+    expect(rejectReason).toBe('"Total" is already declared in this library');
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { detectParameters, hasParameterValue, toParameterLiteral, toRequestParameters } from '../cql-parameters';
+import { analyzeCQL } from '../cql-analysis';
+
+const CODE = [
+  "library Test version '1.0.0'",
+  'parameter "Measurement Period" Interval<DateTime>',
+  'parameter Threshold Decimal default 7.5',
+  'parameter Active Boolean',
+  'parameter Dose Quantity',
+  'parameter Codes List<Code>'
+].join('\n');
+const { ast: AST } = analyzeCQL(CODE);
+
+describe('detectParameters', () => {
+  it('finds each parameter with the input to edit it with and its default', () => {
+    expect(detectParameters(CODE, AST)).toEqual([
+      { name: 'Measurement Period', type: 'Interval<DateTime>', input: 'interval', pointInput: 'datetime', defaultText: null, line: 2 },
+      { name: 'Threshold', type: 'Decimal', input: 'decimal', pointInput: null, defaultText: '7.5', line: 3 },
+      { name: 'Active', type: 'Boolean', input: 'boolean', pointInput: null, defaultText: null, line: 4 },
+      { name: 'Dose', type: 'Quantity', input: 'quantity', pointInput: null, defaultText: null, line: 5 },
+      { name: 'Codes', type: 'List<Code>', input: 'expression', pointInput: null, defaultText: null, line: 6 }
+    ]);
+  });
+
+  it('returns nothing for code without parameters', () => {
+    expect(detectParameters("library Test\ndefine A: 1", analyzeCQL("library Test\ndefine A: 1").ast)).toEqual([]);
+  });
+});
+
+describe('toParameterLiteral', () => {
+  const [period, threshold, active, dose, codes] = detectParameters(CODE, AST);
+
+  it('writes a closed DateTime interval to the end of its last minute', () => {
+    expect(toParameterLiteral(period, {
+      low: '2024-01-01T00:00',
+      high: '2024-12-31T23:59',
+      lowClosed: true,
+      highClosed: true
+    })).toBe('Interval[@2024-01-01T00:00:00.000, @2024-12-31T23:59:59.999]');
+  });
+
+  it('writes primitives, quantities and codes as CQL literals', () => {
+    expect(toParameterLiteral(threshold, '8')).toBe('8.0');
+    expect(toParameterLiteral(active, false)).toBe('false');
+    expect(toParameterLiteral(dose, { value: 5, unit: 'mg' })).toBe('5 \'mg\'');
+    expect(toParameterLiteral({ input: 'code' }, { system: 'http://loinc.org', code: '4548-4', display: 'O\'Brien' }))
+      .toBe('Code { code: \'4548-4\', system: \'http://loinc.org\', display: \'O\\\'Brien\' }');
+  });
+
+  it('passes expressions through unchanged', () => {
+    expect(toParameterLiteral(codes, '{ Code \'1\' from "SNOMED" }')).toBe('{ Code \'1\' from "SNOMED" }');
+  });
+});
+
+describe('toRequestParameters', () => {
+  it('sends only the parameters that have a value', () => {
+    const parameters = detectParameters(CODE, AST);
+
+    expect(hasParameterValue({ value: '', unit: '' })).toBe(false);
+    expect(toRequestParameters(parameters, { Threshold: '6.5', Dose: { value: '', unit: '' } })).toEqual([
+      { name: 'Threshold', type: 'Decimal', value: '6.5' }
+    ]);
+  });
+});
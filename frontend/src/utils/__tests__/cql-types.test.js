@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeCQL } from '../cql-analysis';
+import { findTypedNodeAt, describeTypedNode } from '../cql-types';
+
+const CODE = 'library Test\ndefine A: 1 + 2.5\ndefine function F(x Integer): x * 2';
+
+function hoverAt(offset) {
+  const { ast } = analyzeCQL(CODE);
+  return describeTypedNode(findTypedNodeAt(ast, offset), CODE).contents.map(content => content.value);
+}
+
+describe('CQL type hover', () => {
+  it('shows an operator\'s type, the overload it resolved to and the alternatives', () => {
+    const [type, operator, overloads] = hoverAt(CODE.indexOf('1 +') + 2);
+
+    expect(type).toBe('```cql\n1 + 2.5: Decimal\n```');
+    expect(operator).toBe('Operator `Add(Decimal, Decimal) Decimal`');
+    expect(overloads).toContain('- `Add(Integer, Integer) Integer`');
+    expect(overloads).toContain('- `Add(Date, Quantity) Date`');
+  });
+
+  it('shows the innermost expression under the cursor', () => {
+    expect(hoverAt(CODE.indexOf('2.5'))).toEqual(['```cql\n2.5: Decimal\n```']);
+  });
+
+  it('shows the result type of definitions and the signature of functions', () => {
+    expect(hoverAt(CODE.indexOf('A:'))).toEqual(['```cql\nA: Decimal\n```']);
+    expect(hoverAt(CODE.indexOf('F('))).toEqual(['```cql\nF(x Integer) Integer\n```']);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeCQL } from '../cql-analysis';
+import { validateCQLCode, createCQLDiagnosticsProvider } from '../cql-validation';
+
+describe('analyzeCQL', () => {
+  it('reports translator errors with editor ranges', () => {
+    const { diagnostics } = analyzeCQL("library Test\ndefine A: 'a' + 1\ndefine B: foo");
+
+    expect(diagnostics).toEqual([
+      {
+        message: 'Could not resolve call to operator Concatenate with signature (String, Integer).',
+        severity: 'error',
+        code: 'type',
+        startLineNumber: 2,
+        startColumn: 11,
+        endLineNumber: 2,
+        endColumn: 18,
+        source: 'cql-translator'
+      },
+      {
+        message: 'Could not resolve identifier foo in the current library.',
+        severity: 'error',
+        code: 'semantic',
+        startLineNumber: 3,
+        startColumn: 11,
+        endLineNumber: 3,
+        endColumn: 14,
+        source: 'cql-translator'
+      }
+    ]);
+  });
+
+  it('reports a syntax error at the end of the input', () => {
+    expect(validateCQLCode('library Test\ndefine A: 1 +')).toEqual([expect.objectContaining({
+      message: 'Unexpected end of input; expected an expression',
+      code: 'syntax',
+      startLineNumber: 2,
+      startColumn: 14
+    })]);
+  });
+
+  it('types the expressions of the syntax tree', () => {
+    const { ast } = analyzeCQL('library Test\ndefine A: 1 + 2.5');
+
+    expect(ast.declarations[1].expression).toMatchObject({
+      resultType: 'Decimal',
+      signature: { name: 'Add', operands: ['Decimal', 'Decimal'], resultType: 'Decimal' }
+    });
+  });
+
+  it('resolves included libraries it is given', () => {
+    const code = "library Test version '1'\ninclude Lib version '1' called L\ndefine A: L.X";
+
+    expect(analyzeCQL(code, { libraries: ["library Lib version '1'\ndefine X: 5"] }).diagnostics).toEqual([]);
+    expect(analyzeCQL(code).diagnostics).not.toEqual([]);
+  });
+});
+
+describe('createCQLDiagnosticsProvider', () => {
+  it('converts severities to Monaco marker severities', () => {
+    const monaco = { MarkerSeverity: { Error: 8, Warning: 4, Info: 2, Hint: 1 } };
+    const provider = createCQLDiagnosticsProvider(monaco);
+
+    const [marker] = provider.provideDiagnostics({ getValue: () => 'library Test\ndefine B: foo' });
+
+    expect(marker).toMatchObject({ severity: 8, startLineNumber: 2 });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { parseResultType, getValueKind, formatCQLValue } from '../cql-values';
+
+describe('parseResultType', () => {
+  it('parses nested generic types without their namespace', () => {
+    expect(parseResultType('List<Interval<System.DateTime>>')).toEqual({
+      name: 'List',
+      elementType: { name: 'Interval', elementType: { name: 'DateTime', elementType: null } }
+    });
+    expect(parseResultType('FHIR.Condition')).toEqual({ name: 'Condition', elementType: null });
+    expect(parseResultType(null)).toBeNull();
+  });
+});
+
+describe('getValueKind', () => {
+  it('uses the result type when it matches the value', () => {
+    expect(getValueKind('2024-01-15', 'Date')).toBe('date');
+    expect(getValueKind({ value: 5, unit: 'mg' }, 'Quantity')).toBe('quantity');
+    expect(getValueKind({ low: 1, high: 5, lowClosed: true, highClosed: false }, 'Interval<Integer>')).toBe('interval');
+    expect(getValueKind([], 'List<Integer>')).toBe('list');
+    expect(getValueKind(null, 'Integer')).toBe('null');
+  });
+
+  it('falls back to the value\'s shape when the type is missing', () => {
+    expect(getValueKind('2024-01-15T10:00:00')).toBe('datetime');
+    expect(getValueKind('T10:30')).toBe('time');
+    expect(getValueKind({ code: '44054006', system: 'http://snomed.info/sct' })).toBe('code');
+    expect(getValueKind({ codes: [], display: 'Diabetes' })).toBe('concept');
+    expect(getValueKind({ resourceType: 'Patient', id: 'p1' })).toBe('resource');
+    expect(getValueKind({ numerator: { value: 1 }, denominator: { value: 2 } })).toBe('ratio');
+    expect(getValueKind({ a: 1 })).toBe('tuple');
+  });
+});
+
+describe('formatCQLValue', () => {
+  it('uses CQL literal notation', () => {
+    expect(formatCQLValue('text', 'String')).toBe('\'text\'');
+    expect(formatCQLValue('2024-01-15', 'Date')).toBe('@2024-01-15');
+    expect(formatCQLValue({ value: 5, unit: 'mg' })).toBe('5 \'mg\'');
+    expect(formatCQLValue({ value: 2, unit: '1' })).toBe('2');
+    expect(formatCQLValue({ low: 1, high: null, lowClosed: true, highClosed: false }, 'Interval<Integer>'))
+      .toBe('Interval[1, null)');
+    expect(formatCQLValue({ numerator: { value: 1, unit: 'mg' }, denominator: { value: 2, unit: 'mL' } }))
+      .toBe('1 \'mg\' : 2 \'mL\'');
+  });
+
+  it('summarizes codes, resources, lists and tuples', () => {
+    expect(formatCQLValue({ code: '4548-4', system: 'http://loinc.org', display: 'HbA1c' })).toBe('4548-4 (HbA1c)');
+    expect(formatCQLValue({ resourceType: 'Condition', id: 'c1' })).toBe('Condition/c1');
+    expect(formatCQLValue([1], 'List<Integer>')).toBe('{1 item}');
+    expect(formatCQLValue({ a: 1, b: 2 }, 'Tuple')).toBe('Tuple {2 elements}');
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { createWorkspace, getWorkspaceLibraries, visibleFileIndexes } from '../cql-workspace';
+
+const EXERCISE = {
+  files: [
+    { name: 'Main.cql', template: "library Main\ninclude Common version '1' called C", solution: 'library Main' },
+    { name: 'Common.cql', template: "library Common version '1'\ndefine X: 1", readonly: true },
+    { name: 'Helpers.cql', template: "library Helpers version '1'", hidden: true },
+    { name: 'notes.md', template: '# Notes', language: 'markdown' }
+  ]
+};
+
+describe('CQL workspace', () => {
+  it('creates files from an exercise, starting from their templates', () => {
+    const files = createWorkspace(EXERCISE);
+
+    expect(files[0]).toEqual({
+      name: 'Main.cql',
+      code: "library Main\ninclude Common version '1' called C",
+      template: "library Main\ninclude Common version '1' called C",
+      solution: 'library Main',
+      readonly: false,
+      hidden: false,
+      language: 'cql'
+    });
+    expect(files[1]).toMatchObject({ readonly: true, solution: null });
+  });
+
+  it('creates files from tabs, naming the unnamed ones', () => {
+    const [tab] = createWorkspace({ tabs: [{ template: 'library A', key: 'library A\ndefine X: 1' }] });
+
+    expect(tab).toMatchObject({ name: 'Tab 1', solution: 'library A\ndefine X: 1' });
+    expect(createWorkspace({})).toEqual([]);
+  });
+
+  it('offers the other non-empty CQL files as libraries, including hidden ones', () => {
+    const files = createWorkspace(EXERCISE);
+    files[2].code = '  ';
+
+    expect(getWorkspaceLibraries(files)).toEqual([{ name: 'Common.cql', code: "library Common version '1'\ndefine X: 1" }]);
+    expect(getWorkspaceLibraries(createWorkspace(EXERCISE), 1).map(library => library.name)).toEqual(['Main.cql', 'Helpers.cql']);
+  });
+
+  it('shows every file but the hidden ones as tabs', () => {
+    expect(visibleFileIndexes(createWorkspace(EXERCISE))).toEqual([0, 1, 3]);
+  });
+});
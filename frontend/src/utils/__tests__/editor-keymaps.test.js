@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeShortcut,
+  shortcutFromEvent,
+  toMonacoKeybinding,
+  getShortcuts,
+  findShortcutConflicts,
+  getModeEssentials
+} from '../editor-keymaps';
+
+const monaco = {
+  KeyMod: { CtrlCmd: 2048, Shift: 1024, Alt: 512 },
+  KeyCode: { Enter: 3, KeyF: 36, Slash: 90 }
+};
+
+describe('editor keymaps', () => {
+  it('normalizes shortcuts to canonical modifier order and key names', () => {
+    expect(normalizeShortcut('shift+ctrl+enter')).toBe('Ctrl+Shift+Enter');
+    expect(normalizeShortcut(' alt + f ')).toBe('Alt+F');
+    expect(normalizeShortcut('Ctrl+Shift+/')).toBe('Ctrl+Shift+/');
+    expect(normalizeShortcut('Ctrl+')).toBeNull();
+    expect(normalizeShortcut('Hyper+K')).toBeNull();
+    expect(normalizeShortcut('')).toBeNull();
+    expect(normalizeShortcut(null)).toBeNull();
+  });
+
+  it('records the shortcut of a keydown event, treating Cmd as Ctrl', () => {
+    expect(shortcutFromEvent({ code: 'KeyK', metaKey: true, shiftKey: true })).toBe('Ctrl+Shift+K');
+    expect(shortcutFromEvent({ code: 'ArrowUp', altKey: true })).toBe('Alt+Up');
+    expect(shortcutFromEvent({ code: 'ShiftLeft', shiftKey: true })).toBeNull();
+  });
+
+  it('converts shortcuts to Monaco keybindings', () => {
+    expect(toMonacoKeybinding(monaco, 'Ctrl+Shift+Enter')).toBe(2048 | 1024 | 3);
+    expect(toMonacoKeybinding(monaco, 'alt+shift+f')).toBe(1024 | 512 | 36);
+    expect(toMonacoKeybinding(monaco, 'Ctrl+Nope')).toBeNull();
+  });
+
+  it('uses the default shortcuts unless remapped or unbound', () => {
+    expect(getShortcuts({ run: 'ctrl+r', format: '', submit: 'not a shortcut' })).toEqual({
+      run: 'Ctrl+R',
+      submit: 'Ctrl+Shift+Enter',
+      format: null,
+      nextHint: 'Ctrl+Shift+H',
+      showShortcuts: 'Ctrl+Shift+/'
+    });
+  });
+
+  it('finds shortcuts bound twice or to keys the editor or keymap mode uses', () => {
+    const shortcuts = getShortcuts({ run: 'Ctrl+E', nextHint: 'Ctrl+E', format: 'F2' });
+
+    expect(findShortcutConflicts(getShortcuts())).toEqual([]);
+    expect(findShortcutConflicts(shortcuts)).toEqual([
+      { shortcut: 'Ctrl+E', commands: ['run', 'nextHint'], reserved: null },
+      { shortcut: 'F2', commands: ['format'], reserved: 'Rename symbol' }
+    ]);
+    expect(findShortcutConflicts(shortcuts, 'emacs')[0]).toEqual({
+      shortcut: 'Ctrl+E',
+      commands: ['run', 'nextHint'],
+      reserved: 'Emacs: end of line'
+    });
+  });
+
+  it('lists the essential keys of each mode', () => {
+    expect(getModeEssentials('vim')[1]).toEqual({ keys: 'Escape', description: 'Back to normal mode' });
+    expect(getModeEssentials('emacs')).toHaveLength(8);
+    expect(getModeEssentials('default').map(essential => essential.description)).not.toContain('Copy');
+    expect(getModeEssentials('default')).toContainEqual({ keys: 'F2', description: 'Rename symbol' });
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { parseLocator, buildElmTree, findElmNodeAt } from '../elm-source-map';
+import { translateCQL } from '../../../../shared/cql/index.js';
+
+describe('ELM source map', () => {
+  it('parses locators to ranges with an exclusive end', () => {
+    expect(parseLocator('4:17-4:28')).toEqual({ startLineNumber: 4, startColumn: 17, endLineNumber: 4, endColumn: 29 });
+    expect(parseLocator(null)).toBeNull();
+    expect(parseLocator('4:17')).toBeNull();
+  });
+
+  it('builds a tree of nodes with their attributes and model-prefixed types', () => {
+    const tree = buildElmTree(translateCQL('library Test\ndefine A: 1 + 2').elm);
+    const [def] = tree.children.find(child => child.key === 'statements').children;
+    const [left] = def.children[0].children;
+
+    expect(def).toMatchObject({ id: 'library.statements.def.0', key: 'def', locator: '2:1-2:15' });
+    expect(def.attributes).toContainEqual(['name', 'A']);
+    expect(left).toMatchObject({
+      id: 'library.statements.def.0.expression.operand.0',
+      type: 'Literal',
+      range: { startLineNumber: 2, startColumn: 11, endLineNumber: 2, endColumn: 12 },
+      children: []
+    });
+    expect(left.attributes).toContainEqual(['valueType', 'System.Integer']);
+    expect(buildElmTree(null)).toBeNull();
+  });
+
+  it('finds the innermost node at a position', () => {
+    const tree = buildElmTree(translateCQL('library Test\ndefine A: 1 + 2').elm);
+
+    expect(findElmNodeAt(tree, { lineNumber: 2, column: 15 }).id).toBe('library.statements.def.0.expression.operand.1');
+    expect(findElmNodeAt(tree, { lineNumber: 2, column: 13 }).type).toBe('Add');
+    expect(findElmNodeAt(tree, { lineNumber: 2, column: 3 }).key).toBe('def');
+    expect(findElmNodeAt(tree, { lineNumber: 1, column: 3 })).toBeNull();
+  });
+});
@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest';
+import { renderMarkdown } from '../markdown';
+
+describe('renderMarkdown', () => {
+  it('renders markdown to HTML', () => {
+    expect(renderMarkdown('Define **Adult**')).toBe('<p>Define <strong>Adult</strong></p>\n');
+    expect(renderMarkdown(undefined)).toBe('');
+  });
+
+  it('strips scripts, event handlers and javascript: links', () => {
+    const html = renderMarkdown('<script>alert(1)</script>\n\n<img src="x" onerror="alert(1)">\n\n[link](javascript:alert(1))');
+
+    expect(html).not.toMatch(/<script|onerror|javascript:/);
+    expect(html).toContain('<img src="x">');
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * CQL Analysis
+ * Parses and translates CQL source with the shared language services and
+ * reports the translator's syntax, semantic and type errors as editor
+ * diagnostics. The syntax tree comes back with the inferred type of each
+ * expression, which the hover provider shows.
+ * Runs inside the CQL parser worker, and on the main thread where workers
+ * are unavailable.
+ */
+
+import { translateCQL } from '../../../shared/cql/index.js';
+
+/**
+ * Parse CQL source and collect its diagnostics
+ * @param {string} code - CQL library source
+ * @param {object} options - { libraries } sources of the libraries it can include
+ * @returns {object} { ast, diagnostics } where ast is the library syntax tree, its expression
+ *   nodes carrying `resultType` (and `signature` for operators), and diagnostics use 1-based,
+ *   end-exclusive line/column ranges
+ */
+export function analyzeCQL(code, { libraries = [] } = {}) {
+  const { errors, ast } = translateCQL(code || '', {
+    locators: false,
+    resultTypes: false,
+    nodeTypes: true,
+    libraries
+  });
+
+  return {
+    ast,
+    diagnostics: errors.map(error => toDiagnostic(error, code || ''))
+  };
+}
+
+function toDiagnostic(error, code) {
+  const { start, end } = error.location;
+  // Errors at the end of input have an empty range; cover one character so they show
+  const isEmpty = start.offset === end.offset;
+
+  return {
+    message: error.message,
+    severity: error.severity,
+    code: error.errorType,
+    startLineNumber: start.line,
+    startColumn: start.column,
+    endLineNumber: end.line,
+    endColumn: isEmpty && start.offset < code.length ? end.column + 1 : end.column,
+    source: 'cql-translator'
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * CQL Library Registry
+ * Sources of libraries that can be included (`include X called Y`), so the
+ * editor can offer their public members. FHIRHelpers is registered with the
+ * signatures of its conversion functions until the server's library catalog
+ * (FHIRHelpers, FHIRCommon, ...) is loaded; the other files of a multi-file
+ * exercise are registered as they change.
+ */
+
+import { parseCQL } from '../../../shared/cql/index.js';
+import { collectDeclarations } from './cql-scope';
+import { setCQLCatalogLibraries } from './cql-parser-client';
+
+const FHIR_HELPERS_SOURCE = `library FHIRHelpers version '4.0.1+embedded'
+using FHIR version '4.0.1'
+define function ToInterval(period FHIR.Period) returns Interval<DateTime>: external
+define function ToInterval(range FHIR.Range) returns Interval<Quantity>: external
+define function ToQuantity(quantity FHIR.Quantity) returns Quantity: external
+define function ToQuantityIgnoringComparator(quantity FHIR.Quantity) returns Quantity: external
+define function ToRatio(ratio FHIR.Ratio) returns Ratio: external
+define function ToCalendarUnit(unit System.String) returns System.String: external
+define function ToCode(coding FHIR.Coding) returns System.Code: external
+define function ToConcept(concept FHIR.CodeableConcept) returns System.Concept: external
+define function ToString(value FHIR.string) returns System.String: external
+define function ToString(value FHIR.code) returns System.String: external
+define function ToString(value FHIR.uri) returns System.String: external
+define function ToBoolean(value FHIR.boolean) returns System.Boolean: external
+define function ToDate(value FHIR.date) returns System.Date: external
+define function ToDateTime(value FHIR.dateTime) returns System.DateTime: external
+define function ToDateTime(value FHIR.instant) returns System.DateTime: external
+define function ToDecimal(value FHIR.decimal) returns System.Decimal: external
+define function ToInteger(value FHIR.integer) returns System.Integer: external
+define function ToTime(value FHIR.time) returns System.Time: external
+`;
+
+const libraries = new Map();
+
+/**
+ * Register the source of an includable library
+ * @param {string} name - Library name
+ * @param {string|null} version - Library version
+ * @param {string} source - CQL source
+ * @param {object} info - { description, url } of a published library
+ */
+export function registerCQLLibrary(name, version, source, { description = null, url = null } = {}) {
+  libraries.set(libraryKey(name, version), { name, version, source, description, url, symbols: null });
+}
+
+/**
+ * Register the libraries of the server's library catalog and make them
+ * available to include in the documents being checked
+ * @param {Array} catalog - [{ name, version, description, url, code }]
+ */
+export function registerCQLCatalog(catalog = []) {
+  catalog.forEach(({ name, version, code, description, url }) => {
+    registerCQLLibrary(name, version, code, { description, url });
+  });
+  setCQLCatalogLibraries(catalog.map(library => library.code));
+}
+
+/**
+ * Register a library from its source, named by its library declaration, e.g.
+ * another file of a multi-file exercise
+ * @param {string} source - CQL source
+ * @returns {string|null} The library name, or null when the source declares none
+ */
+export function registerCQLLibrarySource(source) {
+  const { library: ast } = parseCQL(source);
+  const declaration = ast.declarations.find(candidate => candidate.kind === 'LibraryDeclaration');
+  if (!declaration) return null;
+
+  const registered = libraries.get(libraryKey(declaration.name, declaration.version));
+  if (registered?.source !== source) registerCQLLibrary(declaration.name, declaration.version, source);
+  return declaration.name;
+}
+
+/**
+ * Public declarations of a registered library
+ * @param {string} name - Library name
+ * @param {string|null} version - Version; any registered version is used when it is
+ *   not given or not registered
+ * @returns {Array|null} Symbols as returned by collectDeclarations, or null when unknown
+ */
+export function getCQLLibrarySymbols(name, version = null) {
+  const library = findLibrary(name, version);
+  if (!library) return null;
+
+  if (!library.symbols) {
+    const { library: ast } = parseCQL(library.source);
+    library.symbols = collectDeclarations(ast)
+      .filter(symbol => symbol.accessLevel !== 'Private' && symbol.kind !== 'include')
+      .map(symbol => ({ ...symbol, description: leadingDescription(library.source, symbol.loc.start.offset) }));
+  }
+  return library.symbols;
+}
+
+/**
+ * Details of a registered library
+ * @returns {object|null} { name, version, description, url }
+ */
+export function getCQLLibraryInfo(name, version = null) {
+  const library = findLibrary(name, version);
+  return library
+    ? { name: library.name, version: library.version, description: library.description, url: library.url }
+    : null;
+}
+
+function findLibrary(name, version) {
+  return libraries.get(libraryKey(name, version)) ||
+    [...libraries.values()].reverse().find(candidate => candidate.name === name) ||
+    null;
+}
+
+// The @description tag of the block comment right before a declaration
+function leadingDescription(source, offset) {
+  const before = source.slice(0, offset).trimEnd();
+  if (!before.endsWith('*/')) return null;
+
+  const comment = before.slice(before.lastIndexOf('/*'));
+  const match = comment.match(/@description:\s*([\s\S]*?)\s*(?:@\w+:|\*\/$)/);
+  return match ? match[1].replace(/\s+/g, ' ') : null;
+}
+
+function libraryKey(name, version) {
+  return `${name}|${version || ''}`;
+}
+
+registerCQLLibrary('FHIRHelpers', '4.0.1+embedded', FHIR_HELPERS_SOURCE);
@@ -0,0 +1,87 @@
+/**
+ * CQL Lint
+ * Reports problems found by the shared CQL linter as editor markers and
+ * offers their fixes as Monaco quick-fix code actions.
+ */
+
+import { lintCQL } from '../../../shared/cql/index.js';
+
+export const LINT_MARKER_OWNER = 'cql-lint';
+
+// Problems most recently reported for each model, with their fixes
+const reportedProblems = new WeakMap();
+
+/**
+ * Lint a document and replace its lint markers
+ * @param {object} monaco - Monaco instance
+ * @param {object} model - Editor model that was linted
+ * @param {object} ast - Library syntax tree of the model's content
+ * @param {object} rules - Rule ids mapped to severities
+ * @param {Function} toSeverity - Converts a severity name to a Monaco marker severity
+ */
+export function updateLintMarkers(monaco, model, ast, rules, toSeverity) {
+  const problems = lintCQL(model.getValue(), { ast, rules });
+  reportedProblems.set(model, problems);
+
+  monaco.editor.setModelMarkers(model, LINT_MARKER_OWNER, problems.map(problem => ({
+    severity: toSeverity(problem.severity),
+    message: problem.message,
+    source: 'cql-lint',
+    code: { value: problem.ruleId, target: monaco.Uri.parse(problem.docsUrl) },
+    startLineNumber: problem.location.start.line,
+    startColumn: problem.location.start.column,
+    endLineNumber: problem.location.end.line,
+    endColumn: problem.location.end.column
+  })));
+}
+
+/**
+ * Remove a model's lint markers
+ */
+export function clearLintMarkers(monaco, model) {
+  reportedProblems.delete(model);
+  monaco.editor.setModelMarkers(model, LINT_MARKER_OWNER, []);
+}
+
+/**
+ * Monaco code action provider offering the fixes of lint problems
+ */
+export const createCQLCodeActionProvider = (monaco) => ({
+  provideCodeActions: (model, range, context) => {
+    const problems = reportedProblems.get(model) || [];
+    const actions = [];
+
+    context.markers
+      .filter(marker => marker.owner === LINT_MARKER_OWNER)
+      .forEach(marker => {
+        const problem = problems.find(candidate => candidate.ruleId === marker.code?.value &&
+          candidate.location.start.line === marker.startLineNumber &&
+          candidate.location.start.column === marker.startColumn);
+        if (!problem) return;
+
+        problem.fixes.forEach((fix, index) => {
+          actions.push({
+            title: fix.title,
+            kind: 'quickfix',
+            diagnostics: [marker],
+            isPreferred: index === 0,
+            edit: {
+              edits: fix.edits.map(edit => ({
+                resource: model.uri,
+                versionId: model.getVersionId(),
+                textEdit: { range: toRange(monaco, model, edit), text: edit.text }
+              }))
+            }
+          });
+        });
+      });
+
+    return { actions, dispose: () => {} };
+  }
+});
+
+function toRange(monaco, model, { start, end }) {
+  const from = model.getPositionAt(start);
+  const to = model.getPositionAt(end);
+  return new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column);
+}
@@ -0,0 +1,193 @@
+/**
+ * CQL Navigation
+ * Go to definition, find references and rename for CQL identifiers. Works
+ * across the document being edited and the other files of a multi-file
+ * exercise, which are kept as background Monaco models (see
+ * syncCQLWorkspaceFiles) so references into included libraries resolve.
+ */
+
+import { parseCQLDocument, setCQLWorkspaceLibraries } from './cql-parser-client';
+import { registerCQLLibrarySource } from './cql-libraries';
+import {
+  buildSymbolTable,
+  findOccurrenceAt,
+  resolveOccurrence,
+  findAllOccurrences,
+  findDeclarations,
+  renameText
+} from './cql-symbols';
+
+const WORKSPACE_SCHEME = 'cql-workspace';
+
+// Background models for exercise files, by file name
+const workspaceModels = new Map();
+
+// Background models of files the learner cannot edit
+const readonlyModels = new WeakSet();
+
+// Called with (name, code) when an edit such as a rename changes a background model
+let workspaceChangeListener = null;
+let syncing = false;
+
+// Symbol tables by model, rebuilt when the model's version changes
+const documentCache = new WeakMap();
+
+/**
+ * Keep background models for the other files of an exercise, and make them
+ * available to include from the document being edited
+ * @param {object} monaco - Monaco instance
+ * @param {Array} files - [{ name, code, readonly }] files other than the one being edited
+ * @param {object} options - { onChange } called with (name, code) when an edit changes a file
+ */
+export function syncCQLWorkspaceFiles(monaco, files = [], { onChange = null } = {}) {
+  const names = new Set(files.map(file => file.name));
+  workspaceChangeListener = onChange;
+
+  workspaceModels.forEach((model, name) => {
+    if (!names.has(name)) {
+      model.dispose();
+      workspaceModels.delete(name);
+    }
+  });
+
+  syncing = true;
+  try {
+    files.forEach(({ name, code = '', readonly = false }) => {
+      let model = workspaceModels.get(name);
+      if (model && !model.isDisposed()) {
+        if (model.getValue() !== code) model.setValue(code);
+      } else {
+        const uri = monaco.Uri.from({ scheme: WORKSPACE_SCHEME, path: `/${name}` });
+        model = monaco.editor.getModel(uri) || monaco.editor.createModel(code, 'cql', uri);
+        model.onDidChangeContent(() => {
+          if (!syncing) workspaceChangeListener?.(name, model.getValue());
+        });
+        workspaceModels.set(name, model);
+      }
+      if (readonly) readonlyModels.add(model);
+      else readonlyModels.delete(model);
+    });
+  } finally {
+    syncing = false;
+  }
+
+  files.forEach(({ code = '' }) => registerCQLLibrarySource(code));
+  setCQLWorkspaceLibraries(files.map(({ code = '' }) => code));
+}
+
+function getDocument(model) {
+  const versionId = model.getVersionId();
+  const cached = documentCache.get(model);
+  if (cached?.versionId === versionId) return cached.promise;
+
+  const promise = parseCQLDocument(model.getValue())
+    .then(({ ast }) => ({ model, table: buildSymbolTable(ast) }));
+  documentCache.set(model, { versionId, promise });
+  return promise;
+}
+
+function getWorkspace(model) {
+  const models = [model, ...[...workspaceModels.values()]
+    .filter(candidate => candidate !== model && !candidate.isDisposed())];
+  return Promise.all(models.map(getDocument));
+}
+
+async function findSymbolAt(model, position) {
+  const documents = await getWorkspace(model);
+  const [document] = documents;
+  const occurrence = findOccurrenceAt(document.table, model.getOffsetAt(position));
+  if (!occurrence) return null;
+
+  const target = resolveOccurrence(document, occurrence, documents);
+  return target ? { documents, occurrence, target } : null;
+}
+
+function toRange(loc) {
+  return {
+    startLineNumber: loc.start.line,
+    startColumn: loc.start.column,
+    endLineNumber: loc.end.line,
+    endColumn: loc.end.column
+  };
+}
+
+// CQL Definition Provider
+export const createCQLDefinitionProvider = () => ({
+  provideDefinition: async (model, position) => {
+    const found = await findSymbolAt(model, position);
+    if (!found) return null;
+
+    return findDeclarations(found.target).map(symbol => ({
+      uri: found.target.document.model.uri,
+      range: toRange(symbol.loc)
+    }));
+  }
+});
+
+// CQL Reference Provider
+export const createCQLReferenceProvider = () => ({
+  provideReferences: async (model, position, context) => {
+    const found = await findSymbolAt(model, position);
+    if (!found) return [];
+
+    return findAllOccurrences(found.target, found.documents)
+      .filter(({ occurrence }) => context.includeDeclaration || !occurrence.declaration)
+      .map(({ document, occurrence }) => ({
+        uri: document.model.uri,
+        range: toRange(occurrence.loc)
+      }));
+  }
+});
+
+// CQL Rename Provider
+export const createCQLRenameProvider = () => ({
+  resolveRenameLocation: async (model, position) => {
+    const found = await findSymbolAt(model, position);
+    const [declaration] = found ? findDeclarations(found.target) : [];
+    if (!declaration) {
+      const word = model.getWordAtPosition(position);
+      const range = word
+        ? { startLineNumber: position.lineNumber, startColumn: word.startColumn, endLineNumber: position.lineNumber, endColumn: word.endColumn }
+        : { startLineNumber: position.lineNumber, startColumn: position.column, endLineNumber: position.lineNumber, endColumn: position.column };
+      return { range, text: word?.word || '', rejectReason: 'Only names declared in this exercise can be renamed' };
+    }
+
+    return { range: toRange(found.occurrence.loc), text: declaration.name };
+  },
+
+  provideRenameEdits: async (model, position, newName) => {
+    const name = newName.trim();
+    if (!name || /[\r\n]/.test(name)) {
+      return { edits: [], rejectReason: 'Enter a name on a single line' };
+    }
+
+    const found = await findSymbolAt(model, position);
+    const [declaration] = found ? findDeclarations(found.target) : [];
+    if (!declaration) {
+      return { edits: [], rejectReason: 'Only names declared in this exercise can be renamed' };
+    }
+
+    const conflict = found.target.document.table.symbols.find(symbol => symbol.name === name &&
+      symbol.key !== found.target.key && !symbol.key.startsWith('local:') && !declaration.key.startsWith('local:'));
+    if (conflict) {
+      return { edits: [], rejectReason: `"${name}" is already declared in this library` };
+    }
+
+    const occurrences = findAllOccurrences(found.target, found.documents);
+    const readonly = occurrences.find(({ document }) => readonlyModels.has(document.model));
+    if (readonly) {
+      return { edits: [], rejectReason: `"${declaration.name}" is used in ${readonly.document.model.uri.path.slice(1)}, which is read-only` };
+    }
+
+    return {
+      edits: occurrences.map(({ document, occurrence }) => {
+        const range = toRange(occurrence.loc);
+        return {
+          resource: document.model.uri,
+          versionId: document.model.getVersionId(),
+          textEdit: { range, text: renameText(document.model.getValueInRange(range), name) }
+        };
+      })
+    };
+  }
+});
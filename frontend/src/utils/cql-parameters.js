@@ -0,0 +1,186 @@
+/**
+ * CQL Parameters
+ * Finds the `parameter` declarations of a library and turns the values entered
+ * for them into the `parameters` of an execute request. Request values are CQL
+ * literals, e.g. "Interval[@2024-01-01T00:00:00.000, @2025-01-01T00:00:00.000)",
+ * which every execution backend reads the same way.
+ *
+ * Entered values are structured per input kind:
+ *   interval  { low, high, lowClosed, highClosed }
+ *   quantity  { value, unit }
+ *   code      { system, code, display } (also used for Concept, with one code)
+ *   others    the input's text, or true/false for Boolean
+ * A plain string for a structured kind is taken as a CQL expression.
+ */
+
+import { typeSpecifierText } from './cql-scope';
+
+const PRIMITIVE_INPUTS = {
+  Boolean: 'boolean',
+  Integer: 'integer',
+  Long: 'integer',
+  Decimal: 'decimal',
+  String: 'string',
+  Date: 'date',
+  DateTime: 'datetime',
+  Time: 'time',
+  Quantity: 'quantity',
+  Code: 'code',
+  Concept: 'concept'
+};
+
+const INTERVAL_POINT_INPUTS = {
+  Date: 'date',
+  DateTime: 'datetime',
+  Integer: 'integer',
+  Long: 'integer',
+  Decimal: 'decimal'
+};
+
+/**
+ * Whether CQL source may declare parameters, before parsing it
+ * @param {string} code - CQL library source
+ * @returns {boolean}
+ */
+export function mayDeclareParameters(code) {
+  return Boolean(code) && /\bparameter\b/.test(code);
+}
+
+/**
+ * Parameter declarations in CQL source
+ * @param {string} code - CQL library source
+ * @param {object} ast - The library syntax tree of the source (see parseCQLDocument)
+ * @returns {Array} [{ name, type, input, pointInput, defaultText, line }] where `input` is
+ *   the editor to show ('interval', 'quantity', 'code', ..., or 'expression' for other types)
+ */
+export function detectParameters(code, ast) {
+  if (!mayDeclareParameters(code) || !ast) return [];
+
+  return (ast.declarations || [])
+    .filter(declaration => declaration.kind === 'ParameterDefinition' && declaration.name)
+    .map(declaration => {
+      const type = typeSpecifierText(declaration.typeSpecifier);
+      const { input, pointInput } = getParameterInput(declaration.typeSpecifier);
+      return {
+        name: declaration.name,
+        type,
+        input,
+        pointInput,
+        defaultText: declaration.default
+          ? code.slice(declaration.default.loc.start.offset, declaration.default.loc.end.offset)
+          : null,
+        line: declaration.loc.start.line
+      };
+    });
+}
+
+function getParameterInput(specifier) {
+  const isSystemType = specifier?.kind === 'NamedTypeSpecifier' && (!specifier.namespace || specifier.namespace === 'System');
+  if (isSystemType && PRIMITIVE_INPUTS[specifier.name]) {
+    return { input: PRIMITIVE_INPUTS[specifier.name], pointInput: null };
+  }
+
+  const point = specifier?.kind === 'IntervalTypeSpecifier' ? specifier.pointType : null;
+  if (point?.kind === 'NamedTypeSpecifier' && INTERVAL_POINT_INPUTS[point.name]) {
+    return { input: 'interval', pointInput: INTERVAL_POINT_INPUTS[point.name] };
+  }
+
+  return { input: 'expression', pointInput: null };
+}
+
+/**
+ * Whether a value has been entered (unset parameters fall back to their default)
+ */
+export function hasParameterValue(value) {
+  if (value === null || value === undefined || value === '') return false;
+  if (typeof value !== 'object') return true;
+  return Object.values(value).some(item => typeof item === 'string' ? item.trim() !== '' : typeof item === 'number');
+}
+
+/**
+ * CQL literal for an entered value
+ * @param {object} parameter - Detected parameter
+ * @param {any} value - Entered value
+ * @returns {string}
+ */
+export function toParameterLiteral(parameter, value) {
+  if (typeof value === 'string' && parameter.input !== 'string') {
+    return parameter.input === 'expression' ? value : pointLiteral(parameter.input, value);
+  }
+
+  switch (parameter.input) {
+    case 'interval':
+      return intervalLiteral(value, parameter.pointInput);
+    case 'quantity':
+      return typeof value.value === 'number'
+        ? `${value.value} '${escapeString(value.unit || '1')}'`
+        : 'null';
+    case 'code':
+      return codeLiteral(value);
+    case 'concept':
+      return `Concept { codes: { ${codeLiteral(value)} }${value.display ? `, display: '${escapeString(value.display)}'` : ''} }`;
+    case 'boolean':
+      return String(value);
+    case 'string':
+      return value;
+    default:
+      return pointLiteral(parameter.input, String(value));
+  }
+}
+
+/**
+ * `parameters` for an execute request: one { name, type, value } per declared
+ * parameter that has a value entered
+ */
+export function toRequestParameters(parameters, values = {}) {
+  return parameters
+    .filter(parameter => hasParameterValue(values[parameter.name]))
+    .map(parameter => ({
+      name: parameter.name,
+      type: parameter.type || 'Any',
+      value: toParameterLiteral(parameter, values[parameter.name])
+    }));
+}
+
+function intervalLiteral({ low, high, lowClosed = true, highClosed = false }, pointInput) {
+  const bound = (value, isHighClosed) => {
+    if (value === null || value === undefined || value === '') return 'null';
+    if (pointInput === 'datetime') return dateTimeLiteral(value, isHighClosed);
+    return pointLiteral(pointInput, String(value));
+  };
+  return `Interval${lowClosed ? '[' : '('}${bound(low, false)}, ${bound(high, highClosed)}${highClosed ? ']' : ')'}`;
+}
+
+/**
+ * DateTime literal from a datetime-local value ("2024-01-01T00:00"). A closed
+ * upper bound covers its whole minute, so [Jan 1 00:00, Dec 31 23:59] spans the year.
+ */
+function dateTimeLiteral(value, isClosedHigh = false) {
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(value)) return `@${value}`;
+  return `@${value}${isClosedHigh ? ':59.999' : ':00.000'}`;
+}
+
+function pointLiteral(input, value) {
+  switch (input) {
+    case 'date':
+      return value.startsWith('@') ? value : `@${value}`;
+    case 'datetime':
+      return value.startsWith('@') ? value : dateTimeLiteral(value);
+    case 'time':
+      return value.startsWith('@') ? value : `@T${value}`;
+    case 'decimal':
+      return /^-?\d+$/.test(value) ? `${value}.0` : value;
+    default:
+      return value;
+  }
+}
+
+function codeLiteral({ system, code, display }) {
+  const elements = [`code: '${escapeString(code || '')}'`, `system: '${escapeString(system || '')}'`];
+  if (display) elements.push(`display: '${escapeString(display)}'`);
+  return `Code { ${elements.join(', ')} }`;
+}
+
+function escapeString(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
@@ -0,0 +1,121 @@
+/**
+ * CQL Parser Client
+ * Sends CQL source to the parser worker and resolves with its syntax tree and
+ * diagnostics. Includes are resolved against the workspace libraries (the
+ * other files of a multi-file exercise, see setCQLWorkspaceLibraries), then
+ * the libraries of the server's catalog. Falls back to parsing on the main thread when workers are not
+ * available (tests, older browsers) or the worker fails.
+ */
+
+import { analyzeCQL } from './cql-analysis';
+
+let worker = null;
+let nextRequestId = 0;
+let lastRequest = null;
+let workspaceLibraries = [];
+let catalogLibraries = [];
+const pendingRequests = new Map();
+
+function getWorker() {
+  if (worker !== null) return worker;
+
+  try {
+    worker = typeof Worker === 'undefined'
+      ? false
+      : new Worker(new URL('../workers/cql-parser.worker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.warn('CQL parser worker unavailable, parsing on the main thread:', error);
+    worker = false;
+  }
+
+  if (worker) {
+    worker.onmessage = (event) => {
+      const { id, error, ...result } = event.data;
+      const request = pendingRequests.get(id);
+      if (!request) return;
+
+      pendingRequests.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(result);
+      }
+    };
+
+    worker.onerror = (event) => {
+      console.warn('CQL parser worker failed, parsing on the main thread:', event.message);
+      stopWorker();
+    };
+  }
+
+  return worker;
+}
+
+// Terminate the worker and finish outstanding requests on the main thread
+function stopWorker() {
+  if (worker) worker.terminate();
+  worker = false;
+
+  pendingRequests.forEach(request => {
+    try {
+      request.resolve(analyzeCQL(request.code, { libraries: request.libraries }));
+    } catch (error) {
+      request.reject(error);
+    }
+  });
+  pendingRequests.clear();
+}
+
+/**
+ * Set the sources of the libraries that documents can include
+ * @param {Array<string>} sources - CQL library sources
+ */
+export function setCQLWorkspaceLibraries(sources = []) {
+  if (sameSources(sources, workspaceLibraries)) return;
+  workspaceLibraries = [...sources];
+  lastRequest = null;
+}
+
+/**
+ * Set the sources of the library catalog's libraries
+ * @param {Array<string>} sources - CQL library sources
+ */
+export function setCQLCatalogLibraries(sources = []) {
+  if (sameSources(sources, catalogLibraries)) return;
+  catalogLibraries = [...sources];
+  lastRequest = null;
+}
+
+function sameSources(sources, current) {
+  return sources.length === current.length && sources.every((source, index) => source === current[index]);
+}
+
+/**
+ * Parse CQL source
+ * @param {string} code - CQL library source
+ * @returns {Promise<object>} { ast, diagnostics }
+ */
+export function parseCQLDocument(code) {
+  // Repeated requests for the same source (validation, then completion or hover) share one parse
+  if (lastRequest && lastRequest.code === code) {
+    return lastRequest.promise;
+  }
+
+  // Workspace files take precedence over catalog libraries of the same version
+  const libraries = [...workspaceLibraries, ...catalogLibraries];
+  const parserWorker = getWorker();
+  const promise = parserWorker
+    ? new Promise((resolve, reject) => {
+      const id = ++nextRequestId;
+      pendingRequests.set(id, { code, libraries, resolve, reject });
+      parserWorker.postMessage({ id, code, libraries });
+    })
+    : Promise.resolve().then(() => analyzeCQL(code, { libraries }));
+
+  lastRequest = { code, promise };
+  promise.catch(() => {
+    if (lastRequest?.promise === promise) lastRequest = null;
+  });
+
+  return promise;
+}
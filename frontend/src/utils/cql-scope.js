@@ -0,0 +1,264 @@
+/**
+ * CQL Scope
+ * Finds the names available at a point in a CQL library: its declarations
+ * (defines, functions, parameters, terminology, includes) and, inside an
+ * expression, the query aliases, let clauses and function operands that are
+ * in scope there.
+ *
+ * The cursor position is marked by replacing the word being typed with a
+ * placeholder identifier, which lets the parser recover a complete syntax
+ * tree from a half-written expression such as `where E.`.
+ */
+
+export const COMPLETION_PLACEHOLDER = '__cqlCompletion';
+
+const SIMPLE_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Declaration kinds by syntax tree node kind
+const DECLARATION_KINDS = {
+  ExpressionDefinition: 'define',
+  FunctionDefinition: 'function',
+  ParameterDefinition: 'parameter',
+  CodeSystemDefinition: 'codesystem',
+  ValueSetDefinition: 'valueset',
+  CodeDefinition: 'code',
+  ConceptDefinition: 'concept',
+  IncludeDefinition: 'include'
+};
+
+/**
+ * Source text with the word at the cursor replaced by the completion placeholder
+ * @param {string} code - CQL library source
+ * @param {number} offset - Cursor offset
+ * @returns {object} { source, prefix, start, end, quoted } where prefix is the text typed so
+ *   far (after any opening quote) and start/end are the offsets of the text a completion replaces
+ */
+export function prepareCompletionSource(code, offset) {
+  const before = code.slice(0, offset);
+  const after = code.slice(offset);
+
+  const lineStart = before.lastIndexOf('\n') + 1;
+  const quoted = /"([^"\n]*)$/.exec(before.slice(lineStart));
+  const isQuoted = Boolean(quoted) && countQuotes(before.slice(lineStart, lineStart + quoted.index)) % 2 === 0;
+  const word = isQuoted ? quoted : /[A-Za-z_][A-Za-z0-9_]*$/.exec(before);
+
+  const start = word ? offset - word[0].length : offset;
+
+  // The rest of the word (and its closing quote) after the cursor is replaced too
+  const rest = isQuoted ? /^[^"\n]*"?/.exec(after)[0] : /^[A-Za-z0-9_]*/.exec(after)[0];
+
+  // Close a retrieve being typed, e.g. `[Condition: "Dia`, so it still parses
+  const lineBefore = stripLiterals(code.slice(lineStart, start));
+  const lineAfter = after.slice(rest.length).split('\n')[0];
+  const closer = count(lineBefore, '[') > count(lineBefore, ']') && !lineAfter.includes(']') ? ']' : '';
+
+  return {
+    source: `${code.slice(0, start)}${COMPLETION_PLACEHOLDER}${closer}${after.slice(rest.length)}`,
+    prefix: word ? (isQuoted ? quoted[1] : word[0]) : '',
+    start,
+    end: offset + rest.length,
+    quoted: isQuoted
+  };
+}
+
+function countQuotes(text) {
+  // Quotes inside single-quoted strings do not open identifiers
+  return count(text.replace(/'(?:[^'\\]|\\.)*'/g, ''), '"');
+}
+
+function stripLiterals(text) {
+  return text.replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g, '');
+}
+
+function count(text, character) {
+  return text.split(character).length - 1;
+}
+
+/**
+ * The library's own declarations
+ * @param {object} ast - Library syntax tree
+ * @returns {Array} [{ kind, name, accessLevel, loc, nameLoc, ... }] with `operands` and `returnType`
+ *   for functions, `type` for parameters and `libraryName`, `version`, `alias` for includes
+ */
+export function collectDeclarations(ast) {
+  return (ast?.declarations || [])
+    .filter(declaration => DECLARATION_KINDS[declaration.kind])
+    .map(declaration => {
+      const kind = DECLARATION_KINDS[declaration.kind];
+      const symbol = {
+        kind,
+        name: kind === 'include' ? (declaration.alias || declaration.libraryName) : declaration.name,
+        accessLevel: declaration.accessLevel || 'Public',
+        loc: declaration.loc,
+        nameLoc: declaration.nameLoc || null,
+        node: declaration
+      };
+
+      switch (kind) {
+        case 'function':
+          return {
+            ...symbol,
+            fluent: declaration.fluent,
+            operands: declaration.operands.map(operand => ({
+              name: operand.name,
+              type: typeSpecifierText(operand.typeSpecifier)
+            })),
+            returnType: typeSpecifierText(declaration.returnType)
+          };
+        case 'parameter':
+          return { ...symbol, type: typeSpecifierText(declaration.typeSpecifier) };
+        case 'include':
+          return { ...symbol, libraryName: declaration.libraryName, version: declaration.version, alias: declaration.alias };
+        default:
+          return symbol;
+      }
+    })
+    .filter(symbol => symbol.name);
+}
+
+/**
+ * Where the completion placeholder sits and the local names in scope there
+ * @param {object} ast - Syntax tree of the source from prepareCompletionSource
+ * @returns {object} { context, locals, memberOf, declaration } where context is one of
+ *   'expression', 'member', 'retrieveType', 'terminology', 'alias', 'type' or 'statement';
+ *   locals are [{ name, kind: 'alias'|'let'|'operand'|'aggregate' }] ordered innermost first;
+ *   memberOf is the identifier before the '.' for 'member'
+ */
+export function findCompletionContext(ast) {
+  for (const declaration of ast?.declarations || []) {
+    const path = findPlaceholder(declaration, []);
+    if (path) {
+      return {
+        ...describePosition(path),
+        locals: collectLocals(path),
+        declaration
+      };
+    }
+  }
+
+  return { context: 'statement', locals: [], memberOf: null, declaration: null };
+}
+
+function findPlaceholder(node, ancestors) {
+  if (!node || typeof node !== 'object') return null;
+
+  const path = [...ancestors, node];
+  if (isPlaceholderNode(node)) return path;
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc' || key === 'nameLoc') continue;
+    const children = Array.isArray(value) ? value : [value];
+    for (const child of children) {
+      if (child && typeof child === 'object' && child.kind) {
+        const found = findPlaceholder(child, path);
+        if (found) return found;
+      }
+    }
+  }
+  return null;
+}
+
+function isPlaceholderNode(node) {
+  switch (node.kind) {
+    case 'Identifier':
+    case 'FunctionInvocation':
+    case 'NamedTypeSpecifier':
+    case 'MemberInvocation':
+    case 'MethodInvocation':
+      return node.name === COMPLETION_PLACEHOLDER;
+    case 'AliasedQuerySource':
+    case 'LetClause':
+      return node.alias === COMPLETION_PLACEHOLDER || node.name === COMPLETION_PLACEHOLDER;
+    default:
+      return false;
+  }
+}
+
+function describePosition(path) {
+  const node = path[path.length - 1];
+  const parent = path[path.length - 2];
+
+  if ((node.kind === 'MemberInvocation' || node.kind === 'MethodInvocation') && node.name === COMPLETION_PLACEHOLDER) {
+    const memberOf = node.source?.kind === 'Identifier' ? node.source.name : null;
+    return { context: 'member', memberOf };
+  }
+  if (node.kind === 'AliasedQuerySource' || node.kind === 'LetClause') {
+    return { context: 'alias', memberOf: null };
+  }
+  if (node.kind === 'NamedTypeSpecifier') {
+    return { context: parent?.kind === 'Retrieve' ? 'retrieveType' : 'type', memberOf: null };
+  }
+  if (parent?.kind === 'Retrieve' && parent.terminology === node) {
+    return { context: 'terminology', memberOf: null };
+  }
+  return { context: 'expression', memberOf: null };
+}
+
+/**
+ * Names introduced by the queries, let clauses and function around the placeholder
+ */
+function collectLocals(path) {
+  const locals = [];
+  const add = (name, kind) => {
+    if (name && name !== COMPLETION_PLACEHOLDER && !locals.some(local => local.name === name)) {
+      locals.push({ name, kind });
+    }
+  };
+
+  for (let i = path.length - 1; i >= 0; i--) {
+    const node = path[i];
+    const child = path[i + 1];
+
+    if (node.kind === 'Query') {
+      // Sources are not in scope within themselves; everything else in the query sees them
+      if (node.sources.includes(child)) continue;
+
+      const relationship = node.relationships.find(clause => clause === child);
+      if (relationship) add(relationship.source.alias, 'alias');
+
+      if (node.aggregate && node.aggregate === child) add(node.aggregate.identifier, 'aggregate');
+
+      const letIndex = node.lets.indexOf(child);
+      const visibleLets = letIndex === -1 ? node.lets : node.lets.slice(0, letIndex);
+      visibleLets.slice().reverse().forEach(clause => add(clause.name, 'let'));
+
+      node.sources.forEach(source => add(source.alias, 'alias'));
+    } else if (node.kind === 'FunctionDefinition') {
+      node.operands.forEach(operand => add(operand.name, 'operand'));
+    }
+  }
+
+  return locals;
+}
+
+/**
+ * Readable type of a type specifier, e.g. Interval<DateTime>
+ */
+export function typeSpecifierText(specifier) {
+  if (!specifier) return null;
+  switch (specifier.kind) {
+    case 'NamedTypeSpecifier':
+      return specifier.namespace ? `${specifier.namespace}.${specifier.name}` : specifier.name;
+    case 'IntervalTypeSpecifier':
+      return `Interval<${typeSpecifierText(specifier.pointType)}>`;
+    case 'ListTypeSpecifier':
+      return `List<${typeSpecifierText(specifier.elementType)}>`;
+    case 'ChoiceTypeSpecifier':
+      return `Choice<${specifier.choices.map(typeSpecifierText).join(', ')}>`;
+    case 'TupleTypeSpecifier':
+      return `Tuple { ${specifier.elements.map(element => `${quoteIdentifier(element.name)} ${typeSpecifierText(element.elementType)}`).join(', ')} }`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * An identifier as it must be written in CQL: bare when it is a simple identifier
+ * that is not a keyword, otherwise in double quotes
+ * @param {string} name - Identifier
+ * @param {Set} reservedWords - Words that must be quoted
+ */
+export function quoteIdentifier(name, reservedWords = null) {
+  if (SIMPLE_IDENTIFIER.test(name) && !reservedWords?.has(name)) return name;
+  return `"${name.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
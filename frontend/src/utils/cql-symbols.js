@@ -0,0 +1,334 @@
+/**
+ * CQL Symbols
+ * Symbol table for a CQL document: every declared name (defines, functions,
+ * parameters, terminology, include aliases and the query aliases, lets and
+ * operands inside expressions) and every place it is referred to.
+ *
+ * Identifiers resolve the way the translator resolves them: query aliases,
+ * lets and operands first, innermost scope outward, then the library's own
+ * declarations. `Alias."Name"` refers to a declaration in an included library,
+ * which is found among the other documents of the workspace.
+ */
+
+import { RESERVED_WORDS } from '../../../shared/cql/index.js';
+import { quoteIdentifier } from './cql-scope';
+
+const TERMINOLOGY_KINDS = {
+  CodeSystemDefinition: 'codesystem',
+  ValueSetDefinition: 'valueset',
+  CodeDefinition: 'code',
+  ConceptDefinition: 'concept'
+};
+
+// Node properties that hold names or types rather than expressions
+const SKIPPED_PROPERTIES = new Set([
+  'loc', 'nameLoc', 'aliasLoc', 'identifierLoc', 'typeSpecifier', 'returnType', 'operands'
+]);
+
+/**
+ * Build the symbol table of a parsed library
+ * @param {object} ast - Library syntax tree
+ * @returns {object} { library, symbols, occurrences, includes } where symbols are
+ *   [{ key, kind, name, loc, declarationLoc }] (loc is the name's location), occurrences are
+ *   [{ key, library, loc, declaration }] with `library` set to the include alias for names that
+ *   live in another library, and includes are the include definitions by alias
+ */
+export function buildSymbolTable(ast) {
+  const table = {
+    library: null,
+    symbols: [],
+    occurrences: [],
+    includes: new Map(),
+    declarations: new Map()
+  };
+
+  for (const declaration of ast?.declarations || []) {
+    collectDeclaration(table, declaration);
+  }
+  for (const declaration of ast?.declarations || []) {
+    visitDeclaration(table, declaration);
+  }
+
+  return table;
+}
+
+function collectDeclaration(table, declaration) {
+  switch (declaration.kind) {
+    case 'LibraryDeclaration':
+      table.library = { name: declaration.name, version: declaration.version };
+      break;
+    case 'IncludeDefinition': {
+      const alias = declaration.alias || declaration.libraryName;
+      table.includes.set(alias, declaration);
+      if (declaration.aliasLoc) {
+        declare(table, `include:${alias}`, 'include', alias, declaration.aliasLoc, declaration.loc);
+      }
+      break;
+    }
+    case 'ExpressionDefinition':
+    case 'ParameterDefinition':
+      declareMember(table, declaration, declaration.kind === 'ExpressionDefinition' ? 'define' : 'parameter');
+      break;
+    case 'FunctionDefinition':
+      declare(table, functionKey(declaration.name), 'function', declaration.name, declaration.nameLoc, declaration.loc);
+      break;
+    default:
+      if (TERMINOLOGY_KINDS[declaration.kind]) {
+        declareMember(table, declaration, TERMINOLOGY_KINDS[declaration.kind]);
+      }
+  }
+}
+
+function declareMember(table, declaration, kind) {
+  if (!declaration.name || !declaration.nameLoc) return;
+  const key = memberKey(declaration.name);
+  table.declarations.set(declaration.name, key);
+  declare(table, key, kind, declaration.name, declaration.nameLoc, declaration.loc);
+}
+
+function declare(table, key, kind, name, loc, declarationLoc) {
+  table.symbols.push({ key, kind, name, loc, declarationLoc });
+  table.occurrences.push({ key, library: null, loc, declaration: true });
+}
+
+function reference(table, key, loc, library = null) {
+  if (loc) table.occurrences.push({ key, library, loc, declaration: false });
+}
+
+/**
+ * Key shared by a library-level declaration and its references, e.g. "member:Initial Population"
+ */
+export function memberKey(name) {
+  return `member:${name}`;
+}
+
+export function functionKey(name) {
+  return `function:${name}`;
+}
+
+// ---------------------------------------------------------------------------
+// References
+// ---------------------------------------------------------------------------
+
+function visitDeclaration(table, declaration) {
+  switch (declaration.kind) {
+    case 'FunctionDefinition': {
+      const scope = new Map();
+      declaration.operands.forEach(operand => bindLocal(table, scope, operand.name, 'operand', operand.nameLoc, operand.loc));
+      visit(table, declaration.expression, [scope]);
+      break;
+    }
+    case 'ValueSetDefinition':
+      declaration.codeSystems.forEach(system => visitQualifiedReference(table, system));
+      break;
+    case 'CodeDefinition':
+      visitQualifiedReference(table, declaration.system);
+      break;
+    case 'ConceptDefinition':
+      declaration.codes.forEach(code => visitQualifiedReference(table, code));
+      break;
+    case 'ExpressionDefinition':
+      visit(table, declaration.expression, []);
+      break;
+    case 'ParameterDefinition':
+      visit(table, declaration.default, []);
+      break;
+    default:
+      break;
+  }
+}
+
+function bindLocal(table, scope, name, kind, loc, declarationLoc) {
+  if (!name || !loc) return;
+  const key = `local:${loc.start.offset}:${name}`;
+  scope.set(name, key);
+  declare(table, key, kind, name, loc, declarationLoc);
+}
+
+function lookupLocal(scopes, name) {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (scopes[i].has(name)) return scopes[i].get(name);
+  }
+  return null;
+}
+
+function visit(table, node, scopes, options = {}) {
+  if (!node || typeof node !== 'object') return;
+
+  switch (node.kind) {
+    case 'Identifier': {
+      const key = lookupLocal(scopes, node.name) || (options.inSort ? null : table.declarations.get(node.name));
+      if (key) reference(table, key, node.loc);
+      return;
+    }
+    case 'FunctionInvocation':
+      reference(table, functionKey(node.name), node.nameLoc);
+      node.arguments.forEach(argument => visit(table, argument, scopes, options));
+      return;
+    case 'MemberInvocation':
+    case 'MethodInvocation': {
+      const alias = libraryAlias(table, node.source, scopes);
+      if (alias) {
+        if (table.includes.get(alias).aliasLoc) reference(table, `include:${alias}`, node.source.loc);
+        const key = node.kind === 'MethodInvocation' ? functionKey(node.name) : memberKey(node.name);
+        reference(table, key, node.nameLoc, alias);
+      } else {
+        // A method call on a value may be a fluent function of this library
+        if (node.kind === 'MethodInvocation') reference(table, functionKey(node.name), node.nameLoc);
+        visit(table, node.source, scopes, options);
+      }
+      (node.arguments || []).forEach(argument => visit(table, argument, scopes, options));
+      return;
+    }
+    case 'QualifiedReference':
+      visitQualifiedReference(table, node);
+      return;
+    case 'Query':
+      visitQuery(table, node, scopes, options);
+      return;
+    default:
+      visitChildren(table, node, scopes, options);
+  }
+}
+
+function visitChildren(table, node, scopes, options) {
+  for (const [key, value] of Object.entries(node)) {
+    if (SKIPPED_PROPERTIES.has(key)) continue;
+    const children = Array.isArray(value) ? value : [value];
+    children.forEach(child => {
+      if (child && typeof child === 'object' && child.kind) visit(table, child, scopes, options);
+    });
+  }
+}
+
+function visitQualifiedReference(table, node) {
+  if (!node) return;
+  if (!node.libraryName) {
+    if (table.declarations.has(node.name)) reference(table, table.declarations.get(node.name), node.nameLoc);
+    return;
+  }
+  if (table.includes.has(node.libraryName)) {
+    reference(table, memberKey(node.name), node.nameLoc, node.libraryName);
+  }
+}
+
+function visitQuery(table, query, scopes, options) {
+  const queryScope = new Map();
+  const inner = [...scopes, queryScope];
+
+  query.sources.forEach(source => {
+    visit(table, source.expression, scopes, options);
+    bindLocal(table, queryScope, source.alias, 'alias', source.aliasLoc, source.loc);
+  });
+
+  query.lets.forEach(clause => {
+    visit(table, clause.expression, inner, options);
+    bindLocal(table, queryScope, clause.name, 'let', clause.nameLoc, clause.loc);
+  });
+
+  query.relationships.forEach(relationship => {
+    visit(table, relationship.source.expression, inner, options);
+    const relationshipScope = new Map();
+    bindLocal(table, relationshipScope, relationship.source.alias, 'alias', relationship.source.aliasLoc, relationship.source.loc);
+    visit(table, relationship.suchThat, [...inner, relationshipScope], options);
+  });
+
+  visit(table, query.where, inner, options);
+  visit(table, query.return?.expression, inner, options);
+
+  if (query.aggregate) {
+    visit(table, query.aggregate.starting, inner, options);
+    const aggregateScope = new Map();
+    bindLocal(table, aggregateScope, query.aggregate.identifier, 'aggregate', query.aggregate.identifierLoc, query.aggregate.loc);
+    visit(table, query.aggregate.expression, [...inner, aggregateScope], options);
+  }
+
+  // Sort items name elements of the query result, not library declarations
+  query.sort?.items.forEach(item => visit(table, item.expression, inner, { ...options, inSort: true }));
+}
+
+// The include alias a member access goes through, e.g. Common in Common."Diabetes"
+function libraryAlias(table, source, scopes) {
+  if (source?.kind !== 'Identifier') return null;
+  if (lookupLocal(scopes, source.name) || table.declarations.has(source.name)) return null;
+  return table.includes.has(source.name) ? source.name : null;
+}
+
+// ---------------------------------------------------------------------------
+// Queries over a workspace of documents
+// ---------------------------------------------------------------------------
+
+/**
+ * The occurrence at a position
+ * @param {object} table - Symbol table
+ * @param {number} offset - Offset in the document
+ */
+export function findOccurrenceAt(table, offset) {
+  return table.occurrences.find(occurrence => occurrence.loc.start.offset <= offset && offset <= occurrence.loc.end.offset) || null;
+}
+
+/**
+ * The document and key an occurrence refers to
+ * @param {object} document - { table, ... } the occurrence belongs to
+ * @param {object} occurrence - Occurrence from findOccurrenceAt
+ * @param {Array} documents - All workspace documents as { table, ... }
+ * @returns {object|null} { document, key }
+ */
+export function resolveOccurrence(document, occurrence, documents) {
+  if (!occurrence.library) return { document, key: occurrence.key };
+
+  const target = findIncludedDocument(document, occurrence.library, documents);
+  return target ? { document: target, key: occurrence.key } : null;
+}
+
+function findIncludedDocument(document, alias, documents) {
+  const include = document.table.includes.get(alias);
+  if (!include) return null;
+  return documents.find(candidate => candidate.table.library?.name === include.libraryName &&
+    (!include.version || !candidate.table.library.version || include.version === candidate.table.library.version)) || null;
+}
+
+/**
+ * Every occurrence of a symbol across the workspace, including references from
+ * documents that include its library
+ * @param {object} target - { document, key } from resolveOccurrence
+ * @param {Array} documents - All workspace documents
+ * @returns {Array} [{ document, occurrence }]
+ */
+export function findAllOccurrences(target, documents) {
+  const results = target.document.table.occurrences
+    .filter(occurrence => occurrence.key === target.key && !occurrence.library)
+    .map(occurrence => ({ document: target.document, occurrence }));
+
+  // Locals and include aliases are private to their document
+  if (target.key.startsWith('local:') || target.key.startsWith('include:')) return results;
+
+  documents.forEach(document => {
+    document.table.occurrences
+      .filter(occurrence => occurrence.key === target.key && occurrence.library &&
+        findIncludedDocument(document, occurrence.library, documents) === target.document)
+      .forEach(occurrence => results.push({ document, occurrence }));
+  });
+
+  return results;
+}
+
+/**
+ * The declaration(s) of a symbol; functions may have several overloads
+ */
+export function findDeclarations(target) {
+  return target.document.table.symbols.filter(symbol => symbol.key === target.key);
+}
+
+/**
+ * Text that replaces an occurrence when renaming it. Occurrences written with
+ * quotes stay quoted; bare ones are quoted when the new name needs it.
+ * @param {string} original - Current text of the occurrence
+ * @param {string} newName - New identifier
+ */
+export function renameText(original, newName) {
+  if (original.startsWith('"')) {
+    return `"${newName.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+  return quoteIdentifier(newName, RESERVED_WORDS);
+}
@@ -0,0 +1,169 @@
+/**
+ * CQL Types
+ * Finds the expression under the cursor in a syntax tree the translator has
+ * typed (see analyzeCQL) and describes its inferred type and, for overloaded
+ * operators, the signature that was resolved. Members of included libraries
+ * are described from the library's declaration.
+ */
+
+import { OPERATOR_SIGNATURES, RESERVED_WORDS, formatSignature } from '../../../shared/cql/index.js';
+import { typeSpecifierText, quoteIdentifier } from './cql-scope';
+import { getCQLLibrarySymbols, getCQLLibraryInfo } from './cql-libraries';
+
+// Longest expression text repeated in a hover
+const MAX_LABEL_LENGTH = 40;
+
+/**
+ * The innermost typed expression, or the declaration named, at an offset
+ * @param {object} ast - Library syntax tree with `resultType` on expression nodes
+ * @param {number} offset - Offset in the document
+ * @returns {object|null} { node, declaration } where node is the expression (null when the
+ *   offset is on a declaration's name)
+ */
+export function findTypedNodeAt(ast, offset) {
+  const declaration = (ast?.declarations || []).find(candidate => contains(candidate.loc, offset));
+  if (!declaration) return null;
+  if (contains(declaration.nameLoc, offset)) return { node: null, declaration };
+
+  let found = null;
+  const visit = (node) => {
+    if (!node || typeof node !== 'object' || !contains(node.loc, offset)) return;
+    if ('resultType' in node) found = node;
+    Object.entries(node).forEach(([key, value]) => {
+      if (key === 'loc' || key.endsWith('Loc')) return;
+      (Array.isArray(value) ? value : [value]).forEach(child => {
+        if (child && typeof child === 'object' && child.kind) visit(child);
+      });
+    });
+  };
+  visit(declaration);
+
+  return found ? { node: found, declaration } : null;
+}
+
+/**
+ * The member of an included library named at an offset, e.g. `ToInterval` in `FC.ToInterval(x)`
+ * @param {object} ast - Library syntax tree
+ * @param {number} offset - Offset in the document
+ * @returns {object|null} { node, include } where node is the MemberInvocation or
+ *   MethodInvocation and include is the IncludeDefinition of its library
+ */
+export function findLibraryMemberAt(ast, offset) {
+  const declaration = (ast?.declarations || []).find(candidate => contains(candidate.loc, offset));
+  const includes = (ast?.declarations || []).filter(candidate => candidate.kind === 'IncludeDefinition');
+  if (!declaration || includes.length === 0) return null;
+
+  let found = null;
+  const visit = (node) => {
+    if (found || !node || typeof node !== 'object' || !contains(node.loc, offset)) return;
+    if ((node.kind === 'MemberInvocation' || node.kind === 'MethodInvocation') &&
+      node.source?.kind === 'Identifier' && contains(node.nameLoc, offset)) {
+      const include = includes.find(candidate => (candidate.alias || candidate.libraryName) === node.source.name);
+      if (include) {
+        found = { node, include };
+        return;
+      }
+    }
+    Object.entries(node).forEach(([key, value]) => {
+      if (key === 'loc' || key.endsWith('Loc')) return;
+      (Array.isArray(value) ? value : [value]).forEach(child => {
+        if (child && typeof child === 'object' && child.kind) visit(child);
+      });
+    });
+  };
+  visit(declaration);
+
+  return found;
+}
+
+/**
+ * Hover text for a member of an included library
+ * @param {object} found - Result of findLibraryMemberAt
+ * @returns {object|null} { loc, contents } with Markdown contents, or null when the library
+ *   is not registered (see cql-libraries) or has no such member
+ */
+export function describeLibraryMember({ node, include }) {
+  const members = getCQLLibrarySymbols(include.libraryName, include.version) || [];
+  const candidates = members.filter(symbol => symbol.name === node.name);
+  if (candidates.length === 0) return null;
+
+  // Prefer the overload taking as many arguments as the call passes
+  const member = candidates.find(symbol => symbol.operands?.length === node.arguments?.length) || candidates[0];
+  const library = getCQLLibraryInfo(include.libraryName, include.version);
+  const signature = declarationSignature(member.node) ||
+    `${quoteIdentifier(member.name, RESERVED_WORDS)}${node.resultType ? `: ${node.resultType}` : ''}`;
+
+  const contents = [
+    codeBlock(signature),
+    { value: `${member.kind} from library ${library.name}${library.version ? ` version '${library.version}'` : ''}` }
+  ];
+  if (member.description) contents.push({ value: member.description });
+  if (candidates.length > 1) {
+    contents.push({
+      value: `Overloads:\n${candidates.map(candidate => `- \`${declarationSignature(candidate.node)}\``).join('\n')}`
+    });
+  }
+
+  return { loc: node.nameLoc, contents };
+}
+
+function contains(loc, offset) {
+  return Boolean(loc) && loc.start.offset <= offset && offset <= loc.end.offset;
+}
+
+/**
+ * Hover text for a typed node
+ * @param {object} found - Result of findTypedNodeAt
+ * @param {string} code - Document source
+ * @returns {object|null} { loc, contents } with Markdown contents, or null when nothing is known
+ */
+export function describeTypedNode(found, code) {
+  const { node, declaration } = found;
+
+  if (!node) {
+    const signature = declarationSignature(declaration);
+    return signature ? { loc: declaration.nameLoc, contents: [codeBlock(signature)] } : null;
+  }
+  if (!node.resultType) return null;
+
+  const text = code.slice(node.loc.start.offset, node.loc.end.offset);
+  const label = text.length <= MAX_LABEL_LENGTH && !text.includes('\n') ? `${text}: ` : '';
+  const contents = [codeBlock(`${label}${node.resultType}`)];
+
+  if (node.signature) {
+    contents.push({ value: `Operator \`${formatSignature(node.signature)}\`` });
+    const overloads = OPERATOR_SIGNATURES[node.signature.name];
+    if (overloads.length > 1) {
+      contents.push({
+        value: `Overloads:\n${overloads.map(overload => `- \`${formatSignature({ name: node.signature.name, ...overload })}\``).join('\n')}`
+      });
+    }
+  }
+
+  return { loc: node.loc, contents };
+}
+
+function declarationSignature(declaration) {
+  const name = quoteIdentifier(declaration.name, RESERVED_WORDS);
+  switch (declaration.kind) {
+    case 'ExpressionDefinition': {
+      const type = declaration.expression?.resultType;
+      return type ? `${name}: ${type}` : null;
+    }
+    case 'ParameterDefinition': {
+      const type = typeSpecifierText(declaration.typeSpecifier) || declaration.default?.resultType;
+      return type ? `${name}: ${type}` : null;
+    }
+    case 'FunctionDefinition': {
+      const operands = declaration.operands.map(operand => `${operand.name} ${typeSpecifierText(operand.typeSpecifier)}`);
+      const returnType = typeSpecifierText(declaration.returnType) || declaration.expression?.resultType;
+      return `${name}(${operands.join(', ')})${returnType ? ` ${returnType}` : ''}`;
+    }
+    default:
+      return null;
+  }
+}
+
+function codeBlock(text) {
+  return { value: `\`\`\`cql\n${text}\n\`\`\`` };
+}
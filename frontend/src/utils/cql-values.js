@@ -0,0 +1,175 @@
+/**
+ * CQL Result Values
+ * Classifies execution results by their resultType (e.g. "Interval<Date>",
+ * "List<FHIR.Condition>") so each kind of value can get its own renderer,
+ * falling back to the value's shape when the type is missing or Any.
+ */
+
+const PRIMITIVE_KINDS = {
+  Boolean: 'boolean',
+  Integer: 'number',
+  Long: 'number',
+  Decimal: 'number',
+  String: 'string',
+  Date: 'date',
+  DateTime: 'datetime',
+  Time: 'time'
+};
+
+const STRUCTURED_KINDS = {
+  Quantity: 'quantity',
+  Ratio: 'ratio',
+  Code: 'code',
+  Concept: 'concept',
+  Tuple: 'tuple'
+};
+
+// Short names for common code systems
+export const CODE_SYSTEMS = {
+  'http://snomed.info/sct': 'SNOMED',
+  'http://loinc.org': 'LOINC',
+  'http://www.nlm.nih.gov/research/umls/rxnorm': 'RxNorm',
+  'http://hl7.org/fhir/sid/icd-10-cm': 'ICD-10-CM',
+  'http://hl7.org/fhir/sid/icd-10': 'ICD-10',
+  'http://www.ama-assn.org/go/cpt': 'CPT',
+  'http://hl7.org/fhir/sid/cvx': 'CVX'
+};
+
+/**
+ * Parse a resultType string into { name, elementType }
+ * @param {string} resultType - e.g. "List<Interval<DateTime>>" or "System.Integer"
+ * @returns {object|null} { name: 'List', elementType: { name: 'Interval', elementType: {...} } }
+ */
+export function parseResultType(resultType) {
+  if (!resultType || typeof resultType !== 'string') return null;
+
+  const text = resultType.trim();
+  const open = text.indexOf('<');
+  if (open === -1) {
+    return { name: stripNamespace(text), elementType: null };
+  }
+  return {
+    name: stripNamespace(text.slice(0, open)),
+    elementType: parseResultType(text.slice(open + 1, text.lastIndexOf('>')))
+  };
+}
+
+function stripNamespace(name) {
+  return name.replace(/^(System|FHIR)\./, '');
+}
+
+/**
+ * Determine how a value should be displayed
+ * @param {any} value - JSON result value
+ * @param {object|string|null} type - Parsed or raw resultType
+ * @returns {string} Value kind: 'null', 'boolean', 'number', 'string', 'date', 'datetime',
+ *   'time', 'interval', 'quantity', 'ratio', 'code', 'concept', 'tuple', 'resource', 'list'
+ */
+export function getValueKind(value, type = null) {
+  if (value === null || value === undefined) return 'null';
+
+  const parsed = typeof type === 'string' ? parseResultType(type) : type;
+  const name = parsed?.name;
+
+  if (Array.isArray(value)) return 'list';
+  if (name === 'Interval' && isInterval(value)) return 'interval';
+  if (PRIMITIVE_KINDS[name] && typeof value !== 'object') return PRIMITIVE_KINDS[name];
+  if (STRUCTURED_KINDS[name] && typeof value === 'object') return STRUCTURED_KINDS[name];
+
+  return kindFromShape(value);
+}
+
+function kindFromShape(value) {
+  switch (typeof value) {
+    case 'boolean':
+      return 'boolean';
+    case 'number':
+      return 'number';
+    case 'string':
+      if (/^T\d{2}(:\d{2})?/.test(value)) return 'time';
+      if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(value)) return 'date';
+      if (/^\d{4}-\d{2}-\d{2}T/.test(value)) return 'datetime';
+      return 'string';
+    default:
+      break;
+  }
+
+  if (typeof value.resourceType === 'string') return 'resource';
+  if (isInterval(value)) return 'interval';
+  if (typeof value.value === 'number' && Object.keys(value).every(key => key === 'value' || key === 'unit')) return 'quantity';
+  if (value.numerator && value.denominator) return 'ratio';
+  if (typeof value.code === 'string' && 'system' in value) return 'code';
+  if (Array.isArray(value.codes)) return 'concept';
+  return 'tuple';
+}
+
+function isInterval(value) {
+  return typeof value === 'object' && value !== null && 'lowClosed' in value && 'highClosed' in value;
+}
+
+/**
+ * Element type of a List result, if known
+ */
+export function getElementType(type) {
+  const parsed = typeof type === 'string' ? parseResultType(type) : type;
+  return parsed?.name === 'List' || parsed?.name === 'Interval' ? parsed.elementType : null;
+}
+
+/**
+ * Quantity in UCUM notation, e.g. "5 'mg'" (the default unit '1' is omitted)
+ */
+export function formatQuantity(quantity) {
+  if (!quantity) return 'null';
+  const unit = quantity.unit && quantity.unit !== '1' ? ` '${quantity.unit}'` : '';
+  return `${quantity.value}${unit}`;
+}
+
+/**
+ * Interval in CQL bracket notation, e.g. "Interval[1, 10)"
+ */
+export function formatInterval(interval, elementType = null) {
+  const bound = value => (value === null || value === undefined ? 'null' : formatCQLValue(value, elementType));
+  return `Interval${interval.lowClosed ? '[' : '('}${bound(interval.low)}, ${bound(interval.high)}${interval.highClosed ? ']' : ')'}`;
+}
+
+/**
+ * Single-line text for any result value, using CQL literal notation where one exists
+ * @param {any} value - JSON result value
+ * @param {object|string|null} type - resultType
+ * @returns {string}
+ */
+export function formatCQLValue(value, type = null) {
+  const kind = getValueKind(value, type);
+
+  switch (kind) {
+    case 'null':
+      return 'null';
+    case 'boolean':
+    case 'number':
+      return String(value);
+    case 'string':
+      return `'${value}'`;
+    case 'date':
+    case 'datetime':
+    case 'time':
+      return `@${value}`;
+    case 'quantity':
+      return formatQuantity(value);
+    case 'ratio':
+      return `${formatQuantity(value.numerator)} : ${formatQuantity(value.denominator)}`;
+    case 'interval':
+      return formatInterval(value, getElementType(type));
+    case 'code':
+      return value.display ? `${value.code} (${value.display})` : value.code;
+    case 'concept':
+      return value.display || value.codes.map(code => code.code).join(', ');
+    case 'resource':
+      return value.id ? `${value.resourceType}/${value.id}` : value.resourceType;
+    case 'list':
+      return `{${value.length} item${value.length !== 1 ? 's' : ''}}`;
+    default: {
+      const keys = Object.keys(value);
+      return `Tuple {${keys.length} element${keys.length !== 1 ? 's' : ''}}`;
+    }
+  }
+}
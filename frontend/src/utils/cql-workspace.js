@@ -0,0 +1,44 @@
+/**
+ * CQL Workspace
+ * The files of a multi-file exercise: the learner's library, which is the
+ * one executed, followed by libraries it can include (e.g. FHIRHelpers or a
+ * shared "Common" library). Files may be readonly (shown but not editable)
+ * or hidden (not shown, but still available to include).
+ */
+
+/**
+ * Workspace files of an exercise, from its `files` (exercise schema) or `tabs`
+ * @param {object} exercise - Exercise
+ * @returns {Array} [{ name, code, template, solution, readonly, hidden, language }]
+ */
+export function createWorkspace(exercise) {
+  const files = exercise?.files || exercise?.tabs || [];
+  return files.map((file, index) => ({
+    name: file.name || `Tab ${index + 1}`,
+    code: file.template || '',
+    template: file.template || '',
+    solution: file.solution || file.key || null,
+    readonly: Boolean(file.readonly),
+    hidden: Boolean(file.hidden),
+    language: file.language || 'cql'
+  }));
+}
+
+/**
+ * CQL libraries other than one file, to send with its execution or resolve its includes
+ * @param {Array} files - Workspace files
+ * @param {number} index - Index of the file being executed or edited
+ * @returns {Array} [{ name, code }]
+ */
+export function getWorkspaceLibraries(files, index = 0) {
+  return files
+    .filter((file, fileIndex) => fileIndex !== index && file.language === 'cql' && file.code.trim())
+    .map(({ name, code }) => ({ name, code }));
+}
+
+/**
+ * Indexes of the files shown as editor tabs
+ */
+export function visibleFileIndexes(files) {
+  return files.map((file, index) => (file.hidden ? -1 : index)).filter(index => index >= 0);
+}
@@ -0,0 +1,267 @@
+/**
+ * Editor Keymaps
+ * Keybinding modes (standard, Vim, Emacs) and the remappable shortcuts of the
+ * code editor's commands. Shortcuts are stored in settings as text such as
+ * "Ctrl+Shift+Enter", where Ctrl is Cmd on macOS.
+ */
+
+export const KEYMAP_MODES = [
+  { id: 'default', label: 'Standard' },
+  { id: 'vim', label: 'Vim' },
+  { id: 'emacs', label: 'Emacs' }
+];
+
+// Editor commands that can be remapped
+export const EDITOR_COMMANDS = [
+  { id: 'run', label: 'Run code', defaultShortcut: 'Ctrl+Enter' },
+  { id: 'submit', label: 'Submit answer', defaultShortcut: 'Ctrl+Shift+Enter' },
+  { id: 'format', label: 'Format code', defaultShortcut: 'Shift+Alt+F' },
+  { id: 'nextHint', label: 'Show next hint', defaultShortcut: 'Ctrl+Shift+H' },
+  { id: 'showShortcuts', label: 'Show keyboard shortcuts', defaultShortcut: 'Ctrl+Shift+/' }
+];
+
+// Keys a shortcut can end with: [display name, KeyboardEvent.code, Monaco KeyCode name]
+const KEYS = [
+  ...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').map(letter => [letter, `Key${letter}`, `Key${letter}`]),
+  ...'0123456789'.split('').map(digit => [digit, `Digit${digit}`, `Digit${digit}`]),
+  ...Array.from({ length: 12 }, (_, index) => [`F${index + 1}`, `F${index + 1}`, `F${index + 1}`]),
+  ['Enter', 'Enter', 'Enter'],
+  ['Escape', 'Escape', 'Escape'],
+  ['Space', 'Space', 'Space'],
+  ['Tab', 'Tab', 'Tab'],
+  ['Backspace', 'Backspace', 'Backspace'],
+  ['Delete', 'Delete', 'Delete'],
+  ['Up', 'ArrowUp', 'UpArrow'],
+  ['Down', 'ArrowDown', 'DownArrow'],
+  ['Left', 'ArrowLeft', 'LeftArrow'],
+  ['Right', 'ArrowRight', 'RightArrow'],
+  ['/', 'Slash', 'Slash'],
+  ['.', 'Period', 'Period'],
+  [',', 'Comma', 'Comma'],
+  [';', 'Semicolon', 'Semicolon'],
+  ["'", 'Quote', 'Quote'],
+  ['[', 'BracketLeft', 'BracketLeft'],
+  [']', 'BracketRight', 'BracketRight'],
+  ['\\', 'Backslash', 'Backslash'],
+  ['-', 'Minus', 'Minus'],
+  ['=', 'Equal', 'Equal'],
+  ['`', 'Backquote', 'Backquote']
+];
+
+const MODIFIERS = ['Ctrl', 'Shift', 'Alt'];
+
+// Shortcuts the editor or a keymap mode already uses, which a command would override
+const RESERVED_SHORTCUTS = {
+  default: {
+    'Ctrl+F': 'Find',
+    'Ctrl+H': 'Replace',
+    'Ctrl+Z': 'Undo',
+    'Ctrl+Y': 'Redo',
+    'Ctrl+C': 'Copy',
+    'Ctrl+X': 'Cut',
+    'Ctrl+V': 'Paste',
+    'Ctrl+A': 'Select all',
+    'Ctrl+D': 'Add selection to next match',
+    'Ctrl+/': 'Toggle line comment',
+    'Ctrl+Space': 'Trigger suggestions',
+    F1: 'Command palette',
+    F2: 'Rename symbol',
+    F12: 'Go to definition',
+    'Shift+F12': 'Find references'
+  },
+  vim: {
+    Escape: 'Vim: normal mode',
+    'Ctrl+[': 'Vim: normal mode',
+    'Ctrl+R': 'Vim: redo',
+    'Ctrl+V': 'Vim: visual block mode',
+    'Ctrl+D': 'Vim: scroll down',
+    'Ctrl+U': 'Vim: scroll up',
+    'Ctrl+F': 'Vim: page down',
+    'Ctrl+B': 'Vim: page up',
+    'Ctrl+O': 'Vim: jump back',
+    'Ctrl+I': 'Vim: jump forward',
+    'Ctrl+A': 'Vim: increment number',
+    'Ctrl+X': 'Vim: decrement number',
+    'Ctrl+W': 'Vim: delete word before cursor'
+  },
+  emacs: {
+    'Ctrl+A': 'Emacs: beginning of line',
+    'Ctrl+E': 'Emacs: end of line',
+    'Ctrl+F': 'Emacs: forward character',
+    'Ctrl+B': 'Emacs: backward character',
+    'Ctrl+N': 'Emacs: next line',
+    'Ctrl+P': 'Emacs: previous line',
+    'Ctrl+K': 'Emacs: kill line',
+    'Ctrl+Y': 'Emacs: yank',
+    'Ctrl+W': 'Emacs: kill region',
+    'Ctrl+G': 'Emacs: cancel',
+    'Ctrl+S': 'Emacs: search forward',
+    'Ctrl+R': 'Emacs: search backward',
+    'Ctrl+X': 'Emacs: prefix key',
+    'Ctrl+Space': 'Emacs: set mark',
+    'Ctrl+/': 'Emacs: undo',
+    'Alt+F': 'Emacs: forward word',
+    'Alt+B': 'Emacs: backward word',
+    'Alt+W': 'Emacs: copy region',
+    'Alt+X': 'Emacs: execute command'
+  }
+};
+
+/**
+ * Normalize a shortcut to its canonical text, e.g. "shift+ctrl+enter" to "Ctrl+Shift+Enter"
+ * @param {string} shortcut - Modifiers and a key joined by "+"
+ * @returns {string|null} Canonical shortcut, or null when it is not valid
+ */
+export function normalizeShortcut(shortcut) {
+  if (typeof shortcut !== 'string' || !shortcut.trim()) return null;
+
+  // "+" separates the parts, so a trailing "+" cannot name a key
+  const parts = shortcut.split('+').map(part => part.trim());
+  const keyName = parts.pop();
+  const key = KEYS.find(([display]) => display.toLowerCase() === keyName.toLowerCase());
+  const modifiers = parts.map(part => MODIFIERS.find(modifier => modifier.toLowerCase() === part.toLowerCase()));
+  if (!key || modifiers.some(modifier => !modifier)) return null;
+
+  return [...MODIFIERS.filter(modifier => modifiers.includes(modifier)), key[0]].join('+');
+}
+
+/**
+ * The shortcut typed in a keydown event, for recording a new binding
+ * @param {KeyboardEvent} event - keydown event
+ * @returns {string|null} Canonical shortcut, or null for a lone modifier or an unsupported key
+ */
+export function shortcutFromEvent(event) {
+  const key = KEYS.find(([, code]) => code === event.code);
+  if (!key) return null;
+
+  return [
+    event.ctrlKey || event.metaKey ? 'Ctrl' : null,
+    event.shiftKey ? 'Shift' : null,
+    event.altKey ? 'Alt' : null,
+    key[0]
+  ].filter(Boolean).join('+');
+}
+
+/**
+ * Convert a shortcut to a Monaco keybinding
+ * @param {object} monaco - Monaco namespace
+ * @param {string} shortcut - e.g. "Ctrl+Shift+Enter"
+ * @returns {number|null} KeyMod and KeyCode flags, or null when the shortcut is not valid
+ */
+export function toMonacoKeybinding(monaco, shortcut) {
+  const normalized = normalizeShortcut(shortcut);
+  if (!normalized) return null;
+
+  const parts = normalized.split('+');
+  const key = KEYS.find(([display]) => display === parts[parts.length - 1]);
+  const modifierFlags = {
+    Ctrl: monaco.KeyMod.CtrlCmd,
+    Shift: monaco.KeyMod.Shift,
+    Alt: monaco.KeyMod.Alt
+  };
+
+  return parts.slice(0, -1).reduce(
+    (keybinding, modifier) => keybinding | modifierFlags[modifier],
+    monaco.KeyCode[key[2]]
+  );
+}
+
+/**
+ * The shortcut of every editor command
+ * @param {object} keyBindings - Command ids mapped to the learner's shortcuts; an empty
+ *   shortcut unbinds the command
+ * @returns {object} Command ids mapped to canonical shortcuts, or null when unbound
+ */
+export function getShortcuts(keyBindings = {}) {
+  return Object.fromEntries(EDITOR_COMMANDS.map(command => {
+    const custom = keyBindings[command.id];
+    if (custom === '') return [command.id, null];
+    return [command.id, normalizeShortcut(custom) || command.defaultShortcut];
+  }));
+}
+
+/**
+ * Find shortcuts bound to more than one command, or to a key the editor or the keymap mode uses
+ * @param {object} shortcuts - From getShortcuts
+ * @param {string} mode - Keymap mode id
+ * @returns {Array} [{ shortcut, commands: [command ids], reserved: description | null }]
+ */
+export function findShortcutConflicts(shortcuts, mode = 'default') {
+  const reserved = { ...RESERVED_SHORTCUTS.default, ...RESERVED_SHORTCUTS[mode] };
+  const commandsByShortcut = {};
+  Object.entries(shortcuts).forEach(([commandId, shortcut]) => {
+    if (shortcut) (commandsByShortcut[shortcut] ||= []).push(commandId);
+  });
+
+  return Object.entries(commandsByShortcut)
+    .filter(([shortcut, commands]) => commands.length > 1 || reserved[shortcut])
+    .map(([shortcut, commands]) => ({ shortcut, commands, reserved: reserved[shortcut] || null }));
+}
+
+/**
+ * Essential keys of a keymap mode, for the shortcuts cheat sheet
+ * @param {string} mode - Keymap mode id
+ * @returns {Array} [{ keys, description }]
+ */
+export function getModeEssentials(mode) {
+  if (mode === 'vim') {
+    return [
+      { keys: 'i / a', description: 'Insert before / after the cursor' },
+      { keys: 'Escape', description: 'Back to normal mode' },
+      { keys: 'h j k l', description: 'Move left, down, up, right' },
+      { keys: 'w / b', description: 'Next / previous word' },
+      { keys: 'dd / yy / p', description: 'Delete, copy, paste a line' },
+      { keys: 'u / Ctrl+R', description: 'Undo / redo' },
+      { keys: 'v / V', description: 'Visual / visual line mode' },
+      { keys: '/pattern', description: 'Search' }
+    ];
+  }
+  if (mode === 'emacs') {
+    return [
+      { keys: 'Ctrl+F / Ctrl+B', description: 'Forward / backward character' },
+      { keys: 'Ctrl+N / Ctrl+P', description: 'Next / previous line' },
+      { keys: 'Ctrl+A / Ctrl+E', description: 'Beginning / end of line' },
+      { keys: 'Ctrl+Space', description: 'Set mark' },
+      { keys: 'Ctrl+W / Alt+W', description: 'Kill / copy region' },
+      { keys: 'Ctrl+K / Ctrl+Y', description: 'Kill line / yank' },
+      { keys: 'Ctrl+S', description: 'Search' },
+      { keys: 'Ctrl+G', description: 'Cancel' }
+    ];
+  }
+  return Object.entries(RESERVED_SHORTCUTS.default)
+    .filter(([, description]) => !['Copy', 'Cut', 'Paste', 'Select all', 'Undo', 'Redo'].includes(description))
+    .map(([keys, description]) => ({ keys, description }));
+}
+
+/**
+ * Turn on a keymap mode in an editor; the Vim and Emacs bindings are loaded on demand
+ * @param {object} editor - Monaco editor
+ * @param {string} mode - Keymap mode id
+ * @param {HTMLElement} statusNode - Element showing the mode's status, e.g. "-- INSERT --"
+ * @returns {Promise<Function>} Turns the mode off again
+ */
+export async function attachKeymapMode(editor, mode, statusNode) {
+  if (mode === 'vim') {
+    const { initVimMode } = await import('monaco-vim');
+    const vimMode = initVimMode(editor, statusNode);
+    return () => vimMode.dispose();
+  }
+
+  if (mode === 'emacs') {
+    const { EmacsExtension } = await import('monaco-emacs');
+    const emacsMode = new EmacsExtension(editor);
+    emacsMode.onDidMarkChange(markSet => {
+      if (statusNode) statusNode.textContent = markSet ? 'Mark set' : 'Mark deactivated';
+    });
+    emacsMode.onDidChangeKey(keys => {
+      if (statusNode) statusNode.textContent = keys;
+    });
+    emacsMode.start();
+    return () => {
+      emacsMode.dispose();
+      if (statusNode) statusNode.textContent = '';
+    };
+  }
+
+  return () => {};
+}
@@ -0,0 +1,113 @@
+/**
+ * ELM Source Map
+ * Builds a browsable tree from translated ELM JSON and maps between its nodes
+ * and the CQL they were translated from, using each node's `locator`
+ * ("startLine:startColumn-endLine:endColumn", columns inclusive).
+ */
+
+// Qualified type names are shown with their model name, e.g. System.Integer
+const MODEL_PREFIXES = {
+  'urn:hl7-org:elm-types:r1': 'System',
+  'http://hl7.org/fhir': 'FHIR'
+};
+
+// Properties shown as the node's label rather than as attributes
+const LABEL_PROPERTIES = new Set(['type', 'locator']);
+
+/**
+ * Parse an ELM locator to a Monaco range
+ * @param {string} locator - e.g. "4:17-4:28"
+ * @returns {object|null} { startLineNumber, startColumn, endLineNumber, endColumn }, end exclusive
+ */
+export function parseLocator(locator) {
+  const match = /^(\d+):(\d+)-(\d+):(\d+)$/.exec(locator || '');
+  if (!match) return null;
+
+  const [startLine, startColumn, endLine, endColumn] = match.slice(1).map(Number);
+  return {
+    startLineNumber: startLine,
+    startColumn,
+    endLineNumber: endLine,
+    endColumn: endColumn + 1
+  };
+}
+
+/**
+ * Build the node tree of an ELM library
+ * @param {object} elm - ELM JSON ({ library })
+ * @returns {object|null} Root node; each node is { id, key, type, attributes: [[name, value]], range, children }
+ */
+export function buildElmTree(elm) {
+  return elm?.library ? buildNode(elm.library, 'library', 'library') : null;
+}
+
+function buildNode(value, key, id) {
+  const attributes = [];
+  const children = [];
+
+  Object.entries(value).forEach(([name, property]) => {
+    if (property === null || typeof property === 'undefined' || LABEL_PROPERTIES.has(name)) return;
+
+    if (typeof property !== 'object') {
+      attributes.push([name, formatScalar(property)]);
+    } else if (Array.isArray(property) && property.every(item => typeof item !== 'object')) {
+      attributes.push([name, property.map(formatScalar).join(', ')]);
+    } else if (Array.isArray(property)) {
+      property.forEach((item, index) => children.push(buildNode(item, name, `${id}.${name}.${index}`)));
+    } else {
+      children.push(buildNode(property, name, `${id}.${name}`));
+    }
+  });
+
+  return {
+    id,
+    key,
+    type: value.type || null,
+    locator: value.locator || null,
+    range: parseLocator(value.locator),
+    attributes,
+    children
+  };
+}
+
+function formatScalar(value) {
+  const text = String(value);
+  const match = /^\{([^}]+)\}(.+)$/.exec(text);
+  return match && MODEL_PREFIXES[match[1]] ? `${MODEL_PREFIXES[match[1]]}.${match[2]}` : text;
+}
+
+/**
+ * Find the innermost node whose CQL contains a position
+ * @param {object} tree - Root node from buildElmTree
+ * @param {object} position - { lineNumber, column } as reported by Monaco
+ * @returns {object|null} The node with the smallest containing range; the deepest on a tie
+ */
+export function findElmNodeAt(tree, position) {
+  let best = null;
+
+  const visit = node => {
+    if (node.range && containsPosition(node.range, position)
+      && (!best || compareSize(node.range, best.range) <= 0)) {
+      best = node;
+    }
+    node.children.forEach(visit);
+  };
+
+  if (tree) visit(tree);
+  return best;
+}
+
+function containsPosition(range, { lineNumber, column }) {
+  const afterStart = lineNumber > range.startLineNumber
+    || (lineNumber === range.startLineNumber && column >= range.startColumn);
+  const beforeEnd = lineNumber < range.endLineNumber
+    || (lineNumber === range.endLineNumber && column <= range.endColumn);
+  return afterStart && beforeEnd;
+}
+
+// Order ranges by the number of lines they span, then by their length on the last line
+function compareSize(a, b) {
+  const lines = (a.endLineNumber - a.startLineNumber) - (b.endLineNumber - b.startLineNumber);
+  if (lines !== 0) return lines;
+  return (a.endColumn - a.startColumn) - (b.endColumn - b.startColumn);
+}
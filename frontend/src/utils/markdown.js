@@ -0,0 +1,18 @@
+/**
+ * Markdown Rendering
+ * Renders authored markdown (exercise instructions) to HTML that is safe to
+ * insert with dangerouslySetInnerHTML: scripts, event handlers and
+ * javascript: URLs are stripped from the output.
+ */
+
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+
+/**
+ * Render markdown to sanitized HTML
+ * @param {string} text - Markdown source
+ * @returns {string} Sanitized HTML
+ */
+export function renderMarkdown(text) {
+  return DOMPurify.sanitize(marked.parse(text || ''));
+}
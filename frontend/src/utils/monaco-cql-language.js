@@ -4,11 +4,30 @@
  * 
  * This file provides complete CQL language support including:
  * - Comprehensive syntax highlighting
- * - Autocompletion with built-in functions and keywords
- * - Hover information for CQL constructs
+ * - Autocompletion for library symbols, query aliases, built-in functions and keywords
+ * - Hover information for CQL constructs and the inferred types of expressions
+ * - Go to definition, find references and rename
+ * - Quick-fixes for lint problems
  * - Basic error detection and validation
  */
 
+import { RESERVED_WORDS } from '../../../shared/cql/index.js';
+import { parseCQLDocument } from './cql-parser-client';
+import {
+  prepareCompletionSource,
+  findCompletionContext,
+  collectDeclarations,
+  quoteIdentifier
+} from './cql-scope';
+import { getCQLLibrarySymbols } from './cql-libraries';
+import { findTypedNodeAt, describeTypedNode, findLibraryMemberAt, describeLibraryMember } from './cql-types';
+import {
+  createCQLDefinitionProvider,
+  createCQLReferenceProvider,
+  createCQLRenameProvider
+} from './cql-navigation';
+import { createCQLCodeActionProvider } from './cql-lint';
+
 // CQL Language Configuration
 export const CQL_LANGUAGE_CONFIG = {
   // Language tokens and brackets
@@ -81,6 +100,14 @@ const CQL_CONTEXT_TYPES = [
   'Population', 'Encounter'
 ];
 
+// FHIR resource types that can be retrieved, e.g. [Condition]
+const FHIR_RESOURCE_TYPES = [
+  'Patient', 'Encounter', 'Observation', 'Condition', 'Procedure',
+  'MedicationRequest', 'MedicationStatement', 'MedicationAdministration', 'MedicationDispense',
+  'DiagnosticReport', 'AllergyIntolerance', 'Immunization', 'CarePlan', 'Goal',
+  'Device', 'ServiceRequest'
+];
+
 const CQL_DATA_TYPES = [
   // Primitive Types
   'Boolean', 'Integer', 'Long', 'Decimal', 'String',
@@ -93,9 +120,7 @@ const CQL_DATA_TYPES = [
   'Tuple', 'List', 'Interval', 'Choice',
   
   // Clinical Data Types (FHIR)
-  'Patient', 'Encounter', 'Observation', 'Condition', 'Procedure',
-  'MedicationRequest', 'MedicationStatement', 'DiagnosticReport',
-  'AllergyIntolerance', 'Immunization', 'CarePlan', 'Goal'
+  ...FHIR_RESOURCE_TYPES
 ];
 
 const CQL_BUILT_IN_FUNCTIONS = [
@@ -273,98 +298,271 @@ export const CQL_DARK_THEME = {
   colors: {}
 };
 
+// Declaration keywords offered at the start of a statement
+const CQL_STATEMENT_KEYWORDS = [
+  'library', 'using', 'include', 'public', 'private', 'parameter', 'define', 'context',
+  'codesystem', 'valueset', 'code', 'concept'
+];
+
+// Keywords that continue a query after its source alias
+const CQL_QUERY_KEYWORDS = ['where', 'return', 'sort', 'with', 'without', 'let', 'such that', 'aggregate'];
+
+// Suggestion order by cursor context: lower ranks come first
+const COMPLETION_RANKS = {
+  expression: {
+    local: 0, define: 1, parameter: 2, function: 3, valueset: 4, code: 4, concept: 4,
+    codesystem: 5, include: 5, builtin: 6, keyword: 7, type: 8, snippet: 9
+  },
+  terminology: {
+    valueset: 0, code: 0, concept: 0, codesystem: 1, include: 2, parameter: 3, define: 4, local: 5
+  },
+  member: { function: 0, define: 1, parameter: 2, valueset: 3, code: 3, concept: 3, codesystem: 4 },
+  alias: { keyword: 0 },
+  statement: { snippet: 0, keyword: 1 }
+};
+
+const SYMBOL_COMPLETION_KINDS = {
+  local: 'Variable',
+  define: 'Value',
+  function: 'Function',
+  parameter: 'Constant',
+  valueset: 'Enum',
+  codesystem: 'Enum',
+  code: 'EnumMember',
+  concept: 'EnumMember',
+  include: 'Module'
+};
+
+const LOCAL_DETAILS = {
+  alias: 'Query alias',
+  let: 'Let clause',
+  operand: 'Function operand',
+  aggregate: 'Aggregate result'
+};
+
+// Lines that are naming a new declaration, e.g. `define "` or `called `
+const NAMING_PATTERN = /(?:^|\s)(?:define(?:\s+(?:public|private))?(?:\s+fluent)?(?:\s+function)?|parameter|codesystem|valueset|code|concept|library|called)\s+$/;
+
 // CQL Completion Item Provider
+// Suggestions come from the library itself (defines, functions, parameters,
+// terminology and included libraries) and from the queries around the cursor,
+// ranked for the position being completed.
 export const createCQLCompletionProvider = (monaco) => ({
-  provideCompletionItems: (model, position) => {
-    const word = model.getWordUntilPosition(position);
+  triggerCharacters: ['.', '"', '['],
+
+  provideCompletionItems: async (model, position) => {
+    const completion = prepareCompletionSource(model.getValue(), model.getOffsetAt(position));
+    const start = model.getPositionAt(completion.start);
+    const end = model.getPositionAt(completion.end);
     const range = {
-      startLineNumber: position.lineNumber,
-      endLineNumber: position.lineNumber,
-      startColumn: word.startColumn,
-      endColumn: word.endColumn
+      startLineNumber: start.lineNumber,
+      endLineNumber: end.lineNumber,
+      startColumn: start.column,
+      endColumn: end.column
     };
 
-    const suggestions = [
-      // Keywords
-      ...CQL_KEYWORDS.map(keyword => ({
-        label: keyword,
-        kind: monaco.languages.CompletionItemKind.Keyword,
-        insertText: keyword,
-        range: range,
-        detail: 'CQL Keyword'
-      })),
-      
-      // Data Types
-      ...CQL_DATA_TYPES.map(type => ({
-        label: type,
-        kind: monaco.languages.CompletionItemKind.Class,
-        insertText: type,
-        range: range,
-        detail: 'CQL Data Type'
-      })),
-      
-      // Built-in Functions
-      ...CQL_BUILT_IN_FUNCTIONS.map(func => ({
-        label: func,
-        kind: monaco.languages.CompletionItemKind.Function,
-        insertText: `${func}($1)`,
-        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-        range: range,
-        detail: 'CQL Built-in Function',
-        documentation: `Built-in CQL function: ${func}`
-      })),
-      
-      // Common CQL patterns
-      {
-        label: 'define-expression',
-        kind: monaco.languages.CompletionItemKind.Snippet,
-        insertText: 'define "${1:ExpressionName}":\n\t${2:expression}',
-        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-        range: range,
-        detail: 'Define Expression',
-        documentation: 'Define a new CQL expression'
-      },
-      {
-        label: 'library-header',
-        kind: monaco.languages.CompletionItemKind.Snippet,
-        insertText: 'library ${1:LibraryName} version \'${2:1.0.0}\'\n\nusing FHIR version \'${3:4.0.1}\'\n\n${4}',
-        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-        range: range,
-        detail: 'Library Header',
-        documentation: 'Standard CQL library header'
-      }
-    ];
+    const linePrefix = model.getLineContent(start.lineNumber).slice(0, start.column - 1);
+    if (NAMING_PATTERN.test(linePrefix)) {
+      return { suggestions: [] };
+    }
+
+    let ast = null;
+    try {
+      ({ ast } = await parseCQLDocument(completion.source));
+    } catch (error) {
+      console.error('CQL completion failed to parse:', error);
+    }
 
-    return { suggestions };
+    const scope = findCompletionContext(ast);
+    if (scope.context === 'statement' && linePrefix.trim()) {
+      // A statement that does not parse yet still gets expression suggestions past its first word
+      scope.context = 'expression';
+    } else if (scope.context === 'alias' && !linePrefix) {
+      // A word at the start of a line after a query reads as an alias, but is usually a new statement
+      scope.context = 'statement';
+    }
+
+    const declarations = collectDeclarations(ast).filter(symbol => symbol.node !== scope.declaration);
+    return { suggestions: getCompletionItems(monaco, scope, declarations, { range, quoted: completion.quoted }) };
   }
 });
 
+function getCompletionItems(monaco, scope, declarations, options) {
+  const ranks = COMPLETION_RANKS[scope.context] || {};
+  const symbolItems = (symbols, itemOptions = {}) => symbols
+    .filter(symbol => ranks[symbol.kind] !== undefined)
+    .map(symbol => symbolCompletion(monaco, symbol, { ...options, ...itemOptions, rank: ranks[symbol.kind] }));
+
+  switch (scope.context) {
+    case 'member': {
+      const include = declarations.find(symbol => symbol.kind === 'include' && symbol.name === scope.memberOf);
+      if (include) {
+        const members = getCQLLibrarySymbols(include.libraryName, include.version) || [];
+        return symbolItems(members, { library: include });
+      }
+      // Fluent functions can be invoked on any value
+      return symbolItems(declarations.filter(symbol => symbol.kind === 'function' && symbol.fluent), { fluentCall: true });
+    }
+    case 'retrieveType':
+      return FHIR_RESOURCE_TYPES.map(type => wordCompletion(monaco, type, 'Class', 'FHIR Resource', options.range, 0));
+    case 'type':
+      return CQL_DATA_TYPES.map(type => wordCompletion(monaco, type, 'Class', 'CQL Data Type', options.range, 0));
+    case 'alias':
+      return [
+        ...CQL_QUERY_KEYWORDS.map(keyword => wordCompletion(monaco, keyword, 'Keyword', 'Query clause', options.range, 0)),
+        ...CQL_KEYWORDS
+          .filter(keyword => !CQL_QUERY_KEYWORDS.includes(keyword))
+          .map(keyword => wordCompletion(monaco, keyword, 'Keyword', 'CQL Keyword', options.range, 1))
+      ];
+    case 'statement':
+      return [
+        ...getSnippetCompletions(monaco, options.range, ranks.snippet),
+        ...CQL_STATEMENT_KEYWORDS.map(keyword => wordCompletion(monaco, keyword, 'Keyword', 'CQL Keyword', options.range, ranks.keyword))
+      ];
+    case 'terminology':
+      return [
+        ...symbolItems(scope.locals.map(local => ({ ...local, kind: 'local', localKind: local.kind }))),
+        ...symbolItems(declarations)
+      ];
+    default:
+      return [
+        ...symbolItems(scope.locals.map(local => ({ ...local, kind: 'local', localKind: local.kind }))),
+        ...symbolItems(declarations),
+        ...CQL_BUILT_IN_FUNCTIONS.map(func => ({
+          ...wordCompletion(monaco, func, 'Function', 'CQL Built-in Function', options.range, ranks.builtin),
+          insertText: `${func}($1)`,
+          insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+          documentation: `Built-in CQL function: ${func}`
+        })),
+        ...CQL_KEYWORDS.map(keyword => wordCompletion(monaco, keyword, 'Keyword', 'CQL Keyword', options.range, ranks.keyword)),
+        ...CQL_DATA_TYPES.map(type => wordCompletion(monaco, type, 'Class', 'CQL Data Type', options.range, ranks.type)),
+        ...getSnippetCompletions(monaco, options.range, ranks.snippet)
+      ];
+  }
+}
+
+function symbolCompletion(monaco, symbol, { range, quoted, rank, library = null, fluentCall = false }) {
+  const item = {
+    label: symbol.name,
+    kind: monaco.languages.CompletionItemKind[SYMBOL_COMPLETION_KINDS[symbol.kind]],
+    range,
+    sortText: sortText(rank, symbol.name),
+    filterText: quoted ? `"${symbol.name}` : symbol.name,
+    detail: symbolDetail(symbol, library),
+    ...(symbol.description && { documentation: symbol.description })
+  };
+
+  switch (symbol.kind) {
+    case 'function': {
+      // A fluent call supplies the first operand as the value before the '.'
+      const operands = fluentCall ? symbol.operands.slice(1) : symbol.operands;
+      const placeholders = operands.map((operand, index) => `\${${index + 1}:${escapeSnippet(operand.name)}}`);
+      return {
+        ...item,
+        insertText: `${escapeSnippet(quoteIdentifier(symbol.name, RESERVED_WORDS))}(${placeholders.join(', ')})`,
+        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet
+      };
+    }
+    case 'local':
+    case 'include':
+      return { ...item, insertText: quoteIdentifier(symbol.name, RESERVED_WORDS) };
+    default:
+      // Defines, parameters and terminology are always written quoted
+      return { ...item, insertText: `"${symbol.name.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"` };
+  }
+}
+
+function symbolDetail(symbol, library) {
+  const owner = library ? `${library.libraryName}${library.version ? ` version '${library.version}'` : ''}: ` : '';
+
+  switch (symbol.kind) {
+    case 'local':
+      return LOCAL_DETAILS[symbol.localKind];
+    case 'function': {
+      const operands = symbol.operands.map(operand => `${operand.name} ${operand.type || 'Any'}`).join(', ');
+      return `${owner}${symbol.fluent ? 'fluent ' : ''}function ${symbol.name}(${operands})${symbol.returnType ? ` returns ${symbol.returnType}` : ''}`;
+    }
+    case 'parameter':
+      return `${owner}parameter${symbol.type ? ` ${symbol.type}` : ''}`;
+    case 'include':
+      return `library ${symbol.libraryName}${symbol.version ? ` version '${symbol.version}'` : ''}`;
+    default:
+      return `${owner}${symbol.kind}`;
+  }
+}
+
+function wordCompletion(monaco, word, kind, detail, range, rank) {
+  return {
+    label: word,
+    kind: monaco.languages.CompletionItemKind[kind],
+    insertText: word,
+    range,
+    sortText: sortText(rank, word),
+    detail
+  };
+}
+
+function getSnippetCompletions(monaco, range, rank) {
+  return [
+    {
+      label: 'define-expression',
+      kind: monaco.languages.CompletionItemKind.Snippet,
+      insertText: 'define "${1:ExpressionName}":\n\t${2:expression}',
+      insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+      range: range,
+      sortText: sortText(rank, 'define-expression'),
+      detail: 'Define Expression',
+      documentation: 'Define a new CQL expression'
+    },
+    {
+      label: 'library-header',
+      kind: monaco.languages.CompletionItemKind.Snippet,
+      insertText: 'library ${1:LibraryName} version \'${2:1.0.0}\'\n\nusing FHIR version \'${3:4.0.1}\'\n\n${4}',
+      insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+      range: range,
+      sortText: sortText(rank, 'library-header'),
+      detail: 'Library Header',
+      documentation: 'Standard CQL library header'
+    }
+  ];
+}
+
+function sortText(rank, label) {
+  return `${String(rank).padStart(2, '0')}_${label}`;
+}
+
+function escapeSnippet(text) {
+  return text.replace(/[\\$}]/g, '\\$&');
+}
+
 // CQL Hover Provider
 export const createCQLHoverProvider = (monaco) => ({
-  provideHover: (model, position) => {
+  provideHover: async (model, position) => {
     const word = model.getWordAtPosition(position);
-    if (!word) return;
+    // Documentation for keywords, functions, etc.
+    const documentation = word ? getCQLDocumentation(word.word) : null;
 
-    const { word: hoveredWord } = word;
-    
-    // Provide documentation for keywords, functions, etc.
-    const documentation = getCQLDocumentation(hoveredWord);
+    // Inferred type of the expression under the cursor
+    const code = model.getValue();
+    const { ast } = await parseCQLDocument(code);
+    const offset = model.getOffsetAt(position);
+    const member = findLibraryMemberAt(ast, offset);
+    const found = findTypedNodeAt(ast, offset);
+    const typed = (member && describeLibraryMember(member)) || (found ? describeTypedNode(found, code) : null);
+
+    if (!typed && !documentation) return null;
+
+    const contents = typed ? [...typed.contents] : [];
     if (documentation) {
-      return {
-        range: new monaco.Range(
-          position.lineNumber, 
-          word.startColumn, 
-          position.lineNumber, 
-          word.endColumn
-        ),
-        contents: [
-          { value: `**${hoveredWord}**` },
-          { value: documentation }
-        ]
-      };
+      contents.push({ value: `**${word.word}**` }, { value: documentation });
     }
-    
-    return null;
+
+    return {
+      range: typed
+        ? new monaco.Range(typed.loc.start.line, typed.loc.start.column, typed.loc.end.line, typed.loc.end.column)
+        : new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn),
+      contents
+    };
   }
 });
 
@@ -426,6 +624,16 @@ export function registerCQLLanguage(monaco) {
   
   // Register hover provider
   monaco.languages.registerHoverProvider('cql', createCQLHoverProvider(monaco));
+
+  // Register definition, reference and rename providers
+  monaco.languages.registerDefinitionProvider('cql', createCQLDefinitionProvider(monaco));
+  monaco.languages.registerReferenceProvider('cql', createCQLReferenceProvider(monaco));
+  monaco.languages.registerRenameProvider('cql', createCQLRenameProvider(monaco));
+
+  // Register quick-fixes for lint problems
+  monaco.languages.registerCodeActionProvider('cql', createCQLCodeActionProvider(monaco), {
+    providedCodeActionKinds: ['quickfix']
+  });
   
   // Register formatting provider (will be imported dynamically to avoid circular imports)
   import('./cql-formatter').then(({ createCQLFormattingProvider }) => {
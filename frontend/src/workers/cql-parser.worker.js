@@ -0,0 +1,17 @@
+/**
+ * CQL Parser Worker
+ * Parses CQL off the main thread so validation does not stall typing.
+ * Messages: { id, code, libraries } in, { id, ast, diagnostics } or { id, error } out.
+ */
+
+import { analyzeCQL } from '../utils/cql-analysis';
+
+self.onmessage = (event) => {
+  const { id, code, libraries } = event.data;
+
+  try {
+    self.postMessage({ id, ...analyzeCQL(code, { libraries }) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -10,10 +10,13 @@
  * Server will run on http://localhost:8080
  */
 
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const app = express();
 const PORT = process.env.PORT || 8080;
+const PATIENT_DATA_DIR = process.env.PATIENT_DATA_DIR || path.join(__dirname, '..', 'data', 'patients');
 
 // Middleware
 app.use(cors({
@@ -254,6 +257,93 @@ app.get('/baseR4/metadata', (req, res) => {
   });
 });
 
+/**
+ * Load the synthetic patient bundles listed in data/patients/index.json
+ * @returns {Array} Every resource from every bundle
+ */
+function loadSyntheticResources() {
+  const manifestPath = path.join(PATIENT_DATA_DIR, 'index.json');
+  if (!fs.existsSync(manifestPath)) {
+    console.warn(`No synthetic patient data found in ${PATIENT_DATA_DIR}`);
+    return [];
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  return manifest.patients.flatMap(({ file }) => {
+    const bundle = JSON.parse(fs.readFileSync(path.join(PATIENT_DATA_DIR, file), 'utf8'));
+    return (bundle.entry || []).map(entry => entry.resource);
+  });
+}
+
+const resources = loadSyntheticResources();
+
+function operationOutcome(diagnostics) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity: 'error', code: 'not-found', diagnostics }]
+  };
+}
+
+function searchset(matches) {
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total: matches.length,
+    entry: matches.map(resource => ({
+      fullUrl: `${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: 'match' }
+    }))
+  };
+}
+
+// Patient compartment reference of a resource, e.g. "Patient/patient-diabetes"
+function patientReference(resource) {
+  if (resource.resourceType === 'Patient') return `Patient/${resource.id}`;
+  return (resource.subject || resource.patient)?.reference || null;
+}
+
+// Token search: "system|code", "|code" or "code", comma-separated
+function matchesCode(resource, tokens) {
+  const concept = resource.code || resource.vaccineCode || resource.medicationCodeableConcept || resource.type?.[0];
+  const codings = concept?.coding || [];
+  return tokens.split(',').some(token => {
+    const [system, code] = token.includes('|') ? token.split('|') : [null, token];
+    return codings.some(coding => coding.code === code && (!system || coding.system === system));
+  });
+}
+
+// FHIR search: _id, patient, subject and code parameters
+app.get('/baseR4/:type', (req, res) => {
+  const { type } = req.params;
+  const { _id: id, patient, subject, code } = req.query;
+  const patientFilter = patient || subject;
+
+  const matches = resources.filter(resource => {
+    if (resource.resourceType !== type) return false;
+    if (id && !id.split(',').includes(resource.id)) return false;
+    if (patientFilter) {
+      const reference = patientFilter.includes('/') ? patientFilter : `Patient/${patientFilter}`;
+      if (patientReference(resource) !== reference) return false;
+    }
+    if (code && !matchesCode(resource, code)) return false;
+    return true;
+  });
+
+  res.json(searchset(matches));
+});
+
+// FHIR read
+app.get('/baseR4/:type/:id', (req, res) => {
+  const { type, id } = req.params;
+  const resource = resources.find(item => item.resourceType === type && item.id === id);
+
+  if (!resource) {
+    return res.status(404).json(operationOutcome(`${type}/${id} not found`));
+  }
+  res.json(resource);
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
@@ -270,6 +360,7 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`🏥 Health check: http://localhost:${PORT}/health`);
   console.log(`🔧 CQL evaluation: POST http://localhost:${PORT}/cql/evaluate`);
   console.log(`✨ CQL formatting: POST http://localhost:${PORT}/cql/format`);
+  console.log(`🧑 Synthetic patients: GET http://localhost:${PORT}/baseR4/Patient (${resources.length} resources loaded)`);
   console.log('');
   console.log('📝 Example CQL evaluation request:');
   console.log(`curl -X POST http://localhost:${PORT}/cql/evaluate \\`);
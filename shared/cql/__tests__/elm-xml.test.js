@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { translateCQL, elmToXML } from '../index.js';
+
+describe('elmToXML', () => {
+  it('writes node types as xsi:type, scalars as attributes and nested nodes as elements', () => {
+    const { elm } = translateCQL("library Test version '1.0.0'\ndefine \"A & B\": 1 + 2");
+    const lines = elmToXML(elm).split('\n');
+
+    expect(lines[0]).toBe('<?xml version="1.0" encoding="UTF-8"?>');
+    expect(lines[1]).toBe('<library xmlns="urn:hl7-org:elm:r1" xmlns:t="urn:hl7-org:elm-types:r1" ' +
+      'xmlns:fhir="http://hl7.org/fhir" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+      'xmlns:a="urn:hl7-org:cql-annotations:r1">');
+    expect(lines.slice(2, 15)).toEqual([
+      '  <identifier id="Test" version="1.0.0"/>',
+      '  <schemaIdentifier id="urn:hl7-org:elm" version="r1"/>',
+      '  <usings>',
+      '    <def localIdentifier="System" uri="urn:hl7-org:elm-types:r1"/>',
+      '  </usings>',
+      '  <statements>',
+      '    <def name="A &amp; B" context="Unfiltered" accessLevel="Public" resultTypeName="t:Integer" locator="2:1-2:21">',
+      '      <expression xsi:type="Add" locator="2:17-2:21" resultTypeName="t:Integer">',
+      '        <operand xsi:type="Literal" valueType="t:Integer" value="1" locator="2:17-2:17" resultTypeName="t:Integer"/>',
+      '        <operand xsi:type="Literal" valueType="t:Integer" value="2" locator="2:21-2:21" resultTypeName="t:Integer"/>',
+      '      </expression>',
+      '    </def>',
+      '  </statements>'
+    ]);
+    expect(lines.slice(15)).toEqual(['</library>', '']);
+  });
+
+  it('escapes attribute values', () => {
+    const { elm } = translateCQL("library Test\ndefine L: { 'x<y' }");
+
+    expect(elmToXML(elm)).toContain('<element xsi:type="Literal" valueType="t:String" value="x&lt;y"');
+  });
+
+  it('writes errors and source annotations in the annotations namespace, before other children', () => {
+    const { elm: failed } = translateCQL('library Test\ndefine A: foo');
+    const { elm: annotated } = translateCQL('library Test\ndefine A: 1 + 2', { annotations: true });
+
+    expect(elmToXML(failed, { indent: 1 }).split('\n')[2]).toBe(
+      ' <annotation xsi:type="a:CqlToElmError" libraryId="Test" startLine="2" startChar="11" endLine="2" endChar="13" ' +
+      'message="Could not resolve identifier foo in the current library." errorType="semantic" errorSeverity="error"/>'
+    );
+    expect(elmToXML(annotated)).toContain([
+      '    <def name="A" context="Unfiltered" accessLevel="Public" resultTypeName="t:Integer" localId="4" locator="2:1-2:15">',
+      '      <annotation xsi:type="a:Annotation">',
+      '        <a:s r="4">',
+      '          <a:s>define A: 1 + 2</a:s>',
+      '        </a:s>',
+      '      </annotation>',
+      '      <expression xsi:type="Add" localId="3" locator="2:11-2:15" resultTypeName="t:Integer">'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { formatCQL } from '../index.js';
+
+const LIBRARY = `library Test version '1.0.0'
+using FHIR version '4.0.1'
+include FHIRHelpers version '4.0.1' called FHIRHelpers
+valueset "Diabetes": 'http://example.org/vs/diabetes'
+context Patient
+define "Diabetic Conditions": [Condition: "Diabetes"] C where C.clinicalStatus is not null and C.onset is not null return C.id
+// keep me
+define X: if 1 > 2 then 'a' else 'b'`;
+
+const FORMATTED = `library Test version '1.0.0'
+
+using FHIR version '4.0.1'
+
+include FHIRHelpers version '4.0.1' called FHIRHelpers
+
+valueset "Diabetes": 'http://example.org/vs/diabetes'
+
+context Patient
+
+define "Diabetic Conditions":
+  [Condition: "Diabetes"] C
+    where C.clinicalStatus is not null and C.onset is not null
+    return C.id
+
+// keep me
+define X:
+  if 1 > 2 then 'a' else 'b'
+`;
+
+describe('formatCQL', () => {
+  it('groups statements, indents definitions and puts each query clause on its own line', () => {
+    expect(formatCQL(LIBRARY)).toEqual({ formatted: FORMATTED, errors: [] });
+  });
+
+  it('leaves formatted code unchanged', () => {
+    expect(formatCQL(FORMATTED).formatted).toBe(FORMATTED);
+  });
+
+  it('breaks and chains that do not fit in the line width', () => {
+    const { formatted } = formatCQL(
+      'library Test\ndefine A: true and false and true',
+      { maxLineWidth: 20 }
+    );
+
+    expect(formatted).toBe('library Test\n\ndefine A:\n  true\n    and false\n    and true\n');
+  });
+
+  it('always puts each case item on its own line', () => {
+    const { formatted } = formatCQL("library Test\ndefine A: case when 1 = 1 then 'x' else 'y' end", { indentSize: 4 });
+
+    expect(formatted).toBe("library Test\n\ndefine A:\n    case\n        when 1 = 1 then 'x'\n        else 'y'\n    end\n");
+  });
+
+  it('lowercases keywords unless asked to preserve them', () => {
+    expect(formatCQL('library Test\nDefine A: 1').formatted).toBe('library Test\n\ndefine A:\n  1\n');
+
+    const preserved = formatCQL('library Test\nDefine A: 1', { keywordCase: 'preserve' });
+    expect(preserved.formatted).toBe('library Test\nDefine A: 1');
+    expect(preserved.errors).toHaveLength(1);
+  });
+
+  it('returns source with syntax errors unchanged, with the errors', () => {
+    const { formatted, errors } = formatCQL('library Test\ndefine A: 1 +');
+
+    expect(formatted).toBe('library Test\ndefine A: 1 +');
+    expect(errors[0].message).toBe('Unexpected end of input; expected an expression');
+  });
+});
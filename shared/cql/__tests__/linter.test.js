@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { lintCQL, checkLintRules, LINT_DOCS_URL } from '../index.js';
+
+const LIBRARY = `library Test
+using FHIR version '4.0.1'
+include FHIRHelpers version '4.0.1' called FHIRHelpers
+include Other version '1' called O
+define Adult: AgeInYears() >= 18
+define "Recent": [Encounter] E where E.period.start > Now()
+define "Missing": [Condition] C where C.onset = null`;
+
+// Apply a fix's edits to the source, last first so earlier offsets stay valid
+function applyFix(source, { edits }) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, { start, end, text: replacement }) => text.slice(0, start) + replacement + text.slice(end), source);
+}
+
+describe('lintCQL', () => {
+  it('reports problems in rule order with their default severities', () => {
+    const problems = lintCQL(LIBRARY);
+
+    expect(problems.map(({ ruleId, severity }) => [ruleId, severity])).toEqual([
+      ['quoted-define-names', 'hint'],
+      ['explicit-context', 'warning'],
+      ['no-now', 'warning'],
+      ['unused-include', 'warning'],
+      ['retrieve-terminology', 'hint'],
+      ['retrieve-terminology', 'hint'],
+      ['null-comparison', 'warning']
+    ]);
+    expect(problems[0]).toMatchObject({
+      message: 'Write the name of define Adult as a quoted identifier: "Adult"',
+      location: { start: { line: 5, column: 8 } },
+      docsUrl: `${LINT_DOCS_URL}#quoted-define-names`
+    });
+  });
+
+  it('does not report FHIRHelpers, which is used implicitly, as an unused include', () => {
+    const unused = lintCQL(LIBRARY).filter(problem => problem.ruleId === 'unused-include');
+
+    expect(unused.map(problem => problem.message)).toEqual(['Library O is included but never referenced']);
+  });
+
+  it('overrides severities and turns rules on and off', () => {
+    const problems = lintCQL(LIBRARY, { rules: { 'unused-define': 'warning', 'no-now': 'off', 'null-comparison': 'error' } });
+
+    expect(problems.some(problem => problem.ruleId === 'no-now')).toBe(false);
+    expect(problems.filter(problem => problem.ruleId === 'unused-define').map(problem => problem.message)).toEqual([
+      'Define "Adult" is not referenced by any other definition',
+      'Define "Recent" is not referenced by any other definition',
+      'Define "Missing" is not referenced by any other definition'
+    ]);
+    expect(problems.find(problem => problem.ruleId === 'null-comparison').severity).toBe('error');
+  });
+
+  it('offers fixes as text edits', () => {
+    const fixes = Object.fromEntries(lintCQL(LIBRARY)
+      .filter(problem => problem.fixes.length > 0)
+      .map(problem => [problem.ruleId, applyFix(LIBRARY, problem.fixes[0]).split('\n')]));
+
+    expect(fixes['quoted-define-names'][4]).toBe('define "Adult": AgeInYears() >= 18');
+    expect(fixes['explicit-context'].slice(4, 7)).toEqual(['context Patient', '', 'define Adult: AgeInYears() >= 18']);
+    expect(fixes['no-now'].slice(4, 7)).toEqual([
+      'parameter "Measurement Period" Interval<DateTime>',
+      '',
+      'define Adult: AgeInYears() >= 18'
+    ]);
+    expect(fixes['no-now'][7]).toBe('define "Recent": [Encounter] E where E.period.start > end of "Measurement Period"');
+    expect(fixes['unused-include'][3]).toBe('define Adult: AgeInYears() >= 18');
+    expect(fixes['null-comparison'][6]).toBe('define "Missing": [Condition] C where C.onset is null');
+  });
+});
+
+describe('checkLintRules', () => {
+  it('checks only the rules an exercise enables', () => {
+    const results = checkLintRules(LIBRARY, { 'null-comparison': 'error', 'unused-include': 'off', unknown: 'error' });
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ ruleId: 'null-comparison', title: 'Test for null with is null', severity: 'error', passed: false });
+    expect(results[0].problems).toHaveLength(1);
+  });
+
+  it('passes when the rule finds no problems', () => {
+    const source = "library Test\nusing FHIR version '4.0.1'\ncontext Patient\ndefine \"Missing\": [Condition] C where C.onset is null";
+
+    expect(checkLintRules(source, { 'null-comparison': 'error' })[0].passed).toBe(true);
+    expect(checkLintRules(source, {})).toEqual([]);
+  });
+});
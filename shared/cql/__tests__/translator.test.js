@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { parseCQL, translateCQL, elmTypeName } from '../index.js';
+
+describe('parseCQL', () => {
+  it('parses library declarations, definitions and functions', () => {
+    const { library, errors } = parseCQL([
+      "library Test version '1.0.0'",
+      "using FHIR version '4.0.1'",
+      'parameter "Measurement Period" Interval<DateTime>',
+      'context Patient',
+      'define "Adult": AgeInYears() >= 18',
+      'define function Double(x Integer): x * 2'
+    ].join('\n'));
+
+    expect(errors).toEqual([]);
+    expect(library.declarations.map(declaration => declaration.kind)).toEqual([
+      'LibraryDeclaration',
+      'UsingDefinition',
+      'ParameterDefinition',
+      'ContextDefinition',
+      'ExpressionDefinition',
+      'FunctionDefinition'
+    ]);
+    expect(library.declarations[4]).toMatchObject({
+      name: 'Adult',
+      expression: { kind: 'BinaryExpression', operator: '>=' }
+    });
+    expect(library.declarations[5].operands[0]).toMatchObject({
+      name: 'x',
+      typeSpecifier: { name: 'Integer' }
+    });
+  });
+
+  it('reports a syntax error at its location', () => {
+    const { errors } = parseCQL("library Test\ndefine Broken: 1 +");
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toBe('Unexpected end of input; expected an expression');
+    expect(errors[0].location.start).toMatchObject({ line: 2, column: 19 });
+  });
+});
+
+describe('translateCQL', () => {
+  it('translates definitions to typed ELM with locators', () => {
+    const { elm, errors } = translateCQL("library Test version '1.0.0'\ndefine A: 1 + 2");
+    const [definition] = elm.library.statements.def;
+
+    expect(errors).toEqual([]);
+    expect(definition).toMatchObject({
+      name: 'A',
+      locator: '2:1-2:15',
+      expression: { type: 'Add', locator: '2:11-2:15' }
+    });
+    expect(elmTypeName(definition)).toBe('Integer');
+  });
+
+  it('reports operators that cannot be resolved for their operand types', () => {
+    const { errors } = translateCQL("library Test\ndefine A: 'a' + 1");
+
+    expect(errors).toEqual([expect.objectContaining({
+      message: 'Could not resolve call to operator Concatenate with signature (String, Integer).',
+      severity: 'error',
+      errorType: 'type'
+    })]);
+  });
+
+  it('resolves references to included libraries', () => {
+    const { elm, errors } = translateCQL(
+      "library Test version '1'\ninclude Lib version '1' called L\ndefine A: L.X",
+      { libraries: ["library Lib version '1'\ndefine X: 5"] }
+    );
+
+    expect(errors).toEqual([]);
+    expect(elm.library.statements.def[0].expression).toMatchObject({
+      type: 'ExpressionRef',
+      name: 'X',
+      libraryName: 'L'
+    });
+  });
+
+  it('resolves an include to a build of its version when that version is not given', () => {
+    const include = version => translateCQL(
+      `library Test version '1'\ninclude Lib version '${version}' called L\ndefine A: L.X`,
+      { libraries: ["library Lib version '4.0.1+embedded'\ndefine X: 5"] }
+    );
+
+    expect(include('4.0.1').errors).toEqual([]);
+    expect(include('4.0.2').errors[0]).toMatchObject({
+      message: "Library Lib version '4.0.2' is not available; available versions: '4.0.1+embedded'"
+    });
+  });
+});
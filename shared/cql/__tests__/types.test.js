@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { resolveOperator, conversionCost, getPropertyType, translateCQL, elmTypeName } from '../index.js';
+
+describe('resolveOperator', () => {
+  it('picks the overload that needs the fewest conversions', () => {
+    expect(resolveOperator('Add', ['Integer', 'Decimal'])).toEqual({
+      name: 'Add',
+      operands: ['Decimal', 'Decimal'],
+      resultType: 'Decimal'
+    });
+    expect(resolveOperator('Add', ['Date', 'Quantity'])).toMatchObject({ resultType: 'Date' });
+  });
+
+  it('converts FHIR primitives to System types', () => {
+    expect(resolveOperator('Equal', ['FHIR.string', 'String'])).toEqual({
+      name: 'Equal',
+      operands: ['String', 'String'],
+      resultType: 'Boolean'
+    });
+  });
+
+  it('returns null when no overload accepts the operands', () => {
+    expect(resolveOperator('Add', ['String', 'Integer'])).toBeNull();
+  });
+});
+
+describe('conversionCost', () => {
+  it('ranks exact matches, promotions and implicit conversions', () => {
+    expect(conversionCost('Integer', 'Integer')).toBe(0);
+    expect(conversionCost('Integer', 'Decimal')).toBe(1);
+    expect(conversionCost('FHIR.date', 'Date')).toBe(1);
+    expect(conversionCost('Integer', 'List<Integer>')).toBe(2);
+    expect(conversionCost('String', 'Integer')).toBe(Infinity);
+  });
+});
+
+describe('getPropertyType', () => {
+  it('looks properties up in the FHIR model, element-wise for lists', () => {
+    expect(getPropertyType('FHIR.Encounter', 'period')).toBe('FHIR.Period');
+    expect(getPropertyType('List<FHIR.Observation>', 'code')).toBe('List<FHIR.CodeableConcept>');
+    expect(getPropertyType('Interval<Date>', 'low')).toBe('Date');
+    expect(getPropertyType('FHIR.Patient', 'unknown')).toBeNull();
+  });
+});
+
+describe('translateCQL result types', () => {
+  it('infers the type of each definition', () => {
+    const { elm, errors } = translateCQL([
+      'library Test',
+      "using FHIR version '4.0.1'",
+      'context Patient',
+      'define Periods: [Encounter] E return E.period',
+      'define BirthDate: Patient.birthDate',
+      'define Numbers: { 1, 2.5 }'
+    ].join('\n'));
+    const types = Object.fromEntries(elm.library.statements.def.map(def => [def.name, elmTypeName(def)]));
+
+    expect(errors).toEqual([]);
+    expect(types).toMatchObject({
+      Periods: 'List<FHIR.Period>',
+      BirthDate: 'FHIR.date',
+      Numbers: 'List<Decimal>'
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * ELM XML
+ * Serializes ELM JSON, as produced by the translator, to the ELM XML
+ * representation (urn:hl7-org:elm:r1). Node types become xsi:type
+ * attributes, scalar properties become attributes, and nested nodes and
+ * lists become child elements named by their property, as in the XML the
+ * reference translator writes.
+ */
+
+import { SYSTEM_NAMESPACE, FHIR_NAMESPACE } from './translator.js';
+
+const ELM_NAMESPACE = 'urn:hl7-org:elm:r1';
+const ANNOTATION_NAMESPACE = 'urn:hl7-org:cql-annotations:r1';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+// Prefixes for the namespaces of qualified type names
+const PREFIXES = {
+  [SYSTEM_NAMESPACE]: 't',
+  [FHIR_NAMESPACE]: 'fhir'
+};
+
+// Annotation types, from the CQL annotations namespace
+const ANNOTATION_TYPES = new Set(['Annotation', 'CqlToElmError', 'CqlToElmInfo']);
+
+const QUALIFIED_NAME = /^\{([^}]+)\}(.+)$/;
+
+/**
+ * Serialize an ELM library to XML
+ * @param {object} elm - ELM JSON ({ library })
+ * @param {object} options - { indent } spaces per nesting level
+ * @returns {string} XML document
+ */
+export function elmToXML(elm, { indent = 2 } = {}) {
+  const namespaces = [
+    `xmlns="${ELM_NAMESPACE}"`,
+    ...Object.entries(PREFIXES).map(([uri, prefix]) => `xmlns:${prefix}="${uri}"`),
+    `xmlns:xsi="${XSI_NAMESPACE}"`,
+    `xmlns:a="${ANNOTATION_NAMESPACE}"`
+  ];
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  writeElement(lines, 'library', elm.library, { indent, depth: 0, extraAttributes: namespaces });
+  return `${lines.join('\n')}\n`;
+}
+
+function writeElement(lines, name, node, { indent, depth, extraAttributes = [] }) {
+  const padding = ' '.repeat(indent * depth);
+  const attributes = [...extraAttributes];
+  const children = [];
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (value === null || typeof value === 'undefined') return;
+    if (key === 'type') {
+      attributes.push(`xsi:type="${ANNOTATION_TYPES.has(value) ? `a:${value}` : escape(value)}"`);
+    } else if (isScalar(value)) {
+      attributes.push(`${key}="${escape(formatScalar(value))}"`);
+    } else if (Array.isArray(value) && value.every(isScalar)) {
+      value.forEach(item => children.push({ key, text: formatScalar(item) }));
+    } else {
+      (Array.isArray(value) ? value : [value]).forEach(item => children.push({ key, node: item }));
+    }
+  });
+
+  // Annotations come first, as in the ELM schema
+  children.sort((a, b) => Number(b.key === 'annotation') - Number(a.key === 'annotation'));
+
+  const open = [name, ...attributes].join(' ');
+  if (children.length === 0) {
+    lines.push(`${padding}<${open}/>`);
+    return;
+  }
+
+  lines.push(`${padding}<${open}>`);
+  children.forEach(child => {
+    const childOptions = { indent, depth: depth + 1 };
+    if (child.key === 'annotation' && child.node?.type === 'Annotation') {
+      writeSourceAnnotation(lines, child.node, childOptions);
+    } else if (child.node) {
+      writeElement(lines, child.key, child.node, childOptions);
+    } else {
+      lines.push(`${' '.repeat(indent * (depth + 1))}<${child.key}>${escape(child.text)}</${child.key}>`);
+    }
+  });
+  lines.push(`${padding}</${name}>`);
+}
+
+// A definition's source text annotation: <a:s r="localId"><a:s>text</a:s></a:s>
+function writeSourceAnnotation(lines, annotation, { indent, depth }) {
+  const padding = ' '.repeat(indent * depth);
+  const inner = ' '.repeat(indent * (depth + 1));
+  const { r, value = [] } = annotation.s || {};
+
+  lines.push(`${padding}<annotation xsi:type="a:Annotation">`);
+  lines.push(`${inner}<a:s r="${escape(r)}">`);
+  value.forEach(text => lines.push(`${inner}${' '.repeat(indent)}<a:s>${escape(text)}</a:s>`));
+  lines.push(`${inner}</a:s>`);
+  lines.push(`${padding}</annotation>`);
+}
+
+function isScalar(value) {
+  return typeof value !== 'object' || value === null;
+}
+
+function formatScalar(value) {
+  const text = String(value);
+  const match = text.match(QUALIFIED_NAME);
+  return match && PREFIXES[match[1]] ? `${PREFIXES[match[1]]}:${match[2]}` : text;
+}
+
+function escape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#10;');
+}
@@ -0,0 +1,746 @@
+/**
+ * CQL Formatter
+ * Lays out a CQL library from its syntax tree, following the conventions of
+ * the CQL Formatting and Usage Wiki:
+ *
+ * - statements of one kind (usings, includes, value sets, ...) are grouped,
+ *   with a blank line between groups and around every definition
+ * - the expression of a define starts on its own, indented line
+ * - each query clause (let, with/without, where, return, aggregate, sort)
+ *   starts a new line, indented under the query's sources
+ * - `and`/`or` chains, argument lists, selectors and if expressions break
+ *   onto several lines only when they do not fit in the line width; case
+ *   expressions always put each `when` on its own line
+ *
+ * Only the whitespace between tokens changes, and every comment is kept. The
+ * result is tokenized again and compared with the input before it is
+ * returned, so formatting can never change what a library means. Source with
+ * syntax errors is returned unchanged along with the errors.
+ */
+
+import { tokenize, TokenType } from './tokenizer.js';
+import { parseCQL, RESERVED_WORDS, DATE_TIME_PRECISIONS } from './parser.js';
+
+export const DEFAULT_FORMAT_OPTIONS = {
+  indentSize: 2,
+  insertSpaces: true,
+  // 'lower' rewrites keywords typed in another case (Define, WHERE) in lowercase, as CQL
+  // requires; 'preserve' leaves them, so such a library is reported as not parsing
+  keywordCase: 'lower',
+  maxLineWidth: 100
+};
+
+// Statement kinds that are grouped without blank lines between them
+const STATEMENT_GROUPS = {
+  LibraryDeclaration: 'library',
+  UsingDefinition: 'using',
+  IncludeDefinition: 'include',
+  CodeSystemDefinition: 'codesystem',
+  ValueSetDefinition: 'valueset',
+  CodeDefinition: 'code',
+  ConceptDefinition: 'concept',
+  ParameterDefinition: 'parameter',
+  ContextDefinition: 'context'
+};
+
+// Operators whose chains break with one operand per line
+const CHAIN_OPERATORS = new Set(['and', 'or', 'xor', 'implies', 'union', 'intersect', 'except']);
+
+// Type names written with angle brackets, e.g. List<Integer>
+const GENERIC_TYPES = new Set(['List', 'Interval', 'Choice']);
+
+// Selector names that share their spelling with a keyword
+const CAPITALIZED_TYPES = new Set(['Code', 'Concept']);
+
+// Keywords that end an operand, so a following '-' or '+' is binary
+const OPERAND_KEYWORDS = new Set([
+  'null', 'true', 'false', 'end',
+  ...DATE_TIME_PRECISIONS, ...DATE_TIME_PRECISIONS.map(precision => `${precision}s`)
+]);
+
+/**
+ * Format a CQL library
+ * @param {string} source - CQL source text
+ * @param {object} options - { indentSize, insertSpaces, keywordCase, maxLineWidth }
+ * @returns {object} { formatted, errors } where formatted is the source unchanged when errors
+ *   is not empty
+ */
+export function formatCQL(source, options = {}) {
+  const config = { ...DEFAULT_FORMAT_OPTIONS, ...options };
+
+  let text = source;
+  let { library, errors } = parseCQL(text);
+
+  if (errors.length > 0 && config.keywordCase === 'lower') {
+    const lowered = lowerCaseKeywords(source);
+    if (lowered !== source) {
+      const reparsed = parseCQL(lowered);
+      if (reparsed.errors.length === 0) {
+        text = lowered;
+        ({ library, errors } = reparsed);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    return { formatted: source, errors };
+  }
+
+  const formatted = new Printer(text, library, config).format();
+  if (!sameTokens(text, formatted)) {
+    return {
+      formatted: source,
+      errors: [new Error('The formatter could not lay out this library without changing its tokens')]
+    };
+  }
+
+  return { formatted, errors: [] };
+}
+
+function lowerCaseKeywords(source) {
+  const { tokens } = tokenize(source);
+  let result = '';
+  let cursor = 0;
+
+  tokens.forEach((token, index) => {
+    const lower = token.type === TokenType.IDENTIFIER ? token.value.toLowerCase() : null;
+    const previous = tokens[index - 1];
+    const isMember = previous?.type === TokenType.SYMBOL && previous.value === '.';
+    if (!lower || lower === token.value || !RESERVED_WORDS.has(lower) ||
+      CAPITALIZED_TYPES.has(token.value) || isMember) {
+      return;
+    }
+    result += source.slice(cursor, token.start.offset) + lower;
+    cursor = token.end.offset;
+  });
+
+  return result + source.slice(cursor);
+}
+
+function sameTokens(original, formatted) {
+  const before = tokenize(original);
+  const after = tokenize(formatted);
+  // Trailing whitespace in comments is trimmed like any other
+  const key = item => `${item.type}:${item.text.trimEnd()}`;
+
+  return before.tokens.length === after.tokens.length &&
+    before.tokens.every((token, index) => key(token) === key(after.tokens[index])) &&
+    before.comments.length === after.comments.length &&
+    before.comments.every((comment, index) => key(comment) === key(after.comments[index]));
+}
+
+// ---------------------------------------------------------------------------
+// Layout documents
+//
+// A document is a string, an array of documents, or one of the nodes below.
+// A group is printed on one line when it fits, otherwise each `line` in it
+// (outside nested groups) becomes a line break.
+// ---------------------------------------------------------------------------
+
+const line = { type: 'line' };
+const softline = { type: 'line', soft: true };
+const hardline = { type: 'line', hard: true };
+
+function indent(contents) {
+  return { type: 'indent', contents };
+}
+
+function group(contents, shouldBreak = false) {
+  return { type: 'group', contents, shouldBreak };
+}
+
+// Groups that contain a hard line break can never be flat
+function propagateBreaks(doc) {
+  if (typeof doc === 'string') return false;
+  if (Array.isArray(doc)) {
+    return doc.map(propagateBreaks).some(Boolean);
+  }
+  switch (doc.type) {
+    case 'line':
+      return Boolean(doc.hard);
+    case 'indent':
+      return propagateBreaks(doc.contents);
+    case 'group': {
+      const hard = propagateBreaks(doc.contents);
+      if (hard) doc.shouldBreak = true;
+      return hard;
+    }
+    default:
+      return false;
+  }
+}
+
+function render(doc, { width, indentUnit, indentWidth }) {
+  propagateBreaks(doc);
+
+  let output = '';
+  let column = 0;
+  const stack = [{ level: 0, flat: false, doc }];
+
+  while (stack.length > 0) {
+    const { level, flat, doc: current } = stack.pop();
+
+    if (typeof current === 'string') {
+      output += current;
+      column += current.length;
+    } else if (Array.isArray(current)) {
+      for (let i = current.length - 1; i >= 0; i--) {
+        stack.push({ level, flat, doc: current[i] });
+      }
+    } else if (current.type === 'indent') {
+      stack.push({ level: level + 1, flat, doc: current.contents });
+    } else if (current.type === 'group') {
+      const fitsFlat = !current.shouldBreak &&
+        fits({ level, flat: true, doc: current.contents }, stack, width - column);
+      stack.push({ level, flat: fitsFlat, doc: current.contents });
+    } else if (current.type === 'line') {
+      if (flat && !current.hard) {
+        if (!current.soft) {
+          output += ' ';
+          column += 1;
+        }
+      } else {
+        output = `${output.replace(/[ \t]+$/, '')}\n${indentUnit.repeat(level)}`;
+        column = level * indentWidth;
+      }
+    }
+  }
+
+  return output;
+}
+
+function fits(next, rest, width) {
+  let remaining = width;
+  let restIndex = rest.length;
+  const commands = [next];
+
+  while (remaining >= 0) {
+    if (commands.length === 0) {
+      if (restIndex === 0) return true;
+      commands.push(rest[--restIndex]);
+      continue;
+    }
+
+    const { level, flat, doc } = commands.pop();
+    if (typeof doc === 'string') {
+      remaining -= doc.length;
+    } else if (Array.isArray(doc)) {
+      for (let i = doc.length - 1; i >= 0; i--) {
+        commands.push({ level, flat, doc: doc[i] });
+      }
+    } else if (doc.type === 'indent') {
+      commands.push({ level: level + 1, flat, doc: doc.contents });
+    } else if (doc.type === 'group') {
+      commands.push({ level, flat: flat && !doc.shouldBreak, doc: doc.contents });
+    } else if (doc.type === 'line') {
+      // The rest of the line fits once a break is reached
+      if (!flat || doc.hard) return true;
+      if (!doc.soft) remaining -= 1;
+    }
+  }
+
+  return false;
+}
+
+// ---------------------------------------------------------------------------
+// Printer
+//
+// Nodes print as pieces: { doc, first, last } where first and last are the
+// piece's first and last token or comment, which decide the spacing between
+// neighbouring pieces. The text between child nodes comes straight from the
+// tokens, so every keyword, operator and literal is printed as written.
+// ---------------------------------------------------------------------------
+
+function isComment(item) {
+  return item.type === 'line' || item.type === 'block';
+}
+
+function isSymbol(token, ...values) {
+  return token.type === TokenType.SYMBOL && values.includes(token.value);
+}
+
+class Printer {
+  constructor(source, library, options) {
+    this.library = library;
+    this.options = options;
+    this.tokens = tokenize(source).tokens.filter(token => token.type !== TokenType.EOF);
+    this.comments = library.comments || [];
+    this.unarySigns = new Set();
+    this.typeBrackets = new Set();
+    this.markTokens();
+  }
+
+  markTokens() {
+    this.tokens.forEach((token, index) => {
+      const previous = this.tokens[index - 1];
+
+      if (isSymbol(token, '+', '-') && !this.endsOperand(previous)) {
+        this.unarySigns.add(token);
+      }
+
+      if (isSymbol(token, '<') && previous?.type === TokenType.IDENTIFIER && GENERIC_TYPES.has(previous.value)) {
+        this.typeBrackets.add(token);
+        let depth = 0;
+        for (let i = index + 1; i < this.tokens.length; i++) {
+          if (isSymbol(this.tokens[i], '<')) depth++;
+          if (isSymbol(this.tokens[i], '>')) {
+            if (depth === 0) {
+              this.typeBrackets.add(this.tokens[i]);
+              break;
+            }
+            depth--;
+          }
+        }
+      }
+    });
+  }
+
+  endsOperand(token) {
+    if (!token) return false;
+    switch (token.type) {
+      case TokenType.SYMBOL:
+        return isSymbol(token, ')', ']', '}') || this.typeBrackets.has(token);
+      case TokenType.IDENTIFIER:
+        return !RESERVED_WORDS.has(token.value) || OPERAND_KEYWORDS.has(token.value);
+      default:
+        return true;
+    }
+  }
+
+  // Space between two adjacent tokens
+  spacing(left, right) {
+    if (isSymbol(left, '(', '[', '.', '$', '%')) return '';
+    if (right.type === TokenType.SYMBOL) {
+      if (isSymbol(right, ',', ')', ']', '.', ':')) return '';
+      if (isSymbol(right, '(')) return this.isCallee(left) ? '' : ' ';
+      if (isSymbol(right, '[')) return this.isCallee(left) || isSymbol(left, ')', ']', '}') ? '' : ' ';
+      if (this.typeBrackets.has(right)) return '';
+      if (isSymbol(right, '}') && isSymbol(left, '{')) return '';
+    }
+    if (isSymbol(left, '<') && this.typeBrackets.has(left)) return '';
+    if (this.unarySigns.has(left)) return '';
+    return ' ';
+  }
+
+  isCallee(token) {
+    return token.type === TokenType.QUOTED_IDENTIFIER ||
+      (token.type === TokenType.IDENTIFIER && !RESERVED_WORDS.has(token.value));
+  }
+
+  separator(left, right) {
+    if (left.last.type === 'line') return hardline;
+    if (isComment(left.last) || isComment(right.first)) return ' ';
+    return this.spacing(left.last, right.first);
+  }
+
+  // A line break that cannot be flattened after a line comment
+  lineAfter(piece, kind = line) {
+    return piece.last.type === 'line' ? hardline : kind;
+  }
+
+  format() {
+    const { declarations } = this.library;
+    const doc = [];
+    let cursor = 0;
+    let previous = null;
+
+    const emitComments = (end, next) => {
+      const comments = this.comments.filter(comment => comment.start.offset >= cursor && comment.end.offset <= end);
+      let blankBefore = previous !== null && next !== null && needsBlankLine(previous, next);
+
+      comments.forEach(comment => {
+        if (previous && comment.start.line === previous.loc.end.line) {
+          doc.push(' ', comment.text);
+          return;
+        }
+        if (doc.length > 0) doc.push(hardline);
+        if (blankBefore) {
+          doc.push(hardline);
+          blankBefore = false;
+        }
+        doc.push(comment.text);
+        // Keep a blank line that separates a comment from what follows, e.g. a file header
+        const following = this.comments.find(other => other.start.offset > comment.start.offset);
+        const nextLine = Math.min(following?.start.line ?? Infinity, next?.loc.start.line ?? Infinity);
+        if (nextLine !== Infinity && nextLine > comment.end.line + 1) doc.push(hardline);
+      });
+
+      return blankBefore;
+    };
+
+    declarations.forEach(declaration => {
+      const blankBefore = emitComments(declaration.loc.start.offset, declaration);
+      if (doc.length > 0) doc.push(hardline);
+      if (blankBefore) doc.push(hardline);
+      doc.push(this.printDeclaration(declaration).doc);
+      cursor = declaration.loc.end.offset;
+      previous = declaration;
+    });
+    emitComments(Infinity, null);
+
+    const { indentSize, insertSpaces, maxLineWidth } = this.options;
+    const output = render(doc, {
+      width: maxLineWidth,
+      indentUnit: insertSpaces ? ' '.repeat(indentSize) : '\t',
+      indentWidth: indentSize
+    });
+    return output.length > 0 ? `${output}\n` : '';
+  }
+
+  printDeclaration(declaration) {
+    switch (declaration.kind) {
+      case 'ExpressionDefinition':
+      case 'FunctionDefinition':
+        return this.printDefinition(declaration);
+      case 'ParameterDefinition':
+        return this.printParameter(declaration);
+      default:
+        return this.print(declaration);
+    }
+  }
+
+  print(node, context = {}) {
+    switch (node.kind) {
+      case 'BinaryExpression':
+        if (CHAIN_OPERATORS.has(node.operator)) return this.printChain(node);
+        break;
+      case 'Query':
+        return this.printQuery(node, context);
+      case 'RelationshipClause':
+        return this.printClauseWithTail(node, node.source, node.suchThat);
+      case 'IfExpression':
+        return this.printIf(node);
+      case 'CaseExpression':
+        return this.printCase(node);
+      case 'CaseItem':
+        return this.printClauseWithTail(node, node.when, node.then);
+      case 'FunctionInvocation':
+      case 'MethodInvocation':
+        if (node.arguments.length > 1) return this.printBracketed(node, node.arguments, softline);
+        break;
+      case 'ListSelector':
+      case 'TupleSelector':
+      case 'InstanceSelector':
+        if (node.elements.length > 0) return this.printBracketed(node, node.elements, line);
+        break;
+      case 'ConceptSelector':
+        return this.printBracketed(node, node.codes, line);
+      case 'RatioLiteral':
+        return this.printRatio(node);
+      default:
+        break;
+    }
+    return this.printGeneric(node);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Pieces from tokens
+  // ---------------------------------------------------------------------------
+
+  tokenIndexAt(offset) {
+    let low = 0;
+    let high = this.tokens.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.tokens[middle].start.offset < offset) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+
+  // Tokens and comments between two offsets
+  gap(from, to) {
+    const pieces = [];
+    for (let i = this.tokenIndexAt(from); i < this.tokens.length && this.tokens[i].end.offset <= to; i++) {
+      const token = this.tokens[i];
+      pieces.push({ doc: token.text, first: token, last: token });
+    }
+    this.comments
+      .filter(comment => comment.start.offset >= from && comment.end.offset <= to)
+      .forEach(comment => pieces.push({ doc: comment.text, first: comment, last: comment }));
+    return pieces.sort((a, b) => a.first.start.offset - b.first.start.offset);
+  }
+
+  concat(pieces) {
+    const parts = pieces.filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const doc = [];
+    parts.forEach((piece, index) => {
+      if (index > 0) doc.push(this.separator(parts[index - 1], piece));
+      doc.push(piece.doc);
+    });
+    return { doc, first: parts[0].first, last: parts[parts.length - 1].last };
+  }
+
+  // The source between two offsets, printing the given child nodes with their own layout
+  range(from, to, children = []) {
+    return this.concat(this.rangePieces(from, to, children));
+  }
+
+  rangePieces(from, to, children = []) {
+    const pieces = [];
+    let cursor = from;
+    children.forEach(child => {
+      pieces.push(...this.gap(cursor, child.loc.start.offset), this.print(child));
+      cursor = child.loc.end.offset;
+    });
+    pieces.push(...this.gap(cursor, to));
+    return pieces;
+  }
+
+  /**
+   * Consecutive ranges printed as the separate parts of a layout
+   * @param {Array} ranges - [from, to, children] for each part
+   */
+  segments(ranges) {
+    return this.joinSegments(ranges.map(([from, to, children]) => this.rangePieces(from, to, children)));
+  }
+
+  // A comment on the line where one part ends stays at the end of that part
+  joinSegments(lists) {
+    for (let i = 1; i < lists.length; i++) {
+      const previous = lists[i - 1];
+      while (lists[i].length > 1 && previous.length > 0 && isComment(lists[i][0].first) &&
+        lists[i][0].first.start.line === previous[previous.length - 1].last.end.line) {
+        previous.push(lists[i].shift());
+      }
+    }
+    return lists.map(pieces => this.concat(pieces));
+  }
+
+  /**
+   * Child nodes in source order, or null when they overlap (the node is then printed from its tokens)
+   */
+  children(node) {
+    const children = [];
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'loc' || key === 'comments') continue;
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (child && typeof child === 'object' && child.kind && child.loc) children.push(child);
+      }
+    }
+    children.sort((a, b) => a.loc.start.offset - b.loc.start.offset);
+
+    let cursor = node.loc.start.offset;
+    for (const child of children) {
+      if (child.loc.start.offset < cursor || child.loc.end.offset > node.loc.end.offset) return null;
+      cursor = child.loc.end.offset;
+    }
+    return children;
+  }
+
+  printGeneric(node) {
+    return this.range(node.loc.start.offset, node.loc.end.offset, this.children(node) || []);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Layouts
+  // ---------------------------------------------------------------------------
+
+  // define "Name": with the expression on the next line
+  printDefinition(definition) {
+    if (!definition.expression) return this.printGeneric(definition);
+
+    const { expression } = definition;
+    const header = this.range(
+      definition.loc.start.offset,
+      expression.loc.start.offset,
+      (this.children(definition) || []).filter(child => child !== expression)
+    );
+    const body = this.print(expression, { topLevel: true });
+    return { doc: [header.doc, indent([hardline, body.doc])], first: header.first, last: body.last };
+  }
+
+  // parameter "Name" Type, with the default on the next line when it does not fit
+  printParameter(parameter) {
+    if (!parameter.default) return this.printGeneric(parameter);
+
+    const split = parameter.typeSpecifier ? parameter.typeSpecifier.loc.end.offset : parameter.nameLoc.end.offset;
+    const header = this.range(parameter.loc.start.offset, split, parameter.typeSpecifier ? [parameter.typeSpecifier] : []);
+    const tail = this.range(split, parameter.loc.end.offset, [parameter.default]);
+    return {
+      doc: group([header.doc, indent([this.lineAfter(header), tail.doc])]),
+      first: header.first,
+      last: tail.last
+    };
+  }
+
+  // Operands of `a and b and c` on one line, or one per line starting with the operator
+  printChain(node) {
+    const operands = [];
+    let current = node;
+    while (current.kind === 'BinaryExpression' && current.operator === node.operator) {
+      operands.unshift(current.right);
+      current = current.left;
+    }
+    operands.unshift(current);
+
+    const [first, ...rest] = this.segments(operands.map((operand, index) => [
+      index === 0 ? node.loc.start.offset : operands[index - 1].loc.end.offset,
+      operand.loc.end.offset,
+      [operand]
+    ]));
+
+    const doc = [first.doc];
+    let previous = first;
+    const continuation = rest.map(piece => {
+      const part = [this.lineAfter(previous), piece.doc];
+      previous = piece;
+      return part;
+    });
+    doc.push(indent(continuation));
+
+    return { doc: group(doc), first: first.first, last: previous.last };
+  }
+
+  printQuery(query, context) {
+    const children = this.children(query);
+    if (!children) return this.printGeneric(query);
+
+    const startsClause = child => child === query.where || child === query.lets[0] ||
+      ['RelationshipClause', 'ReturnClause', 'AggregateClause', 'SortClause'].includes(child.kind);
+
+    const ranges = [];
+    let members = [];
+    let from = query.loc.start.offset;
+    children.forEach((child, index) => {
+      if (index > 0 && startsClause(child)) {
+        ranges.push([from, members[members.length - 1].loc.end.offset, members]);
+        from = members[members.length - 1].loc.end.offset;
+        members = [];
+      }
+      members.push(child);
+    });
+    ranges.push([from, query.loc.end.offset, members]);
+
+    const [head, ...clauses] = this.segments(ranges);
+    let previous = head;
+    const body = clauses.map(clause => {
+      const part = [this.lineAfter(previous), clause.doc];
+      previous = clause;
+      return part;
+    });
+
+    const shouldBreak = clauses.length > 1 || (clauses.length > 0 && context.topLevel);
+    return {
+      doc: group([head.doc, indent(body)], shouldBreak),
+      first: head.first,
+      last: previous.last
+    };
+  }
+
+  // `with X such that ...` and `when X then ...`, with the tail on its own line when too long
+  printClauseWithTail(node, middle, tail) {
+    const [head, rest] = this.segments([
+      [node.loc.start.offset, middle.loc.end.offset, [middle]],
+      [middle.loc.end.offset, node.loc.end.offset, [tail]]
+    ]);
+    return {
+      doc: group([head.doc, indent([this.lineAfter(head), rest.doc])]),
+      first: head.first,
+      last: rest.last
+    };
+  }
+
+  printIf(node) {
+    const [head, thenPart, elsePart] = this.segments([
+      [node.loc.start.offset, node.condition.loc.end.offset, [node.condition]],
+      [node.condition.loc.end.offset, node.then.loc.end.offset, [node.then]],
+      [node.then.loc.end.offset, node.loc.end.offset, [node.else]]
+    ]);
+    return {
+      doc: group([head.doc, indent([this.lineAfter(head), thenPart.doc, this.lineAfter(thenPart), elsePart.doc])]),
+      first: head.first,
+      last: elsePart.last
+    };
+  }
+
+  printCase(node) {
+    const { items } = node;
+    const lastItem = items[items.length - 1];
+    const [head, ...rest] = this.segments([
+      [node.loc.start.offset, items[0].loc.start.offset, node.comparand ? [node.comparand] : []],
+      ...items.map((item, index) => [index === 0 ? item.loc.start.offset : items[index - 1].loc.end.offset, item.loc.end.offset, [item]]),
+      [lastItem.loc.end.offset, node.else.loc.end.offset, [node.else]],
+      [node.else.loc.end.offset, node.loc.end.offset, []]
+    ]);
+    const itemPieces = rest.slice(0, items.length);
+    const [elsePart, end] = rest.slice(items.length);
+
+    return {
+      doc: [
+        head.doc,
+        indent([...itemPieces.map(piece => [hardline, piece.doc]), hardline, elsePart.doc]),
+        hardline,
+        end.doc
+      ],
+      first: head.first,
+      last: end.last
+    };
+  }
+
+  // 1 'mg':10 'mL', without spaces around the colon
+  printRatio(node) {
+    const numerator = this.range(node.loc.start.offset, node.denominator.loc.start.offset, [node.numerator]);
+    const denominator = this.print(node.denominator);
+    return { doc: [numerator.doc, denominator.doc], first: numerator.first, last: denominator.last };
+  }
+
+  /**
+   * Arguments and selector elements: `f(a, b)` and `{ a, b }` on one line, or one per line
+   * @param {object} node - Node whose elements are enclosed in brackets
+   * @param {Array} elements - The enclosed nodes
+   * @param {object} padding - line for `{ a }`, softline for `(a)`
+   */
+  printBracketed(node, elements, padding) {
+    const children = this.children(node);
+    if (!children) return this.printGeneric(node);
+
+    const firstElement = elements[0];
+    const lastElement = elements[elements.length - 1];
+    const prefix = this.rangePieces(
+      node.loc.start.offset,
+      firstElement.loc.start.offset,
+      children.filter(child => child.loc.end.offset <= firstElement.loc.start.offset)
+    );
+    const suffix = this.rangePieces(
+      lastElement.loc.end.offset,
+      node.loc.end.offset,
+      children.filter(child => child.loc.start.offset >= lastElement.loc.end.offset)
+    );
+
+    // Each element carries the comma that follows it
+    const lists = [];
+    elements.forEach((element, index) => {
+      const from = index === 0 ? element.loc.start.offset : elements[index - 1].loc.end.offset;
+      const parts = this.rangePieces(from, element.loc.end.offset, [element]);
+      const comma = parts.findIndex(part => isSymbol(part.first, ','));
+      if (index > 0 && comma !== -1) {
+        lists[index - 1].push(...parts.splice(comma, 1));
+      }
+      lists.push(parts);
+    });
+
+    const [open, ...rest] = this.joinSegments([prefix, ...lists, suffix]);
+    const close = rest.pop();
+    const pieces = rest;
+
+    const body = [];
+    pieces.forEach((piece, index) => {
+      body.push(index === 0 ? this.lineAfter(open, padding) : this.lineAfter(pieces[index - 1]), piece.doc);
+    });
+
+    return {
+      doc: group([open.doc, indent(body), this.lineAfter(pieces[pieces.length - 1], padding), close.doc]),
+      first: open.first,
+      last: close.last
+    };
+  }
+}
+
+function needsBlankLine(previous, next) {
+  const previousGroup = STATEMENT_GROUPS[previous.kind];
+  const nextGroup = STATEMENT_GROUPS[next.kind];
+  return !previousGroup || !nextGroup || previousGroup !== nextGroup;
+}
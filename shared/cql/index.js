@@ -0,0 +1,30 @@
+/**
+ * Shared CQL language services
+ * Tokenizer, parser, formatter, linter, FHIR R4 model info, CQL-to-ELM
+ * translator and ELM XML serializer used by both the editor tooling in the
+ * frontend and the embedded execution engine in the backend.
+ */
+
+export { tokenize, TokenType, CQLSyntaxError } from './tokenizer.js';
+export { parseCQL, parseCQLExpression, RESERVED_WORDS, DATE_TIME_PRECISIONS } from './parser.js';
+export { formatCQL, DEFAULT_FORMAT_OPTIONS } from './formatter.js';
+export { getModelType, getElementType, getImplicitConversion, isSubtypeOf } from './modelinfo.js';
+export {
+  OPERATOR_SIGNATURES,
+  resolveOperator,
+  formatSignature,
+  getPropertyType,
+  conversionCost,
+  parseTypeString
+} from './types.js';
+export {
+  translateCQL,
+  toLocator,
+  elmTypeName,
+  SYSTEM_FUNCTION_NAMES,
+  SYSTEM_NAMESPACE,
+  FHIR_NAMESPACE,
+  PRIMARY_CODE_PATHS
+} from './translator.js';
+export { elmToXML } from './elm-xml.js';
+export { lintCQL, checkLintRules, LINT_RULES, LINT_SEVERITIES, LINT_DOCS_URL } from './linter.js';
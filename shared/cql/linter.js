@@ -0,0 +1,339 @@
+/**
+ * CQL Linter
+ * Best-practice rules checked on the syntax tree of a library. Each rule has a
+ * default severity, a documentation page and, where the problem can be
+ * corrected mechanically, quick-fixes expressed as text edits.
+ *
+ * Rules are configured by id with a severity ('error', 'warning', 'info',
+ * 'hint' or 'off'). The editor combines the learner's settings with the rules
+ * an exercise enables for grading (`validation.lint.rules`).
+ */
+
+import { parseCQL } from './parser.js';
+import { PRIMARY_CODE_PATHS } from './translator.js';
+
+export const LINT_DOCS_URL = 'https://github.com/joelmontavon/cql-code-clinic/blob/main/docs/CQL_LINT_RULES.md';
+
+export const LINT_SEVERITIES = ['error', 'warning', 'info', 'hint', 'off'];
+
+const MEASUREMENT_PERIOD = 'Measurement Period';
+
+// Population criteria are evaluated by the measure rather than referenced in the library
+const POPULATION_NAMES = /^(Initial Population|Denominator|Numerator|Measure Population|Measure Observation|Stratification|Stratifier|SDE)\b/i;
+
+// Libraries whose functions are used implicitly, through type conversions
+const IMPLICIT_INCLUDES = new Set(['FHIRHelpers']);
+
+// Fixes offered for a retrieve without terminology, at most
+const MAX_TERMINOLOGY_FIXES = 5;
+
+const DATE_TIME_FUNCTIONS = {
+  Now: `end of "${MEASUREMENT_PERIOD}"`,
+  Today: `date from end of "${MEASUREMENT_PERIOD}"`,
+  TimeOfDay: `time from end of "${MEASUREMENT_PERIOD}"`
+};
+
+const rule = (id, title, severity, description, check) => ({
+  id,
+  title,
+  severity,
+  description,
+  docsUrl: `${LINT_DOCS_URL}#${id}`,
+  check
+});
+
+/**
+ * Lint rules, in the order their problems are reported
+ */
+export const LINT_RULES = [
+  rule('quoted-define-names', 'Quote define names', 'hint',
+    'Define names are written as quoted identifiers, e.g. define "Inpatient Encounters".',
+    checkQuotedDefineNames),
+  rule('explicit-context', 'Declare the context', 'warning',
+    'Libraries that use a data model declare the context their definitions run in, e.g. context Patient.',
+    checkExplicitContext),
+  rule('no-now', 'Avoid Now() and Today()', 'warning',
+    'Measure logic is relative to the "Measurement Period" parameter, not to when it is evaluated.',
+    checkNoNow),
+  // Off unless enabled: exercise answers and library outputs are defines nothing else references
+  rule('unused-define', 'Remove unused defines', 'off',
+    'Every define other than a population criterion is referenced by another definition.',
+    checkUnusedDefines),
+  rule('unused-include', 'Remove unused includes', 'warning',
+    'Every included library is referenced through its alias.',
+    checkUnusedIncludes),
+  rule('retrieve-terminology', 'Filter retrieves by terminology', 'hint',
+    'Retrieves of clinical resources are filtered by a value set or code, e.g. [Condition: "Diabetes"].',
+    checkRetrieveTerminology),
+  rule('null-comparison', 'Test for null with is null', 'warning',
+    'Comparing with null using = or != always results in null; use is null or is not null.',
+    checkNullComparison)
+];
+
+const RULES_BY_ID = new Map(LINT_RULES.map(item => [item.id, item]));
+
+/**
+ * Lint a CQL library
+ * @param {string} source - CQL library source
+ * @param {object} options - { ast, rules } where ast is the parsed library (parsed from source when
+ *   not given) and rules maps rule ids to severities, overriding the defaults
+ * @returns {Array} [{ ruleId, severity, message, location, docsUrl, fixes }] where fixes are
+ *   [{ title, edits: [{ start, end, text }] }] with edits given as source offsets
+ */
+export function lintCQL(source, { ast = null, rules = {} } = {}) {
+  const library = ast || parseCQL(source).library;
+  const context = createContext(source, library);
+  const problems = [];
+
+  LINT_RULES.forEach(({ id, severity: defaultSeverity, docsUrl, check }) => {
+    const severity = rules[id] || defaultSeverity;
+    if (severity === 'off') return;
+
+    check(context, ({ message, loc, fixes = [] }) => {
+      problems.push({ ruleId: id, severity, message, location: loc, docsUrl, fixes });
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Check the rules an exercise enables for grading
+ * @param {string} source - CQL library source
+ * @param {object} rules - Rule ids mapped to severities; rules that are 'off' are not checked
+ * @returns {Array} [{ ruleId, title, severity, passed, problems }] for each enabled rule
+ */
+export function checkLintRules(source, rules = {}) {
+  const enabled = Object.entries(rules).filter(([id, severity]) => RULES_BY_ID.has(id) && severity !== 'off');
+  if (enabled.length === 0) return [];
+
+  const problems = lintCQL(source, { rules: Object.fromEntries(LINT_RULES.map(({ id }) => [id, rules[id] || 'off'])) });
+  return enabled.map(([id, severity]) => {
+    const ruleProblems = problems.filter(problem => problem.ruleId === id);
+    return { ruleId: id, title: RULES_BY_ID.get(id).title, severity, passed: ruleProblems.length === 0, problems: ruleProblems };
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Rules
+// -----------------------------------------------------------------------------
+
+function checkQuotedDefineNames({ source, declarations }, report) {
+  declarations
+    .filter(declaration => declaration.kind === 'ExpressionDefinition' && declaration.nameLoc)
+    .filter(declaration => source[declaration.nameLoc.start.offset] !== '"')
+    .forEach(declaration => {
+      const quoted = quote(declaration.name);
+      report({
+        message: `Write the name of define ${declaration.name} as a quoted identifier: ${quoted}`,
+        loc: declaration.nameLoc,
+        fixes: [{ title: `Quote as ${quoted}`, edits: [replace(declaration.nameLoc, quoted)] }]
+      });
+    });
+}
+
+function checkExplicitContext({ declarations }, report) {
+  const using = declarations.find(declaration => declaration.kind === 'UsingDefinition');
+  if (!using || declarations.some(declaration => declaration.kind === 'ContextDefinition')) return;
+
+  const first = declarations.find(declaration => isDefinition(declaration));
+  if (!first) return;
+
+  report({
+    message: `Library uses ${using.modelName} but declares no context; add 'context Patient' before its definitions`,
+    loc: first.loc,
+    fixes: [{ title: 'Add \'context Patient\'', edits: [insert(first.loc.start.offset, 'context Patient\n\n')] }]
+  });
+}
+
+function checkNoNow({ declarations, walk }, report) {
+  const hasPeriod = declarations.some(declaration => declaration.kind === 'ParameterDefinition' &&
+    declaration.name === MEASUREMENT_PERIOD);
+  const parameterAt = statementInsertionOffset(declarations);
+
+  walk(node => {
+    if (node.kind !== 'FunctionInvocation' || !DATE_TIME_FUNCTIONS[node.name] || node.arguments.length > 0) return;
+
+    const replacement = DATE_TIME_FUNCTIONS[node.name];
+    const edits = [replace(node.loc, replacement)];
+    if (!hasPeriod && parameterAt !== null) {
+      edits.unshift(insert(parameterAt, `parameter "${MEASUREMENT_PERIOD}" Interval<DateTime>\n\n`));
+    }
+
+    report({
+      message: `${node.name}() depends on when the library is evaluated; use the "${MEASUREMENT_PERIOD}" parameter instead`,
+      loc: node.loc,
+      fixes: [{ title: `Replace with ${replacement}`, edits }]
+    });
+  });
+}
+
+function checkUnusedDefines({ source, declarations, references }, report) {
+  declarations
+    .filter(declaration => declaration.kind === 'ExpressionDefinition' && declaration.nameLoc)
+    .filter(declaration => !references.names.has(declaration.name) && !POPULATION_NAMES.test(declaration.name))
+    .forEach(declaration => {
+      report({
+        message: `Define ${quote(declaration.name)} is not referenced by any other definition`,
+        loc: declaration.nameLoc,
+        fixes: [{ title: `Remove define ${quote(declaration.name)}`, edits: [removeStatement(source, declaration)] }]
+      });
+    });
+}
+
+function checkUnusedIncludes({ source, declarations, references }, report) {
+  declarations
+    .filter(declaration => declaration.kind === 'IncludeDefinition' && !IMPLICIT_INCLUDES.has(declaration.libraryName))
+    .filter(declaration => !references.libraries.has(declaration.alias || declaration.libraryName))
+    .forEach(declaration => {
+      report({
+        message: `Library ${declaration.alias || declaration.libraryName} is included but never referenced`,
+        loc: declaration.aliasLoc || declaration.loc,
+        fixes: [{ title: `Remove include ${declaration.libraryName}`, edits: [removeStatement(source, declaration)] }]
+      });
+    });
+}
+
+function checkRetrieveTerminology({ declarations, walk }, report) {
+  const terminology = declarations
+    .filter(declaration => declaration.kind === 'ValueSetDefinition' || declaration.kind === 'CodeDefinition')
+    .slice(0, MAX_TERMINOLOGY_FIXES);
+
+  walk(node => {
+    const type = node.kind === 'Retrieve' ? node.typeSpecifier.name : null;
+    if (!type || node.terminology || !PRIMARY_CODE_PATHS[type]) return;
+
+    report({
+      message: `Retrieve of every ${type} resource; filter it by a value set or code, e.g. [${type}: "Value Set"]`,
+      loc: node.loc,
+      fixes: terminology.map(declaration => ({
+        title: `Filter by ${quote(declaration.name)}`,
+        edits: [insert(node.typeSpecifier.loc.end.offset, `: ${quote(declaration.name)}`)]
+      }))
+    });
+  });
+}
+
+function checkNullComparison({ source, walk }, report) {
+  walk(node => {
+    if (node.kind !== 'BinaryExpression' || (node.operator !== '=' && node.operator !== '!=')) return;
+
+    const operand = isNullLiteral(node.right) ? node.left : isNullLiteral(node.left) ? node.right : null;
+    if (!operand) return;
+
+    const test = node.operator === '=' ? 'is null' : 'is not null';
+    const written = node.deprecatedOperator || node.operator;
+    report({
+      message: `Comparing with null using '${written}' always results in null; use '${test}'`,
+      loc: node.loc,
+      fixes: [{ title: `Replace with '${test}'`, edits: [replace(node.loc, `${textOf(source, operand.loc)} ${test}`)] }]
+    });
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function createContext(source, library) {
+  const declarations = library?.declarations || [];
+  const walk = visit => declarations.forEach(declaration => walkNode(declaration, visit));
+  return { source, declarations, walk, references: collectReferences(declarations) };
+}
+
+function walkNode(node, visit) {
+  visit(node);
+  forEachChild(node, child => walkNode(child, visit));
+}
+
+function forEachChild(node, callback) {
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === 'loc' || key.endsWith('Loc')) return;
+    (Array.isArray(value) ? value : [value]).forEach(child => {
+      if (child && typeof child === 'object' && child.kind) callback(child);
+    });
+  });
+}
+
+/**
+ * Names the library refers to: identifiers (which may name defines) and
+ * include aliases used to reach members of other libraries. Query aliases and
+ * let clauses shadow both within their query.
+ */
+function collectReferences(declarations) {
+  const names = new Set();
+  const libraries = new Set();
+
+  const visit = (node, scope) => {
+    let inner = scope;
+    switch (node.kind) {
+      case 'Query':
+        inner = new Set([
+          ...scope,
+          ...node.sources.map(source => source.alias),
+          ...node.relationships.map(relationship => relationship.source.alias),
+          ...node.lets.map(clause => clause.name)
+        ]);
+        break;
+      case 'Identifier':
+        if (!scope.has(node.name)) names.add(node.name);
+        break;
+      case 'QualifiedReference':
+        if (node.libraryName) libraries.add(node.libraryName);
+        else names.add(node.name);
+        break;
+      case 'MemberInvocation':
+      case 'MethodInvocation':
+        if (node.source?.kind === 'Identifier' && !scope.has(node.source.name)) libraries.add(node.source.name);
+        break;
+      case 'NamedTypeSpecifier':
+        if (node.namespace) libraries.add(node.namespace);
+        break;
+      default:
+        break;
+    }
+    forEachChild(node, child => visit(child, inner));
+  };
+  declarations.forEach(declaration => visit(declaration, new Set()));
+
+  return { names, libraries };
+}
+
+function isDefinition(declaration) {
+  return declaration.kind === 'ExpressionDefinition' || declaration.kind === 'FunctionDefinition';
+}
+
+function isNullLiteral(node) {
+  return node?.kind === 'Literal' && node.valueType === 'Null';
+}
+
+// Where a new parameter goes: before the first parameter, context or definition
+function statementInsertionOffset(declarations) {
+  const next = declarations.find(declaration => declaration.kind === 'ParameterDefinition' ||
+    declaration.kind === 'ContextDefinition' || isDefinition(declaration));
+  return next ? next.loc.start.offset : null;
+}
+
+function quote(name) {
+  return `"${name.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function textOf(source, loc) {
+  return source.slice(loc.start.offset, loc.end.offset);
+}
+
+function replace(loc, text) {
+  return { start: loc.start.offset, end: loc.end.offset, text };
+}
+
+function insert(offset, text) {
+  return { start: offset, end: offset, text };
+}
+
+// Remove a statement with its line break, and the blank line after it when one also precedes it
+function removeStatement(source, declaration) {
+  const { start, end } = declaration.loc;
+  const separated = start.offset === 0 || /\n[ \t]*\r?\n[ \t]*$/.test(source.slice(0, start.offset));
+  const trailing = separated ? /^[ \t]*(?:\r?\n)?(?:[ \t]*\r?\n)?/ : /^[ \t]*(?:\r?\n)?/;
+  return { start: start.offset, end: end.offset + trailing.exec(source.slice(end.offset))[0].length, text: '' };
+}
@@ -0,0 +1,715 @@
+/**
+ * CQL Model Info
+ * Description of the System types and the FHIR R4 (4.0.1) types that CQL
+ * expressions are typed against: base types, elements and the implicit
+ * conversions FHIRHelpers provides from FHIR types to System types.
+ *
+ * Only the resources and data types used in measures and exercises are
+ * described. Type strings follow the translator's notation: System types are
+ * unqualified ('DateTime'), model types are qualified ('FHIR.Period').
+ */
+
+const SYSTEM_MODEL = {
+  Any: { baseType: null, elements: {} },
+  Boolean: { baseType: 'Any', elements: {} },
+  Integer: { baseType: 'Any', elements: {} },
+  Long: { baseType: 'Any', elements: {} },
+  Decimal: { baseType: 'Any', elements: {} },
+  String: { baseType: 'Any', elements: {} },
+  Date: { baseType: 'Any', elements: {} },
+  DateTime: { baseType: 'Any', elements: {} },
+  Time: { baseType: 'Any', elements: {} },
+  Quantity: { baseType: 'Any', elements: { value: 'Decimal', unit: 'String' } },
+  Ratio: { baseType: 'Any', elements: { numerator: 'Quantity', denominator: 'Quantity' } },
+  Code: { baseType: 'Any', elements: { code: 'String', system: 'String', version: 'String', display: 'String' } },
+  Concept: { baseType: 'Any', elements: { codes: 'List<Code>', display: 'String' } },
+  Vocabulary: { baseType: 'Any', elements: { id: 'String', version: 'String', name: 'String' } },
+  ValueSet: { baseType: 'Vocabulary', elements: {} },
+  CodeSystem: { baseType: 'Vocabulary', elements: {} }
+};
+
+// FHIR primitive types and the System type each converts to
+const FHIR_PRIMITIVES = {
+  boolean: 'Boolean',
+  integer: 'Integer',
+  positiveInt: 'Integer',
+  unsignedInt: 'Integer',
+  decimal: 'Decimal',
+  string: 'String',
+  code: 'String',
+  id: 'String',
+  markdown: 'String',
+  uri: 'String',
+  url: 'String',
+  canonical: 'String',
+  oid: 'String',
+  uuid: 'String',
+  base64Binary: 'String',
+  date: 'Date',
+  dateTime: 'DateTime',
+  instant: 'DateTime',
+  time: 'Time'
+};
+
+// Primitives that specialize another primitive, e.g. code is a string
+const PRIMITIVE_BASES = {
+  positiveInt: 'integer',
+  unsignedInt: 'integer',
+  code: 'string',
+  id: 'string',
+  markdown: 'string',
+  url: 'uri',
+  canonical: 'uri',
+  oid: 'uri',
+  uuid: 'uri'
+};
+
+// Coded elements bound to a required value set have their own enumeration types
+const FHIR_ENUMERATIONS = [
+  'AdministrativeGender', 'AllergyIntoleranceCategory', 'AllergyIntoleranceCriticality',
+  'AllergyIntoleranceType', 'ContactPointSystem', 'ContactPointUse', 'DiagnosticReportStatus',
+  'EncounterLocationStatus', 'EncounterStatus', 'FHIRDeviceStatus', 'IdentifierUse', 'ImmunizationStatus',
+  'MedicationAdministrationStatus', 'MedicationDispenseStatus', 'MedicationRequestIntent',
+  'MedicationRequestStatus', 'MedicationStatementStatus', 'NameUse', 'ObservationStatus', 'ProcedureStatus',
+  'QuantityComparator', 'RequestIntent', 'RequestPriority', 'RequestStatus', 'AddressUse', 'FinancialResourceStatusCodes'
+];
+
+const CONDITION_TIMING = 'Choice<FHIR.dateTime, FHIR.Age, FHIR.Period, FHIR.Range, FHIR.string>';
+const OBSERVATION_VALUE = 'Choice<FHIR.Quantity, FHIR.CodeableConcept, FHIR.string, FHIR.boolean, FHIR.integer, ' +
+  'FHIR.Range, FHIR.Ratio, FHIR.time, FHIR.dateTime, FHIR.Period>';
+const MEDICATION = 'Choice<FHIR.CodeableConcept, FHIR.Reference>';
+
+const DOMAIN_RESOURCE = {
+  identifier: 'List<FHIR.Identifier>'
+};
+
+const FHIR_COMPLEX_TYPES = {
+  // Base types
+  Element: { baseType: null, elements: { id: 'String', extension: 'List<FHIR.Extension>' } },
+  BackboneElement: { baseType: 'FHIR.Element', elements: { modifierExtension: 'List<FHIR.Extension>' } },
+  Resource: {
+    baseType: null,
+    elements: { id: 'FHIR.id', meta: 'FHIR.Meta', implicitRules: 'FHIR.uri', language: 'FHIR.code' }
+  },
+  DomainResource: {
+    baseType: 'FHIR.Resource',
+    elements: {
+      contained: 'List<FHIR.Resource>',
+      extension: 'List<FHIR.Extension>',
+      modifierExtension: 'List<FHIR.Extension>'
+    }
+  },
+
+  // Data types
+  Extension: {
+    baseType: 'FHIR.Element',
+    elements: {
+      url: 'String',
+      value: 'Choice<FHIR.boolean, FHIR.integer, FHIR.decimal, FHIR.string, FHIR.code, FHIR.date, FHIR.dateTime, ' +
+        'FHIR.Coding, FHIR.CodeableConcept, FHIR.Quantity, FHIR.Period, FHIR.Reference>'
+    }
+  },
+  Meta: {
+    baseType: 'FHIR.Element',
+    elements: {
+      versionId: 'FHIR.id',
+      lastUpdated: 'FHIR.instant',
+      source: 'FHIR.uri',
+      profile: 'List<FHIR.canonical>',
+      security: 'List<FHIR.Coding>',
+      tag: 'List<FHIR.Coding>'
+    }
+  },
+  Coding: {
+    baseType: 'FHIR.Element',
+    elements: {
+      system: 'FHIR.uri',
+      version: 'FHIR.string',
+      code: 'FHIR.code',
+      display: 'FHIR.string',
+      userSelected: 'FHIR.boolean'
+    }
+  },
+  CodeableConcept: {
+    baseType: 'FHIR.Element',
+    elements: { coding: 'List<FHIR.Coding>', text: 'FHIR.string' }
+  },
+  Quantity: {
+    baseType: 'FHIR.Element',
+    elements: {
+      value: 'FHIR.decimal',
+      comparator: 'FHIR.QuantityComparator',
+      unit: 'FHIR.string',
+      system: 'FHIR.uri',
+      code: 'FHIR.code'
+    }
+  },
+  SimpleQuantity: { baseType: 'FHIR.Quantity', elements: {} },
+  Age: { baseType: 'FHIR.Quantity', elements: {} },
+  Duration: { baseType: 'FHIR.Quantity', elements: {} },
+  Distance: { baseType: 'FHIR.Quantity', elements: {} },
+  Count: { baseType: 'FHIR.Quantity', elements: {} },
+  MoneyQuantity: { baseType: 'FHIR.Quantity', elements: {} },
+  Range: { baseType: 'FHIR.Element', elements: { low: 'FHIR.SimpleQuantity', high: 'FHIR.SimpleQuantity' } },
+  Ratio: { baseType: 'FHIR.Element', elements: { numerator: 'FHIR.Quantity', denominator: 'FHIR.Quantity' } },
+  Period: { baseType: 'FHIR.Element', elements: { start: 'FHIR.dateTime', end: 'FHIR.dateTime' } },
+  Reference: {
+    baseType: 'FHIR.Element',
+    elements: { reference: 'FHIR.string', type: 'FHIR.uri', identifier: 'FHIR.Identifier', display: 'FHIR.string' }
+  },
+  Identifier: {
+    baseType: 'FHIR.Element',
+    elements: {
+      use: 'FHIR.IdentifierUse',
+      type: 'FHIR.CodeableConcept',
+      system: 'FHIR.uri',
+      value: 'FHIR.string',
+      period: 'FHIR.Period',
+      assigner: 'FHIR.Reference'
+    }
+  },
+  HumanName: {
+    baseType: 'FHIR.Element',
+    elements: {
+      use: 'FHIR.NameUse',
+      text: 'FHIR.string',
+      family: 'FHIR.string',
+      given: 'List<FHIR.string>',
+      prefix: 'List<FHIR.string>',
+      suffix: 'List<FHIR.string>',
+      period: 'FHIR.Period'
+    }
+  },
+  Address: {
+    baseType: 'FHIR.Element',
+    elements: {
+      use: 'FHIR.AddressUse',
+      text: 'FHIR.string',
+      line: 'List<FHIR.string>',
+      city: 'FHIR.string',
+      district: 'FHIR.string',
+      state: 'FHIR.string',
+      postalCode: 'FHIR.string',
+      country: 'FHIR.string',
+      period: 'FHIR.Period'
+    }
+  },
+  ContactPoint: {
+    baseType: 'FHIR.Element',
+    elements: {
+      system: 'FHIR.ContactPointSystem',
+      value: 'FHIR.string',
+      use: 'FHIR.ContactPointUse',
+      rank: 'FHIR.positiveInt',
+      period: 'FHIR.Period'
+    }
+  },
+  Annotation: {
+    baseType: 'FHIR.Element',
+    elements: { author: 'Choice<FHIR.Reference, FHIR.string>', time: 'FHIR.dateTime', text: 'FHIR.markdown' }
+  },
+  Timing: {
+    baseType: 'FHIR.BackboneElement',
+    elements: { event: 'List<FHIR.dateTime>', code: 'FHIR.CodeableConcept' }
+  },
+  Dosage: {
+    baseType: 'FHIR.BackboneElement',
+    elements: {
+      sequence: 'FHIR.integer',
+      text: 'FHIR.string',
+      timing: 'FHIR.Timing',
+      asNeeded: 'Choice<FHIR.boolean, FHIR.CodeableConcept>',
+      site: 'FHIR.CodeableConcept',
+      route: 'FHIR.CodeableConcept',
+      method: 'FHIR.CodeableConcept',
+      doseAndRate: 'List<FHIR.Dosage.DoseAndRate>'
+    }
+  },
+  'Dosage.DoseAndRate': {
+    baseType: 'FHIR.Element',
+    elements: {
+      type: 'FHIR.CodeableConcept',
+      dose: 'Choice<FHIR.Range, FHIR.SimpleQuantity>',
+      rate: 'Choice<FHIR.Ratio, FHIR.Range, FHIR.SimpleQuantity>'
+    }
+  },
+
+  // Resources
+  Patient: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      active: 'FHIR.boolean',
+      name: 'List<FHIR.HumanName>',
+      telecom: 'List<FHIR.ContactPoint>',
+      gender: 'FHIR.AdministrativeGender',
+      birthDate: 'FHIR.date',
+      deceased: 'Choice<FHIR.boolean, FHIR.dateTime>',
+      address: 'List<FHIR.Address>',
+      maritalStatus: 'FHIR.CodeableConcept',
+      multipleBirth: 'Choice<FHIR.boolean, FHIR.integer>',
+      contact: 'List<FHIR.Patient.Contact>',
+      communication: 'List<FHIR.Patient.Communication>',
+      generalPractitioner: 'List<FHIR.Reference>',
+      managingOrganization: 'FHIR.Reference'
+    }
+  },
+  'Patient.Contact': {
+    baseType: 'FHIR.BackboneElement',
+    elements: {
+      relationship: 'List<FHIR.CodeableConcept>',
+      name: 'FHIR.HumanName',
+      telecom: 'List<FHIR.ContactPoint>',
+      address: 'FHIR.Address',
+      gender: 'FHIR.AdministrativeGender',
+      organization: 'FHIR.Reference',
+      period: 'FHIR.Period'
+    }
+  },
+  'Patient.Communication': {
+    baseType: 'FHIR.BackboneElement',
+    elements: { language: 'FHIR.CodeableConcept', preferred: 'FHIR.boolean' }
+  },
+  Practitioner: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      active: 'FHIR.boolean',
+      name: 'List<FHIR.HumanName>',
+      telecom: 'List<FHIR.ContactPoint>',
+      address: 'List<FHIR.Address>',
+      gender: 'FHIR.AdministrativeGender',
+      birthDate: 'FHIR.date'
+    }
+  },
+  Organization: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      active: 'FHIR.boolean',
+      type: 'List<FHIR.CodeableConcept>',
+      name: 'FHIR.string',
+      telecom: 'List<FHIR.ContactPoint>',
+      address: 'List<FHIR.Address>',
+      partOf: 'FHIR.Reference'
+    }
+  },
+  Location: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      name: 'FHIR.string',
+      type: 'List<FHIR.CodeableConcept>',
+      address: 'FHIR.Address',
+      managingOrganization: 'FHIR.Reference'
+    }
+  },
+  Condition: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      clinicalStatus: 'FHIR.CodeableConcept',
+      verificationStatus: 'FHIR.CodeableConcept',
+      category: 'List<FHIR.CodeableConcept>',
+      severity: 'FHIR.CodeableConcept',
+      code: 'FHIR.CodeableConcept',
+      bodySite: 'List<FHIR.CodeableConcept>',
+      subject: 'FHIR.Reference',
+      encounter: 'FHIR.Reference',
+      onset: CONDITION_TIMING,
+      abatement: CONDITION_TIMING,
+      recordedDate: 'FHIR.dateTime',
+      recorder: 'FHIR.Reference',
+      asserter: 'FHIR.Reference',
+      note: 'List<FHIR.Annotation>'
+    }
+  },
+  Observation: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      basedOn: 'List<FHIR.Reference>',
+      partOf: 'List<FHIR.Reference>',
+      status: 'FHIR.ObservationStatus',
+      category: 'List<FHIR.CodeableConcept>',
+      code: 'FHIR.CodeableConcept',
+      subject: 'FHIR.Reference',
+      focus: 'List<FHIR.Reference>',
+      encounter: 'FHIR.Reference',
+      effective: 'Choice<FHIR.dateTime, FHIR.Period, FHIR.Timing, FHIR.instant>',
+      issued: 'FHIR.instant',
+      performer: 'List<FHIR.Reference>',
+      value: OBSERVATION_VALUE,
+      dataAbsentReason: 'FHIR.CodeableConcept',
+      interpretation: 'List<FHIR.CodeableConcept>',
+      note: 'List<FHIR.Annotation>',
+      bodySite: 'FHIR.CodeableConcept',
+      method: 'FHIR.CodeableConcept',
+      specimen: 'FHIR.Reference',
+      device: 'FHIR.Reference',
+      referenceRange: 'List<FHIR.Observation.ReferenceRange>',
+      hasMember: 'List<FHIR.Reference>',
+      derivedFrom: 'List<FHIR.Reference>',
+      component: 'List<FHIR.Observation.Component>'
+    }
+  },
+  'Observation.ReferenceRange': {
+    baseType: 'FHIR.BackboneElement',
+    elements: {
+      low: 'FHIR.SimpleQuantity',
+      high: 'FHIR.SimpleQuantity',
+      type: 'FHIR.CodeableConcept',
+      appliesTo: 'List<FHIR.CodeableConcept>',
+      age: 'FHIR.Range',
+      text: 'FHIR.string'
+    }
+  },
+  'Observation.Component': {
+    baseType: 'FHIR.BackboneElement',
+    elements: {
+      code: 'FHIR.CodeableConcept',
+      value: OBSERVATION_VALUE,
+      dataAbsentReason: 'FHIR.CodeableConcept',
+      interpretation: 'List<FHIR.CodeableConcept>',
+      referenceRange: 'List<FHIR.Observation.ReferenceRange>'
+    }
+  },
+  Encounter: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      status: 'FHIR.EncounterStatus',
+      class: 'FHIR.Coding',
+      type: 'List<FHIR.CodeableConcept>',
+      serviceType: 'FHIR.CodeableConcept',
+      priority: 'FHIR.CodeableConcept',
+      subject: 'FHIR.Reference',
+      episodeOfCare: 'List<FHIR.Reference>',
+      basedOn: 'List<FHIR.Reference>',
+      participant: 'List<FHIR.Encounter.Participant>',
+      appointment: 'List<FHIR.Reference>',
+      period: 'FHIR.Period',
+      length: 'FHIR.Duration',
+      reasonCode: 'List<FHIR.CodeableConcept>',
+      reasonReference: 'List<FHIR.Reference>',
+      diagnosis: 'List<FHIR.Encounter.Diagnosis>',
+      hospitalization: 'FHIR.Encounter.Hospitalization',
+      location: 'List<FHIR.Encounter.Location>',
+      serviceProvider: 'FHIR.Reference',
+      partOf: 'FHIR.Reference'
+    }
+  },
+  'Encounter.Participant': {
+    baseType: 'FHIR.BackboneElement',
+    elements: { type: 'List<FHIR.CodeableConcept>', period: 'FHIR.Period', individual: 'FHIR.Reference' }
+  },
+  'Encounter.Diagnosis': {
+    baseType: 'FHIR.BackboneElement',
+    elements: { condition: 'FHIR.Reference', use: 'FHIR.CodeableConcept', rank: 'FHIR.positiveInt' }
+  },
+  'Encounter.Hospitalization': {
+    baseType: 'FHIR.BackboneElement',
+    elements: {
+      admitSource: 'FHIR.CodeableConcept',
+      reAdmission: 'FHIR.CodeableConcept',
+      dischargeDisposition: 'FHIR.CodeableConcept'
+    }
+  },
+  'Encounter.Location': {
+    baseType: 'FHIR.BackboneElement',
+    elements: { location: 'FHIR.Reference', status: 'FHIR.EncounterLocationStatus', period: 'FHIR.Period' }
+  },
+  Procedure: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      basedOn: 'List<FHIR.Reference>',
+      partOf: 'List<FHIR.Reference>',
+      status: 'FHIR.ProcedureStatus',
+      statusReason: 'FHIR.CodeableConcept',
+      category: 'FHIR.CodeableConcept',
+      code: 'FHIR.CodeableConcept',
+      subject: 'FHIR.Reference',
+      encounter: 'FHIR.Reference',
+      performed: 'Choice<FHIR.dateTime, FHIR.Period, FHIR.string, FHIR.Age, FHIR.Range>',
+      recorder: 'FHIR.Reference',
+      asserter: 'FHIR.Reference',
+      location: 'FHIR.Reference',
+      reasonCode: 'List<FHIR.CodeableConcept>',
+      reasonReference: 'List<FHIR.Reference>',
+      bodySite: 'List<FHIR.CodeableConcept>',
+      outcome: 'FHIR.CodeableConcept',
+      complication: 'List<FHIR.CodeableConcept>',
+      note: 'List<FHIR.Annotation>',
+      usedCode: 'List<FHIR.CodeableConcept>'
+    }
+  },
+  Medication: {
+    baseType: 'FHIR.DomainResource',
+    elements: { ...DOMAIN_RESOURCE, code: 'FHIR.CodeableConcept', status: 'FHIR.code', form: 'FHIR.CodeableConcept' }
+  },
+  MedicationRequest: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      status: 'FHIR.MedicationRequestStatus',
+      statusReason: 'FHIR.CodeableConcept',
+      intent: 'FHIR.MedicationRequestIntent',
+      category: 'List<FHIR.CodeableConcept>',
+      priority: 'FHIR.RequestPriority',
+      doNotPerform: 'FHIR.boolean',
+      reported: 'Choice<FHIR.boolean, FHIR.Reference>',
+      medication: MEDICATION,
+      subject: 'FHIR.Reference',
+      encounter: 'FHIR.Reference',
+      authoredOn: 'FHIR.dateTime',
+      requester: 'FHIR.Reference',
+      reasonCode: 'List<FHIR.CodeableConcept>',
+      reasonReference: 'List<FHIR.Reference>',
+      note: 'List<FHIR.Annotation>',
+      dosageInstruction: 'List<FHIR.Dosage>',
+      dispenseRequest: 'FHIR.MedicationRequest.DispenseRequest'
+    }
+  },
+  'MedicationRequest.DispenseRequest': {
+    baseType: 'FHIR.BackboneElement',
+    elements: {
+      validityPeriod: 'FHIR.Period',
+      numberOfRepeatsAllowed: 'FHIR.unsignedInt',
+      quantity: 'FHIR.SimpleQuantity',
+      expectedSupplyDuration: 'FHIR.Duration'
+    }
+  },
+  MedicationStatement: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      status: 'FHIR.MedicationStatementStatus',
+      statusReason: 'List<FHIR.CodeableConcept>',
+      category: 'FHIR.CodeableConcept',
+      medication: MEDICATION,
+      subject: 'FHIR.Reference',
+      context: 'FHIR.Reference',
+      effective: 'Choice<FHIR.dateTime, FHIR.Period>',
+      dateAsserted: 'FHIR.dateTime',
+      reasonCode: 'List<FHIR.CodeableConcept>',
+      note: 'List<FHIR.Annotation>',
+      dosage: 'List<FHIR.Dosage>'
+    }
+  },
+  MedicationAdministration: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      status: 'FHIR.MedicationAdministrationStatus',
+      category: 'FHIR.CodeableConcept',
+      medication: MEDICATION,
+      subject: 'FHIR.Reference',
+      context: 'FHIR.Reference',
+      effective: 'Choice<FHIR.dateTime, FHIR.Period>',
+      reasonCode: 'List<FHIR.CodeableConcept>',
+      note: 'List<FHIR.Annotation>'
+    }
+  },
+  MedicationDispense: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      status: 'FHIR.MedicationDispenseStatus',
+      medication: MEDICATION,
+      subject: 'FHIR.Reference',
+      quantity: 'FHIR.SimpleQuantity',
+      daysSupply: 'FHIR.SimpleQuantity',
+      whenPrepared: 'FHIR.dateTime',
+      whenHandedOver: 'FHIR.dateTime',
+      dosageInstruction: 'List<FHIR.Dosage>'
+    }
+  },
+  Immunization: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      status: 'FHIR.ImmunizationStatus',
+      statusReason: 'FHIR.CodeableConcept',
+      vaccineCode: 'FHIR.CodeableConcept',
+      patient: 'FHIR.Reference',
+      encounter: 'FHIR.Reference',
+      occurrence: 'Choice<FHIR.dateTime, FHIR.string>',
+      recorded: 'FHIR.dateTime',
+      primarySource: 'FHIR.boolean',
+      location: 'FHIR.Reference',
+      site: 'FHIR.CodeableConcept',
+      route: 'FHIR.CodeableConcept',
+      doseQuantity: 'FHIR.SimpleQuantity',
+      note: 'List<FHIR.Annotation>',
+      reasonCode: 'List<FHIR.CodeableConcept>'
+    }
+  },
+  AllergyIntolerance: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      clinicalStatus: 'FHIR.CodeableConcept',
+      verificationStatus: 'FHIR.CodeableConcept',
+      type: 'FHIR.AllergyIntoleranceType',
+      category: 'List<FHIR.AllergyIntoleranceCategory>',
+      criticality: 'FHIR.AllergyIntoleranceCriticality',
+      code: 'FHIR.CodeableConcept',
+      patient: 'FHIR.Reference',
+      encounter: 'FHIR.Reference',
+      onset: CONDITION_TIMING,
+      recordedDate: 'FHIR.dateTime',
+      lastOccurrence: 'FHIR.dateTime',
+      note: 'List<FHIR.Annotation>'
+    }
+  },
+  DiagnosticReport: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      basedOn: 'List<FHIR.Reference>',
+      status: 'FHIR.DiagnosticReportStatus',
+      category: 'List<FHIR.CodeableConcept>',
+      code: 'FHIR.CodeableConcept',
+      subject: 'FHIR.Reference',
+      encounter: 'FHIR.Reference',
+      effective: 'Choice<FHIR.dateTime, FHIR.Period>',
+      issued: 'FHIR.instant',
+      performer: 'List<FHIR.Reference>',
+      result: 'List<FHIR.Reference>',
+      conclusion: 'FHIR.string',
+      conclusionCode: 'List<FHIR.CodeableConcept>'
+    }
+  },
+  ServiceRequest: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      status: 'FHIR.RequestStatus',
+      intent: 'FHIR.RequestIntent',
+      category: 'List<FHIR.CodeableConcept>',
+      priority: 'FHIR.RequestPriority',
+      doNotPerform: 'FHIR.boolean',
+      code: 'FHIR.CodeableConcept',
+      subject: 'FHIR.Reference',
+      encounter: 'FHIR.Reference',
+      occurrence: 'Choice<FHIR.dateTime, FHIR.Period, FHIR.Timing>',
+      authoredOn: 'FHIR.dateTime',
+      requester: 'FHIR.Reference',
+      reasonCode: 'List<FHIR.CodeableConcept>',
+      reasonReference: 'List<FHIR.Reference>',
+      note: 'List<FHIR.Annotation>'
+    }
+  },
+  Device: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      status: 'FHIR.FHIRDeviceStatus',
+      type: 'FHIR.CodeableConcept',
+      patient: 'FHIR.Reference',
+      owner: 'FHIR.Reference'
+    }
+  },
+  Coverage: {
+    baseType: 'FHIR.DomainResource',
+    elements: {
+      ...DOMAIN_RESOURCE,
+      status: 'FHIR.FinancialResourceStatusCodes',
+      type: 'FHIR.CodeableConcept',
+      subscriber: 'FHIR.Reference',
+      beneficiary: 'FHIR.Reference',
+      period: 'FHIR.Period',
+      payor: 'List<FHIR.Reference>'
+    }
+  }
+};
+
+// Conversions FHIRHelpers declares for structured FHIR types
+const STRUCTURED_CONVERSIONS = {
+  Coding: 'Code',
+  CodeableConcept: 'Concept',
+  Quantity: 'Quantity',
+  Ratio: 'Ratio',
+  Period: 'Interval<DateTime>',
+  Range: 'Interval<Quantity>'
+};
+
+const FHIR_MODEL = buildFHIRModel();
+
+function buildFHIRModel() {
+  const model = new Map();
+
+  Object.entries(FHIR_PRIMITIVES).forEach(([name, systemType]) => {
+    const base = PRIMITIVE_BASES[name] ? `FHIR.${PRIMITIVE_BASES[name]}` : 'FHIR.Element';
+    model.set(`FHIR.${name}`, { name: `FHIR.${name}`, baseType: base, elements: { value: systemType }, primitive: true });
+  });
+  FHIR_ENUMERATIONS.forEach(name => {
+    model.set(`FHIR.${name}`, { name: `FHIR.${name}`, baseType: 'FHIR.Element', elements: { value: 'String' }, primitive: true });
+  });
+  Object.entries(FHIR_COMPLEX_TYPES).forEach(([name, info]) => {
+    model.set(`FHIR.${name}`, { name: `FHIR.${name}`, ...info });
+  });
+
+  return model;
+}
+
+/**
+ * Model description of a named type
+ * @param {string} type - Type string such as 'Quantity', 'System.Quantity' or 'FHIR.Condition'
+ * @returns {object|null} { name, baseType, elements, primitive } or null for unknown types
+ */
+export function getModelType(type) {
+  if (!type) return null;
+  const name = type.startsWith('System.') ? type.slice(7) : type;
+  if (SYSTEM_MODEL[name]) return { name, ...SYSTEM_MODEL[name] };
+  return FHIR_MODEL.get(name) || null;
+}
+
+/**
+ * Whether a named type is the same as, or derives from, another
+ * @param {string} type - Type string, e.g. 'FHIR.Age'
+ * @param {string} base - Type string, e.g. 'FHIR.Quantity'
+ */
+export function isSubtypeOf(type, base) {
+  let current = getModelType(type);
+  const target = getModelType(base)?.name || base;
+  while (current) {
+    if (current.name === target) return true;
+    current = getModelType(current.baseType);
+  }
+  return false;
+}
+
+/**
+ * Declared type of an element of a named type, looking through its base types
+ * @param {string} type - Type string, e.g. 'FHIR.Encounter'
+ * @param {string} element - Element name, e.g. 'period'
+ * @returns {string|null} Type string such as 'FHIR.Period', or null when the type or element is unknown
+ */
+export function getElementType(type, element) {
+  let current = getModelType(type);
+  while (current) {
+    if (Object.prototype.hasOwnProperty.call(current.elements, element)) return current.elements[element];
+    current = getModelType(current.baseType);
+  }
+  return null;
+}
+
+/**
+ * The System type a FHIR type implicitly converts to through FHIRHelpers,
+ * e.g. FHIR.dateTime to DateTime and FHIR.Period to Interval<DateTime>
+ * @param {string} type - Type string
+ * @returns {string|null} Target type string, or null when there is no conversion
+ */
+export function getImplicitConversion(type) {
+  const info = getModelType(type);
+  if (!info || !info.name.startsWith('FHIR.')) return null;
+  if (info.primitive) return info.elements.value;
+
+  for (let current = info; current; current = getModelType(current.baseType)) {
+    const conversion = STRUCTURED_CONVERSIONS[current.name.slice(5)];
+    if (conversion) return conversion;
+  }
+  return null;
+}
@@ -0,0 +1,1675 @@
+/**
+ * CQL Parser
+ * Recursive-descent parser for Clinical Quality Language (CQL 1.5).
+ *
+ * Produces a syntax tree whose nodes carry a `kind` and a `loc`
+ * ({ start, end } with 1-based line/column and 0-based offset). Operator
+ * precedence follows the `expression` / `expressionTerm` rules of the
+ * official cql.g4 grammar.
+ *
+ * Errors are collected rather than thrown: after a syntax error the parser
+ * skips ahead to the next statement keyword at the start of a line, so a
+ * single typo does not hide diagnostics for the rest of the library.
+ */
+
+import { tokenize, TokenType, CQLSyntaxError } from './tokenizer.js';
+
+// Words that cannot be used as bare identifiers in expression position
+export const RESERVED_WORDS = new Set([
+  'after', 'aggregate', 'all', 'and', 'as', 'before', 'between', 'by', 'called', 'case', 'cast',
+  'code', 'codesystem', 'codesystems', 'collapse', 'concept', 'contains', 'context', 'convert',
+  'day', 'days', 'default', 'define', 'difference', 'distinct', 'div', 'duration', 'during',
+  'else', 'end', 'ends', 'except', 'exists', 'expand', 'false', 'flatten', 'from', 'function',
+  'hour', 'hours', 'if', 'implies', 'in', 'include', 'included', 'includes', 'intersect', 'is',
+  'let', 'library', 'maximum', 'meets', 'millisecond', 'milliseconds', 'minimum', 'minute',
+  'minutes', 'mod', 'month', 'months', 'not', 'null', 'occurs', 'of', 'on', 'or', 'overlaps',
+  'parameter', 'point', 'predecessor', 'private', 'properly', 'public', 'return', 'same',
+  'second', 'seconds', 'singleton', 'sort', 'start', 'starts', 'successor', 'such', 'that',
+  'then', 'to', 'true', 'union', 'using', 'valueset', 'week', 'weeks', 'when', 'where', 'width',
+  'with', 'within', 'without', 'xor', 'year', 'years'
+]);
+
+export const DATE_TIME_PRECISIONS = [
+  'year', 'month', 'week', 'day', 'hour', 'minute', 'second', 'millisecond'
+];
+
+const PLURAL_PRECISIONS = DATE_TIME_PRECISIONS.map(precision => `${precision}s`);
+
+const TEMPORAL_UNITS = new Set([...DATE_TIME_PRECISIONS, ...PLURAL_PRECISIONS]);
+
+const COMPONENT_WORDS = new Set([...DATE_TIME_PRECISIONS, 'date', 'time', 'timezoneoffset']);
+
+const STATEMENT_KEYWORDS = new Set([
+  'library', 'using', 'include', 'public', 'private', 'codesystem', 'valueset', 'code',
+  'concept', 'parameter', 'context', 'define'
+]);
+
+const TIMING_START_WORDS = new Set([
+  'starts', 'ends', 'occurs', 'same', 'includes', 'during', 'included', 'before', 'after',
+  'within', 'meets', 'overlaps'
+]);
+
+/**
+ * Parse CQL source into a library syntax tree
+ * @param {string} source - CQL source text
+ * @returns {object} { library, errors } where errors are CQLSyntaxError instances
+ */
+export function parseCQL(source) {
+  const { tokens, comments, errors: lexErrors } = tokenize(source);
+  const parser = new Parser(tokens);
+  const library = parser.parseLibrary();
+  library.comments = comments;
+
+  const errors = [...lexErrors, ...parser.errors]
+    .sort((a, b) => a.location.start.offset - b.location.start.offset);
+
+  return { library, errors };
+}
+
+/**
+ * Parse a standalone CQL expression (used for parameter values and tooling)
+ * @param {string} source - Expression text
+ * @returns {object} { expression, errors }
+ */
+export function parseCQLExpression(source) {
+  const { tokens, errors: lexErrors } = tokenize(source);
+  const parser = new Parser(tokens);
+  let expression = null;
+
+  try {
+    expression = parser.parseExpression();
+    if (!parser.check(TokenType.EOF)) {
+      parser.fail(`Unexpected input '${parser.peek().text}' after expression`);
+    }
+  } catch (error) {
+    if (!(error instanceof CQLSyntaxError)) throw error;
+    parser.errors.push(error);
+  }
+
+  return { expression, errors: [...lexErrors, ...parser.errors] };
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+    this.errors = [];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Token helpers
+  // ---------------------------------------------------------------------------
+
+  peek(ahead = 0) {
+    return this.tokens[Math.min(this.position + ahead, this.tokens.length - 1)];
+  }
+
+  previous() {
+    return this.tokens[Math.max(this.position - 1, 0)];
+  }
+
+  advance() {
+    const token = this.peek();
+    if (token.type !== TokenType.EOF) {
+      this.position++;
+    }
+    return token;
+  }
+
+  check(type, value) {
+    const token = this.peek();
+    return token.type === type && (value === undefined || token.value === value);
+  }
+
+  isWord(value, ahead = 0) {
+    const token = this.peek(ahead);
+    return token.type === TokenType.IDENTIFIER && (value === undefined || token.value === value);
+  }
+
+  isSymbol(value, ahead = 0) {
+    const token = this.peek(ahead);
+    return token.type === TokenType.SYMBOL && token.value === value;
+  }
+
+  matchWord(...values) {
+    if (values.some(value => this.isWord(value))) {
+      return this.advance();
+    }
+    return null;
+  }
+
+  matchSymbol(...values) {
+    if (values.some(value => this.isSymbol(value))) {
+      return this.advance();
+    }
+    return null;
+  }
+
+  expectWord(value, context) {
+    if (this.isWord(value)) {
+      return this.advance();
+    }
+    this.fail(`Expected '${value}'${context ? ` ${context}` : ''} but found ${describe(this.peek())}`);
+  }
+
+  expectSymbol(value, context) {
+    if (this.isSymbol(value)) {
+      return this.advance();
+    }
+    this.fail(`Expected '${value}'${context ? ` ${context}` : ''} but found ${describe(this.peek())}`);
+  }
+
+  fail(message, token = this.peek()) {
+    throw new CQLSyntaxError(message, { start: token.start, end: token.end });
+  }
+
+  node(kind, startToken, properties) {
+    return {
+      kind,
+      ...properties,
+      loc: { start: startToken.start, end: this.previous().end }
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Library and statements
+  // ---------------------------------------------------------------------------
+
+  parseLibrary() {
+    const start = this.peek();
+    const declarations = [];
+
+    while (!this.check(TokenType.EOF)) {
+      const before = this.position;
+      try {
+        declarations.push(this.parseDeclaration());
+      } catch (error) {
+        if (!(error instanceof CQLSyntaxError)) throw error;
+        this.errors.push(error);
+        this.synchronize(before);
+      }
+    }
+
+    return {
+      kind: 'Library',
+      declarations,
+      loc: { start: start.start, end: this.peek().end }
+    };
+  }
+
+  /**
+   * Skip to the next token that can begin a statement
+   * @param {number} failedAt - Token index where the failed statement began
+   */
+  synchronize(failedAt) {
+    if (this.position === failedAt) {
+      this.advance();
+    }
+
+    while (!this.check(TokenType.EOF)) {
+      const token = this.peek();
+      const previous = this.previous();
+      const startsLine = previous.end.line < token.start.line || this.position === 0;
+
+      if (token.type === TokenType.IDENTIFIER && STATEMENT_KEYWORDS.has(token.value) && startsLine) {
+        return;
+      }
+      this.advance();
+    }
+  }
+
+  parseDeclaration() {
+    const start = this.peek();
+
+    if (this.isWord('library')) return this.parseLibraryDeclaration();
+    if (this.isWord('using')) return this.parseUsing();
+    if (this.isWord('include')) return this.parseInclude();
+    if (this.isWord('context')) return this.parseContext();
+
+    const accessLevel = this.parseAccessModifier();
+
+    if (this.isWord('codesystem')) return this.parseCodeSystem(start, accessLevel);
+    if (this.isWord('valueset')) return this.parseValueSet(start, accessLevel);
+    if (this.isWord('code')) return this.parseCode(start, accessLevel);
+    if (this.isWord('concept')) return this.parseConcept(start, accessLevel);
+    if (this.isWord('parameter')) return this.parseParameter(start, accessLevel);
+    if (this.isWord('define')) return this.parseDefine(start, accessLevel);
+
+    if (start.type === TokenType.IDENTIFIER && /^(Define|Library|Using|Include|Parameter|Context)$/.test(start.value)) {
+      this.fail(`Unknown statement '${start.value}'. CQL keywords are case-sensitive; use '${start.value.toLowerCase()}'`);
+    }
+
+    this.fail(`Expected a statement such as 'define' but found ${describe(start)}`);
+  }
+
+  parseAccessModifier() {
+    const modifier = this.matchWord('public', 'private');
+    return modifier ? (modifier.value === 'public' ? 'Public' : 'Private') : null;
+  }
+
+  parseLibraryDeclaration() {
+    const start = this.expectWord('library');
+    const name = this.parseQualifiedName();
+    const version = this.matchWord('version') ? this.parseString('for library version') : null;
+    return this.node('LibraryDeclaration', start, { name, version });
+  }
+
+  parseUsing() {
+    const start = this.expectWord('using');
+    const modelName = this.parseQualifiedName();
+    const version = this.matchWord('version') ? this.parseString('for model version') : null;
+    const localIdentifier = this.matchWord('called') ? this.parseIdentifierName() : null;
+    return this.node('UsingDefinition', start, { modelName, version, localIdentifier });
+  }
+
+  parseInclude() {
+    const start = this.expectWord('include');
+    const libraryName = this.parseQualifiedName();
+    const version = this.matchWord('version') ? this.parseString('for library version') : null;
+    let alias = null;
+    let aliasLoc = null;
+    if (this.matchWord('called')) {
+      const aliasToken = this.peek();
+      alias = this.parseIdentifierName();
+      aliasLoc = { start: aliasToken.start, end: aliasToken.end };
+    }
+    return this.node('IncludeDefinition', start, { libraryName, version, alias, aliasLoc });
+  }
+
+  parseContext() {
+    const start = this.expectWord('context');
+    let name = this.parseIdentifierName();
+    let model = null;
+    if (this.matchSymbol('.')) {
+      model = name;
+      name = this.parseIdentifierName();
+    }
+    return this.node('ContextDefinition', start, { model, name });
+  }
+
+  parseCodeSystem(start, accessLevel) {
+    this.expectWord('codesystem');
+    const nameToken = this.peek();
+    const name = this.parseIdentifierName();
+    const nameLoc = { start: nameToken.start, end: nameToken.end };
+    this.expectSymbol(':', 'after code system name');
+    const id = this.parseString('for code system identifier');
+    const version = this.matchWord('version') ? this.parseString('for code system version') : null;
+    return this.node('CodeSystemDefinition', start, { accessLevel, name, nameLoc, id, version });
+  }
+
+  parseValueSet(start, accessLevel) {
+    this.expectWord('valueset');
+    const nameToken = this.peek();
+    const name = this.parseIdentifierName();
+    const nameLoc = { start: nameToken.start, end: nameToken.end };
+    this.expectSymbol(':', 'after value set name');
+    const id = this.parseString('for value set identifier');
+    const version = this.matchWord('version') ? this.parseString('for value set version') : null;
+    const codeSystems = [];
+    if (this.matchWord('codesystems')) {
+      this.expectSymbol('{');
+      do {
+        codeSystems.push(this.parseQualifiedReference());
+      } while (this.matchSymbol(','));
+      this.expectSymbol('}');
+    }
+    return this.node('ValueSetDefinition', start, { accessLevel, name, nameLoc, id, version, codeSystems });
+  }
+
+  parseCode(start, accessLevel) {
+    this.expectWord('code');
+    const nameToken = this.peek();
+    const name = this.parseIdentifierName();
+    const nameLoc = { start: nameToken.start, end: nameToken.end };
+    this.expectSymbol(':', 'after code name');
+    const id = this.parseString('for code');
+    this.expectWord('from', 'after code value');
+    const system = this.parseQualifiedReference();
+    const display = this.matchWord('display') ? this.parseString('for display') : null;
+    return this.node('CodeDefinition', start, { accessLevel, name, nameLoc, id, system, display });
+  }
+
+  parseConcept(start, accessLevel) {
+    this.expectWord('concept');
+    const nameToken = this.peek();
+    const name = this.parseIdentifierName();
+    const nameLoc = { start: nameToken.start, end: nameToken.end };
+    this.expectSymbol(':', 'after concept name');
+    this.expectSymbol('{');
+    const codes = [];
+    do {
+      codes.push(this.parseQualifiedReference());
+    } while (this.matchSymbol(','));
+    this.expectSymbol('}');
+    const display = this.matchWord('display') ? this.parseString('for display') : null;
+    return this.node('ConceptDefinition', start, { accessLevel, name, nameLoc, codes, display });
+  }
+
+  parseParameter(start, accessLevel) {
+    this.expectWord('parameter');
+    const nameToken = this.peek();
+    const name = this.parseIdentifierName();
+    const nameLoc = { start: nameToken.start, end: nameToken.end };
+    let typeSpecifier = null;
+    if (!this.isWord('default') && this.startsTypeSpecifier()) {
+      typeSpecifier = this.parseTypeSpecifier();
+    }
+    const defaultValue = this.matchWord('default') ? this.parseExpression() : null;
+    return this.node('ParameterDefinition', start, { accessLevel, name, nameLoc, typeSpecifier, default: defaultValue });
+  }
+
+  parseDefine(start, outerAccessLevel) {
+    this.expectWord('define');
+    const accessLevel = this.parseAccessModifier() || outerAccessLevel;
+    const fluent = Boolean(this.matchWord('fluent'));
+
+    if (fluent || (this.isWord('function') && !this.isSymbol(':', 1))) {
+      this.expectWord('function');
+      return this.parseFunction(start, accessLevel, fluent);
+    }
+
+    const nameToken = this.peek();
+    const name = this.parseIdentifierName();
+    if (!this.isSymbol(':')) {
+      if (this.isSymbol('=')) {
+        this.fail(`Expected ':' after the name of define "${name}"; CQL definitions use ':' rather than '='`);
+      }
+      this.fail(`Expected ':' after the name of define "${name}"`, this.peek());
+    }
+    this.advance();
+    const expression = this.parseExpression();
+    return this.node('ExpressionDefinition', start, {
+      accessLevel,
+      name,
+      nameLoc: { start: nameToken.start, end: nameToken.end },
+      expression
+    });
+  }
+
+  parseFunction(start, accessLevel, fluent) {
+    const nameToken = this.peek();
+    const name = this.parseIdentifierName();
+    this.expectSymbol('(', 'after function name');
+    const operands = [];
+    if (!this.isSymbol(')')) {
+      do {
+        const operandStart = this.peek();
+        const operandName = this.parseIdentifierName();
+        const typeSpecifier = this.parseTypeSpecifier();
+        operands.push(this.node('OperandDefinition', operandStart, {
+          name: operandName,
+          nameLoc: { start: operandStart.start, end: operandStart.end },
+          typeSpecifier
+        }));
+      } while (this.matchSymbol(','));
+    }
+    this.expectSymbol(')', 'to close function operands');
+    const returnType = this.matchWord('returns') ? this.parseTypeSpecifier() : null;
+    this.expectSymbol(':', 'before function body');
+    const external = Boolean(this.matchWord('external'));
+    const expression = external ? null : this.parseExpression();
+    return this.node('FunctionDefinition', start, {
+      accessLevel,
+      fluent,
+      name,
+      nameLoc: { start: nameToken.start, end: nameToken.end },
+      operands,
+      returnType,
+      external,
+      expression
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Names and type specifiers
+  // ---------------------------------------------------------------------------
+
+  parseIdentifierName() {
+    const token = this.peek();
+    if (token.type === TokenType.QUOTED_IDENTIFIER) {
+      this.advance();
+      return token.value;
+    }
+    if (token.type === TokenType.IDENTIFIER) {
+      this.advance();
+      return token.value;
+    }
+    if (token.type === TokenType.STRING) {
+      this.fail(`Identifiers use double quotes; found the string literal ${token.text}`);
+    }
+    this.fail(`Expected an identifier but found ${describe(token)}`);
+  }
+
+  parseQualifiedName() {
+    let name = this.parseIdentifierName();
+    while (this.isSymbol('.') && this.peek(1).type !== TokenType.EOF) {
+      this.advance();
+      name = `${name}.${this.parseIdentifierName()}`;
+    }
+    return name;
+  }
+
+  /**
+   * Parse a reference such as "LOINC" or Common."LOINC"
+   */
+  parseQualifiedReference() {
+    const start = this.peek();
+    const first = this.parseIdentifierName();
+    if (this.matchSymbol('.')) {
+      const nameToken = this.peek();
+      const name = this.parseIdentifierName();
+      const nameLoc = { start: nameToken.start, end: nameToken.end };
+      return this.node('QualifiedReference', start, { libraryName: first, name, nameLoc });
+    }
+    return this.node('QualifiedReference', start, {
+      libraryName: null,
+      name: first,
+      nameLoc: { start: start.start, end: start.end }
+    });
+  }
+
+  parseString(context) {
+    const token = this.peek();
+    if (token.type !== TokenType.STRING) {
+      this.fail(`Expected a string literal ${context} but found ${describe(token)}`);
+    }
+    this.advance();
+    return token.value;
+  }
+
+  startsTypeSpecifier() {
+    return isTypeName(this.peek());
+  }
+
+  parseTypeSpecifier() {
+    const start = this.peek();
+
+    if (this.isWord('List') && this.isSymbol('<', 1)) {
+      this.advance();
+      this.advance();
+      const elementType = this.parseTypeSpecifier();
+      this.expectSymbol('>', 'to close List type');
+      return this.node('ListTypeSpecifier', start, { elementType });
+    }
+
+    if (this.isWord('Interval') && this.isSymbol('<', 1)) {
+      this.advance();
+      this.advance();
+      const pointType = this.parseTypeSpecifier();
+      this.expectSymbol('>', 'to close Interval type');
+      return this.node('IntervalTypeSpecifier', start, { pointType });
+    }
+
+    if (this.isWord('Choice') && this.isSymbol('<', 1)) {
+      this.advance();
+      this.advance();
+      const choices = [];
+      do {
+        choices.push(this.parseTypeSpecifier());
+      } while (this.matchSymbol(','));
+      this.expectSymbol('>', 'to close Choice type');
+      return this.node('ChoiceTypeSpecifier', start, { choices });
+    }
+
+    if (this.isWord('Tuple') && this.isSymbol('{', 1)) {
+      this.advance();
+      this.advance();
+      const elements = [];
+      if (!this.isSymbol('}')) {
+        do {
+          const elementStart = this.peek();
+          const name = this.parseIdentifierName();
+          const elementType = this.parseTypeSpecifier();
+          elements.push(this.node('TupleElementDefinition', elementStart, { name, elementType }));
+        } while (this.matchSymbol(','));
+      }
+      this.expectSymbol('}', 'to close Tuple type');
+      return this.node('TupleTypeSpecifier', start, { elements });
+    }
+
+    return this.parseNamedTypeSpecifier();
+  }
+
+  parseNamedTypeSpecifier() {
+    const start = this.peek();
+    let namespace = null;
+    let name = this.parseIdentifierName();
+    if (this.isSymbol('.')) {
+      this.advance();
+      namespace = name;
+      name = this.parseIdentifierName();
+    }
+    return this.node('NamedTypeSpecifier', start, { namespace, name });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Expressions (lowest to highest precedence)
+  // ---------------------------------------------------------------------------
+
+  parseExpression() {
+    return this.parseSetExpression();
+  }
+
+  parseSetExpression() {
+    const start = this.peek();
+    let left = this.parseImplies();
+    for (;;) {
+      const operator = this.matchWord('union', 'intersect', 'except') || this.matchSymbol('|');
+      if (!operator) return left;
+      const right = this.parseImplies();
+      const name = operator.value === '|' ? 'union' : operator.value;
+      left = this.node('BinaryExpression', start, { operator: name, left, right });
+    }
+  }
+
+  parseImplies() {
+    const start = this.peek();
+    let left = this.parseOr();
+    while (this.matchWord('implies')) {
+      const right = this.parseOr();
+      left = this.node('BinaryExpression', start, { operator: 'implies', left, right });
+    }
+    return left;
+  }
+
+  parseOr() {
+    const start = this.peek();
+    let left = this.parseAnd();
+    for (;;) {
+      const operator = this.matchWord('or', 'xor');
+      if (!operator) return left;
+      const right = this.parseAnd();
+      left = this.node('BinaryExpression', start, { operator: operator.value, left, right });
+    }
+  }
+
+  parseAnd() {
+    const start = this.peek();
+    let left = this.parseMembership();
+    while (this.matchWord('and')) {
+      const right = this.parseMembership();
+      left = this.node('BinaryExpression', start, { operator: 'and', left, right });
+    }
+    return left;
+  }
+
+  parseMembership() {
+    const start = this.peek();
+    let left = this.parseEquality();
+    for (;;) {
+      const operator = this.matchWord('in', 'contains');
+      if (!operator) return left;
+      const precision = this.parsePrecisionSpecifier();
+      const right = this.parseEquality();
+      left = this.node('BinaryExpression', start, { operator: operator.value, precision, left, right });
+    }
+  }
+
+  parseEquality() {
+    const start = this.peek();
+    let left = this.parseTiming();
+    for (;;) {
+      if (this.isSymbol('=') && this.isSymbol('=', 1)) {
+        this.fail('CQL uses \'=\' for equality, not \'==\'');
+      }
+      const operator = this.matchSymbol('=', '!=', '~', '!~', '<>');
+      if (!operator) return left;
+      const right = this.parseTiming();
+      left = this.node('BinaryExpression', start, {
+        operator: operator.value === '<>' ? '!=' : operator.value,
+        deprecatedOperator: operator.value === '<>' ? '<>' : undefined,
+        left,
+        right
+      });
+    }
+  }
+
+  parseTiming() {
+    const start = this.peek();
+    let left = this.parseInequality();
+    while (this.startsTimingPhrase()) {
+      const phrase = this.parseTimingPhrase();
+      const right = this.parseInequality();
+      left = this.node('TimingExpression', start, { left, phrase, right });
+    }
+    return left;
+  }
+
+  parseInequality() {
+    const start = this.peek();
+    let left = this.parseBetween();
+    for (;;) {
+      const operator = this.matchSymbol('<', '<=', '>', '>=');
+      if (!operator) return left;
+      const right = this.parseBetween();
+      left = this.node('BinaryExpression', start, { operator: operator.value, left, right });
+    }
+  }
+
+  parseBetween() {
+    const start = this.peek();
+    const operand = this.parsePrefixExpression();
+    const properly = this.isWord('properly') && this.isWord('between', 1);
+    if (properly || this.isWord('between')) {
+      if (properly) this.advance();
+      this.advance();
+      const low = this.parseExpressionTerm();
+      this.expectWord('and', 'in between expression');
+      const high = this.parseExpressionTerm();
+      return this.node('BetweenExpression', start, { operand, low, high, properly });
+    }
+    return operand;
+  }
+
+  parsePrefixExpression() {
+    const start = this.peek();
+
+    if (this.matchWord('not')) {
+      const operand = this.parsePrefixExpression();
+      return this.node('UnaryExpression', start, { operator: 'not', operand });
+    }
+
+    if (this.matchWord('exists')) {
+      const operand = this.parsePrefixExpression();
+      return this.node('UnaryExpression', start, { operator: 'exists', operand });
+    }
+
+    if (this.matchWord('cast')) {
+      const operand = this.parseTypeTest();
+      this.expectWord('as', 'in cast expression');
+      const typeSpecifier = this.parseTypeSpecifier();
+      return this.node('CastExpression', start, { operand, typeSpecifier });
+    }
+
+    return this.parseTypeTest();
+  }
+
+  parseTypeTest() {
+    const start = this.peek();
+    let operand = this.parseExpressionTerm();
+
+    for (;;) {
+      if (this.matchWord('is')) {
+        const not = Boolean(this.matchWord('not'));
+        const test = this.matchWord('null', 'true', 'false');
+        if (test) {
+          operand = this.node('BooleanTestExpression', start, { operand, test: test.value, not });
+          continue;
+        }
+        if (not) {
+          this.fail('Expected \'null\', \'true\' or \'false\' after \'is not\'');
+        }
+        const typeSpecifier = this.parseTypeSpecifier();
+        operand = this.node('TypeExpression', start, { operator: 'is', operand, typeSpecifier });
+        continue;
+      }
+
+      if (this.matchWord('as')) {
+        const typeSpecifier = this.parseTypeSpecifier();
+        operand = this.node('TypeExpression', start, { operator: 'as', operand, typeSpecifier });
+        continue;
+      }
+
+      return operand;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Expression terms
+  // ---------------------------------------------------------------------------
+
+  parseExpressionTerm() {
+    return this.parseAdditive();
+  }
+
+  parseAdditive() {
+    const start = this.peek();
+    let left = this.parseMultiplicative();
+    for (;;) {
+      const operator = this.matchSymbol('+', '-', '&');
+      if (!operator) return left;
+      const right = this.parseMultiplicative();
+      left = this.node('BinaryExpression', start, { operator: operator.value, left, right });
+    }
+  }
+
+  parseMultiplicative() {
+    const start = this.peek();
+    let left = this.parsePower();
+    for (;;) {
+      const operator = this.matchSymbol('*', '/') || this.matchWord('div', 'mod');
+      if (!operator) return left;
+      const right = this.parsePower();
+      left = this.node('BinaryExpression', start, { operator: operator.value, left, right });
+    }
+  }
+
+  parsePower() {
+    const start = this.peek();
+    let left = this.parseUnaryTerm();
+    while (this.matchSymbol('^')) {
+      const right = this.parseUnaryTerm();
+      left = this.node('BinaryExpression', start, { operator: '^', left, right });
+    }
+    return left;
+  }
+
+  parseUnaryTerm() {
+    const start = this.peek();
+
+    const polarity = this.matchSymbol('+', '-');
+    if (polarity) {
+      const operand = this.parseUnaryTerm();
+      return this.node('UnaryExpression', start, { operator: polarity.value, operand });
+    }
+
+    if ((this.isWord('start') || this.isWord('end')) && this.isWord('of', 1)) {
+      const boundary = this.advance().value;
+      this.advance();
+      const operand = this.parseUnaryTerm();
+      return this.node('UnaryExpression', start, { operator: `${boundary} of`, operand });
+    }
+
+    if (this.peek().type === TokenType.IDENTIFIER && COMPONENT_WORDS.has(this.peek().value) && this.isWord('from', 1)) {
+      const component = this.advance().value;
+      this.advance();
+      const operand = this.parseUnaryTerm();
+      return this.node('ComponentFromExpression', start, { component, operand });
+    }
+
+    if ((this.isWord('duration') || this.isWord('difference')) && this.isWord('in', 1)) {
+      const difference = this.advance().value === 'difference';
+      this.advance();
+      const precision = this.parsePluralPrecision();
+      return this.parseDurationTail(start, precision, difference);
+    }
+
+    if (this.peek().type === TokenType.IDENTIFIER && PLURAL_PRECISIONS.includes(this.peek().value) && this.isWord('between', 1)) {
+      const precision = this.parsePluralPrecision();
+      return this.parseDurationTail(start, precision, false);
+    }
+
+    for (const [first, second] of [['width', 'of'], ['successor', 'of'], ['predecessor', 'of'], ['singleton', 'from'], ['point', 'from']]) {
+      if (this.isWord(first) && this.isWord(second, 1)) {
+        this.advance();
+        this.advance();
+        const operand = this.parseUnaryTerm();
+        return this.node('UnaryExpression', start, { operator: `${first} ${second}`, operand });
+      }
+    }
+
+    if ((this.isWord('minimum') || this.isWord('maximum')) && isTypeName(this.peek(1))) {
+      const operator = this.advance().value;
+      const typeSpecifier = this.parseNamedTypeSpecifier();
+      return this.node('MinMaxValueExpression', start, { operator, typeSpecifier });
+    }
+
+    if (this.matchWord('convert')) {
+      const operand = this.parseExpression();
+      this.expectWord('to', 'in convert expression');
+      if (this.check(TokenType.STRING)) {
+        const unit = this.advance().value;
+        return this.node('ConvertExpression', start, { operand, unit, typeSpecifier: null });
+      }
+      const typeSpecifier = this.parseTypeSpecifier();
+      return this.node('ConvertExpression', start, { operand, unit: null, typeSpecifier });
+    }
+
+    return this.parseQueryOrInvocation();
+  }
+
+  parseDurationTail(start, precision, difference) {
+    if (this.matchWord('of')) {
+      const operand = this.parseUnaryTerm();
+      return this.node('DurationOfExpression', start, { precision, difference, operand });
+    }
+    this.expectWord('between', `after '${precision}'`);
+    const low = this.parseExpressionTerm();
+    this.expectWord('and', 'in duration expression');
+    const high = this.parseExpressionTerm();
+    return this.node('DurationBetweenExpression', start, { precision, difference, low, high });
+  }
+
+  parsePluralPrecision() {
+    const token = this.peek();
+    if (token.type === TokenType.IDENTIFIER && PLURAL_PRECISIONS.includes(token.value)) {
+      this.advance();
+      return capitalize(token.value.slice(0, -1));
+    }
+    this.fail(`Expected a plural date/time precision such as 'years' but found ${describe(token)}`);
+  }
+
+  /**
+   * Parse an optional "<precision> of" specifier, returning the precision name
+   */
+  parsePrecisionSpecifier() {
+    const token = this.peek();
+    if (token.type === TokenType.IDENTIFIER && DATE_TIME_PRECISIONS.includes(token.value) && this.isWord('of', 1)) {
+      this.advance();
+      this.advance();
+      return capitalize(token.value);
+    }
+    return null;
+  }
+
+  parseQueryOrInvocation() {
+    const start = this.peek();
+
+    if (this.isWord('from')) {
+      this.advance();
+      const sources = [];
+      do {
+        sources.push(this.parseAliasedSource());
+      } while (this.matchSymbol(','));
+      return this.parseQueryBody(start, sources, true);
+    }
+
+    const term = this.parsePostfix();
+
+    if (isQuerySourceCandidate(term) && this.isAliasAhead()) {
+      const aliasToken = this.peek();
+      const alias = this.parseIdentifierName();
+      const source = {
+        kind: 'AliasedQuerySource',
+        expression: term,
+        alias,
+        aliasLoc: { start: aliasToken.start, end: aliasToken.end },
+        loc: { start: term.loc.start, end: this.previous().end }
+      };
+      return this.parseQueryBody(start, [source], false);
+    }
+
+    return term;
+  }
+
+  isAliasAhead() {
+    const token = this.peek();
+    if (token.type === TokenType.QUOTED_IDENTIFIER) return true;
+    return token.type === TokenType.IDENTIFIER && !RESERVED_WORDS.has(token.value);
+  }
+
+  parseAliasedSource() {
+    const start = this.peek();
+    const expression = this.parsePostfix();
+    if (!this.isAliasAhead()) {
+      this.fail(`Expected an alias for the query source but found ${describe(this.peek())}`);
+    }
+    const aliasToken = this.peek();
+    const alias = this.parseIdentifierName();
+    const aliasLoc = { start: aliasToken.start, end: aliasToken.end };
+    return this.node('AliasedQuerySource', start, { expression, alias, aliasLoc });
+  }
+
+  parseQueryBody(start, sources, hasFrom) {
+    const lets = [];
+    const relationships = [];
+    let where = null;
+    let returnClause = null;
+    let aggregate = null;
+    let sort = null;
+
+    if (this.matchWord('let')) {
+      do {
+        const letStart = this.peek();
+        const name = this.parseIdentifierName();
+        this.expectSymbol(':', 'in let clause');
+        const expression = this.parseExpression();
+        lets.push(this.node('LetClause', letStart, {
+          name,
+          nameLoc: { start: letStart.start, end: letStart.end },
+          expression
+        }));
+      } while (this.matchSymbol(','));
+    }
+
+    while (this.isWord('with') || this.isWord('without')) {
+      const relStart = this.advance();
+      const source = this.parseAliasedSource();
+      this.expectWord('such', `in ${relStart.value} clause`);
+      this.expectWord('that', `in ${relStart.value} clause`);
+      const suchThat = this.parseExpression();
+      relationships.push(this.node('RelationshipClause', relStart, {
+        type: relStart.value,
+        source,
+        suchThat
+      }));
+    }
+
+    if (this.matchWord('where')) {
+      where = this.parseExpression();
+    }
+
+    if (this.isWord('return')) {
+      const returnStart = this.advance();
+      const modifier = this.matchWord('all', 'distinct');
+      const expression = this.parseExpression();
+      returnClause = this.node('ReturnClause', returnStart, {
+        distinct: modifier ? modifier.value === 'distinct' : null,
+        expression
+      });
+    } else if (this.isWord('aggregate')) {
+      const aggregateStart = this.advance();
+      const modifier = this.matchWord('all', 'distinct');
+      const identifierToken = this.peek();
+      const identifier = this.parseIdentifierName();
+      let starting = null;
+      if (this.matchWord('starting')) {
+        starting = this.isSymbol('(') ? this.parsePostfix() : this.parseExpressionTerm();
+      }
+      this.expectSymbol(':', 'in aggregate clause');
+      const expression = this.parseExpression();
+      aggregate = this.node('AggregateClause', aggregateStart, {
+        distinct: modifier ? modifier.value === 'distinct' : null,
+        identifier,
+        identifierLoc: { start: identifierToken.start, end: identifierToken.end },
+        starting,
+        expression
+      });
+    }
+
+    if (this.isWord('sort')) {
+      const sortStart = this.advance();
+      const items = [];
+      let direction = null;
+      if (this.matchWord('by')) {
+        do {
+          const itemStart = this.peek();
+          const expression = this.parseExpressionTerm();
+          const itemDirection = this.parseSortDirection();
+          items.push(this.node('SortByItem', itemStart, { expression, direction: itemDirection }));
+        } while (this.matchSymbol(','));
+      } else {
+        direction = this.parseSortDirection();
+        if (!direction) {
+          this.fail('Expected \'by\' or a sort direction after \'sort\'');
+        }
+      }
+      sort = this.node('SortClause', sortStart, { items, direction });
+    }
+
+    return this.node('Query', start, {
+      sources,
+      hasFrom,
+      lets,
+      relationships,
+      where,
+      return: returnClause,
+      aggregate,
+      sort
+    });
+  }
+
+  parseSortDirection() {
+    const token = this.matchWord('asc', 'ascending', 'desc', 'descending');
+    if (!token) return null;
+    return token.value.startsWith('asc') ? 'asc' : 'desc';
+  }
+
+  parsePostfix() {
+    const start = this.peek();
+    let expression = this.parsePrimary();
+
+    for (;;) {
+      if (this.isSymbol('.')) {
+        this.advance();
+        const nameToken = this.peek();
+        if (nameToken.type !== TokenType.IDENTIFIER && nameToken.type !== TokenType.QUOTED_IDENTIFIER) {
+          this.fail(`Expected a member name after '.' but found ${describe(nameToken)}`);
+        }
+        this.advance();
+        const name = nameToken.value;
+        const nameLoc = { start: nameToken.start, end: nameToken.end };
+
+        if (this.isSymbol('(')) {
+          const args = this.parseArguments();
+          expression = this.node('MethodInvocation', start, { source: expression, name, nameLoc, arguments: args });
+        } else if (this.isSymbol('{') && expression.kind === 'Identifier' && /^[A-Z]/.test(name)) {
+          // Qualified instance selector such as FHIR.Quantity { value: 5 }
+          const typeSpecifier = {
+            kind: 'NamedTypeSpecifier',
+            namespace: expression.name,
+            name,
+            loc: { start: expression.loc.start, end: nameToken.end }
+          };
+          expression = this.parseInstanceSelector(start, typeSpecifier);
+        } else {
+          expression = this.node('MemberInvocation', start, { source: expression, name, nameLoc });
+        }
+        continue;
+      }
+
+      if (this.isSymbol('[')) {
+        this.advance();
+        const index = this.parseExpression();
+        this.expectSymbol(']', 'to close indexer');
+        expression = this.node('IndexerExpression', start, { source: expression, index });
+        continue;
+      }
+
+      return expression;
+    }
+  }
+
+  parseArguments() {
+    this.expectSymbol('(');
+    const args = [];
+    if (!this.isSymbol(')')) {
+      do {
+        args.push(this.parseExpression());
+      } while (this.matchSymbol(','));
+    }
+    this.expectSymbol(')', 'to close argument list');
+    return args;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Primary terms
+  // ---------------------------------------------------------------------------
+
+  parsePrimary() {
+    const start = this.peek();
+
+    switch (start.type) {
+      case TokenType.NUMBER:
+        return this.parseNumberOrQuantity();
+
+      case TokenType.LONG:
+        this.advance();
+        return this.node('Literal', start, { valueType: 'Long', value: start.value });
+
+      case TokenType.STRING:
+        this.advance();
+        return this.node('Literal', start, { valueType: 'String', value: start.value });
+
+      case TokenType.DATE:
+        this.advance();
+        return this.node('DateLiteral', start, { value: start.value });
+
+      case TokenType.DATETIME:
+        this.advance();
+        return this.node('DateTimeLiteral', start, { value: start.value });
+
+      case TokenType.TIME:
+        this.advance();
+        return this.node('TimeLiteral', start, { value: start.value });
+
+      case TokenType.QUOTED_IDENTIFIER:
+        this.advance();
+        if (this.isSymbol('(')) {
+          const args = this.parseArguments();
+          return this.node('FunctionInvocation', start, {
+            name: start.value,
+            nameLoc: { start: start.start, end: start.end },
+            quoted: true,
+            arguments: args
+          });
+        }
+        return this.node('Identifier', start, { name: start.value, quoted: true });
+
+      case TokenType.SYMBOL:
+        return this.parseSymbolPrimary(start);
+
+      case TokenType.IDENTIFIER:
+        return this.parseWordPrimary(start);
+
+      case TokenType.EOF:
+        this.fail('Unexpected end of input; expected an expression');
+        break;
+
+      default:
+        this.fail(`Unexpected ${describe(start)}`);
+    }
+  }
+
+  parseSymbolPrimary(start) {
+    switch (start.value) {
+      case '(': {
+        this.advance();
+        const expression = this.parseExpression();
+        this.expectSymbol(')', 'to close parenthesized expression');
+        return this.node('ParenthesizedExpression', start, { expression });
+      }
+      case '[':
+        return this.parseRetrieve();
+      case '{':
+        return this.parseBraceSelector(start, null);
+      case '%': {
+        this.advance();
+        const name = this.parseIdentifierName();
+        return this.node('ExternalConstant', start, { name });
+      }
+      case '$': {
+        this.advance();
+        const name = this.parseIdentifierName();
+        if (!['this', 'index', 'total'].includes(name)) {
+          this.fail(`Unknown special identifier '$${name}'`, this.previous());
+        }
+        return this.node('SpecialIdentifier', start, { name: `$${name}` });
+      }
+      default:
+        this.fail(`Unexpected '${start.value}'; expected an expression`);
+    }
+  }
+
+  parseWordPrimary(start) {
+    const word = start.value;
+
+    switch (word) {
+      case 'true':
+      case 'false':
+        this.advance();
+        return this.node('Literal', start, { valueType: 'Boolean', value: word === 'true' });
+      case 'null':
+        this.advance();
+        return this.node('Literal', start, { valueType: 'Null', value: null });
+      case 'if':
+        return this.parseIf();
+      case 'case':
+        return this.parseCase();
+      case 'distinct':
+      case 'flatten': {
+        this.advance();
+        const operand = this.parseExpression();
+        return this.node('UnaryExpression', start, { operator: word, operand });
+      }
+      case 'expand':
+      case 'collapse': {
+        this.advance();
+        const operand = this.parseExpression();
+        let per = null;
+        if (this.matchWord('per')) {
+          const precisionToken = this.peek();
+          if (precisionToken.type === TokenType.IDENTIFIER && DATE_TIME_PRECISIONS.includes(precisionToken.value)) {
+            this.advance();
+            per = this.node('QuantityLiteral', precisionToken, { value: '1', unit: precisionToken.value });
+          } else {
+            per = this.parseExpression();
+          }
+        }
+        return this.node('SetAggregateExpression', start, { operator: word, operand, per });
+      }
+      default:
+        break;
+    }
+
+    if (word === 'Interval' && (this.isSymbol('[', 1) || this.isSymbol('(', 1))) {
+      return this.parseIntervalSelector();
+    }
+    if (word === 'List' && (this.isSymbol('<', 1) || this.isSymbol('{', 1))) {
+      this.advance();
+      let typeSpecifier = null;
+      if (this.matchSymbol('<')) {
+        typeSpecifier = this.parseTypeSpecifier();
+        this.expectSymbol('>', 'to close List type');
+      }
+      return this.parseBraceSelector(start, typeSpecifier, true);
+    }
+    if (word === 'Tuple' && this.isSymbol('{', 1)) {
+      this.advance();
+      return this.parseBraceSelector(start, null, false, true);
+    }
+    if (word === 'Code' && this.peek(1).type === TokenType.STRING) {
+      return this.parseCodeSelector();
+    }
+    // Concept { Code '1' from "X" } is a concept selector; Concept { codes: ... } an instance selector
+    if (word === 'Concept' && this.isSymbol('{', 1) && !this.isSymbol(':', 3)) {
+      return this.parseConceptSelector();
+    }
+
+    if (RESERVED_WORDS.has(word)) {
+      this.fail(`Unexpected keyword '${word}'; expected an expression`);
+    }
+
+    this.advance();
+
+    if (this.isSymbol('(')) {
+      const args = this.parseArguments();
+      return this.node('FunctionInvocation', start, {
+        name: word,
+        nameLoc: { start: start.start, end: start.end },
+        quoted: false,
+        arguments: args
+      });
+    }
+
+    if (this.isSymbol('{') && /^[A-Z]/.test(word) && this.looksLikeInstanceSelector()) {
+      const typeSpecifier = { kind: 'NamedTypeSpecifier', namespace: null, name: word, loc: { start: start.start, end: start.end } };
+      return this.parseInstanceSelector(start, typeSpecifier);
+    }
+
+    return this.node('Identifier', start, { name: word, quoted: false });
+  }
+
+  looksLikeInstanceSelector() {
+    // Type { } or Type { name: value ... }
+    if (this.isSymbol('}', 1)) return true;
+    const nameToken = this.peek(1);
+    return (nameToken.type === TokenType.IDENTIFIER || nameToken.type === TokenType.QUOTED_IDENTIFIER) &&
+      this.isSymbol(':', 2);
+  }
+
+  parseNumberOrQuantity() {
+    const start = this.advance();
+    const unit = this.parseOptionalUnit();
+    let literal;
+
+    if (unit !== null) {
+      literal = this.node('QuantityLiteral', start, { value: start.value, unit });
+    } else {
+      literal = this.node('Literal', start, {
+        valueType: start.value.includes('.') ? 'Decimal' : 'Integer',
+        value: start.value
+      });
+    }
+
+    // Ratio literal: quantity ':' quantity
+    if (this.isSymbol(':') && this.peek(1).type === TokenType.NUMBER) {
+      this.advance();
+      const denominatorStart = this.advance();
+      const denominatorUnit = this.parseOptionalUnit();
+      const denominator = this.node('QuantityLiteral', denominatorStart, {
+        value: denominatorStart.value,
+        unit: denominatorUnit || '1'
+      });
+      const numerator = literal.kind === 'QuantityLiteral'
+        ? literal
+        : { ...literal, kind: 'QuantityLiteral', unit: '1' };
+      return this.node('RatioLiteral', start, { numerator, denominator });
+    }
+
+    return literal;
+  }
+
+  parseOptionalUnit() {
+    const token = this.peek();
+    if (token.type === TokenType.STRING) {
+      this.advance();
+      return token.value;
+    }
+    if (token.type === TokenType.IDENTIFIER && TEMPORAL_UNITS.has(token.value) && !this.isWord('of', 1) && !this.isWord('between', 1)) {
+      this.advance();
+      return token.value;
+    }
+    return null;
+  }
+
+  parseQuantity(context) {
+    const start = this.peek();
+    if (start.type !== TokenType.NUMBER) {
+      this.fail(`Expected a quantity ${context} but found ${describe(start)}`);
+    }
+    this.advance();
+    const unit = this.parseOptionalUnit();
+    return this.node('QuantityLiteral', start, { value: start.value, unit: unit || '1' });
+  }
+
+  parseIf() {
+    const start = this.expectWord('if');
+    const condition = this.parseExpression();
+    this.expectWord('then', 'in if expression');
+    const thenExpression = this.parseExpression();
+    this.expectWord('else', 'in if expression (CQL requires an else branch)');
+    const elseExpression = this.parseExpression();
+    return this.node('IfExpression', start, { condition, then: thenExpression, else: elseExpression });
+  }
+
+  parseCase() {
+    const start = this.expectWord('case');
+    const comparand = this.isWord('when') ? null : this.parseExpression();
+    const items = [];
+    while (this.isWord('when')) {
+      const itemStart = this.advance();
+      const when = this.parseExpression();
+      this.expectWord('then', 'in case item');
+      const then = this.parseExpression();
+      items.push(this.node('CaseItem', itemStart, { when, then }));
+    }
+    if (items.length === 0) {
+      this.fail('Expected at least one \'when\' clause in case expression');
+    }
+    this.expectWord('else', 'in case expression (CQL requires an else branch)');
+    const elseExpression = this.parseExpression();
+    this.expectWord('end', 'to close case expression');
+    return this.node('CaseExpression', start, { comparand, items, else: elseExpression });
+  }
+
+  parseIntervalSelector() {
+    const start = this.expectWord('Interval');
+    const open = this.matchSymbol('[', '(');
+    const low = this.parseExpression();
+    this.expectSymbol(',', 'between interval boundaries');
+    const high = this.parseExpression();
+    const close = this.matchSymbol(']', ')');
+    if (!close) {
+      this.fail('Expected \']\' or \')\' to close interval');
+    }
+    return this.node('IntervalSelector', start, {
+      low,
+      high,
+      lowClosed: open.value === '[',
+      highClosed: close.value === ']'
+    });
+  }
+
+  /**
+   * Parse `{ ... }` as a list, tuple or empty tuple selector
+   */
+  parseBraceSelector(start, typeSpecifier, forceList = false, forceTuple = false) {
+    this.expectSymbol('{');
+
+    if (!forceList && this.isSymbol(':') && this.isSymbol('}', 1)) {
+      this.advance();
+      this.advance();
+      return this.node('TupleSelector', start, { elements: [] });
+    }
+
+    const isTuple = forceTuple || (!forceList &&
+      (this.peek().type === TokenType.IDENTIFIER || this.peek().type === TokenType.QUOTED_IDENTIFIER) &&
+      this.isSymbol(':', 1));
+
+    if (isTuple) {
+      const elements = [];
+      if (!this.isSymbol('}')) {
+        do {
+          const elementStart = this.peek();
+          const name = this.parseIdentifierName();
+          this.expectSymbol(':', 'after tuple element name');
+          const value = this.parseExpression();
+          elements.push(this.node('TupleElement', elementStart, { name, value }));
+        } while (this.matchSymbol(','));
+      }
+      this.expectSymbol('}', 'to close tuple');
+      return this.node('TupleSelector', start, { elements });
+    }
+
+    const elements = [];
+    if (!this.isSymbol('}')) {
+      do {
+        elements.push(this.parseExpression());
+      } while (this.matchSymbol(','));
+    }
+    this.expectSymbol('}', 'to close list');
+    return this.node('ListSelector', start, { typeSpecifier, elements });
+  }
+
+  parseInstanceSelector(start, typeSpecifier) {
+    this.expectSymbol('{');
+    const elements = [];
+    if (this.isSymbol(':')) {
+      this.advance();
+    } else if (!this.isSymbol('}')) {
+      do {
+        const elementStart = this.peek();
+        const name = this.parseIdentifierName();
+        this.expectSymbol(':', 'after element name');
+        const value = this.parseExpression();
+        elements.push(this.node('InstanceElement', elementStart, { name, value }));
+      } while (this.matchSymbol(','));
+    }
+    this.expectSymbol('}', 'to close instance selector');
+    return this.node('InstanceSelector', start, { typeSpecifier, elements });
+  }
+
+  parseCodeSelector() {
+    const start = this.expectWord('Code');
+    const code = this.parseString('for code');
+    this.expectWord('from', 'in code selector');
+    const system = this.parseQualifiedReference();
+    const display = this.matchWord('display') ? this.parseString('for display') : null;
+    return this.node('CodeSelector', start, { code, system, display });
+  }
+
+  parseConceptSelector() {
+    const start = this.expectWord('Concept');
+    this.expectSymbol('{');
+    const codes = [];
+    do {
+      if (!this.isWord('Code')) {
+        this.fail('Concept selectors contain Code selectors such as Code \'123\' from "LOINC"');
+      }
+      codes.push(this.parseCodeSelector());
+    } while (this.matchSymbol(','));
+    this.expectSymbol('}', 'to close concept');
+    const display = this.matchWord('display') ? this.parseString('for display') : null;
+    return this.node('ConceptSelector', start, { codes, display });
+  }
+
+  parseRetrieve() {
+    const start = this.expectSymbol('[');
+    const typeSpecifier = this.parseNamedTypeSpecifier();
+    let codePath = null;
+    let comparator = null;
+    let terminology = null;
+
+    if (this.matchSymbol(':')) {
+      const pathAhead = this.peek().type === TokenType.IDENTIFIER &&
+        (this.isWord('in', 1) || this.isSymbol('=', 1) || this.isSymbol('~', 1) ||
+          (this.isSymbol('.', 1) && this.peek(2).type === TokenType.IDENTIFIER));
+
+      if (pathAhead && !this.isSymbol('(', 1)) {
+        const pathStart = this.peek();
+        let path = this.advance().value;
+        while (this.matchSymbol('.')) {
+          path = `${path}.${this.parseIdentifierName()}`;
+        }
+        const comparatorToken = this.matchWord('in') || this.matchSymbol('=', '~');
+        if (comparatorToken) {
+          codePath = path;
+          comparator = comparatorToken.value;
+          terminology = this.parseExpression();
+        } else {
+          // Not a code path after all: a qualified terminology reference such as Common."Diabetes"
+          const [libraryName, ...rest] = path.split('.');
+          terminology = this.node('MemberInvocation', pathStart, {
+            source: { kind: 'Identifier', name: libraryName, quoted: false, loc: { start: pathStart.start, end: pathStart.end } },
+            name: rest.join('.'),
+            nameLoc: { start: this.previous().start, end: this.previous().end }
+          });
+        }
+      } else {
+        terminology = this.parseExpression();
+      }
+    }
+
+    this.expectSymbol(']', 'to close retrieve');
+    return this.node('Retrieve', start, { typeSpecifier, codePath, comparator, terminology });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Timing phrases
+  // ---------------------------------------------------------------------------
+
+  startsTimingPhrase() {
+    const token = this.peek();
+    if (token.type === TokenType.NUMBER) {
+      // Quantity offset, e.g. "3 days or less before"
+      return true;
+    }
+    if (token.type !== TokenType.IDENTIFIER) return false;
+    if (TIMING_START_WORDS.has(token.value)) return true;
+    if (token.value === 'properly') return !this.isWord('between', 1);
+    if (token.value === 'on') return this.isWord('or', 1);
+    if (token.value === 'less' || token.value === 'more') return this.isWord('than', 1);
+    return false;
+  }
+
+  parseTimingPhrase() {
+    const start = this.peek();
+    const phrase = {
+      kind: 'TimingPhrase',
+      leftBoundary: null,
+      relation: null,
+      properly: false,
+      precision: null,
+      rightBoundary: null
+    };
+
+    const prefix = this.peek().value;
+    if (['starts', 'ends', 'occurs'].includes(prefix)) {
+      const following = this.peek(1);
+      const continues = following.type === TokenType.NUMBER ||
+        (following.type === TokenType.IDENTIFIER &&
+          ['same', 'properly', 'during', 'included', 'before', 'after', 'on', 'within', 'less', 'more'].includes(following.value));
+
+      if (continues || prefix === 'occurs') {
+        this.advance();
+        phrase.leftBoundary = prefix === 'starts' ? 'start' : prefix === 'ends' ? 'end' : null;
+      } else {
+        this.advance();
+        phrase.relation = prefix;
+        phrase.precision = this.parsePrecisionSpecifier();
+        return this.finishPhrase(phrase, start);
+      }
+    }
+
+    if (this.matchWord('same')) {
+      phrase.relation = 'same';
+      phrase.precision = this.matchPrecision();
+      if (this.matchWord('as')) {
+        phrase.qualifier = 'as';
+      } else if (this.isWord('or') && (this.isWord('before', 1) || this.isWord('after', 1))) {
+        this.advance();
+        phrase.qualifier = `or ${this.advance().value}`;
+      } else {
+        this.fail('Expected \'as\', \'or before\' or \'or after\' in same phrase');
+      }
+      phrase.rightBoundary = this.parseTrailingBoundary();
+      return this.finishPhrase(phrase, start);
+    }
+
+    phrase.properly = Boolean(this.matchWord('properly'));
+
+    if (this.matchWord('includes')) {
+      phrase.relation = 'includes';
+      phrase.precision = this.parsePrecisionSpecifier();
+      phrase.rightBoundary = this.parseTrailingBoundary();
+      return this.finishPhrase(phrase, start);
+    }
+
+    if (this.matchWord('during') || (this.isWord('included') && this.isWord('in', 1) && this.advance() && this.advance())) {
+      phrase.relation = 'includedIn';
+      phrase.precision = this.parsePrecisionSpecifier();
+      return this.finishPhrase(phrase, start);
+    }
+
+    if (this.matchWord('within')) {
+      phrase.relation = 'within';
+      phrase.quantity = this.parseQuantity('after \'within\'');
+      this.expectWord('of', 'in within phrase');
+      phrase.rightBoundary = this.parseTrailingBoundary();
+      return this.finishPhrase(phrase, start);
+    }
+
+    if (this.isWord('meets') || this.isWord('overlaps')) {
+      phrase.relation = this.advance().value;
+      const direction = this.matchWord('before', 'after');
+      phrase.direction = direction ? direction.value : null;
+      phrase.precision = this.parsePrecisionSpecifier();
+      return this.finishPhrase(phrase, start);
+    }
+
+    // Quantity offset: "3 days or less before", "less than 3 days after"
+    if (this.isWord('less') || this.isWord('more')) {
+      const qualifier = this.advance().value;
+      this.expectWord('than');
+      phrase.offset = { qualifier: `${qualifier} than`, quantity: this.parseQuantity(`after '${qualifier} than'`) };
+    } else if (this.check(TokenType.NUMBER)) {
+      const quantity = this.parseQuantity('as timing offset');
+      let qualifier = null;
+      if (this.isWord('or') && (this.isWord('more', 1) || this.isWord('less', 1))) {
+        this.advance();
+        qualifier = `or ${this.advance().value}`;
+      }
+      phrase.offset = { qualifier, quantity };
+    }
+
+    phrase.inclusive = false;
+    if (this.isWord('on') && this.isWord('or', 1)) {
+      this.advance();
+      this.advance();
+      phrase.inclusive = true;
+    }
+
+    const direction = this.matchWord('before', 'after');
+    if (!direction) {
+      this.fail(`Expected a timing relationship such as 'before' or 'during' but found ${describe(this.peek())}`);
+    }
+    phrase.relation = 'beforeOrAfter';
+    phrase.direction = direction.value;
+
+    if (this.isWord('or') && this.isWord('on', 1)) {
+      this.advance();
+      this.advance();
+      phrase.inclusive = true;
+    }
+
+    phrase.precision = this.parsePrecisionSpecifier();
+    phrase.rightBoundary = this.parseTrailingBoundary();
+    return this.finishPhrase(phrase, start);
+  }
+
+  matchPrecision() {
+    const token = this.peek();
+    if (token.type === TokenType.IDENTIFIER && DATE_TIME_PRECISIONS.includes(token.value)) {
+      this.advance();
+      return capitalize(token.value);
+    }
+    return null;
+  }
+
+  parseTrailingBoundary() {
+    // "before start B" uses a boundary keyword; "before start of B" is a term
+    if ((this.isWord('start') || this.isWord('end')) && !this.isWord('of', 1)) {
+      return this.advance().value;
+    }
+    return null;
+  }
+
+  finishPhrase(phrase, start) {
+    phrase.loc = { start: start.start, end: this.previous().end };
+    return phrase;
+  }
+}
+
+/**
+ * Whether a parsed term may act as a query source when followed by an alias
+ */
+function isQuerySourceCandidate(node) {
+  switch (node.kind) {
+    case 'Retrieve':
+    case 'Identifier':
+    case 'ParenthesizedExpression':
+    case 'MemberInvocation':
+    case 'ListSelector':
+    case 'IntervalSelector':
+      return true;
+    case 'FunctionInvocation':
+    case 'MethodInvocation':
+      return true;
+    default:
+      return false;
+  }
+}
+
+function isTypeName(token) {
+  return token.type === TokenType.QUOTED_IDENTIFIER ||
+    (token.type === TokenType.IDENTIFIER && !RESERVED_WORDS.has(token.value));
+}
+
+function describe(token) {
+  switch (token.type) {
+    case TokenType.EOF:
+      return 'end of input';
+    case TokenType.STRING:
+      return `string ${token.text}`;
+    case TokenType.QUOTED_IDENTIFIER:
+      return `identifier ${token.text}`;
+    default:
+      return `'${token.text}'`;
+  }
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
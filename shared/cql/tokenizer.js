@@ -0,0 +1,264 @@
+/**
+ * CQL Tokenizer
+ * Splits CQL source text into tokens with 1-based line/column locations.
+ *
+ * Comments are not returned in the token stream; they are collected
+ * separately so tools such as the formatter can re-attach them.
+ */
+
+export const TokenType = {
+  IDENTIFIER: 'identifier',
+  QUOTED_IDENTIFIER: 'quotedIdentifier',
+  STRING: 'string',
+  NUMBER: 'number',
+  LONG: 'long',
+  DATE: 'date',
+  DATETIME: 'datetime',
+  TIME: 'time',
+  SYMBOL: 'symbol',
+  EOF: 'eof'
+};
+
+// Multi-character symbols must come before their single-character prefixes
+const SYMBOLS = [
+  '<=', '>=', '!=', '!~', '<>',
+  '(', ')', '[', ']', '{', '}', ',', '.', ':', '<', '>', '=', '~',
+  '+', '-', '*', '/', '^', '&', '|', '%', '$'
+];
+
+const STRING_ESCAPES = {
+  '\'': '\'',
+  '"': '"',
+  '`': '`',
+  '\\': '\\',
+  '/': '/',
+  'f': '\f',
+  'n': '\n',
+  'r': '\r',
+  't': '\t'
+};
+
+const DATE_PATTERN = /^@(\d{4}(?:-\d{2}(?:-\d{2})?)?)(T(?:\d{2}(?::\d{2}(?::\d{2}(?:\.\d+)?)?)?)?(?:Z|[+-]\d{2}:\d{2})?)?/;
+const TIME_PATTERN = /^@T\d{2}(?::\d{2}(?::\d{2}(?:\.\d+)?)?)?/;
+const NUMBER_PATTERN = /^\d+(?:\.\d+)?L?/;
+const WORD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*/;
+
+/**
+ * Error raised for malformed CQL source text
+ */
+export class CQLSyntaxError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {object} location - { start: {line, column, offset}, end: {line, column, offset} }
+   */
+  constructor(message, location) {
+    super(message);
+    this.name = 'CQLSyntaxError';
+    this.location = location;
+  }
+}
+
+/**
+ * Tokenize CQL source text
+ * @param {string} source - CQL source
+ * @returns {object} { tokens, comments, errors }
+ */
+export function tokenize(source) {
+  const tokens = [];
+  const comments = [];
+  const errors = [];
+
+  let offset = 0;
+  let line = 1;
+  let column = 1;
+
+  const position = () => ({ line, column, offset });
+
+  const advance = (count) => {
+    for (let i = 0; i < count; i++) {
+      if (source[offset] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      offset++;
+    }
+  };
+
+  const push = (type, value, text, start) => {
+    tokens.push({ type, value, text, start, end: position() });
+  };
+
+  while (offset < source.length) {
+    const char = source[offset];
+    const rest = source.slice(offset, offset + 64);
+
+    // Whitespace
+    if (/\s/.test(char)) {
+      advance(1);
+      continue;
+    }
+
+    // Line comments
+    if (source.startsWith('//', offset)) {
+      const start = position();
+      const endIndex = source.indexOf('\n', offset);
+      const text = source.slice(offset, endIndex === -1 ? source.length : endIndex);
+      advance(text.length);
+      comments.push({ type: 'line', text, start, end: position() });
+      continue;
+    }
+
+    // Block comments
+    if (source.startsWith('/*', offset)) {
+      const start = position();
+      const endIndex = source.indexOf('*/', offset + 2);
+      if (endIndex === -1) {
+        const text = source.slice(offset);
+        advance(text.length);
+        errors.push(new CQLSyntaxError('Unterminated block comment', { start, end: position() }));
+        comments.push({ type: 'block', text, start, end: position() });
+        continue;
+      }
+      const text = source.slice(offset, endIndex + 2);
+      advance(text.length);
+      comments.push({ type: 'block', text, start, end: position() });
+      continue;
+    }
+
+    // String literals and quoted identifiers
+    if (char === '\'' || char === '"' || char === '`') {
+      const start = position();
+      const result = readQuoted(source, offset, char);
+      advance(result.length);
+
+      if (!result.terminated) {
+        errors.push(new CQLSyntaxError(
+          char === '\'' ? 'Unterminated string literal' : 'Unterminated quoted identifier',
+          { start, end: position() }
+        ));
+      }
+
+      push(
+        char === '\'' ? TokenType.STRING : TokenType.QUOTED_IDENTIFIER,
+        result.value,
+        source.slice(start.offset, offset),
+        start
+      );
+      continue;
+    }
+
+    // Date, DateTime and Time literals
+    if (char === '@') {
+      const start = position();
+      const timeMatch = rest.match(TIME_PATTERN);
+      if (timeMatch) {
+        advance(timeMatch[0].length);
+        push(TokenType.TIME, timeMatch[0].slice(1), timeMatch[0], start);
+        continue;
+      }
+
+      const dateMatch = source.slice(offset, offset + 40).match(DATE_PATTERN);
+      if (dateMatch) {
+        advance(dateMatch[0].length);
+        push(dateMatch[2] ? TokenType.DATETIME : TokenType.DATE, dateMatch[0].slice(1), dateMatch[0], start);
+        continue;
+      }
+
+      advance(1);
+      errors.push(new CQLSyntaxError('Invalid date/time literal after \'@\'', { start, end: position() }));
+      continue;
+    }
+
+    // Numbers
+    if (/\d/.test(char)) {
+      const start = position();
+      const match = rest.match(NUMBER_PATTERN);
+      advance(match[0].length);
+      if (match[0].endsWith('L')) {
+        push(TokenType.LONG, match[0].slice(0, -1), match[0], start);
+      } else {
+        push(TokenType.NUMBER, match[0], match[0], start);
+      }
+      continue;
+    }
+
+    // Identifiers and keywords
+    if (/[A-Za-z_]/.test(char)) {
+      const start = position();
+      const match = rest.match(WORD_PATTERN);
+      let word = match[0];
+      // Words longer than the lookahead window are rare but possible
+      while (/[A-Za-z0-9_]/.test(source[offset + word.length] || '')) {
+        word = source.slice(offset, offset + word.length + 1);
+      }
+      advance(word.length);
+      push(TokenType.IDENTIFIER, word, word, start);
+      continue;
+    }
+
+    // Symbols
+    const symbol = SYMBOLS.find(candidate => source.startsWith(candidate, offset));
+    if (symbol) {
+      const start = position();
+      advance(symbol.length);
+      push(TokenType.SYMBOL, symbol, symbol, start);
+      continue;
+    }
+
+    const start = position();
+    advance(1);
+    errors.push(new CQLSyntaxError(`Unexpected character '${char}'`, { start, end: position() }));
+  }
+
+  tokens.push({ type: TokenType.EOF, value: null, text: '', start: position(), end: position() });
+
+  return { tokens, comments, errors };
+}
+
+/**
+ * Read a quoted string or identifier starting at offset
+ * @param {string} source - CQL source
+ * @param {number} offset - Index of the opening quote
+ * @param {string} quote - Quote character
+ * @returns {object} { value, length, terminated }
+ */
+function readQuoted(source, offset, quote) {
+  let index = offset + 1;
+  let value = '';
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (char === quote) {
+      return { value, length: index - offset + 1, terminated: true };
+    }
+
+    // Multi-line literals are legal but almost never intended; ending an
+    // unterminated quote at the line break keeps it from swallowing the
+    // rest of the library and gives a precise error location.
+    if (char === '\n') {
+      break;
+    }
+
+    if (char === '\\') {
+      const next = source[index + 1];
+      if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(index + 2, index + 6))) {
+        value += String.fromCharCode(parseInt(source.slice(index + 2, index + 6), 16));
+        index += 6;
+        continue;
+      }
+      if (next in STRING_ESCAPES) {
+        value += STRING_ESCAPES[next];
+        index += 2;
+        continue;
+      }
+    }
+
+    value += char;
+    index++;
+  }
+
+  return { value, length: index - offset, terminated: false };
+}
@@ -0,0 +1,1995 @@
+/**
+ * CQL to ELM Translator
+ * Converts the CQL syntax tree produced by the parser into ELM JSON
+ * (Expression Logical Model, r1) that the execution engine interprets.
+ *
+ * Semantic problems (unresolved identifiers, unknown functions, missing
+ * `using` declarations, operands no operator signature accepts) are reported
+ * the same way the reference translator reports them: as error annotations
+ * on the library, with a locator.
+ *
+ * Included libraries are resolved against the sources passed as `libraries`
+ * (the other files of a workspace), translated once per call and returned
+ * with the ELM so an engine can evaluate references into them.
+ */
+
+import { parseCQL, DATE_TIME_PRECISIONS } from './parser.js';
+import { getImplicitConversion } from './modelinfo.js';
+import { OPERATOR_SIGNATURES, getPropertyType, resolveOperator, toSystemType, parseTypeString } from './types.js';
+
+export const SYSTEM_NAMESPACE = 'urn:hl7-org:elm-types:r1';
+export const FHIR_NAMESPACE = 'http://hl7.org/fhir';
+
+const SYSTEM_TYPES = new Set([
+  'Any', 'Boolean', 'Integer', 'Long', 'Decimal', 'String', 'Date', 'DateTime', 'Time',
+  'Quantity', 'Ratio', 'Code', 'Concept', 'Vocabulary', 'ValueSet', 'CodeSystem'
+]);
+
+const LITERAL_TYPES = new Set(['Boolean', 'Integer', 'Long', 'Decimal', 'String']);
+
+// Primary code path used by retrieves such as [Condition: "Diabetes"]
+export const PRIMARY_CODE_PATHS = {
+  AllergyIntolerance: 'code',
+  Condition: 'code',
+  Device: 'type',
+  DiagnosticReport: 'code',
+  Encounter: 'type',
+  Immunization: 'vaccineCode',
+  MedicationAdministration: 'medication',
+  MedicationDispense: 'medication',
+  MedicationRequest: 'medication',
+  MedicationStatement: 'medication',
+  Observation: 'code',
+  Procedure: 'code',
+  ServiceRequest: 'code'
+};
+
+const DEFAULT_OPTIONS = {
+  annotations: false,
+  locators: true,
+  resultTypes: true,
+  nodeTypes: false
+};
+
+/**
+ * Translate CQL source to ELM
+ * @param {string} source - CQL library source
+ * @param {object} options - { annotations, locators, resultTypes, nodeTypes, libraries } where
+ *   annotations gives each ELM node a `localId` and each definition its source text, as the
+ *   reference translator does; nodeTypes records the inferred type of each expression on its
+ *   syntax tree node (`resultType`), and the resolved signature of overloaded operators
+ *   (`signature`), for editor tooling; libraries are the sources of libraries that may be included
+ * @returns {object} { elm, errors, ast, libraries } where errors include syntax and semantic
+ *   problems and libraries is the ELM of every library included, directly or indirectly
+ */
+export function translateCQL(source, options = {}) {
+  const { libraries: sources = [], ...translateOptions } = options;
+  const resolver = new LibraryResolver(sources, { ...DEFAULT_OPTIONS, ...translateOptions, nodeTypes: false });
+  const { library, errors: syntaxErrors } = parseCQL(source);
+  const { elm, errors } = translateLibrary({ library, errors: syntaxErrors, source }, { ...DEFAULT_OPTIONS, ...translateOptions }, resolver, []);
+  return { elm, errors, ast: library, libraries: resolver.included() };
+}
+
+function translateLibrary({ library, errors: syntaxErrors, source }, options, resolver, path) {
+  const translator = new Translator(library, { ...options, source }, resolver, path);
+  const elm = translator.translate();
+
+  const errors = [
+    ...syntaxErrors.map(error => ({
+      message: error.message,
+      severity: 'error',
+      errorType: 'syntax',
+      location: error.location
+    })),
+    ...translator.errors
+  ];
+
+  elm.library.annotation = errors.map(error => ({
+    type: 'CqlToElmError',
+    libraryId: elm.library.identifier.id,
+    libraryVersion: elm.library.identifier.version,
+    startLine: error.location.start.line,
+    startChar: error.location.start.column,
+    endLine: error.location.end.line,
+    endChar: Math.max(error.location.end.column - 1, 1),
+    message: error.message,
+    errorType: error.errorType,
+    errorSeverity: error.severity
+  }));
+
+  return { elm, errors, ast: library, translator };
+}
+
+/**
+ * Finds and translates included libraries among the sources given to
+ * translateCQL. Each library is translated once, however often it is included.
+ * A library may be given in several versions; an include without a version
+ * uses the first source given for that name. When the version an include asks
+ * for is not given, a build of it (e.g. '4.0.1+embedded' for '4.0.1') is used.
+ */
+class LibraryResolver {
+  constructor(sources, options) {
+    this.options = options;
+    this.sources = new Map();
+    this.translated = new Map();
+
+    sources.forEach(source => {
+      const { library, errors } = parseCQL(source);
+      const declaration = library.declarations.find(candidate => candidate.kind === 'LibraryDeclaration');
+      if (!declaration) return;
+
+      const versions = this.sources.get(declaration.name) || [];
+      if (!versions.some(candidate => candidate.version === declaration.version)) {
+        versions.push({ library, errors, source, version: declaration.version });
+      }
+      this.sources.set(declaration.name, versions);
+    });
+  }
+
+  /**
+   * Translate an included library
+   * @param {string} name - Library name
+   * @param {string|null} version - Version the include asks for
+   * @param {Array<string>} path - Names of the libraries including this one, outermost first
+   * @returns {object|null} { translator, elm, errors } or { error } when it cannot be included,
+   *   or null when no source declares the library
+   */
+  resolve(name, version, path) {
+    const versions = this.sources.get(name);
+    if (!versions) return null;
+
+    const source = version
+      ? versions.find(candidate => !candidate.version || candidate.version === version) ||
+        versions.find(candidate => candidate.version?.split('+')[0] === version)
+      : versions[0];
+    if (!source) {
+      const available = versions.map(candidate => `'${candidate.version}'`).join(', ');
+      return { error: `Library ${name} version '${version}' is not available; available versions: ${available}` };
+    }
+    if (path.includes(name)) {
+      return { error: `Circular library reference ${[...path, name].join(' -> ')}` };
+    }
+
+    const key = `${name}|${source.version || ''}`;
+    if (!this.translated.has(key)) {
+      this.translated.set(key, translateLibrary(source, this.options, this, [...path, name]));
+    }
+    return this.translated.get(key);
+  }
+
+  included() {
+    return [...this.translated.values()].map(({ elm }) => elm);
+  }
+}
+
+/**
+ * Format a syntax tree location as an ELM locator ("line:col-line:col")
+ * @param {object} loc - { start, end } location
+ * @returns {string} Locator string
+ */
+export function toLocator(loc) {
+  const endColumn = Math.max(loc.end.column - 1, 1);
+  return `${loc.start.line}:${loc.start.column}-${loc.end.line}:${endColumn}`;
+}
+
+/**
+ * Readable static result type of an ELM node or definition
+ * @param {object} elm - ELM node carrying resultTypeName or resultTypeSpecifier
+ * @returns {string|null} Type string such as 'Integer' or 'List<FHIR.Condition>'
+ */
+export function elmTypeName(elm) {
+  if (elm.resultTypeName) return qualifiedToTypeString(elm.resultTypeName);
+  return specifierToTypeString(elm.resultTypeSpecifier);
+}
+
+class Translator {
+  constructor(library, options, resolver = null, path = []) {
+    this.ast = library;
+    this.options = options;
+    this.resolver = resolver;
+    this.path = path;
+    this.errors = [];
+    this.scopes = [];
+    this.typeCache = new Map();
+    this.nextLocalId = 0;
+
+    this.libraryInfo = { id: 'Anonymous', version: null };
+    this.usings = new Map();
+    this.includes = new Map();
+    this.parameters = new Map();
+    this.codeSystems = new Map();
+    this.valueSets = new Map();
+    this.codes = new Map();
+    this.concepts = new Map();
+    this.expressions = new Map();
+    this.functions = new Map();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Diagnostics
+  // ---------------------------------------------------------------------------
+
+  error(message, node, errorType = 'semantic') {
+    this.errors.push({ message, severity: 'error', errorType, location: node.loc });
+  }
+
+  warning(message, node, errorType = 'semantic') {
+    this.errors.push({ message, severity: 'warning', errorType, location: node.loc });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Library
+  // ---------------------------------------------------------------------------
+
+  translate() {
+    this.collectDeclarations();
+
+    const library = {
+      identifier: { id: this.libraryInfo.id, version: this.libraryInfo.version },
+      schemaIdentifier: { id: 'urn:hl7-org:elm', version: 'r1' },
+      usings: {
+        def: [
+          { localIdentifier: 'System', uri: SYSTEM_NAMESPACE },
+          ...[...this.usings.values()].map(using => ({
+            localIdentifier: using.localIdentifier,
+            uri: using.uri,
+            version: using.version
+          }))
+        ]
+      }
+    };
+
+    if (this.includes.size > 0) {
+      library.includes = {
+        def: [...this.includes.values()].map(include => ({
+          localIdentifier: include.alias,
+          path: include.libraryName,
+          version: include.version
+        }))
+      };
+    }
+
+    if (this.parameters.size > 0) {
+      library.parameters = {
+        def: [...this.parameters.values()].map(parameter => this.translateParameter(parameter))
+      };
+    }
+
+    if (this.codeSystems.size > 0) {
+      library.codeSystems = {
+        def: [...this.codeSystems.values()].map(codeSystem => this.withLocator({
+          name: codeSystem.name,
+          id: codeSystem.id,
+          version: codeSystem.version,
+          accessLevel: codeSystem.accessLevel || 'Public'
+        }, codeSystem))
+      };
+    }
+
+    if (this.valueSets.size > 0) {
+      library.valueSets = {
+        def: [...this.valueSets.values()].map(valueSet => this.withLocator({
+          name: valueSet.name,
+          id: valueSet.id,
+          version: valueSet.version,
+          accessLevel: valueSet.accessLevel || 'Public',
+          codeSystem: valueSet.codeSystems.map(reference => this.codeSystemReference(reference))
+        }, valueSet))
+      };
+    }
+
+    if (this.codes.size > 0) {
+      library.codes = {
+        def: [...this.codes.values()].map(code => this.withLocator({
+          name: code.name,
+          id: code.id,
+          display: code.display,
+          accessLevel: code.accessLevel || 'Public',
+          codeSystem: this.codeSystemReference(code.system)
+        }, code))
+      };
+    }
+
+    if (this.concepts.size > 0) {
+      library.concepts = {
+        def: [...this.concepts.values()].map(concept => this.withLocator({
+          name: concept.name,
+          display: concept.display,
+          accessLevel: concept.accessLevel || 'Public',
+          code: concept.codes.map(reference => this.codeReference(reference))
+        }, concept))
+      };
+    }
+
+    const contexts = [];
+    const statements = [];
+    let context = 'Unfiltered';
+
+    for (const declaration of this.ast.declarations) {
+      if (declaration.kind === 'ContextDefinition') {
+        context = declaration.name;
+        if (!contexts.some(existing => existing.name === context)) {
+          contexts.push({ name: context });
+          if (context === 'Patient' && this.usings.has('FHIR') && !this.expressions.get('Patient')?.declaration) {
+            statements.push(this.implicitContextDefinition(context));
+          }
+        }
+        continue;
+      }
+
+      if (declaration.kind === 'ExpressionDefinition') {
+        statements.push(this.translateExpressionDefinition(declaration, context));
+      } else if (declaration.kind === 'FunctionDefinition') {
+        statements.push(this.translateFunctionDefinition(declaration, context));
+      }
+    }
+
+    if (contexts.length > 0) {
+      library.contexts = { def: contexts };
+    }
+    if (statements.length > 0) {
+      library.statements = { def: statements };
+    }
+
+    return { library };
+  }
+
+  /**
+   * First pass: register every declaration so definitions may refer to
+   * statements that appear later in the library
+   */
+  collectDeclarations() {
+    let sawPatientContext = false;
+
+    for (const declaration of this.ast.declarations) {
+      switch (declaration.kind) {
+        case 'LibraryDeclaration':
+          this.libraryInfo = { id: declaration.name, version: declaration.version };
+          break;
+        case 'UsingDefinition':
+          if (declaration.modelName === 'FHIR') {
+            this.usings.set('FHIR', {
+              localIdentifier: declaration.localIdentifier || 'FHIR',
+              uri: FHIR_NAMESPACE,
+              version: declaration.version
+            });
+          } else if (declaration.modelName !== 'System') {
+            this.error(`Could not load model information for model ${declaration.modelName}. Only FHIR is supported`, declaration, 'include');
+          }
+          break;
+        case 'IncludeDefinition': {
+          const alias = declaration.alias || declaration.libraryName;
+          this.includes.set(alias, { ...declaration, alias, library: this.includeLibrary(declaration) });
+          break;
+        }
+        case 'ParameterDefinition':
+          this.register(this.parameters, declaration, 'parameter');
+          break;
+        case 'CodeSystemDefinition':
+          this.register(this.codeSystems, declaration, 'code system');
+          break;
+        case 'ValueSetDefinition':
+          this.register(this.valueSets, declaration, 'value set');
+          break;
+        case 'CodeDefinition':
+          this.register(this.codes, declaration, 'code');
+          break;
+        case 'ConceptDefinition':
+          this.register(this.concepts, declaration, 'concept');
+          break;
+        case 'ContextDefinition':
+          if (declaration.name === 'Patient') sawPatientContext = true;
+          break;
+        case 'ExpressionDefinition':
+          if (this.expressions.has(declaration.name) && this.expressions.get(declaration.name).declaration) {
+            this.error(`Identifier "${declaration.name}" is already in use in this library`, declaration);
+          } else {
+            this.expressions.set(declaration.name, { declaration });
+          }
+          break;
+        case 'FunctionDefinition': {
+          const overloads = this.functions.get(declaration.name) || [];
+          overloads.push(declaration);
+          this.functions.set(declaration.name, overloads);
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
+    if (sawPatientContext && this.usings.has('FHIR') && !this.expressions.has('Patient')) {
+      this.expressions.set('Patient', { declaration: null, implicit: true });
+    }
+  }
+
+  /**
+   * Translator of an included library, or null (with a diagnostic) when it cannot be used
+   */
+  includeLibrary(declaration) {
+    const { libraryName, version } = declaration;
+    const path = this.path.length > 0 ? this.path : [this.libraryInfo.id];
+    const included = this.resolver?.resolve(libraryName, version, path);
+
+    if (!included) {
+      this.warning(
+        `Library ${libraryName}${version ? ` version '${version}'` : ''} is not available to the embedded engine; references to it cannot be resolved`,
+        declaration,
+        'include'
+      );
+      return null;
+    }
+    if (included.error) {
+      this.error(included.error, declaration, 'include');
+      return null;
+    }
+
+    const errors = included.errors.filter(error => error.severity === 'error');
+    if (errors.length > 0) {
+      const [{ message, location }] = errors;
+      this.error(
+        `Library ${libraryName} has ${errors.length === 1 ? '1 error' : `${errors.length} errors`}: ${message} [${location.start.line}:${location.start.column}]`,
+        declaration,
+        'include'
+      );
+    }
+    return included.translator;
+  }
+
+  /**
+   * Reference to a public declaration of this library, as seen from a library including it
+   * @returns {object|null} ELM reference without libraryName, or null when there is none
+   */
+  publicMember(name) {
+    const isPublic = declaration => Boolean(declaration) && declaration.accessLevel !== 'Private';
+
+    if (isPublic(this.expressions.get(name)?.declaration)) return { type: 'ExpressionRef', name };
+    if (isPublic(this.parameters.get(name))) return { type: 'ParameterRef', name };
+    if (isPublic(this.valueSets.get(name))) return { type: 'ValueSetRef', name };
+    if (isPublic(this.codes.get(name))) return { type: 'CodeRef', name };
+    if (isPublic(this.codeSystems.get(name))) return { type: 'CodeSystemRef', name };
+    if (isPublic(this.concepts.get(name))) return { type: 'ConceptRef', name };
+    return null;
+  }
+
+  register(table, declaration, description) {
+    if (table.has(declaration.name)) {
+      this.error(`A ${description} named "${declaration.name}" is already defined`, declaration);
+      return;
+    }
+    table.set(declaration.name, declaration);
+  }
+
+  implicitContextDefinition(context) {
+    return {
+      name: context,
+      context,
+      accessLevel: 'Public',
+      implicit: true,
+      expression: {
+        type: 'SingletonFrom',
+        operand: {
+          type: 'Retrieve',
+          dataType: `{${FHIR_NAMESPACE}}${context}`,
+          templateId: `${FHIR_NAMESPACE}/StructureDefinition/${context}`
+        }
+      },
+      ...this.typeAnnotation(`FHIR.${context}`)
+    };
+  }
+
+  translateParameter(parameter) {
+    const def = {
+      name: parameter.name,
+      accessLevel: parameter.accessLevel || 'Public'
+    };
+    if (parameter.default) {
+      def.default = this.translateExpression(parameter.default);
+    }
+    if (parameter.typeSpecifier) {
+      def.parameterTypeSpecifier = this.translateTypeSpecifier(parameter.typeSpecifier);
+    }
+    if (!parameter.default && !parameter.typeSpecifier) {
+      this.error(`Parameter "${parameter.name}" must declare a type or a default value`, parameter);
+    }
+    return this.withLocator(def, parameter);
+  }
+
+  translateExpressionDefinition(declaration, context) {
+    const expression = this.translateExpression(declaration.expression);
+    return this.withSourceAnnotation(this.withLocator({
+      name: declaration.name,
+      context,
+      accessLevel: declaration.accessLevel || 'Public',
+      expression,
+      ...this.typeAnnotation(this.typeOf(expression))
+    }, declaration), declaration);
+  }
+
+  translateFunctionDefinition(declaration, context) {
+    const operand = declaration.operands.map(operandDef => ({
+      name: operandDef.name,
+      operandTypeSpecifier: this.translateTypeSpecifier(operandDef.typeSpecifier)
+    }));
+
+    const def = {
+      type: 'FunctionDef',
+      name: declaration.name,
+      context,
+      accessLevel: declaration.accessLevel || 'Public',
+      fluent: declaration.fluent,
+      external: declaration.external,
+      operand
+    };
+
+    if (!declaration.external) {
+      this.scopes.push(new Map(declaration.operands.map(operandDef => [
+        operandDef.name,
+        { kind: 'operand', type: typeSpecifierName(operandDef.typeSpecifier) }
+      ])));
+      def.expression = this.translateExpression(declaration.expression);
+      this.scopes.pop();
+    }
+
+    if (declaration.returnType) {
+      def.resultTypeSpecifier = this.translateTypeSpecifier(declaration.returnType);
+    }
+
+    return this.withSourceAnnotation(this.withLocator(def, declaration), declaration);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Expressions
+  // ---------------------------------------------------------------------------
+
+  translateExpression(node) {
+    const elm = this.translateNode(node);
+    if (node.kind === 'ParenthesizedExpression') {
+      return elm;
+    }
+    return this.annotate(elm, node);
+  }
+
+  annotate(elm, node) {
+    if (this.options.annotations && !elm.localId) {
+      elm.localId = String(++this.nextLocalId);
+    }
+    if (this.options.locators && node.loc && !elm.locator) {
+      elm.locator = toLocator(node.loc);
+    }
+    if (this.options.resultTypes && !elm.resultTypeName && !elm.resultTypeSpecifier) {
+      Object.assign(elm, this.typeAnnotation(this.typeOf(elm)));
+    }
+    if (this.options.nodeTypes) {
+      node.resultType = this.typeOf(elm);
+    }
+    return elm;
+  }
+
+  withLocator(def, node) {
+    if (this.options.annotations) {
+      def.localId = String(++this.nextLocalId);
+    }
+    if (this.options.locators && node.loc) {
+      def.locator = toLocator(node.loc);
+    }
+    return def;
+  }
+
+  // The source text of a definition, as an annotation referring to its localId
+  withSourceAnnotation(def, node) {
+    if (this.options.annotations && this.options.source && node.loc) {
+      def.annotation = [{
+        type: 'Annotation',
+        s: { r: def.localId, value: [this.options.source.slice(node.loc.start.offset, node.loc.end.offset)] }
+      }];
+    }
+    return def;
+  }
+
+  translateNode(node) {
+    switch (node.kind) {
+      case 'Literal':
+        return translateLiteral(node);
+      case 'QuantityLiteral':
+        return { type: 'Quantity', value: Number(node.value), unit: node.unit };
+      case 'RatioLiteral':
+        return {
+          type: 'Ratio',
+          numerator: { type: 'Quantity', value: Number(node.numerator.value), unit: node.numerator.unit },
+          denominator: { type: 'Quantity', value: Number(node.denominator.value), unit: node.denominator.unit }
+        };
+      case 'DateLiteral':
+        return this.translateDateTimeLiteral('Date', node.value, node);
+      case 'DateTimeLiteral':
+        return this.translateDateTimeLiteral('DateTime', node.value, node);
+      case 'TimeLiteral':
+        return this.translateDateTimeLiteral('Time', node.value, node);
+      case 'ParenthesizedExpression':
+        return this.translateExpression(node.expression);
+      case 'Identifier':
+        return this.resolveIdentifier(node);
+      case 'FunctionInvocation':
+        return this.translateFunctionInvocation(node);
+      case 'MemberInvocation':
+        return this.translateMemberInvocation(node);
+      case 'MethodInvocation':
+        return this.translateMethodInvocation(node);
+      case 'IndexerExpression':
+        return { type: 'Indexer', operand: [this.translateExpression(node.source), this.translateExpression(node.index)] };
+      case 'ListSelector':
+        return this.translateList(node);
+      case 'TupleSelector':
+        return {
+          type: 'Tuple',
+          element: node.elements.map(element => ({ name: element.name, value: this.translateExpression(element.value) }))
+        };
+      case 'InstanceSelector':
+        return {
+          type: 'Instance',
+          classType: this.qualifiedTypeName(node.typeSpecifier),
+          element: node.elements.map(element => ({ name: element.name, value: this.translateExpression(element.value) }))
+        };
+      case 'IntervalSelector':
+        return {
+          type: 'Interval',
+          lowClosed: node.lowClosed,
+          highClosed: node.highClosed,
+          low: this.translateExpression(node.low),
+          high: this.translateExpression(node.high)
+        };
+      case 'CodeSelector':
+        return this.translateCodeSelector(node);
+      case 'ConceptSelector':
+        return {
+          type: 'Concept',
+          code: node.codes.map(code => this.annotate(this.translateCodeSelector(code), code)),
+          display: node.display
+        };
+      case 'Retrieve':
+        return this.translateRetrieve(node);
+      case 'Query':
+        return this.translateQuery(node);
+      case 'IfExpression':
+        return {
+          type: 'If',
+          condition: this.translateExpression(node.condition),
+          then: this.translateExpression(node.then),
+          else: this.translateExpression(node.else)
+        };
+      case 'CaseExpression':
+        return {
+          type: 'Case',
+          ...(node.comparand ? { comparand: this.translateExpression(node.comparand) } : {}),
+          caseItem: node.items.map(item => this.withLocator({
+            when: this.translateExpression(item.when),
+            then: this.translateExpression(item.then)
+          }, item)),
+          else: this.translateExpression(node.else)
+        };
+      case 'UnaryExpression':
+        return this.translateUnary(node);
+      case 'BinaryExpression':
+        return this.translateBinary(node);
+      case 'BetweenExpression':
+        return {
+          type: node.properly ? 'ProperIncludedIn' : 'IncludedIn',
+          operand: [
+            this.translateExpression(node.operand),
+            {
+              type: 'Interval',
+              lowClosed: true,
+              highClosed: true,
+              low: this.translateExpression(node.low),
+              high: this.translateExpression(node.high)
+            }
+          ]
+        };
+      case 'DurationBetweenExpression':
+        return {
+          type: node.difference ? 'DifferenceBetween' : 'DurationBetween',
+          precision: node.precision,
+          operand: [this.translateExpression(node.low), this.translateExpression(node.high)]
+        };
+      case 'DurationOfExpression': {
+        const operand = this.translateExpression(node.operand);
+        return {
+          type: node.difference ? 'DifferenceBetween' : 'DurationBetween',
+          precision: node.precision,
+          operand: [{ type: 'Start', operand }, { type: 'End', operand }]
+        };
+      }
+      case 'ComponentFromExpression':
+        return this.translateComponentFrom(node);
+      case 'BooleanTestExpression': {
+        const types = { null: 'IsNull', true: 'IsTrue', false: 'IsFalse' };
+        const test = { type: types[node.test], operand: this.translateExpression(node.operand) };
+        return node.not ? { type: 'Not', operand: test } : test;
+      }
+      case 'TypeExpression':
+        return node.operator === 'is'
+          ? { type: 'Is', operand: this.translateExpression(node.operand), isTypeSpecifier: this.translateTypeSpecifier(node.typeSpecifier) }
+          : { type: 'As', operand: this.translateExpression(node.operand), asTypeSpecifier: this.translateTypeSpecifier(node.typeSpecifier), strict: false };
+      case 'CastExpression':
+        return {
+          type: 'As',
+          operand: this.translateExpression(node.operand),
+          asTypeSpecifier: this.translateTypeSpecifier(node.typeSpecifier),
+          strict: true
+        };
+      case 'ConvertExpression':
+        return this.translateConvert(node);
+      case 'MinMaxValueExpression':
+        return {
+          type: node.operator === 'minimum' ? 'MinValue' : 'MaxValue',
+          valueType: this.qualifiedTypeName(node.typeSpecifier)
+        };
+      case 'SetAggregateExpression':
+        return {
+          type: node.operator === 'expand' ? 'Expand' : 'Collapse',
+          operand: [this.translateExpression(node.operand), node.per ? this.translateExpression(node.per) : { type: 'Null' }]
+        };
+      case 'TimingExpression':
+        return this.translateTiming(node);
+      case 'ExternalConstant':
+        this.error(`External constant %${node.name} is not supported`, node);
+        return { type: 'Null' };
+      case 'SpecialIdentifier':
+        if (node.name === '$this' && this.inSortScope()) {
+          return { type: 'IdentifierRef', name: '$this' };
+        }
+        this.error(`${node.name} is not supported in this context`, node);
+        return { type: 'Null' };
+      default:
+        this.error(`Unsupported expression: ${node.kind}`, node);
+        return { type: 'Null' };
+    }
+  }
+
+  translateDateTimeLiteral(type, value, node) {
+    const literal = valueType => rawValue => ({
+      type: 'Literal',
+      valueType: `{${SYSTEM_NAMESPACE}}${valueType}`,
+      value: String(rawValue)
+    });
+    const integer = literal('Integer');
+    const result = { type };
+
+    if (type === 'Time') {
+      const match = value.match(/^T(\d{2})(?::(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/);
+      if (!match) {
+        this.error(`Invalid time literal @${value}`, node, 'syntax');
+        return { type: 'Null' };
+      }
+      const [, hour, minute, second, fraction] = match;
+      result.hour = integer(Number(hour));
+      if (minute !== undefined) result.minute = integer(Number(minute));
+      if (second !== undefined) result.second = integer(Number(second));
+      if (fraction !== undefined) result.millisecond = integer(Number(fraction.padEnd(3, '0').slice(0, 3)));
+      return result;
+    }
+
+    const match = value.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?(?:T(?:(\d{2})(?::(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?)?(Z|[+-]\d{2}:\d{2})?)?$/);
+    if (!match) {
+      this.error(`Invalid ${type === 'Date' ? 'date' : 'date/time'} literal @${value}`, node, 'syntax');
+      return { type: 'Null' };
+    }
+
+    const [, year, month, day, hour, minute, second, fraction, timezone] = match;
+    const monthNumber = month === undefined ? null : Number(month);
+    const dayNumber = day === undefined ? null : Number(day);
+
+    if ((monthNumber !== null && (monthNumber < 1 || monthNumber > 12)) ||
+      (dayNumber !== null && (dayNumber < 1 || dayNumber > daysInMonth(Number(year), monthNumber)))) {
+      this.error(`Invalid ${type === 'Date' ? 'date' : 'date/time'} literal @${value}`, node, 'syntax');
+      return { type: 'Null' };
+    }
+
+    result.year = integer(Number(year));
+    if (monthNumber !== null) result.month = integer(monthNumber);
+    if (dayNumber !== null) result.day = integer(dayNumber);
+    if (type === 'DateTime') {
+      if (hour !== undefined) result.hour = integer(Number(hour));
+      if (minute !== undefined) result.minute = integer(Number(minute));
+      if (second !== undefined) result.second = integer(Number(second));
+      if (fraction !== undefined) result.millisecond = integer(Number(fraction.padEnd(3, '0').slice(0, 3)));
+      if (timezone) {
+        const offset = timezone === 'Z'
+          ? 0
+          : (timezone.startsWith('-') ? -1 : 1) * (Number(timezone.slice(1, 3)) + Number(timezone.slice(4, 6)) / 60);
+        result.timezoneOffset = literal('Decimal')(offset);
+      }
+    }
+    return result;
+  }
+
+  translateList(node) {
+    const list = {
+      type: 'List',
+      element: node.elements.map(element => this.translateExpression(element))
+    };
+    if (node.typeSpecifier) {
+      list.typeSpecifier = {
+        type: 'ListTypeSpecifier',
+        elementType: this.translateTypeSpecifier(node.typeSpecifier)
+      };
+    }
+    return list;
+  }
+
+  translateCodeSelector(node) {
+    const code = {
+      type: 'Code',
+      code: node.code,
+      system: this.codeSystemReference(node.system)
+    };
+    if (node.display) {
+      code.display = node.display;
+    }
+    return code;
+  }
+
+  translateConvert(node) {
+    const operand = this.translateExpression(node.operand);
+    if (node.unit) {
+      return {
+        type: 'ConvertQuantity',
+        operand: [operand, { type: 'Literal', valueType: `{${SYSTEM_NAMESPACE}}String`, value: node.unit }]
+      };
+    }
+    const typeName = typeSpecifierName(node.typeSpecifier);
+    const conversions = ['Boolean', 'Integer', 'Long', 'Decimal', 'String', 'Quantity', 'Date', 'DateTime', 'Time', 'Concept'];
+    if (conversions.includes(typeName)) {
+      return { type: `To${typeName}`, operand };
+    }
+    this.error(`Cannot convert to ${typeName}`, node.typeSpecifier);
+    return { type: 'Null' };
+  }
+
+  translateComponentFrom(node) {
+    const operand = this.translateExpression(node.operand);
+    switch (node.component) {
+      case 'date':
+        return { type: 'DateFrom', operand };
+      case 'time':
+        return { type: 'TimeFrom', operand };
+      case 'timezoneoffset':
+        return { type: 'TimezoneOffsetFrom', operand };
+      default:
+        return { type: 'DateTimeComponentFrom', precision: capitalize(node.component), operand };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Identifier and member resolution
+  // ---------------------------------------------------------------------------
+
+  lookupScope(name) {
+    for (let index = this.scopes.length - 1; index >= 0; index--) {
+      const entry = this.scopes[index].get(name);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  inSortScope() {
+    return this.scopes.some(scope => scope.sort);
+  }
+
+  resolveIdentifier(node) {
+    const { name } = node;
+    const scoped = this.lookupScope(name);
+    if (scoped) {
+      switch (scoped.kind) {
+        case 'alias':
+          return { type: 'AliasRef', name };
+        case 'let':
+          return { type: 'QueryLetRef', name };
+        case 'operand':
+          return { type: 'OperandRef', name };
+        default:
+          break;
+      }
+    }
+
+    if (this.expressions.has(name)) return { type: 'ExpressionRef', name };
+    if (this.parameters.has(name)) return { type: 'ParameterRef', name };
+    if (this.valueSets.has(name)) return { type: 'ValueSetRef', name };
+    if (this.codes.has(name)) return { type: 'CodeRef', name };
+    if (this.codeSystems.has(name)) return { type: 'CodeSystemRef', name };
+    if (this.concepts.has(name)) return { type: 'ConceptRef', name };
+
+    if (this.inSortScope()) {
+      // Sort items refer to elements of the query result
+      return { type: 'IdentifierRef', name };
+    }
+
+    if (this.includes.has(name)) {
+      this.error(`Library ${name} must be followed by a member reference such as ${name}."Expression"`, node);
+      return { type: 'Null' };
+    }
+
+    if (name === 'Patient' && this.usings.has('FHIR')) {
+      this.error('Could not resolve identifier Patient in the current library. Add \'context Patient\' before referring to Patient', node);
+      return { type: 'Null' };
+    }
+
+    this.error(`Could not resolve identifier ${name} in the current library.`, node);
+    return { type: 'Null' };
+  }
+
+  translateMemberInvocation(node) {
+    const { source } = node;
+
+    if (source.kind === 'Identifier' && !this.lookupScope(source.name) && this.includes.has(source.name) &&
+      !this.expressions.has(source.name)) {
+      return this.resolveLibraryMember(source.name, node.name, node);
+    }
+
+    const translated = this.translateExpression(source);
+    if (translated.type === 'AliasRef') {
+      return { type: 'Property', path: node.name, scope: translated.name };
+    }
+    return { type: 'Property', path: node.name, source: translated };
+  }
+
+  /**
+   * Reference to a member of an included library
+   * @param {string} libraryName - Alias of the include
+   * @param {string} memberName - Name of the declaration
+   * @param {object} node - Syntax tree node, for diagnostics
+   * @param {string|null} expectedType - ELM reference type the member must be, e.g. 'CodeRef'
+   */
+  resolveLibraryMember(libraryName, memberName, node, expectedType = null) {
+    const include = this.includes.get(libraryName);
+    if (!include.library) {
+      this.error(`Could not resolve ${libraryName}."${memberName}": library ${include.libraryName} is not available`, node, 'include');
+      return { type: 'Null' };
+    }
+
+    const member = include.library.publicMember(memberName);
+    if (!member || (expectedType && member.type !== expectedType)) {
+      this.error(`Could not resolve ${libraryName}."${memberName}": library ${include.libraryName} has no public declaration with that name`, node, 'include');
+      return { type: 'Null' };
+    }
+    return { ...member, libraryName };
+  }
+
+  translateMethodInvocation(node) {
+    const { source } = node;
+
+    if (source.kind === 'Identifier' && !this.lookupScope(source.name) && this.includes.has(source.name) &&
+      !this.expressions.has(source.name)) {
+      return this.translateLibraryFunction(source.name, node);
+    }
+
+    const overload = this.findFunction(node.name, node.arguments.length + 1, true);
+    if (overload) {
+      return {
+        type: 'FunctionRef',
+        name: node.name,
+        operand: [this.translateExpression(source), ...node.arguments.map(argument => this.translateExpression(argument))]
+      };
+    }
+
+    // System functions may also be invoked fluently: X.exists(), Name.Upper()
+    return this.translateFunctionInvocation({
+      ...node,
+      kind: 'FunctionInvocation',
+      arguments: [source, ...node.arguments]
+    });
+  }
+
+  translateLibraryFunction(libraryName, node) {
+    const operand = node.arguments.map(argument => this.translateExpression(argument));
+    const include = this.includes.get(libraryName);
+    if (!include.library) {
+      return this.resolveLibraryMember(libraryName, node.name, node);
+    }
+
+    const overload = include.library.findFunction(node.name, operand.length);
+    if (!overload || overload.accessLevel === 'Private') {
+      const signature = operand.length === 1 ? '1 argument' : `${operand.length} arguments`;
+      this.error(`Could not resolve call to function ${libraryName}.${node.name} with ${signature}`, node, 'include');
+      return { type: 'Null' };
+    }
+    return { type: 'FunctionRef', libraryName, name: node.name, operand };
+  }
+
+  findFunction(name, arity, fluentOnly = false) {
+    const overloads = this.functions.get(name) || [];
+    return overloads.find(overload => overload.operands.length === arity && (!fluentOnly || overload.fluent)) || null;
+  }
+
+  translateFunctionInvocation(node) {
+    const { name } = node;
+    const userFunction = this.findFunction(name, node.arguments.length);
+    if (userFunction) {
+      return {
+        type: 'FunctionRef',
+        name,
+        operand: node.arguments.map(argument => this.translateExpression(argument))
+      };
+    }
+
+    const system = SYSTEM_FUNCTIONS[name];
+    if (system) {
+      const [min, max] = system.arity;
+      if (node.arguments.length >= min && node.arguments.length <= max) {
+        const args = node.arguments.map(argument => this.translateExpression(argument));
+        return system.build(args, this, node);
+      }
+    }
+
+    node.arguments.forEach(argument => this.translateExpression(argument));
+    const signature = node.arguments.length === 1 ? '1 argument' : `${node.arguments.length} arguments`;
+    if (this.functions.has(name)) {
+      this.error(`Could not resolve call to function ${name} with ${signature}`, node);
+    } else {
+      this.error(`Could not resolve call to operator ${name} with ${signature}.`, node);
+    }
+    return { type: 'Null' };
+  }
+
+  patientBirthDate(node, name) {
+    if (!this.expressions.has('Patient')) {
+      this.error(`${name}() requires a Patient context; add 'context Patient'`, node);
+      return { type: 'Null' };
+    }
+    return { type: 'Property', path: 'birthDate', source: { type: 'ExpressionRef', name: 'Patient' } };
+  }
+
+  codeSystemReference(reference) {
+    if (reference.libraryName) {
+      this.resolveLibraryMember(reference.libraryName, reference.name, reference, 'CodeSystemRef');
+      return { name: reference.name, libraryName: reference.libraryName };
+    }
+    if (!this.codeSystems.has(reference.name)) {
+      this.error(`Could not resolve code system "${reference.name}"`, reference);
+    }
+    return { name: reference.name };
+  }
+
+  codeReference(reference) {
+    if (reference.libraryName) {
+      this.resolveLibraryMember(reference.libraryName, reference.name, reference, 'CodeRef');
+      return { name: reference.name, libraryName: reference.libraryName };
+    }
+    if (!this.codes.has(reference.name)) {
+      this.error(`Could not resolve code "${reference.name}"`, reference);
+    }
+    return { name: reference.name };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Types
+  // ---------------------------------------------------------------------------
+
+  qualifiedTypeName(typeSpecifier) {
+    const { namespace, name } = typeSpecifier;
+    if (namespace === 'System' || (!namespace && SYSTEM_TYPES.has(name))) {
+      if (!SYSTEM_TYPES.has(name)) {
+        this.error(`Could not resolve type name System.${name}`, typeSpecifier);
+      }
+      return `{${SYSTEM_NAMESPACE}}${name}`;
+    }
+    if (namespace && namespace !== 'FHIR') {
+      this.error(`Could not resolve model ${namespace}. Only FHIR and System types are available`, typeSpecifier);
+      return `{${FHIR_NAMESPACE}}${name}`;
+    }
+    if (!this.usings.has('FHIR')) {
+      this.error(`Could not resolve type name ${name}. Add 'using FHIR version '4.0.1'' to use FHIR types`, typeSpecifier);
+    }
+    return `{${FHIR_NAMESPACE}}${name}`;
+  }
+
+  translateTypeSpecifier(typeSpecifier) {
+    switch (typeSpecifier.kind) {
+      case 'ListTypeSpecifier':
+        return { type: 'ListTypeSpecifier', elementType: this.translateTypeSpecifier(typeSpecifier.elementType) };
+      case 'IntervalTypeSpecifier':
+        return { type: 'IntervalTypeSpecifier', pointType: this.translateTypeSpecifier(typeSpecifier.pointType) };
+      case 'ChoiceTypeSpecifier':
+        return { type: 'ChoiceTypeSpecifier', choice: typeSpecifier.choices.map(choice => this.translateTypeSpecifier(choice)) };
+      case 'TupleTypeSpecifier':
+        return {
+          type: 'TupleTypeSpecifier',
+          element: typeSpecifier.elements.map(element => ({
+            name: element.name,
+            elementType: this.translateTypeSpecifier(element.elementType)
+          }))
+        };
+      default:
+        return { type: 'NamedTypeSpecifier', name: this.qualifiedTypeName(typeSpecifier) };
+    }
+  }
+
+  typeAnnotation(type) {
+    if (!this.options.resultTypes || !type) return {};
+    if (type.includes('<')) {
+      return { resultTypeSpecifier: typeStringToSpecifier(type) };
+    }
+    return { resultTypeName: qualifyTypeString(type) };
+  }
+
+  /**
+   * Translate without recording diagnostics (used when inferring types of
+   * definitions that are reported on their own)
+   */
+  translateExpressionSilently(node) {
+    const errorCount = this.errors.length;
+    const result = this.translateExpression(node);
+    this.errors.length = errorCount;
+    return result;
+  }
+
+  /**
+   * Infer the static result type of an ELM node, e.g. 'Integer' or 'List<FHIR.Condition>'
+   * @returns {string|null} Type string, or null when unknown
+   */
+  typeOf(elm) {
+    return inferType(elm, this);
+  }
+
+  /**
+   * Check the operands of an overloaded operator against its signatures.
+   * Operands whose type is unknown are not checked.
+   */
+  checkOperator(name, operands, node) {
+    if (!OPERATOR_SIGNATURES[name]) return;
+    const types = operands.map(operand => this.typeOf(operand));
+    if (types.some(type => !type)) return;
+
+    const resolved = resolveOperator(name, types);
+    if (!resolved) {
+      this.error(`Could not resolve call to operator ${name} with signature (${types.join(', ')}).`, node, 'type');
+    } else if (this.options.nodeTypes) {
+      node.signature = resolved;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Operators
+  // ---------------------------------------------------------------------------
+
+  translateUnary(node) {
+    const operand = this.translateExpression(node.operand);
+    const elm = this.unaryOperator(node, operand);
+    if (elm !== operand && elm.operand === operand) {
+      this.checkOperator(elm.type, [operand], node);
+    }
+    return elm;
+  }
+
+  unaryOperator(node, operand) {
+    switch (node.operator) {
+      case 'not':
+        return { type: 'Not', operand };
+      case 'exists':
+        return { type: 'Exists', operand };
+      case '-':
+        return { type: 'Negate', operand };
+      case '+':
+        return operand;
+      case 'start of':
+        return { type: 'Start', operand };
+      case 'end of':
+        return { type: 'End', operand };
+      case 'width of':
+        return { type: 'Width', operand };
+      case 'successor of':
+        return { type: 'Successor', operand };
+      case 'predecessor of':
+        return { type: 'Predecessor', operand };
+      case 'singleton from':
+        return { type: 'SingletonFrom', operand };
+      case 'point from':
+        return { type: 'PointFrom', operand };
+      case 'distinct':
+        return { type: 'Distinct', operand };
+      case 'flatten':
+        return { type: 'Flatten', operand };
+      default:
+        this.error(`Unsupported operator ${node.operator}`, node);
+        return { type: 'Null' };
+    }
+  }
+
+  translateBinary(node) {
+    const left = this.translateExpression(node.left);
+    const right = this.translateExpression(node.right);
+
+    if (node.deprecatedOperator) {
+      this.warning('\'<>\' is not a CQL operator; use \'!=\' for inequality', node);
+    }
+
+    const elm = this.binaryOperator(node, left, right);
+    // != and !~ negate the operator they check
+    this.checkOperator(elm.type === 'Not' ? elm.operand.type : elm.type, [left, right], node);
+    return elm;
+  }
+
+  binaryOperator(node, left, right) {
+    const operand = [left, right];
+    switch (node.operator) {
+      case 'and': return { type: 'And', operand };
+      case 'or': return { type: 'Or', operand };
+      case 'xor': return { type: 'Xor', operand };
+      case 'implies': return { type: 'Implies', operand };
+      case 'union': return { type: 'Union', operand };
+      case 'intersect': return { type: 'Intersect', operand };
+      case 'except': return { type: 'Except', operand };
+      case '=': return { type: 'Equal', operand };
+      case '!=': return { type: 'Not', operand: { type: 'Equal', operand } };
+      case '~': return { type: 'Equivalent', operand };
+      case '!~': return { type: 'Not', operand: { type: 'Equivalent', operand } };
+      case '<': return { type: 'Less', operand };
+      case '<=': return { type: 'LessOrEqual', operand };
+      case '>': return { type: 'Greater', operand };
+      case '>=': return { type: 'GreaterOrEqual', operand };
+      case '+':
+        if (toSystemType(this.typeOf(left)) === 'String' || toSystemType(this.typeOf(right)) === 'String') {
+          return { type: 'Concatenate', operand };
+        }
+        return { type: 'Add', operand };
+      case '-': return { type: 'Subtract', operand };
+      case '*': return { type: 'Multiply', operand };
+      case '/': return { type: 'Divide', operand };
+      case 'div': return { type: 'TruncatedDivide', operand };
+      case 'mod': return { type: 'Modulo', operand };
+      case '^': return { type: 'Power', operand };
+      case '&':
+        return {
+          type: 'Concatenate',
+          operand: operand.map(item => ({
+            type: 'Coalesce',
+            operand: [item, { type: 'Literal', valueType: `{${SYSTEM_NAMESPACE}}String`, value: '' }]
+          }))
+        };
+      case 'in':
+        if (right.type === 'ValueSetRef') {
+          return { type: 'InValueSet', code: left, valueset: right };
+        }
+        if (right.type === 'CodeSystemRef') {
+          return { type: 'InCodeSystem', code: left, codesystem: right };
+        }
+        return withPrecision({ type: 'In', operand }, node.precision);
+      case 'contains':
+        return withPrecision({ type: 'Contains', operand }, node.precision);
+      default:
+        this.error(`Unsupported operator ${node.operator}`, node);
+        return { type: 'Null' };
+    }
+  }
+
+  translateTiming(node) {
+    const { phrase } = node;
+    let left = this.translateExpression(node.left);
+    let right = this.translateExpression(node.right);
+
+    if (phrase.leftBoundary) {
+      left = { type: phrase.leftBoundary === 'start' ? 'Start' : 'End', operand: left };
+    }
+    if (phrase.rightBoundary) {
+      right = { type: phrase.rightBoundary === 'start' ? 'Start' : 'End', operand: right };
+    }
+
+    const operand = [left, right];
+    const precise = elm => withPrecision(elm, phrase.precision);
+
+    switch (phrase.relation) {
+      case 'same': {
+        const types = { 'as': 'SameAs', 'or before': 'SameOrBefore', 'or after': 'SameOrAfter' };
+        return precise({ type: types[phrase.qualifier], operand });
+      }
+      case 'includes':
+        return precise({ type: phrase.properly ? 'ProperIncludes' : 'Includes', operand });
+      case 'includedIn':
+        return precise({ type: phrase.properly ? 'ProperIncludedIn' : 'IncludedIn', operand });
+      case 'starts':
+        return precise({ type: 'Starts', operand });
+      case 'ends':
+        return precise({ type: 'Ends', operand });
+      case 'meets':
+      case 'overlaps': {
+        const base = phrase.relation === 'meets' ? 'Meets' : 'Overlaps';
+        const suffix = phrase.direction ? capitalize(phrase.direction) : '';
+        return precise({ type: `${base}${suffix}`, operand });
+      }
+      case 'within': {
+        const quantity = this.translateExpression(phrase.quantity);
+        return {
+          type: 'In',
+          operand: [
+            left,
+            {
+              type: 'Interval',
+              lowClosed: !phrase.properly,
+              highClosed: !phrase.properly,
+              low: { type: 'Subtract', operand: [right, quantity] },
+              high: { type: 'Add', operand: [right, quantity] }
+            }
+          ]
+        };
+      }
+      case 'beforeOrAfter':
+        return this.translateBeforeOrAfter(phrase, left, right);
+      default:
+        this.error('Unsupported timing phrase', phrase);
+        return { type: 'Null' };
+    }
+  }
+
+  translateBeforeOrAfter(phrase, left, right) {
+    const before = phrase.direction === 'before';
+    const precise = elm => withPrecision(elm, phrase.precision);
+
+    if (!phrase.offset) {
+      const type = phrase.inclusive
+        ? (before ? 'SameOrBefore' : 'SameOrAfter')
+        : (before ? 'Before' : 'After');
+      return precise({ type, operand: [left, right] });
+    }
+
+    const quantity = this.translateExpression(phrase.offset.quantity);
+    const shifted = { type: before ? 'Subtract' : 'Add', operand: [right, quantity] };
+    const unitPrecision = temporalPrecision(phrase.offset.quantity.unit);
+
+    switch (phrase.offset.qualifier) {
+      case 'or more':
+        return precise({ type: before ? 'SameOrBefore' : 'SameOrAfter', operand: [left, shifted] });
+      case 'more than':
+        return precise({ type: before ? 'Before' : 'After', operand: [left, shifted] });
+      case 'or less':
+      case 'less than': {
+        const closed = phrase.offset.qualifier === 'or less';
+        return {
+          type: 'In',
+          operand: [
+            left,
+            before
+              ? { type: 'Interval', lowClosed: closed, highClosed: phrase.inclusive, low: shifted, high: right }
+              : { type: 'Interval', lowClosed: phrase.inclusive, highClosed: closed, low: right, high: shifted }
+          ]
+        };
+      }
+      default:
+        return withPrecision({ type: 'SameAs', operand: [left, shifted] }, phrase.precision || unitPrecision);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Retrieves and queries
+  // ---------------------------------------------------------------------------
+
+  translateRetrieve(node) {
+    const typeName = node.typeSpecifier.name;
+
+    if (!this.usings.has('FHIR')) {
+      this.error(`Could not resolve type ${typeName}: retrieves need a data model, add 'using FHIR version '4.0.1''`, node.typeSpecifier);
+    } else if (node.typeSpecifier.namespace && node.typeSpecifier.namespace !== 'FHIR') {
+      this.error(`Could not resolve model ${node.typeSpecifier.namespace}`, node.typeSpecifier);
+    }
+
+    const retrieve = {
+      type: 'Retrieve',
+      dataType: `{${FHIR_NAMESPACE}}${typeName}`,
+      templateId: `${FHIR_NAMESPACE}/StructureDefinition/${typeName}`
+    };
+
+    if (node.terminology) {
+      const codes = this.translateExpression(node.terminology);
+      const codeProperty = node.codePath || PRIMARY_CODE_PATHS[typeName];
+      if (!codeProperty) {
+        this.error(`Retrieve of ${typeName} has no primary code path; specify one, e.g. [${typeName}: code in "Value Set"]`, node);
+      }
+      retrieve.codeProperty = codeProperty;
+      retrieve.codeComparator = node.comparator || (codes.type === 'ValueSetRef' ? 'in' : '~');
+      retrieve.codes = codes;
+    }
+
+    return retrieve;
+  }
+
+  translateQuery(node) {
+    const scope = new Map();
+    this.scopes.push(scope);
+
+    const source = node.sources.map(aliased => {
+      const expression = this.translateExpression(aliased.expression);
+      const elementType = elementTypeOf(this.typeOf(expression));
+      scope.set(aliased.alias, { kind: 'alias', type: elementType, sourceType: this.typeOf(expression) });
+      return this.withLocator({ alias: aliased.alias, expression }, aliased);
+    });
+
+    const query = { type: 'Query', source };
+
+    if (node.lets.length > 0) {
+      query.let = node.lets.map(letClause => {
+        const expression = this.translateExpression(letClause.expression);
+        scope.set(letClause.name, { kind: 'let', type: this.typeOf(expression) });
+        return this.withLocator({ identifier: letClause.name, expression }, letClause);
+      });
+    }
+
+    if (node.relationships.length > 0) {
+      query.relationship = node.relationships.map(relationship => {
+        const expression = this.translateExpression(relationship.source.expression);
+        const relationshipScope = new Map([[relationship.source.alias, { kind: 'alias', type: elementTypeOf(this.typeOf(expression)) }]]);
+        this.scopes.push(relationshipScope);
+        const suchThat = this.translateExpression(relationship.suchThat);
+        this.scopes.pop();
+        return this.withLocator({
+          type: relationship.type === 'with' ? 'With' : 'Without',
+          alias: relationship.source.alias,
+          expression,
+          suchThat
+        }, relationship);
+      });
+    }
+
+    if (node.where) {
+      query.where = this.translateExpression(node.where);
+    }
+
+    if (node.return) {
+      query.return = this.withLocator({
+        distinct: node.return.distinct !== false,
+        expression: this.translateExpression(node.return.expression)
+      }, node.return);
+    }
+
+    if (node.aggregate) {
+      const { aggregate } = node;
+      const starting = aggregate.starting ? this.translateExpression(aggregate.starting) : null;
+      scope.set(aggregate.identifier, { kind: 'alias', type: starting ? this.typeOf(starting) : null });
+      query.aggregate = this.withLocator({
+        identifier: aggregate.identifier,
+        distinct: aggregate.distinct === true,
+        ...(starting ? { starting } : {}),
+        expression: this.translateExpression(aggregate.expression)
+      }, aggregate);
+    }
+
+    this.scopes.pop();
+
+    if (node.sort) {
+      query.sort = this.translateSort(node.sort, scope);
+    }
+
+    return query;
+  }
+
+  translateSort(sort, queryScope) {
+    if (sort.items.length === 0) {
+      return this.withLocator({ by: [{ type: 'ByDirection', direction: sort.direction }] }, sort);
+    }
+
+    const sortScope = new Map(queryScope);
+    sortScope.sort = true;
+    this.scopes.push(sortScope);
+    const by = sort.items.map(item => this.withLocator({
+      type: 'ByExpression',
+      direction: item.direction || 'asc',
+      expression: this.translateExpression(item.expression)
+    }, item));
+    this.scopes.pop();
+
+    return this.withLocator({ by }, sort);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// System functions
+// -----------------------------------------------------------------------------
+
+const unary = type => ({ arity: [1, 1], build: ([operand]) => ({ type, operand }) });
+const nary = (type, min, max = min) => ({ arity: [min, max], build: operand => ({ type, operand }) });
+const aggregate = type => ({ arity: [1, 1], build: ([source]) => ({ type, source }) });
+const nullary = type => ({ arity: [0, 0], build: () => ({ type }) });
+
+const ageFunctions = {};
+for (const precision of ['Years', 'Months', 'Weeks', 'Days', 'Hours', 'Minutes', 'Seconds']) {
+  const elmPrecision = precision.slice(0, -1);
+  ageFunctions[`AgeIn${precision}`] = {
+    arity: [0, 0],
+    build: (args, translator, node) => ({
+      type: 'CalculateAge',
+      precision: elmPrecision,
+      operand: translator.patientBirthDate(node, `AgeIn${precision}`)
+    })
+  };
+  ageFunctions[`AgeIn${precision}At`] = {
+    arity: [1, 1],
+    build: ([asOf], translator, node) => ({
+      type: 'CalculateAgeAt',
+      precision: elmPrecision,
+      operand: [translator.patientBirthDate(node, `AgeIn${precision}At`), asOf]
+    })
+  };
+  ageFunctions[`CalculateAgeIn${precision}`] = {
+    arity: [1, 1],
+    build: ([birthDate]) => ({ type: 'CalculateAge', precision: elmPrecision, operand: birthDate })
+  };
+  ageFunctions[`CalculateAgeIn${precision}At`] = {
+    arity: [2, 2],
+    build: operand => ({ type: 'CalculateAgeAt', precision: elmPrecision, operand })
+  };
+}
+
+const conversions = {};
+for (const type of ['Boolean', 'Integer', 'Long', 'Decimal', 'String', 'Quantity', 'Date', 'DateTime', 'Time', 'Concept']) {
+  conversions[`To${type}`] = unary(`To${type}`);
+  conversions[`ConvertsTo${type}`] = unary(`ConvertsTo${type}`);
+}
+
+const SYSTEM_FUNCTIONS = {
+  // Aggregates
+  Count: aggregate('Count'),
+  Sum: aggregate('Sum'),
+  Min: aggregate('Min'),
+  Max: aggregate('Max'),
+  Avg: aggregate('Avg'),
+  Median: aggregate('Median'),
+  Mode: aggregate('Mode'),
+  StdDev: aggregate('StdDev'),
+  PopulationStdDev: aggregate('PopulationStdDev'),
+  Variance: aggregate('Variance'),
+  PopulationVariance: aggregate('PopulationVariance'),
+  AllTrue: aggregate('AllTrue'),
+  AnyTrue: aggregate('AnyTrue'),
+  Product: aggregate('Product'),
+  GeometricMean: aggregate('GeometricMean'),
+
+  // Lists
+  First: aggregate('First'),
+  Last: aggregate('Last'),
+  Exists: unary('Exists'),
+  Flatten: unary('Flatten'),
+  Distinct: unary('Distinct'),
+  SingletonFrom: unary('SingletonFrom'),
+  ToList: unary('ToList'),
+  IndexOf: { arity: [2, 2], build: ([source, element]) => ({ type: 'IndexOf', source, element }) },
+  Tail: { arity: [1, 1], build: ([source]) => ({ type: 'Slice', source, startIndex: integerLiteral(1), endIndex: { type: 'Null' } }) },
+  Take: { arity: [2, 2], build: ([source, count]) => ({ type: 'Slice', source, startIndex: integerLiteral(0), endIndex: count }) },
+  Skip: { arity: [2, 2], build: ([source, count]) => ({ type: 'Slice', source, startIndex: count, endIndex: { type: 'Null' } }) },
+  Length: unary('Length'),
+
+  // Strings
+  Combine: {
+    arity: [1, 2],
+    build: ([source, separator]) => ({ type: 'Combine', source, ...(separator ? { separator } : {}) })
+  },
+  Split: { arity: [2, 2], build: ([stringToSplit, separator]) => ({ type: 'Split', stringToSplit, separator }) },
+  SplitOnMatches: { arity: [2, 2], build: ([stringToSplit, separatorPattern]) => ({ type: 'SplitOnMatches', stringToSplit, separatorPattern }) },
+  Substring: {
+    arity: [2, 3],
+    build: ([stringToSub, startIndex, length]) => ({ type: 'Substring', stringToSub, startIndex, ...(length ? { length } : {}) })
+  },
+  PositionOf: { arity: [2, 2], build: ([pattern, string]) => ({ type: 'PositionOf', pattern, string }) },
+  LastPositionOf: { arity: [2, 2], build: ([pattern, string]) => ({ type: 'LastPositionOf', pattern, string }) },
+  Upper: unary('Upper'),
+  Lower: unary('Lower'),
+  StartsWith: nary('StartsWith', 2),
+  EndsWith: nary('EndsWith', 2),
+  Matches: nary('Matches', 2),
+  ReplaceMatches: nary('ReplaceMatches', 3),
+  Concatenate: nary('Concatenate', 2, Infinity),
+
+  // Arithmetic
+  Abs: unary('Abs'),
+  Ceiling: unary('Ceiling'),
+  Floor: unary('Floor'),
+  Truncate: unary('Truncate'),
+  Ln: unary('Ln'),
+  Exp: unary('Exp'),
+  Log: nary('Log', 2),
+  Power: nary('Power', 2),
+  Round: {
+    arity: [1, 2],
+    build: ([operand, precision]) => ({ type: 'Round', operand, ...(precision ? { precision } : {}) })
+  },
+  Predecessor: unary('Predecessor'),
+  Successor: unary('Successor'),
+
+  // Nullological
+  Coalesce: nary('Coalesce', 1, Infinity),
+  IsNull: unary('IsNull'),
+  IsTrue: unary('IsTrue'),
+  IsFalse: unary('IsFalse'),
+
+  // Date and time
+  Today: nullary('Today'),
+  Now: nullary('Now'),
+  TimeOfDay: nullary('TimeOfDay'),
+  Date: {
+    arity: [1, 3],
+    build: ([year, month, day]) => ({ type: 'Date', year, ...(month ? { month } : {}), ...(day ? { day } : {}) })
+  },
+  DateTime: {
+    arity: [1, 8],
+    build: args => {
+      const names = ['year', 'month', 'day', 'hour', 'minute', 'second', 'millisecond', 'timezoneOffset'];
+      return args.reduce((elm, value, index) => ({ ...elm, [names[index]]: value }), { type: 'DateTime' });
+    }
+  },
+  Time: {
+    arity: [1, 4],
+    build: args => {
+      const names = ['hour', 'minute', 'second', 'millisecond'];
+      return args.reduce((elm, value, index) => ({ ...elm, [names[index]]: value }), { type: 'Time' });
+    }
+  },
+
+  // Intervals
+  Start: unary('Start'),
+  End: unary('End'),
+  Width: unary('Width'),
+  PointFrom: unary('PointFrom'),
+  Size: unary('Size'),
+  Collapse: nary('Collapse', 1, 2),
+  Expand: nary('Expand', 1, 2),
+
+  // Errors and messaging
+  Message: {
+    arity: [5, 5],
+    build: ([source, condition, code, severity, message]) => ({ type: 'Message', source, condition, code, severity, message })
+  },
+
+  ...conversions,
+  ...ageFunctions
+};
+
+/**
+ * Names of system functions callable from CQL (used by editor tooling)
+ */
+export const SYSTEM_FUNCTION_NAMES = Object.keys(SYSTEM_FUNCTIONS);
+
+// -----------------------------------------------------------------------------
+// Type inference
+// -----------------------------------------------------------------------------
+
+const BOOLEAN_RESULTS = new Set([
+  'And', 'Or', 'Xor', 'Implies', 'Not', 'Equal', 'Equivalent', 'Less', 'LessOrEqual', 'Greater',
+  'GreaterOrEqual', 'Exists', 'In', 'InValueSet', 'InCodeSystem', 'Contains', 'Includes', 'IncludedIn',
+  'ProperIncludes', 'ProperIncludedIn', 'Before', 'After', 'SameAs', 'SameOrBefore', 'SameOrAfter',
+  'Meets', 'MeetsBefore', 'MeetsAfter', 'Overlaps', 'OverlapsBefore', 'OverlapsAfter', 'Starts', 'Ends',
+  'IsNull', 'IsTrue', 'IsFalse', 'Is', 'AllTrue', 'AnyTrue', 'StartsWith', 'EndsWith', 'Matches'
+]);
+
+const FIXED_RESULTS = {
+  Count: 'Integer',
+  Length: 'Integer',
+  IndexOf: 'Integer',
+  PositionOf: 'Integer',
+  LastPositionOf: 'Integer',
+  DurationBetween: 'Integer',
+  DifferenceBetween: 'Integer',
+  CalculateAge: 'Integer',
+  CalculateAgeAt: 'Integer',
+  DateTimeComponentFrom: 'Integer',
+  Ceiling: 'Integer',
+  Floor: 'Integer',
+  Truncate: 'Integer',
+  Avg: 'Decimal',
+  StdDev: 'Decimal',
+  PopulationStdDev: 'Decimal',
+  Variance: 'Decimal',
+  PopulationVariance: 'Decimal',
+  GeometricMean: 'Decimal',
+  Ln: 'Decimal',
+  Exp: 'Decimal',
+  Log: 'Decimal',
+  Round: 'Decimal',
+  TimezoneOffsetFrom: 'Decimal',
+  Concatenate: 'String',
+  Combine: 'String',
+  Upper: 'String',
+  Lower: 'String',
+  Substring: 'String',
+  ReplaceMatches: 'String',
+  Split: 'List<String>',
+  SplitOnMatches: 'List<String>',
+  Today: 'Date',
+  Now: 'DateTime',
+  TimeOfDay: 'Time',
+  Date: 'Date',
+  DateTime: 'DateTime',
+  Time: 'Time',
+  DateFrom: 'Date',
+  TimeFrom: 'Time',
+  Quantity: 'Quantity',
+  Ratio: 'Ratio',
+  Code: 'Code',
+  Concept: 'Concept',
+  CodeRef: 'Code',
+  ConceptRef: 'Concept',
+  ValueSetRef: 'ValueSet',
+  CodeSystemRef: 'CodeSystem',
+  ConvertQuantity: 'Quantity'
+};
+
+function inferType(elm, translator) {
+  if (!elm || typeof elm !== 'object') return null;
+
+  if (BOOLEAN_RESULTS.has(elm.type)) return 'Boolean';
+  if (FIXED_RESULTS[elm.type]) return FIXED_RESULTS[elm.type];
+  if (elm.type.startsWith('To') && SYSTEM_TYPES.has(elm.type.slice(2))) return elm.type.slice(2);
+  if (elm.type.startsWith('ConvertsTo')) return 'Boolean';
+
+  const typeOf = node => inferType(node, translator);
+  const operands = Array.isArray(elm.operand) ? elm.operand : [];
+
+  switch (elm.type) {
+    case 'Literal':
+      return elm.valueType.replace(`{${SYSTEM_NAMESPACE}}`, '');
+    case 'Add':
+    case 'Subtract':
+    case 'Multiply':
+    case 'TruncatedDivide':
+    case 'Modulo':
+    case 'Power':
+      return arithmeticType(operands.map(operand => toSystemType(typeOf(operand))), elm.type);
+    case 'Divide': {
+      const types = operands.map(operand => toSystemType(typeOf(operand)));
+      return types.includes('Quantity') ? 'Quantity' : 'Decimal';
+    }
+    case 'Negate':
+    case 'Abs':
+    case 'Predecessor':
+    case 'Successor':
+      return typeOf(elm.operand);
+    case 'Sum':
+    case 'Min':
+    case 'Max':
+    case 'Median':
+    case 'Mode':
+    case 'Product':
+    case 'First':
+    case 'Last':
+      return elementTypeOf(typeOf(elm.source));
+    case 'SingletonFrom':
+    case 'PointFrom':
+      return elementTypeOf(typeOf(elm.operand));
+    case 'Start':
+    case 'End':
+    case 'Width':
+      return pointTypeOf(typeOf(elm.operand));
+    case 'Indexer':
+      return typeOf(operands[0]) === 'String' ? 'String' : elementTypeOf(typeOf(operands[0]));
+    case 'List': {
+      if (elm.typeSpecifier) return `List<${specifierToTypeString(elm.typeSpecifier.elementType)}>`;
+      const types = elm.element.map(typeOf).filter(Boolean);
+      if (types.length === 0) return elm.element.length === 0 ? 'List<Any>' : null;
+      return `List<${types.includes('Decimal') && types.every(t => t === 'Integer' || t === 'Decimal') ? 'Decimal' : types[0]}>`;
+    }
+    case 'Interval': {
+      const point = typeOf(elm.low) || typeOf(elm.high);
+      return point ? `Interval<${point}>` : null;
+    }
+    case 'If':
+      return typeOf(elm.then) || typeOf(elm.else);
+    case 'Case':
+      return typeOf(elm.caseItem[0]?.then) || typeOf(elm.else);
+    case 'Coalesce':
+      return operands.map(typeOf).find(Boolean) || null;
+    case 'Distinct':
+      return typeOf(elm.operand);
+    case 'Flatten':
+      return elementTypeOf(typeOf(elm.operand));
+    case 'Union':
+    case 'Intersect':
+    case 'Except':
+      return typeOf(operands[0]) || typeOf(operands[1]);
+    case 'Slice':
+      return typeOf(elm.source);
+    case 'Retrieve':
+      return `List<FHIR.${elm.dataType.replace(`{${FHIR_NAMESPACE}}`, '')}>`;
+    case 'As':
+      return specifierToTypeString(elm.asTypeSpecifier);
+    case 'Instance':
+      return qualifiedToTypeString(elm.classType);
+    case 'MinValue':
+    case 'MaxValue':
+      return qualifiedToTypeString(elm.valueType);
+    case 'ExpressionRef': {
+      const library = referencedLibrary(elm, translator);
+      return library ? expressionRefType(elm.name, library) : null;
+    }
+    case 'ParameterRef': {
+      const library = referencedLibrary(elm, translator);
+      const parameter = library?.parameters.get(elm.name);
+      if (!parameter) return null;
+      if (parameter.typeSpecifier) return typeSpecifierName(parameter.typeSpecifier, true);
+      return parameter.default ? inferType(library.translateExpressionSilently(parameter.default), library) : null;
+    }
+    case 'AliasRef':
+    case 'QueryLetRef':
+    case 'OperandRef':
+      return translator?.lookupScope(elm.name)?.type || null;
+    case 'Property':
+      return getPropertyType(elm.scope ? translator?.lookupScope(elm.scope)?.type : typeOf(elm.source), elm.path);
+    case 'FunctionRef': {
+      const overload = referencedLibrary(elm, translator)?.findFunction(elm.name, operands.length);
+      return overload?.returnType ? typeSpecifierName(overload.returnType, true) : null;
+    }
+    case 'Query':
+      return queryType(elm, translator);
+    default:
+      return null;
+  }
+}
+
+// Translator of the library a reference points into: the current one or an included one
+function referencedLibrary(elm, translator) {
+  if (!translator || !elm.libraryName) return translator || null;
+  return translator.includes.get(elm.libraryName)?.library || null;
+}
+
+function expressionRefType(name, translator) {
+  if (translator.typeCache.has(name)) return translator.typeCache.get(name);
+  const entry = translator.expressions.get(name);
+  if (!entry) return null;
+  if (entry.implicit) return 'FHIR.Patient';
+
+  translator.typeCache.set(name, null);
+  const savedScopes = translator.scopes;
+  translator.scopes = [];
+  const type = inferType(translator.translateExpressionSilently(entry.declaration.expression), translator);
+  translator.scopes = savedScopes;
+  translator.typeCache.set(name, type);
+  return type;
+}
+
+function queryType(query, translator) {
+  if (query.aggregate) {
+    return query.aggregate.starting ? inferType(query.aggregate.starting, translator) : null;
+  }
+  const [first] = query.source;
+  const sourceType = inferType(first.expression, translator);
+  const singleton = sourceType && !sourceType.startsWith('List<');
+
+  if (query.return) {
+    if (!translator) return null;
+    translator.scopes.push(new Map(query.source.map(source => [
+      source.alias,
+      { kind: 'alias', type: elementTypeOf(inferType(source.expression, translator)) }
+    ])));
+    const returnType = inferType(query.return.expression, translator);
+    translator.scopes.pop();
+    if (!returnType) return null;
+    return singleton ? returnType : listOf(returnType);
+  }
+
+  if (query.source.length > 1) return null;
+  return sourceType;
+}
+
+function arithmeticType(types, operator) {
+  const temporal = types.find(type => type === 'Date' || type === 'DateTime' || type === 'Time');
+  if (temporal && (operator === 'Add' || operator === 'Subtract')) return temporal;
+  if (types.includes('Quantity')) {
+    return 'Quantity';
+  }
+  if (types.includes('String') && operator === 'Add') return 'String';
+  if (types.includes('Decimal')) return 'Decimal';
+  if (types.length > 0 && types.every(type => type === 'Integer')) return 'Integer';
+  if (types.length > 0 && types.every(type => type === 'Integer' || type === 'Long')) return 'Long';
+  return null;
+}
+
+function listOf(type) {
+  return type ? `List<${type}>` : null;
+}
+
+function elementTypeOf(type) {
+  if (!type) return null;
+  const match = type.match(/^List<(.+)>$/);
+  return match ? match[1] : type;
+}
+
+function pointTypeOf(type) {
+  if (!type) return null;
+  const match = (getImplicitConversion(type) || type).match(/^Interval<(.+)>$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Convert a parsed type specifier into a type string such as 'Interval<DateTime>'
+ */
+function typeSpecifierName(typeSpecifier, qualify = false) {
+  if (!typeSpecifier) return null;
+  switch (typeSpecifier.kind) {
+    case 'ListTypeSpecifier':
+      return `List<${typeSpecifierName(typeSpecifier.elementType, qualify)}>`;
+    case 'IntervalTypeSpecifier':
+      return `Interval<${typeSpecifierName(typeSpecifier.pointType, qualify)}>`;
+    case 'NamedTypeSpecifier':
+      if (!qualify || SYSTEM_TYPES.has(typeSpecifier.name) || typeSpecifier.namespace === 'System') {
+        return typeSpecifier.name;
+      }
+      return `FHIR.${typeSpecifier.name}`;
+    default:
+      return null;
+  }
+}
+
+function specifierToTypeString(specifier) {
+  if (!specifier) return null;
+  switch (specifier.type) {
+    case 'ListTypeSpecifier':
+      return `List<${specifierToTypeString(specifier.elementType)}>`;
+    case 'IntervalTypeSpecifier':
+      return `Interval<${specifierToTypeString(specifier.pointType)}>`;
+    case 'ChoiceTypeSpecifier':
+      return `Choice<${specifier.choice.map(specifierToTypeString).join(', ')}>`;
+    case 'NamedTypeSpecifier':
+      return qualifiedToTypeString(specifier.name);
+    default:
+      return null;
+  }
+}
+
+function qualifiedToTypeString(name) {
+  if (name.startsWith(`{${SYSTEM_NAMESPACE}}`)) return name.replace(`{${SYSTEM_NAMESPACE}}`, '');
+  if (name.startsWith(`{${FHIR_NAMESPACE}}`)) return `FHIR.${name.replace(`{${FHIR_NAMESPACE}}`, '')}`;
+  return name;
+}
+
+function qualifyTypeString(type) {
+  if (type.startsWith('FHIR.')) return `{${FHIR_NAMESPACE}}${type.slice(5)}`;
+  return `{${SYSTEM_NAMESPACE}}${type}`;
+}
+
+function typeStringToSpecifier(type) {
+  const { name, args } = parseTypeString(type);
+  switch (name) {
+    case 'List':
+      return { type: 'ListTypeSpecifier', elementType: typeStringToSpecifier(args[0]) };
+    case 'Interval':
+      return { type: 'IntervalTypeSpecifier', pointType: typeStringToSpecifier(args[0]) };
+    case 'Choice':
+      return { type: 'ChoiceTypeSpecifier', choice: args.map(typeStringToSpecifier) };
+    default:
+      return { type: 'NamedTypeSpecifier', name: qualifyTypeString(type) };
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function translateLiteral(node) {
+  if (node.valueType === 'Null') {
+    return { type: 'Null' };
+  }
+  if (!LITERAL_TYPES.has(node.valueType)) {
+    return { type: 'Null' };
+  }
+  return {
+    type: 'Literal',
+    valueType: `{${SYSTEM_NAMESPACE}}${node.valueType}`,
+    value: String(node.value)
+  };
+}
+
+function integerLiteral(value) {
+  return { type: 'Literal', valueType: `{${SYSTEM_NAMESPACE}}Integer`, value: String(value) };
+}
+
+function withPrecision(elm, precision) {
+  return precision ? { ...elm, precision } : elm;
+}
+
+function temporalPrecision(unit) {
+  const singular = unit.endsWith('s') ? unit.slice(0, -1) : unit;
+  return DATE_TIME_PRECISIONS.includes(singular) ? capitalize(singular) : null;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
@@ -0,0 +1,278 @@
+/**
+ * CQL Types
+ * Operations on the type strings the translator infers ('Integer',
+ * 'List<FHIR.Condition>', 'Choice<FHIR.dateTime, FHIR.Period>'): property
+ * access through the model info, implicit conversions, and resolution of
+ * overloaded operators against their signatures.
+ *
+ * Conversions follow CQL's rules: Integer promotes to Long, Decimal and
+ * Quantity, Date to DateTime, Code to Concept, a single value to a list, and
+ * FHIR types convert to System types through FHIRHelpers. Types the model
+ * info does not describe are assumed compatible so gaps in the model never
+ * produce spurious errors.
+ */
+
+import { getModelType, getElementType, getImplicitConversion, isSubtypeOf } from './modelinfo.js';
+
+const INCOMPATIBLE = Infinity;
+
+// Implicit conversions between System types, with their cost
+const SYSTEM_PROMOTIONS = {
+  Integer: { Long: 1, Decimal: 1, Quantity: 2 },
+  Long: { Decimal: 1 },
+  Decimal: { Quantity: 1 },
+  Date: { DateTime: 1 },
+  Code: { Concept: 1 }
+};
+
+const GENERIC = /\bT\b/;
+
+const NUMERIC = ['Integer', 'Long', 'Decimal', 'Quantity'];
+const ORDERED = [...NUMERIC, 'String', 'Date', 'DateTime', 'Time'];
+const TEMPORAL = ['Date', 'DateTime', 'Time'];
+
+const signature = (operands, resultType) => ({ operands, resultType });
+const sameTyped = (types, arity, resultType = null) =>
+  types.map(type => signature(Array(arity).fill(type), resultType || type));
+const boolean = arity => sameTyped(['Boolean'], arity);
+const comparison = () => sameTyped(ORDERED, 2, 'Boolean');
+const temporalArithmetic = () => [...sameTyped(NUMERIC, 2), ...TEMPORAL.map(type => signature([type, 'Quantity'], type))];
+const setOperator = () => [
+  signature(['List<Any>', 'List<Any>'], 'List<Any>'),
+  signature(['Interval<T>', 'Interval<T>'], 'Interval<T>')
+];
+
+/**
+ * Signatures of the overloaded System operators, by ELM operator name
+ */
+export const OPERATOR_SIGNATURES = {
+  Add: temporalArithmetic(),
+  Subtract: temporalArithmetic(),
+  Multiply: sameTyped(NUMERIC, 2),
+  Divide: sameTyped(['Decimal', 'Quantity'], 2),
+  TruncatedDivide: sameTyped(NUMERIC, 2),
+  Modulo: sameTyped(NUMERIC, 2),
+  Power: sameTyped(['Integer', 'Long', 'Decimal'], 2),
+  Negate: sameTyped(NUMERIC, 1),
+  Successor: sameTyped(ORDERED.filter(type => type !== 'String'), 1),
+  Predecessor: sameTyped(ORDERED.filter(type => type !== 'String'), 1),
+  Concatenate: sameTyped(['String'], 2),
+  And: boolean(2),
+  Or: boolean(2),
+  Xor: boolean(2),
+  Implies: boolean(2),
+  Not: boolean(1),
+  Equal: [signature(['T', 'T'], 'Boolean')],
+  Equivalent: [signature(['T', 'T'], 'Boolean')],
+  Less: comparison(),
+  LessOrEqual: comparison(),
+  Greater: comparison(),
+  GreaterOrEqual: comparison(),
+  Exists: [signature(['List<Any>'], 'Boolean')],
+  In: [signature(['T', 'List<T>'], 'Boolean'), signature(['T', 'Interval<T>'], 'Boolean')],
+  Contains: [signature(['List<T>', 'T'], 'Boolean'), signature(['Interval<T>', 'T'], 'Boolean')],
+  Union: setOperator(),
+  Intersect: setOperator(),
+  Except: setOperator(),
+  Start: [signature(['Interval<T>'], 'T')],
+  End: [signature(['Interval<T>'], 'T')],
+  Width: [signature(['Interval<T>'], 'T')],
+  PointFrom: [signature(['Interval<T>'], 'T')],
+  SingletonFrom: [signature(['List<T>'], 'T')],
+  Distinct: [signature(['List<T>'], 'List<T>')],
+  Flatten: [signature(['List<List<T>>'], 'List<T>')]
+};
+
+/**
+ * Split a type string into its constructor and type arguments
+ * @param {string} type - e.g. 'List<Interval<DateTime>>'
+ * @returns {object} { name, args }, e.g. { name: 'List', args: ['Interval<DateTime>'] }
+ */
+export function parseTypeString(type) {
+  const open = type.indexOf('<');
+  if (open === -1 || !type.endsWith('>')) return { name: type, args: [] };
+  return { name: type.slice(0, open), args: splitTypeArguments(type.slice(open + 1, -1)) };
+}
+
+function splitTypeArguments(text) {
+  const args = [];
+  let depth = 0;
+  let start = 0;
+  for (let index = 0; index < text.length; index++) {
+    const character = text[index];
+    if (character === '<') depth++;
+    else if (character === '>') depth--;
+    else if (character === ',' && depth === 0) {
+      args.push(text.slice(start, index).trim());
+      start = index + 1;
+    }
+  }
+  args.push(text.slice(start).trim());
+  return args;
+}
+
+/**
+ * Type of a property accessed on a value, e.g. 'period' of FHIR.Encounter is
+ * FHIR.Period. Access on a list applies to each element and flattens.
+ * @param {string|null} type - Type of the value
+ * @param {string} path - Property name
+ * @returns {string|null} Type string, or null when unknown
+ */
+export function getPropertyType(type, path) {
+  if (!type) return null;
+  const { name, args } = parseTypeString(type);
+
+  switch (name) {
+    case 'List': {
+      const elementType = getPropertyType(args[0], path);
+      if (!elementType) return null;
+      return elementType.startsWith('List<') ? elementType : `List<${elementType}>`;
+    }
+    case 'Interval':
+      if (path === 'low' || path === 'high') return args[0];
+      return path === 'lowClosed' || path === 'highClosed' ? 'Boolean' : null;
+    case 'Choice':
+      return choiceOf(args.map(choice => getPropertyType(choice, path)).filter(Boolean));
+    default:
+      return getElementType(type, path);
+  }
+}
+
+function choiceOf(types) {
+  const unique = [...new Set(types)];
+  if (unique.length === 0) return null;
+  return unique.length === 1 ? unique[0] : `Choice<${unique.join(', ')}>`;
+}
+
+/**
+ * The System type a value converts to when used with System operators,
+ * e.g. FHIR.date is used as Date. Other types are returned unchanged.
+ */
+export function toSystemType(type) {
+  return (type && getImplicitConversion(type)) || type;
+}
+
+/**
+ * Cost of using a value of one type where another is expected
+ * @param {string} from - Type of the value
+ * @param {string} to - Expected type
+ * @returns {number} 0 when the type already fits, higher for longer chains of
+ *   implicit conversions, Infinity when it cannot be used
+ */
+export function conversionCost(from, to) {
+  if (from === to || to === 'Any') return 0;
+  if (from === 'Any') return 1;
+
+  const source = parseTypeString(from);
+  const target = parseTypeString(to);
+
+  if (source.name === 'Choice') {
+    return Math.min(...source.args.map(choice => conversionCost(choice, to))) + 1;
+  }
+  if (target.name === 'Choice') {
+    return Math.min(...target.args.map(choice => conversionCost(from, choice)));
+  }
+  if (source.args.length > 0 && source.name === target.name) {
+    return conversionCost(source.args[0], target.args[0]);
+  }
+
+  if (source.args.length === 0 && target.args.length === 0) {
+    if (!isDescribed(from) || !isDescribed(to)) return 1;
+    if (isSubtypeOf(from, to)) return 0;
+    if (SYSTEM_PROMOTIONS[from]?.[to]) return SYSTEM_PROMOTIONS[from][to];
+  }
+
+  const converted = getImplicitConversion(from);
+  if (converted) {
+    const cost = conversionCost(converted, to);
+    if (cost !== INCOMPATIBLE) return cost + 1;
+  }
+
+  // A single value is promoted to a list when a list is expected
+  if (target.name === 'List' && source.name !== 'List' && source.name !== 'Interval') {
+    const cost = conversionCost(from, target.args[0]);
+    if (cost !== INCOMPATIBLE) return cost + 2;
+  }
+
+  return INCOMPATIBLE;
+}
+
+function isDescribed(type) {
+  return Boolean(getModelType(type));
+}
+
+/**
+ * Resolve a call to an overloaded operator
+ * @param {string} name - ELM operator name, e.g. 'Add'
+ * @param {Array<string>} operandTypes - Types of the operands
+ * @returns {object|null} The best matching signature as { name, operands, resultType } with
+ *   generic parameters bound, or null when no signature accepts the operands
+ */
+export function resolveOperator(name, operandTypes) {
+  let best = null;
+  for (const candidate of OPERATOR_SIGNATURES[name] || []) {
+    if (candidate.operands.length !== operandTypes.length) continue;
+    const match = matchSignature(candidate, operandTypes);
+    if (match && (!best || match.cost < best.cost)) best = match;
+  }
+  return best ? { name, operands: best.operands, resultType: best.resultType } : null;
+}
+
+function matchSignature(candidate, types) {
+  let { operands, resultType } = candidate;
+
+  if (operands.some(operand => GENERIC.test(operand))) {
+    const bound = [];
+    operands.forEach((operand, index) => collectBindings(operand, types[index], bound));
+    const generic = bound.reduce((common, type) => (common === null ? null : commonType(common, type)), bound[0] || 'Any');
+    if (!generic) return null;
+    const substitute = type => type.replace(/\bT\b/g, generic);
+    operands = operands.map(substitute);
+    resultType = substitute(resultType);
+  }
+
+  const cost = operands.reduce((total, operand, index) => total + conversionCost(types[index], operand), 0);
+  return cost === INCOMPATIBLE ? null : { operands, resultType, cost };
+}
+
+function collectBindings(parameter, type, bound) {
+  if (parameter === 'T') {
+    bound.push(type);
+    return;
+  }
+  if (!GENERIC.test(parameter)) return;
+
+  const expected = parseTypeString(parameter);
+  let actual = parseTypeString(type);
+  if (actual.name !== expected.name && getImplicitConversion(type)) {
+    actual = parseTypeString(getImplicitConversion(type));
+  }
+
+  if (actual.name === expected.name) {
+    expected.args.forEach((arg, index) => collectBindings(arg, actual.args[index], bound));
+  } else if (expected.name === 'List') {
+    collectBindings(expected.args[0], type, bound);
+  }
+}
+
+/**
+ * The type two values can both be used as, preferring the cheaper conversion
+ */
+function commonType(left, right) {
+  const toRight = conversionCost(left, right);
+  const toLeft = conversionCost(right, left);
+  if (toRight !== INCOMPATIBLE || toLeft !== INCOMPATIBLE) {
+    return toRight <= toLeft ? right : left;
+  }
+
+  const [systemLeft, systemRight] = [toSystemType(left), toSystemType(right)];
+  if (systemLeft !== left || systemRight !== right) return commonType(systemLeft, systemRight);
+  return null;
+}
+
+/**
+ * Readable operator signature, e.g. 'Add(Integer, Integer) Integer'
+ */
+export function formatSignature(resolved) {
+  return `${resolved.name}(${resolved.operands.join(', ')}) ${resolved.resultType}`;
+}
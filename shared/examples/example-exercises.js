@@ -206,6 +206,12 @@ define "Quantity Expression":
 
 define "String Concatenation":
   ToString(1) + 'John'`,
+      bugs: [
+        { line: 2, description: "Inequality uses <> instead of !=" },
+        { line: 5, description: "Comparison operator has a space in it" },
+        { line: 8, description: "Quantity unit is not quoted" },
+        { line: 11, description: "Number added to a string without conversion" }
+      ],
       readonly: false,
       language: "cql"
     }
@@ -539,6 +545,7 @@ define "Final Score": 100`,
       }
     ],
     timeLimit: 30,
+    maxSubmissions: 3,
     passingScore: 70
   },
   
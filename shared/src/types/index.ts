@@ -12,6 +12,7 @@ export interface Exercise {
   type: 'tutorial' | 'practice' | 'challenge' | 'debug' | 'build';
   content: ExerciseContent;
   files: ExerciseFile[];
+  parameters?: Record<string, ParameterValue>; // presets for the library's parameter declarations
   validation: ExerciseValidation;
   feedback: ExerciseFeedback;
 }
@@ -28,13 +29,26 @@ export interface ExerciseFile {
   template: string;
   solution: string;
   readonly?: boolean;
+  bugs?: SeededBug[]; // debug exercises
 }
 
+// A bug deliberately left in a debug exercise's template, by template line
+export interface SeededBug {
+  line: number;
+  endLine?: number;
+  description: string;
+}
+
+// Interval { low, high, lowClosed, highClosed }, Quantity { value, unit },
+// Code/Concept { system, code, display }, or CQL expression text
+export type ParameterValue = Record<string, unknown> | string | number | boolean;
+
 export interface ExerciseValidation {
-  customValidator?: string; // javascript function
+  customValidator?: string; // javascript source defining validate(code, results, exercise)
   testCases?: TestCase[];
   allowedErrors?: string[];
-  timeLimit?: number; // seconds
+  timeLimit?: number; // seconds; minutes for an assessment attempt
+  maxSubmissions?: number; // graded submissions per assessment attempt
 }
 
 export interface ExerciseFeedback {
@@ -43,9 +57,40 @@ export interface ExerciseFeedback {
   commonErrors?: ErrorPattern[];
 }
 
+export interface CustomValidatorResult {
+  score: number; // 0-100
+  passed: boolean;
+  errors: string[];
+  feedback: string[];
+}
+
 export interface TestCase {
-  input: unknown;
+  description: string;
+  input?: TestCaseInput;
+  expectedOutput: Record<string, unknown>; // keyed by define name
+  tolerance?: number; // for numeric comparisons
+}
+
+export interface TestCaseInput {
+  patientId?: string; // synthetic patient, or the patient within `resources`
+  resources?: unknown; // FHIR resources or Bundle used instead of the synthetic patients
+  parameters?: Record<string, unknown> | { name: string; type: string; value: unknown }[];
+}
+
+export interface TestCaseResult {
+  description: string;
+  passed: boolean;
+  diffs: TestCaseDiff[];
+  error: string | null;
+  duration: number; // milliseconds
+}
+
+export interface TestCaseDiff {
+  define: string;
+  path: string; // e.g. "[2].value"
   expected: unknown;
+  actual: unknown;
+  message: string;
 }
 
 export interface HintCondition {
@@ -84,6 +129,7 @@ export interface CQLError {
   };
   suggestion?: string;
   severity: 'error' | 'warning' | 'info';
+  definition?: string; // expression definition that failed, for runtime errors
 }
 
 // API response types
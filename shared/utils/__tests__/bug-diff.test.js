@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import { checkBugs, checkBugAnnotations, checkExerciseBugs } from '../bug-diff.js';
+import { performQualityChecks } from '../exercise-validator.js';
+
+// A debug file with two bugs, separated by a line the solution keeps
+const FILE = {
+  name: 'main.cql',
+  template: [
+    "library Test version '1.0.0'",
+    '',
+    'define "Adult":',
+    '  AgeInYears() > 18',
+    '',
+    'define "Unit": \'mg\'',
+    '',
+    'define "Dose": 5 \'g\'',
+    '',
+    'define "Name": \'x\''
+  ].join('\n'),
+  solution: [
+    "library Test version '1.0.0'",
+    '',
+    'define "Adult":',
+    '  AgeInYears() >= 18',
+    '',
+    'define "Unit": \'mg\'',
+    '',
+    'define "Dose": 5 \'mg\'',
+    '',
+    'define "Name": \'x\''
+  ].join('\n'),
+  bugs: [{ line: 4, description: 'Adults are 18 or older' }, { line: 8, description: 'The dose is in milligrams' }]
+};
+
+const statuses = result => result.bugs.map(({ status, location }) => [status, location]);
+
+describe('checkBugs', () => {
+  it('reports every bug unfixed in the template and fixed in the solution', () => {
+    const unfixed = checkBugs(FILE, FILE.template);
+    const fixed = checkBugs(FILE, FILE.solution);
+
+    expect(unfixed).toEqual({
+      bugs: [
+        { description: 'Adults are 18 or older', line: 4, endLine: 4, status: 'unfixed', location: 4 },
+        { description: 'The dose is in milligrams', line: 8, endLine: 8, status: 'unfixed', location: 8 }
+      ],
+      unrelatedChanges: [],
+      fixed: 0
+    });
+    expect(statuses(fixed)).toEqual([['fixed', 4], ['fixed', 8]]);
+    expect(fixed.fixed).toBe(2);
+  });
+
+  it('ignores indentation, spacing, blank lines and comments, locating bugs in the learner\'s code', () => {
+    const result = checkBugs(FILE, [
+      '// Fixed',
+      "library Test version '1.0.0'",
+      'define   "Adult":',
+      '    AgeInYears() >= 18 // inclusive',
+      'define "Unit": \'mg\'',
+      'define "Dose": 5 \'kg\'',
+      'define "Name": \'x\''
+    ].join('\n'));
+
+    expect(statuses(result)).toEqual([['fixed', 4], ['incorrect', 6]]);
+    expect(result).toMatchObject({ unrelatedChanges: [], fixed: 1 });
+  });
+
+  it('reports changes away from the bugs', () => {
+    expect(checkBugs(FILE, FILE.solution.replace("'x'", "'y'")).unrelatedChanges)
+      .toEqual([{ line: 10, message: 'Changed "define "Name": \'x\'"' }]);
+    expect(checkBugs(FILE, FILE.solution.replace('\n\ndefine "Unit": \'mg\'', '')).unrelatedChanges)
+      .toEqual([{ line: 6, message: 'Removed "define "Unit": \'mg\'"' }]);
+    expect(checkBugs(FILE, `${FILE.solution}\ndefine "Extra": 1`)).toMatchObject({
+      unrelatedChanges: [{ line: 11, message: 'Added code at line 11' }],
+      fixed: 2
+    });
+  });
+});
+
+describe('checkExerciseBugs', () => {
+  it('checks only debug exercises with annotated bugs and a solution', () => {
+    expect(checkExerciseBugs({ type: 'debug', files: [FILE] }, FILE.solution).fixed).toBe(2);
+    expect(checkExerciseBugs({ type: 'practice', files: [FILE] }, FILE.solution)).toBeNull();
+    expect(checkExerciseBugs({ type: 'debug', files: [{ ...FILE, bugs: [] }] }, FILE.solution)).toBeNull();
+    expect(checkExerciseBugs({ type: 'debug', files: [{ ...FILE, solution: '' }] }, FILE.solution)).toBeNull();
+  });
+});
+
+describe('checkBugAnnotations', () => {
+  it('accepts bugs that cover every line the solution changes', () => {
+    expect(checkBugAnnotations(FILE)).toEqual([]);
+  });
+
+  it('reports bugs outside the template or covering nothing', () => {
+    expect(checkBugAnnotations({ ...FILE, bugs: [{ line: 11, description: 'Far' }] })).toContain(
+      'Bug "Far" is past the end of the template (10 lines)'
+    );
+    expect(checkBugAnnotations({ ...FILE, bugs: [{ line: 6, endLine: 5, description: 'Back' }] })).toContain(
+      'Bug "Back" ends before it starts'
+    );
+    expect(checkBugAnnotations({ ...FILE, bugs: [...FILE.bugs, { line: 2, description: 'Blank' }] })).toContain(
+      'Bug "Blank" (line 2) covers only blank lines or comments'
+    );
+  });
+
+  it('reports bugs the solution does not change and changes no bug annotates', () => {
+    const file = { name: 'a.cql', template: 'define A: 1\ndefine B: 2\ndefine C: 3', solution: 'define A: 1\ndefine B: 2\ndefine C: 30' };
+
+    expect(checkBugAnnotations({ ...file, bugs: [{ line: 1, description: 'A' }] })).toEqual([
+      'Bug "A" (line 1) is the same in the template and the solution',
+      'The solution changes line 3, which no bug annotates'
+    ]);
+    expect(checkBugAnnotations({ ...FILE, bugs: [FILE.bugs[0]] })).toEqual(['The solution changes line 8, which no bug annotates']);
+  });
+
+  it('reports bugs graded together and files without a solution', () => {
+    const adjacent = {
+      name: 'a.cql',
+      template: 'define A: 1\ndefine B: 2\ndefine C: 3',
+      solution: 'define A: 1\ndefine B: 20\ndefine C: 30',
+      bugs: [{ line: 2, description: 'B' }, { line: 3, description: 'C' }]
+    };
+
+    expect(checkBugAnnotations(adjacent)).toEqual(['Bugs at lines 2 and 3 are graded together; separate them with an unchanged line']);
+    expect(checkBugAnnotations({ ...FILE, solution: null })).toEqual(['main.cql has bugs but no solution to compare fixes with']);
+  });
+});
+
+describe('performQualityChecks for debug exercises', () => {
+  it('warns when no bugs are annotated', () => {
+    const exercise = { type: 'debug', files: [{ ...FILE, bugs: [] }], content: {}, validation: {} };
+
+    expect(performQualityChecks(exercise).warnings).toContain(
+      'Debug exercise has no seeded bugs annotated - mark the template lines the solution fixes'
+    );
+  });
+});
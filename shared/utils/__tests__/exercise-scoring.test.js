@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import { checkPatterns, checkExecution, normalizeCode, scoreSolution, describeScore } from '../exercise-scoring.js';
+
+const CODE = "library Test version '1.0.0'\ndefine \"Adult\": AgeInYears() >= 18";
+
+describe('checkPatterns', () => {
+  it('matches patterns case-insensitively and awards their points', () => {
+    const results = checkPatterns(CODE, [
+      { pattern: 'define\\s+"adult"', description: 'Defines Adult', points: 20 },
+      { pattern: 'Count\\(', description: 'Counts', required: false },
+      { pattern: '(', description: 'Broken' }
+    ]);
+
+    expect(results).toEqual([
+      { label: 'Defines Adult', passed: true, required: true, points: 20, maxPoints: 20, message: null },
+      { label: 'Counts', passed: false, required: false, points: 0, maxPoints: 10, message: null },
+      {
+        label: 'Broken',
+        passed: false,
+        required: true,
+        points: 0,
+        maxPoints: 10,
+        message: 'Invalid pattern: Invalid regular expression: /(/gim: Unterminated group'
+      }
+    ]);
+  });
+});
+
+describe('checkExecution', () => {
+  it('passes when no result has an error', () => {
+    expect(checkExecution([{ name: 'A', result: 1 }])).toEqual({ passed: true, message: null });
+    expect(checkExecution([{ name: 'A', error: 'Overflow' }, { 'translator-error': 'Bad', name: 'B' }])).toEqual({
+      passed: false,
+      message: 'A: Overflow; B: Bad'
+    });
+    expect(checkExecution(null)).toEqual({ passed: false, message: 'The code did not run' });
+  });
+});
+
+describe('normalizeCode', () => {
+  it('ignores whitespace, case and comments as configured', () => {
+    const code = 'define  A:\n  1 // one\n/* note */';
+
+    expect(normalizeCode(code)).toBe(code);
+    expect(normalizeCode(code, { ignoreWhitespace: true, ignoreCase: true })).toBe('define a: 1 // one /* note */');
+    expect(normalizeCode(code, { ignoreComments: true })).toBe('define  A:\n  1 \n');
+  });
+});
+
+describe('scoreSolution', () => {
+  const patterns = checkPatterns(CODE, [
+    { pattern: 'define', description: 'Defines', points: 10 },
+    { pattern: 'Count\\(', description: 'Counts', points: 20, required: false }
+  ]);
+  const tests = [
+    { description: 'Adult patient', passed: true },
+    { description: 'Child patient', passed: false, diffs: [{ define: 'Adult', path: null, message: 'expected false, got true' }] }
+  ];
+
+  it('weights the graded criteria to total 100 and deducts hint penalties', () => {
+    const breakdown = scoreSolution({}, { patterns, tests, execution: { passed: true, message: null }, hintsUsed: 2 });
+
+    expect(breakdown.criteria.map(({ id, weight, score, points }) => [id, weight, score, points])).toEqual([
+      ['patterns', 30, 33, 9.9],
+      ['tests', 60, 50, 30],
+      ['execution', 10, 100, 10]
+    ]);
+    expect(breakdown).toMatchObject({ score: 40, passed: false, passingScore: 70, hintPenalty: { hintsUsed: 2, points: 10 } });
+  });
+
+  it('uses the exercise\'s rubric and passing score', () => {
+    const breakdown = scoreSolution(
+      { passingScore: 40, rubric: { weights: { patterns: 0 }, hintPenalty: 10, maxHintPenalty: 15 } },
+      { patterns, tests, hintsUsed: 3 }
+    );
+
+    expect(breakdown.criteria.map(criterion => criterion.weight)).toEqual([0, 100]);
+    expect(breakdown).toMatchObject({ score: 35, passed: false, hintPenalty: { points: 15 } });
+    expect(scoreSolution({ passingScore: 40 }, { tests }).passed).toBe(true);
+  });
+
+  it('fails required patterns, error-level lint rules and failed solutions regardless of score', () => {
+    const required = checkPatterns(CODE, [{ pattern: 'Count\\(', description: 'Counts' }]);
+    const lint = [{ ruleId: 'null-comparison', title: 'Test for null with is null', severity: 'error', passed: false, problems: [{ message: 'Use is null' }] }];
+
+    expect(scoreSolution({ passingScore: 0 }, { patterns: required }).passed).toBe(false);
+    expect(scoreSolution({ passingScore: 0 }, { lint }).passed).toBe(false);
+    expect(scoreSolution({ passingScore: 0 }, { lint: [{ ...lint[0], severity: 'warning' }] }).passed).toBe(true);
+    expect(scoreSolution({}, { solution: { score: 90, passed: false } }).passed).toBe(false);
+    expect(scoreSolution({}, { solution: { score: 90, passed: false, blocking: false } }).passed).toBe(true);
+  });
+
+  it('scores bugs fixed out of the bugs and the unrelated changes', () => {
+    const breakdown = scoreSolution({}, {
+      bugs: {
+        bugs: [
+          { description: 'Wrong comparison', status: 'fixed', location: 3 },
+          { description: 'Wrong unit', status: 'incorrect', location: 4 }
+        ],
+        unrelatedChanges: [{ line: 6, message: 'Line 6 was changed' }],
+        fixed: 1
+      }
+    });
+
+    expect(breakdown.criteria[0]).toMatchObject({ id: 'bugs', score: 33, passed: false });
+    expect(breakdown.criteria[0].details).toEqual([
+      { label: 'Wrong comparison', passed: true, message: null, line: 3 },
+      { label: 'Wrong unit', passed: false, message: "changed, but doesn't match the expected fix", line: 4 },
+      { label: 'Only change the lines with bugs', passed: false, message: 'Line 6 was changed', line: 6 }
+    ]);
+    expect(breakdown.passed).toBe(false);
+  });
+
+  it('gives full marks when nothing is graded', () => {
+    expect(scoreSolution({}, { hintsUsed: 1 })).toEqual({
+      score: 95,
+      passed: true,
+      passingScore: 70,
+      criteria: [],
+      hintPenalty: { hintsUsed: 1, points: 5 }
+    });
+  });
+});
+
+describe('describeScore', () => {
+  it('lists checks passed and failed, and the hint penalty', () => {
+    const breakdown = scoreSolution({}, {
+      patterns: checkPatterns(CODE, [{ pattern: 'define', description: 'Defines' }, { pattern: 'Count', description: 'Counts', required: false }]),
+      tests: [{ description: 'Child patient', passed: false, error: 'Timed out' }],
+      hintsUsed: 1
+    });
+
+    expect(describeScore(breakdown)).toEqual([
+      '✓ Defines',
+      '✗ Counts (optional, 10 points)',
+      '✗ Child patient (Timed out)',
+      '−5 for 1 hint used'
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { validateExerciseData, performQualityChecks } from '../exercise-validator.js';
+import { exampleExercises } from '../../examples/example-exercises.js';
+
+// A new exercise as the studio starts it, before anything is filled in
+const NEW_EXERCISE = {
+  id: '',
+  version: '1.0.0',
+  title: '',
+  description: '',
+  difficulty: 'beginner',
+  estimatedTime: 15,
+  prerequisites: [],
+  concepts: [],
+  tags: [],
+  type: 'practice',
+  content: { instructions: '', hints: [] },
+  files: [{ name: 'main.cql', template: "library Exercise version '1.0.0'", solution: '', language: 'cql' }],
+  validation: { strategy: 'execution-result', patterns: [], testCases: [], passingScore: 70 }
+};
+
+describe('validateExerciseData', () => {
+  it('accepts the example exercises', () => {
+    exampleExercises.forEach(exercise => expect(validateExerciseData(exercise)).toEqual({ success: true, errors: [], warnings: [] }));
+  });
+
+  it('reports each schema error at the path of the field', () => {
+    const { success, errors } = validateExerciseData(NEW_EXERCISE);
+
+    expect(success).toBe(false);
+    expect(errors.map(({ path, message }) => [path, message])).toEqual([
+      ['/id', 'must NOT have fewer than 3 characters'],
+      ['/id', 'must match pattern "^[a-z0-9-]+$"'],
+      ['/title', 'must NOT have fewer than 5 characters'],
+      ['/description', 'must NOT have fewer than 10 characters'],
+      ['/concepts', 'must NOT have fewer than 1 items'],
+      ['/content/instructions', 'must NOT have fewer than 50 characters']
+    ]);
+    errors.forEach(error => expect(error.severity).toBe('error'));
+  });
+
+  it('lists the allowed values of enumerations', () => {
+    const { errors } = validateExerciseData({ ...exampleExercises[0], difficulty: 'impossible', version: '1' });
+
+    expect(errors).toEqual([
+      expect.objectContaining({ path: '/version', message: 'must match pattern "^\\d+\\.\\d+\\.\\d+$"' }),
+      expect.objectContaining({
+        path: '/difficulty',
+        data: 'impossible',
+        allowedValues: ['beginner', 'intermediate', 'advanced', 'expert']
+      })
+    ]);
+  });
+});
+
+describe('performQualityChecks', () => {
+  it('scores a complete exercise highly', () => {
+    const { qualityScore, warnings, suggestions } = performQualityChecks(exampleExercises[0]);
+
+    expect(qualityScore).toBe(97);
+    expect(warnings).toEqual([]);
+    expect(suggestions).toEqual(['Consider adding diagrams or images to enhance learning']);
+  });
+
+  it('suggests hints and solutions for a new exercise', () => {
+    const { qualityScore, suggestions, recommendations } = performQualityChecks(NEW_EXERCISE);
+
+    expect(qualityScore).toBe(82);
+    expect(suggestions).toEqual([
+      'Consider adding progressive hints to help struggling learners',
+      'Consider providing reference solutions for comparison and validation'
+    ]);
+    expect(recommendations.map(recommendation => recommendation.type)).toEqual(['enhancement', 'pedagogy']);
+  });
+
+  it('warns about exercises without CQL files or validation', () => {
+    const { qualityScore, warnings, recommendations } = performQualityChecks({
+      ...NEW_EXERCISE,
+      files: [{ name: 'notes.md', template: '# Notes', solution: 'x' }],
+      validation: { strategy: 'exact-match' }
+    });
+
+    expect(warnings).toEqual([
+      'Exercise has weak validation - consider adding test cases or patterns',
+      'Exercise has no CQL files - this may not be appropriate for CQL learning'
+    ]);
+    expect(qualityScore).toBe(50);
+    expect(recommendations[0]).toMatchObject({ priority: 'high', type: 'quality' });
+  });
+});
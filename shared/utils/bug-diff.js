@@ -0,0 +1,284 @@
+/**
+ * Bug Diff
+ * Grades debug exercises. The template of a debug exercise's first file is
+ * deliberately broken, and its `bugs` annotate where: each bug covers template
+ * lines `line` to `endLine`. The learner's code is compared line by line with
+ * the solution: a bug is fixed when no difference touches its fix, and
+ * differences away from every bug are reported as unrelated rewrites.
+ *
+ * Lines are compared without indentation, repeated spaces or `//` comments,
+ * and blank lines are ignored. Bugs with no unchanged line between them are
+ * graded together.
+ */
+
+/**
+ * Check a debug exercise's bugs, when the exercise has any
+ * @param {object} exercise - Exercise document
+ * @param {string} code - The learner's code for the first file
+ * @returns {object|null} checkBugs result, or null for other exercises
+ */
+export function checkExerciseBugs(exercise, code) {
+  const file = exercise?.files?.[0];
+  if (exercise?.type !== 'debug' || !file?.bugs?.length || !file.solution) return null;
+  return checkBugs(file, code);
+}
+
+/**
+ * Compare code with a file's template and solution at its bugs
+ * @param {object} file - { template, solution, bugs: [{ line, endLine, description }] }
+ * @param {string} code - The learner's code
+ * @returns {object} { bugs: [{ description, line, endLine, status, location }], unrelatedChanges: [{ line, message }], fixed }
+ *   where status is 'fixed', 'unfixed' (still as in the template) or 'incorrect' (changed, but not to the solution),
+ *   and location is the line of the learner's code the bug is at
+ */
+export function checkBugs(file, code) {
+  const template = significantLines(file.template);
+  const solution = significantLines(file.solution || '');
+  const learner = significantLines(code);
+  const toSolution = alignLines(template, solution);
+  const toLearner = alignLines(template, learner);
+  const regions = bugRegions(file.bugs, template, toSolution, solution.length);
+
+  // Each difference from the solution belongs to the bugs whose fix it touches, or to none
+  const solutionToLearner = alignLines(solution, learner);
+  const hunks = changedHunks(solutionToLearner, learner.length).map(hunk => {
+    const added = learner.slice(hunk.bStart, hunk.bEnd).map(entry => entry.text);
+    const owners = regions.filter(region => (hunk.aStart === hunk.aEnd
+      ? ownsInsertion(region, hunk.aStart, added, template)
+      : hunk.aStart < region.to && hunk.aEnd - 1 > region.from));
+    const unbroken = solution.slice(hunk.aStart, hunk.aEnd)
+      .find((entry, offset) => !regions.some(region => region.from < hunk.aStart + offset && hunk.aStart + offset < region.to));
+    return { ...hunk, owners, unbroken, unrelated: owners.length === 0 || Boolean(unbroken) };
+  });
+
+  const learnerLine = index => learner[index]?.line ?? (learner.length > 0 ? learner[learner.length - 1].line + 1 : 1);
+
+  const bugs = regions.map(region => {
+    const owned = hunks.filter(hunk => hunk.owners.includes(region));
+    const original = region.lines.filter(index => toSolution[index] === -1);
+    const status = owned.length === 0
+      ? 'fixed'
+      : original.every(index => toLearner[index] !== -1) ? 'unfixed' : 'incorrect';
+
+    // The first of the learner's lines in place of the fix
+    const fixStart = region.from + 1 < region.to ? solutionToLearner[region.from + 1] : -1;
+    const location = owned.length > 0
+      ? learnerLine(owned[0].bStart)
+      : learnerLine(fixStart !== -1 ? fixStart : region.from === -1 ? 0 : solutionToLearner[region.from] + 1);
+
+    return {
+      description: region.bug.description,
+      line: region.bug.line,
+      endLine: region.endLine,
+      status,
+      location
+    };
+  });
+
+  // Differences outside every bug rewrite code that was not broken
+  const unrelatedChanges = hunks
+    .filter(hunk => hunk.unrelated)
+    .map(hunk => {
+      const line = learnerLine(hunk.bStart);
+      if (hunk.aStart === hunk.aEnd) {
+        return { line, message: `Added code at line ${line}` };
+      }
+      return { line, message: `${hunk.bStart === hunk.bEnd ? 'Removed' : 'Changed'} "${(hunk.unbroken || solution[hunk.aStart]).text}"` };
+    });
+
+  return {
+    bugs,
+    unrelatedChanges,
+    fixed: bugs.filter(bug => bug.status === 'fixed').length
+  };
+}
+
+/**
+ * Problems with a file's bug annotations, for exercise authors: bugs outside
+ * the template, bugs the solution does not change, solution changes no bug
+ * annotates, and bugs that are graded together
+ * @param {object} file - { name, template, solution, bugs }
+ * @returns {Array<string>}
+ */
+export function checkBugAnnotations(file) {
+  const problems = [];
+  const lineCount = (file.template || '').split(/\r?\n/).length;
+  file.bugs.forEach(bug => {
+    if (bug.line > lineCount || (bug.endLine || bug.line) > lineCount) {
+      problems.push(`Bug "${bug.description}" is past the end of the template (${lineCount} lines)`);
+    } else if (bug.endLine && bug.endLine < bug.line) {
+      problems.push(`Bug "${bug.description}" ends before it starts`);
+    }
+  });
+  if (!file.solution) {
+    problems.push(`${file.name} has bugs but no solution to compare fixes with`);
+    return problems;
+  }
+
+  const template = significantLines(file.template);
+  const solution = significantLines(file.solution);
+  const toSolution = alignLines(template, solution);
+  const regions = bugRegions(file.bugs, template, toSolution, solution.length);
+
+  regions.forEach(region => {
+    if (region.endLine > lineCount) return;
+    if (region.lines.length === 0) {
+      problems.push(`Bug "${region.bug.description}" (line ${region.bug.line}) covers only blank lines or comments`);
+    } else if (isUnchanged(region, toSolution)) {
+      problems.push(`Bug "${region.bug.description}" (line ${region.bug.line}) is the same in the template and the solution`);
+    }
+  });
+
+  const annotated = new Set(regions.flatMap(region => region.lines));
+  changedHunks(toSolution, solution.length).forEach(hunk => {
+    const unannotated = template.slice(hunk.aStart, hunk.aEnd).filter((entry, offset) => !annotated.has(hunk.aStart + offset));
+    if (unannotated.length > 0) {
+      unannotated.forEach(entry => problems.push(`The solution changes line ${entry.line}, which no bug annotates`));
+    } else if (hunk.aStart === hunk.aEnd && !regions.some(region => region.before < hunk.aStart && hunk.aStart <= region.after)) {
+      problems.push(`The solution adds "${solution[hunk.bStart].text}", which no bug annotates`);
+    }
+  });
+
+  regions.forEach((region, index) => {
+    const first = regions.findIndex(other => other.from === region.from && other.to === region.to);
+    if (first !== index) {
+      problems.push(`Bugs at lines ${regions[first].bug.line} and ${region.bug.line} are graded together; separate them with an unchanged line`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Where each bug is: its template lines, and the template lines before and
+ * after it that are not annotated as bugs and that the solution keeps
+ * @returns {Array} [{ bug, endLine, lines, before, after, from, to }], with
+ *   lines, before and after indexes into the template and from and to the
+ *   solution indexes of before and after (-1 and the solution's length at its ends)
+ */
+function bugRegions(bugs, template, toSolution, solutionLength) {
+  const inBug = entry => bugs.some(bug => entry.line >= bug.line && entry.line <= (bug.endLine || bug.line));
+  const isAnchor = index => toSolution[index] !== -1 && !inBug(template[index]);
+
+  return bugs.map(bug => {
+    const endLine = bug.endLine || bug.line;
+    let start = template.findIndex(entry => entry.line >= bug.line);
+    if (start === -1) start = template.length;
+
+    let before = start - 1;
+    while (before >= 0 && !isAnchor(before)) before -= 1;
+    let after = start;
+    while (after < template.length && !isAnchor(after)) after += 1;
+
+    const lines = [];
+    for (let index = start; index < template.length && template[index].line <= endLine; index += 1) {
+      lines.push(index);
+    }
+
+    return {
+      bug,
+      endLine,
+      lines,
+      before,
+      after,
+      from: before === -1 ? -1 : toSolution[before],
+      to: after === template.length ? solutionLength : toSolution[after]
+    };
+  });
+}
+
+// The solution keeps every template line between a bug's anchors and adds none
+function isUnchanged(region, toSolution) {
+  const kept = toSolution.slice(region.before + 1, region.after).every(index => index !== -1);
+  return kept && region.to - region.from === region.after - region.before;
+}
+
+// Code added between two lines of the solution belongs to a bug when it is
+// among the bug's fix lines, is left over from the bug, or the fix removes lines
+function ownsInsertion(region, position, added, template) {
+  if (position <= region.from || position > region.to) return false;
+  const hasFixLines = region.from + 1 < region.to;
+  const insideFix = position - 1 > region.from && position < region.to;
+  const leftOver = added.some(text => region.lines.some(index => template[index].text === text));
+  return !hasFixLines || insideFix || leftOver;
+}
+
+// Lines with their 1-based line numbers, without blank lines
+function significantLines(text) {
+  return text.split(/\r?\n/)
+    .map((raw, index) => ({ line: index + 1, text: normalizeLine(raw) }))
+    .filter(entry => entry.text);
+}
+
+// Drop a line comment and collapse whitespace outside string literals
+function normalizeLine(raw) {
+  let normalized = '';
+  let quote = null;
+  for (let index = 0; index < raw.length; index += 1) {
+    const char = raw[index];
+    if (quote) {
+      normalized += char;
+      if (char === '\\') {
+        normalized += raw[index + 1] || '';
+        index += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '/' && raw[index + 1] === '/') {
+      break;
+    } else if (/\s/.test(char)) {
+      if (normalized && !normalized.endsWith(' ')) normalized += ' ';
+    } else {
+      if (char === '\'' || char === '"' || char === '`') quote = char;
+      normalized += char;
+    }
+  }
+  return normalized.trim();
+}
+
+/**
+ * Longest common subsequence of two lists of lines
+ * @returns {Array<number>} For each line of a, the index of its matching line in b, or -1
+ */
+function alignLines(a, b) {
+  const width = b.length + 1;
+  const common = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      common[i * width + j] = a[i].text === b[j].text
+        ? common[(i + 1) * width + j + 1] + 1
+        : Math.max(common[(i + 1) * width + j], common[i * width + j + 1]);
+    }
+  }
+
+  const matches = new Array(a.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i].text === b[j].text) {
+      matches[i] = j;
+      i += 1;
+      j += 1;
+    } else if (common[(i + 1) * width + j] >= common[i * width + j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  return matches;
+}
+
+// Runs of lines between matches: template lines [aStart, aEnd) became lines [bStart, bEnd)
+function changedHunks(matches, bLength) {
+  const hunks = [];
+  let previousA = -1;
+  let previousB = -1;
+  [...matches.map((b, a) => [a, b]).filter(([, b]) => b !== -1), [matches.length, bLength]].forEach(([a, b]) => {
+    if (a > previousA + 1 || b > previousB + 1) {
+      hunks.push({ aStart: previousA + 1, aEnd: a, bStart: previousB + 1, bEnd: b });
+    }
+    previousA = a;
+    previousB = b;
+  });
+  return hunks;
+}
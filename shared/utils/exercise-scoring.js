@@ -0,0 +1,279 @@
+/**
+ * Exercise Scoring
+ * Partial-credit rubric scoring. Each criterion an exercise grades (its
+ * validation strategy, patterns, test cases, a debug exercise's bugs, lint
+ * rules and whether the code runs) scores 0-100 and counts toward the total by its weight; each hint
+ * revealed before submitting then deducts points from the total. Exercises
+ * adjust the weights and hint penalty in `validation.rubric`.
+ */
+
+export const DEFAULT_RUBRIC = {
+  weights: {
+    solution: 60,
+    patterns: 30,
+    tests: 60,
+    bugs: 60,
+    lint: 10,
+    execution: 10
+  },
+  hintPenalty: 5,
+  maxHintPenalty: 25
+};
+
+export const CRITERION_LABELS = {
+  solution: 'Solution',
+  patterns: 'Required code',
+  tests: 'Test cases',
+  bugs: 'Bugs fixed',
+  lint: 'Code style',
+  execution: 'Runs without errors'
+};
+
+/**
+ * Match an exercise's patterns against code
+ * @param {string} code - CQL code
+ * @param {Array} patterns - Exercise validation patterns
+ * @returns {Array} [{ label, passed, required, points, maxPoints, message }]
+ */
+export function checkPatterns(code, patterns = []) {
+  return patterns.map(pattern => {
+    const maxPoints = pattern.points ?? 10;
+    let passed = false;
+    let message = null;
+    try {
+      passed = new RegExp(pattern.pattern, 'gim').test(code);
+    } catch (error) {
+      message = `Invalid pattern: ${error.message}`;
+    }
+    return {
+      label: pattern.description,
+      passed,
+      required: pattern.required ?? true,
+      points: passed ? maxPoints : 0,
+      maxPoints,
+      message
+    };
+  });
+}
+
+/**
+ * Whether code ran without errors
+ * @param {Array} results - Execution results, [{ name, error, 'translator-error' }],
+ *   or test results, [{ description, error }]
+ * @returns {object} { passed, message }
+ */
+export function checkExecution(results) {
+  if (!Array.isArray(results)) {
+    return { passed: false, message: 'The code did not run' };
+  }
+  const failed = results.filter(result => result.error || result['translator-error']);
+  return failed.length === 0
+    ? { passed: true, message: null }
+    : { passed: false, message: failed.map(result => `${result.name || result.description}: ${result['translator-error'] || result.error}`).join('; ') };
+}
+
+/**
+ * Normalize code for exact matching
+ * @param {string} code - CQL code
+ * @param {object} options - The exercise's `validation.exactMatch`, { ignoreWhitespace, ignoreCase, ignoreComments }
+ * @returns {string}
+ */
+export function normalizeCode(code, options = {}) {
+  let normalized = code;
+
+  if (options.ignoreWhitespace) {
+    normalized = normalized.replace(/\s+/g, ' ').trim();
+  }
+
+  if (options.ignoreCase) {
+    normalized = normalized.toLowerCase();
+  }
+
+  if (options.ignoreComments) {
+    // Remove single-line comments
+    normalized = normalized.replace(/\/\/.*$/gm, '');
+    // Remove multi-line comments
+    normalized = normalized.replace(/\/\*[\s\S]*?\*\//g, '');
+  }
+
+  return normalized;
+}
+
+/**
+ * Score a solution against an exercise's rubric. Criteria without evidence are
+ * not graded, and the weights of the graded criteria are scaled to total 100.
+ * @param {object} validation - The exercise's validation
+ * @param {object} evidence - What was checked
+ * @param {object} [evidence.solution] - The validation strategy's outcome, { score, passed, details };
+ *   a failed solution does not pass unless it sets `blocking: false`
+ * @param {Array} [evidence.patterns] - checkPatterns results
+ * @param {Array} [evidence.tests] - Test results, [{ description, passed, error, diffs }]
+ * @param {object} [evidence.bugs] - checkBugs result, for debug exercises
+ * @param {Array} [evidence.lint] - checkLintRules results
+ * @param {object} [evidence.execution] - checkExecution result
+ * @param {number} [evidence.hintsUsed] - Hints revealed before submitting
+ * @returns {object} { score, passed, passingScore, criteria, hintPenalty }, with
+ *   criteria [{ id, label, weight, score, points, passed, details: [{ label, passed, message, line }] }],
+ *   where line, when set, is the line of the code a detail is about
+ */
+export function scoreSolution(validation = {}, evidence = {}) {
+  const rubric = resolveRubric(validation.rubric);
+  const passingScore = validation.passingScore ?? 70;
+
+  const graded = [
+    evidence.solution && {
+      id: 'solution',
+      score: evidence.solution.score,
+      passed: evidence.solution.passed,
+      blocking: evidence.solution.blocking ?? !evidence.solution.passed,
+      details: evidence.solution.details || []
+    },
+    evidence.patterns?.length > 0 && scorePatterns(evidence.patterns),
+    evidence.tests?.length > 0 && scoreTests(evidence.tests),
+    evidence.bugs?.bugs.length > 0 && scoreBugs(evidence.bugs),
+    evidence.lint?.length > 0 && scoreLint(evidence.lint),
+    evidence.execution && {
+      id: 'execution',
+      score: evidence.execution.passed ? 100 : 0,
+      passed: evidence.execution.passed,
+      details: [{ label: 'The code runs without errors', passed: evidence.execution.passed, message: evidence.execution.message }]
+    }
+  ].filter(Boolean);
+
+  const totalWeight = graded.reduce((sum, criterion) => sum + rubric.weights[criterion.id], 0);
+  const criteria = graded.map(criterion => {
+    const weight = totalWeight > 0 ? (rubric.weights[criterion.id] / totalWeight) * 100 : 0;
+    return {
+      ...criterion,
+      label: CRITERION_LABELS[criterion.id],
+      score: clampScore(criterion.score),
+      weight: round(weight),
+      points: round((clampScore(criterion.score) * weight) / 100)
+    };
+  });
+
+  const hintsUsed = evidence.hintsUsed || 0;
+  const hintPenalty = {
+    hintsUsed,
+    points: Math.min(hintsUsed * rubric.hintPenalty, rubric.maxHintPenalty)
+  };
+
+  // Nothing graded: the exercise has no checks to fail
+  const earned = criteria.length > 0 ? criteria.reduce((sum, criterion) => sum + criterion.points, 0) : 100;
+  const score = clampScore(Math.round(earned) - hintPenalty.points);
+
+  // Required patterns, error-level lint rules, a debug exercise's bugs and the validation strategy must pass regardless of score
+  const blocked = criteria.some(criterion => criterion.blocking);
+
+  return {
+    score,
+    passed: score >= passingScore && !blocked,
+    passingScore,
+    criteria: criteria.map(({ blocking, ...criterion }) => criterion),
+    hintPenalty
+  };
+}
+
+/**
+ * Feedback lines for a score breakdown, "✓ ..." for checks passed and "✗ ..." for failures
+ * @param {object} breakdown - scoreSolution result
+ * @returns {Array<string>}
+ */
+export function describeScore(breakdown) {
+  const lines = breakdown.criteria.flatMap(criterion => criterion.details.map(detail => (detail.passed
+    ? `✓ ${detail.label}`
+    : `✗ ${detail.label}${detail.message ? ` (${detail.message})` : ''}`)));
+
+  if (breakdown.hintPenalty.points > 0) {
+    lines.push(`−${breakdown.hintPenalty.points} for ${breakdown.hintPenalty.hintsUsed} hint${breakdown.hintPenalty.hintsUsed !== 1 ? 's' : ''} used`);
+  }
+  return lines;
+}
+
+function resolveRubric(rubric = {}) {
+  return {
+    ...DEFAULT_RUBRIC,
+    ...rubric,
+    weights: { ...DEFAULT_RUBRIC.weights, ...rubric.weights }
+  };
+}
+
+// Points earned out of the patterns' points; patterns worth 0 points count equally
+function scorePatterns(patterns) {
+  const maxPoints = patterns.reduce((sum, pattern) => sum + pattern.maxPoints, 0);
+  const score = maxPoints > 0
+    ? (patterns.reduce((sum, pattern) => sum + pattern.points, 0) / maxPoints) * 100
+    : (patterns.filter(pattern => pattern.passed).length / patterns.length) * 100;
+
+  return {
+    id: 'patterns',
+    score,
+    passed: patterns.every(pattern => pattern.passed),
+    blocking: patterns.some(pattern => pattern.required && !pattern.passed),
+    details: patterns.map(pattern => ({
+      label: pattern.label,
+      passed: pattern.passed,
+      message: pattern.message || (pattern.passed ? null : `${pattern.required ? 'required' : 'optional'}, ${pattern.maxPoints} points`)
+    }))
+  };
+}
+
+function scoreTests(tests) {
+  return {
+    id: 'tests',
+    score: (tests.filter(test => test.passed).length / tests.length) * 100,
+    passed: tests.every(test => test.passed),
+    details: tests.map(test => ({
+      label: test.description,
+      passed: test.passed,
+      message: test.passed ? null : test.error || test.diffs?.map(diff => `${diff.define}${diff.path ? ` ${diff.path}` : ''}: ${diff.message}`).join('; ')
+    }))
+  };
+}
+
+// Bugs fixed out of the bugs and the unrelated changes, so rewriting working code costs points
+function scoreBugs({ bugs, unrelatedChanges, fixed }) {
+  const passed = fixed === bugs.length && unrelatedChanges.length === 0;
+  return {
+    id: 'bugs',
+    score: (fixed / (bugs.length + unrelatedChanges.length)) * 100,
+    passed,
+    blocking: !passed,
+    details: [
+      ...bugs.map(bug => ({
+        label: bug.description,
+        passed: bug.status === 'fixed',
+        message: bug.status === 'fixed' ? null : bug.status === 'unfixed' ? 'not fixed yet' : "changed, but doesn't match the expected fix",
+        line: bug.location
+      })),
+      ...unrelatedChanges.map(change => ({
+        label: 'Only change the lines with bugs',
+        passed: false,
+        message: change.message,
+        line: change.line
+      }))
+    ]
+  };
+}
+
+function scoreLint(rules) {
+  return {
+    id: 'lint',
+    score: (rules.filter(rule => rule.passed).length / rules.length) * 100,
+    passed: rules.every(rule => rule.passed),
+    blocking: rules.some(rule => !rule.passed && rule.severity === 'error'),
+    details: rules.map(rule => ({
+      label: `Lint: ${rule.title}`,
+      passed: rule.passed,
+      message: rule.passed ? null : rule.problems[0].message
+    }))
+  };
+}
+
+function clampScore(score) {
+  return Math.min(100, Math.max(0, Math.round(score)));
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
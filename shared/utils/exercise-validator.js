@@ -5,17 +5,8 @@
 
 import Ajv from 'ajv';
 import addFormats from 'ajv-formats';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load schema from JSON file
-const exerciseSchema = JSON.parse(
-  readFileSync(join(__dirname, '../schemas/exercise-schema.json'), 'utf8')
-);
+import exerciseSchema from '../schemas/exercise-schema.json' with { type: 'json' };
+import { checkBugAnnotations } from './bug-diff.js';
 
 // Create AJV instance with formats support
 const ajv = new Ajv({ 
@@ -130,6 +121,19 @@ export function performQualityChecks(exercise) {
       suggestions.push('Consider providing reference solutions for comparison and validation');
       qualityScore -= 8;
     }
+
+    // Debug exercises are graded at their seeded bugs
+    if (exercise.type === 'debug') {
+      const [file] = exercise.files;
+      if (!file?.bugs?.length) {
+        warnings.push('Debug exercise has no seeded bugs annotated - mark the template lines the solution fixes');
+        qualityScore -= 10;
+      } else {
+        const problems = checkBugAnnotations(file);
+        warnings.push(...problems);
+        qualityScore -= Math.min(problems.length * 5, 20);
+      }
+    }
   }
 
   // Check prerequisites and progression